@@ -0,0 +1,110 @@
+// ========================================
+// DEDICATED GAME SERVER
+// ========================================
+// Hosts GameEngine authoritatively and serves matches over WebSocket, so no
+// player's browser holds unredacted state and no Firebase signalling is
+// needed. Clients connect from the Multiplayer Lobby ("Dedicated Server").
+//
+// Usage:
+//   npm run server -- [--port 8787] [--time-control blitz|rapid|casual]
+//                     [--match-rules standard|annihilation|laneDominance|attrition]
+//                     [--ordered-triggers]
+//
+// --ordered-triggers lets players order simultaneous triggers from attacks,
+// moves, deployments and drone abilities; card plays and round start/end
+// triggers keep priority order.
+//
+// One match at a time: the first two connections are seated as player1 and
+// player2. A player that drops mid-match reconnects with its session token
+// (?session=<token>); other connections are turned away until the match ends.
+
+import { WebSocketServer } from 'ws';
+import { createSourceLoader } from './lib/sourceLoader.js';
+
+const USAGE = 'Usage: npm run server -- [--port N] [--time-control PRESET] [--match-rules PRESET] [--ordered-triggers]';
+
+function parseArgs(argv) {
+  const args = { port: 8787, timeControl: null, matchRules: null, orderedTriggers: false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    switch (key) {
+      case 'port': args.port = Number(value); i++; break;
+      case 'time-control': args.timeControl = value; i++; break;
+      case 'match-rules': args.matchRules = value; i++; break;
+      case 'ordered-triggers': args.orderedTriggers = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!Number.isInteger(args.port) || args.port < 0) throw new Error('--port must be a non-negative integer');
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const source = await createSourceLoader();
+
+  const { default: DedicatedServerFactory } = await source.load('/src/server/DedicatedServerFactory.js');
+  const { TIME_CONTROL_PRESETS } = await source.load('/src/config/timeControls.js');
+  if (args.timeControl && !Object.hasOwn(TIME_CONTROL_PRESETS, args.timeControl)) {
+    console.error(`Unknown time control "${args.timeControl}". Presets: ${Object.keys(TIME_CONTROL_PRESETS).join(', ')}`);
+    console.error(USAGE);
+    await source.close();
+    process.exitCode = 1;
+    return;
+  }
+
+  const { getMatchRulePresets } = await source.load('/src/config/matchRules.js');
+  const matchRulePresets = Object.fromEntries(getMatchRulePresets('multiplayer'));
+  if (args.matchRules && !Object.hasOwn(matchRulePresets, args.matchRules)) {
+    console.error(`Unknown match rules "${args.matchRules}". Presets: ${Object.keys(matchRulePresets).join(', ')}`);
+    console.error(USAGE);
+    await source.close();
+    process.exitCode = 1;
+    return;
+  }
+
+  const gameServer = DedicatedServerFactory.create({
+    timeControl: args.timeControl,
+    matchRules: args.matchRules,
+    orderedTriggers: args.orderedTriggers
+  });
+
+  const wss = new WebSocketServer({ port: args.port });
+  wss.on('connection', (socket, request) => {
+    const sessionToken = new URL(request.url, 'ws://localhost').searchParams.get('session') || undefined;
+    const playerId = gameServer.handleConnection(socket, { sessionToken });
+    console.log(`${request.socket.remoteAddress} ${playerId ? `${sessionToken ? 'resumed' : 'seated as'} ${playerId}` : 'rejected'}`);
+    socket.on('close', () => {
+      if (playerId) console.log(`${playerId} disconnected`);
+    });
+  });
+  wss.on('listening', () => console.log(
+    `Dedicated server listening on ws://localhost:${wss.address().port}`
+    + (args.timeControl ? ` (${TIME_CONTROL_PRESETS[args.timeControl].label})` : '')
+    + (args.matchRules ? ` [${matchRulePresets[args.matchRules].label}]` : '')
+    + (args.orderedTriggers ? ' [Ordered triggers: board actions]' : '')
+  ));
+
+  const shutdown = async () => {
+    wss.close();
+    await source.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
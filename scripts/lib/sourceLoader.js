@@ -0,0 +1,51 @@
+// ========================================
+// SOURCE LOADER FOR NODE SCRIPTS
+// ========================================
+// Source modules use extensionless imports, so the CLI scripts load them
+// through Vite's SSR module loader rather than Node's resolver. The game's
+// debug logging is switched off so script output stays readable.
+//
+// Usage:
+//   const source = await createSourceLoader();
+//   try {
+//     const { default: BatchSimulator } = await source.load('/src/logic/simulation/BatchSimulator.js');
+//   } finally {
+//     await source.close();
+//   }
+
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+/** Repository root (the directory holding package.json) */
+export const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * Start a Vite SSR loader for the repository's source modules.
+ * @returns {Promise<{load: (path: string) => Promise<Object>, close: () => Promise<void>}>}
+ *   load takes a root-relative path ('/src/...'); close must be called when done
+ */
+export async function createSourceLoader() {
+  const server = await createServer({
+    root: ROOT,
+    configFile: false,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] },
+  });
+
+  try {
+    const { setDebugEnabled, restoreConsoleLog } = await server.ssrLoadModule('/src/utils/debugLogger.js');
+    setDebugEnabled(false);
+    restoreConsoleLog();
+  } catch (error) {
+    await server.close();
+    throw error;
+  }
+
+  return {
+    load: (path) => server.ssrLoadModule(path),
+    close: () => server.close(),
+  };
+}
@@ -0,0 +1,92 @@
+// ========================================
+// AI-VS-AI BATCH SIMULATION CLI
+// ========================================
+// Plays seeded headless matches between two AI personalities (or deck export
+// codes) and writes balance stats to JSON and CSV.
+//
+// Usage:
+//   npm run simulate -- --p1 "Manticore - Class II Gunship" --p2 "Rogue Scout Pattern" \
+//     --matches 500 --seed 42 --out sim/manticore-vs-rogue
+//
+// --p1/--p2 accept a personality name from src/data/aiData.js or a path to a
+// file containing a deck export code from the deck builder.
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { createSourceLoader } from './lib/sourceLoader.js';
+
+const USAGE = 'Usage: npm run simulate -- --p1 <personality|deckFile> --p2 <personality|deckFile> [--matches N] [--seed N] [--max-rounds N] [--out path]';
+
+function parseArgs(argv) {
+  const args = { matches: 100, seed: 1, out: 'simulation-results' };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    switch (key) {
+      case 'p1': args.player1 = value; i++; break;
+      case 'p2': args.player2 = value; i++; break;
+      case 'matches': args.matches = Number(value); i++; break;
+      case 'seed': args.seed = Number(value); i++; break;
+      case 'max-rounds': args.maxRounds = Number(value); i++; break;
+      case 'out': args.out = value; i++; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!args.player1 || !args.player2) throw new Error('Both --p1 and --p2 are required');
+  if (!Number.isInteger(args.matches) || args.matches < 1) throw new Error('--matches must be a positive integer');
+  if (!Number.isInteger(args.seed)) throw new Error('--seed must be an integer');
+  return args;
+}
+
+// A competitor argument that names an existing file is read as a deck export code
+const readCompetitor = (value) => (existsSync(value) ? readFileSync(value, 'utf8') : value);
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const source = await createSourceLoader();
+
+  try {
+    const { default: BatchSimulator } = await source.load('/src/logic/simulation/BatchSimulator.js');
+    const { convertSimulationSummaryToCsv } = await source.load('/src/utils/csvExport.js');
+
+    const simulator = new BatchSimulator({ maxRounds: args.maxRounds });
+    const startedAt = Date.now();
+    const summary = await simulator.run({
+      player1: readCompetitor(args.player1),
+      player2: readCompetitor(args.player2),
+      matches: args.matches,
+      seed: args.seed,
+      onMatchComplete: (result, index) => {
+        process.stdout.write(`\rMatch ${index + 1}/${args.matches} (seed ${result.seed}): ${result.winner || 'draw'} in ${result.rounds} rounds   `);
+      },
+    });
+    process.stdout.write('\n');
+
+    const outBase = resolve(process.cwd(), args.out);
+    mkdirSync(dirname(outBase), { recursive: true });
+    writeFileSync(`${outBase}.json`, JSON.stringify(summary, null, 2));
+    writeFileSync(`${outBase}.csv`, convertSimulationSummaryToCsv(summary));
+
+    const pct = (rate) => `${(rate * 100).toFixed(1)}%`;
+    console.log(`${summary.competitors.player1} (P1): ${pct(summary.winRates.player1)}`);
+    console.log(`${summary.competitors.player2} (P2): ${pct(summary.winRates.player2)}`);
+    console.log(`Draws: ${pct(summary.winRates.draw)} | Avg rounds: ${summary.averageRounds.toFixed(2)} | ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    console.log(`Wrote ${outBase}.json and ${outBase}.csv`);
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await source.close();
+  }
+}
+
+main();
@@ -0,0 +1,98 @@
+// ========================================
+// AI WEIGHT TUNING CLI
+// ========================================
+// Hill-climbs an AI personality's scoring weights through seeded self-play
+// and writes the best profile found as JSON ({ GROUP: { KEY: value } }).
+//
+// Usage:
+//   npm run tune-weights -- --candidate "Manticore - Class II Gunship" \
+//     --iterations 30 --matches 20 --seed 7 --out src/logic/ai/tunedWeights.json
+//
+// --baseline defaults to the untuned candidate. Writing to
+// src/logic/ai/tunedWeights.json adopts the profile for every personality
+// (weightProfiles.js layers it beneath each personality's preset and
+// overrides); alternatively paste it into a personality's weightOverrides in
+// aiData.js.
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { createSourceLoader } from './lib/sourceLoader.js';
+
+const USAGE = 'Usage: npm run tune-weights -- --candidate <personality> [--baseline <personality>] [--iterations N] [--matches N] [--seed N] [--step X] [--keys N] [--groups A,B] [--max-rounds N] [--out file.json]';
+
+function parseArgs(argv) {
+  const args = { iterations: 20, matches: 20, seed: 1, step: 0.25, keys: 3, out: 'tuned-weights.json' };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    switch (key) {
+      case 'candidate': args.candidate = value; i++; break;
+      case 'baseline': args.baseline = value; i++; break;
+      case 'iterations': args.iterations = Number(value); i++; break;
+      case 'matches': args.matches = Number(value); i++; break;
+      case 'seed': args.seed = Number(value); i++; break;
+      case 'step': args.step = Number(value); i++; break;
+      case 'keys': args.keys = Number(value); i++; break;
+      case 'groups': args.groups = value.split(',').map(group => group.trim()); i++; break;
+      case 'max-rounds': args.maxRounds = Number(value); i++; break;
+      case 'out': args.out = value; i++; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!args.candidate) throw new Error('--candidate is required');
+  if (!Number.isInteger(args.iterations) || args.iterations < 1) throw new Error('--iterations must be a positive integer');
+  if (!Number.isInteger(args.matches) || args.matches < 2) throw new Error('--matches must be an integer of at least 2');
+  if (!Number.isInteger(args.seed)) throw new Error('--seed must be an integer');
+  if (!(args.step > 0 && args.step < 1)) throw new Error('--step must be between 0 and 1');
+  if (!Number.isInteger(args.keys) || args.keys < 1) throw new Error('--keys must be a positive integer');
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const source = await createSourceLoader();
+
+  try {
+    const { default: WeightTuner } = await source.load('/src/logic/simulation/WeightTuner.js');
+
+    const tuner = new WeightTuner({ maxRounds: args.maxRounds });
+    const startedAt = Date.now();
+    const result = await tuner.tune({
+      candidate: args.candidate,
+      baseline: args.baseline,
+      groups: args.groups,
+      iterations: args.iterations,
+      matches: args.matches,
+      seed: args.seed,
+      step: args.step,
+      keysPerStep: args.keys,
+      onIteration: ({ iteration, score, bestScore, accepted }) => {
+        console.log(`Iteration ${iteration}/${args.iterations}: ${(score * 100).toFixed(1)}%${accepted ? ' (kept)' : ''} | best ${(bestScore * 100).toFixed(1)}%`);
+      },
+    });
+
+    const outFile = resolve(process.cwd(), args.out);
+    mkdirSync(dirname(outFile), { recursive: true });
+    writeFileSync(outFile, `${JSON.stringify(result.profile, null, 2)}\n`);
+
+    const changed = Object.values(result.profile).reduce((sum, values) => sum + Object.keys(values).length, 0);
+    console.log(`Score vs baseline: ${(result.baselineScore * 100).toFixed(1)}% -> ${(result.score * 100).toFixed(1)}% | ${changed} weight(s) changed | ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    console.log(`Wrote ${outFile}`);
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await source.close();
+  }
+}
+
+main();
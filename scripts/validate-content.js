@@ -0,0 +1,83 @@
+// ========================================
+// CONTENT VALIDATION CLI
+// ========================================
+// Loads the game's data files and checks referential integrity (effect types,
+// triggers, AI decks, keywords, image paths — see
+// src/logic/content/contentValidator.js). Exits non-zero when anything is wrong.
+//
+// Usage:
+//   npm run validate-content
+
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { ROOT, createSourceLoader } from './lib/sourceLoader.js';
+
+// Must match `base` in vite.config.js — data files reference public/ assets under it
+const BASE_PATH = '/DroneWars/';
+
+const DATA_FILES = {
+  cardData: '/src/data/cardData.js',
+  droneData: '/src/data/droneData.js',
+  techData: '/src/data/techData.js',
+  shipData: '/src/data/shipData.js',
+  shipSectionData: '/src/data/shipSectionData.js',
+  aiData: '/src/data/aiData.js',
+  missionData: '/src/data/missionData.js',
+  pointsOfInterestData: '/src/data/pointsOfInterestData.js',
+};
+
+const assetExists = (url) => url.startsWith(BASE_PATH)
+  && existsSync(join(ROOT, 'public', decodeURIComponent(url.slice(BASE_PATH.length))));
+
+async function main() {
+  const source = await createSourceLoader();
+
+  try {
+    // Load each file separately so one that throws on load (e.g. invalid card
+    // effects) is reported alongside everything else
+    const modules = {};
+    const loadFailures = [];
+    for (const [file, path] of Object.entries(DATA_FILES)) {
+      try {
+        modules[file] = await source.load(path);
+      } catch (error) {
+        loadFailures.push({ file, id: '(load)', message: error.message });
+        modules[file] = {};
+      }
+    }
+
+    const { validateContent } = await source.load('/src/logic/content/contentValidator.js');
+    const problems = [...loadFailures, ...validateContent({
+      cards: modules.cardData.default,
+      drones: modules.droneData.default,
+      tech: modules.techData.default,
+      ships: modules.shipData.default,
+      shipSections: modules.shipSectionData.shipComponentCollection,
+      aiPersonalities: modules.aiData.default,
+      missions: modules.missionData.MISSIONS,
+      missionConditions: modules.missionData.MISSION_CONDITIONS,
+      pointsOfInterest: modules.pointsOfInterestData.default,
+    }, { assetExists })];
+
+    if (problems.length === 0) {
+      console.log(`Content OK (${Object.keys(DATA_FILES).length} data files checked)`);
+      return;
+    }
+
+    for (const file of Object.keys(DATA_FILES)) {
+      const fileProblems = problems.filter(problem => problem.file === file);
+      if (fileProblems.length === 0) continue;
+      console.log(`\n${file}`);
+      for (const { id, message } of fileProblems) console.log(`  ${id}: ${message}`);
+    }
+    console.log(`\n${problems.length} content problem(s) found`);
+    process.exitCode = 1;
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  } finally {
+    await source.close();
+  }
+}
+
+main();
@@ -24,6 +24,9 @@ import ModalLayer from './components/ui/ModalLayer.jsx';
 import InterceptedBadge from './components/ui/InterceptedBadge.jsx';
 import FailedRunLoadingScreen from './components/ui/FailedRunLoadingScreen.jsx';
 import FloatingDragCard from './components/ui/FloatingDragCard.jsx';
+import SpectatorBanner from './components/ui/SpectatorBanner.jsx';
+import ReconnectOverlay from './components/ui/ReconnectOverlay.jsx';
+import TurnClockDisplay from './components/ui/TurnClockDisplay.jsx';
 
 
 // --- 1.3 HOOK IMPORTS ---
@@ -34,6 +37,7 @@ import { useAnimationSetup } from './hooks/useAnimationSetup';
 import { animationReducer, INITIAL_ANIMATION_STATE, createAnimationDispatch } from './hooks/useAnimationState';
 import useShieldAllocation from './hooks/useShieldAllocation.js';
 import useInterception from './hooks/useInterception.js';
+import useTriggerOrdering from './hooks/useTriggerOrdering.js';
 import useWaitingForOpponent from './hooks/useWaitingForOpponent.js';
 import useCardSelection from './hooks/useCardSelection.js';
 import useDragMechanics from './hooks/useDragMechanics.js';
@@ -151,6 +155,7 @@ const App = ({ phaseAnimationQueue }) => {
   const [hoveredCardId, setHoveredCardId] = useState(null);
 
   const [aiDecisionLogToShow, setAiDecisionLogToShow] = useState(null);
+  const [aiDecisionTraceToShow, setAiDecisionTraceToShow] = useState(null);
 
   // UI and visual effects state
   const [footerView, setFooterView] = useState('hand');
@@ -461,6 +466,14 @@ const App = ({ phaseAnimationQueue }) => {
     selectedDrone, roundNumber, turn, setSelectedDrone, setModalContent,
   });
 
+  // --- TRIGGER ORDERING HOOK (competitive PLAYER_CHOICE trigger rules) ---
+  const {
+    triggerOrderChoice,
+    responseOptions: triggerResponseOptions,
+    submitTriggerOrder,
+    submitTriggerResponse,
+  } = useTriggerOrdering({ gameState, getLocalPlayerId, submitAction });
+
   // --- Hoisted drag state (shared between useDragMechanics, useCardSelection, useInterception) ---
   const [draggedDrone, setDraggedDrone] = useState(null);
   const [costReminderArrowState, setCostReminderArrowState] = useState({ visible: false, start: { x: 0, y: 0 }, end: { x: 0, y: 0 } });
@@ -844,7 +857,7 @@ const App = ({ phaseAnimationQueue }) => {
   const {
     handleReset, handleExitGame, handleConfirmAbandonRun,
     handleOpenAddCardModal, handleForceWin, handleAddCardsToHand,
-    handleImportDeck, handlePlayerPass,
+    handleImportDeck, handlePlayerPass, handleUndo,
     handleConfirmMandatoryDiscard, handleRoundStartDiscard, handleRoundStartDraw,
     handleMandatoryDiscardContinue, handleMandatoryDroneRemovalContinue,
     checkBothPlayersHandLimitComplete, handleConfirmMandatoryDestroy,
@@ -883,6 +896,7 @@ const App = ({ phaseAnimationQueue }) => {
     handleToggleDroneSelection,
     handleAbilityIconClick,
     handleShipAbilityClick,
+    handleShipCardAbilityClick,
     handleTargetClick,
     handleTokenClick,
     handleLaneClick,
@@ -983,6 +997,13 @@ const App = ({ phaseAnimationQueue }) => {
   // Get current background configuration
   const currentBackground = getBackgroundById(selectedBackground);
 
+  // Spectators get a read-only board: input is disabled, animations still play
+  const isSpectating = gameState.gameMode === 'spectator';
+  const handleLeaveMultiplayerMatch = () => {
+    handleExitGame();
+    p2pManager.disconnect();
+  };
+
   if (!initTraceStep8Ref.current) {
     debugLog('INIT_TRACE', '[7/8] Initial render with state from ClientStateStore', {
       turnPhase,
@@ -996,7 +1017,7 @@ const App = ({ phaseAnimationQueue }) => {
   return (
     <div className="h-screen w-screen bg-black flex flex-col items-center overflow-hidden">
     <div className="relative w-full h-full overflow-hidden flex flex-col text-white font-sans select-none"
-      style={{ maxWidth: 'calc(100vh * 2)' }}
+      style={{ maxWidth: 'calc(100vh * 2)', pointerEvents: isSpectating ? 'none' : undefined }}
       ref={gameAreaRef} onClick={() => {
       cancelAbilityMode();
       cancelCardSelection('game-area-click');
@@ -1034,6 +1055,24 @@ const App = ({ phaseAnimationQueue }) => {
        explosions={explosions}
        animationBlocking={animationBlocking}
      />
+      {isSpectating && (
+        <SpectatorBanner
+          player1Name={localPlayerState.name}
+          player2Name={opponentPlayerState.name}
+          onStopWatching={handleLeaveMultiplayerMatch}
+        />
+      )}
+      {(gameState.gameMode === 'host' || gameState.gameMode === 'guest') && (
+        <ReconnectOverlay onLeave={handleLeaveMultiplayerMatch} />
+      )}
+      {gameState.turnClock && (
+        <TurnClockDisplay
+          turnClock={gameState.turnClock}
+          localPlayerId={getLocalPlayerId()}
+          localName={localPlayerState.name}
+          opponentName={opponentPlayerState.name}
+        />
+      )}
 
       <div style={{ flex: '0 0 15%' }}>
       <GameHeader
@@ -1061,6 +1100,8 @@ const App = ({ phaseAnimationQueue }) => {
         currentPlayer={currentPlayer}
         isMultiplayer={isMultiplayer}
         handlePlayerPass={handlePlayerPass}
+        canUndo={!!gameState.undoAvailable}
+        handleUndo={handleUndo}
         handleExitGame={handleExitGame}
         handleResetShields={handleResetShields}
         handleConfirmShields={handleConfirmShields}
@@ -1144,6 +1185,7 @@ const App = ({ phaseAnimationQueue }) => {
         handleLaneClick={handleLaneClick}
         handleShipSectionClick={handleShipSectionClick}
         handleShipAbilityClick={handleShipAbilityClick}
+        handleShipCardAbilityClick={handleShipCardAbilityClick}
         handleTokenClick={handleTokenClick}
         handleAbilityIconClick={handleAbilityIconClick}
         setHoveredTarget={handleSetHoveredTarget}
@@ -1211,6 +1253,7 @@ const App = ({ phaseAnimationQueue }) => {
         gameEngine={gameEngine}
         opponentPlayerState={opponentPlayerState}
         setAiDecisionLogToShow={setAiDecisionLogToShow}
+        setAiDecisionTraceToShow={setAiDecisionTraceToShow}
         onCardInfoClick={handleCardInfoClick}
         optionalDiscardCount={optionalDiscardCount}
         handleRoundStartDraw={handleRoundStartDraw}
@@ -1235,10 +1278,13 @@ const App = ({ phaseAnimationQueue }) => {
         playerInterceptionChoice={playerInterceptionChoice}
         interceptionModeActive={interceptionModeActive}
         showOpponentDecidingModal={showOpponentDecidingModal}
+        triggerOrderChoice={triggerOrderChoice}
+        triggerResponseOptions={triggerResponseOptions}
         detailedDroneInfo={detailedDroneInfo}
         cardToView={cardToView}
         aiCardPlayReport={aiCardPlayReport}
         aiDecisionLogToShow={aiDecisionLogToShow}
+        aiDecisionTraceToShow={aiDecisionTraceToShow}
         winner={winner}
         showWinnerModal={showWinnerModal}
         showAbandonRunModal={showAbandonRunModal}
@@ -1289,10 +1335,13 @@ const App = ({ phaseAnimationQueue }) => {
         onViewBattlefield={handleViewBattlefield}
         onConfirmIntercept={handleConfirmIntercept}
         onDeclineIntercept={handleDeclineIntercept}
+        onSubmitTriggerOrder={submitTriggerOrder}
+        onTriggerResponse={submitTriggerResponse}
         onCloseDetailedDrone={() => setDetailedDroneInfo(null)}
         onCloseCardDetail={() => setCardToView(null)}
         onCloseAiCardPlayReport={() => setAiCardPlayReport(null)}
         onCloseAiDecisionLog={() => setAiDecisionLogToShow(null)}
+        onCloseAiDecisionTrace={() => setAiDecisionTraceToShow(null)}
         onCloseWinnerModal={dismissWinnerModal}
         onCancelAbandonRun={() => setShowAbandonRunModal(false)}
         onConfirmAbandonRun={handleConfirmAbandonRun}
@@ -1323,6 +1372,7 @@ const App = ({ phaseAnimationQueue }) => {
         handleCardInfoClick={handleCardInfoClick}
         downloadLogAsCSV={downloadLogAsCSV}
         setAiDecisionLogToShow={setAiDecisionLogToShow}
+        setAiDecisionTraceToShow={setAiDecisionTraceToShow}
         // Game data
         gameLog={gameLog}
         gameEngine={gameEngine}
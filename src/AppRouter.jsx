@@ -34,6 +34,7 @@ import { useMusicSetup } from './hooks/useMusicSetup.js';
 import GameServerFactory from './server/GameServerFactory.js';
 import clientStateStore from './client/clientStateStore.singleton.js';
 import p2pManager from './network/P2PManager.js';
+import dedicatedServerConnection from './network/DedicatedServerConnection.js';
 import StateRedactor from './server/StateRedactor.js';
 import { debugLog } from './utils/debugLogger.js';
 
@@ -84,6 +85,7 @@ function AppRouter() {
       gameFlowManager: gameStateManager.gameFlowManager,
       clientStateStore,
       p2pManager,
+      dedicatedServerConnection,
       phaseAnimationQueue: phaseAnimationQueueRef.current,
     });
     debugLog('INIT_TRACE', '[5/8] GameServerFactory.create()', {
@@ -124,8 +126,13 @@ function AppRouter() {
 
     const handleSyncRequest = (event) => {
       if (event.type === 'sync_requested') {
-        debugLog('MP_SYNC_TRACE', 'AppRouter: Host responding to remote client sync request');
         const currentState = gameStateManager.getState();
+        if (p2pManager.isSpectatorPeer(event.data.peerId)) {
+          debugLog('MP_SYNC_TRACE', 'AppRouter: Host responding to spectator sync request', { peerId: event.data.peerId });
+          p2pManager.sendSpectatorSync(event.data.peerId, StateRedactor.redactForSpectator(currentState));
+          return;
+        }
+        debugLog('MP_SYNC_TRACE', 'AppRouter: Host responding to remote client sync request');
         const redactedState = StateRedactor.redactForPlayer(currentState, 'player2');
         p2pManager.sendFullSyncResponse(redactedState, p2pManager.broadcastSequence);
       }
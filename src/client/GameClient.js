@@ -11,11 +11,12 @@ import { extractAnnouncements } from '../utils/announcementUtils.js';
 import { TRIGGER_FIRED, TELEPORT_IN } from '../config/animationTypes.js';
 
 class GameClient extends GameServer {
-  constructor(transport, { clientStateStore, playerId, phaseAnimationQueue = null, animationManager = null }) {
+  constructor(transport, { clientStateStore, playerId, phaseAnimationQueue = null, animationManager = null, isSpectator = false }) {
     super();
     this.transport = transport;
     this.clientStateStore = clientStateStore;
     this.playerId = playerId;
+    this.spectator = isSpectator;
     this.phaseAnimationQueue = phaseAnimationQueue;
     this.animationManager = animationManager;
 
@@ -38,6 +39,10 @@ class GameClient extends GameServer {
   // --- GameServer interface ---
 
   async submitAction(type, payload) {
+    if (this.spectator) {
+      debugLog('MP_SYNC_TRACE', 'Guard: spectator cannot submit actions', { guard: true, type });
+      return { success: false, error: 'Spectators cannot perform actions' };
+    }
     if (type === 'deployment') {
       debugLog('DEPLOY_TRACE', '[2/10] GameClient.submitAction routing to transport', {
         type,
@@ -62,7 +67,11 @@ class GameClient extends GameServer {
 
   isMultiplayer() {
     const gameMode = this.getState()?.gameMode;
-    return gameMode === 'host' || gameMode === 'guest';
+    return gameMode === 'host' || gameMode === 'guest' || gameMode === 'spectator' || gameMode === 'online';
+  }
+
+  isSpectator() {
+    return this.spectator;
   }
 
   isPlayerAI(playerId) {
@@ -314,7 +323,7 @@ class GameClient extends GameServer {
       gameMode: state.gameMode, playerId: this.playerId,
     });
     // Remote client mode: sync GSM so helper methods (getLocalPlayerState etc.) return current server state
-    if (state.gameMode === 'guest') {
+    if (state.gameMode === 'guest' || state.gameMode === 'spectator' || state.gameMode === 'online') {
       this.clientStateStore.gameStateManager.syncFromServer(state);
     }
     this.clientStateStore.applyUpdate(state);
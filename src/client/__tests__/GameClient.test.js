@@ -90,6 +90,15 @@ describe('GameClient', () => {
       await client.submitAction('attack', { droneId: 'd1' });
       expect(transport.sendAction).toHaveBeenCalledWith('attack', { droneId: 'd1' });
     });
+
+    it('refuses actions from a spectator without sending', async () => {
+      const spectator = new GameClient(transport, {
+        clientStateStore: mockStore, playerId: 'player1', isSpectator: true,
+      });
+      const result = await spectator.submitAction('attack', { droneId: 'd1' });
+      expect(result).toEqual({ success: false, error: 'Spectators cannot perform actions' });
+      expect(transport.sendAction).not.toHaveBeenCalled();
+    });
   });
 
   describe('getState', () => {
@@ -133,6 +142,29 @@ describe('GameClient', () => {
       mockStore.getState.mockReturnValue(makeState({ gameMode: 'guest' }));
       expect(client.isMultiplayer()).toBe(true);
     });
+
+    it('returns true when gameMode is spectator', () => {
+      mockStore.getState.mockReturnValue(makeState({ gameMode: 'spectator' }));
+      expect(client.isMultiplayer()).toBe(true);
+    });
+
+    it('returns true when gameMode is online', () => {
+      mockStore.getState.mockReturnValue(makeState({ gameMode: 'online' }));
+      expect(client.isMultiplayer()).toBe(true);
+    });
+  });
+
+  describe('isSpectator', () => {
+    it('defaults to false', () => {
+      expect(client.isSpectator()).toBe(false);
+    });
+
+    it('returns true when constructed as a spectator', () => {
+      const spectator = new GameClient(transport, {
+        clientStateStore: mockStore, playerId: 'player1', isSpectator: true,
+      });
+      expect(spectator.isSpectator()).toBe(true);
+    });
   });
 
   describe('isPlayerAI', () => {
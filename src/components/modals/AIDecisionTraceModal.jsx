@@ -0,0 +1,154 @@
+// ========================================
+// AI DECISION TRACE MODAL
+// ========================================
+// Tree view of how the AI reached one decision: the outcome, then every
+// candidate with its base score, each adjustment pass and its delta, the
+// final score, and why it was or was not taken. Opened from the game log.
+
+import React, { useState } from 'react';
+import { GitBranch, ChevronRight, ChevronDown } from 'lucide-react';
+
+const formatDelta = (delta) => `${delta > 0 ? '+' : ''}${Number(delta.toFixed(1))}`;
+const formatScore = (score) => Number(score.toFixed(1));
+
+/**
+ * One collapsible node of the trace tree.
+ * @param {React.ReactNode} label - Node heading
+ * @param {React.ReactNode} [children] - Child nodes; leaf when empty
+ * @param {boolean} [defaultOpen] - Whether the node starts expanded
+ */
+const TraceNode = ({ label, children, defaultOpen = false }) => {
+  const [open, setOpen] = useState(defaultOpen);
+  const hasChildren = React.Children.count(children) > 0;
+
+  return (
+    <li style={{ listStyle: 'none' }}>
+      <div
+        role={hasChildren ? 'button' : undefined}
+        aria-expanded={hasChildren ? open : undefined}
+        onClick={hasChildren ? () => setOpen(!open) : undefined}
+        style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '3px 0', cursor: hasChildren ? 'pointer' : 'default' }}
+      >
+        <span style={{ width: '14px', display: 'inline-flex', color: 'var(--modal-text-secondary)' }}>
+          {hasChildren && (open ? <ChevronDown size={14} /> : <ChevronRight size={14} />)}
+        </span>
+        {label}
+      </div>
+      {hasChildren && open && (
+        <ul style={{ margin: 0, paddingLeft: '20px', borderLeft: '1px solid var(--modal-border)' }}>
+          {children}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const LogicLines = ({ lines }) => lines.map((line, index) => (
+  <TraceNode key={index} label={<span style={{ fontSize: '12px', color: 'var(--modal-text-secondary)' }}>{line}</span>} />
+));
+
+const CandidateNode = ({ candidate }) => (
+  <TraceNode
+    defaultOpen={candidate.chosen}
+    label={(
+      <span style={{ color: candidate.chosen ? '#facc15' : 'var(--modal-text-primary)' }}>
+        {candidate.chosen && '✔ '}
+        <span style={{ textTransform: 'capitalize' }}>{candidate.type.replace('_', ' ')}</span>
+        {': '}
+        <span style={{ color: '#c084fc' }}>{candidate.instigator}</span>
+        {' → '}
+        <span style={{ color: 'var(--modal-theme)' }}>{candidate.targetName}</span>
+        <strong style={{ marginLeft: '8px' }}>{formatScore(candidate.finalScore)}</strong>
+      </span>
+    )}
+  >
+    <TraceNode label={<span>Base score: <strong>{formatScore(candidate.baseScore)}</strong></span>}>
+      <LogicLines lines={candidate.baseLogic} />
+    </TraceNode>
+    {candidate.adjustments.map((adjustment, index) => (
+      <TraceNode
+        key={index}
+        label={(
+          <span>
+            {adjustment.pass}:{' '}
+            <strong style={{ color: adjustment.delta < 0 ? '#f87171' : adjustment.delta > 0 ? '#4ade80' : 'inherit' }}>
+              {formatDelta(adjustment.delta)}
+            </strong>
+          </span>
+        )}
+      >
+        <LogicLines lines={adjustment.logic} />
+      </TraceNode>
+    ))}
+    <TraceNode label={<span>Final score: <strong>{formatScore(candidate.finalScore)}</strong></span>} />
+    <TraceNode
+      label={(
+        <span style={{ color: candidate.chosen ? '#facc15' : 'var(--modal-text-secondary)' }}>
+          {candidate.chosen ? 'Chosen' : `Rejected: ${candidate.rejection}`}
+        </span>
+      )}
+    />
+  </TraceNode>
+);
+
+/**
+ * AI DECISION TRACE MODAL
+ * @param {Object} trace - aiDecisionTrace from a game log entry (see logic/ai/decisions/decisionTrace.js)
+ * @param {Function} onClose - Callback when modal is closed
+ */
+const AIDecisionTraceModal = ({ trace, onClose }) => {
+  if (!trace) return null;
+
+  const thresholds = Object.entries(trace.thresholds || {})
+    .map(([name, value]) => `${name}: ${typeof value === 'number' ? formatScore(value) : value}`)
+    .join(' · ');
+
+  return (
+    <div className="dw-modal-overlay" onClick={onClose}>
+      <div
+        className="dw-modal-content dw-modal--xxl dw-modal--action"
+        style={{ maxWidth: '1100px', width: '90vw', height: '85vh', display: 'flex', flexDirection: 'column' }}
+        onClick={e => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="dw-modal-header">
+          <div className="dw-modal-header-icon">
+            <GitBranch size={28} />
+          </div>
+          <div className="dw-modal-header-info">
+            <h2 className="dw-modal-header-title">AI Decision Trace</h2>
+            <p className="dw-modal-header-subtitle">
+              {trace.phase} phase · {trace.candidates.length} candidates
+            </p>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="dw-modal-body" style={{ flex: 1, overflowY: 'auto', padding: '16px' }}>
+          <div className="dw-modal-info-box" style={{ marginBottom: '12px' }}>
+            <p className="dw-modal-text" style={{ margin: 0 }}>{trace.summary}</p>
+            {thresholds && (
+              <p className="dw-modal-text" style={{ margin: '4px 0 0', fontSize: '12px', color: 'var(--modal-text-secondary)' }}>
+                {thresholds}
+              </p>
+            )}
+          </div>
+          <ul style={{ margin: 0, padding: 0, fontSize: '14px' }}>
+            {trace.candidates.map((candidate, index) => (
+              <CandidateNode key={index} candidate={candidate} />
+            ))}
+          </ul>
+        </div>
+
+        {/* Actions */}
+        <div className="dw-modal-actions">
+          <button className="dw-btn-hud dw-btn-hud-ghost" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AIDecisionTraceModal;
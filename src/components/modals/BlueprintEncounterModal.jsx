@@ -52,6 +52,7 @@ function BlueprintEncounterModal({
       case 'Easy': return '#10b981';
       case 'Medium': return '#f59e0b';
       case 'Hard': return '#ef4444';
+      case 'Expert': return '#a855f7';
       default: return '#6b7280';
     }
   };
@@ -10,8 +10,14 @@ import ActionCard from '../ui/ActionCard.jsx';
 import {
   parseJSObjectLiteral,
   generateJSObjectLiteral,
-  downloadDeckFile
+  downloadDeckFile,
+  countDecklistFactions
 } from '../../logic/cards/deckExportUtils.js';
+import {
+  countOffFactionCards,
+  buildFactionAllowances,
+  canAddFactionCard
+} from '../../logic/cards/deckBuilderHelpers.js';
 import { debugLog } from '../../utils/debugLogger.js';
 
 /**
@@ -24,6 +30,7 @@ import { debugLog } from '../../utils/debugLogger.js';
  * @param {array} allCards - Full card collection to choose from
  * @param {string} title - Modal title
  * @param {number} minCards - Minimum cards required (default: 40)
+ * @param {object} ship - Ship the deck is for; enforces its faction card allowances when set
  */
 function DeckBuildingModal({
   isOpen,
@@ -32,7 +39,8 @@ function DeckBuildingModal({
   initialSelection = {},
   allCards = [],
   title = 'Build Deck',
-  minCards = 40
+  minCards = 40,
+  ship = null
 }) {
   // Local deck composition state
   const [deckComposition, setDeckComposition] = useState({ ...initialSelection });
@@ -64,6 +72,15 @@ function DeckBuildingModal({
     return Object.values(deckComposition).reduce((sum, count) => sum + count, 0);
   }, [deckComposition]);
 
+  // Off-faction card counts against the ship's allowances
+  const { factionCounts, factionAllowances, factionValid } = useMemo(() => {
+    const deckCards = Object.entries(deckComposition)
+      .map(([cardId, quantity]) => ({ ...allCards.find(c => c.id === cardId), quantity }));
+    const counts = countOffFactionCards(deckCards, ship);
+    const allowances = buildFactionAllowances(counts, ship);
+    return { factionCounts: counts, factionAllowances: allowances, factionValid: allowances.every(a => !a.isOverLimit) };
+  }, [deckComposition, allCards, ship]);
+
   // Filter and sort cards
   const filteredAndSortedCards = useMemo(() => {
     let filtered = allCards;
@@ -105,7 +122,7 @@ function DeckBuildingModal({
     const currentCount = deckComposition[cardId] || 0;
     const maxInDeck = card.maxInDeck;
 
-    if (currentCount < maxInDeck) {
+    if (currentCount < maxInDeck && canAddFactionCard(card, factionCounts, ship)) {
       setDeckComposition(prev => ({
         ...prev,
         [cardId]: currentCount + 1
@@ -130,7 +147,7 @@ function DeckBuildingModal({
 
   // Handle confirm
   const handleConfirm = () => {
-    if (totalCards >= minCards) {
+    if (totalCards >= minCards && factionValid) {
       onConfirm(deckComposition);
       onClose();
     }
@@ -150,7 +167,8 @@ function DeckBuildingModal({
 
     const data = {
       name: 'Test Deck',
-      decklist
+      decklist,
+      factionCards: countDecklistFactions(decklist)
     };
 
     return generateJSObjectLiteral(data);
@@ -210,7 +228,7 @@ function DeckBuildingModal({
 
   if (!isOpen) return null;
 
-  const isValidDeck = totalCards >= minCards;
+  const isValidDeck = totalCards >= minCards && factionValid;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
@@ -223,6 +241,16 @@ function DeckBuildingModal({
             <p className="text-sm text-gray-400 mt-1">
               Cards: <span className={totalCards >= minCards ? 'text-green-400' : 'text-red-400'}>{totalCards}</span> / {minCards} minimum
             </p>
+            {factionAllowances.length > 0 && (
+              <p className="text-sm text-gray-400 mt-1 flex gap-4">
+                {factionAllowances.map(({ factionId, name, color, count, limit, isOverLimit }) => (
+                  <span key={factionId}>
+                    <span style={{ color }}>{name}</span>:{' '}
+                    <span className={isOverLimit ? 'text-red-400' : 'text-green-400'}>{count}</span> / {limit}
+                  </span>
+                ))}
+              </p>
+            )}
           </div>
           <button
             onClick={handleCancel}
@@ -276,7 +304,7 @@ function DeckBuildingModal({
             {filteredAndSortedCards.map((card) => {
               const currentCount = deckComposition[card.id] || 0;
               const maxInDeck = card.maxInDeck;
-              const isAtMax = currentCount >= maxInDeck;
+              const isAtMax = currentCount >= maxInDeck || !canAddFactionCard(card, factionCounts, ship);
 
               return (
                 <div key={card.id} className="flex flex-col items-center gap-2">
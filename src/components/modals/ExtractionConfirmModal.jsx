@@ -6,7 +6,9 @@
 
 import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { Target, AlertTriangle, Shield, Zap, KeyRound } from 'lucide-react';
+import tacticalMapStateManager from '../../managers/TacticalMapStateManager.js';
 import ExtractionController from '../../logic/singlePlayer/ExtractionController.js';
+import { getRunRNG } from '../../logic/singlePlayer/runSeed.js';
 import './ExtractionConfirmModal.css';
 
 // Hexagon portal icon for Extract (from TacticalMapHUD)
@@ -85,8 +87,12 @@ function ExtractionConfirmModal({
         clearInterval(scanIntervalRef.current);
         clearInterval(messageIntervalRef.current);
 
-        // Roll for blockade
-        const blocked = ExtractionController.checkBlockade(detection);
+        // Roll for blockade (seeded runs roll from the run seed)
+        const runState = tacticalMapStateManager.getState();
+        const blocked = ExtractionController.checkBlockade(
+          detection,
+          getRunRNG(runState, 'blockade', runState?.hexesMoved || 0)
+        );
 
         if (blocked) {
           setModalState('blocked');
@@ -1,20 +1,24 @@
 // ========================================
 // GAME DEBUG MODAL COMPONENT
 // ========================================
-// Modal for debugging game state - shows raw state and calculated stats
+// Modal for debugging game state - shows raw state and calculated stats,
+// and replays match logs step by step
 
 import React, { useState } from 'react';
-import { Terminal, Copy, Download, FileDown } from 'lucide-react';
+import { Terminal, Copy, Download, FileDown, SkipBack, SkipForward, ChevronLeft, ChevronRight } from 'lucide-react';
 import { debugLog } from '../../utils/debugLogger.js';
 import { exportFullHistory } from '../../utils/csvExport.js';
+import useMatchReplay from '../../hooks/useMatchReplay.js';
 
 /**
- * GameDebugModal - Two-tab debug view for game state
+ * GameDebugModal - Three-tab debug view for game state
  * Tab 1: Raw State from GameStateManager
  * Tab 2: Calculated Stats from GameDataService
+ * Tab 3: Match Replay — steps through a match log and diffs it against the live state
  */
 const GameDebugModal = ({ show, onClose, gameStateManager, gameDataService }) => {
   const [activeTab, setActiveTab] = useState('raw');
+  const replay = useMatchReplay();
 
   if (!show || !gameStateManager) return null;
 
@@ -48,6 +52,41 @@ const GameDebugModal = ({ show, onClose, gameStateManager, gameDataService }) =>
     URL.revokeObjectURL(url);
   };
 
+  const downloadMatchLog = () => {
+    const recorder = gameStateManager.gameEngine?.matchRecorder;
+    if (!recorder || recorder.getEntryCount() === 0) {
+      debugLog('STATE_SYNC', 'No match log to export');
+      alert('No match log available. Match logs are only recorded by the authoritative game engine.');
+      return;
+    }
+
+    const blob = new Blob([recorder.serialize()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `drone-wars-match-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const loadCurrentMatchLog = () => {
+    const recorder = gameStateManager.gameEngine?.matchRecorder;
+    if (!recorder || recorder.getEntryCount() === 0) {
+      alert('No match log available. Match logs are only recorded by the authoritative game engine.');
+      return;
+    }
+    replay.load(recorder.serialize());
+  };
+
+  const loadMatchLogFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    file.text().then(text => replay.load(text));
+  };
+
   const exportAIDecisions = () => {
     const aiDecisionHistory = gameState.aiDecisionHistory || [];
     if (aiDecisionHistory.length === 0) {
@@ -213,6 +252,98 @@ const GameDebugModal = ({ show, onClose, gameStateManager, gameDataService }) =>
     }
   };
 
+  const renderReplayTab = () => {
+    const { state: replayState, entry, cursor, length } = replay;
+    const stepButtonStyle = {
+      display: 'flex',
+      alignItems: 'center',
+      background: 'var(--modal-surface)',
+      border: '1px solid var(--modal-border)',
+      borderRadius: '4px',
+      padding: '4px 8px',
+      color: 'var(--modal-text-secondary)',
+      cursor: replay.busy ? 'wait' : 'pointer'
+    };
+
+    return (
+      <div style={{ padding: '16px' }}>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '16px' }}>
+          <button className="dw-btn-hud dw-btn-hud-ghost" onClick={loadCurrentMatchLog} disabled={replay.busy}>
+            Replay Current Match
+          </button>
+          <label className="dw-btn-hud dw-btn-hud-ghost" style={{ cursor: 'pointer' }}>
+            Open Match Log…
+            <input type="file" accept="application/json,.json" onChange={loadMatchLogFile} style={{ display: 'none' }} />
+          </label>
+        </div>
+
+        {replay.error && (
+          <div style={{ marginBottom: '16px', color: '#f87171' }}>Replay failed: {replay.error}</div>
+        )}
+
+        {!replay.loaded ? (
+          <div style={{ textAlign: 'center', color: 'var(--modal-text-secondary)' }}>
+            Load a match log to step through it. The replay runs in a background worker and never touches the live game.
+          </div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '16px' }}>
+              <button style={stepButtonStyle} onClick={() => replay.seek(0)} disabled={replay.busy || cursor === 0} title="Initial state">
+                <SkipBack size={14} />
+              </button>
+              <button style={stepButtonStyle} onClick={replay.stepBackward} disabled={replay.busy || cursor === 0} title="Step back">
+                <ChevronLeft size={14} />
+              </button>
+              <span style={{ fontFamily: 'monospace', color: 'var(--modal-text-primary)' }}>{cursor} / {length}</span>
+              <button style={stepButtonStyle} onClick={replay.stepForward} disabled={replay.busy || cursor === length} title="Step forward">
+                <ChevronRight size={14} />
+              </button>
+              <button style={stepButtonStyle} onClick={() => replay.seek(length)} disabled={replay.busy || cursor === length} title="Final state">
+                <SkipForward size={14} />
+              </button>
+              <span style={{ fontFamily: 'monospace', color: '#facc15', marginLeft: '8px' }}>
+                {entry ? `#${entry.seq} ${entry.type} — ${entry.playerId || 'system'}, round ${entry.round}` : 'Initial state'}
+              </span>
+              <button
+                className="dw-btn-hud dw-btn-hud-ghost"
+                style={{ marginLeft: 'auto' }}
+                onClick={() => replay.diffAgainst(gameState)}
+                disabled={replay.busy}
+              >
+                Diff Against Live State
+              </button>
+            </div>
+
+            {replay.diffs && (
+              replay.diffs.length === 0 ? (
+                <div style={{ marginBottom: '24px', color: '#4ade80' }}>Replay state matches the live state.</div>
+              ) : renderObjectTable(
+                Object.fromEntries(replay.diffs.map(d => [d.path, `replay ${formatValue(d.expected)} / live ${formatValue(d.actual)}`])),
+                `Differences (${replay.diffs.length})`,
+                '#f87171'
+              )
+            )}
+
+            {renderObjectTable({
+              turnPhase: replayState.turnPhase,
+              currentPlayer: replayState.currentPlayer,
+              roundNumber: replayState.roundNumber,
+              winner: replayState.winner
+            }, 'Replay Game Info')}
+            {renderObjectTable(replayState.player1, 'Replay Player 1 State', '#22d3ee')}
+            {renderObjectTable(replayState.player2, 'Replay Player 2 State', '#ef4444')}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderActiveTab = () => {
+    if (activeTab === 'calculated') return renderCalculatedStatsTab();
+    if (activeTab === 'replay') return renderReplayTab();
+    return renderRawStateTab();
+  };
+
   return (
     <div className="dw-modal-overlay" onClick={onClose}>
       <div
@@ -227,7 +358,7 @@ const GameDebugModal = ({ show, onClose, gameStateManager, gameDataService }) =>
           </div>
           <div className="dw-modal-header-info">
             <h2 className="dw-modal-header-title">Game Debug View</h2>
-            <p className="dw-modal-header-subtitle">Raw state and calculated stats</p>
+            <p className="dw-modal-header-subtitle">Raw state, calculated stats and match replay</p>
           </div>
         </div>
 
@@ -263,11 +394,26 @@ const GameDebugModal = ({ show, onClose, gameStateManager, gameDataService }) =>
           >
             Calculated Stats
           </button>
+          <button
+            onClick={() => setActiveTab('replay')}
+            style={{
+              padding: '12px 24px',
+              fontWeight: '500',
+              background: 'transparent',
+              border: 'none',
+              borderBottom: activeTab === 'replay' ? '2px solid var(--modal-theme)' : '2px solid transparent',
+              color: activeTab === 'replay' ? 'var(--modal-theme)' : 'var(--modal-text-secondary)',
+              cursor: 'pointer',
+              transition: 'all 0.2s ease'
+            }}
+          >
+            Match Replay
+          </button>
         </div>
 
         {/* Tab Content */}
         <div className="dw-modal-body dw-modal-scroll" style={{ flex: 1, overflow: 'auto', padding: 0 }}>
-          {activeTab === 'raw' ? renderRawStateTab() : renderCalculatedStatsTab()}
+          {renderActiveTab()}
         </div>
 
         {/* Actions */}
@@ -276,6 +422,10 @@ const GameDebugModal = ({ show, onClose, gameStateManager, gameDataService }) =>
             <FileDown size={16} style={{ marginRight: '6px' }} />
             Export AI Decisions (CSV)
           </button>
+          <button className="dw-btn-hud dw-btn-hud-ghost" onClick={downloadMatchLog}>
+            <FileDown size={16} style={{ marginRight: '6px' }} />
+            Download Match Log
+          </button>
           <button className="dw-btn-hud dw-btn-hud-cyan" onClick={downloadGameState}>
             <Download size={16} style={{ marginRight: '6px' }} />
             Download State
@@ -14,6 +14,7 @@ function LogModal({
   gameLog,
   downloadLogAsCSV,
   setAiDecisionLogToShow,
+  setAiDecisionTraceToShow,
   onCardInfoClick
 }) {
   if (!isOpen) return null;
@@ -94,6 +95,15 @@ function LogModal({
                             ℹ️
                           </button>
                         )}
+                        {entry.aiDecisionTrace && setAiDecisionTraceToShow && (
+                          <button
+                            onClick={() => setAiDecisionTraceToShow(entry.aiDecisionTrace)}
+                            style={{ background: 'none', border: 'none', color: 'var(--modal-text-secondary)', cursor: 'pointer' }}
+                            title="Show AI Decision Trace"
+                          >
+                            🌳
+                          </button>
+                        )}
                       </td>
                     )}
                   </tr>
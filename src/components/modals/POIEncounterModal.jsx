@@ -49,6 +49,7 @@ function POIEncounterModal({ encounter, onProceed, onQuickDeploy, validQuickDepl
       case 'Easy': return '#10b981';
       case 'Medium': return '#f59e0b';
       case 'Hard': return '#ef4444';
+      case 'Expert': return '#a855f7';
       default: return '#6b7280';
     }
   };
@@ -145,6 +146,14 @@ function POIEncounterModal({ encounter, onProceed, onQuickDeploy, validQuickDepl
                 </div>
               </div>
 
+              {/* Objective - only show for objective-based fights */}
+              {aiData.objective && (
+                <div className="dw-modal-stat" style={{ gridColumn: '1 / -1' }} title={aiData.objective.description}>
+                  <div className="dw-modal-stat-label">Objective</div>
+                  <div className="dw-modal-stat-value">{aiData.objective.label}</div>
+                </div>
+              )}
+
               {/* Potential Reputation - only show if repEarned > 0 */}
               {encounter.potentialReputation && encounter.potentialReputation.repEarned > 0 && (
                 <div className="dw-modal-stat" style={{ gridColumn: '1 / -1' }}>
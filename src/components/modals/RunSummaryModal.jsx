@@ -4,11 +4,14 @@
  * Shows stats, credits, and full-size cards collected during the run
  */
 
+import { useState } from 'react';
 import fullCardCollection from '../../data/cardData.js';
 import ActionCard from '../ui/ActionCard.jsx';
 import { CheckCircle, XCircle } from 'lucide-react';
 
 function RunSummaryModal({ summary, onClose }) {
+  const [copySuccess, setCopySuccess] = useState('');
+
   if (!summary) return null;
 
   const {
@@ -33,8 +36,15 @@ function RunSummaryModal({ summary, onClose }) {
     runDuration,
     finalDetection,
     reputation,
+    challenge,
   } = summary;
 
+  const copyScoreCode = () => {
+    navigator.clipboard.writeText(challenge.scoreCode);
+    setCopySuccess('Copied!');
+    setTimeout(() => setCopySuccess(''), 2000);
+  };
+
   // Format run duration as MM:SS
   const formatDuration = (ms) => {
     const totalSeconds = Math.floor(ms / 1000);
@@ -164,6 +174,53 @@ function RunSummaryModal({ summary, onClose }) {
             <p style={{ margin: '4px 0 0', fontSize: '32px', fontWeight: 700, color: '#eab308' }}>{creditsEarned || 0}</p>
           </div>
 
+          {/* Daily Challenge Score Section */}
+          {challenge && (
+            <div className="dw-modal-info-box" style={{
+              marginBottom: '24px',
+              background: 'rgba(6, 182, 212, 0.08)',
+              borderColor: 'rgba(6, 182, 212, 0.4)'
+            }}>
+              <div style={{ textAlign: 'center', marginBottom: '12px' }}>
+                <p style={{ margin: 0, fontSize: '12px', color: 'var(--modal-text-secondary)',
+                             textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+                  Daily Challenge {challenge.id} Score
+                </p>
+                <p style={{ margin: '4px 0 0', fontSize: '32px', fontWeight: 700, color: '#06b6d4' }}>
+                  {(challenge.score || 0).toLocaleString()}
+                </p>
+              </div>
+
+              {/* Breakdown */}
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '8px', fontSize: '13px', marginBottom: '12px' }}>
+                {[
+                  ['Extraction', challenge.scoreBreakdown?.extraction],
+                  ['Credits', challenge.scoreBreakdown?.credits],
+                  ['Combat', challenge.scoreBreakdown?.combat],
+                  ['PoIs', challenge.scoreBreakdown?.exploration],
+                  ['Hull', challenge.scoreBreakdown?.hull]
+                ].map(([label, points]) => (
+                  <div key={label} style={{ display: 'flex', justifyContent: 'space-between', padding: '8px',
+                                            background: 'var(--modal-surface)', borderRadius: '4px' }}>
+                    <span style={{ color: 'var(--modal-text-secondary)' }}>{label}</span>
+                    <span style={{ color: '#06b6d4', fontWeight: 600 }}>{(points || 0).toLocaleString()}</span>
+                  </div>
+                ))}
+              </div>
+
+              {/* Shareable score code (includes the run seed) */}
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <code style={{ flex: 1, padding: '8px', background: 'var(--modal-surface)', borderRadius: '4px',
+                               fontSize: '12px', color: 'var(--modal-text-primary)', wordBreak: 'break-all' }}>
+                  {challenge.scoreCode}
+                </code>
+                <button className="dw-btn-hud dw-btn-hud-ghost" onClick={copyScoreCode}>
+                  {copySuccess || 'COPY CODE'}
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Blueprints Acquired Section */}
           {blueprints.length > 0 && (
             <div className="dw-modal-info-box" style={{
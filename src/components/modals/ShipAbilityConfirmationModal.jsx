@@ -9,7 +9,7 @@ import { Ship, Zap } from 'lucide-react';
 /**
  * SHIP ABILITY CONFIRMATION MODAL COMPONENT
  * Shows confirmation dialog for ship ability usage with target and energy cost.
- * @param {Object} shipAbilityConfirmation - Ability confirmation data with ability, sectionName, and target info
+ * @param {Object} shipAbilityConfirmation - Ability confirmation data with ability, sectionName (or sourceName), and target info
  * @param {boolean} show - Whether to show the modal
  * @param {Function} onCancel - Callback when ability usage is cancelled
  * @param {Function} onConfirm - Callback when ability usage is confirmed
@@ -17,8 +17,9 @@ import { Ship, Zap } from 'lucide-react';
 const ShipAbilityConfirmationModal = ({ shipAbilityConfirmation, show, onCancel, onConfirm }) => {
   if (!show || !shipAbilityConfirmation) return null;
 
-  const { ability, sectionName, target } = shipAbilityConfirmation;
-  const sectionDisplayName = sectionName.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+  const { ability, sectionName, sourceName, target } = shipAbilityConfirmation;
+  // Ship card abilities name their ship; section abilities name the section
+  const sectionDisplayName = sourceName || sectionName.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
   let targetDisplayName = '';
   if (target) {
     targetDisplayName = target.name;
@@ -0,0 +1,118 @@
+// ========================================
+// TRIGGER ORDER MODAL COMPONENT
+// ========================================
+// Competitive trigger rules: lets the local player order their simultaneous
+// triggers, or answer the response window with a Reaction card.
+
+import React, { useState, useEffect } from 'react';
+import { ListOrdered, ChevronUp, ChevronDown, Timer } from 'lucide-react';
+
+/**
+ * TRIGGER ORDER MODAL COMPONENT
+ * ORDER stage: reorder the pending window's triggers and confirm.
+ * RESPONSE stage: play one Reaction card on a target, or pass.
+ * @param {Object} choice - gameState.triggerOrderPending, when the local player decides
+ * @param {Array} responseOptions - [{ card, targets }] playable Reaction cards (RESPONSE stage)
+ * @param {Function} onSubmitOrder - Callback with the chosen array of trigger keys
+ * @param {Function} onRespond - Callback with (card, target), or no arguments to pass
+ */
+const TriggerOrderModal = ({ choice, responseOptions = [], onSubmitOrder, onRespond }) => {
+  const [order, setOrder] = useState([]);
+
+  useEffect(() => {
+    setOrder(choice?.stage === 'ORDER' ? choice.window.triggers : []);
+  }, [choice]);
+
+  if (!choice) return null;
+
+  const isOrderStage = choice.stage === 'ORDER';
+  const { window: pendingWindow } = choice;
+
+  const move = (index, offset) => {
+    const next = [...order];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setOrder(next);
+  };
+
+  return (
+    <div className="dw-modal-overlay" onClick={(e) => e.stopPropagation()}>
+      <div className="dw-modal-content dw-modal--md dw-modal--action">
+        {/* Header */}
+        <div className="dw-modal-header">
+          <div className="dw-modal-header-icon">
+            {isOrderStage ? <ListOrdered size={28} /> : <Timer size={28} />}
+          </div>
+          <div className="dw-modal-header-info">
+            <h2 className="dw-modal-header-title">{isOrderStage ? 'Order Your Triggers' : 'Response Window'}</h2>
+            <p className="dw-modal-header-subtitle">
+              {isOrderStage
+                ? `${pendingWindow.sourceName ? `${pendingWindow.sourceName} — ` : ''}${pendingWindow.triggerType}`
+                : 'Play a Reaction card before your opponent\'s triggers resolve'}
+            </p>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className="dw-modal-body">
+          {isOrderStage ? (
+            <ol style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', margin: 0, padding: 0, listStyle: 'none' }}>
+              {order.map((trigger, index) => (
+                <li
+                  key={trigger.key}
+                  style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.5rem 0.75rem', border: '1px solid #334155', borderRadius: '0.5rem' }}
+                >
+                  <span className="dw-modal-text" style={{ minWidth: '1.5rem' }}>{index + 1}.</span>
+                  <div style={{ flex: 1 }}>
+                    <p className="dw-modal-text" style={{ margin: 0, fontWeight: 700 }}>{trigger.droneName} — {trigger.abilityName}</p>
+                    {trigger.description && (
+                      <p className="dw-modal-text" style={{ margin: 0, fontSize: '0.8rem', color: '#9ca3af' }}>{trigger.description}</p>
+                    )}
+                  </div>
+                  <button className="dw-btn-hud dw-btn-hud-ghost" disabled={index === 0} onClick={() => move(index, -1)} aria-label="Resolve earlier">
+                    <ChevronUp size={16} />
+                  </button>
+                  <button className="dw-btn-hud dw-btn-hud-ghost" disabled={index === order.length - 1} onClick={() => move(index, 1)} aria-label="Resolve later">
+                    <ChevronDown size={16} />
+                  </button>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+              {responseOptions.length === 0 && (
+                <p className="dw-modal-text">You have no Reaction card with a legal target.</p>
+              )}
+              {responseOptions.map(({ card, targets }) => (
+                <div key={card.instanceId} style={{ padding: '0.5rem 0.75rem', border: '1px solid #334155', borderRadius: '0.5rem' }}>
+                  <p className="dw-modal-text" style={{ margin: '0 0 0.5rem 0', fontWeight: 700 }}>{card.name} ({card.cost} energy)</p>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                    {targets.map(target => (
+                      <button key={`${target.owner}-${target.id}`} className="dw-btn-hud" onClick={() => onRespond(card, target)}>
+                        {target.name || target.id}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="dw-modal-actions">
+          {isOrderStage ? (
+            <button className="dw-btn-hud" onClick={() => onSubmitOrder(order.map(t => t.key))}>
+              Resolve in This Order
+            </button>
+          ) : (
+            <button className="dw-btn-hud dw-btn-hud-ghost" onClick={() => onRespond()}>
+              Pass
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TriggerOrderModal;
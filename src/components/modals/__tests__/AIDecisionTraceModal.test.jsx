@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import AIDecisionTraceModal from '../AIDecisionTraceModal.jsx'
+
+// ========================================
+// AI DECISION TRACE MODAL TESTS
+// ========================================
+
+const trace = {
+  phase: 'action',
+  outcome: 'attack',
+  summary: 'Drew Mammoth → Dart (score 85)',
+  thresholds: { topScore: 85, poolRange: 20 },
+  candidates: [
+    {
+      type: 'attack',
+      instigator: 'Mammoth',
+      targetName: 'Dart',
+      baseScore: 70,
+      baseLogic: ['No shields: +10'],
+      adjustments: [{ pass: 'Interception', delta: 15, logic: ['Safe from interception: +15'] }],
+      finalScore: 85,
+      chosen: true,
+      rejection: null
+    },
+    {
+      type: 'play_card',
+      instigator: 'Laser Blast',
+      targetName: 'Talon',
+      baseScore: 60,
+      baseLogic: [],
+      adjustments: [{ pass: 'Jammer', delta: -30, logic: [] }],
+      finalScore: 30,
+      chosen: false,
+      rejection: 'Score 30 is more than 20 below the top score (85)'
+    }
+  ]
+}
+
+describe('AIDecisionTraceModal', () => {
+  it('renders nothing without a trace', () => {
+    const { container } = render(<AIDecisionTraceModal trace={null} onClose={vi.fn()} />)
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('shows the summary and expands the chosen candidate', () => {
+    render(<AIDecisionTraceModal trace={trace} onClose={vi.fn()} />)
+
+    expect(screen.getByText('Drew Mammoth → Dart (score 85)')).toBeInTheDocument()
+    expect(screen.getByText('Interception:')).toBeInTheDocument()
+    expect(screen.getByText('+15')).toBeInTheDocument()
+    expect(screen.getByText('Chosen')).toBeInTheDocument()
+    expect(screen.queryByText(/Rejected:/)).not.toBeInTheDocument()
+  })
+
+  it('reveals a rejected candidate\'s adjustments and reason when clicked', () => {
+    render(<AIDecisionTraceModal trace={trace} onClose={vi.fn()} />)
+
+    fireEvent.click(screen.getByText('Laser Blast'))
+
+    expect(screen.getByText('Jammer:')).toBeInTheDocument()
+    expect(screen.getByText('-30')).toBeInTheDocument()
+    expect(screen.getByText('Rejected: Score 30 is more than 20 below the top score (85)')).toBeInTheDocument()
+  })
+
+  it('closes from the Close button', () => {
+    const onClose = vi.fn()
+    render(<AIDecisionTraceModal trace={trace} onClose={onClose} />)
+
+    fireEvent.click(screen.getByText('Close'))
+    expect(onClose).toHaveBeenCalled()
+  })
+})
@@ -8,7 +8,7 @@
  */
 
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import RunSummaryModal from '../RunSummaryModal.jsx';
 
 describe('RunSummaryModal - Reputation Display', () => {
@@ -148,3 +148,46 @@ describe('RunSummaryModal - Reputation Display', () => {
     expect(screen.queryByText('Extraction Bonus')).toBeNull();
   });
 });
+
+describe('RunSummaryModal - Daily Challenge Score', () => {
+  const summary = {
+    success: true,
+    mapName: 'Test Sector',
+    mapTier: 1,
+    creditsEarned: 300,
+    finalHull: 20,
+    maxHull: 30,
+    challenge: {
+      id: '2026-10-19',
+      seed: 1234,
+      score: 1450,
+      scoreBreakdown: { extraction: 500, credits: 300, combat: 200, exploration: 250, hull: 200 },
+      scoreCode: 'DW1-20261019-000004D2-X-300.2.5.20-1450-ABCDEF12'
+    }
+  };
+
+  it('shows the score and shareable code for challenge runs', () => {
+    render(<RunSummaryModal summary={summary} onClose={vi.fn()} />);
+
+    expect(screen.getByText('Daily Challenge 2026-10-19 Score')).toBeInTheDocument();
+    expect(screen.getByText('1,450')).toBeInTheDocument();
+    expect(screen.getByText(summary.challenge.scoreCode)).toBeInTheDocument();
+  });
+
+  it('copies the score code', () => {
+    const writeText = vi.fn();
+    Object.assign(navigator, { clipboard: { writeText } });
+    render(<RunSummaryModal summary={summary} onClose={vi.fn()} />);
+
+    fireEvent.click(screen.getByText('COPY CODE'));
+
+    expect(writeText).toHaveBeenCalledWith(summary.challenge.scoreCode);
+    expect(screen.getByText('Copied!')).toBeInTheDocument();
+  });
+
+  it('has no score section for normal runs', () => {
+    render(<RunSummaryModal summary={{ ...summary, challenge: undefined }} onClose={vi.fn()} />);
+
+    expect(screen.queryByText('COPY CODE')).toBeNull();
+  });
+});
@@ -114,7 +114,7 @@ const DeckBuilder = ({
     processedCardCollection, processedDroneCollection, activeComponentCollection,
     filterOptions, droneFilterOptions,
     cardCount, deckListForDisplay, baseCardCounts, typeCounts,
-    typeLimits, totalCardLimit, typeValid, isDeckValid,
+    typeLimits, totalCardLimit, typeValid, factionAllowances, isDeckValid,
     droneCount, droneListForDisplay, isDronesValid,
     shipComponentCount, shipComponentsValid,
     deckStats, droneStats, viewDeckData,
@@ -277,7 +277,7 @@ const DeckBuilder = ({
     shipComponentCount, isDeckValid, isDronesValid, shipComponentsValid,
     activeShip,
     deckListForDisplay, baseCardCounts, deck, onDeckChange,
-    typeLimits, typeCounts,
+    typeLimits, typeCounts, factionAllowances,
     droneListForDisplay, onDronesChange,
     selectedShipComponents, activeComponentCollection,
     deckStats, droneStats, activeChartView, setActiveChartView,
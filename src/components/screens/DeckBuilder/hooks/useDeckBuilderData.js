@@ -12,6 +12,8 @@ import {
   sortItems,
   buildDistribution,
   buildKeywordDistribution,
+  countOffFactionCards,
+  buildFactionAllowances,
 } from '../../../../logic/cards/deckBuilderHelpers.js';
 
 // --- Hook ---
@@ -169,6 +171,11 @@ const useDeckBuilderData = ({
     return { cardCount: total, deckListForDisplay: displayList, baseCardCounts: counts, typeCounts: types };
   }, [deck, processedCardCollection]);
 
+  const { factionAllowances, factionValid } = useMemo(() => {
+    const allowances = buildFactionAllowances(countOffFactionCards(deckListForDisplay, activeShip), activeShip);
+    return { factionAllowances: allowances, factionValid: allowances.every(a => !a.isOverLimit) };
+  }, [deckListForDisplay, activeShip]);
+
   const { typeLimits, totalCardLimit, typeValid, isDeckValid } = useMemo(() => {
     const limits = {
       Ordnance: activeShip?.deckLimits?.ordnanceLimit ?? 15,
@@ -184,9 +191,9 @@ const useDeckBuilderData = ({
       typeLimits: limits,
       totalCardLimit: totalLimit,
       typeValid: valid,
-      isDeckValid: cardCount === totalLimit && valid
+      isDeckValid: cardCount === totalLimit && valid && factionValid
     };
-  }, [activeShip, typeCounts, cardCount]);
+  }, [activeShip, typeCounts, cardCount, factionValid]);
 
   // --- Drone Counts & Validation ---
 
@@ -322,6 +329,7 @@ const useDeckBuilderData = ({
     typeLimits,
     totalCardLimit,
     typeValid,
+    factionAllowances,
     isDeckValid,
     droneCount,
     droneListForDisplay,
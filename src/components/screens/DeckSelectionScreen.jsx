@@ -10,6 +10,7 @@ import { SubmittingOverlay } from './WaitingForOpponentScreen.jsx';
 import { gameEngine } from '../../logic/gameLogic.js';
 import gameStateManager from '../../managers/GameStateManager.js';
 import p2pManager from '../../network/P2PManager.js';
+import dedicatedServerConnection from '../../network/DedicatedServerConnection.js';
 import DeckBuilder from './DeckBuilder/DeckBuilder.jsx';
 import fullCardCollection from '../../data/cardData.js';
 import fullDroneCollection from '../../data/droneData.js';
@@ -119,7 +120,7 @@ function DeckSelectionScreen({ onStepComplete }) {
       }
     };
 
-    // Remote player: Send action to host with immediate UI feedback
+    // Remote player: Send action to host through the transport with immediate UI feedback
     if (gameStateManager.isRemoteClient()) {
       debugLog('COMMIT_TRACE', 'Remote client sending deckSelection commitment to host', {
         phase: payload.phase,
@@ -131,7 +132,7 @@ function DeckSelectionScreen({ onStepComplete }) {
       });
 
       setIsSubmitting(true);
-      p2pManager.sendActionToHost('commitment', payload);
+      gameStateManager.submitCommitment(payload);
       onStepComplete?.();
       return;
     }
@@ -271,7 +272,7 @@ function DeckSelectionScreen({ onStepComplete }) {
       }
     };
 
-    // Remote player: Send action to host with immediate UI feedback
+    // Remote player: Send action to host through the transport with immediate UI feedback
     if (gameStateManager.isRemoteClient()) {
       debugLog('COMMIT_TRACE', 'Remote client sending deckSelection commitment to host (custom)', {
         phase: payload.phase,
@@ -285,7 +286,7 @@ function DeckSelectionScreen({ onStepComplete }) {
       // Set UI state immediately for visual feedback
       setIsSubmitting(true);
 
-      p2pManager.sendActionToHost('commitment', payload);
+      gameStateManager.submitCommitment(payload);
       setShowDeckBuilder(false);
       onStepComplete?.();
       return;
@@ -530,6 +531,7 @@ function DeckSelectionScreen({ onStepComplete }) {
               // Disconnect from multiplayer if applicable
               if (isMultiplayer()) {
                 p2pManager.disconnect();
+                dedicatedServerConnection.disconnect();
               }
               gameStateManager.setState({ appState: 'menu' });
             },
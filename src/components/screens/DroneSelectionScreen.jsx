@@ -11,6 +11,7 @@ import DroneCard from '../ui/DroneCard.jsx';
 import { advanceDroneSelectionTrio } from '../../utils/droneSelectionUtils.js';
 import gameStateManager from '../../managers/GameStateManager.js';
 import p2pManager from '../../network/P2PManager.js';
+import dedicatedServerConnection from '../../network/DedicatedServerConnection.js';
 import { debugLog } from '../../utils/debugLogger.js';
 import ConfirmationModal from '../modals/ConfirmationModal.jsx';
 import SoundManager from '../../managers/SoundManager.js';
@@ -121,7 +122,7 @@ function DroneSelectionScreen({ onStepComplete }) {
       commitmentsBefore: gameState.commitments?.droneSelection
     });
 
-    // Remote player: Send action to host with immediate UI feedback
+    // Remote player: Send action to host through the transport with immediate UI feedback
     if (gameStateManager.isRemoteClient()) {
       debugLog('COMMIT_TRACE', 'Remote client sending droneSelection commitment to host', {
         phase: payload.phase,
@@ -133,7 +134,7 @@ function DroneSelectionScreen({ onStepComplete }) {
       // Set UI state immediately for visual feedback
       setIsSubmitting(true);
 
-      p2pManager.sendActionToHost('commitment', payload);
+      gameStateManager.submitCommitment(payload);
       onStepComplete?.();
       return;
     }
@@ -292,6 +293,7 @@ function DroneSelectionScreen({ onStepComplete }) {
               // Disconnect from multiplayer if applicable
               if (isMultiplayer()) {
                 p2pManager.disconnect();
+                dedicatedServerConnection.disconnect();
               }
               gameStateManager.setState({ appState: 'menu' });
             },
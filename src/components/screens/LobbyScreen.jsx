@@ -13,7 +13,10 @@ import aiPhaseProcessor from '../../managers/AIPhaseProcessor.js';
 import gameStateManager from '../../managers/GameStateManager.js';
 import MultiplayerLobby from './MultiplayerLobby.jsx';
 import p2pManager from '../../network/P2PManager.js';
+import dedicatedServerConnection from '../../network/DedicatedServerConnection.js';
 import StateRedactor from '../../server/StateRedactor.js';
+import { createTurnClockState } from '../../config/timeControls.js';
+import { MATCH_RULE_PRESETS, getMatchRulePresets, createWinCondition, DEFAULT_MATCH_RULES } from '../../config/matchRules.js';
 import { debugLog } from '../../utils/debugLogger.js';
 import ViewDeckModal from '../modals/ViewDeckModal.jsx';
 import SoundManager from '../../managers/SoundManager.js';
@@ -27,9 +30,10 @@ function LobbyScreen() {
   const [selectedAI, setSelectedAI] = useState(null);
   const [deckModalOpen, setDeckModalOpen] = useState(false);
   const [deckModalAI, setDeckModalAI] = useState(null);
+  const [matchRules, setMatchRules] = useState(DEFAULT_MATCH_RULES);
 
   const isSinglePlayer = gameState.gameMode === 'local';
-  const isMultiplayer = gameState.gameMode !== 'local'; // Matches 'multiplayer', 'host', and 'guest' modes
+  const isMultiplayer = gameState.gameMode !== 'local'; // Matches 'multiplayer', 'host', 'guest', 'spectator' and 'online' modes
 
   // Setup P2P integration when entering multiplayer mode
   useEffect(() => {
@@ -39,13 +43,13 @@ function LobbyScreen() {
     }
   }, [isMultiplayer]);
 
-  // Guest: listen for host's game_started signal to transition to in-game
+  // Guest/spectator: listen for host's game_started signal to transition to in-game
   useEffect(() => {
     if (!isMultiplayer || p2pManager.isHost) return;
 
     const unsubscribe = p2pManager.subscribe((event) => {
       if (event.type === 'game_started') {
-        debugLog('MP_GAME_TRACE', 'Guest received game_started, transitioning to in-game');
+        debugLog('MP_GAME_TRACE', 'Client received game_started, transitioning to in-game', { isSpectator: p2pManager.isSpectator });
         handleMultiplayerGameStart();
       }
     });
@@ -53,6 +57,20 @@ function LobbyScreen() {
     return unsubscribe;
   }, [isMultiplayer]);
 
+  // Dedicated server: both seats wait for the server's game_started signal
+  useEffect(() => {
+    if (!isMultiplayer) return;
+
+    const unsubscribe = dedicatedServerConnection.subscribe((event) => {
+      if (event.type === 'game_started') {
+        debugLog('MP_GAME_TRACE', 'Dedicated server started the match, transitioning to in-game', { playerId: event.data.playerId });
+        handleDedicatedServerGameStart();
+      }
+    });
+
+    return unsubscribe;
+  }, [isMultiplayer]);
+
   const handleBackToMenu = () => {
     debugLog('PHASE_TRANSITIONS', '🔙 Returning to main menu');
     gameStateManager.setState({ appState: 'menu', gameMode: 'local' });
@@ -108,6 +126,7 @@ function LobbyScreen() {
       gameStateManager.actionProcessor.setAIPhaseProcessor(aiPhaseProcessor);
 
       // Start the game with selected AI
+      const winCondition = createWinCondition(matchRules);
       gameStateManager.startGame('local',
         { name: 'Player 1' },
         {
@@ -117,25 +136,35 @@ function LobbyScreen() {
           deployedDroneCounts: aiInitialCounts,
           aiPersonality: selectedAI,
           shipId: selectedAI.shipId
-        }
+        },
+        winCondition ? { winCondition } : {}
       );
     }
   };
 
-  const handleMultiplayerGameStart = () => {
+  const handleMultiplayerGameStart = ({ timeControl = null, matchRules = null, triggerResolution = null } = {}) => {
     // Determine game mode based on P2P role
     const isHost = p2pManager.isHost;
-    const gameMode = isHost ? 'host' : 'guest';
+    const gameMode = isHost ? 'host' : (p2pManager.isSpectator ? 'spectator' : 'guest');
+
+    debugLog('MP_GAME_TRACE', '[2/5] LobbyScreen starting multiplayer game', { role: gameMode, gameMode, timeControl, matchRules, triggerResolution });
 
-    debugLog('MP_GAME_TRACE', '[2/5] LobbyScreen starting multiplayer game', { role: gameMode, gameMode });
+    // Only the host seeds the clock and rules; guests and spectators receive them with the host's state
+    const turnClock = isHost ? createTurnClockState(timeControl) : null;
+    const winCondition = isHost ? createWinCondition(matchRules) : null;
 
     // Start the game with appropriate mode
     gameStateManager.startGame(gameMode,
       { name: isHost ? 'Host Player' : 'Guest Player' },
-      { name: isHost ? 'Guest Player' : 'Host Player' }
+      { name: isHost ? 'Guest Player' : 'Host Player' },
+      {
+        ...(turnClock && { turnClock }),
+        ...(winCondition && { winCondition }),
+        ...(isHost && triggerResolution && { triggerResolution })
+      }
     );
 
-    if (!isHost) {
+    if (gameMode === 'guest') {
       const guestState = gameStateManager.getState();
       debugLog('MP_GAME_TRACE', '[3/5] Guest startGame complete — GSM snapshot', {
         appState: guestState.appState,
@@ -158,9 +187,15 @@ function LobbyScreen() {
       const initialState = gameStateManager.getState();
       const redactedState = StateRedactor.redactForPlayer(initialState, 'player2');
       p2pManager.broadcastState(redactedState);
+      p2pManager.broadcastSpectatorState(StateRedactor.redactForSpectator(initialState));
     }
   };
 
+  // The server owns the authoritative state; its first sync replaces these placeholders
+  const handleDedicatedServerGameStart = () => {
+    gameStateManager.startGame('online', { name: 'Player 1' }, { name: 'Player 2' });
+  };
+
   const handleViewDeck = (ai) => {
     debugLog('LOBBY', '📋 Opening deck view for AI:', ai.name);
     setDeckModalAI(ai);
@@ -373,6 +408,37 @@ function LobbyScreen() {
                 </div>
               ))}
             </div>
+
+            {/* Match rules - victory condition for the match */}
+            <label className="body-font" style={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: '1rem',
+              color: '#d1d5db',
+              fontSize: '1rem'
+            }}>
+              <span>Victory Condition</span>
+              <select
+                value={matchRules}
+                onChange={(e) => setMatchRules(e.target.value)}
+                style={{
+                  backgroundColor: '#1e293b',
+                  border: '1px solid #4b5563',
+                  borderRadius: '0.5rem',
+                  padding: '0.5rem 0.75rem',
+                  color: '#ffffff',
+                  fontSize: '0.9rem'
+                }}
+              >
+                {getMatchRulePresets('vs').map(([id, preset]) => (
+                  <option key={id} value={id}>{preset.label}</option>
+                ))}
+              </select>
+            </label>
+            <p className="body-font" style={{ margin: '0.5rem 0 0 0', fontSize: '0.85rem', color: '#9ca3af' }}>
+              {MATCH_RULE_PRESETS[matchRules].description}
+            </p>
           </div>
         )}
 
@@ -14,12 +14,14 @@ import AIStrategyModal from '../modals/AIStrategyModal.jsx';
 import GameManualModal from '../modals/GameManualModal.jsx';
 import ScalingText from '../ui/ScalingText.jsx';
 import SoundManager from '../../managers/SoundManager.js';
+import { createDailyChallenge } from '../../logic/singlePlayer/dailyChallenge.js';
 
 // Menu button images
 const menuImages = {
   eremos: new URL('/Menu/Eremos.png', import.meta.url).href,
   vsAI: new URL('/Menu/VSAI.png', import.meta.url).href,
   vsMultiplayer: new URL('/Menu/VSMultiplayer.png', import.meta.url).href,
+  dailyChallenge: new URL('/Menu/NewGame.png', import.meta.url).href,
   deckBuilder: new URL('/Menu/Deck.png', import.meta.url).href,
   testingMode: new URL('/Menu/Train.png', import.meta.url).href
 };
@@ -148,6 +150,27 @@ function MenuScreen() {
     gameStateManager.setState({ appState: 'eremosEntry' });
   };
 
+  // Today's seeded run - starter loadout, same map and rolls for everyone
+  const dailyChallenge = createDailyChallenge();
+
+  const handleDailyChallenge = () => {
+    debugLog('PHASE_TRANSITIONS', `🚀 Selected: Daily Challenge ${dailyChallenge.id}`);
+
+    // Starter deck is in every profile - only create one if nothing is loaded
+    if (!gameStateManager.getState().singlePlayerProfile) {
+      gameStateManager.createNewSinglePlayerProfile();
+    }
+    gameStateManager.setState({ gameMode: 'singlePlayer' });
+
+    gameStateManager.startRun({
+      shipSlotId: dailyChallenge.shipSlotId,
+      mapTier: dailyChallenge.mapTier,
+      entryGateId: dailyChallenge.entryGateId,
+      runSeed: dailyChallenge.seed,
+      challenge: { id: dailyChallenge.id, seed: dailyChallenge.seed }
+    });
+  };
+
   return (
     <div className="body-font" style={{
       display: 'flex',
@@ -321,6 +344,13 @@ function MenuScreen() {
               onClick={() => gameStateManager.setState({ appState: 'deckBuilder' })}
               style={{ flex: '0 1 calc(33.333% - 0.5rem)', minHeight: '280px' }}
             />
+            <ImageButton
+              image={menuImages.dailyChallenge}
+              label="Daily Challenge"
+              subtitle={`Seeded Run: ${dailyChallenge.id}`}
+              onClick={handleDailyChallenge}
+              style={{ flex: '0 1 calc(33.333% - 0.5rem)', minHeight: '280px' }}
+            />
             {DEV_CONFIG.features.testingMode && (
               <ImageButton
                 image={menuImages.testingMode}
@@ -23,6 +23,7 @@ import MandatoryActionModal from '../modals/MandatoryActionModal.jsx';
 import ConfirmationModal from '../modals/ConfirmationModal.jsx';
 import AICardPlayReportModal from '../modals/AICardPlayReportModal.jsx';
 import AIDecisionLogModal from '../modals/AIDecisionLogModal.jsx';
+import AIDecisionTraceModal from '../modals/AIDecisionTraceModal.jsx';
 import AIHandDebugModal from '../modals/AIHandDebugModal.jsx';
 import GameDebugModal from '../modals/GameDebugModal.jsx';
 import WaitingForPlayerModal from '../modals/WaitingForPlayerModal.jsx';
@@ -159,6 +160,7 @@ function ModalShowcaseScreen() {
       ConfirmationModal,
       AICardPlayReportModal,
       AIDecisionLogModal,
+      AIDecisionTraceModal,
       AIHandDebugModal,
       GameDebugModal,
       WaitingForPlayerModal,
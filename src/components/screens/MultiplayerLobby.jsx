@@ -3,20 +3,36 @@
 // ========================================
 // UI component for creating and joining multiplayer rooms
 // Handles P2P connection setup and status display
+// Rooms can also be joined read-only as a spectator ("Watch Game")
+// A guest that reloaded mid-match can rejoin its held seat ("Rejoin Match")
+// Matches can also be played on a dedicated server (npm run server), which
+// seats both players and starts the match once the second one connects
 
 import React, { useState, useEffect } from 'react';
-import { Wifi, WifiOff, Copy, Check, Users, GamepadIcon, Loader2 } from 'lucide-react';
+import { Wifi, WifiOff, Copy, Check, Users, GamepadIcon, Loader2, Eye, RotateCcw, Server, Timer, Flag, ListOrdered } from 'lucide-react';
 import p2pManager from '../../network/P2PManager.js';
+import dedicatedServerConnection from '../../network/DedicatedServerConnection.js';
 import { debugLog } from '../../utils/debugLogger.js';
+import { TIME_CONTROL_PRESETS, DEFAULT_TIME_CONTROL } from '../../config/timeControls.js';
+import { getMatchRulePresets, DEFAULT_MATCH_RULES } from '../../config/matchRules.js';
+import { TRIGGER_RESOLUTION_MODES } from '../../logic/triggers/triggerConstants.js';
+
+const DEFAULT_SERVER_URL = import.meta.env.VITE_GAME_SERVER_URL || 'ws://localhost:8787';
 
 const MultiplayerLobby = ({ onGameStart, onBack }) => {
-  const [mode, setMode] = useState('menu'); // 'menu', 'host', 'join', 'waiting', 'connected'
+  const [mode, setMode] = useState('menu'); // 'menu', 'host', 'join', 'watch', 'server', 'waiting', 'connected', 'serverWaiting'
   const [roomCode, setRoomCode] = useState('');
   const [inputRoomCode, setInputRoomCode] = useState('');
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  const [savedSession, setSavedSession] = useState(() => p2pManager.getSavedSession());
+  const [serverUrl, setServerUrl] = useState(DEFAULT_SERVER_URL);
+  const [timeControl, setTimeControl] = useState(DEFAULT_TIME_CONTROL);
+  const [matchRules, setMatchRules] = useState(DEFAULT_MATCH_RULES);
+  const [triggerResolution, setTriggerResolution] = useState(TRIGGER_RESOLUTION_MODES.PRIORITY);
 
   useEffect(() => {
     // Subscribe to P2P events
@@ -49,6 +65,42 @@ const MultiplayerLobby = ({ onGameStart, onBack }) => {
           setMode('menu');
           setRoomCode('');
           setError('');
+          setSpectatorCount(0);
+          break;
+
+        case 'connection_error':
+          setError(event.data.error);
+          setIsLoading(false);
+          setMode('menu');
+          break;
+
+        case 'spectator_joined':
+        case 'spectator_left':
+          setSpectatorCount(event.data.spectatorCount);
+          break;
+
+        default:
+          break;
+      }
+    });
+
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    // Subscribe to dedicated server events
+    const unsubscribe = dedicatedServerConnection.subscribe((event) => {
+      switch (event.type) {
+        case 'connected':
+          setMode('serverWaiting');
+          setConnectionStatus('waiting');
+          setIsLoading(false);
+          setError('');
+          break;
+
+        case 'disconnected':
+          setConnectionStatus('disconnected');
+          setMode('menu');
           break;
 
         case 'connection_error':
@@ -102,6 +154,58 @@ const MultiplayerLobby = ({ onGameStart, onBack }) => {
     }
   };
 
+  const handleWatchGame = async () => {
+    if (inputRoomCode.length !== 6) {
+      setError('Please enter a 6-digit room code');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    setMode('watch');
+
+    try {
+      debugLog('MP_JOIN_TRACE', '[1/7] User clicked Watch button', { action: 'watch', roomCode: inputRoomCode });
+      await p2pManager.joinGame(inputRoomCode, { asSpectator: true });
+    } catch (error) {
+      debugLog('MP_JOIN_TRACE', 'Watch game failed', { error: true, message: error.message });
+      setError(error.message);
+      setIsLoading(false);
+      setMode('menu');
+    }
+  };
+
+  const handleRejoinMatch = async () => {
+    setIsLoading(true);
+    setError('');
+    setMode('join');
+
+    try {
+      debugLog('MP_JOIN_TRACE', '[1/7] User clicked Rejoin button', { action: 'rejoin', roomCode: savedSession.roomCode });
+      await p2pManager.joinGame(savedSession.roomCode, { sessionToken: savedSession.sessionToken });
+    } catch (error) {
+      debugLog('MP_JOIN_TRACE', 'Rejoin match failed', { error: true, message: error.message });
+      setError(error.message);
+      setIsLoading(false);
+      setMode('menu');
+      setSavedSession(p2pManager.getSavedSession());
+    }
+  };
+
+  const handleConnectToServer = async () => {
+    setIsLoading(true);
+    setError('');
+    setMode('server');
+
+    try {
+      debugLog('MP_JOIN_TRACE', 'User clicked Connect to Server', { action: 'server', serverUrl });
+      await dedicatedServerConnection.connect(serverUrl);
+    } catch (error) {
+      debugLog('MP_JOIN_TRACE', 'Dedicated server connection failed', { error: true, message: error.message });
+      // connection_error listener has already surfaced the message
+    }
+  };
+
   const handleCopyRoomCode = async () => {
     try {
       await navigator.clipboard.writeText(roomCode);
@@ -114,13 +218,14 @@ const MultiplayerLobby = ({ onGameStart, onBack }) => {
 
   const handleStartGame = () => {
     if (connectionStatus === 'connected') {
-      debugLog('MP_GAME_TRACE', '[1/5] Host clicked Start Game', { connected: true });
-      onGameStart();
+      debugLog('MP_GAME_TRACE', '[1/5] Host clicked Start Game', { connected: true, timeControl, matchRules, triggerResolution });
+      onGameStart({ timeControl, matchRules, triggerResolution });
     }
   };
 
   const handleDisconnect = () => {
     p2pManager.disconnect();
+    dedicatedServerConnection.disconnect();
     setMode('menu');
     setRoomCode('');
     setInputRoomCode('');
@@ -147,7 +252,7 @@ const MultiplayerLobby = ({ onGameStart, onBack }) => {
         return (
           <div className="flex items-center gap-2 text-green-400">
             <Wifi className="w-4 h-4" />
-            <span>Connected to opponent</span>
+            <span>{p2pManager.isSpectator ? 'Connected as spectator' : 'Connected to opponent'}</span>
           </div>
         );
       case 'disconnected':
@@ -210,6 +315,18 @@ const MultiplayerLobby = ({ onGameStart, onBack }) => {
         {/* Mode-specific content */}
         {mode === 'menu' && (
           <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+            {savedSession && (
+              <button
+                onClick={handleRejoinMatch}
+                disabled={isLoading}
+                className="dw-btn-hud dw-btn-hud-cyan"
+                style={{ width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.5rem' }}
+              >
+                <RotateCcw className="w-5 h-5" />
+                Rejoin Match (Room {savedSession.roomCode})
+              </button>
+            )}
+
             <button
               onClick={handleHostGame}
               disabled={isLoading}
@@ -258,6 +375,45 @@ const MultiplayerLobby = ({ onGameStart, onBack }) => {
                 )}
                 Join Game
               </button>
+              <button
+                onClick={handleWatchGame}
+                disabled={isLoading || inputRoomCode.length !== 6}
+                className="dw-btn-hud dw-btn-hud-ghost"
+                style={{ width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.5rem' }}
+              >
+                <Eye className="w-5 h-5" />
+                Watch Game
+              </button>
+            </div>
+
+            <div style={{ textAlign: 'center', color: '#9ca3af', fontSize: '0.875rem' }}>or play on a dedicated server</div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+              <input
+                type="text"
+                placeholder="ws://host:port"
+                value={serverUrl}
+                onChange={(e) => setServerUrl(e.target.value.trim())}
+                style={{
+                  width: '100%',
+                  backgroundColor: '#1e293b',
+                  border: '1px solid #4b5563',
+                  borderRadius: '0.5rem',
+                  padding: '0.75rem 1rem',
+                  color: '#ffffff',
+                  textAlign: 'center',
+                  fontSize: '0.875rem'
+                }}
+              />
+              <button
+                onClick={handleConnectToServer}
+                disabled={isLoading || !/^wss?:\/\//.test(serverUrl)}
+                className="dw-btn-hud dw-btn-hud-cyan"
+                style={{ width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.5rem' }}
+              >
+                <Server className="w-5 h-5" />
+                Connect to Server
+              </button>
             </div>
           </div>
         )}
@@ -311,18 +467,91 @@ const MultiplayerLobby = ({ onGameStart, onBack }) => {
               padding: '1rem'
             }}>
               <p style={{ color: '#86efac' }}>
-                ✅ Connected to opponent!
+                {p2pManager.isSpectator ? '👁 Watching this room' : '✅ Connected to opponent!'}
               </p>
               {roomCode && (
                 <p style={{ color: '#9ca3af', fontSize: '0.875rem', marginTop: '0.25rem' }}>
                   Room: {roomCode}
                 </p>
               )}
+              {p2pManager.isHost && spectatorCount > 0 && (
+                <p style={{ color: '#9ca3af', fontSize: '0.875rem', marginTop: '0.25rem' }}>
+                  Spectators: {spectatorCount}
+                </p>
+              )}
             </div>
             {p2pManager.isHost ? (
-              <button onClick={handleStartGame} className="dw-btn-hud dw-btn-hud-cyan" style={{ width: '100%' }}>
-                Start Game
-              </button>
+              <>
+                <label style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', color: '#d1d5db', fontSize: '0.875rem' }}>
+                  <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <Timer className="w-4 h-4" />
+                    Time control
+                  </span>
+                  <select
+                    value={timeControl || ''}
+                    onChange={(e) => setTimeControl(e.target.value || null)}
+                    style={{
+                      backgroundColor: '#1e293b',
+                      border: '1px solid #4b5563',
+                      borderRadius: '0.5rem',
+                      padding: '0.5rem 0.75rem',
+                      color: '#ffffff',
+                      fontSize: '0.875rem'
+                    }}
+                  >
+                    <option value="">Untimed</option>
+                    {Object.entries(TIME_CONTROL_PRESETS).map(([id, preset]) => (
+                      <option key={id} value={id}>{preset.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', color: '#d1d5db', fontSize: '0.875rem' }}>
+                  <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <Flag className="w-4 h-4" />
+                    Victory
+                  </span>
+                  <select
+                    value={matchRules}
+                    onChange={(e) => setMatchRules(e.target.value)}
+                    style={{
+                      backgroundColor: '#1e293b',
+                      border: '1px solid #4b5563',
+                      borderRadius: '0.5rem',
+                      padding: '0.5rem 0.75rem',
+                      color: '#ffffff',
+                      fontSize: '0.875rem'
+                    }}
+                  >
+                    {getMatchRulePresets('multiplayer').map(([id, preset]) => (
+                      <option key={id} value={id} title={preset.description}>{preset.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', color: '#d1d5db', fontSize: '0.875rem' }}>
+                  <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <ListOrdered className="w-4 h-4" />
+                    Triggers
+                  </span>
+                  <select
+                    value={triggerResolution}
+                    onChange={(e) => setTriggerResolution(e.target.value)}
+                    style={{
+                      backgroundColor: '#1e293b',
+                      border: '1px solid #4b5563',
+                      borderRadius: '0.5rem',
+                      padding: '0.5rem 0.75rem',
+                      color: '#ffffff',
+                      fontSize: '0.875rem'
+                    }}
+                  >
+                    <option value={TRIGGER_RESOLUTION_MODES.PRIORITY} title="Simultaneous triggers resolve Self > Actor > Reactor, left to right">Priority order</option>
+                    <option value={TRIGGER_RESOLUTION_MODES.PLAYER_CHOICE} title="Players order their own simultaneous triggers from attacks, moves, deployments and drone abilities; the opponent may respond with a Reaction card. Card effects and round start/end triggers still resolve in priority order">Player ordered (board actions)</option>
+                  </select>
+                </label>
+                <button onClick={handleStartGame} className="dw-btn-hud dw-btn-hud-cyan" style={{ width: '100%' }}>
+                  Start Game
+                </button>
+              </>
             ) : (
               <div style={{
                 backgroundColor: 'rgba(59, 130, 246, 0.1)',
@@ -332,17 +561,27 @@ const MultiplayerLobby = ({ onGameStart, onBack }) => {
                 color: '#93c5fd'
               }}>
                 <Loader2 className="w-5 h-5 animate-spin" style={{ margin: '0 auto 0.5rem auto', color: '#60a5fa' }} />
-                <p>Waiting for host to start game...</p>
+                <p>{p2pManager.isSpectator ? 'Waiting for the match to start...' : 'Waiting for host to start game...'}</p>
               </div>
             )}
           </div>
         )}
 
-        {(mode === 'host' || mode === 'join') && isLoading && (
+        {mode === 'serverWaiting' && (
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.5rem', color: '#facc15' }}>
+            <Loader2 className="w-5 h-5 animate-spin" />
+            <span>Seated as {dedicatedServerConnection.playerId === 'player1' ? 'Player 1' : 'Player 2'} — waiting for opponent...</span>
+          </div>
+        )}
+
+        {(mode === 'host' || mode === 'join' || mode === 'watch' || mode === 'server') && isLoading && (
           <div style={{ textAlign: 'center' }}>
             <Loader2 className="w-8 h-8 animate-spin text-purple-400" style={{ margin: '0 auto 1rem auto', color: '#c084fc' }} />
             <p style={{ color: '#d1d5db' }}>
-              {mode === 'host' ? 'Creating room...' : 'Joining room...'}
+              {mode === 'host' ? 'Creating room...'
+                : mode === 'watch' ? 'Joining as spectator...'
+                : mode === 'server' ? 'Connecting to server...'
+                : 'Joining room...'}
             </p>
           </div>
         )}
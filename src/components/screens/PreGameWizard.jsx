@@ -10,14 +10,14 @@ import React, { useState } from 'react';
 import { useGameState } from '../../hooks/useGameState.js';
 import DeckSelectionScreen from './DeckSelectionScreen.jsx';
 import DroneSelectionScreen from './DroneSelectionScreen.jsx';
-import WaitingForOpponentScreen from './WaitingForOpponentScreen.jsx';
+import WaitingForOpponentScreen, { SpectatorWaitingScreen } from './WaitingForOpponentScreen.jsx';
 import { debugLog } from '../../utils/debugLogger.js';
 
 const STEPS = ['deckSelection', 'droneSelection'];
 
 function PreGameWizard() {
   const [localStepIndex, setLocalStepIndex] = useState(0);
-  const { isMultiplayer } = useGameState();
+  const { gameState, isMultiplayer } = useGameState();
 
   const handleStepComplete = () => {
     const nextIndex = localStepIndex + 1;
@@ -25,6 +25,11 @@ function PreGameWizard() {
     setLocalStepIndex(nextIndex);
   };
 
+  // Spectators have no selections to make — wait for the server to start the battle
+  if (gameState.gameMode === 'spectator') {
+    return <SpectatorWaitingScreen />;
+  }
+
   // All 3 steps done — show waiting screen in multiplayer, or nothing
   // (server will transition to roundInitialization when both players finish)
   if (localStepIndex >= STEPS.length) {
@@ -14,6 +14,8 @@ import gameStateManager from '../../../managers/GameStateManager.js';
 import tacticalMapStateManager from '../../../managers/TacticalMapStateManager.js';
 import { mapTiers } from '../../../data/mapData.js';
 import { buildShipSections } from '../../../logic/singlePlayer/shipSectionBuilder.js';
+import SensorController from '../../../logic/map/SensorController.js';
+import { isHexRevealed } from '../../../logic/map/fogOfWar.js';
 import { debugLog } from '../../../utils/debugLogger.js';
 import TacticalMapHeader from '../../ui/TacticalMapHeader.jsx';
 import TacticalItemsPanel from '../../ui/TacticalItemsPanel.jsx';
@@ -452,6 +454,22 @@ function TacticalMapScreen() {
     setShowInventory(true);
   };
 
+  /**
+   * Handle active scan - reveal unknown signals beyond sensor range for a detection cost
+   */
+  const handleScan = () => {
+    if (isMoving) return;
+    const result = SensorController.scan(tierConfig);
+    debugLog('MOVEMENT', 'Active scan', result);
+  };
+
+  /**
+   * Check if a hex's identity is known (fog of war)
+   * @param {Object} hex - Hex to check
+   * @returns {boolean} True if revealed
+   */
+  const isRevealed = (hex) => isHexRevealed(hex, currentRunState);
+
   /**
    * Handle closing inventory modal
    */
@@ -508,6 +526,9 @@ function TacticalMapScreen() {
         shipId={shipSlot.shipId || 'SHIP_001'}
         currentHexIndex={currentHexIndex}
         backgroundIndex={mapData?.backgroundIndex}
+        patrols={currentRunState.patrols || []}
+        revealedPOIs={currentRunState.revealedPOIs || []}
+        revealedHexes={currentRunState.revealedHexes}
       />
 
       {/* HUD Overlay - now only bottom buttons */}
@@ -517,6 +538,9 @@ function TacticalMapScreen() {
         onExtractClick={handleExtract}
         onAbandonClick={handleAbandon}
         onInventoryClick={handleInventory}
+        onScanClick={handleScan}
+        scanCost={SensorController.getScanConfig(tierConfig).detectionCost}
+        canScan={!isMoving && SensorController.canScan(tierConfig)}
       />
 
       {/* Tactical Items Panel - Bottom left corner */}
@@ -548,6 +572,7 @@ function TacticalMapScreen() {
         onBackToJourney={handleBackToJourney}
         onToggleWaypoint={handleToggleWaypoint}
         isWaypointFn={isWaypoint}
+        isRevealedFn={isRevealed}
 
         // Movement state
         isMoving={isMoving}
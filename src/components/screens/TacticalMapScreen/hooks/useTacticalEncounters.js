@@ -234,7 +234,7 @@ export function useTacticalEncounters({
       let loot;
       if (packType === 'TOKEN_REWARD') {
         // Token reward - guaranteed 1 security token + salvage item (50-100 credits)
-        const rng = SeededRandom.fromGameState(gameStateManager.getState());
+        const rng = SeededRandom.forRun(gameStateManager.getState(), currentRunState?.runSeed);
         const creditValue = 50 + Math.floor(rng.random() * 51);
         const salvageItem = generateSalvageItemFromValue(creditValue, rng);
         loot = {
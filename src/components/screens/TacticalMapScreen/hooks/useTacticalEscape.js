@@ -14,6 +14,7 @@ import DetectionManager from '../../../../logic/detection/DetectionManager.js';
 import aiPersonalities from '../../../../data/aiData.js';
 import { getTacticalItemById } from '../../../../data/tacticalItemData.js';
 import SeededRandom from '../../../../utils/seededRandom.js';
+import { getRunSeed } from '../../../../logic/singlePlayer/runSeed.js';
 import { debugLog } from '../../../../utils/debugLogger.js';
 
 // Delay before executing threat reduce after modal close (ms)
@@ -116,7 +117,7 @@ export function useTacticalEscape({
 
     // Use seeded random for determinism (offset by remaining item count for unique rolls)
     const remainingCount = gameStateManager.getTacticalItemCount('ITEM_THREAT_REDUCE');
-    const baseRng = SeededRandom.fromGameState(gameStateManager.getState());
+    const baseRng = SeededRandom.forRun(gameStateManager.getState(), tacticalMapStateManager.getState()?.runSeed);
     const itemUseOffset = THREAT_REDUCE_SEED_OFFSET + (remainingCount * 100);
     const rng = new SeededRandom(baseRng.seed + itemUseOffset);
     const reductionAmount = rng.randomIntInclusive(min, max);
@@ -195,7 +196,9 @@ export function useTacticalEscape({
       : aiPersonalities[0];  // Default to first AI for damage calculation
 
     // Execute escape - applies variable damage based on AI type
-    const { wouldDestroy, updatedSections, totalDamage, damageHits, initialSections } = ExtractionController.executeEscape(runState, aiPersonality);
+    // Seeded runs roll escape damage from the run seed (null = random)
+    const escapeSeed = getRunSeed(runState, 'escape', runState.hexesMoved || 0);
+    const { wouldDestroy, updatedSections, totalDamage, damageHits, initialSections } = ExtractionController.executeEscape(runState, aiPersonality, escapeSeed);
 
     if (wouldDestroy) {
       // Ship destroyed - trigger MIA
@@ -9,6 +9,10 @@ import { useCallback } from 'react';
 import tacticalMapStateManager from '../../../../managers/TacticalMapStateManager.js';
 import DetectionManager from '../../../../logic/detection/DetectionManager.js';
 import EncounterController from '../../../../logic/encounters/EncounterController.js';
+import PatrolController from '../../../../logic/encounters/PatrolController.js';
+import TerrainController from '../../../../logic/map/TerrainController.js';
+import SensorController from '../../../../logic/map/SensorController.js';
+import { getTerrainMoveCost } from '../../../../logic/map/terrainUtils.js';
 import SalvageController from '../../../../logic/salvage/SalvageController.js';
 import SoundManager from '../../../../managers/SoundManager.js';
 import transitionManager from '../../../../managers/TransitionManager.js';
@@ -173,7 +177,8 @@ export function useTacticalMovement({
 
         // NOTE: Don't set currentHexIndex here - it's set to 0 after each trim (line ~842)
         // The path is trimmed after each move, so currentHexIndex should always be 0
-        const targetHex = path[hexIndex];
+        // Use the live hex - drifting terrain may have moved since the path was planned
+        const targetHex = TerrainController.getLiveHex(path[hexIndex]);
 
         // Phase 1: Scan delay (warning overlay stays active throughout journey)
         const shouldContinueScan = await waitWithPauseSupport(SCAN_DELAY);
@@ -182,6 +187,12 @@ export function useTacticalMovement({
         // Phase 2: Move to hex (zone-based detection cost)
         moveToSingleHex(targetHex, tierConfig, mapRadius);
 
+        // Terrain effects (asteroid damage, beacon reveals, ion storm drift)
+        TerrainController.processPlayerMove(targetHex);
+
+        // Passive sensor sweep - identify PoIs and gates now in range
+        SensorController.sweep();
+
         // Update path progress ref synchronously (for combat storage accuracy)
         pathProgressRef.current = { waypointIndex: wpIndex, hexIndex };
 
@@ -206,11 +217,12 @@ export function useTacticalMovement({
         // Check if max detection was triggered during move - stop BEFORE encounter check
         if (shouldStopMovement.current) break;
 
-        // Phase 3: Check for random encounter on this hex
-        const encounterResult = EncounterController.checkMovementEncounter(targetHex, tierConfig);
+        // Phase 3: Patrols take their turn, then check for random encounter on this hex
+        const encounterResult = PatrolController.processPlayerMove(targetHex, tierConfig)
+          || EncounterController.checkMovementEncounter(targetHex, tierConfig);
 
         if (encounterResult) {
-          debugLog('ENCOUNTER', 'Random encounter triggered on hex!');
+          debugLog('ENCOUNTER', encounterResult.patrolId ? 'Patrol intercepted player!' : 'Random encounter triggered on hex!');
           setCurrentEncounter(encounterResult);
           setShowPOIModal(true);
 
@@ -222,8 +234,8 @@ export function useTacticalMovement({
           if (shouldStopMovement.current) break;
         }
 
-        // Complete movement animation
-        const shouldContinueMove = await waitWithPauseSupport(MOVE_DELAY);
+        // Complete movement animation (slow terrain like nebulae takes longer)
+        const shouldContinueMove = await waitWithPauseSupport(MOVE_DELAY * getTerrainMoveCost(targetHex));
         if (!shouldContinueMove) break;
       }
 
@@ -9,6 +9,7 @@ import tacticalMapStateManager from '../../../../managers/TacticalMapStateManage
 import rewardManager from '../../../../managers/RewardManager.js';
 import HighAlertManager from '../../../../logic/salvage/HighAlertManager.js';
 import SalvageController from '../../../../logic/salvage/SalvageController.js';
+import { getRunRNG } from '../../../../logic/singlePlayer/runSeed.js';
 import { mapTiers } from '../../../../data/mapData.js';
 import { debugLog } from '../../../../utils/debugLogger.js';
 import { isBlueprintRewardType } from './useTacticalSubscriptions.js';
@@ -126,7 +127,7 @@ export function useTacticalPostCombat({
           debugLog('ENCOUNTER', 'POI marked as looted (fallback)');
           return;
         } else {
-          const updatedRunState = HighAlertManager.addHighAlert(tacticalRunState, { q, r });
+          const updatedRunState = HighAlertManager.addHighAlert(tacticalRunState, { q, r }, getRunRNG(tacticalRunState, 'highAlert', q, r));
           tacticalMapStateManager.setState({
             highAlertPOIs: updatedRunState.highAlertPOIs
           });
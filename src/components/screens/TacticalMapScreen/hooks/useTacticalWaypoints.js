@@ -7,6 +7,7 @@
 import { useCallback, useMemo } from 'react';
 import MovementController from '../../../../logic/map/MovementController.js';
 import EscapeRouteCalculator from '../../../../logic/map/EscapeRouteCalculator.js';
+import { isHexRevealed } from '../../../../logic/map/fogOfWar.js';
 import DetectionManager from '../../../../logic/detection/DetectionManager.js';
 import EncounterController from '../../../../logic/encounters/EncounterController.js';
 import SoundManager from '../../../../managers/SoundManager.js';
@@ -107,7 +108,7 @@ export function useTacticalWaypoints({
   const findWeightedPath = useCallback((from, to) => {
     if (pathfindingMode === 'lowThreat') {
       const result = EscapeRouteCalculator.findLowestThreatPath(
-        from, to, mapData.hexes, tierConfig, mapData.radius
+        from, to, mapData.hexes, tierConfig, mapData.radius, currentRunState?.patrols
       );
       return result?.path || null;
     } else {
@@ -116,7 +117,7 @@ export function useTacticalWaypoints({
       );
       return result?.path || null;
     }
-  }, [pathfindingMode, mapData, tierConfig]);
+  }, [pathfindingMode, mapData, tierConfig, currentRunState?.patrols]);
 
   // --- Path Preview ---
 
@@ -139,6 +140,12 @@ export function useTacticalWaypoints({
 
   // --- Waypoint CRUD ---
 
+  // Salvage threat for a waypoint hex (unknown signals don't reveal theirs)
+  const getSalvageThreat = (hex) => {
+    if (hex.type !== 'poi' || !isHexRevealed(hex, tacticalMapStateManager.getState())) return 0;
+    return hex.poiData?.threatIncrease || tierConfig.detectionTriggers.looting;
+  };
+
   const addWaypoint = useCallback((hex) => {
     debugLog('WAYPOINT_MANAGER', 'addWaypoint called', { hex: { q: hex?.q, r: hex?.r }, lastPosition: getLastJourneyPosition() });
 
@@ -151,10 +158,7 @@ export function useTacticalWaypoints({
       return false;
     }
 
-    let segmentCost = MovementController.calculateDetectionCost(path, tierConfig, mapData.radius);
-    if (hex.type === 'poi') {
-      segmentCost += hex.poiData?.threatIncrease || tierConfig.detectionTriggers.looting;
-    }
+    const segmentCost = MovementController.calculateDetectionCost(path, tierConfig, mapData.radius) + getSalvageThreat(hex);
     const prevDetection = getJourneyEndDetection();
     const cumulativeDetection = prevDetection + segmentCost;
 
@@ -197,10 +201,7 @@ export function useTacticalWaypoints({
       const path = MovementController.calculatePath(prevPosition, recalculated[i].hex, mapData.hexes);
 
       if (path) {
-        let segmentCost = MovementController.calculateDetectionCost(path, tierConfig, mapData.radius);
-        if (recalculated[i].hex.type === 'poi') {
-          segmentCost += recalculated[i].hex.poiData?.threatIncrease || tierConfig.detectionTriggers.looting;
-        }
+        const segmentCost = MovementController.calculateDetectionCost(path, tierConfig, mapData.radius) + getSalvageThreat(recalculated[i].hex);
 
         const segmentEncounterRisk = MovementController.calculateEncounterRisk(path, tierConfig, mapData);
 
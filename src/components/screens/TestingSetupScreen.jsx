@@ -9,6 +9,7 @@ import { ArrowRight, ArrowLeft } from 'lucide-react';
 import { useGameState } from '../../hooks/useGameState.js';
 import fullDroneCollection from '../../data/droneData.js';
 import fullCardCollection from '../../data/cardData.js';
+import { getDefaultShip } from '../../data/shipDataHelpers.js';
 import { initializeTestGame, createDefaultTestConfig } from '../../test/helpers/testGameInitializer.js';
 import { startingDecklist } from '../../logic/gameLogic.js';
 import { debugLog } from '../../utils/debugLogger.js';
@@ -472,6 +473,7 @@ function TestingSetupScreen() {
         allCards={fullCardCollection}
         title="Build Deck for Player 1"
         minCards={40}
+        ship={getDefaultShip()}
       />
 
       <DeckBuildingModal
@@ -482,6 +484,7 @@ function TestingSetupScreen() {
         allCards={fullCardCollection}
         title="Build Deck for Player 2"
         minCards={40}
+        ship={getDefaultShip()}
       />
 
       {/* Hand Card Selection Modals */}
@@ -28,6 +28,26 @@ export const SubmittingOverlay = () => {
   );
 };
 
+/**
+ * SPECTATOR WAITING SCREEN COMPONENT
+ * Shown to spectators while both players complete pre-game setup.
+ */
+export const SpectatorWaitingScreen = () => {
+  return (
+    <div className="flex flex-col items-center justify-center h-full">
+      <div className="text-center p-8">
+        <Loader2 className="w-16 h-16 mx-auto text-cyan-400 animate-spin mb-6" />
+        <h2 className="text-3xl font-bold text-white mb-4">
+          Spectating
+        </h2>
+        <p className="text-gray-400 text-lg">
+          The players are choosing their decks and drones...
+        </p>
+      </div>
+    </div>
+  );
+};
+
 /**
  * WAITING FOR OPPONENT SCREEN COMPONENT
  * Displays waiting screen when opponent is still making selections.
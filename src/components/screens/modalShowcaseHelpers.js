@@ -410,6 +410,42 @@ export const getMockPropsForModal = (modalName) => {
         onClose: () => console.log('Modal closed')
       }
     },
+    'AIDecisionTraceModal': {
+      category: 'aiDebug',
+      props: {
+        trace: {
+          phase: 'action',
+          outcome: 'attack',
+          summary: 'Drew Mammoth → Dart (score 85) from 1 action(s) within 20 of the top score',
+          thresholds: { topScore: 85, minimumScore: 0, poolRange: 20 },
+          candidates: [
+            {
+              type: 'attack',
+              instigator: 'Mammoth',
+              targetName: 'Dart',
+              baseScore: 70,
+              baseLogic: ['Target has low health', 'No shields'],
+              adjustments: [{ pass: 'Interception', delta: 15, logic: ['No interceptors in lane: +15'] }],
+              finalScore: 85,
+              chosen: true,
+              rejection: null
+            },
+            {
+              type: 'play_card',
+              instigator: 'Laser Blast',
+              targetName: 'Talon',
+              baseScore: 60,
+              baseLogic: ['Damage: +40', 'Lethal: +20'],
+              adjustments: [{ pass: 'Jammer', delta: -30, logic: ['Blocked by Jammer: -30'] }],
+              finalScore: 30,
+              chosen: false,
+              rejection: 'Score 30 is more than 20 below the top score (85)'
+            }
+          ]
+        },
+        onClose: () => console.log('Modal closed')
+      }
+    },
     'AIHandDebugModal': {
       category: 'aiDebug',
       props: {
@@ -1044,7 +1080,7 @@ export const getModalsByCategory = () => {
       'WinnerModal', 'WinnerModal (Defeat)', 'WaitingForPlayerModal', 'GamePhaseModal',
       'PhaseAnnouncementOverlay', 'PhaseAnnouncementOverlay (Action)', 'PhaseAnnouncementOverlay (Combat)',
       // AI debug modals
-      'AICardPlayReportModal', 'AIDecisionLogModal', 'AIHandDebugModal',
+      'AICardPlayReportModal', 'AIDecisionLogModal', 'AIDecisionTraceModal', 'AIHandDebugModal',
       // Player action modals
       'MandatoryActionModal', 'ConfirmationModal', 'OpponentDronesModal',
       // Upgrade modals
@@ -1078,7 +1114,7 @@ export const getModalsByCategory = () => {
       'PhaseAnnouncementOverlay', 'PhaseAnnouncementOverlay (Action)', 'PhaseAnnouncementOverlay (Combat)'
     ],
     aiDebug: [
-      'AICardPlayReportModal', 'AIDecisionLogModal', 'AIHandDebugModal'
+      'AICardPlayReportModal', 'AIDecisionLogModal', 'AIDecisionTraceModal', 'AIHandDebugModal'
     ],
     playerActions: [
       'MandatoryActionModal', 'ConfirmationModal', 'OpponentDronesModal'
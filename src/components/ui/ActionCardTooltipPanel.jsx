@@ -7,7 +7,7 @@
 
 import React from 'react';
 import {
-  AlertTriangle, RotateCcw, Zap, Map, TrendingUp,
+  AlertTriangle, RotateCcw, Zap, Map, TrendingUp, Timer,
 } from 'lucide-react';
 import actionCardTooltipDescriptions from '../../data/descriptions/actionCardTooltipDescriptions.js';
 
@@ -49,6 +49,7 @@ const PROPERTY_ICONS = {
   'momentum-cost': <TrendingUp size={18} className="text-blue-400" />,
   'lanes-controlled': <Map size={18} className="text-cyan-400" />,
   'momentum-bonus': <TrendingUp size={18} className="text-blue-400" />,
+  'reaction': <Timer size={18} className="text-purple-400" />,
 };
 
 // ========================================
@@ -112,6 +113,10 @@ export function buildActionCardTooltipItems(card, unplayableReasons = [], contex
     propertyItems.push(createTooltipItem('momentum-cost', PROPERTY_ICONS));
   }
 
+  if (card.reaction) {
+    propertyItems.push(createTooltipItem('reaction', PROPERTY_ICONS));
+  }
+
   if (firstEffect?.repeat?.type === 'LANES_CONTROLLED') {
     propertyItems.push(createTooltipItem('lanes-controlled', PROPERTY_ICONS));
   }
@@ -12,6 +12,7 @@ import TechSlots from './TechSlots.jsx';
 import LaneControlBar from './LaneControlBar.jsx';
 import { debugLog } from '../../utils/debugLogger.js';
 import { resolveShipSectionStats } from '../../logic/cards/shipSectionImageResolver.js';
+import { getShipCard, getShipAbilityActivations } from '../../logic/utils/shipCardUtils.js';
 
 const SECTION_SLOT_HEIGHT = 'clamp(143px, 6.25vw, 184px)';
 
@@ -28,6 +29,7 @@ const ShipSectionSlot = ({
   placedSections,
   onSectionClick,
   onAbilityClick,
+  onShipCardAbilityClick,
   onTargetClick,
   onViewFullCard,
   isInteractive,
@@ -52,6 +54,7 @@ const ShipSectionSlot = ({
   draggedActionCard,
   handleActionCardDragEnd,
   playerEffectiveStats,
+  shipCard,
 }) => {
   const sectionName = placedSections[sectionIndex];
 
@@ -95,6 +98,11 @@ const ShipSectionSlot = ({
     displayStats = resolvedSectionStats;
   }
 
+  // Ship card ability state (middle section shows the ship card's bonus and ability)
+  const shipAbility = shipCard?.shipAbility;
+  const shipAbilitySpent = !!shipAbility && shipAbility.activationLimit != null &&
+    getShipAbilityActivations(player, shipAbility) >= shipAbility.activationLimit;
+
   const localPlayerId = getLocalPlayerId();
   const currentPlayerId = isPlayer ? localPlayerId : (localPlayerId === 'player1' ? 'player2' : 'player1');
 
@@ -167,6 +175,9 @@ const ShipSectionSlot = ({
           return false;
         }}
         onAbilityClick={onAbilityClick}
+        shipCard={shipCard}
+        shipAbilitySpent={shipAbilitySpent}
+        onShipCardAbilityClick={onShipCardAbilityClick}
         onViewFullCard={() => {
           if (onViewFullCard) {
             onViewFullCard({
@@ -249,6 +260,7 @@ const BattleColumn = ({
   handleLaneClick,
   handleShipSectionClick,
   handleShipAbilityClick,
+  handleShipCardAbilityClick,
   handleTokenClick,
   handleAbilityIconClick,
   setHoveredTarget,
@@ -379,6 +391,7 @@ const BattleColumn = ({
           draggedDrone={draggedDrone}
           handleDroneDragEnd={handleDroneDragEnd}
           playerEffectiveStats={opponentEffectiveStats}
+          shipCard={sectionIndex === 1 ? getShipCard(opponentPlayerState) : null}
           {...sharedSectionProps}
         />
       </div>
@@ -451,6 +464,7 @@ const BattleColumn = ({
           placedSections={localPlacedSections}
           onSectionClick={handleShipSectionClick}
           onAbilityClick={handleShipAbilityClick}
+          onShipCardAbilityClick={handleShipCardAbilityClick}
           onTargetClick={handleTargetClick}
           onViewFullCard={onViewShipSection}
           isInteractive={playerShipInteractive}
@@ -460,6 +474,7 @@ const BattleColumn = ({
           draggedDrone={null}
           handleDroneDragEnd={null}
           playerEffectiveStats={localEffectiveStats}
+          shipCard={sectionIndex === 1 ? getShipCard(localPlayerState) : null}
           {...sharedSectionProps}
         />
       </div>
@@ -17,7 +17,7 @@ const DeckBuilderRightPanel = ({
   activeShip,
   deckListForDisplay, baseCardCounts,
   deck, onDeckChange,
-  typeLimits, typeCounts,
+  typeLimits, typeCounts, factionAllowances = [],
   droneListForDisplay,
   onDronesChange,
   selectedShipComponents, activeComponentCollection,
@@ -204,6 +204,34 @@ const DeckBuilderRightPanel = ({
         </div>
       )}
 
+      {/* FACTION ALLOWANCES DISPLAY */}
+      {rightPanelView === 'deck' && factionAllowances.some(a => a.count > 0) && (
+        <div className="dw-type-stats">
+          <h3 className="dw-type-stats-title">Faction Allowances</h3>
+          <div className="space-y-1">
+            {factionAllowances.map(({ factionId, name, color, count, limit, isOverLimit }) => (
+              <div key={factionId} className="dw-type-stats-row">
+                <span
+                  className={`dw-type-stats-label ${isOverLimit ? 'dw-type-stats-label--danger' : ''}`}
+                  style={isOverLimit ? undefined : { color }}
+                >
+                  {name}:
+                </span>
+                <div className="dw-progress-bar">
+                  <div
+                    className={`dw-progress-bar-fill ${isOverLimit ? 'dw-progress-bar-fill--danger' : 'dw-progress-bar-fill--action'}`}
+                    style={{ width: `${limit > 0 ? Math.min((count / limit) * 100, 100) : 100}%` }}
+                  />
+                  <span className="dw-progress-bar-label">
+                    {count}/{limit}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* DRONE LIST VIEW */}
       {rightPanelView === 'drones' && (
       <div className="flex-grow overflow-y-auto pr-2 deck-list dw-modal-scroll">
@@ -388,6 +416,9 @@ const DeckBuilderRightPanel = ({
                 <AlertTriangle size={14} /> Deck Incomplete - Cannot Deploy
               </div>
               {!isDeckValid && <div>Need {totalCardLimit} cards (have {Object.values(deck || {}).reduce((sum, qty) => sum + qty, 0)})</div>}
+              {factionAllowances.filter(a => a.isOverLimit).map(a => (
+                <div key={a.factionId}>Too many {a.name} cards ({a.count}/{a.limit})</div>
+              ))}
               {!isDronesValid && <div>Need {maxDrones} drones (have {droneCount})</div>}
               {!shipComponentsValid && <div>Need 3 ship components with unique lanes</div>}
             </div>
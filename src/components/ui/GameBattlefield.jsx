@@ -44,6 +44,7 @@ function GameBattlefield({
   handleLaneClick,
   handleShipSectionClick,
   handleShipAbilityClick,
+  handleShipCardAbilityClick,
   handleTokenClick,
   handleAbilityIconClick,
   setHoveredTarget,
@@ -118,6 +119,7 @@ function GameBattlefield({
     handleLaneClick,
     handleShipSectionClick,
     handleShipAbilityClick,
+    handleShipCardAbilityClick,
     handleTokenClick,
     handleAbilityIconClick,
     setHoveredTarget,
@@ -52,6 +52,7 @@ function GameFooter({
   gameEngine,
   opponentPlayerState,
   setAiDecisionLogToShow,
+  setAiDecisionTraceToShow,
   onCardInfoClick,
   handleCardDragStart,
   draggedCard,
@@ -137,6 +138,7 @@ function GameFooter({
                 gameLog={gameLog}
                 downloadLogAsCSV={downloadLogAsCSV}
                 setAiDecisionLogToShow={setAiDecisionLogToShow}
+                setAiDecisionTraceToShow={setAiDecisionTraceToShow}
                 onCardInfoClick={onCardInfoClick}
               />
             </div>
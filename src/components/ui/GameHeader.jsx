@@ -97,6 +97,8 @@ function GameHeader({
   currentPlayer,
   isMultiplayer,
   handlePlayerPass,
+  canUndo,
+  handleUndo,
   handleExitGame,
   handleResetShields,
   handleConfirmShields,
@@ -512,6 +514,8 @@ function GameHeader({
               passInfo={passInfo}
               getLocalPlayerId={getLocalPlayerId}
               handlePlayerPass={handlePlayerPass}
+              canUndo={canUndo}
+              handleUndo={handleUndo}
               handleCancelReallocation={handleCancelReallocation}
               handleResetReallocation={handleResetReallocation}
               handleContinueToAddPhase={handleContinueToAddPhase}
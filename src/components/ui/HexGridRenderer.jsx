@@ -8,6 +8,7 @@ import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { axialToPixel, axialToDisplayLabel } from '../../utils/hexGrid.js';
 import { getShipHeadingForWaypoints } from '../../utils/hexHeadingUtils.js';
 import { Plus, Minus, RotateCcw } from 'lucide-react';
+import { isHexRevealed } from '../../logic/map/fogOfWar.js';
 import ShipIconRenderer from '../ships/ShipIconRenderer.jsx';
 import { debugLog } from '../../utils/debugLogger.js';
 import './HexGridRenderer.css';
@@ -39,6 +40,24 @@ const STROKE_WIDTH_DEFAULT = 1.5;
 // Transition duration for pan/zoom (seconds)
 const TRANSITION_DURATION = '0.1s';
 
+// Patrol ring colours by pathing mode
+const PATROL_MODE_COLORS = {
+  patrol: '#9ca3af',      // Gray - following its route
+  investigate: '#f59e0b', // Amber - heading for last noise
+  hunt: '#ef4444'         // Red - closing on the player
+};
+
+// Terrain glyphs drawn on terrain hexes (colours come from hex.terrain.color)
+const TERRAIN_GLYPHS = {
+  NEBULA: '≈',
+  ASTEROID_FIELD: '⁂',
+  ION_STORM: 'ϟ',
+  DERELICT_BEACON: '◉'
+};
+
+// Alpha suffix for terrain colour tints (#rrggbbaa)
+const TERRAIN_FILL_ALPHA = '33';
+
 /**
  * Calculate dynamic hex size based on viewport and map radius
  * Scales hexes to fill available space with sensible padding
@@ -111,6 +130,9 @@ const generateDecorativeHexes = (mapRadius, hexes, extraRings = 8) => {
  * - Waypoint path highlighting with numbered waypoint markers
  * - Click handlers for navigation
  * - Visual differentiation between insertion and extraction gates
+ * - Enemy patrol tokens, ringed by pathing mode (patrol / investigate / hunt)
+ * - Terrain hexes tinted by terrain colour with a glyph; beacon-revealed PoIs ringed
+ * - Fog of war: unidentified PoIs and gates drawn as unknown signals
  *
  * @param {Object} mapData - Map data from map generation
  * @param {Object} playerPosition - Current player hex {q, r}
@@ -120,8 +142,11 @@ const generateDecorativeHexes = (mapRadius, hexes, extraRings = 8) => {
  * @param {Object} insertionGate - Coordinates of insertion gate {q, r} (cannot extract from here)
  * @param {string} shipId - Ship ID for icon selection (default: 'SHIP_001')
  * @param {number} currentHexIndex - Current hex index within waypoint path (for heading calculation)
+ * @param {Array<Object>} patrols - Enemy patrol tokens {id, q, r, mode, heading}
+ * @param {Array<Object>} revealedPOIs - PoI positions revealed by derelict beacons {q, r}
+ * @param {Array<Object>|null} revealedHexes - PoIs/gates identified by sensors {q, r} (null = no fog of war)
  */
-function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [], currentWaypointIndex = null, previewPath = null, isScanning = false, insertionGate = null, lootedPOIs = [], fledPOIs = [], highAlertPOIs = [], shipId = 'SHIP_001', currentHexIndex = 0, backgroundIndex = 0 }) {
+function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [], currentWaypointIndex = null, previewPath = null, isScanning = false, insertionGate = null, lootedPOIs = [], fledPOIs = [], highAlertPOIs = [], shipId = 'SHIP_001', currentHexIndex = 0, backgroundIndex = 0, patrols = [], revealedPOIs = [], revealedHexes = null }) {
   // Track viewport dimensions for dynamic sizing
   const [viewportSize, setViewportSize] = useState({
     width: window.innerWidth,
@@ -415,6 +440,23 @@ function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [],
     return fledPOIs.some(p => p.q === hex.q && p.r === hex.r);
   };
 
+  /**
+   * Check if a POI hex was revealed by a derelict beacon
+   * @param {Object} hex - Hex to check
+   * @returns {boolean} Is revealed POI
+   */
+  const isRevealedPOI = (hex) => {
+    if (hex.type !== 'poi') return false;
+    return revealedPOIs.some(p => p.q === hex.q && p.r === hex.r);
+  };
+
+  /**
+   * Check if a PoI/gate hex is still hidden by fog of war
+   * @param {Object} hex - Hex to check
+   * @returns {boolean} Is unknown signal
+   */
+  const isUnknownSignal = (hex) => !isHexRevealed(hex, { revealedHexes, revealedPOIs });
+
   /**
    * Get fill color/pattern based on hex type and zone
    * @param {Object} hex - Hex object
@@ -426,6 +468,9 @@ function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [],
       return 'rgba(8, 12, 24, 0.95)';  // Deep dark blue-black
     }
 
+    // Unknown signals give nothing away
+    if (isUnknownSignal(hex)) return 'rgba(55, 65, 81, 0.6)';
+
     // POIs use image pattern if available (greyscale applied via CSS for looted POIs)
     if (hex.type === 'poi' && hex.poiData?.image) {
       // Create unique pattern ID from hex coordinates
@@ -448,6 +493,9 @@ function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [],
 
     if (hex.type === 'poi') return 'rgba(245, 158, 11, 0.2)'; // Amber tint for PoIs (fallback)
 
+    // Terrain hexes get a tint of the terrain colour
+    if (hex.terrain?.color) return `${hex.terrain.color}${TERRAIN_FILL_ALPHA}`;
+
     // Zone-based coloring for empty hexes
     switch (hex.zone) {
       case 'core': return 'rgba(31, 41, 55, 0.9)'; // Dark gray
@@ -546,6 +594,9 @@ function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [],
     // Confirmed path hexes get green
     if (isOnPath(hex)) return '#10b981'; // Green for confirmed path
 
+    // Unknown signals get a muted grey stroke
+    if (isUnknownSignal(hex)) return 'rgba(156, 163, 175, 0.7)';
+
     // Looted POIs get grey stroke
     if (hex.type === 'poi' && isLootedPOI(hex)) {
       return 'rgba(107, 114, 128, 0.6)';  // Grey stroke for looted POIs
@@ -559,6 +610,7 @@ function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [],
       return 'rgba(59, 130, 246, 1.0)'; // Blue for extraction gates
     }
     if (hex.type === 'poi') return hex.poiData?.color || '#f59e0b'; // POI's color tag
+    if (hex.terrain?.color) return hex.terrain.color; // Terrain colour
     return 'rgba(6, 182, 212, 0.6)'; // Cyan for empty hexes
   };
 
@@ -582,13 +634,15 @@ function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [],
     const points = calculateHexPoints(x, y, hexSize);
     const highlighted = isHighlighted(hex);
     const isPlayer = isPlayerHex(hex);
-    const isPOI = hex.type === 'poi';
+    const isUnknown = isUnknownSignal(hex);
+    const isPOI = hex.type === 'poi' && !isUnknown;
     const isLooted = isPOI && isLootedPOI(hex);
     const isFled = isPOI && isFledPOI(hex);
     const isHighAlert = isPOI && isHighAlertPOI(hex);
-    const isGate = hex.type === 'gate';
+    const isRevealed = isPOI && !isLooted && isRevealedPOI(hex);
+    const isGate = hex.type === 'gate' && !isUnknown;
     const isInsertion = isInsertionGate(hex);
-    const isExtraction = isExtractionGate(hex);
+    const isExtraction = isGate && isExtractionGate(hex);
 
     // Build gate class name
     const gateClass = isInsertion ? 'hex-insertion-glow' : (isExtraction ? 'hex-extraction-glow' : '');
@@ -638,6 +692,51 @@ function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [],
           className="hex-grid-overlay"
         />
 
+        {/* Terrain glyph */}
+        {hex.terrain && !isPlayer && (
+          <text
+            x={x}
+            y={y + hexSize * 0.45}
+            textAnchor="middle"
+            dominantBaseline="central"
+            fill={hex.terrain.color}
+            fontSize={Math.max(10, hexSize * 0.4)}
+            className="hex-terrain-glyph"
+            pointerEvents="none"
+          >{TERRAIN_GLYPHS[hex.terrain.id] || '?'}</text>
+        )}
+
+        {/* Unknown signal - PoI or gate not yet identified */}
+        {isUnknown && !isPlayer && (
+          <text
+            x={x}
+            y={y}
+            textAnchor="middle"
+            dominantBaseline="central"
+            fill="rgba(209, 213, 219, 0.9)"
+            fontSize={Math.max(12, hexSize * 0.6)}
+            fontWeight="bold"
+            fontFamily="'Exo', sans-serif"
+            className="hex-unknown-signal"
+            pointerEvents="none"
+          >?</text>
+        )}
+
+        {/* Beacon-revealed POI - dashed scan ring */}
+        {isRevealed && (
+          <circle
+            cx={x}
+            cy={y}
+            r={hexSize * 0.7}
+            fill="none"
+            stroke="#facc15"
+            strokeWidth={1.5}
+            strokeDasharray="4 3"
+            className="poi-status-revealed"
+            pointerEvents="none"
+          />
+        )}
+
         {/* POI Status Icons - Show outcome indicators for visited POIs */}
         {/* Looted POI - Green tick icon */}
         {isPOI && isLooted && !isHighAlert && !isFled && (
@@ -910,6 +1009,31 @@ function HexGridRenderer({ mapData, playerPosition, onHexClick, waypoints = [],
             })
             .map(renderHex)}
 
+          {/* Patrol Layer - enemy patrol tokens */}
+          {patrols.map(patrol => {
+            const { x, y } = axialToPixel(patrol.q, patrol.r, hexSize);
+            return (
+              <g key={patrol.id} className={`patrol-token patrol-${patrol.mode}`} style={{ pointerEvents: 'none' }}>
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={hexSize * 0.75}
+                  fill="rgba(239, 68, 68, 0.15)"
+                  stroke={PATROL_MODE_COLORS[patrol.mode] || PATROL_MODE_COLORS.patrol}
+                  strokeWidth={2}
+                />
+                <ShipIconRenderer
+                  shipId="SHIP_003"
+                  x={x}
+                  y={y}
+                  heading={patrol.heading || 0}
+                  faction="enemy"
+                  size={hexSize * 2}
+                />
+              </g>
+            );
+          })}
+
           {/* Ship Icon Layer - renders player's ship at current position */}
           {playerPosition && (
             (() => {
@@ -234,6 +234,9 @@ function HexInfoPanel({
   onToggleWaypoint,
   isWaypointFn,
 
+  // Fog of war - returns false for unidentified PoIs/gates (omit = everything revealed)
+  isRevealedFn = null,
+
   // Movement state
   isMoving,
   isPaused,
@@ -271,29 +274,39 @@ function HexInfoPanel({
   // HEX INFO HELPERS
   // ========================================
 
+  const isUnknownSignal = (hex) => !!hex && !!isRevealedFn && !isRevealedFn(hex);
+
   const getTargetLabel = (hex) => {
     if (!hex) return '';
+    if (isUnknownSignal(hex)) return 'Unknown signal';
     if (hex.type === 'poi') return 'Point of Interest';
     if (hex.type === 'gate') return 'Extraction Gate';
+    if (hex.terrain) return hex.terrain.name;
     return 'Empty Hex';
   };
 
   const getTargetIcon = (hex, size = 24) => {
     if (!hex) return null;
+    if (isUnknownSignal(hex)) return <IconHex size={size} className="icon-hex icon-unknown" />;
     if (hex.type === 'poi') return <IconPOI size={size} className="icon-poi" />;
     if (hex.type === 'gate') return <IconGate size={size} className="icon-gate" />;
     return <IconHex size={size} className="icon-hex" />;
   };
 
   const getPoiDetail = (hex) => {
-    if (hex?.type === 'poi' && hex.poiData) {
+    if (hex?.type === 'poi' && hex.poiData && !isUnknownSignal(hex)) {
       return hex.poiData.name || hex.poiType;
     }
     return null;
   };
 
+  const getTerrainDetail = (hex) => {
+    if (isUnknownSignal(hex)) return 'Move within sensor range or scan to identify';
+    return hex?.terrain?.description || null;
+  };
+
   const getLootSummary = (hex) => {
-    if (hex?.type !== 'poi' || !hex.poiData) return null;
+    if (hex?.type !== 'poi' || !hex.poiData || isUnknownSignal(hex)) return null;
 
     const rewardType = hex.poiData.rewardType;
 
@@ -407,6 +420,10 @@ function HexInfoPanel({
 
   const isAlreadyWaypoint = inspectedHex && isWaypointFn ? isWaypointFn(inspectedHex) : false;
 
+  // Unidentified PoIs/gates hide their identity and threat values
+  const isUnknown = isUnknownSignal(inspectedHex);
+  const isKnownPOI = inspectedHex?.type === 'poi' && !isUnknown;
+
   // ========================================
   // RENDER: MOVEMENT STATE
   // ========================================
@@ -528,7 +545,7 @@ function HexInfoPanel({
           ) : (
             <div className="hex-info-selected">
               {/* Target info - POIs get image thumbnail, others get icon */}
-              {inspectedHex.type === 'poi' && inspectedHex.poiData?.image ? (
+              {isKnownPOI && inspectedHex.poiData?.image ? (
                 <div className="hex-target hex-target-poi">
                   <div
                     className="hex-target-image"
@@ -556,12 +573,15 @@ function HexInfoPanel({
                     {getPoiDetail(inspectedHex) && (
                       <div className="hex-target-sublabel">{getPoiDetail(inspectedHex)}</div>
                     )}
+                    {getTerrainDetail(inspectedHex) && (
+                      <div className="hex-target-sublabel">{getTerrainDetail(inspectedHex)}</div>
+                    )}
                   </div>
                 </div>
               )}
 
               {/* Loot info for PoIs - show "Claimed" if already looted */}
-              {inspectedHex?.type === 'poi' && (
+              {isKnownPOI && (
                 isLootedPOI(inspectedHex) ? (
                   <div className="hex-loot-claimed">
                     <span className="claimed-icon"><IconCheck size={16} className="icon-claimed" /></span>
@@ -587,7 +607,7 @@ function HexInfoPanel({
               )}
 
               {/* Guaranteed Combat Warning for drone blueprint PoIs */}
-              {inspectedHex?.type === 'poi' &&
+              {isKnownPOI &&
                inspectedHex.poiData?.encounterChance === 100 &&
                !isLootedPOI(inspectedHex) && (
                 <div className="hex-guaranteed-combat">
@@ -612,13 +632,13 @@ function HexInfoPanel({
                 // Calculate threat-adjusted salvage risk for POIs
                 const baseEncounterChance = inspectedHex.poiData?.encounterChance || 15;
                 const threatLevel = DetectionManager.getThreshold();
-                const threatBonus = inspectedHex.type === 'poi'
+                const threatBonus = isKnownPOI
                   ? SalvageController._calculateThreatBonus(inspectedHex, tierConfig, threatLevel)
                   : 0;
                 const salvageRisk = Math.round(baseEncounterChance + threatBonus);
                 const increaseRange = tierConfig?.salvageEncounterIncreaseRange || { min: 5, max: 15 };
                 const hexThreatIncrease = DetectionManager.getHexDetectionCost(inspectedHex, tierConfig, mapRadius);
-                const lootingThreat = inspectedHex.type === 'poi'
+                const lootingThreat = isKnownPOI
                   ? (inspectedHex.poiData?.threatIncrease || tierConfig?.detectionTriggers?.looting || 10)
                   : 0;
 
@@ -649,7 +669,12 @@ function HexInfoPanel({
                           <span className="stat-value">{preview.distance} hexes</span>
                         </div>
                         <div className="hex-stat">
-                          {inspectedHex.type === 'poi' ? (
+                          {isUnknown ? (
+                            <>
+                              <StatLabel text="Signal Risk" helpKey="signalRisk" />
+                              <span className="stat-value">Unknown</span>
+                            </>
+                          ) : isKnownPOI ? (
                             <>
                               <StatLabel text="Salvage Risk" helpKey="salvageRisk" />
                               <span className="stat-value">{salvageRisk}% <span className="stat-subtext">(+{increaseRange.min}% - {increaseRange.max}%)</span></span>
@@ -665,7 +690,7 @@ function HexInfoPanel({
                           <StatLabel text="Threat Increase" helpKey="threatIncrease" />
                           <span className="stat-value stat-value-cost">+{hexThreatIncrease.toFixed(1)}%</span>
                         </div>
-                        {inspectedHex.type === 'poi' && (
+                        {isKnownPOI && (
                           <div className="hex-stat">
                             <StatLabel text="Salvage Threat" helpKey="salvageThreat" />
                             <span className="stat-value stat-value-cost">+{lootingThreat.toFixed(1)}%</span>
@@ -712,7 +737,7 @@ function HexInfoPanel({
 
               {/* Warning for high threat */}
               {preview && preview.valid && !isAlreadyWaypoint && (() => {
-                const lootingThreat = inspectedHex.type === 'poi'
+                const lootingThreat = isKnownPOI
                   ? (inspectedHex.poiData?.threatIncrease || tierConfig?.detectionTriggers?.looting || 10)
                   : 0;
                 return (preview.newDetection + lootingThreat) >= 80;
@@ -78,6 +78,7 @@ function LoadingEncounterScreen({ encounterData, onComplete }) {
       case 'normal':
       case 'medium': return '#f59e0b';
       case 'hard': return '#ef4444';
+      case 'expert': return '#a855f7';
       default: return '#6b7280';
     }
   };
@@ -13,6 +13,7 @@ import ConfirmationModal from '../modals/ConfirmationModal.jsx';
 import MandatoryActionModal from '../modals/MandatoryActionModal.jsx';
 import WinnerModal from '../modals/WinnerModal.jsx';
 import AIDecisionLogModal from '../modals/AIDecisionLogModal.jsx';
+import AIDecisionTraceModal from '../modals/AIDecisionTraceModal.jsx';
 import ViewShipSectionModal from '../modals/ViewShipSectionModal.jsx';
 import ViewTechDetailModal from '../modals/ViewTechDetailModal.jsx';
 import DeploymentConfirmationModal from '../modals/DeploymentConfirmationModal.jsx';
@@ -20,6 +21,7 @@ import MoveConfirmationModal from '../modals/MoveConfirmationModal.jsx';
 import AttackConfirmationModal from '../modals/AttackConfirmationModal.jsx';
 import InterceptionOpportunityModal from '../modals/InterceptionOpportunityModal.jsx';
 import OpponentDecidingInterceptionModal from '../modals/OpponentDecidingInterceptionModal.jsx';
+import TriggerOrderModal from '../modals/TriggerOrderModal.jsx';
 import CardConfirmationModal from '../modals/CardConfirmationModal.jsx';
 
 import DroneAbilityConfirmationModal from '../modals/DroneAbilityConfirmationModal.jsx';
@@ -47,10 +49,13 @@ function ModalLayer({
   playerInterceptionChoice,
   interceptionModeActive,
   showOpponentDecidingModal,
+  triggerOrderChoice,
+  triggerResponseOptions,
   detailedDroneInfo,
   cardToView,
   aiCardPlayReport,
   aiDecisionLogToShow,
+  aiDecisionTraceToShow,
   winner,
   showWinnerModal,
   showAbandonRunModal,
@@ -102,10 +107,13 @@ function ModalLayer({
   onViewBattlefield,
   onConfirmIntercept,
   onDeclineIntercept,
+  onSubmitTriggerOrder,
+  onTriggerResponse,
   onCloseDetailedDrone,
   onCloseCardDetail,
   onCloseAiCardPlayReport,
   onCloseAiDecisionLog,
+  onCloseAiDecisionTrace,
   onCloseWinnerModal,
   onCancelAbandonRun,
   onConfirmAbandonRun,
@@ -133,6 +141,7 @@ function ModalLayer({
   handleCardInfoClick,
   downloadLogAsCSV,
   setAiDecisionLogToShow,
+  setAiDecisionTraceToShow,
 
   // --- Game data ---
   gameLog,
@@ -195,6 +204,7 @@ function ModalLayer({
         gameLog={gameLog}
         downloadLogAsCSV={downloadLogAsCSV}
         setAiDecisionLogToShow={setAiDecisionLogToShow}
+        setAiDecisionTraceToShow={setAiDecisionTraceToShow}
         onCardInfoClick={handleCardInfoClick}
       />
 
@@ -261,6 +271,13 @@ function ModalLayer({
         opponentName={opponentPlayerState?.name || 'Opponent'}
       />
 
+      <TriggerOrderModal
+        choice={triggerOrderChoice}
+        responseOptions={triggerResponseOptions}
+        onSubmitOrder={onSubmitTriggerOrder}
+        onRespond={onTriggerResponse}
+      />
+
       <DetailedDroneModal
         isOpen={!!detailedDroneInfo}
         drone={detailedDroneInfo?.drone}
@@ -293,6 +310,11 @@ function ModalLayer({
         gameState={gameState}
       />
 
+      <AIDecisionTraceModal
+        trace={aiDecisionTraceToShow}
+        onClose={onCloseAiDecisionTrace}
+      />
+
       <WinnerModal
         winner={winner}
         localPlayerId={getLocalPlayerId()}
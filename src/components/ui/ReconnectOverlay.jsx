@@ -0,0 +1,97 @@
+// ========================================
+// RECONNECT OVERLAY
+// ========================================
+// Full-screen overlay shown while a P2P connection is being recovered.
+// Host: the guest dropped and its seat is held; the match is paused.
+// Guest: the host was lost; the room stays open until the window closes.
+// Blocks input underneath until the connection resumes or the window expires.
+
+import React, { useEffect, useState } from 'react';
+import { Loader2, WifiOff } from 'lucide-react';
+import p2pManager from '../../network/P2PManager.js';
+
+/**
+ * ReconnectOverlay - Pause/reconnect status for multiplayer matches
+ * @param {Function} onLeave - Called when the player leaves after the window expires
+ */
+const ReconnectOverlay = ({ onLeave }) => {
+  const [status, setStatus] = useState(null); // null | { kind: 'waiting'|'reconnecting'|'expired', expiresAt }
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    return p2pManager.subscribe((event) => {
+      switch (event.type) {
+        case 'peer_reconnecting':
+          setStatus({ kind: 'waiting', expiresAt: event.data.expiresAt });
+          break;
+        case 'connection_lost':
+          setStatus({ kind: 'reconnecting', expiresAt: event.data.expiresAt });
+          break;
+        case 'peer_reconnected':
+        case 'reconnected':
+          setStatus(null);
+          break;
+        case 'reconnect_expired':
+          setStatus({ kind: 'expired' });
+          break;
+        default:
+          break;
+      }
+    });
+  }, []);
+
+  // Countdown tick while the window is open
+  useEffect(() => {
+    if (!status?.expiresAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [status]);
+
+  if (!status) return null;
+
+  const secondsLeft = status.expiresAt ? Math.max(0, Math.ceil((status.expiresAt - now) / 1000)) : 0;
+
+  const title = {
+    waiting: 'Opponent Disconnected',
+    reconnecting: 'Connection Lost',
+    expired: p2pManager.isHost ? 'Opponent Did Not Return' : 'Could Not Reconnect',
+  }[status.kind];
+
+  return (
+    <div
+      className="absolute inset-0 z-[100] flex items-center justify-center bg-black/70 pointer-events-auto"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="text-center p-8 bg-slate-900/95 rounded-lg border border-cyan-400 shadow-2xl max-w-md">
+        {status.kind === 'expired' ? (
+          <WifiOff className="w-16 h-16 mx-auto text-red-400 mb-6" />
+        ) : (
+          <Loader2 className="w-16 h-16 mx-auto text-cyan-400 animate-spin mb-6" />
+        )}
+        <h2 className="text-3xl font-bold text-white mb-4">{title}</h2>
+        {status.kind === 'waiting' && (
+          <p className="text-gray-400 text-lg">
+            Match paused. Waiting for your opponent to reconnect... {secondsLeft}s
+          </p>
+        )}
+        {status.kind === 'reconnecting' && (
+          <>
+            <p className="text-gray-400 text-lg mb-6">
+              Trying to reach the host... {secondsLeft}s
+            </p>
+            <button onClick={() => p2pManager.rejoinSession()} className="dw-btn-hud dw-btn-hud-cyan">
+              Retry Now
+            </button>
+          </>
+        )}
+        {status.kind === 'expired' && (
+          <button onClick={onLeave} className="dw-btn-hud dw-btn-hud-ghost">
+            Leave Match
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReconnectOverlay;
@@ -33,7 +33,10 @@ const ShipSectionCompact = ({
   getLocalPlayerId,
   localPlayerState,
   shipAbilityMode,
-  sectionRef
+  sectionRef,
+  shipCard,
+  shipAbilitySpent,
+  onShipCardAbilityClick
 }) => {
   if (isPlaceholder) {
     return (
@@ -225,6 +228,57 @@ const ShipSectionCompact = ({
             </div>
           )}
 
+          {/* Ship card bonus and ability — passed to the middle section only, absolute left */}
+          {shipCard && (shipCard.shipAbility || shipCard.shipBonus) && (
+            <div
+              style={{ position: 'absolute', left: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.2vh' }}
+              title={shipCard.shipBonus ? `${shipCard.shipBonus.name}: ${shipCard.shipBonus.description}` : undefined}
+            >
+              {shipCard.shipAbility && (isPlayer ? (
+                <ShipAbilityIcon
+                  ability={shipCard.shipAbility}
+                  isUsable={
+                    turnPhase === 'action' &&
+                    isMyTurn() &&
+                    !passInfo[`${getLocalPlayerId()}Passed`] &&
+                    !shipAbilitySpent &&
+                    localPlayerState.energy >= shipCard.shipAbility.cost.energy
+                  }
+                  isSelected={false}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onShipCardAbilityClick?.(e);
+                  }}
+                />
+              ) : (
+                <div
+                  className={`w-8 h-8 bg-slate-800 rounded-full flex items-center justify-center border-2 flex-shrink-0 ${shipAbilitySpent ? 'border-gray-600 opacity-60' : ''}`}
+                  style={shipAbilitySpent ? undefined : { borderColor: FACTION_COLORS.opponent.primary }}
+                  title={`${shipCard.shipAbility.name} - ${shipCard.shipAbility.description}`}
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round"
+                    className={shipAbilitySpent ? 'text-gray-500' : ''}
+                    style={shipAbilitySpent ? undefined : { color: FACTION_COLORS.opponent.primary }}
+                  >
+                    <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/>
+                  </svg>
+                </div>
+              ))}
+              <span className="text-purple-400 font-bold tracking-wider font-exo uppercase"
+                style={{ fontSize: 'clamp(0.35rem, 0.6vw, 0.6rem)', lineHeight: 1, whiteSpace: 'nowrap', background: 'rgba(0,0,0,0.65)', borderRadius: '4px', padding: '1px 4px', border: '1px solid rgba(255,255,255,0.15)' }}
+              >
+                {shipCard.shipAbility?.name || shipCard.shipBonus.name}
+              </span>
+              {shipCard.shipAbility && shipCard.shipBonus && (
+                <span className="text-cyan-400 font-exo uppercase"
+                  style={{ fontSize: 'clamp(0.3rem, 0.5vw, 0.5rem)', lineHeight: 1, whiteSpace: 'nowrap', background: 'rgba(0,0,0,0.65)', borderRadius: '4px', padding: '1px 4px' }}
+                >
+                  {shipCard.shipBonus.name}
+                </span>
+              )}
+            </div>
+          )}
+
           {/* Opponent ability label — display only */}
           {!isPlayer && stats.ability && (
             <div style={{ position: 'absolute', right: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.2vh' }}>
@@ -0,0 +1,39 @@
+// ========================================
+// SPECTATOR BANNER
+// ========================================
+// Top-of-screen banner shown while watching a P2P match read-only.
+// The battle screen disables pointer events for spectators; this banner
+// re-enables them for its own exit button.
+
+import React from 'react';
+import { Eye } from 'lucide-react';
+
+/**
+ * SpectatorBanner - Spectating indicator with exit control
+ * @param {string} player1Name - Name of the player on the bottom side
+ * @param {string} player2Name - Name of the player on the top side
+ * @param {Function} onStopWatching - Called when the spectator leaves the match
+ */
+const SpectatorBanner = ({ player1Name, player2Name, onStopWatching }) => {
+  return (
+    <div className="absolute top-2 left-1/2 -translate-x-1/2 z-50 pointer-events-auto">
+      <div className="flex items-center gap-3 bg-slate-900/90 rounded-lg px-4 py-2 border border-cyan-400 shadow-2xl">
+        <Eye className="w-4 h-4 text-cyan-400" />
+        <span className="text-white font-bold text-sm tracking-wide">
+          Spectating: {player1Name} vs {player2Name}
+        </span>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onStopWatching();
+          }}
+          className="dw-btn-hud dw-btn-hud-ghost"
+        >
+          Stop Watching
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorBanner;
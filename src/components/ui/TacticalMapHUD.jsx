@@ -28,6 +28,15 @@ const IconExtract = ({ size = 20, className = '' }) => (
   </svg>
 );
 
+// Radar sweep icon for Scan
+const IconScan = ({ size = 20, className = '' }) => (
+  <svg width={size} height={size} viewBox="0 0 24 24" fill="none" className={`svg-icon ${className}`}>
+    <circle cx="12" cy="12" r="9" stroke="currentColor" strokeWidth="1.5" fill="none" />
+    <circle cx="12" cy="12" r="5" stroke="currentColor" strokeWidth="1" opacity="0.5" fill="none" />
+    <path d="M12 12L18.5 5.5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
+  </svg>
+);
+
 // Warning/Abandon icon
 const IconAbandon = ({ size = 20, className = '' }) => (
   <svg width={size} height={size} viewBox="0 0 24 24" fill="none" className={`svg-icon ${className}`}>
@@ -46,12 +55,18 @@ const IconAbandon = ({ size = 20, className = '' }) => (
  * @param {Function} onExtractClick - Extract button callback (at gate)
  * @param {Function} onAbandonClick - Abandon button callback (not at gate)
  * @param {Function} onInventoryClick - Inventory button callback
+ * @param {Function} onScanClick - Active scan button callback (fog of war)
+ * @param {number} scanCost - Threat added by an active scan
+ * @param {boolean} canScan - Whether scanning is currently allowed
  */
 function TacticalMapHUD({
   currentRunState,
   onExtractClick,
   onAbandonClick,
-  onInventoryClick
+  onInventoryClick,
+  onScanClick,
+  scanCost = 0,
+  canScan = true
 }) {
   const { collectedLoot, playerPosition, insertionGate, mapData } = currentRunState;
 
@@ -83,6 +98,19 @@ function TacticalMapHUD({
             <span>Inventory ({collectedLoot.length})</span>
           </button>
 
+          {/* Active scan - reveals unknown signals beyond sensor range */}
+          {onScanClick && (
+            <button
+              onClick={onScanClick}
+              disabled={!canScan}
+              className="dw-btn-hud dw-btn-hud-cyan flex items-center gap-2"
+              title="Scan for unknown signals (increases threat)"
+            >
+              <IconScan size={18} className="icon-scan" />
+              <span>Scan (+{scanCost}%)</span>
+            </button>
+          )}
+
           {/* Dynamic button: Extract at extraction gate, Abandon elsewhere */}
           {atExtractionGate ? (
             <button
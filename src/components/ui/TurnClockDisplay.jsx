@@ -0,0 +1,88 @@
+// ========================================
+// TURN CLOCK DISPLAY
+// ========================================
+// Chess-clock readout for timed multiplayer matches (state.turnClock).
+// The authoritative side restarts turnStartedAt on every emit, so the
+// countdown runs from the moment this client received the clock rather
+// than from the host's timestamp — clock skew between machines never shows.
+
+import React, { useEffect, useState } from 'react';
+import { Timer, Pause } from 'lucide-react';
+
+const formatClock = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+/**
+ * TurnClockDisplay - Both players' time banks plus the current turn limit
+ * @param {Object} turnClock - state.turnClock (see config/timeControls.js)
+ * @param {string} localPlayerId - Player shown first, labelled "You"
+ * @param {string} localName - Display name for the local player
+ * @param {string} opponentName - Display name for the opponent
+ */
+const TurnClockDisplay = ({ turnClock, localPlayerId, localName, opponentName }) => {
+  const [receivedAt, setReceivedAt] = useState(() => Date.now());
+  const [now, setNow] = useState(Date.now());
+
+  // A new clock object means a fresh emit from the authoritative side
+  useEffect(() => {
+    setReceivedAt(Date.now());
+    setNow(Date.now());
+  }, [turnClock]);
+
+  const running = !!turnClock?.activePlayer && !turnClock.paused;
+
+  useEffect(() => {
+    if (!running) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [running]);
+
+  if (!turnClock) return null;
+
+  const opponentId = localPlayerId === 'player1' ? 'player2' : 'player1';
+  const elapsed = running ? Math.max(0, now - receivedAt) : 0;
+
+  const bankLeft = (playerId) => {
+    const bank = turnClock.bankMs[playerId];
+    return playerId === turnClock.activePlayer ? bank - elapsed : bank;
+  };
+
+  const turnLeft = running && turnClock.turnLimitMs != null
+    ? turnClock.turnLimitMs - turnClock.turnElapsedMs - elapsed
+    : null;
+
+  const renderBank = (playerId, name) => {
+    const isActive = playerId === turnClock.activePlayer;
+    const remaining = bankLeft(playerId);
+    const colour = remaining <= 30000 ? 'text-red-400' : isActive ? 'text-cyan-300' : 'text-gray-400';
+    return (
+      <span className={`flex items-center gap-1 font-mono text-sm ${colour} ${isActive ? 'font-bold' : ''}`}>
+        <span className="font-sans text-xs text-gray-400">{name}</span>
+        {formatClock(remaining)}
+      </span>
+    );
+  };
+
+  return (
+    <div className="absolute top-14 left-1/2 -translate-x-1/2 z-40 pointer-events-none">
+      <div className="flex items-center gap-4 bg-slate-900/90 rounded-lg px-4 py-1.5 border border-cyan-400/60 shadow-xl">
+        {turnClock.paused
+          ? <Pause className="w-4 h-4 text-yellow-400" />
+          : <Timer className="w-4 h-4 text-cyan-400" />}
+        {renderBank(localPlayerId, localName)}
+        {renderBank(opponentId, opponentName)}
+        {turnLeft != null && (
+          <span className={`font-mono text-xs ${turnLeft <= 10000 ? 'text-red-400' : 'text-gray-300'}`}>
+            Turn {formatClock(Math.min(turnLeft, bankLeft(turnClock.activePlayer)))}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TurnClockDisplay;
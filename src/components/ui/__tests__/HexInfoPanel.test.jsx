@@ -932,4 +932,59 @@ describe('HexInfoPanel', () => {
       expect(screen.getByText(/Distance/i)).toBeInTheDocument()
     })
   })
+
+  // ========================================
+  // FOG OF WAR TESTS
+  // ========================================
+
+  describe('fog of war', () => {
+    const poiHex = { q: 2, r: 2, type: 'poi', poiData: { name: 'Derelict Freighter', encounterChance: 100, threatIncrease: 15 } }
+
+    it('shows "Unknown signal" and hides PoI identity for unrevealed hexes', () => {
+      const props = createDefaultProps()
+      props.inspectedHex = poiHex
+      props.isRevealedFn = vi.fn(() => false)
+
+      render(<HexInfoPanel {...props} />)
+
+      expect(screen.getByText('Unknown signal')).toBeInTheDocument()
+      expect(screen.queryByText('Derelict Freighter')).not.toBeInTheDocument()
+      expect(screen.queryByText('GUARANTEED COMBAT')).not.toBeInTheDocument()
+    })
+
+    it('hides salvage risk and threat values for unrevealed hexes', () => {
+      const props = createDefaultProps()
+      props.inspectedHex = poiHex
+      props.isRevealedFn = vi.fn(() => false)
+
+      render(<HexInfoPanel {...props} />)
+
+      expect(screen.getByText('Signal Risk')).toBeInTheDocument()
+      expect(screen.getByText('Unknown')).toBeInTheDocument()
+      expect(screen.queryByText('Salvage Risk')).not.toBeInTheDocument()
+      expect(screen.queryByText('Salvage Threat')).not.toBeInTheDocument()
+    })
+
+    it('shows PoI details once revealed', () => {
+      const props = createDefaultProps()
+      props.inspectedHex = poiHex
+      props.isRevealedFn = vi.fn(() => true)
+
+      render(<HexInfoPanel {...props} />)
+
+      expect(screen.queryByText('Unknown signal')).not.toBeInTheDocument()
+      expect(screen.getByText('Derelict Freighter')).toBeInTheDocument()
+    })
+
+    it('labels unrevealed waypoints as unknown signals', () => {
+      const props = createDefaultProps()
+      props.waypoints = [{ hex: poiHex, pathFromPrev: [{ q: 0, r: 0 }, poiHex], segmentCost: 5, cumulativeDetection: 30, segmentEncounterRisk: 10, cumulativeEncounterRisk: 10 }]
+      props.isRevealedFn = vi.fn(() => false)
+
+      render(<HexInfoPanel {...props} />)
+
+      expect(screen.getByText('Unknown signal')).toBeInTheDocument()
+      expect(screen.queryByText('Derelict Freighter')).not.toBeInTheDocument()
+    })
+  })
 })
@@ -50,6 +50,23 @@ describe('TacticalMapHUD', () => {
       expect(screen.getByText('Inventory (0)')).toBeInTheDocument()
     })
 
+    it('displays scan button with its threat cost and calls onScanClick', () => {
+      const props = { ...createDefaultProps(), onScanClick: vi.fn(), scanCost: 8 }
+
+      render(<TacticalMapHUD {...props} />)
+      screen.getByText('Scan (+8%)').click()
+
+      expect(props.onScanClick).toHaveBeenCalledOnce()
+    })
+
+    it('disables scan button when scanning is not allowed', () => {
+      const props = { ...createDefaultProps(), onScanClick: vi.fn(), scanCost: 8, canScan: false }
+
+      render(<TacticalMapHUD {...props} />)
+
+      expect(screen.getByText('Scan (+8%)').closest('button')).toBeDisabled()
+    })
+
     it('displays abandon run button when not at extraction gate', () => {
       const props = createDefaultProps()
 
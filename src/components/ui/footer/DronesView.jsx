@@ -15,6 +15,7 @@ import { debugLog } from '../../../utils/debugLogger.js';
 import SoundManager from '../../../managers/SoundManager.js';
 import fullDroneCollection from '../../../data/droneData.js';
 import droneCardTooltipDescriptions from '../../../data/descriptions/droneCardTooltipDescriptions.js';
+import { getDeploymentCost } from '../../../logic/utils/shipCardUtils.js';
 
 const DEFAULT_WARNING_ICON = <AlertTriangle size={18} className="text-amber-400" />;
 
@@ -152,7 +153,7 @@ function DronesView({
               const totalResource = roundNumber === 1
                 ? localPlayerState.initialDeploymentBudget + localPlayerState.energy
                 : localPlayerState.deploymentBudget + localPlayerState.energy;
-              const canAfford = totalResource >= drone.class;
+              const canAfford = totalResource >= getDeploymentCost(localPlayerState, drone);
               const hasDeploymentBudget = roundNumber === 1
                 ? localPlayerState.initialDeploymentBudget > 0
                 : localPlayerState.deploymentBudget > 0;
@@ -11,6 +11,7 @@ function LogView({
   gameLog,
   downloadLogAsCSV,
   setAiDecisionLogToShow,
+  setAiDecisionTraceToShow,
   onCardInfoClick
 }) {
   return (
@@ -78,6 +79,15 @@ function LogView({
                         ℹ️
                       </button>
                     )}
+                    {entry.aiDecisionTrace && setAiDecisionTraceToShow && (
+                      <button
+                        onClick={() => setAiDecisionTraceToShow(entry.aiDecisionTrace)}
+                        className={styles.aiDecisionButton}
+                        title="Show AI Decision Trace"
+                      >
+                        🌳
+                      </button>
+                    )}
                   </td>
                 )}
               </tr>
@@ -8,7 +8,7 @@ import React from 'react';
 
 /**
  * ActionPhaseButtons - Renders all action-phase button groups:
- * Pass, Shield Reallocation, Multi-Move, Interception, Single Move, Additional Cost
+ * Pass, Undo, Shield Reallocation, Multi-Move, Interception, Single Move, Additional Cost
  */
 function ActionPhaseButtons({
   isMyTurn,
@@ -17,6 +17,8 @@ function ActionPhaseButtons({
   passInfo,
   getLocalPlayerId,
   handlePlayerPass,
+  canUndo,
+  handleUndo,
   handleCancelReallocation,
   handleResetReallocation,
   handleContinueToAddPhase,
@@ -45,6 +47,16 @@ function ActionPhaseButtons({
         </button>
       )}
 
+      {/* Undo Button - Single-player only; shown until the AI responds (may be during its turn delay) */}
+      {canUndo && !mandatoryAction && !reallocationPhase && !effectChainState && (
+        <button
+          onClick={handleUndo}
+          className="dw-btn-hud dw-btn-hud-yellow dw-btn--sm"
+        >
+          Undo
+        </button>
+      )}
+
       {/* Shield Reallocation Controls - Removing Phase */}
       {reallocationPhase === 'removing' && (
         <>
@@ -0,0 +1,85 @@
+// ========================================
+// MATCH RULES
+// ========================================
+// Victory condition presets. A lobby (or an encounter's AI personality, via
+// aiData winCondition) picks one and passes createWinCondition() to
+// GameStateManager.startGame as the winCondition option; WinConditionChecker
+// reads state.winCondition.
+// A null state.winCondition plays the standard total-damage rules.
+//
+// type           - One of WIN_CONDITION_TYPES
+// rounds         - LANE_CONTROL: consecutive round ends holding all three lanes
+//                  SURVIVE_ROUNDS: round the survivor must reach the end of
+// roundLimit     - ROUND_LIMIT_DAMAGE: last round played; highest damage wins
+// survivor       - SURVIVE_ROUNDS: player who wins by outlasting the round count
+// modes          - Where the preset is offered ('vs', 'multiplayer', 'encounter')
+
+export const WIN_CONDITION_TYPES = {
+  TOTAL_DAMAGE: 'TOTAL_DAMAGE',
+  DESTROY_ALL_SECTIONS: 'DESTROY_ALL_SECTIONS',
+  LANE_CONTROL: 'LANE_CONTROL',
+  SURVIVE_ROUNDS: 'SURVIVE_ROUNDS',
+  ROUND_LIMIT_DAMAGE: 'ROUND_LIMIT_DAMAGE',
+};
+
+export const MATCH_RULE_PRESETS = {
+  standard: {
+    label: 'Standard',
+    description: 'Deal damage equal to 60% of the enemy ship\'s total hull.',
+    type: WIN_CONDITION_TYPES.TOTAL_DAMAGE,
+    modes: ['vs', 'multiplayer', 'encounter'],
+  },
+  annihilation: {
+    label: 'Annihilation',
+    description: 'Destroy all three enemy ship sections.',
+    type: WIN_CONDITION_TYPES.DESTROY_ALL_SECTIONS,
+    modes: ['vs', 'multiplayer', 'encounter'],
+  },
+  laneDominance: {
+    label: 'Lane Dominance (3 rounds)',
+    description: 'Control all three lanes at the end of 3 consecutive rounds, or deal 60% hull damage.',
+    type: WIN_CONDITION_TYPES.LANE_CONTROL,
+    rounds: 3,
+    modes: ['vs', 'multiplayer', 'encounter'],
+  },
+  attrition: {
+    label: 'Attrition (6 rounds)',
+    description: 'After round 6, the player who has dealt the highest share of hull damage wins.',
+    type: WIN_CONDITION_TYPES.ROUND_LIMIT_DAMAGE,
+    roundLimit: 6,
+    modes: ['vs', 'multiplayer', 'encounter'],
+  },
+  survival: {
+    label: 'Survival (5 rounds)',
+    description: 'Hold out until the end of round 5 without taking 60% hull damage.',
+    type: WIN_CONDITION_TYPES.SURVIVE_ROUNDS,
+    rounds: 5,
+    survivor: 'player1',
+    modes: ['vs', 'encounter'],
+  },
+};
+
+/** Lobby default: standard total-damage rules */
+export const DEFAULT_MATCH_RULES = 'standard';
+
+/**
+ * Presets offered in a given place
+ * @param {string} mode - 'vs', 'multiplayer' or 'encounter'
+ * @returns {Array<[string, Object]>} [presetId, preset] entries
+ */
+export const getMatchRulePresets = (mode) =>
+  Object.entries(MATCH_RULE_PRESETS).filter(([, preset]) => preset.modes.includes(mode));
+
+/**
+ * Build state.winCondition for a preset.
+ * @param {string|null} presetId - Key of MATCH_RULE_PRESETS, or null for the standard rules
+ * @returns {Object|null} Win condition ({ preset, label, description, type, ...params }),
+ *   or null when the match plays the standard total-damage rules
+ */
+export const createWinCondition = (presetId) => {
+  const preset = presetId && Object.hasOwn(MATCH_RULE_PRESETS, presetId) ? MATCH_RULE_PRESETS[presetId] : null;
+  if (!preset || preset.type === WIN_CONDITION_TYPES.TOTAL_DAMAGE) return null;
+
+  const { modes: _modes, ...winCondition } = preset;
+  return { preset: presetId, ...winCondition };
+};
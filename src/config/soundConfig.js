@@ -147,6 +147,7 @@ export const SOUND_EVENT_MAP = {
     roundAnnouncement: 'round_start',
     playerPass: 'player_pass',
     opponentPass: 'player_pass',
+    bossPhase: 'round_start',
     // determineFirstPlayer - no sound (visual only)
   },
 
@@ -0,0 +1,65 @@
+// ========================================
+// TIME CONTROLS
+// ========================================
+// Chess-clock presets for multiplayer matches. The host (or the dedicated
+// server) picks one in the lobby and passes createTurnClockState() to
+// GameStateManager.startGame as the turnClock option; TurnClock then runs it
+// on the authoritative side.
+//
+// bankMs          - Time bank per player for the whole match
+// incrementMs     - Added to a player's bank after each action they take
+// turnLimitMs     - Longest a single turn may run before the player is passed (null = no limit)
+// onBankExpired   - 'forfeit' ends the match for the player who ran out,
+//                   'pass' passes them every turn until the round ends
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+export const TIME_CONTROL_PRESETS = {
+  blitz: {
+    label: 'Blitz (5 min + 5s)',
+    bankMs: 5 * MINUTE,
+    incrementMs: 5 * SECOND,
+    turnLimitMs: 45 * SECOND,
+    onBankExpired: 'forfeit',
+  },
+  rapid: {
+    label: 'Rapid (15 min + 10s)',
+    bankMs: 15 * MINUTE,
+    incrementMs: 10 * SECOND,
+    turnLimitMs: 90 * SECOND,
+    onBankExpired: 'forfeit',
+  },
+  casual: {
+    label: 'Casual (30 min, auto-pass)',
+    bankMs: 30 * MINUTE,
+    incrementMs: 15 * SECOND,
+    turnLimitMs: 3 * MINUTE,
+    onBankExpired: 'pass',
+  },
+};
+
+/** Lobby default: untimed */
+export const DEFAULT_TIME_CONTROL = null;
+
+/**
+ * Build the initial state.turnClock for a preset.
+ * @param {string|null} presetId - Key of TIME_CONTROL_PRESETS, or null for an untimed match
+ * @returns {Object|null} Clock state, or null when the match is untimed
+ */
+export const createTurnClockState = (presetId) => {
+  const preset = presetId && Object.hasOwn(TIME_CONTROL_PRESETS, presetId) ? TIME_CONTROL_PRESETS[presetId] : null;
+  if (!preset) return null;
+
+  return {
+    preset: presetId,
+    bankMs: { player1: preset.bankMs, player2: preset.bankMs },
+    incrementMs: preset.incrementMs,
+    turnLimitMs: preset.turnLimitMs,
+    onBankExpired: preset.onBankExpired,
+    activePlayer: null,
+    turnStartedAt: null,
+    turnElapsedMs: 0,
+    paused: false,
+  };
+};
@@ -13,7 +13,8 @@ export const AI_CORES = {
     Easy: 30,     // 30% chance to drop
     Normal: 50,   // 50% chance to drop
     Medium: 70,   // 70% chance to drop
-    Hard: 90      // 90% chance to drop
+    Hard: 90,     // 90% chance to drop
+    Expert: 100   // Always drops
   },
 
   // Drop amounts per tier (from combat victories)
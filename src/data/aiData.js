@@ -27,6 +27,7 @@ const aiPersonalities = [
     name: 'Manticore - Class II Gunship',
     description: 'Focuses on overwhelming firepower and direct damage to drones and ship sections.',
     difficulty: 'Normal',
+    weightProfile: 'tech-heavy',
     reputationMultiplier: 1.0,
     modes: ['vs'],
     shipId: 'SHIP_001',
@@ -61,6 +62,7 @@ const aiPersonalities = [
     name: 'Rogue Scout Pattern',
     description: 'Defensive scout with minimal aggression',
     difficulty: 'Easy',
+    weightProfile: 'defensive',
     reputationMultiplier: 0.5,
     modes: ['extraction'],
     shipId: 'SHIP_003',
@@ -99,6 +101,7 @@ const aiPersonalities = [
     name: 'Specialized Hunter Group',
     description: 'Fast and aggressive interceptor',
     difficulty: 'Medium',
+    weightProfile: 'aggressive',
     reputationMultiplier: 1.0,
     modes: ['extraction'],
     shipId: 'SHIP_003',
@@ -137,6 +140,7 @@ const aiPersonalities = [
     name: 'Capital-Class Blockade Fleet',
     description: 'Overwhelming force, heavy defenses',
     difficulty: 'Hard',
+    weightProfile: 'lane-control',
     reputationMultiplier: 1.5,
     modes: ['extraction'],
     shipId: 'SHIP_001',
@@ -173,7 +177,8 @@ const aiPersonalities = [
     bossId: 'BOSS_T1_NEMESIS',
     name: 'Nemesis-Class Dreadnought',
     description: 'The infamous commander of the Eremos blockade. A formidable opponent with advanced combat protocols and overwhelming firepower.',
-    difficulty: 'Hard',
+    difficulty: 'Expert',
+    weightProfile: 'ship-rush',
     reputationMultiplier: 0,
     modes: ['boss'],
     shipId: 'SHIP_001',
@@ -216,7 +221,61 @@ const aiPersonalities = [
         credits: 1000,
         aiCores: 1,
         reputation: 100
-      }
+      },
+      // Phases after the opening one, entered in order as hull integrity
+      // (remaining share of total hull) drops to each hullThreshold.
+      // reward is added to the victory reward when the phase was reached.
+      phases: [
+        {
+          id: 'SIEGE_PROTOCOL',
+          name: 'Siege Protocol',
+          description: 'The Nemesis calls in escorts and fortifies the centre lane.',
+          hullThreshold: 0.8,
+          reinforcements: [
+            { droneName: 'Bastion', lane: 'lane2' }
+          ],
+          laneRules: {
+            lane2: {
+              name: 'Fortified Approach',
+              description: 'Nemesis drones in this lane have +1 Shields.',
+              statModifiers: { shields: 1 },
+              appliesTo: 'OWNER'
+            }
+          },
+          reward: { credits: 250 }
+        },
+        {
+          id: 'LAST_STAND',
+          name: 'Last Stand',
+          description: 'Reactors overloaded — the Nemesis switches to an all-out assault.',
+          hullThreshold: 0.6,
+          decklist: [
+            { id: 'THERMAL_LANCE_ENHANCED', quantity: 4 },
+            { id: 'PIERCING_SHOT_ENHANCED', quantity: 4 },
+            { id: 'SIDEWINDER_MISSILES', quantity: 4 },
+            { id: 'PREY_ON_THE_WEAK_ENHANCED', quantity: 3 },
+            { id: 'WEAPON_OVERLOAD', quantity: 4 },
+            { id: 'ENERGY_SURGE_ENHANCED', quantity: 4 },
+            { id: 'EMERGENCY_PATCH_ENHANCED', quantity: 4 },
+            { id: 'NANOBOT_REPAIR', quantity: 3 }
+          ],
+          shipAbility: {
+            id: 'BOSS_ABILITY_NEMESIS_OVERLOAD',
+            name: 'Overloaded Reactors',
+            description: 'Gain 2 Energy. Go again. Once per round.',
+            cost: { energy: 0 },
+            targeting: null,
+            effect: { type: 'GAIN_ENERGY', value: 2, goAgain: true },
+            activationLimit: 1,
+            activationScope: 'round'
+          },
+          reinforcements: [
+            { droneName: 'Aegis', lane: 'lane1' },
+            { droneName: 'Aegis', lane: 'lane3' }
+          ],
+          reward: { credits: 500, aiCores: 1 }
+        }
+      ]
     }
   }
 ];
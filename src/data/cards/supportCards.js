@@ -218,6 +218,7 @@ export const supportCards = [
     rarity: 'Common',
     type: 'Support',
     cost: 1,
+    reaction: true,
     image: '/DroneWars/cards/NanobotRepair.png',
     description: 'Restore 3 hull to a friendly drone. Cannot exceed its maximum hull. \n \n Go again.',
     effects: [
@@ -231,6 +232,7 @@ export const supportCards = [
     name: 'Nanobot Repair+',
     type: 'Support',
     cost: 1,
+    reaction: true,
     image: '/DroneWars/cards/NanobotRepair.png',
     description: 'Restore 4 hull to a friendly drone. Cannot exceed its maximum hull. \n \n Go again.',
     effects: [
@@ -245,6 +247,7 @@ export const supportCards = [
     rarity: 'Common',
     type: 'Support',
     cost: 1,
+    reaction: true,
     image: '/DroneWars/cards/EmergencyPatch.png',
     description: 'Restore 1 hull to one of your ship sections.',
     effects: [
@@ -258,6 +261,7 @@ export const supportCards = [
     name: 'Emergency Patch+',
     type: 'Support',
     cost: 1,
+    reaction: true,
     image: '/DroneWars/cards/EmergencyPatch.png',
     description: 'Restore 1 hull to one of your ship sections. \n \n Go again.',
     effects: [
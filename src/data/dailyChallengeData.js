@@ -0,0 +1,30 @@
+/**
+ * Daily Challenge Data
+ * Fixed setup and scoring for the Daily Challenge run
+ *
+ * Everyone playing the same day gets the same seed (derived from the UTC date),
+ * so the map, encounters, loot and AI shuffles all match. The loadout is fixed
+ * to the starter deck (ship slot 0), which never carries damage between runs.
+ *
+ * Scoring:
+ * - Extracted runs score credits, combats won, PoIs visited, remaining hull
+ *   and the extraction bonus
+ * - Failed runs keep only the combat and PoI points (loot and hull are lost)
+ */
+
+export const DAILY_CHALLENGE = {
+  shipSlotId: 0,   // Starter deck
+  mapTier: 1,
+  entryGateId: 0,
+
+  scoring: {
+    extractionBonus: 500,
+    perCredit: 1,
+    perCombatWon: 100,
+    perPoiVisited: 50,
+    perHullRemaining: 10
+  }
+};
+
+// Version prefix for exported score codes (bump if the scoring rules change)
+export const SCORE_CODE_PREFIX = 'DW1';
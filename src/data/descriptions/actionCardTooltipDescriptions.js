@@ -62,6 +62,11 @@ const actionCardTooltipDescriptions = {
     description: 'This card costs momentum to play.',
     accentColor: 'border-blue-400',
   },
+  'reaction': {
+    label: 'Reaction',
+    description: 'Under competitive trigger ordering, can also be played in response to your opponent\'s triggers.',
+    accentColor: 'border-purple-400',
+  },
   'lanes-controlled': {
     label: 'Lanes Controlled',
     description: 'Effect repeats for each lane you control.',
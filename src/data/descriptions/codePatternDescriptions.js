@@ -41,6 +41,30 @@ export const effectPatterns = {
     notes: 'Self-trigger, fires for all drones/techs at round end. Supports triggerFilter.laneControl and targetType: SHIP_SECTION.'
   },
 
+  'ON_ROUND_START': {
+    validEffects: ['MODIFY_STAT (permanent)', 'HEAL_HULL', 'HEAL_SHIELDS', 'DRAW', 'DAMAGE'],
+    implementation: 'RoundManager.processRoundStartTriggers → TriggerProcessor.fireTrigger(ON_ROUND_START)',
+    notes: 'Self-trigger, fires for all drones/techs after drones ready and energy resets, before the round draw. Same lane-first order as ON_ROUND_END.'
+  },
+
+  'ON_DESTROYED': {
+    validEffects: ['DAMAGE', 'DRAW', 'GAIN_ENERGY', 'INCREASE_THREAT'],
+    implementation: 'TriggerProcessor.fireTrigger(ON_DESTROYED) from AttackProcessor; fireSelfTriggers from DestroyEffectProcessor, DamageEffectProcessor and mine damage',
+    notes: 'Self-trigger (deathrattle), fires after the drone has left the board — SELF-scoped effects have nothing to act on. Cascades share the chain pair set and MAX_CHAIN_DEPTH.'
+  },
+
+  'ON_SHIELDS_BROKEN': {
+    validEffects: ['MODIFY_STAT (permanent)', 'HEAL_SHIELDS', 'DAMAGE', 'GO_AGAIN'],
+    implementation: 'TriggerProcessor.fireTrigger(ON_SHIELDS_BROKEN) from AttackProcessor; fireSelfTriggers from DamageEffectProcessor and mine damage',
+    notes: 'Self-trigger, fires when damage takes a drone\'s shields from above 0 to 0 and the drone survives. Piercing damage never breaks shields.'
+  },
+
+  'ON_HEALED': {
+    validEffects: ['MODIFY_STAT (permanent)', 'HEAL_SHIELDS', 'DRAW'],
+    implementation: 'TriggerProcessor.fireSelfTriggers(ON_HEALED) from HullHealProcessor and ShieldHealProcessor',
+    notes: 'Self-trigger, fires only when the drone actually regains hull or shields. A drone healing itself from ON_HEALED is stopped by the pair guard.'
+  },
+
   'ON_CARD_DRAWN': {
     validEffects: ['MODIFY_STAT (permanent)'],
     implementation: 'TriggerProcessor.fireTrigger(ON_CARD_DRAWN)',
@@ -413,6 +437,12 @@ export const specialProperties = {
     usedWith: ['CREATE_TOKENS'],
     effect: 'Created tokens do not count against CPU limit.',
     notes: 'Allows token creation even when at max drones.'
+  },
+
+  'reaction': {
+    usedWith: 'any card',
+    effect: 'Card can also be played out of turn, in the response window before the opponent\'s ordered triggers resolve.',
+    notes: 'Only opens under PLAYER_CHOICE trigger rules (state.triggerResolution). Resolved by TriggerOrderStrategy.processTriggerResponse.'
   }
 };
 
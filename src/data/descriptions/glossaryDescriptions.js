@@ -141,7 +141,9 @@ export const keywordDescriptions = {
 
   'GUARDIAN': 'While this drone is active in a lane, the ship section in that lane cannot be directly targeted by attacks. Enemies must destroy the Guardian first.',
 
-  'JAMMER': 'While this drone is ready in a lane, opponent card effects can only target this drone. Provides protection for other units in the same lane. Effect is disabled when exhausted.'
+  'JAMMER': 'While this drone is ready in a lane, opponent card effects can only target this drone. Provides protection for other units in the same lane. Effect is disabled when exhausted.',
+
+  'INHIBIT_MOVEMENT': 'Enemy drones in this lane cannot move out of it while this tech is in play.'
 };
 
 // ========================================
@@ -69,7 +69,7 @@ const fullDroneCollection = [
             location: 'SAME_LANE',
             restrictions: ['DAMAGED_HULL']
         },
-        effect: { type: 'HEAL', value: 3 },
+        effect: { type: 'HEAL_HULL', value: 3 },
         cost: { energy: 1, exhausts: true }
          }],
     upgradeSlots: 2 
@@ -332,7 +332,7 @@ const fullDroneCollection = [
             affinity: 'FRIENDLY',
             location: 'SAME_LANE'
         },
-        effect: { type: 'HEAL', value: 1, scope: 'LANE' },
+        effect: { type: 'HEAL_HULL', value: 1, scope: 'LANE' },
         cost: { energy: 1, exhausts: true }
          }],
     upgradeSlots: 2
@@ -19,6 +19,11 @@ export const HEX_INFO_HELP_TEXT = {
     title: 'Salvage Threat',
     description: 'Detection added when you leave after salvaging. The more you take, the more attention you draw.'
   },
+  // Unknown signal (fog of war)
+  signalRisk: {
+    title: 'Signal Risk',
+    description: 'Unidentified PoI or gate. Move within sensor range or use Scan to see what is there and how risky it is.'
+  },
   // Common stats
   threatIncrease: {
     title: 'Threat Increase',
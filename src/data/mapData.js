@@ -125,6 +125,25 @@ export const mapTiers = [
       high: ['Specialized Hunter Group']           // 80-100% detection (reuse until Hard AIs added)
     },
 
+    // Roaming hunter fleets - visible patrol tokens that move each player move
+    // Pathing follows detection: patrol route (low), investigate noise (medium), hunt (high)
+    patrols: {
+      count: { min: 2, max: 3 },
+      minSpawnDistance: 4,   // Min hexes from insertion gate
+      routeLength: 3,        // Stops in each patrol's loop (including spawn)
+      routeRadius: 3,        // Max hexes from spawn for route stops
+      escapeThreatCost: {
+        occupied: 10,        // Extra escape threat cost for a patrol's hex
+        adjacent: 3          // ...and for each hex next to it
+      }
+    },
+
+    // Active scan - reveals PoIs and gates beyond sensor range at a detection cost
+    scan: {
+      detectionCost: 8,      // Threat added per scan (leaves noise for patrols)
+      rangeBonus: 2          // Hexes added to the bridge's sensor range
+    },
+
     // Validation
     maxPathCostPercent: 70,  // Max detection cost for critical path
 
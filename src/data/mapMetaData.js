@@ -3,6 +3,7 @@
  * Defines visual and gameplay characteristics for different map types
  *
  * Map Types control PoI TYPE distribution (what kind of rewards spawn)
+ * and terrain (environmental hexes, see terrainData.js)
  * Map Tiers (in mapData.js) control quality/quantity of rewards
  */
 
@@ -23,6 +24,13 @@ export const mapTypes = {
       Tactic: 25,
       Support: 25,
       Upgrade: 25
+    },
+    // Terrain hex counts by terrainData.js ID; other keys override the terrain's defaults
+    terrain: {
+      NEBULA: { count: { min: 3, max: 5 } },
+      ASTEROID_FIELD: { count: { min: 2, max: 4 } },
+      ION_STORM: { count: { min: 1, max: 2 } },
+      DERELICT_BEACON: { count: { min: 1, max: 1 } }
     }
   },
   MUNITIONS_FACTORY: {
@@ -36,6 +44,13 @@ export const mapTypes = {
       Tactic: 15,
       Support: 15,
       Upgrade: 10
+    },
+    // Wreckage-choked: debris fields are solid walls rather than hull hazards
+    terrain: {
+      NEBULA: { count: { min: 1, max: 2 } },
+      ASTEROID_FIELD: { count: { min: 5, max: 7 }, impassable: true, hullDamage: 0 },
+      ION_STORM: { count: { min: 1, max: 1 } },
+      DERELICT_BEACON: { count: { min: 1, max: 2 } }
     }
   },
   // Additional map types: NEBULA, ASTEROID, STATION — to be designed when map variety is prioritized
@@ -12,12 +12,14 @@ export const REPUTATION_EVENTS = {
     Normal: 300,
     Medium: 300,
     Hard: 500,
+    Expert: 800,
   },
   BOSS_KILL: {
     Easy: 300,
     Normal: 600,
     Medium: 600,
     Hard: 1000,
+    Expert: 1500,
   },
   POI_LOOT: {
     perimeter: 100,
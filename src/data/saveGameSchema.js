@@ -83,7 +83,8 @@ export const defaultPlayerProfile = {
   bossProgress: {
     defeatedBosses: [],      // Array of bossIds that have been defeated (for first-time rewards)
     totalBossVictories: 0,   // Total number of boss wins (including repeats)
-    totalBossAttempts: 0     // Total number of boss fight attempts
+    totalBossAttempts: 0,    // Total number of boss fight attempts
+    highestPhaseReached: {}  // bossId -> furthest boss phase reached in a victory
   },
 
   // Mission tracking system
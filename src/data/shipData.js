@@ -33,10 +33,31 @@ const shipCollection = [
       upgradeLimit: 6
     },
 
-    // FUTURE PROPERTIES (not yet implemented)
-    factionCardAllowances: {},
-    shipBonus: null,
-    shipAbility: null
+    // SHIP BONUS
+    // Passive, always active. statModifiers add to the effective ship stat totals
+    shipBonus: {
+      name: 'Efficient Reactors',
+      description: '+1 Energy Per Turn.',
+      statModifiers: { energyPerTurn: 1 }
+    },
+
+    // SHIP ABILITY
+    // Activated from the ship section panel; activationScope is 'round' or 'game'
+    shipAbility: {
+      id: 'SHIP_ABILITY_001',
+      name: 'Long-Range Scan',
+      description: 'Draw a card. Go again. Once per round.',
+      cost: { energy: 1 },
+      targeting: null,
+      effect: { type: 'DRAW', value: 1, goAgain: true },
+      activationLimit: 1,
+      activationScope: 'round'
+    },
+
+    // FACTION CARD ALLOWANCES
+    // Max cards per faction (factionData.js) outside the ship's own faction;
+    // neutral cards are unrestricted and unlisted factions are not allowed
+    factionCardAllowances: { MOVEMENT: 20, MARK: 20 }
   },
 
   {
@@ -64,10 +85,27 @@ const shipCollection = [
       upgradeLimit: 5
     },
 
-    // FUTURE PROPERTIES
-    factionCardAllowances: {},
-    shipBonus: null,
-    shipAbility: null
+    // SHIP BONUS
+    shipBonus: {
+      name: 'Launch Catapults',
+      description: 'The first drone you deploy each round costs 1 less.',
+      firstDeploymentDiscount: 1
+    },
+
+    // SHIP ABILITY
+    shipAbility: {
+      id: 'SHIP_ABILITY_002',
+      name: 'Reactor Overdrive',
+      description: 'Gain 3 Energy. Go again. Once per game.',
+      cost: { energy: 0 },
+      targeting: null,
+      effect: { type: 'GAIN_ENERGY', value: 3, goAgain: true },
+      activationLimit: 1,
+      activationScope: 'game'
+    },
+
+    // FACTION CARD ALLOWANCES
+    factionCardAllowances: { MOVEMENT: 5, MARK: 10 }
   },
 
   {
@@ -95,10 +133,12 @@ const shipCollection = [
       upgradeLimit: 5
     },
 
-    // FUTURE PROPERTIES
-    factionCardAllowances: {},
+    // SHIP BONUS / ABILITY
     shipBonus: null,
-    shipAbility: null
+    shipAbility: null,
+
+    // FACTION CARD ALLOWANCES
+    factionCardAllowances: { MOVEMENT: 10, MARK: 10 }
   },
   {
     id: 'SHIP_004',
@@ -125,10 +165,12 @@ const shipCollection = [
       upgradeLimit: 5
     },
 
-    // FUTURE PROPERTIES
-    factionCardAllowances: {},
+    // SHIP BONUS / ABILITY
     shipBonus: null,
-    shipAbility: null
+    shipAbility: null,
+
+    // FACTION CARD ALLOWANCES
+    factionCardAllowances: { MOVEMENT: 4, MARK: 4 }
   },
 ];
 
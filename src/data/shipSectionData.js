@@ -31,6 +31,7 @@ const shipComponentCollection = [
       critical: { 'Draw': 3, 'Discard': 1 },
     },
     middleLaneBonus: { 'Draw': 1, 'Discard': 0 },
+    sensorRange: 2,  // Tactical map: hexes within this range are identified (fog of war)
     image: '/DroneWars/img/Bridge.png',
     ability: {
       id: 'ABILITY_SHIP_01',
@@ -65,6 +66,7 @@ const shipComponentCollection = [
       critical: { 'Draw': 3, 'Discard': 1 },
     },
     middleLaneBonus: { 'Draw': 1, 'Discard': 0 },
+    sensorRange: 1,
     image: '/DroneWars/img/Bridge.png',
     ability: {
       id: 'ABILITY_SHIP_01',
@@ -99,6 +101,7 @@ const shipComponentCollection = [
       critical: { 'Draw': 3, 'Discard': 1 },
     },
     middleLaneBonus: { 'Draw': 1, 'Discard': 0 },
+    sensorRange: 3,
     image: '/DroneWars/img/Bridge.png',
     ability: {
       id: 'ABILITY_SHIP_04',
@@ -0,0 +1,64 @@
+/**
+ * Terrain Data
+ * Environmental hex types for the tactical map
+ *
+ * Terrain is placed on empty hexes only (never PoIs or gates) and stored on
+ * the hex as hex.terrain. Map types (mapMetaData.js) choose how many of each
+ * terrain type spawn and can override any of these defaults.
+ *
+ * Rules:
+ * - detectionMultiplier: scales the zone detection cost of entering the hex
+ * - moveCost:            pathfinding step cost (2 = takes twice as long)
+ * - impassable:          hex cannot be entered
+ * - hullDamage:          hull damage taken on entering the hex
+ * - relocateEvery:       hex moves elsewhere every N player moves
+ * - revealRadius:        entering the hex reveals PoIs within this range
+ */
+
+export const terrainTypes = {
+  NEBULA: {
+    id: 'NEBULA',
+    name: 'Nebula',
+    description: 'Dense gas cloud that masks your drive signature. Movement adds no detection, but takes twice as long.',
+    color: '#a855f7',  // Purple
+    detectionMultiplier: 0,
+    moveCost: 2
+  },
+  ASTEROID_FIELD: {
+    id: 'ASTEROID_FIELD',
+    name: 'Asteroid Field',
+    description: 'Tumbling rock and debris. Flying through it costs 1 hull.',
+    color: '#78716c',  // Stone
+    detectionMultiplier: 1,
+    moveCost: 1,
+    impassable: false,
+    hullDamage: 1
+  },
+  ION_STORM: {
+    id: 'ION_STORM',
+    name: 'Ion Storm',
+    description: 'Drifting storm front. Movement through it doubles detection, and the storm shifts every few moves.',
+    color: '#38bdf8',  // Sky blue
+    detectionMultiplier: 2,
+    moveCost: 1,
+    relocateEvery: 3
+  },
+  DERELICT_BEACON: {
+    id: 'DERELICT_BEACON',
+    name: 'Derelict Beacon',
+    description: 'Abandoned navigation beacon. Docking with it reveals nearby Points of Interest.',
+    color: '#facc15',  // Yellow
+    detectionMultiplier: 1,
+    moveCost: 1,
+    revealRadius: 2
+  }
+};
+
+/**
+ * Get terrain definition by ID
+ * @param {string} terrainId - Terrain ID (e.g. 'NEBULA')
+ * @returns {Object|null} Terrain definition or null
+ */
+export const getTerrainType = (terrainId) => terrainTypes[terrainId] || null;
+
+export default terrainTypes;
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+
+vi.mock('../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+}));
+
+import useMatchReplay from '../useMatchReplay.js';
+
+// --- Helpers ---
+
+// Stands in for replayWorker.js: answers each request asynchronously
+function makeWorker(respond) {
+  const worker = {
+    onmessage: null,
+    postMessage: vi.fn((message) => {
+      Promise.resolve().then(() => worker.onmessage({ data: { id: message.id, ...respond(message) } }));
+    }),
+    terminate: vi.fn(),
+  };
+  return worker;
+}
+
+const counterReplay = ({ command, index }) => {
+  if (command === 'load') return { cursor: 0, length: 3, entry: null, state: { counter: 0 } };
+  if (command === 'seek') return { cursor: index, length: 3, entry: { seq: index - 1, type: 'add' }, state: { counter: index } };
+  return { cursor: 0, length: 3, entry: null, state: { counter: 0 }, diffs: [] };
+};
+
+// --- Tests ---
+
+describe('useMatchReplay', () => {
+  let worker;
+  let createWorker;
+
+  beforeEach(() => {
+    worker = makeWorker(counterReplay);
+    createWorker = vi.fn(() => worker);
+  });
+
+  it('does not start a worker until a log is loaded', () => {
+    const { result } = renderHook(() => useMatchReplay({ createWorker }));
+
+    expect(createWorker).not.toHaveBeenCalled();
+    expect(result.current.loaded).toBe(false);
+  });
+
+  it('loads a log and steps through it', async () => {
+    const { result } = renderHook(() => useMatchReplay({ createWorker }));
+
+    await act(() => result.current.load('{"version":1}'));
+    expect(worker.postMessage).toHaveBeenCalledWith({ id: 0, command: 'load', matchLog: '{"version":1}' });
+    expect(result.current.loaded).toBe(true);
+    expect(result.current.length).toBe(3);
+
+    await act(() => result.current.stepForward());
+    expect(worker.postMessage).toHaveBeenLastCalledWith({ id: 1, command: 'seek', index: 1 });
+    expect(result.current.state).toEqual({ counter: 1 });
+    expect(result.current.entry).toEqual({ seq: 0, type: 'add' });
+  });
+
+  it('sends a plain copy of the live state for diffing', async () => {
+    const { result } = renderHook(() => useMatchReplay({ createWorker }));
+    await act(() => result.current.load('{}'));
+
+    await act(() => result.current.diffAgainst({ counter: 0, skipped: undefined }));
+
+    expect(worker.postMessage).toHaveBeenLastCalledWith({ id: 1, command: 'diff', liveState: { counter: 0 } });
+    expect(result.current.diffs).toEqual([]);
+  });
+
+  it('reports worker errors and keeps the last replayed state', async () => {
+    worker = makeWorker((message) => (message.command === 'seek' ? { error: 'No match log loaded' } : counterReplay(message)));
+    createWorker.mockReturnValue(worker);
+    const { result } = renderHook(() => useMatchReplay({ createWorker }));
+    await act(() => result.current.load('{}'));
+
+    await act(() => result.current.seek(2));
+
+    expect(result.current.error).toBe('No match log loaded');
+    expect(result.current.state).toEqual({ counter: 0 });
+  });
+
+  it('terminates the worker on unmount', async () => {
+    const { result, unmount } = renderHook(() => useMatchReplay({ createWorker }));
+    await act(() => result.current.load('{}'));
+
+    unmount();
+
+    expect(worker.terminate).toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,7 @@
 import { debugLog } from '../utils/debugLogger.js';
 import { isLaneFull } from '../logic/utils/gameEngineUtils.js';
 import { resolveDestinationRefs } from '../logic/cards/chainTargetResolver.js';
+import { getShipCard, validateShipAbilityUse } from '../logic/utils/shipCardUtils.js';
 
 /**
  * @typedef {Object} AbilityHandlerConfig
@@ -220,6 +221,28 @@ export default function useClickHandlers({
     }
   };
 
+  // --- handleShipCardAbilityClick ---
+
+  const handleShipCardAbilityClick = (e) => {
+    e.stopPropagation();
+    if (turnPhase !== 'action' || !isMyTurn() || passInfo[`${getLocalPlayerId()}Passed`]) return;
+
+    const use = validateShipAbilityUse(localPlayerState);
+    if (!use.isValid) {
+      setModalContent({ title: "Ship Ability Unavailable", text: use.reason, isBlocking: true });
+      return;
+    }
+
+    cancelAllActions();
+    setShipAbilityConfirmation({
+      ability: use.ability,
+      sectionName: 'shipCard',
+      sourceName: getShipCard(localPlayerState).name,
+      target: null,
+      abilityType: 'shipCard'
+    });
+  };
+
   // --- handleTargetClick ---
 
   const handleTargetClick = (target, targetType, isPlayer) => {
@@ -399,6 +422,7 @@ export default function useClickHandlers({
     handleToggleDroneSelection,
     handleAbilityIconClick,
     handleShipAbilityClick,
+    handleShipCardAbilityClick,
     handleTargetClick,
     handleTokenClick,
     handleLaneClick,
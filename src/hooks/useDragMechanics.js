@@ -7,6 +7,7 @@ import { useState, useRef, useCallback, useEffect } from 'react';
 import { debugLog } from '../utils/debugLogger.js';
 import { calculatePolygonPoints } from '../components/ui/TargetingArrow.jsx';
 import { calculateAllValidTargets, calculateAffectedDroneIds, calculateAffectedSections } from '../logic/targeting/uiTargetingHelpers.js';
+import { isSectionGuarded } from '../logic/targeting/AttackTargetValidator.js';
 import { getElementCenter } from '../utils/gameUtils.js';
 import { isCompoundEffect, resolveDestinationRefs } from '../logic/cards/chainTargetResolver.js';
 import { isLaneFull, MAX_TECH_PER_LANE } from '../logic/utils/gameEngineUtils.js';
@@ -858,11 +859,10 @@ const useDragMechanics = ({
     if (isOpponentTarget && target && targetLane && targetType === 'section') {
       if (sourceLane === targetLane) {
         // Check for Guardian protection
-        const opponentDronesInLane = opponentPlayerState.dronesOnBoard[sourceLane];
-        const hasGuardian = opponentDronesInLane?.some(drone => {
-          const effectiveStats = getEffectiveStats(drone, sourceLane);
-          return effectiveStats.keywords.has('GUARDIAN') && !drone.isExhausted;
-        });
+        const hasGuardian = isSectionGuarded(
+          opponentPlayerState.dronesOnBoard[sourceLane],
+          (drone) => getEffectiveStats(drone, sourceLane)
+        );
 
         if (hasGuardian) {
           debugLog('DRAG_DROP_DEPLOY', '⛔ Attack blocked - Guardian protection', { sourceLane });
@@ -223,6 +223,17 @@ export default function useGameLifecycle({
     });
   };
 
+  // --- handleUndo ---
+
+  /** Take back the last undoable action (single-player; see UndoManager) */
+  const handleUndo = async () => {
+    if (!gameState.undoAvailable) return;
+
+    cancelAllActions();
+
+    await submitAction('undo', { playerId: getLocalPlayerId() });
+  };
+
   // --- handleConfirmMandatoryDiscard ---
 
   const handleConfirmMandatoryDiscard = async (card) => {
@@ -503,6 +514,7 @@ export default function useGameLifecycle({
     handleAddCardsToHand,
     handleImportDeck,
     handlePlayerPass,
+    handleUndo,
     handleConfirmMandatoryDiscard,
     handleRoundStartDiscard,
     handleRoundStartDraw,
@@ -88,8 +88,10 @@ const useInterception = ({
   // Monitor unified interceptionPending state for both AI and human defenders
   useEffect(() => {
     const localPlayerId = getLocalPlayerId();
+    // Spectators watch from player1's seat but never decide or wait on interceptions
+    const isSpectator = gameState.gameMode === 'spectator';
 
-    if (gameState.interceptionPending) {
+    if (gameState.interceptionPending && !isSpectator) {
       const { attackingPlayerId, defendingPlayerId, attackDetails, interceptors } = gameState.interceptionPending;
 
       // Show "opponent deciding" modal to attacker
@@ -108,7 +110,7 @@ const useInterception = ({
       setShowOpponentDecidingModal(false);
       setPlayerInterceptionChoice(null);
     }
-  }, [gameState.interceptionPending, getLocalPlayerId]);
+  }, [gameState.interceptionPending, gameState.gameMode, getLocalPlayerId]);
 
   // Subscribe to interception event for immediate badge display (before animations)
   useEffect(() => {
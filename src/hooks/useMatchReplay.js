@@ -0,0 +1,73 @@
+// --- useMatchReplay ---
+// Drives a match log replay running in src/server/replayWorker.js.
+// Exposes the replay cursor, the last applied log entry and the replayed state,
+// plus step/seek controls and a diff of the replay against a live state.
+// The worker is created on first load and terminated on unmount.
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { debugLog } from '../utils/debugLogger.js';
+
+const createReplayWorker = () => new Worker(new URL('../server/replayWorker.js', import.meta.url), { type: 'module' });
+
+const EMPTY_REPLAY = { cursor: 0, length: 0, entry: null, state: null, diffs: null };
+
+const useMatchReplay = ({ createWorker = createReplayWorker } = {}) => {
+  const [replay, setReplay] = useState(EMPTY_REPLAY);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const workerRef = useRef(null);
+  const pendingRef = useRef(new Map()); // request id -> resolve
+  const nextIdRef = useRef(0);
+
+  useEffect(() => () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  const send = useCallback((message) => {
+    if (!workerRef.current) {
+      const worker = createWorker();
+      worker.onmessage = ({ data: { id, ...response } }) => {
+        const resolve = pendingRef.current.get(id);
+        pendingRef.current.delete(id);
+        resolve?.(response);
+      };
+      workerRef.current = worker;
+    }
+
+    const id = nextIdRef.current++;
+    setBusy(true);
+    return new Promise(resolve => {
+      pendingRef.current.set(id, resolve);
+      workerRef.current.postMessage({ id, ...message });
+    }).then(({ error: replayError, ...result }) => {
+      setBusy(false);
+      if (replayError) {
+        debugLog('STATE_SYNC', 'Match replay failed', { error: true, message: replayError });
+        setError(replayError);
+        return;
+      }
+      setError(null);
+      setReplay({ ...EMPTY_REPLAY, ...result });
+    });
+  }, [createWorker]);
+
+  const load = useCallback((matchLog) => send({ command: 'load', matchLog }), [send]);
+  const seek = useCallback((index) => send({ command: 'seek', index }), [send]);
+  const diffAgainst = useCallback((liveState) => send({ command: 'diff', liveState: JSON.parse(JSON.stringify(liveState)) }), [send]);
+
+  return {
+    ...replay,
+    loaded: replay.state !== null,
+    busy,
+    error,
+    load,
+    seek,
+    stepForward: () => seek(replay.cursor + 1),
+    stepBackward: () => seek(replay.cursor - 1),
+    diffAgainst,
+  };
+};
+
+export default useMatchReplay;
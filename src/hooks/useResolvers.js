@@ -422,6 +422,11 @@ const useResolvers = ({
           sectionName, playerId: getLocalPlayerId()
         });
         // mandatoryAction delivery: handled by mandatoryActionPending useEffect in App.jsx
+      } else if (abilityType === 'shipCard') {
+        const result = await submitAction('shipCardAbility', {
+          playerId: getLocalPlayerId(), targetId: target?.id || null
+        });
+        debugLog('SHIP_ABILITY', `${ability.name} ship ability completed:`, result);
       } else if (abilityType === 'reallocateShields' || ability.name === 'Reallocate Shields') {
         const result = await submitAction('reallocateShieldsComplete', {
           playerId: getLocalPlayerId(), pendingChanges: pendingShieldChanges
@@ -0,0 +1,68 @@
+// --- useTriggerOrdering Hook ---
+// Player-ordered trigger resolution (competitive PLAYER_CHOICE rules).
+// Watches gameState.triggerOrderPending and, when the local player is the one
+// deciding, exposes the pending window plus the submit handlers for the modal.
+
+import { useMemo, useCallback } from 'react';
+import { debugLog } from '../utils/debugLogger.js';
+import { calculateAllValidTargets } from '../logic/targeting/uiTargetingHelpers.js';
+import { getPlayableReactionCards } from '../logic/cards/reactionCards.js';
+import { TRIGGER_ORDER_STAGES } from '../logic/actions/TriggerOrderStrategy.js';
+
+/**
+ * @param {Object} deps - External dependencies from App.jsx
+ * @param {Object} deps.gameState - Current game state
+ * @param {Function} deps.getLocalPlayerId - Returns local player ID
+ * @param {Function} deps.submitAction - Routes an action through the game server
+ */
+const useTriggerOrdering = ({ gameState, getLocalPlayerId, submitAction }) => {
+  const pending = gameState.triggerOrderPending;
+  const localPlayerId = getLocalPlayerId();
+  // Spectators watch from player1's seat but never decide
+  const isSpectator = gameState.gameMode === 'spectator';
+
+  const triggerOrderChoice = !isSpectator && pending?.decidingPlayerId === localPlayerId ? pending : null;
+
+  // Reaction cards the local player can play in an open response window, with their legal targets
+  const responseOptions = useMemo(() => {
+    if (triggerOrderChoice?.stage !== TRIGGER_ORDER_STAGES.RESPONSE) return [];
+    return getPlayableReactionCards(gameState[localPlayerId]).map(card => {
+      const { validCardTargets } = calculateAllValidTargets(
+        null, null, card, gameState.player1, gameState.player2, localPlayerId
+      );
+      return { card, targets: validCardTargets };
+    }).filter(option => option.targets.length > 0);
+  }, [triggerOrderChoice, gameState, localPlayerId]);
+
+  const submitTriggerOrder = useCallback(async (order) => {
+    debugLog('TRIGGERS', '📋 Submitting trigger order', { order });
+    try {
+      await submitAction('triggerOrderDecision', { playerId: localPlayerId, order });
+    } catch (error) {
+      debugLog('TRIGGERS', '❌ Error submitting trigger order:', error);
+    }
+  }, [submitAction, localPlayerId]);
+
+  const submitTriggerResponse = useCallback(async (card = null, target = null) => {
+    debugLog('TRIGGERS', card ? `⚡ Responding with ${card.name}` : '⏭️ Passing response window');
+    try {
+      await submitAction('triggerResponse', {
+        playerId: localPlayerId,
+        card,
+        targetId: target?.id || null,
+        targetOwner: target?.owner || null
+      });
+    } catch (error) {
+      debugLog('TRIGGERS', '❌ Error submitting trigger response:', error);
+    }
+  }, [submitAction, localPlayerId]);
+
+  return {
+    triggerOrderChoice,
+    responseOptions,
+    submitTriggerOrder,
+    submitTriggerResponse,
+  };
+};
+
+export default useTriggerOrdering;
@@ -34,6 +34,24 @@ import StealEnergyEffectProcessor from './effects/energy/StealEnergyEffectProces
 import ExhaustDroneEffectProcessor from './effects/state/ExhaustDroneEffectProcessor.js';
 import StatusEffectProcessor from './effects/state/StatusEffectProcessor.js';
 import ConditionalSectionDamageProcessor from './effects/ConditionalSectionDamageProcessor.js';
+
+/**
+ * Count a revealing effect on the acting player's state (playerState.revealCount).
+ * UndoManager refuses to take back an action that changed the count.
+ * @returns {Object} The result with the tagged player state
+ */
+function tagRevealed(result, actingPlayerId = 'player1') {
+  const playerState = result.newPlayerStates[actingPlayerId];
+  if (!playerState) return result;
+  return {
+    ...result,
+    newPlayerStates: {
+      ...result.newPlayerStates,
+      [actingPlayerId]: { ...playerState, revealCount: (playerState.revealCount || 0) + 1 },
+    },
+  };
+}
+
 /**
  * EffectRouter - Dispatches effects to modular processors
  *
@@ -122,7 +140,11 @@ class EffectRouter {
     const processor = this.processors[effect.type];
 
     if (processor) {
-      return processor.process(effect, context);
+      const result = processor.process(effect, context);
+      if (result?.newPlayerStates && processor.revealsInformation(effect, context)) {
+        return tagRevealed(result, context.actingPlayerId);
+      }
+      return result;
     }
 
     return null;
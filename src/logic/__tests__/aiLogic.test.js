@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { aiBrain } from '../ai/aiLogic.js';
 import GameDataService from '../../services/GameDataService.js';
+import { DECISION_THRESHOLDS } from '../ai/aiConstants.js';
 
 /**
  * AI LOGIC TESTS - CPU LIMIT BUG FIX
@@ -213,6 +214,101 @@ describe('AI Logic - CPU Limit Bug', () => {
   // SCORING TESTS AT CPU LIMIT
   // ========================================
 
+  describe('handleOpponentTurn - Personality Weight Profiles', () => {
+    it('scores under the personality\'s overrides and restores the defaults afterwards', () => {
+      const player1 = createPlayerState(3, { name: 'Human' });
+      const player2 = {
+        ...createPlayerState(5, { name: 'AI' }),
+        aiPersonality: { name: 'Picky', weightOverrides: { DECISION_THRESHOLDS: { MIN_DEPLOY_SCORE: 10000 } } }
+      };
+
+      const result = aiBrain.handleOpponentTurn({
+        player1,
+        player2,
+        turn: 2,
+        placedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        opponentPlacedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        getShipStatus: createShipStatus,
+        gameStateManager: mockGameStateManager,
+        addLogEntry: mockAddLogEntry
+      });
+
+      // Same board deploys under the defaults (see CPU limit tests above)
+      expect(result.type).toBe('pass');
+      expect(DECISION_THRESHOLDS.MIN_DEPLOY_SCORE).toBe(5);
+    });
+  });
+
+  describe('handleOpponentTurn - Hidden Information', () => {
+    it('decides from a redacted view of the opponent', () => {
+      const player1 = createPlayerState(3, { name: 'Human', hand: [{ id: 'NUKE', name: 'Nuke', cost: 9 }] });
+      const player2 = createPlayerState(10, { name: 'AI' }); // At CPU limit, so the decision is recorded as a pass
+
+      aiBrain.handleOpponentTurn({
+        player1,
+        player2,
+        turn: 2,
+        placedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        opponentPlacedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        getShipStatus: createShipStatus,
+        gameStateManager: mockGameStateManager,
+        addLogEntry: mockAddLogEntry
+      });
+
+      const seen = mockGameStateManager.addAIDecisionToHistory.mock.calls[0][3];
+      expect(seen.player1.hand).toEqual([]);
+      expect(seen.player1.handCount).toBe(1);
+      expect(seen.player2).toBe(player2);
+    });
+  });
+
+  describe('handleOpponentTurn - Decision Trace', () => {
+    it('attaches a trace explaining every rejected deployment to the log entry', () => {
+      const player1 = createPlayerState(3, { name: 'Human' });
+      const player2 = createPlayerState(10, { name: 'AI' }); // At CPU limit
+
+      aiBrain.handleOpponentTurn({
+        player1,
+        player2,
+        turn: 2,
+        placedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        opponentPlacedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        getShipStatus: createShipStatus,
+        gameStateManager: mockGameStateManager,
+        addLogEntry: mockAddLogEntry
+      });
+
+      const [entry] = mockAddLogEntry.mock.calls.at(-1);
+      expect(entry.actionType).toBe('PASS');
+      expect(entry.aiDecisionTrace).toMatchObject({ phase: 'deployment', outcome: 'pass' });
+      expect(entry.aiDecisionTrace.candidates.length).toBeGreaterThan(0);
+      expect(entry.aiDecisionTrace.candidates.every(c => !c.chosen && c.rejection)).toBe(true);
+    });
+
+    it('breaks the chosen deployment into lane impact and bonus terms', () => {
+      const player1 = createPlayerState(3, { name: 'Human' });
+      const player2 = createPlayerState(5, { name: 'AI' });
+
+      const result = aiBrain.handleOpponentTurn({
+        player1,
+        player2,
+        turn: 2,
+        placedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        opponentPlacedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        getShipStatus: createShipStatus,
+        gameStateManager: mockGameStateManager,
+        addLogEntry: mockAddLogEntry
+      });
+
+      expect(result.type).toBe('deploy');
+      const [entry] = mockAddLogEntry.mock.calls.at(-1);
+      const chosen = entry.aiDecisionTrace.candidates.find(c => c.chosen);
+      expect(chosen.instigator).toBe(result.payload.droneToDeploy.name);
+      const total = chosen.baseScore + chosen.adjustments.reduce((sum, a) => sum + a.delta, 0);
+      expect(total).toBeCloseTo(chosen.finalScore);
+    });
+  });
+
   describe('handleOpponentTurn - Scoring at CPU Limit', () => {
     it('all deployments should have score -999 when at CPU limit', () => {
       const player1 = createPlayerState(3, { name: 'Human' });
@@ -13,6 +13,7 @@ import { debugLog } from '../../utils/debugLogger.js';
  *
  * Key responsibilities:
  * - Resolve drone abilities (exhaust, cost payment, effect routing)
+ * - Resolve ship card abilities (cost payment, activation tracking, effect routing)
  * - Route ability effects through EffectRouter
  * - Generate animation events
  *
@@ -64,7 +65,7 @@ class AbilityResolver {
       targetName = targetDrone.name;
     }
 
-    if (effect.type === 'HEAL') {
+    if (effect.type === 'HEAL_HULL') {
       outcome = `Healed ${effect.value} hull on targets in ${targetName}.`;
       if (effect.scope !== 'LANE') {
         outcome = `Healed ${effect.value} hull on ${targetName}.`;
@@ -138,6 +139,74 @@ class AbilityResolver {
     };
   }
 
+  /**
+   * Resolve a ship card ability (shipData.js shipAbility)
+   *
+   * Pays the energy cost, records the activation against the ability's
+   * activation scope, and routes the effect through EffectRouter.
+   *
+   * @param {Object} ability - Ship ability definition { effect, cost, name, activationScope }
+   * @param {string} playerId - Player activating their ship's ability
+   * @param {Object|null} target - Target for targeted abilities
+   * @param {Object} playerStates - { player1, player2 } current states
+   * @param {Object} placedSections - Placed ship sections for calculations
+   * @param {Function} logCallback - Logging callback
+   * @param {Object} options - { isPlayerAI } function
+   * @returns {Object} { newPlayerStates, shouldEndTurn, animationEvents }
+   */
+  resolveShipAbility(ability, playerId, target, playerStates, placedSections, logCallback, { isPlayerAI } = {}) {
+    const { effect, cost } = ability;
+
+    if (logCallback) {
+      logCallback({
+        player: playerStates[playerId].name,
+        actionType: 'SHIP_ABILITY',
+        source: ability.name,
+        target: target?.name || 'N/A',
+        outcome: ability.description
+      });
+    }
+
+    const newPlayerStates = {
+      player1: JSON.parse(JSON.stringify(playerStates.player1)),
+      player2: JSON.parse(JSON.stringify(playerStates.player2))
+    };
+    const actingPlayerState = newPlayerStates[playerId];
+
+    if (cost.energy) {
+      actingPlayerState.energy -= cost.energy;
+    }
+
+    // Both counters advance; round is reset by RoundManager, game never is
+    const activations = actingPlayerState.shipAbilityActivations || {};
+    actingPlayerState.shipAbilityActivations = {
+      round: (activations.round || 0) + 1,
+      game: (activations.game || 0) + 1
+    };
+
+    const effectRouter = new EffectRouter();
+    const result = effectRouter.routeEffect(effect, {
+      actingPlayerId: playerId,
+      playerStates: newPlayerStates,
+      target,
+      placedSections,
+      callbacks: { logCallback },
+      localPlayerId: playerId,
+      isPlayerAI
+    });
+
+    if (result === null) {
+      debugLog('SHIP_ABILITY', `Ship ability effect ${effect.type} has no processor`);
+      return { newPlayerStates, shouldEndTurn: !effect.goAgain, animationEvents: [] };
+    }
+
+    return {
+      newPlayerStates: result.newPlayerStates,
+      shouldEndTurn: !effect.goAgain,
+      animationEvents: result.animationEvents || []
+    };
+  }
+
   /**
    * Route drone ability effect through EffectRouter
    *
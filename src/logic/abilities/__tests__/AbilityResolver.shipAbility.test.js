@@ -0,0 +1,62 @@
+import { describe, it, expect, vi } from 'vitest'
+// Load ActionProcessor the way the app does (via GameStateManager) to avoid an import cycle
+import '../../../managers/GameStateManager.js'
+import AbilityResolver from '../AbilityResolver.js'
+
+// ========================================
+// SHIP CARD ABILITY RESOLUTION TESTS
+// ========================================
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+  timingLog: vi.fn()
+}))
+
+const createPlayerState = (overrides = {}) => ({
+  name: 'Player 1',
+  energy: 4,
+  hand: [],
+  deck: [{ id: 'CARD_A', instanceId: 'a1', name: 'Card A' }, { id: 'CARD_B', instanceId: 'b1', name: 'Card B' }],
+  discardPile: [],
+  dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
+  shipSections: {},
+  appliedUpgrades: {},
+  shipAbilityActivations: { round: 0, game: 0 },
+  ...overrides
+})
+
+const resolve = (ability, playerStates, logCallback = vi.fn()) =>
+  AbilityResolver.resolveShipAbility(ability, 'player1', null, playerStates, { player1: [], player2: [] }, logCallback)
+
+const scan = {
+  name: 'Long-Range Scan', description: 'Draw a card. Go again.', cost: { energy: 1 },
+  targeting: null, effect: { type: 'DRAW', value: 1, goAgain: true }, activationLimit: 1, activationScope: 'round'
+}
+
+describe('AbilityResolver.resolveShipAbility', () => {
+  it('pays the cost, records the activation and routes the effect', () => {
+    const playerStates = { player1: createPlayerState(), player2: createPlayerState({ name: 'Player 2' }) }
+    const logCallback = vi.fn()
+
+    const result = resolve(scan, playerStates, logCallback)
+    const player1 = result.newPlayerStates.player1
+
+    expect(player1.energy).toBe(3)
+    expect(player1.hand).toHaveLength(1)
+    expect(player1.deck).toHaveLength(1)
+    expect(player1.shipAbilityActivations).toEqual({ round: 1, game: 1 })
+    expect(result.shouldEndTurn).toBe(false)
+    expect(logCallback).toHaveBeenCalledWith(expect.objectContaining({ actionType: 'SHIP_ABILITY', source: 'Long-Range Scan' }))
+    expect(playerStates.player1.energy).toBe(4)
+  })
+
+  it('ends the turn for abilities without go again', () => {
+    const overdrive = { ...scan, name: 'Overdrive', cost: { energy: 0 }, effect: { type: 'GAIN_ENERGY', value: 3 } }
+    const playerStates = { player1: createPlayerState(), player2: createPlayerState({ name: 'Player 2' }) }
+
+    const result = resolve(overdrive, playerStates)
+
+    expect(result.newPlayerStates.player1.energy).toBe(7)
+    expect(result.shouldEndTurn).toBe(true)
+  })
+})
@@ -58,7 +58,7 @@ function _generateOutcome(card, target) {
   return 'Card effect applied.';
 }
 
-async function _processChainCardPlay(card, target, playerId, playerStates, placedSections, currentState, ctx, chainSelections = null, insertionIndex = null) {
+async function _processChainCardPlay(card, target, playerId, playerStates, placedSections, currentState, ctx, chainSelections = null, insertionIndex = null, asReaction = false) {
   debugLog('CARD_PLAY_TRACE', '[5] Entering chain engine', {
     card: card.name, playerId, targetId: target?.id,
     targetType: target?.name ? 'entity' : target?.id?.startsWith('lane') ? 'lane' : 'none',
@@ -136,7 +136,8 @@ async function _processChainCardPlay(card, target, playerId, playerStates, place
 
   debugLog('CARD_PLAY_TRACE', '[9] Post-chain complete', { card: card.name, shouldEndTurn: result.shouldEndTurn, animationCount: animations.length });
 
-  if (!result.shouldEndTurn) {
+  // A Reaction played in a response window is out of turn — there is no turn to continue
+  if (!result.shouldEndTurn && !asReaction) {
     await ctx.executeGoAgainAnimation(playerId);
   }
 
@@ -148,7 +149,7 @@ async function _processChainCardPlay(card, target, playerId, playerStates, place
 
 /**
  * Process card play action
- * @param {Object} payload - { card, targetId, targetOwner?, playerId, chainSelections? }
+ * @param {Object} payload - { card, targetId, targetOwner?, playerId, chainSelections?, asReaction? }
  * @param {Object} ctx - ActionContext from ActionProcessor
  */
 export async function processCardPlay(payload, ctx) {
@@ -223,7 +224,7 @@ export async function processCardPlay(payload, ctx) {
     }
   }
 
-  return _processChainCardPlay(card, target, playerId, playerStates, placedSections, currentState, ctx, payload.chainSelections || null, insertionIndex);
+  return _processChainCardPlay(card, target, playerId, playerStates, placedSections, currentState, ctx, payload.chainSelections || null, insertionIndex, !!payload.asReaction);
 }
 
 /**
@@ -8,6 +8,7 @@ import AbilityResolver from '../abilities/AbilityResolver.js';
 import { gameEngine } from '../gameLogic.js';
 import TriggerProcessor from '../triggers/TriggerProcessor.js';
 import { TRIGGER_TYPES } from '../triggers/triggerConstants.js';
+import { resolveWithTriggerOrder } from './TriggerOrderStrategy.js';
 import { debugLog } from '../../utils/debugLogger.js';
 import { hasMovementInhibitorInLane } from '../../utils/gameUtils.js';
 import { buildDefaultMovementAnimation } from '../effects/movement/animations/DefaultMovementAnimation.js';
@@ -16,7 +17,7 @@ import { insertDroneInLane } from '../utils/laneInsertionUtils.js';
 
 /**
  * Process attack action
- * @param {Object} payload - { attackDetails }
+ * @param {Object} payload - { attackDetails, triggerOrder?, triggerResponseClosed? }
  * @param {Object} ctx - ActionContext from ActionProcessor
  */
 export async function processAttack(payload, ctx) {
@@ -113,18 +114,32 @@ export async function processAttack(payload, ctx) {
     });
   }
 
-  const logCallback = (entry) => {
-    ctx.addLogEntry(entry, 'resolveAttack',
-      finalAttackDetails.attackingPlayer === 'player2' ? finalAttackDetails.aiContext : null);
-  };
-
-  const result = resolveAttack(
+  const runAttack = (log) => resolveAttack(
     finalAttackDetails,
     { player1: currentState.player1, player2: currentState.player2 },
     allPlacedSections,
-    logCallback
+    (entry) => log(entry, 'resolveAttack',
+      finalAttackDetails.attackingPlayer === 'player2' ? finalAttackDetails.aiContext : null)
   );
 
+  // Card-driven attacks resolve inside their card's effect chain and keep priority order
+  const resolution = attackDetails.sourceCardInstanceId
+    ? { result: runAttack(ctx.addLogEntry) }
+    : resolveWithTriggerOrder({
+      type: 'attack',
+      // Carry the interception outcome so a resumed attack is not offered for interception again
+      payload: { ...payload, attackDetails: { ...finalAttackDetails, interceptor: finalAttackDetails.interceptor || null } },
+      actingPlayerId: finalAttackDetails.attackingPlayer
+    }, ctx, runAttack);
+
+  if (resolution.pause) {
+    if (currentState.interceptionPending) {
+      ctx.setState({ interceptionPending: null });
+    }
+    return resolution.pause;
+  }
+  const { result } = resolution;
+
   // Map animation events with timing from AnimationManager definitions
   const animations = ctx.mapAnimationEvents(result.animationEvents);
 
@@ -173,7 +188,7 @@ export async function processAttack(payload, ctx) {
 
 /**
  * Process move action
- * @param {Object} payload - { droneId, fromLane, toLane, playerId }
+ * @param {Object} payload - { droneId, fromLane, toLane, playerId, triggerOrder?, triggerResponseClosed? }
  * @param {Object} ctx - ActionContext from ActionProcessor
  */
 export async function processMove(payload, ctx) {
@@ -237,100 +252,122 @@ export async function processMove(payload, ctx) {
     return { success: true, snaredConsumed: true, shouldEndTurn: true };
   }
 
-  // Create a copy of the entire player state for processing
-  let newPlayerState = JSON.parse(JSON.stringify(playerState));
+  // Trigger work runs in one synchronous pass so PLAYER_CHOICE rules can pause and re-run it
+  const runMove = (log) => {
+    // Create a copy of the entire player state for processing
+    let newPlayerState = JSON.parse(JSON.stringify(playerState));
 
-  // Move the drone — exhausted by default, trigger system may un-exhaust
-  const movedDrone = {
-    ...drone,
-    isExhausted: true
-  };
-  newPlayerState.dronesOnBoard[fromLane] = newPlayerState.dronesOnBoard[fromLane].filter(d => d.id !== droneId);
-  insertDroneInLane(newPlayerState.dronesOnBoard[toLane], movedDrone, insertionIndex);
-
-  // Capture pre-trigger state for bridge STATE_SNAPSHOT
-  // (drone has moved but no trigger effects applied yet)
-  const preTriggerIntermediateState = {
-    [playerId]: JSON.parse(JSON.stringify(newPlayerState)),
-    [opponentPlayerId]: JSON.parse(JSON.stringify(opponentPlayerState)),
-  };
+    // Move the drone — exhausted by default, trigger system may un-exhaust
+    const movedDrone = {
+      ...drone,
+      isExhausted: true
+    };
+    newPlayerState.dronesOnBoard[fromLane] = newPlayerState.dronesOnBoard[fromLane].filter(d => d.id !== droneId);
+    insertDroneInLane(newPlayerState.dronesOnBoard[toLane], movedDrone, insertionIndex);
+
+    // Capture pre-trigger state for bridge STATE_SNAPSHOT
+    // (drone has moved but no trigger effects applied yet)
+    const preTriggerIntermediateState = {
+      [playerId]: JSON.parse(JSON.stringify(newPlayerState)),
+      [opponentPlayerId]: JSON.parse(JSON.stringify(opponentPlayerState)),
+    };
 
-  // Apply ON_MOVE effects via TriggerProcessor (fires for all drones per PRD 3.3)
-  const triggerProcessor = new TriggerProcessor();
-  let opponentState = JSON.parse(JSON.stringify(opponentPlayerState));
-  const moveResult = triggerProcessor.fireTrigger(TRIGGER_TYPES.ON_MOVE, {
-    lane: toLane,
-    triggeringDrone: movedDrone,
-    triggeringPlayerId: playerId,
-    actingPlayerId: playerId,
-    playerStates: {
-      [playerId]: newPlayerState,
-      [opponentPlayerId]: opponentState
-    },
-    placedSections,
-    logCallback: (entry) => ctx.addLogEntry(entry),
-    currentTurnPlayerId: playerId
-  });
-  let stateAfterMoveEffects = moveResult.triggered
-    ? moveResult.newPlayerStates[playerId]
-    : newPlayerState;
-  const onMoveAnimationEvents = moveResult.animationEvents || [];
-  if (moveResult.triggered) {
-    opponentState = moveResult.newPlayerStates[opponentPlayerId];
-  }
+    // Apply ON_MOVE effects via TriggerProcessor (fires for all drones per PRD 3.3)
+    const triggerProcessor = new TriggerProcessor();
+    let opponentState = JSON.parse(JSON.stringify(opponentPlayerState));
+    const moveResult = triggerProcessor.fireTrigger(TRIGGER_TYPES.ON_MOVE, {
+      lane: toLane,
+      triggeringDrone: movedDrone,
+      triggeringPlayerId: playerId,
+      actingPlayerId: playerId,
+      playerStates: {
+        [playerId]: newPlayerState,
+        [opponentPlayerId]: opponentState
+      },
+      placedSections,
+      logCallback: (entry) => log(entry),
+      currentTurnPlayerId: playerId
+    });
+    let stateAfterMoveEffects = moveResult.triggered
+      ? moveResult.newPlayerStates[playerId]
+      : newPlayerState;
+    const onMoveAnimationEvents = moveResult.animationEvents || [];
+    if (moveResult.triggered) {
+      opponentState = moveResult.newPlayerStates[opponentPlayerId];
+    }
 
-  // DOES_NOT_EXHAUST: Patch bridge snapshot so animation never shows drone exhausted
-  // (TriggerProcessor already handles isExhausted=false on the returned newPlayerStates,
-  // but preTriggerIntermediateState is a separate deep copy it doesn't know about)
-  if (moveResult.doesNotExhaust) {
-    const droneInIntermediate = preTriggerIntermediateState[playerId]?.dronesOnBoard?.[toLane]?.find(d => d.id === droneId);
-    if (droneInIntermediate) {
-      droneInIntermediate.isExhausted = false;
+    // DOES_NOT_EXHAUST: Patch bridge snapshot so animation never shows drone exhausted
+    // (TriggerProcessor already handles isExhausted=false on the returned newPlayerStates,
+    // but preTriggerIntermediateState is a separate deep copy it doesn't know about)
+    if (moveResult.doesNotExhaust) {
+      const droneInIntermediate = preTriggerIntermediateState[playerId]?.dronesOnBoard?.[toLane]?.find(d => d.id === droneId);
+      if (droneInIntermediate) {
+        droneInIntermediate.isExhausted = false;
+      }
     }
-  }
 
-  // Update auras after movement
-  stateAfterMoveEffects.dronesOnBoard = gameEngine.updateAuras(
-    stateAfterMoveEffects,
-    opponentState,
-    placedSections
-  );
+    // Update auras after movement
+    stateAfterMoveEffects.dronesOnBoard = gameEngine.updateAuras(
+      stateAfterMoveEffects,
+      opponentState,
+      placedSections
+    );
 
-  // Fire ON_LANE_MOVEMENT_IN triggers on in-memory state (not from GSM)
-  const movedDroneInLane = stateAfterMoveEffects.dronesOnBoard[toLane]?.find(d => d.id === droneId);
-  const mineTriggerProcessor = new TriggerProcessor();
-  const minePlayerStates = {
-    [playerId]: JSON.parse(JSON.stringify(stateAfterMoveEffects)),
-    [opponentPlayerId]: JSON.parse(JSON.stringify(opponentState)),
-  };
-  const mineResult = mineTriggerProcessor.fireTrigger(TRIGGER_TYPES.ON_LANE_MOVEMENT_IN, {
-    lane: toLane,
-    triggeringDrone: movedDroneInLane,
-    triggeringPlayerId: playerId,
-    actingPlayerId: playerId,
-    playerStates: minePlayerStates,
-    placedSections,
-    logCallback: (entry) => ctx.addLogEntry(entry),
-    currentTurnPlayerId: playerId
-  });
+    // Fire ON_LANE_MOVEMENT_IN triggers on in-memory state (not from GSM)
+    const movedDroneInLane = stateAfterMoveEffects.dronesOnBoard[toLane]?.find(d => d.id === droneId);
+    const mineTriggerProcessor = new TriggerProcessor();
+    const minePlayerStates = {
+      [playerId]: JSON.parse(JSON.stringify(stateAfterMoveEffects)),
+      [opponentPlayerId]: JSON.parse(JSON.stringify(opponentState)),
+    };
+    const mineResult = mineTriggerProcessor.fireTrigger(TRIGGER_TYPES.ON_LANE_MOVEMENT_IN, {
+      lane: toLane,
+      triggeringDrone: movedDroneInLane,
+      triggeringPlayerId: playerId,
+      actingPlayerId: playerId,
+      playerStates: minePlayerStates,
+      placedSections,
+      logCallback: (entry) => log(entry),
+      currentTurnPlayerId: playerId
+    });
 
-  // Capture goAgain from either trigger result — ON_MOVE (e.g. Infiltration Protocol) or ON_LANE_MOVEMENT_IN (mines)
-  const goAgain = moveResult.goAgain || mineResult.goAgain;
+    // Capture goAgain from either trigger result — ON_MOVE (e.g. Infiltration Protocol) or ON_LANE_MOVEMENT_IN (mines)
+    const goAgain = moveResult.goAgain || mineResult.goAgain;
 
-  // Determine final player states (after mine destruction)
-  let finalPlayerState = stateAfterMoveEffects;
-  let finalOpponentState = opponentState;
-  if (mineResult.triggered) {
-    finalPlayerState = mineResult.newPlayerStates[playerId];
-    finalOpponentState = mineResult.newPlayerStates[opponentPlayerId];
-  }
+    // Determine final player states (after mine destruction)
+    let finalPlayerState = stateAfterMoveEffects;
+    let finalOpponentState = opponentState;
+    if (mineResult.triggered) {
+      finalPlayerState = mineResult.newPlayerStates[playerId];
+      finalOpponentState = mineResult.newPlayerStates[opponentPlayerId];
+    }
 
-  // Check if the moved drone was destroyed by the mine
-  const droneDestroyedByMine = mineResult.triggered &&
-    !finalPlayerState.dronesOnBoard[toLane].some(d => d.id === droneId);
+    // Check if the moved drone was destroyed by the mine
+    const droneDestroyedByMine = mineResult.triggered &&
+      !finalPlayerState.dronesOnBoard[toLane].some(d => d.id === droneId);
+
+    return {
+      preTriggerIntermediateState,
+      allTriggerEvents: [...onMoveAnimationEvents, ...(mineResult.animationEvents || [])],
+      finalPlayerState,
+      finalOpponentState,
+      goAgain,
+      droneDestroyedByMine
+    };
+  };
+
+  const resolution = resolveWithTriggerOrder({ type: 'move', payload, actingPlayerId: playerId }, ctx, runMove);
+  if (resolution.pause) return resolution.pause;
+  const {
+    preTriggerIntermediateState,
+    allTriggerEvents,
+    finalPlayerState,
+    finalOpponentState,
+    goAgain,
+    droneDestroyedByMine
+  } = resolution.result;
 
   // Build properly-ordered animation sequence: movement → STATE_SNAPSHOT → triggers
-  const allTriggerEvents = [...onMoveAnimationEvents, ...(mineResult.animationEvents || [])];
   const movementEvents = buildDefaultMovementAnimation({
     drone, fromLane, toLane, actingPlayerId: playerId,
   });
@@ -438,25 +475,25 @@ export async function processAbility(payload, ctx) {
     }
   }
 
-  const logCallback = (entry) => {
-    ctx.addLogEntry(entry, 'resolveAbility');
-  };
-
   // Recursive callback: ability resolution can trigger attacks
   const resolveAttackCallback = async (attackDetails) => {
     return await processAttack({ attackDetails }, ctx);
   };
 
-  const result = AbilityResolver.resolveAbility(
+  const runAbility = (log) => AbilityResolver.resolveAbility(
     ability,
     userDrone,
     targetDrone,
     playerStates,
     allPlacedSections,
-    logCallback,
+    (entry) => log(entry, 'resolveAbility'),
     resolveAttackCallback
   );
 
+  const resolution = resolveWithTriggerOrder({ type: 'ability', payload, actingPlayerId: userDrone.owner }, ctx, runAbility);
+  if (resolution.pause) return resolution.pause;
+  const result = resolution.result;
+
   // Map animation events with timing from AnimationManager definitions
   const animations = ctx.mapAnimationEvents(result.animationEvents);
 
@@ -10,6 +10,7 @@ import { debugLog } from '../../utils/debugLogger.js';
 import { shipComponentCollection } from '../../data/shipSectionData.js';
 import { getShipById, getDefaultShip } from '../../data/shipData.js';
 import { calculateSectionBaseStats } from '../statsCalculator.js';
+import { validateDeckForShip } from '../cards/DeckValidator.js';
 
 /**
  * Get phase commitment status
@@ -99,6 +100,22 @@ export async function processCommitment(payload, ctx) {
     const { subPhase, ...subPhaseData } = actionData;
     debugLog('COMMITMENTS', `🔀 preGameSetup sub-phase: ${subPhase} for ${playerId}`);
 
+    // Reject decks that break the ship's faction card allowances. Shipped AI
+    // decks are enforced by validate-content; here they are only logged, so a
+    // content slip cannot stall the match.
+    if (subPhase === 'deckSelection') {
+      const playerShipId = currentState[playerId]?.shipId;
+      const shipCard = playerShipId ? getShipById(playerShipId) : getDefaultShip();
+      const deckValidation = validateDeckForShip(subPhaseData.deck, shipCard);
+      if (!deckValidation.valid) {
+        if (!ctx.isPlayerAI(playerId)) {
+          debugLog('COMMITMENTS', `❌ ${playerId} deck rejected`, deckValidation.reasons);
+          return { success: false, error: deckValidation.reasons.map(r => r.message).join('; ') };
+        }
+        debugLog('COMMITMENTS', `⚠️ ${playerId} AI deck breaks the ship's card rules — accepted`, deckValidation.reasons);
+      }
+    }
+
     const existingSubPhaseCommitments = currentState.commitments[subPhase] || {
       player1: { completed: false },
       player2: { completed: false }
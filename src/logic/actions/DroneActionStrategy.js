@@ -4,12 +4,13 @@
 
 import { gameEngine } from '../gameLogic.js';
 import DeploymentProcessor from '../deployment/DeploymentProcessor.js';
+import { resolveWithTriggerOrder } from './TriggerOrderStrategy.js';
 import { debugLog } from '../../utils/debugLogger.js';
 import { SHIP_ABILITY_REVEAL } from '../../config/animationTypes.js';
 
 /**
  * Process drone deployment
- * @param {Object} payload - { droneData, laneId, playerId, turn }
+ * @param {Object} payload - { droneData, laneId, playerId, turn, triggerOrder?, triggerResponseClosed? }
  * @param {Object} ctx - ActionContext from ActionProcessor
  */
 export async function processDeployment(payload, ctx) {
@@ -31,23 +32,24 @@ export async function processDeployment(payload, ctx) {
 
   const placedSections = ctx.getPlacedSections();
 
-  const logCallback = (entry) => {
-    ctx.addLogEntry(entry);
-  };
-
   const deploymentProcessor = new DeploymentProcessor();
-  const result = deploymentProcessor.executeDeployment(
+  const runDeployment = (log) => deploymentProcessor.executeDeployment(
     droneData,
     laneId,
     turn || currentState.turn,
     playerState,
     opponentState,
     placedSections,
-    logCallback,
+    (entry) => log(entry),
     playerId,
     insertionIndex
   );
 
+  // ON_DEPLOY / ON_LANE_DEPLOYMENT triggers may need ordering under PLAYER_CHOICE rules
+  const resolution = resolveWithTriggerOrder({ type: 'deployment', payload, actingPlayerId: playerId }, ctx, runDeployment);
+  if (resolution.pause) return resolution.pause;
+  const result = resolution.result;
+
   debugLog('DEPLOY_TRACE', '[7/10] processDeployment executing via DeploymentProcessor', {
     droneName: droneData?.name,
     lane: laneId,
@@ -379,11 +381,12 @@ export async function processAiShipPlacement(payload, ctx) {
 
 /**
  * Process AI action (routes to appropriate action processor)
- * @param {Object} payload - { aiDecision }
+ * @param {Object} payload - { aiDecision, playerId? } — playerId defaults to 'player2'
+ *   (set to 'player1' when a mirrored AI plays the other side, e.g. headless simulation)
  * @param {Object} ctx - ActionContext from ActionProcessor
  */
 export async function processAiAction(payload, ctx) {
-  const { aiDecision } = payload;
+  const { aiDecision, playerId: aiPlayerId = 'player2' } = payload;
 
   debugLog('AI_TURN_TRACE', `[AI-08] Dispatching | type=${aiDecision.type}, subtype=${aiDecision.payload?.type || 'N/A'}`);
 
@@ -393,7 +396,7 @@ export async function processAiAction(payload, ctx) {
       return await ctx.processDeployment({
         droneData: droneToDeploy,
         laneId: targetLane,
-        playerId: 'player2',
+        playerId: aiPlayerId,
         turn: ctx.get('turn')
       });
 
@@ -415,7 +418,7 @@ export async function processAiAction(payload, ctx) {
               target: chosenAction.target,
               targetType: chosenAction.targetType || 'drone',
               lane: chosenAction.attacker.lane,
-              attackingPlayer: 'player2',
+              attackingPlayer: aiPlayerId,
               aiContext: aiDecision.logContext
             }
           });
@@ -423,14 +426,14 @@ export async function processAiAction(payload, ctx) {
         case 'play_card': {
           debugLog('CARD_PLAY_TRACE', '[2] Dispatching cardPlay action', {
             card: chosenAction.card.name, targetId: chosenAction.target?.id,
-            playerId: 'player2', isAI: true,
+            playerId: aiPlayerId, isAI: true,
           });
 
           const payload = {
             card: chosenAction.card,
             targetId: chosenAction.target?.id,
             targetOwner: chosenAction.target?.owner || null,
-            playerId: 'player2'
+            playerId: aiPlayerId
           };
 
           // For movement cards, build chain selections from AI moveData
@@ -467,7 +470,7 @@ export async function processAiAction(payload, ctx) {
             droneId: chosenAction.drone.id,
             fromLane: chosenAction.fromLane,
             toLane: chosenAction.toLane,
-            playerId: 'player2'
+            playerId: aiPlayerId
           });
 
         case 'ability':
@@ -477,6 +480,12 @@ export async function processAiAction(payload, ctx) {
             targetId: chosenAction.target?.id
           });
 
+        case 'ship_ability':
+          return await ctx.processShipCardAbility({
+            playerId: aiPlayerId,
+            targetId: chosenAction.target?.id
+          });
+
         default:
           throw new Error(`Unknown AI action subtype: ${chosenAction.type}`);
       }
@@ -1,9 +1,10 @@
 // Miscellaneous action strategies: processStatusConsumption, processDebugAddCardsToHand,
-// processForceWin
+// processForceWin, processUndo
 // Extracted from ActionProcessor.js — handles status effects, debug tools, dev actions.
 
 import { debugLog } from '../../utils/debugLogger.js';
 import { STATUS_CONSUMPTION } from '../../config/animationTypes.js';
+import WinConditionChecker from '../game/WinConditionChecker.js';
 
 /**
  * Process status effect consumption (snared or suppressed)
@@ -93,31 +94,90 @@ export async function processDebugAddCardsToHand(payload, ctx) {
 }
 
 /**
- * Process force win (DEBUG FEATURE)
- * Damages all opponent sections and triggers win condition check
- * @param {Object} _payload - unused
+ * Process force win (DEBUG FEATURE, also used by TurnClock when a bank runs out)
+ * Destroys every ship section of the losing player and declares the other player
+ * the winner under any match rules
+ * @param {Object} [payload] - { loserId = 'player2', reason } — reason 'timeout' for time forfeits,
+ *   'disconnect' for a guest whose reconnect window expired
  * @param {Object} ctx - ActionContext from ActionProcessor
  */
-export function processForceWin(_payload, ctx) {
+export function processForceWin(payload, ctx) {
+  const loserId = payload?.loserId || 'player2';
   const currentState = ctx.getState();
+  const loser = currentState[loserId];
+
+  if (payload?.reason === 'timeout') {
+    ctx.addLogEntry({
+      player: loser.name,
+      actionType: 'TIME_FORFEIT',
+      source: 'Time Control',
+      target: loser.name,
+      outcome: `${loser.name} ran out of time and forfeits`
+    }, 'forceWin');
+  } else if (payload?.reason === 'disconnect') {
+    ctx.addLogEntry({
+      player: loser.name,
+      actionType: 'DISCONNECT_FORFEIT',
+      source: 'Connection',
+      target: loser.name,
+      outcome: `${loser.name} did not reconnect and forfeits`
+    }, 'forceWin');
+  } else {
+    ctx.addLogEntry({
+      player: 'SYSTEM',
+      actionType: 'DEV_ACTION',
+      source: 'Force Win',
+      target: 'Opponent Ship',
+      outcome: 'All opponent ship sections destroyed (DEV)'
+    }, 'forceWin');
+  }
 
-  ctx.addLogEntry({
-    player: 'SYSTEM',
-    actionType: 'DEV_ACTION',
-    source: 'Force Win',
-    target: 'Opponent Ship',
-    outcome: 'All opponent ship sections destroyed (DEV)'
-  }, 'forceWin');
-
-  const damagedSections = {
-    bridge: { ...currentState.player2.shipSections.bridge, hull: 0 },
-    powerCell: { ...currentState.player2.shipSections.powerCell, hull: 0 },
-    droneControlHub: { ...currentState.player2.shipSections.droneControlHub, hull: 0 }
-  };
+  const damagedSections = Object.fromEntries(
+    Object.entries(loser.shipSections).map(([name, section]) => [name, { ...section, hull: 0 }])
+  );
 
-  ctx.updatePlayerState('player2', {
+  ctx.updatePlayerState(loserId, {
     shipSections: damagedSections
   });
 
-  ctx.checkWinCondition();
+  if (ctx.getState().winner) return;
+  const forfeitReasons = {
+    timeout: `${loser.name} ran out of time`,
+    disconnect: `${loser.name} disconnected`
+  };
+  WinConditionChecker.declareForfeit(
+    loserId,
+    ctx.getState(),
+    forfeitReasons[payload?.reason] || 'forced win (DEV)',
+    {
+      logCallback: (entry) => ctx.addLogEntry(entry, 'forceWin'),
+      setWinnerCallback: (winnerId) => ctx.setWinner(winnerId)
+    }
+  );
+}
+
+/**
+ * Process undo (single-player only)
+ * Restores the state from before the human player's latest undoable action.
+ * Refused while the AI is mid-turn — its response would be lost with the state.
+ * @param {Object} _payload - { playerId }
+ * @param {Object} ctx - ActionContext from ActionProcessor
+ */
+export function processUndo(_payload, ctx) {
+  const undoManager = ctx.getUndoManager();
+
+  if (ctx.getAiPhaseProcessor()?.isProcessing) {
+    return { success: false, error: 'Cannot undo while the opponent is acting' };
+  }
+
+  const entry = undoManager.pop();
+  if (!entry) {
+    return { success: false, error: 'Nothing to undo' };
+  }
+
+  debugLog('UNDO', `Restoring state from before ${entry.type}`, { remaining: undoManager.history.length });
+
+  ctx.setState({ ...entry.state, undoAvailable: undoManager.canUndo() }, 'UNDO');
+
+  return { success: true, undoneActionType: entry.type, shouldEndTurn: false };
 }
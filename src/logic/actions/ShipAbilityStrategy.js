@@ -1,14 +1,17 @@
 // Ship ability strategies: processRecallAbility, processTargetLockAbility,
 // processRecalculateAbility, processRecalculateComplete,
 // processReallocateShieldsAbility, processReallocateShieldsComplete,
-// validateShipAbilityActivationLimit
-// Extracted from ActionProcessor.js — handles all ship section ability flows.
+// processShipCardAbility, validateShipAbilityActivationLimit
+// Extracted from ActionProcessor.js — handles all ship section ability flows,
+// plus the ship card's own ability (shipData.js shipAbility).
 
 import RecallAbilityProcessor from '../abilities/ship/RecallAbilityProcessor.js';
 import TargetLockAbilityProcessor from '../abilities/ship/TargetLockAbilityProcessor.js';
 import RecalculateAbilityProcessor from '../abilities/ship/RecalculateAbilityProcessor.js';
 import ReallocateShieldsAbilityProcessor from '../abilities/ship/ReallocateShieldsAbilityProcessor.js';
+import AbilityResolver from '../abilities/AbilityResolver.js';
 import { shipComponentCollection } from '../../data/shipSectionData.js';
+import { validateShipAbilityUse } from '../utils/shipCardUtils.js';
 
 /**
  * Validate ship ability activation limit
@@ -188,3 +191,49 @@ export async function processReallocateShieldsComplete(payload, ctx) {
 
   return result;
 }
+
+/**
+ * Process the ship card ability (shipData.js shipAbility)
+ * Single-action: pay cost + route effect via AbilityResolver; ends the turn unless goAgain
+ * @param {Object} payload - { playerId, targetId? }
+ * @param {Object} ctx - ActionContext from ActionProcessor
+ */
+export async function processShipCardAbility(payload, ctx) {
+  const currentState = ctx.getState();
+  const { playerId, targetId } = payload;
+  const playerStates = { player1: currentState.player1, player2: currentState.player2 };
+
+  const validation = validateShipAbilityUse(playerStates[playerId]);
+  if (!validation.isValid) {
+    return {
+      error: validation.reason,
+      shouldEndTurn: false,
+      animationEvents: []
+    };
+  }
+
+  const target = targetId ? { id: targetId, name: targetId } : null;
+  const result = AbilityResolver.resolveShipAbility(
+    validation.ability,
+    playerId,
+    target,
+    playerStates,
+    ctx.getPlacedSections(),
+    (entry) => ctx.addLogEntry(entry, 'resolveShipAbility'),
+    { isPlayerAI: ctx.isPlayerAI }
+  );
+
+  const animations = ctx.mapAnimationEvents(result.animationEvents);
+  ctx.captureAnimations(animations);
+
+  ctx.setPlayerStates(result.newPlayerStates.player1, result.newPlayerStates.player2);
+  ctx.checkWinCondition();
+
+  return {
+    ...result,
+    animations: {
+      actionAnimations: animations,
+      systemAnimations: []
+    }
+  };
+}
@@ -1,5 +1,5 @@
-// State update strategies: processDraw, processEnergyReset, processRoundEndTriggers,
-// processRebuildProgress, processMomentumAward
+// State update strategies: processDraw, processEnergyReset, processRoundStartTriggers,
+// processRoundEndTriggers, processRebuildProgress, processMomentumAward
 // Extracted from ActionProcessor.js — handles round-level state updates.
 
 import { debugLog } from '../../utils/debugLogger.js';
@@ -61,6 +61,36 @@ export async function processEnergyReset(payload, ctx) {
   };
 }
 
+/**
+ * Process ON_ROUND_START triggered abilities
+ * @param {Object} payload - { player1, player2, animationEvents } with updated states
+ * @param {Object} ctx - ActionContext from ActionProcessor
+ */
+export async function processRoundStartTriggers(payload, ctx) {
+  const { player1, player2, animationEvents } = payload;
+
+  debugLog('PHASE_TRANSITIONS', '🌅 ActionProcessor: Processing round start triggers');
+
+  if (animationEvents?.length > 0) {
+    const animations = ctx.mapAnimationEvents(animationEvents);
+    ctx.captureAnimations(animations);
+  }
+
+  ctx.setState({
+    player1,
+    player2
+  }, 'ROUND_START_TRIGGERS');
+
+  debugLog('PHASE_TRANSITIONS', '✅ Round start triggers complete');
+
+  return {
+    success: true,
+    message: 'Round start triggers processed',
+    player1,
+    player2
+  };
+}
+
 /**
  * Process ON_ROUND_END triggered abilities
  * @param {Object} payload - { player1, player2 } with updated states
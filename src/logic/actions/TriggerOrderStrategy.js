@@ -0,0 +1,156 @@
+// Trigger ordering strategies: resolveWithTriggerOrder, processTriggerOrderDecision, processTriggerResponse
+// Competitive rules mode (TRIGGER_RESOLUTION_MODES.PLAYER_CHOICE): players order their own
+// simultaneous triggers, and the opponent gets a response window before the action resolves.
+// Pauses follow the interception model — the action is discarded, a pending decision is put in
+// state, and the action is re-run from scratch once the decision arrives.
+//
+// Only the actions in RESUMABLE_ACTIONS can be re-run that way. Card plays resolve through async
+// effect chains and round start/end triggers run inside phase transitions, so both keep priority
+// order in every mode (the lobby labels the mode accordingly).
+
+import { runWithTriggerOrder } from '../triggers/TriggerOrderSession.js';
+import { TRIGGER_RESOLUTION_MODES } from '../triggers/triggerConstants.js';
+import { getPlayableReactionCards, isReactionCard } from '../cards/reactionCards.js';
+import { debugLog } from '../../utils/debugLogger.js';
+
+export const TRIGGER_ORDER_STAGES = {
+  ORDER: 'ORDER',
+  RESPONSE: 'RESPONSE',
+};
+
+// Actions that resolve their triggers through resolveWithTriggerOrder, and how to re-run them
+const RESUMABLE_ACTIONS = {
+  attack: (ctx, payload) => ctx.processAttack(payload),
+  move: (ctx, payload) => ctx.processMove(payload),
+  deployment: (ctx, payload) => ctx.processDeployment(payload),
+  ability: (ctx, payload) => ctx.processAbility(payload),
+};
+
+/** Action types whose triggers players order under PLAYER_CHOICE rules */
+export const ORDERED_TRIGGER_ACTIONS = Object.keys(RESUMABLE_ACTIONS);
+
+const opponentOf = (playerId) => (playerId === 'player1' ? 'player2' : 'player1');
+
+function pauseAction(stage, decidingPlayerId, action, triggerOrder, window, ctx) {
+  const triggerOrderPending = {
+    stage,
+    decidingPlayerId,
+    actingPlayerId: action.actingPlayerId,
+    action: { type: action.type, payload: { ...action.payload, triggerOrder } },
+    window,
+    timestamp: Date.now()
+  };
+  ctx.setState({ triggerOrderPending });
+
+  debugLog('TRIGGERS', `⏸️ [TRIGGER ORDER] ${action.type} paused for ${decidingPlayerId} (${stage})`);
+  return { needsTriggerOrderDecision: true, triggerOrderData: triggerOrderPending };
+}
+
+/**
+ * Resolve an action's synchronous trigger work under the match's trigger rules.
+ * Priority rules run `resolve` once. PLAYER_CHOICE rules run it inside a
+ * TriggerOrderSession until every ordering window has a choice — AI players keep
+ * priority order inline, a human pauses the action. Log entries are buffered so
+ * only the kept run reaches the game log.
+ *
+ * @param {Object} action - { type, payload, actingPlayerId }; type must be in RESUMABLE_ACTIONS
+ * @param {Object} ctx - ActionContext from ActionProcessor
+ * @param {Function} resolve - (logCallback) => result; synchronous, must not write to ctx
+ * @returns {Object} { result } to continue, or { pause } to return from the strategy
+ */
+export function resolveWithTriggerOrder(action, ctx, resolve) {
+  const state = ctx.getState();
+  if (state.triggerResolution !== TRIGGER_RESOLUTION_MODES.PLAYER_CHOICE) {
+    return { result: resolve((...args) => ctx.addLogEntry(...args)) };
+  }
+
+  const { payload } = action;
+  const triggerOrder = [...(payload.triggerOrder || [])];
+
+  for (;;) {
+    const logEntries = [];
+    const run = runWithTriggerOrder(triggerOrder, () => resolve((...args) => logEntries.push(args)));
+
+    if (run.pending) {
+      if (ctx.isPlayerAI(run.pending.playerId)) {
+        triggerOrder[run.pending.windowIndex] = run.pending.triggers.map(t => t.key);
+        continue;
+      }
+      return { pause: pauseAction(TRIGGER_ORDER_STAGES.ORDER, run.pending.playerId, action, triggerOrder, run.pending, ctx) };
+    }
+
+    // Response window for the opponent of the first player who ordered triggers
+    // (AI players pass theirs)
+    const firstWindow = run.windows[0];
+    if (firstWindow && !payload.triggerResponseClosed) {
+      const respondingPlayerId = opponentOf(firstWindow.playerId);
+      if (!ctx.isPlayerAI(respondingPlayerId) && getPlayableReactionCards(state[respondingPlayerId]).length > 0) {
+        return { pause: pauseAction(TRIGGER_ORDER_STAGES.RESPONSE, respondingPlayerId, action, triggerOrder, firstWindow, ctx) };
+      }
+    }
+
+    logEntries.forEach(args => ctx.addLogEntry(...args));
+    return { result: run.result };
+  }
+}
+
+function resumeAction(pending, changes, ctx) {
+  ctx.setState({ triggerOrderPending: null });
+  const { type, payload } = pending.action;
+  return RESUMABLE_ACTIONS[type](ctx, { ...payload, ...changes });
+}
+
+function getPendingDecision(ctx, stage, playerId) {
+  const pending = ctx.getState().triggerOrderPending;
+  if (!pending || pending.stage !== stage || pending.decidingPlayerId !== playerId) return null;
+  return pending;
+}
+
+/**
+ * Process a player's order for a pending trigger window, then re-run the action
+ * @param {Object} payload - { playerId, order } - order lists every pending trigger key once
+ * @param {Object} ctx - ActionContext from ActionProcessor
+ */
+export async function processTriggerOrderDecision(payload, ctx) {
+  const { playerId, order } = payload;
+  const pending = getPendingDecision(ctx, TRIGGER_ORDER_STAGES.ORDER, playerId);
+  if (!pending) {
+    return { success: false, error: 'No trigger order decision is pending for this player.' };
+  }
+
+  const keys = pending.window.triggers.map(t => t.key);
+  if (!Array.isArray(order) || order.length !== keys.length || !keys.every(key => order.includes(key))) {
+    return { success: false, error: 'Trigger order must list each pending trigger exactly once.' };
+  }
+
+  const triggerOrder = [...(pending.action.payload.triggerOrder || [])];
+  triggerOrder[pending.window.windowIndex] = order;
+  debugLog('TRIGGERS', `▶️ [TRIGGER ORDER] ${playerId} ordered window ${pending.window.windowIndex}`, { order });
+
+  return resumeAction(pending, { triggerOrder }, ctx);
+}
+
+/**
+ * Close a pending response window — optionally playing a Reaction card first —
+ * then re-run the action against the resulting state
+ * @param {Object} payload - { playerId, card?, targetId?, targetOwner? } - no card passes
+ * @param {Object} ctx - ActionContext from ActionProcessor
+ */
+export async function processTriggerResponse(payload, ctx) {
+  const { playerId, card, targetId = null, targetOwner = null } = payload;
+  const pending = getPendingDecision(ctx, TRIGGER_ORDER_STAGES.RESPONSE, playerId);
+  if (!pending) {
+    return { success: false, error: 'No response window is open for this player.' };
+  }
+
+  if (card) {
+    if (!isReactionCard(card)) {
+      return { success: false, error: `${card.name} is not a Reaction card.` };
+    }
+    const cardResult = await ctx.processCardPlay({ card, targetId, targetOwner, playerId, asReaction: true });
+    if (cardResult?.success === false) return cardResult;
+  }
+
+  debugLog('TRIGGERS', `▶️ [TRIGGER ORDER] ${playerId} ${card ? `responded with ${card.name}` : 'passed'}`);
+  return resumeAction(pending, { triggerResponseClosed: true }, ctx);
+}
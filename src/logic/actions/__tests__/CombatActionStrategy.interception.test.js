@@ -39,6 +39,7 @@ vi.mock('../../triggers/TriggerProcessor.js', () => ({
 
 vi.mock('../../triggers/triggerConstants.js', () => ({
   TRIGGER_TYPES: { ON_MOVE: 'ON_MOVE', ON_LANE_MOVEMENT_IN: 'ON_LANE_MOVEMENT_IN' },
+  TRIGGER_RESOLUTION_MODES: { PRIORITY: 'PRIORITY', PLAYER_CHOICE: 'PLAYER_CHOICE' },
 }));
 
 vi.mock('../../../utils/debugLogger.js', () => ({
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { applyPlayerCommitment, processCommitment, isPreGameComplete, handleAICommitment } from '../CommitmentStrategy.js';
+import { getDefaultShip } from '../../../data/shipData.js';
 
 // Mock debug logger
 vi.mock('../../../utils/debugLogger.js', () => ({
@@ -372,6 +373,36 @@ describe('processCommitment with preGameSetup', () => {
     expect(gameState.player1.deck).toEqual(testDeck);
     expect(gameState.player1.deckDronePool).toEqual(testDrones);
   });
+
+  it('rejects a deck over the ship\'s faction card allowances without storing it', async () => {
+    const deck = Array.from({ length: 3 }, (_, i) => ({ id: 'MARK_CARD', instanceId: `m${i}`, faction: 'MARK' }));
+    getDefaultShip.mockReturnValueOnce({ id: 'SHIP_001', name: 'Corvette', faction: null, factionCardAllowances: { MARK: 2 } });
+
+    const result = await processCommitment({
+      playerId: 'player1',
+      phase: 'preGameSetup',
+      actionData: { subPhase: 'deckSelection', deck, drones: [], shipComponents: {} }
+    }, mockCtx);
+
+    expect(result).toEqual({ success: false, error: "3 Targeting Array cards exceed the Corvette's allowance (2)" });
+    expect(gameState.commitments.deckSelection).toBeUndefined();
+    expect(gameState.player1.deck).toEqual([]);
+  });
+
+  it('logs AI decks that break the faction card allowances instead of stalling the match', async () => {
+    mockCtx.isPlayerAI.mockReturnValue(true);
+    const deck = Array.from({ length: 3 }, (_, i) => ({ id: 'MARK_CARD', instanceId: `m${i}`, faction: 'MARK' }));
+    getDefaultShip.mockReturnValueOnce({ id: 'SHIP_001', name: 'Corvette', faction: null, factionCardAllowances: { MARK: 2 } });
+
+    const result = await processCommitment({
+      playerId: 'player2',
+      phase: 'preGameSetup',
+      actionData: { subPhase: 'deckSelection', deck, drones: [], shipComponents: {} }
+    }, mockCtx);
+
+    expect(result.success).not.toBe(false);
+    expect(gameState.commitments.deckSelection.player2.completed).toBe(true);
+  });
 });
 
 describe('isPreGameComplete', () => {
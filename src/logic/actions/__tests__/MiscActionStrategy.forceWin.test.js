@@ -0,0 +1,79 @@
+// ========================================
+// MISC ACTION STRATEGY - FORCE WIN TESTS
+// ========================================
+// Tests that a forfeit (time-out, disconnect or debug Force Win) ends the match under
+// every match rules preset, including those without a mid-round loss
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { processForceWin } from '../MiscActionStrategy.js';
+import { MATCH_RULE_PRESETS, createWinCondition } from '../../../config/matchRules.js';
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn()
+}));
+
+const makePlayer = (name) => ({
+  name,
+  shipSections: {
+    bridge: { hull: 10, maxHull: 10 },
+    powerCell: { hull: 10, maxHull: 10 },
+    droneControlHub: { hull: 10, maxHull: 10 }
+  }
+});
+
+describe('MiscActionStrategy - processForceWin', () => {
+  let state;
+  let ctx;
+
+  const startMatch = (presetId) => {
+    state = {
+      roundNumber: 1,
+      winner: null,
+      winCondition: createWinCondition(presetId),
+      player1: makePlayer('Player 1'),
+      player2: makePlayer('Opponent')
+    };
+  };
+
+  beforeEach(() => {
+    startMatch('standard');
+    ctx = {
+      getState: vi.fn(() => state),
+      updatePlayerState: vi.fn((playerId, updates) => {
+        state = { ...state, [playerId]: { ...state[playerId], ...updates } };
+      }),
+      setWinner: vi.fn((winner) => { state = { ...state, winner }; }),
+      addLogEntry: vi.fn()
+    };
+  });
+
+  it.each(Object.keys(MATCH_RULE_PRESETS))('ends a %s match with a time forfeit', (presetId) => {
+    startMatch(presetId);
+
+    processForceWin({ loserId: 'player1', reason: 'timeout' }, ctx);
+
+    expect(ctx.setWinner).toHaveBeenCalledWith('player2');
+    expect(ctx.addLogEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ actionType: 'GAME_END', outcome: 'Opponent wins! (Player 1 ran out of time)' }),
+      'forceWin'
+    );
+  });
+
+  it('ends the match with a forfeit for a guest that did not reconnect', () => {
+    processForceWin({ loserId: 'player2', reason: 'disconnect' }, ctx);
+
+    expect(ctx.setWinner).toHaveBeenCalledWith('player1');
+    expect(ctx.addLogEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ actionType: 'GAME_END', outcome: 'Player 1 wins! (Opponent disconnected)' }),
+      'forceWin'
+    );
+  });
+
+  it('does not replace a winner already declared', () => {
+    state.winner = 'player2';
+
+    processForceWin({ loserId: 'player2' }, ctx);
+
+    expect(ctx.setWinner).not.toHaveBeenCalled();
+  });
+});
@@ -10,6 +10,11 @@ vi.mock('../../abilities/ship/RecalculateAbilityProcessor.js', () => ({
   default: { process: mockProcess, complete: mockComplete },
 }));
 
+// Mock AbilityResolver (ship card abilities) to avoid the EffectRouter import chain
+vi.mock('../../abilities/AbilityResolver.js', () => ({
+  default: { resolveShipAbility: vi.fn() },
+}));
+
 // Mock shipComponentCollection to avoid data imports
 vi.mock('../../../data/shipSectionData.js', () => ({
   shipComponentCollection: [],
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+}));
+
+import {
+  resolveWithTriggerOrder,
+  processTriggerOrderDecision,
+  processTriggerResponse,
+  TRIGGER_ORDER_STAGES,
+  ORDERED_TRIGGER_ACTIONS,
+} from '../TriggerOrderStrategy.js';
+import { getActiveTriggerOrderSession } from '../../triggers/TriggerOrderSession.js';
+import { TRIGGER_RESOLUTION_MODES } from '../../triggers/triggerConstants.js';
+
+const match = (droneId, abilityName, playerId) => ({
+  drone: { id: droneId, name: droneId }, ability: { name: abilityName }, playerId, lane: 'lane1',
+});
+
+// Two ON_MOVE triggers for player1; stands in for fireTrigger inside an action
+const resolveTwoTriggers = (log) => {
+  const matches = [match('d1', 'Rally', 'player1'), match('d2', 'Overload', 'player1')];
+  const session = getActiveTriggerOrderSession();
+  const ordered = session ? session.applyOrder(matches, 'ON_MOVE', null) : matches;
+  log({ player: 'player1', actionType: 'TRIGGER', source: ordered[0].drone.id });
+  return ordered.map(m => m.drone.id);
+};
+
+const patch = { id: 'EMERGENCY_PATCH', name: 'Emergency Patch', cost: 1, reaction: true, instanceId: 'p2-patch' };
+
+describe('TriggerOrderStrategy', () => {
+  let state;
+  let ctx;
+
+  beforeEach(() => {
+    state = {
+      triggerResolution: TRIGGER_RESOLUTION_MODES.PLAYER_CHOICE,
+      triggerOrderPending: null,
+      player1: { hand: [], energy: 5, momentum: 0 },
+      player2: { hand: [], energy: 5, momentum: 0 },
+    };
+    ctx = {
+      getState: vi.fn(() => state),
+      setState: vi.fn((changes) => { state = { ...state, ...changes }; }),
+      addLogEntry: vi.fn(),
+      isPlayerAI: vi.fn(() => false),
+      processAttack: vi.fn(async () => ({ success: true })),
+      processMove: vi.fn(async () => ({ success: true })),
+      processDeployment: vi.fn(async () => ({ success: true })),
+      processAbility: vi.fn(async () => ({ success: true })),
+      processCardPlay: vi.fn(async () => ({ success: true })),
+    };
+  });
+
+  const moveAction = (payload = {}) => ({ type: 'move', payload: { droneId: 'd0', ...payload }, actingPlayerId: 'player1' });
+
+  describe('resolveWithTriggerOrder', () => {
+    it('resolves once in priority order under standard rules', () => {
+      state.triggerResolution = TRIGGER_RESOLUTION_MODES.PRIORITY;
+
+      const { result, pause } = resolveWithTriggerOrder(moveAction(), ctx, resolveTwoTriggers);
+
+      expect(pause).toBeUndefined();
+      expect(result).toEqual(['d1', 'd2']);
+      expect(ctx.addLogEntry).toHaveBeenCalledTimes(1);
+    });
+
+    it('pauses for a human controller without logging the discarded run', () => {
+      const { pause } = resolveWithTriggerOrder(moveAction(), ctx, resolveTwoTriggers);
+
+      expect(pause.needsTriggerOrderDecision).toBe(true);
+      expect(state.triggerOrderPending).toMatchObject({
+        stage: TRIGGER_ORDER_STAGES.ORDER,
+        decidingPlayerId: 'player1',
+        action: { type: 'move', payload: { droneId: 'd0', triggerOrder: [] } },
+      });
+      expect(state.triggerOrderPending.window.triggers.map(t => t.key)).toEqual(['d1:Rally', 'd2:Overload']);
+      expect(ctx.addLogEntry).not.toHaveBeenCalled();
+    });
+
+    it('keeps priority order for an AI controller and logs only the kept run', () => {
+      ctx.isPlayerAI.mockReturnValue(true);
+
+      const { result, pause } = resolveWithTriggerOrder(moveAction(), ctx, resolveTwoTriggers);
+
+      expect(pause).toBeUndefined();
+      expect(result).toEqual(['d1', 'd2']);
+      expect(ctx.addLogEntry).toHaveBeenCalledTimes(1);
+    });
+
+    it('resolves in the recorded order once every window is decided', () => {
+      const { result } = resolveWithTriggerOrder(
+        moveAction({ triggerOrder: [['d2:Overload', 'd1:Rally']] }), ctx, resolveTwoTriggers
+      );
+
+      expect(result).toEqual(['d2', 'd1']);
+      expect(ctx.addLogEntry).toHaveBeenCalledWith(expect.objectContaining({ source: 'd2' }));
+    });
+
+    it('opens a response window for an opponent holding a playable Reaction card', () => {
+      state.player2.hand = [patch];
+      const action = moveAction({ triggerOrder: [['d2:Overload', 'd1:Rally']] });
+
+      const { pause } = resolveWithTriggerOrder(action, ctx, resolveTwoTriggers);
+      expect(state.triggerOrderPending).toMatchObject({ stage: TRIGGER_ORDER_STAGES.RESPONSE, decidingPlayerId: 'player2' });
+      expect(pause.needsTriggerOrderDecision).toBe(true);
+
+      const closed = resolveWithTriggerOrder(
+        { ...action, payload: { ...action.payload, triggerResponseClosed: true } }, ctx, resolveTwoTriggers
+      );
+      expect(closed.result).toEqual(['d2', 'd1']);
+    });
+
+    it('skips the response window when the opponent cannot pay for a Reaction card', () => {
+      state.player2 = { ...state.player2, hand: [patch], energy: 0 };
+
+      const { result } = resolveWithTriggerOrder(
+        moveAction({ triggerOrder: [['d1:Rally', 'd2:Overload']] }), ctx, resolveTwoTriggers
+      );
+
+      expect(result).toEqual(['d1', 'd2']);
+    });
+  });
+
+  describe('processTriggerOrderDecision', () => {
+    beforeEach(() => {
+      resolveWithTriggerOrder(moveAction(), ctx, resolveTwoTriggers);
+    });
+
+    it('rejects an order that does not list each pending trigger once', async () => {
+      const result = await processTriggerOrderDecision({ playerId: 'player1', order: ['d1:Rally', 'd1:Rally'] }, ctx);
+
+      expect(result.success).toBe(false);
+      expect(ctx.processMove).not.toHaveBeenCalled();
+      expect(state.triggerOrderPending).not.toBeNull();
+    });
+
+    it('rejects a decision from the other player', async () => {
+      const result = await processTriggerOrderDecision({ playerId: 'player2', order: ['d2:Overload', 'd1:Rally'] }, ctx);
+      expect(result.success).toBe(false);
+    });
+
+    it('records the order and re-runs the action', async () => {
+      await processTriggerOrderDecision({ playerId: 'player1', order: ['d2:Overload', 'd1:Rally'] }, ctx);
+
+      expect(state.triggerOrderPending).toBeNull();
+      expect(ctx.processMove).toHaveBeenCalledWith({ droneId: 'd0', triggerOrder: [['d2:Overload', 'd1:Rally']] });
+    });
+
+    it('re-runs paused deployments and drone abilities through their own strategies', async () => {
+      const order = ['d2:Overload', 'd1:Rally'];
+
+      resolveWithTriggerOrder({ type: 'deployment', payload: { laneId: 'lane1' }, actingPlayerId: 'player1' }, ctx, resolveTwoTriggers);
+      await processTriggerOrderDecision({ playerId: 'player1', order }, ctx);
+      expect(ctx.processDeployment).toHaveBeenCalledWith({ laneId: 'lane1', triggerOrder: [order] });
+
+      resolveWithTriggerOrder({ type: 'ability', payload: { droneId: 'd0', abilityIndex: 0 }, actingPlayerId: 'player1' }, ctx, resolveTwoTriggers);
+      await processTriggerOrderDecision({ playerId: 'player1', order }, ctx);
+      expect(ctx.processAbility).toHaveBeenCalledWith({ droneId: 'd0', abilityIndex: 0, triggerOrder: [order] });
+    });
+  });
+
+  it('orders triggers for board actions only', () => {
+    expect(ORDERED_TRIGGER_ACTIONS.sort()).toEqual(['ability', 'attack', 'deployment', 'move']);
+  });
+
+  describe('processTriggerResponse', () => {
+    beforeEach(() => {
+      state.player2.hand = [patch];
+      resolveWithTriggerOrder(moveAction({ triggerOrder: [['d1:Rally', 'd2:Overload']] }), ctx, resolveTwoTriggers);
+    });
+
+    it('plays the Reaction card out of turn, then re-runs the action with the window closed', async () => {
+      await processTriggerResponse({ playerId: 'player2', card: patch, targetId: 'p2-d1', targetOwner: 'player2' }, ctx);
+
+      expect(ctx.processCardPlay).toHaveBeenCalledWith({
+        card: patch, targetId: 'p2-d1', targetOwner: 'player2', playerId: 'player2', asReaction: true,
+      });
+      expect(ctx.processMove).toHaveBeenCalledWith(expect.objectContaining({ triggerResponseClosed: true }));
+      expect(state.triggerOrderPending).toBeNull();
+    });
+
+    it('passes without playing a card', async () => {
+      await processTriggerResponse({ playerId: 'player2' }, ctx);
+
+      expect(ctx.processCardPlay).not.toHaveBeenCalled();
+      expect(ctx.processMove).toHaveBeenCalledWith(expect.objectContaining({ triggerResponseClosed: true }));
+    });
+
+    it('rejects cards without the Reaction keyword', async () => {
+      const result = await processTriggerResponse({ playerId: 'player2', card: { name: 'Strike', cost: 1 } }, ctx);
+
+      expect(result.success).toBe(false);
+      expect(ctx.processMove).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -77,3 +77,27 @@ describe('processAiAction: play_card with moveData', () => {
     expect(callArg).not.toHaveProperty('chainSelections');
   });
 });
+
+describe('processAiAction: acting player', () => {
+  it('attributes actions to payload.playerId when provided', async () => {
+    const ctx = {
+      processCardPlay: vi.fn().mockResolvedValue({ success: true }),
+      processAttack: vi.fn().mockResolvedValue({ success: true }),
+      get: vi.fn().mockReturnValue(1),
+    };
+    const card = { id: 'card-repair', name: 'Repair' };
+    const attacker = { id: 'drone-1', name: 'Dart' };
+
+    await processAiAction({
+      playerId: 'player1',
+      aiDecision: { type: 'action', payload: { type: 'play_card', card, target: null } }
+    }, ctx);
+    await processAiAction({
+      playerId: 'player1',
+      aiDecision: { type: 'action', payload: { type: 'attack', attacker, target: { id: 'bridge' }, targetType: 'section', lane: 'lane1' } }
+    }, ctx);
+
+    expect(ctx.processCardPlay.mock.calls[0][0].playerId).toBe('player1');
+    expect(ctx.processAttack.mock.calls[0][0].attackDetails.attackingPlayer).toBe('player1');
+  });
+});
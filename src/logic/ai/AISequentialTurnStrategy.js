@@ -126,6 +126,7 @@ export async function executeActionTurn(gameState, actionProcessor, deps) {
   }
 
   const { aiBrain } = await import('./aiLogic.js');
+  const { usesSearch } = await import('./decisions/searchActionDecision.js');
   const { getShipStatus } = await import('../statsCalculator.js');
   const { getLaneOfDrone } = await import('../utils/gameEngineUtils.js');
   const TargetingRouter = (await import('../TargetingRouter.js')).default;
@@ -141,7 +142,7 @@ export async function executeActionTurn(gameState, actionProcessor, deps) {
   const readyDrones = Object.values(p2.dronesOnBoard).flat().filter(d => !d.isExhausted);
   debugLog('AI_TURN_TRACE', `[AI-03] Action: generating | playableCards=${p2.hand?.filter(c => p2.energy >= c.cost).length ?? 0}, readyAttackers=${readyDrones.length}, movableDrones=${readyDrones.length}`);
 
-  const aiDecision = aiBrain.handleOpponentAction({
+  const decisionContext = {
     player1: gameState.player1,
     player2: gameState.player2,
     placedSections: gameState.placedSections,
@@ -153,7 +154,13 @@ export async function executeActionTurn(gameState, actionProcessor, deps) {
     addLogEntry: (entry, debugSource, aiDecisionContext) => {
       deps.gameStateManager?.addLogEntry(entry, debugSource, aiDecisionContext);
     }
-  });
+  };
+
+  // Expert personalities search ahead; everyone else uses the greedy scorer
+  const personality = p2.aiPersonality;
+  const aiDecision = usesSearch(personality)
+    ? await aiBrain.handleOpponentActionWithSearch(decisionContext, personality.search)
+    : aiBrain.handleOpponentAction(decisionContext);
 
   if (aiDecision.type === 'pass') {
     await routeAction(actionProcessor, deps, buildPassAction('action', gameState.passInfo));
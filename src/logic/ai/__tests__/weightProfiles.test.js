@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import aiPersonalities from '../../../data/aiData.js';
+import { ATTACK_BONUSES, PENALTIES } from '../aiConstants.js';
+import {
+  WEIGHT_PROFILES,
+  validateWeightProfile,
+  validatePersonalityWeights,
+  resolveWeightProfile,
+  resolveWeights,
+  getWeights,
+} from '../weightProfiles.js';
+
+describe('weightProfiles', () => {
+  describe('validateWeightProfile', () => {
+    it('accepts every preset', () => {
+      for (const profile of Object.values(WEIGHT_PROFILES)) {
+        expect(validateWeightProfile(profile)).toEqual([]);
+      }
+    });
+
+    it('rejects unknown groups, unknown keys and non-numeric values', () => {
+      expect(validateWeightProfile({
+        SEARCH: { ITERATIONS: 10 },
+        PENALTIES: { OVERKIL: -50, OVERKILL: 'high' },
+      })).toEqual([
+        "unknown constant group 'SEARCH'",
+        "unknown key 'PENALTIES.OVERKIL'",
+        'PENALTIES.OVERKILL must be a finite number',
+      ]);
+    });
+
+    it('rejects a profile that is not an object', () => {
+      expect(validateWeightProfile('aggressive')).toEqual(['profile must be an object of constant groups']);
+    });
+  });
+
+  describe('resolveWeightProfile', () => {
+    it('resolves every aiData personality', () => {
+      for (const personality of aiPersonalities) {
+        expect(validatePersonalityWeights(personality)).toEqual([]);
+        expect(() => resolveWeightProfile(personality)).not.toThrow();
+      }
+    });
+
+    it('layers personality overrides on top of the preset', () => {
+      const profile = resolveWeightProfile({
+        name: 'Raider',
+        weightProfile: 'ship-rush',
+        weightOverrides: { ATTACK_BONUSES: { NO_SHIELDS: 80 }, PENALTIES: { OVERKILL: -100 } },
+      });
+
+      expect(profile.ATTACK_BONUSES).toEqual({ ...WEIGHT_PROFILES['ship-rush'].ATTACK_BONUSES, NO_SHIELDS: 80 });
+      expect(profile.PENALTIES).toEqual({ ...WEIGHT_PROFILES['ship-rush'].PENALTIES, OVERKILL: -100 });
+    });
+
+    it('returns null for personalities on the default weights', () => {
+      expect(resolveWeightProfile({ name: 'Plain' })).toBeNull();
+      expect(resolveWeightProfile(undefined)).toBeNull();
+    });
+
+    it('throws for an unknown preset', () => {
+      expect(() => resolveWeightProfile({ name: 'Odd', weightProfile: 'berserk' }))
+        .toThrow("Invalid AI weights for Odd:\n  unknown weight profile 'berserk'");
+    });
+  });
+
+  describe('resolveWeights', () => {
+    const profile = { ATTACK_BONUSES: { NO_SHIELDS: 99 } };
+
+    it('layers the profile over the defaults without changing aiConstants', () => {
+      const weights = resolveWeights(profile);
+
+      expect(weights.ATTACK_BONUSES.NO_SHIELDS).toBe(99);
+      expect(weights.ATTACK_BONUSES.FAVORABLE_TRADE).toBe(ATTACK_BONUSES.FAVORABLE_TRADE);
+      expect(ATTACK_BONUSES.NO_SHIELDS).toBe(40);
+    });
+
+    it('shares the default tables for groups the profile does not mention', () => {
+      expect(resolveWeights(profile).PENALTIES).toBe(PENALTIES);
+      expect(resolveWeights(null).ATTACK_BONUSES).toBe(ATTACK_BONUSES);
+    });
+
+    it('reads the tables a decision context carries, or the defaults', () => {
+      const weights = resolveWeights(profile);
+
+      expect(getWeights({ weights })).toBe(weights);
+      expect(getWeights({}).ATTACK_BONUSES).toBe(ATTACK_BONUSES);
+      expect(getWeights(undefined).ATTACK_BONUSES).toBe(ATTACK_BONUSES);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// The shipped tunedWeights.json is empty; each test loads weightProfiles.js
+// against its own tuner output
+const loadWithTunedWeights = async (tunedWeights) => {
+  vi.doMock('../tunedWeights.json', () => ({ default: tunedWeights }));
+  return import('../weightProfiles.js');
+};
+
+describe('weightProfiles - tuned weights', () => {
+  beforeEach(() => {
+    vi.resetModules();
+  });
+
+  it('applies the tuned weights to personalities on the default weights', async () => {
+    const { resolveWeightProfile, resolveWeights } = await loadWithTunedWeights({ PENALTIES: { OVERKILL: -80 } });
+
+    expect(resolveWeights(resolveWeightProfile({ name: 'Plain' })).PENALTIES.OVERKILL).toBe(-80);
+  });
+
+  it('layers presets and personality overrides on top of the tuned weights', async () => {
+    const { resolveWeightProfile } = await loadWithTunedWeights({
+      ATTACK_BONUSES: { NO_SHIELDS: 10, SHIELD_BREAK: 11 },
+      PENALTIES: { OVERKILL: -80 },
+    });
+
+    const profile = resolveWeightProfile({
+      name: 'Rusher',
+      weightProfile: 'ship-rush',
+      weightOverrides: { ATTACK_BONUSES: { SHIELD_BREAK: 70 } },
+    });
+
+    expect(profile.PENALTIES.OVERKILL).toBe(-80);
+    expect(profile.ATTACK_BONUSES.NO_SHIELDS).toBe(60);
+    expect(profile.ATTACK_BONUSES.SHIELD_BREAK).toBe(70);
+  });
+
+  it('leaves aiConstants untouched', async () => {
+    const { resolveWeights, resolveWeightProfile } = await loadWithTunedWeights({ PENALTIES: { OVERKILL: -80 } });
+    const { PENALTIES } = await import('../aiConstants.js');
+
+    resolveWeights(resolveWeightProfile({ name: 'Plain' }));
+
+    expect(PENALTIES.OVERKILL).not.toBe(-80);
+  });
+
+  it('fails on load for unknown tuned constants', async () => {
+    await expect(loadWithTunedWeights({ PENALTIES: { OVERKIL: -80 } }))
+      .rejects.toThrow("tunedWeights.json: unknown key 'PENALTIES.OVERKIL'");
+  });
+});
@@ -6,7 +6,7 @@
 // drones is their only option.
 
 import fullDroneCollection from '../../../data/droneData.js';
-import { PENALTIES } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 
 /**
  * Check if a drone has anti-ship ability (BONUS_DAMAGE_VS_SHIP)
@@ -32,6 +32,7 @@ const isAntiShipDrone = (drone) => {
  */
 export const applyAntiShipAdjustments = (possibleActions, context) => {
   // Find all actions where anti-ship drones attacked drones
+  const { PENALTIES } = getWeights(context);
   const antiShipDroneAttacks = possibleActions.filter(action =>
     action.type === 'attack' &&
     action.targetType === 'drone' &&
@@ -1,7 +1,27 @@
 // ========================================
 // ADJUSTMENT PASSES - INDEX
 // ========================================
-// Re-exports all adjustment pass functions
+// Re-exports all adjustment pass functions, and lists them in the order
+// actionDecision runs them after normal scoring
+
+import { applyJammerAdjustments } from './jammerAdjustment.js';
+import { applyInterceptionAdjustments } from './interceptionAdjustment.js';
+import { applyAntiShipAdjustments } from './antiShipAdjustment.js';
+import { applyMovementInhibitorAdjustments } from './movementInhibitorAdjustment.js';
 
 export * from './jammerAdjustment.js';
 export * from './interceptionAdjustment.js';
+export * from './antiShipAdjustment.js';
+export * from './movementInhibitorAdjustment.js';
+
+/** Passes applied to the scored action pool: (possibleActions, context) => void */
+export const ADJUSTMENT_PASSES = [
+  // Jammer blocking and removal bonuses
+  { name: 'Jammer', apply: applyJammerAdjustments },
+  // Interception-based scoring adjustments
+  { name: 'Interception', apply: applyInterceptionAdjustments },
+  // Remove anti-ship penalty when no alternatives exist
+  { name: 'Anti-ship', apply: applyAntiShipAdjustments },
+  // Boost attacks against Thruster Inhibitors and Purge ability usage
+  { name: 'Movement inhibitor', apply: applyMovementInhibitorAdjustments },
+];
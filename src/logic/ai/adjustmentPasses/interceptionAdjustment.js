@@ -10,7 +10,7 @@
 // However, ATTACKING still exhausts drones, which means they can no longer intercept.
 // This pass evaluates the opportunity cost of using a drone for offense vs defense.
 
-import { INTERCEPTION, PENALTIES, DEFENSE_URGENCY, THRESHOLD_BONUS } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { analyzeInterceptionInLane, calculateThreatsKeptInCheck } from '../scoring/interceptionAnalysis.js';
 import { calculateWinRaceAdjustments, getWinRaceDescription } from '../helpers/hullIntegrityHelpers.js';
 
@@ -21,9 +21,11 @@ import { calculateWinRaceAdjustments, getWinRaceDescription } from '../helpers/h
  * @param {string} laneId - Lane to check
  * @param {Object} analysis - Interception analysis for this lane
  * @param {Array} possibleActions - All scored actions
+ * @param {Object} weights - Weight tables of the decision
  * @returns {number} - Best single unblocked attack value (0 if none)
  */
-const calculateBestUnblockedValue = (laneId, analysis, possibleActions) => {
+const calculateBestUnblockedValue = (laneId, analysis, possibleActions, weights) => {
+  const { PENALTIES } = weights;
   let bestValue = 0;
 
   possibleActions.forEach(a => {
@@ -87,6 +89,7 @@ const isLethal = (damage, target, isPiercing = false, damageType) => {
  * @returns {Array} - Modified possibleActions with interception adjustments
  */
 export const applyInterceptionAdjustments = (possibleActions, context) => {
+  const { INTERCEPTION, PENALTIES, DEFENSE_URGENCY, THRESHOLD_BONUS } = getWeights(context);
   const { player1, player2, gameDataService, getLaneOfDrone, opponentPlacedSections } = context;
 
   // Step 1: Analyze interception dynamics for all lanes
@@ -112,7 +115,8 @@ export const applyInterceptionAdjustments = (possibleActions, context) => {
           player1,
           player2,
           gameDataService,
-          opponentPlacedSections
+          opponentPlacedSections,
+          context.weights
         );
 
         if (threatsData.threatsKeptInCheck.length > 0) {
@@ -195,7 +199,7 @@ export const applyInterceptionAdjustments = (possibleActions, context) => {
         const isPiercing = action.attacker.damageType === 'PIERCING';
 
         if (isLethal(effectiveStats.attack, action.target, isPiercing, action.attacker.damageType)) {
-          const bestUnblockedValue = calculateBestUnblockedValue(attackerLane, analysis, possibleActions);
+          const bestUnblockedValue = calculateBestUnblockedValue(attackerLane, analysis, possibleActions, context.weights);
 
           if (bestUnblockedValue > 0) {
             action.score += bestUnblockedValue;
@@ -219,7 +223,7 @@ export const applyInterceptionAdjustments = (possibleActions, context) => {
         if (laneId) {
           const analysis = interceptionAnalysis[laneId];
           if (analysis.enemyInterceptors.includes(target.id)) {
-            const bestUnblockedValue = calculateBestUnblockedValue(laneId, analysis, possibleActions);
+            const bestUnblockedValue = calculateBestUnblockedValue(laneId, analysis, possibleActions, context.weights);
 
             if (bestUnblockedValue > 0) {
               const cardBonus = Math.round(bestUnblockedValue * INTERCEPTION.INTERCEPTOR_REMOVAL_CARD_PREMIUM);
@@ -233,7 +237,7 @@ export const applyInterceptionAdjustments = (possibleActions, context) => {
         if (laneId) {
           const analysis = interceptionAnalysis[laneId];
           if (analysis.enemyInterceptors.includes(target.id) && isLethal(card.effects[0].value || 0, target, card.effects[0].damageType === 'PIERCING', card.effects[0].damageType)) {
-            const bestUnblockedValue = calculateBestUnblockedValue(laneId, analysis, possibleActions);
+            const bestUnblockedValue = calculateBestUnblockedValue(laneId, analysis, possibleActions, context.weights);
 
             if (bestUnblockedValue > 0) {
               const cardBonus = Math.round(bestUnblockedValue * INTERCEPTION.INTERCEPTOR_REMOVAL_CARD_PREMIUM);
@@ -5,7 +5,8 @@
 // - Marks blocked card plays as invalid
 // - Boosts Jammer removal attacks
 
-import { JAMMER, INVALID_SCORE } from '../aiConstants.js';
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { hasJammerKeyword, hasJammerInLane } from '../helpers/jammerHelpers.js';
 import { debugLog } from '../../../utils/debugLogger.js';
 
@@ -21,6 +22,7 @@ import { debugLog } from '../../../utils/debugLogger.js';
  * @returns {Array} - Modified possibleActions with Jammer adjustments
  */
 export const applyJammerAdjustments = (possibleActions, context) => {
+  const { JAMMER } = getWeights(context);
   const { player1, player2, getLaneOfDrone, gameDataService } = context;
 
   // Step 1: Identify lanes with Jammers and calculate blocked card values
@@ -518,3 +518,67 @@ export const THREAT_DRONES = {
   // Protection priority (makes AI intercept for these drones)
   ROUND_START_PROTECTION_VALUE: 25,       // High value = AI will intercept for Signal Beacons
 };
+
+// ========================================
+// LOOKAHEAD SEARCH (EXPERT DIFFICULTY)
+// ========================================
+// Budget and shape of the Monte Carlo tree search used by personalities
+// with difficulty SEARCH.DIFFICULTY. A personality can override the budget
+// with `search: { iterations, timeBudgetMs }` in aiData.js.
+
+export const SEARCH = {
+  DIFFICULTY: 'Expert',
+  ITERATIONS: 150,                        // Simulations per decision
+  TIME_BUDGET_MS: 1500,                   // Wall-clock cap per decision
+  ROOT_CANDIDATES: 8,                     // Top greedy-scored actions searched at the root
+  MAX_CHILDREN: 6,                        // Branching cap below the root
+  ROLLOUT_DEPTH: 4,                       // Actions played out past the tree before evaluating
+  EXPLORATION: 1.4,                       // UCB1 exploration constant
+  ROLLOUT_PASS_CHANCE: 0.1,               // Chance a rollout passes while actions remain
+};
+
+// Static evaluation weights for simulated states (search/stateEvaluator.js)
+export const STATE_EVALUATION = {
+  WIN: 10000,
+  SECTION_HULL: 10,
+  SECTION_SHIELD: 3,
+  DRONE_CLASS: 8,
+  DRONE_ATTACK: 4,
+  DRONE_HULL: 3,
+  DRONE_SHIELD: 2,
+  READY_DRONE: 2,
+  HAND_CARD: 3,
+  ENERGY: 1,
+  REWARD_SCALE: 40,                       // Evaluation difference that maps to ~73% reward
+};
+
+// ========================================
+// TUNABLE CONSTANT GROUPS
+// ========================================
+// Scorer-facing weight tables that weight profiles (weightProfiles.js) and
+// the self-play tuner (scripts/tune-weights.js) may override, by group name.
+
+export const TUNABLE_CONSTANTS = {
+  SCORING_WEIGHTS,
+  LANE_THRESHOLDS,
+  DECISION_THRESHOLDS,
+  DEPLOYMENT_BONUSES,
+  ATTACK_BONUSES,
+  PENALTIES,
+  INTERCEPTION,
+  DEFENSE_URGENCY,
+  WIN_RACE,
+  THRESHOLD_BONUS,
+  CARD_EVALUATION,
+  MOVE_EVALUATION,
+  JAMMER,
+  UPGRADE_EVALUATION,
+  TARGET_SCORING,
+  DAMAGE_TYPE_WEIGHTS,
+  DRONE_PACING,
+  THRUSTER_INHIBITOR,
+  PROXIMITY_MINE,
+  INHIBITOR_MINE,
+  JITTER_MINE,
+  THREAT_DRONES,
+};
@@ -3,13 +3,32 @@
 // ========================================
 // Thin assembly file that imports decision functions from their
 // dedicated modules and re-exports them as the aiBrain public API.
+// Each decision is handed the deciding personality's weight tables
+// (`weights`, see weightProfiles.js) and sees only a redacted view of the
+// opponent (see perception/redactedView.js).
 
 import { handleOpponentTurn } from './decisions/deploymentDecision.js';
 import { handleOpponentAction } from './decisions/actionDecision.js';
 import { makeInterceptionDecision } from './decisions/interceptionDecision.js';
+import { handleOpponentActionWithSearch } from './decisions/searchActionDecision.js';
+import { resolveWeightProfile, resolveWeights } from './weightProfiles.js';
+import { createRedactedDecisionContext, createRedactedStateManager } from './perception/redactedView.js';
+
+// The deciding AI is always player2 of the state it is handed (mirrored for player1)
+const weightsFor = (state) => resolveWeights(resolveWeightProfile(state?.player2?.aiPersonality));
+
+// Context-style decisions: (context, ...rest)
+const withDecisionContext = (decide) => (context, ...rest) =>
+  decide({ ...createRedactedDecisionContext(context), weights: weightsFor(context) }, ...rest);
+
+// Interception reads the game through its gameStateManager argument
+const withInterceptionContext = (decide) => (interceptors, attacker, attackDetails, gameDataService, gameStateManager) =>
+  decide(interceptors, attacker, attackDetails, gameDataService, createRedactedStateManager(gameStateManager),
+    weightsFor(gameStateManager?.getState?.()));
 
 export const aiBrain = {
-  handleOpponentTurn,
-  handleOpponentAction,
-  makeInterceptionDecision,
+  handleOpponentTurn: withDecisionContext(handleOpponentTurn),
+  handleOpponentAction: withDecisionContext(handleOpponentAction),
+  handleOpponentActionWithSearch: withDecisionContext(handleOpponentActionWithSearch),
+  makeInterceptionDecision: withInterceptionContext(makeInterceptionDecision),
 };
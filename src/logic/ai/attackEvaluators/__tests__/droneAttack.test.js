@@ -4,6 +4,8 @@
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { evaluateDroneAttack } from '../droneAttack.js';
+import { ATTACK_BONUSES } from '../../aiConstants.js';
+import { resolveWeights } from '../../weightProfiles.js';
 
 // Mock helpers
 const createMockDrone = (overrides = {}) => ({
@@ -435,4 +437,18 @@ describe('evaluateDroneAttack', () => {
       expect(highThreatResult.score).toBeLessThan(lowThreatResult.score);
     });
   });
+
+  describe('Weight profiles', () => {
+    it('scores with the weight tables the context carries', () => {
+      const attacker = createMockDrone({ class: 0 });
+      const target = createMockDrone({ class: 2 });
+      const weights = resolveWeights({ ATTACK_BONUSES: { FAVORABLE_TRADE: ATTACK_BONUSES.FAVORABLE_TRADE + 100 } });
+
+      const base = evaluateDroneAttack(attacker, target, createMockContext());
+      const profiled = evaluateDroneAttack(attacker, target, createMockContext({ weights }));
+
+      expect(profiled.score - base.score).toBe(100);
+      expect(profiled.logic).toContain(`Favorable Trade: +${ATTACK_BONUSES.FAVORABLE_TRADE + 100}`);
+    });
+  });
 });
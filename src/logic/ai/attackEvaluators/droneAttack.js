@@ -5,7 +5,7 @@
 // Uses unified target scoring as base with drone-specific adjustments
 
 import fullDroneCollection from '../../../data/droneData.js';
-import { ATTACK_BONUSES, PENALTIES, THREAT_DRONES } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { calculateLaneScore } from '../scoring/laneScoring.js';
 import { calculateTargetValue } from '../scoring/targetScoring.js';
 import { hasThreatOnShipHullDamage } from '../helpers/keywordHelpers.js';
@@ -18,6 +18,7 @@ import { hasThreatOnShipHullDamage } from '../helpers/keywordHelpers.js';
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDroneAttack = (attacker, target, context) => {
+  const { ATTACK_BONUSES, PENALTIES, THREAT_DRONES } = getWeights(context);
   const {
     player1,
     player2,
@@ -147,13 +148,13 @@ export const evaluateDroneAttack = (attacker, target, context) => {
 
   // Lane score analysis
   const attackLane = attacker.lane;
-  const currentLaneScore = calculateLaneScore(attackLane, player2, player1, allSections, getShipStatus, gameDataService);
+  const currentLaneScore = calculateLaneScore(attackLane, player2, player1, allSections, getShipStatus, gameDataService, context.weights);
 
   // Simulate removing the target drone
   const tempHumanState = JSON.parse(JSON.stringify(player1));
   tempHumanState.dronesOnBoard[attackLane] = tempHumanState.dronesOnBoard[attackLane].filter(d => d.id !== target.id);
 
-  const projectedLaneScore = calculateLaneScore(attackLane, player2, tempHumanState, allSections, getShipStatus, gameDataService);
+  const projectedLaneScore = calculateLaneScore(attackLane, player2, tempHumanState, allSections, getShipStatus, gameDataService, context.weights);
   const laneImpact = projectedLaneScore - currentLaneScore;
 
   if (laneImpact > 0) {
@@ -3,7 +3,7 @@
 // ========================================
 // Evaluates drone-on-ship-section attack actions
 
-import { ATTACK_BONUSES, SCORING_WEIGHTS, THREAT_DRONES, DAMAGE_TYPE_WEIGHTS } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { hasThreatOnShipHullDamage } from '../helpers/keywordHelpers.js';
 import { calculateThresholdCrossingBonus } from '../helpers/hullIntegrityHelpers.js';
 
@@ -15,6 +15,7 @@ import { calculateThresholdCrossingBonus } from '../helpers/hullIntegrityHelpers
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateShipAttack = (attacker, target, context) => {
+  const { ATTACK_BONUSES, SCORING_WEIGHTS, THREAT_DRONES, DAMAGE_TYPE_WEIGHTS } = getWeights(context);
   const { gameDataService, getShipStatus } = context;
   const logic = [];
   let score = 0;
@@ -35,7 +36,7 @@ export const evaluateShipAttack = (attacker, target, context) => {
   // Threshold crossing bonus - small bonus for attacks that inflict stat penalties
   // by pushing section from healthy→damaged or damaged→critical
   // (Per total damage win condition: all damage matters equally, but stat penalties are still valuable)
-  const thresholdBonus = calculateThresholdCrossingBonus(target, attackerAttack);
+  const thresholdBonus = calculateThresholdCrossingBonus(target, attackerAttack, context.weights);
   if (thresholdBonus > 0) {
     score += thresholdBonus;
     logic.push(`✅ Threshold Cross: +${thresholdBonus}`);
@@ -0,0 +1,160 @@
+// ========================================
+// CARD EVALUATORS — HIDDEN INFORMATION HARNESS
+// ========================================
+// Runs every card in the game through evaluateCardPlay against a context
+// whose opponent (player1) is a StateRedactor view wrapped in a Proxy that
+// records any read of a redacted field. No evaluator may read the
+// opponent's hand, deck or discard pile — hand size comes from handCount.
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(), timingLog: vi.fn(), getTimestamp: vi.fn()
+}));
+
+import fullCardCollection from '../../../../data/cardData.js';
+import fullDroneCollection from '../../../../data/droneData.js';
+import StateRedactor from '../../../../server/StateRedactor.js';
+import { REDACTED_PLAYER_FIELDS } from '../../perception/redactedView.js';
+import { evaluateCardPlay, cardEvaluatorRegistry } from '../index.js';
+
+const LANES = ['lane1', 'lane2', 'lane3'];
+
+const makeDrone = (name, id, owner, overrides = {}) => {
+  const base = fullDroneCollection.find(d => d.name === name);
+  return {
+    ...base,
+    id,
+    owner,
+    statMods: [],
+    currentShields: base.shields,
+    currentMaxShields: base.shields,
+    isExhausted: false,
+    isMarked: false,
+    ...overrides,
+  };
+};
+
+const makeSection = () => ({ hull: 6, maxHull: 10, allocatedShields: 1, shields: 2, thresholds: { damaged: 5, critical: 0 } });
+
+const makePlayer = (name, drones, cards) => ({
+  name,
+  energy: 8,
+  momentum: 2,
+  hand: cards.slice(0, 5),
+  deck: cards.slice(5, 15),
+  discardPile: cards.slice(15, 20),
+  dronesOnBoard: drones,
+  techSlots: { lane1: [], lane2: [], lane3: [] },
+  shipSections: { bridge: makeSection(), powerCell: makeSection(), droneControlHub: makeSection() },
+  appliedUpgrades: {},
+  deployedDroneCounts: { Dart: 1, Talon: 1 },
+  activeDronePool: fullDroneCollection.slice(0, 5),
+  droneAvailability: {},
+});
+
+/**
+ * Opponent view for the harness: redacted, with the emptied fields left off
+ * the object so spreads do not trip the trap, and any direct read recorded.
+ */
+const makeTrappedOpponent = (fullOpponent, reads) => {
+  const redacted = StateRedactor.redactPlayerState(fullOpponent);
+  REDACTED_PLAYER_FIELDS.forEach(field => delete redacted[field]);
+  return new Proxy(redacted, {
+    get(target, prop, receiver) {
+      if (REDACTED_PLAYER_FIELDS.includes(prop)) reads.add(prop);
+      return Reflect.get(target, prop, receiver);
+    },
+  });
+};
+
+const findLane = (droneId, player) =>
+  LANES.find(lane => player.dronesOnBoard[lane]?.some(d => d.id === droneId)) || null;
+
+const makeContext = (reads) => {
+  const opponentDrones = {
+    lane1: [makeDrone('Dart', 'p1-dart', 'player1')],
+    lane2: [makeDrone('Talon', 'p1-talon', 'player1', { isMarked: true })],
+    lane3: [makeDrone('Mammoth', 'p1-mammoth', 'player1', { isExhausted: true })],
+  };
+  const ownDrones = {
+    lane1: [makeDrone('Talon', 'p2-talon', 'player2')],
+    lane2: [makeDrone('Dart', 'p2-dart', 'player2', { isExhausted: true })],
+    lane3: [],
+  };
+  const player1 = makeTrappedOpponent(makePlayer('Commander', opponentDrones, fullCardCollection.slice(0, 20)), reads);
+  const player2 = makePlayer('AI', ownDrones, fullCardCollection.slice(20, 40));
+  const sections = ['bridge', 'powerCell', 'droneControlHub'];
+
+  return {
+    player1,
+    player2,
+    gameDataService: {
+      getEffectiveStats: (drone) => ({
+        attack: drone.attack, speed: drone.speed, hull: drone.hull,
+        maxShields: drone.shields, cost: drone.class, keywords: new Set(),
+      }),
+      getEffectiveShipStats: () => ({ totals: { handLimit: 6, discardLimit: 2, energyPerTurn: 10, maxEnergy: 10, cpuLimit: 10, deploymentBudget: 3 } }),
+      getState: () => ({ actionsTakenThisTurn: 1, player1, player2 }),
+    },
+    getLaneOfDrone: findLane,
+    placedSections: sections,
+    opponentPlacedSections: sections,
+    allSections: { player1: sections, player2: sections },
+    getShipStatus: () => 'healthy',
+    getValidTargets: () => [],
+  };
+};
+
+// A spread of targets so each evaluator runs down its main branches
+const targetsFor = (context) => [
+  null,
+  { ...context.player1.dronesOnBoard.lane1[0] },
+  { ...context.player1.dronesOnBoard.lane2[0] },
+  { ...context.player2.dronesOnBoard.lane1[0] },
+  { ...context.player1.shipSections.bridge, id: 'bridge', name: 'bridge', owner: 'player1' },
+  { ...context.player2.shipSections.powerCell, id: 'powerCell', name: 'powerCell', owner: 'player2' },
+  { id: 'lane1', owner: 'player1' },
+  { id: 'lane2', owner: 'player2' },
+  fullDroneCollection[1],
+];
+
+const moveDataFor = (context) => ({
+  drone: context.player2.dronesOnBoard.lane1[0],
+  fromLane: 'lane1',
+  toLane: 'lane2',
+});
+
+describe('card evaluators respect hidden information', () => {
+  it('never read the opponent\'s hand, deck or discard pile', () => {
+    const reads = new Set();
+    const evaluated = new Set();
+    const context = makeContext(reads);
+
+    for (const card of fullCardCollection) {
+      for (const target of targetsFor(context)) {
+        try {
+          evaluateCardPlay(card, target, context, moveDataFor(context));
+          evaluated.add(card.effects[0].type);
+        } catch {
+          // Mismatched card/target pairs may throw; reads before the throw still count
+        }
+      }
+    }
+
+    expect([...reads]).toEqual([]);
+    // Every evaluator the card pool uses must actually have run
+    const usedTypes = new Set(fullCardCollection.map(card => card.effects[0].type).filter(type => cardEvaluatorRegistry[type]));
+    expect([...usedTypes].filter(type => !evaluated.has(type))).toEqual([]);
+  });
+
+  it('traps direct reads of redacted fields', () => {
+    const reads = new Set();
+    const { player1 } = makeContext(reads);
+
+    expect(player1.handCount).toBe(5);
+    expect(reads.size).toBe(0);
+    void player1.hand;
+    expect([...reads]).toEqual(['hand']);
+  });
+});
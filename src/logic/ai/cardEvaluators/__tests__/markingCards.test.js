@@ -26,18 +26,19 @@ const makeCard = (cost = 1, count = 3) => ({
   }],
 });
 
+// player1 is the opponent (enemy drones), player2 is the AI (own hand)
 const makeContext = (enemyDronesByLane, hand = []) => ({
   player1: {
-    dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
-    hand,
-  },
-  player2: {
     dronesOnBoard: {
       lane1: enemyDronesByLane.lane1 || [],
       lane2: enemyDronesByLane.lane2 || [],
       lane3: enemyDronesByLane.lane3 || [],
     },
   },
+  player2: {
+    dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
+    hand,
+  },
 });
 
 describe('evaluateMarkDroneCard', () => {
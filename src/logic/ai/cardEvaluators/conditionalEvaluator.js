@@ -4,7 +4,7 @@
 // Evaluates conditional effects on cards for AI scoring
 // This is a modular system - any base effect can have any conditional effect
 
-import { CARD_EVALUATION, SCORING_WEIGHTS } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { debugLog } from '../../../utils/debugLogger.js';
 
 /**
@@ -216,25 +216,26 @@ function scoreGrantedEffect(effect, target, context) {
   if (!effect) return { score: 0, logic: [] };
 
   const { type } = effect;
+  const weights = getWeights(context);
 
   switch (type) {
     case 'DESTROY':
-      return scoreDestroyEffect(target);
+      return scoreDestroyEffect(target, weights);
 
     case 'BONUS_DAMAGE':
-      return scoreBonusDamage(effect.value);
+      return scoreBonusDamage(effect.value, weights);
 
     case 'GO_AGAIN':
-      return scoreGoAgain();
+      return scoreGoAgain(weights);
 
     case 'DRAW':
-      return scoreDraw(effect.value || 1);
+      return scoreDraw(effect.value || 1, weights);
 
     case 'GAIN_ENERGY':
       return scoreGainEnergy(effect.value || 1);
 
     case 'MODIFY_STAT':
-      return scoreModifyStat(effect);
+      return scoreModifyStat(effect, weights);
 
     case 'OVERRIDE_VALUE':
       return scoreOverrideValue(effect);
@@ -248,7 +249,8 @@ function scoreGrantedEffect(effect, target, context) {
 /**
  * Score a DESTROY effect (used by Executioner)
  */
-function scoreDestroyEffect(target) {
+function scoreDestroyEffect(target, weights) {
+  const { CARD_EVALUATION, SCORING_WEIGHTS } = weights;
   const resourceValue = (target.hull || 0) + (target.currentShields || 0);
   const targetValue = resourceValue * SCORING_WEIGHTS.RESOURCE_VALUE_MULTIPLIER;
 
@@ -267,7 +269,8 @@ function scoreDestroyEffect(target) {
 /**
  * Score BONUS_DAMAGE effect
  */
-function scoreBonusDamage(value) {
+function scoreBonusDamage(value, weights) {
+  const { CARD_EVALUATION } = weights;
   const score = value * CARD_EVALUATION.DAMAGE_MULTIPLIER;
   return {
     score,
@@ -278,7 +281,8 @@ function scoreBonusDamage(value) {
 /**
  * Score GO_AGAIN effect
  */
-function scoreGoAgain() {
+function scoreGoAgain(weights) {
+  const { CARD_EVALUATION } = weights;
   return {
     score: CARD_EVALUATION.GO_AGAIN_BONUS,
     logic: [`✅ Conditional Go Again: +${CARD_EVALUATION.GO_AGAIN_BONUS}`]
@@ -288,7 +292,8 @@ function scoreGoAgain() {
 /**
  * Score DRAW effect
  */
-function scoreDraw(count) {
+function scoreDraw(count, weights) {
+  const { CARD_EVALUATION } = weights;
   const score = count * CARD_EVALUATION.DRAW_BASE_VALUE;
   return {
     score,
@@ -323,7 +328,8 @@ function scoreOverrideValue(effect) {
 /**
  * Score MODIFY_STAT effect
  */
-function scoreModifyStat(effect) {
+function scoreModifyStat(effect, weights) {
+  const { CARD_EVALUATION } = weights;
   const { mod } = effect;
   if (!mod) return { score: 0, logic: [] };
 
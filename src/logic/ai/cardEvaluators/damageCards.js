@@ -4,7 +4,7 @@
 // Evaluates DESTROY and DAMAGE card effects
 // Uses unified target scoring for consistent prioritization
 
-import { SCORING_WEIGHTS, CARD_EVALUATION } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { calculateTargetValue } from '../scoring/targetScoring.js';
 import { LaneControlCalculator } from '../../combat/LaneControlCalculator.js';
 
@@ -16,6 +16,7 @@ import { LaneControlCalculator } from '../../combat/LaneControlCalculator.js';
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDestroyCard = (card, target, context) => {
+  const { SCORING_WEIGHTS } = getWeights(context);
   const { player1, player2, gameDataService, getLaneOfDrone } = context;
   const logic = [];
   let score = 0;
@@ -117,6 +118,7 @@ export const evaluateDestroyCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDamageCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const { player1, gameDataService, getLaneOfDrone } = context;
   const logic = [];
   let score = 0;
@@ -185,6 +187,7 @@ export const evaluateDamageCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateOverflowDamageCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const { player1, getLaneOfDrone } = context;
   const logic = [];
   let score = 0;
@@ -241,6 +244,7 @@ export const evaluateOverflowDamageCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateSplashDamageCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const { player1, player2, getLaneOfDrone } = context;
   const logic = [];
   let score = 0;
@@ -327,6 +331,7 @@ export const evaluateSplashDamageCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDamageScalingCard = (card, target, context) => {
+  const { SCORING_WEIGHTS } = getWeights(context);
   const { player1, player2, getLaneOfDrone } = context;
   const logic = [];
   let score = 0;
@@ -371,6 +376,7 @@ export const evaluateDamageScalingCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDestroyUpgradeCard = (card, target, context) => {
+  const { SCORING_WEIGHTS } = getWeights(context);
   const logic = [];
   let score = 0;
 
@@ -410,6 +416,7 @@ export const evaluateDestroyUpgradeCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateConditionalSectionDamageCard = (card, target, context) => {
+  const { SCORING_WEIGHTS } = getWeights(context);
   const { player1, player2 } = context;
   const logic = [];
   let score = 0;
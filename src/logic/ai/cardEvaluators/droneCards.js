@@ -4,7 +4,8 @@
 // Evaluates READY_DRONE and CREATE_TOKENS card effects
 
 import fullDroneCollection from '../../../data/droneData.js';
-import { SCORING_WEIGHTS, CARD_EVALUATION, INVALID_SCORE, THRUSTER_INHIBITOR, PROXIMITY_MINE, INHIBITOR_MINE, JITTER_MINE } from '../aiConstants.js';
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { calculateLaneScore } from '../scoring/laneScoring.js';
 import { hasJammerInLane } from '../helpers/jammerHelpers.js';
 import { countDroneTypeInLane, MAX_DRONES_PER_LANE, MAX_TECH_PER_LANE } from '../../utils/gameEngineUtils.js';
@@ -18,6 +19,7 @@ import { countDroneTypeInLane, MAX_DRONES_PER_LANE, MAX_TECH_PER_LANE } from '..
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateReadyDroneCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player1,
     player2,
@@ -113,7 +115,7 @@ export const evaluateReadyDroneCard = (card, target, context) => {
   }
 
   // === LANE IMPACT ANALYSIS ===
-  const currentLaneScore = calculateLaneScore(targetLane, player2, player1, allSections, getShipStatus, gameDataService);
+  const currentLaneScore = calculateLaneScore(targetLane, player2, player1, allSections, getShipStatus, gameDataService, context.weights);
 
   // Simulate drone as ready
   const tempAiState = JSON.parse(JSON.stringify(player2));
@@ -122,7 +124,7 @@ export const evaluateReadyDroneCard = (card, target, context) => {
     droneInLane.isExhausted = false;
   }
 
-  const projectedLaneScore = calculateLaneScore(targetLane, tempAiState, player1, allSections, getShipStatus, gameDataService);
+  const projectedLaneScore = calculateLaneScore(targetLane, tempAiState, player1, allSections, getShipStatus, gameDataService, context.weights);
   const laneImpact = (projectedLaneScore - currentLaneScore) * CARD_EVALUATION.LANE_IMPACT_WEIGHT;
 
   if (laneImpact > 0) {
@@ -179,6 +181,7 @@ export const evaluateCreateTokensCard = (card, target, context) => {
  * Scores based on enemy presence, ship attack opportunity, and speed advantage
  */
 const evaluateDartTokenCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const { player1, player2, gameDataService, placedSections } = context;
   const logic = [];
   let score = 0;
@@ -247,6 +250,7 @@ const evaluateDartTokenCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 const evaluateJammerCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const { player2 } = context;
   const logic = [];
   let score = 0;
@@ -295,6 +299,7 @@ const evaluateJammerCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 const evaluateRallyBeaconCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const { player2 } = context;
   const logic = [];
   let score = 0;
@@ -375,6 +380,7 @@ const evaluateRallyBeaconCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 const evaluateThrusterInhibitorCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, THRUSTER_INHIBITOR } = getWeights(context);
   const { player1, player2 } = context;
   const logic = [];
   let score = 0;
@@ -438,6 +444,7 @@ const evaluateThrusterInhibitorCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 const evaluateProximityMineCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, PROXIMITY_MINE } = getWeights(context);
   const { player1, player2 } = context;
   const logic = [];
   let score = 0;
@@ -499,6 +506,7 @@ const evaluateProximityMineCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 const evaluateInhibitorMineCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, INHIBITOR_MINE } = getWeights(context);
   const { player1, player2 } = context;
   const logic = [];
   let score = 0;
@@ -552,6 +560,7 @@ const evaluateInhibitorMineCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 const evaluateJitterMineCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, JITTER_MINE } = getWeights(context);
   const { player1, player2, gameDataService } = context;
   const logic = [];
   let score = 0;
@@ -608,6 +617,7 @@ const evaluateJitterMineCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateExhaustDroneCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player1,
     player2,
@@ -691,8 +701,8 @@ export const evaluateExhaustDroneCard = (card, target, context) => {
   // Calculate lane score impact (for enemy exhaustion, this improves our position)
   const isEnemyDrone = getLaneOfDrone(target.id, player1);
   if (isEnemyDrone) {
-    const currentLaneScore = calculateLaneScore(targetLane, player2, player1, allSections, getShipStatus, gameDataService);
-    const projectedLaneScore = calculateLaneScore(targetLane, player2, tempState, allSections, getShipStatus, gameDataService);
+    const currentLaneScore = calculateLaneScore(targetLane, player2, player1, allSections, getShipStatus, gameDataService, context.weights);
+    const projectedLaneScore = calculateLaneScore(targetLane, player2, tempState, allSections, getShipStatus, gameDataService, context.weights);
     const laneImprovement = (projectedLaneScore - currentLaneScore) * 0.5; // Weighted at 50%
 
     if (laneImprovement > 0) {
@@ -3,7 +3,8 @@
 // ========================================
 // Evaluates HEAL_SHIELDS and HEAL_HULL card effects
 
-import { CARD_EVALUATION, INVALID_SCORE } from '../aiConstants.js';
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { hasReadyNotFirstActionDrones } from '../helpers/keywordHelpers.js';
 
 /**
@@ -14,6 +15,7 @@ import { hasReadyNotFirstActionDrones } from '../helpers/keywordHelpers.js';
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateHealShieldsCard = (card, target, context) => {
+  const { CARD_EVALUATION } = getWeights(context);
   const logic = [];
 
   const shieldsToHeal = Math.min(card.effects[0].value, target.currentMaxShields - target.currentShields);
@@ -32,6 +34,7 @@ export const evaluateHealShieldsCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateHealHullCard = (card, target, context) => {
+  const { CARD_EVALUATION } = getWeights(context);
   const logic = [];
   let score = 0;
 
@@ -77,6 +80,7 @@ export const evaluateHealHullCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateRestoreSectionShieldsCard = (card, target, context) => {
+  const { CARD_EVALUATION } = getWeights(context);
   const logic = [];
 
   // Ship sections have shields (max) and allocatedShields (current)
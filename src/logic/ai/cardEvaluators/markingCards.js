@@ -3,7 +3,7 @@
 // ========================================
 // Evaluates MARK_DRONE card effects (Target Acquisition, Mark Enemy)
 
-import { SCORING_WEIGHTS, DEPLOYMENT_BONUSES, CARD_EVALUATION } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 
 /**
  * Evaluate a MARK_DRONE card
@@ -15,6 +15,7 @@ import { SCORING_WEIGHTS, DEPLOYMENT_BONUSES, CARD_EVALUATION } from '../aiConst
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateMarkDroneCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, DEPLOYMENT_BONUSES, CARD_EVALUATION } = getWeights(context);
   const { player1, player2 } = context;
   const logic = [];
   let score = 0;
@@ -25,7 +26,7 @@ export const evaluateMarkDroneCard = (card, target, context) => {
   // Count unmarked enemy drones across all lanes
   let unmarkedCount = 0;
   for (const lane of ['lane1', 'lane2', 'lane3']) {
-    const drones = player2.dronesOnBoard?.[lane] || [];
+    const drones = player1.dronesOnBoard?.[lane] || [];
     unmarkedCount += drones.filter(d => !d.isMarked).length;
   }
 
@@ -44,8 +45,8 @@ export const evaluateMarkDroneCard = (card, target, context) => {
     }
   }
 
-  // Synergy bonus: check if hand contains mark-consuming cards
-  const hand = player1.hand || [];
+  // Synergy bonus: check if our hand contains mark-consuming cards
+  const hand = player2.hand || [];
   const synergyCards = hand.filter(c =>
     c.effects?.some(e => e.filter === 'MARKED' || e.condition?.requires === 'MARKED')
   );
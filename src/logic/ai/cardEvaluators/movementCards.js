@@ -4,7 +4,8 @@
 // Evaluates SINGLE_MOVE card effects
 
 import fullDroneCollection from '../../../data/droneData.js';
-import { SCORING_WEIGHTS, CARD_EVALUATION, INVALID_SCORE } from '../aiConstants.js';
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { calculateLaneScore } from '../scoring/laneScoring.js';
 import { hasReadyNotFirstActionDrones } from '../helpers/keywordHelpers.js';
 import { MAX_DRONES_PER_LANE } from '../../utils/gameEngineUtils.js';
@@ -19,6 +20,7 @@ import { hasMovementInhibitorInLane } from '../../../utils/gameUtils.js';
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateSingleMoveCard = (card, target, moveData, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player1,
     player2,
@@ -49,8 +51,8 @@ export const evaluateSingleMoveCard = (card, target, moveData, context) => {
     // Strategy: Maximize opponent's disadvantage (their loss = our gain)
 
     // Calculate current lane scores for opponent
-    const currentFromScore = calculateLaneScore(fromLane, player1, player2, allSections, getShipStatus, gameDataService);
-    const currentToScore = calculateLaneScore(toLane, player1, player2, allSections, getShipStatus, gameDataService);
+    const currentFromScore = calculateLaneScore(fromLane, player1, player2, allSections, getShipStatus, gameDataService, context.weights);
+    const currentToScore = calculateLaneScore(toLane, player1, player2, allSections, getShipStatus, gameDataService, context.weights);
 
     // Simulate moving opponent's drone
     const tempOpponentState = JSON.parse(JSON.stringify(player1));
@@ -61,8 +63,8 @@ export const evaluateSingleMoveCard = (card, target, moveData, context) => {
     }
 
     // Calculate projected scores after move
-    const projectedFromScore = calculateLaneScore(fromLane, tempOpponentState, player2, allSections, getShipStatus, gameDataService);
-    const projectedToScore = calculateLaneScore(toLane, tempOpponentState, player2, allSections, getShipStatus, gameDataService);
+    const projectedFromScore = calculateLaneScore(fromLane, tempOpponentState, player2, allSections, getShipStatus, gameDataService, context.weights);
+    const projectedToScore = calculateLaneScore(toLane, tempOpponentState, player2, allSections, getShipStatus, gameDataService, context.weights);
 
     // Calculate opponent's score change (negative = they got worse = good for us)
     const opponentToLaneChange = projectedToScore - currentToScore;
@@ -92,8 +94,8 @@ export const evaluateSingleMoveCard = (card, target, moveData, context) => {
     }
 
     // Calculate lane scores
-    const currentFromScore = calculateLaneScore(fromLane, player2, player1, allSections, getShipStatus, gameDataService);
-    const currentToScore = calculateLaneScore(toLane, player2, player1, allSections, getShipStatus, gameDataService);
+    const currentFromScore = calculateLaneScore(fromLane, player2, player1, allSections, getShipStatus, gameDataService, context.weights);
+    const currentToScore = calculateLaneScore(toLane, player2, player1, allSections, getShipStatus, gameDataService, context.weights);
 
     // Simulate the move
     const tempAiState = JSON.parse(JSON.stringify(player2));
@@ -103,8 +105,8 @@ export const evaluateSingleMoveCard = (card, target, moveData, context) => {
       tempAiState.dronesOnBoard[toLane].push(droneToMove);
     }
 
-    const projectedFromScore = calculateLaneScore(fromLane, tempAiState, player1, allSections, getShipStatus, gameDataService);
-    const projectedToScore = calculateLaneScore(toLane, tempAiState, player1, allSections, getShipStatus, gameDataService);
+    const projectedFromScore = calculateLaneScore(fromLane, tempAiState, player1, allSections, getShipStatus, gameDataService, context.weights);
+    const projectedToScore = calculateLaneScore(toLane, tempAiState, player1, allSections, getShipStatus, gameDataService, context.weights);
 
     const toLaneImpact = projectedToScore - currentToScore;
     const fromLaneImpact = projectedFromScore - currentFromScore;
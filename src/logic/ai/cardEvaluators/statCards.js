@@ -3,7 +3,8 @@
 // ========================================
 // Evaluates MODIFY_STAT and REPEATING_EFFECT card effects
 
-import { SCORING_WEIGHTS, CARD_EVALUATION, INVALID_SCORE } from '../aiConstants.js';
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { calculateLaneScore } from '../scoring/laneScoring.js';
 import { hasReadyNotFirstActionDrones } from '../helpers/keywordHelpers.js';
 import { LaneControlCalculator } from '../../combat/LaneControlCalculator.js';
@@ -16,6 +17,7 @@ import { LaneControlCalculator } from '../../combat/LaneControlCalculator.js';
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateModifyStatCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player1,
     player2,
@@ -37,7 +39,7 @@ export const evaluateModifyStatCard = (card, target, context) => {
     if (activeDronesInLane.length === 0) {
       return { score: INVALID_SCORE, logic: ['❌ No Active Drones in Lane - card has no effect'] };
     } else {
-      const currentLaneScore = calculateLaneScore(laneId, player2, player1, allSections, getShipStatus, gameDataService);
+      const currentLaneScore = calculateLaneScore(laneId, player2, player1, allSections, getShipStatus, gameDataService, context.weights);
 
       // Simulate stat modification
       const tempAiState = JSON.parse(JSON.stringify(player2));
@@ -48,7 +50,7 @@ export const evaluateModifyStatCard = (card, target, context) => {
         }
       });
 
-      const projectedLaneScore = calculateLaneScore(laneId, tempAiState, player1, allSections, getShipStatus, gameDataService);
+      const projectedLaneScore = calculateLaneScore(laneId, tempAiState, player1, allSections, getShipStatus, gameDataService, context.weights);
       const laneImpact = projectedLaneScore - currentLaneScore;
       const impactValue = laneImpact * CARD_EVALUATION.LANE_IMPACT_WEIGHT;
       const multiBuffBonus = activeDronesInLane.length * CARD_EVALUATION.MULTI_BUFF_BONUS_PER_DRONE;
@@ -149,6 +151,7 @@ export const evaluateModifyStatCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateRepeatingEffectCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const { player1, player2, getShipStatus } = context;
   const logic = [];
   let score = 0;
@@ -5,7 +5,8 @@
 // Does Not Ready, and Clear All Status
 
 import fullDroneCollection from '../../../data/droneData.js';
-import { SCORING_WEIGHTS, CARD_EVALUATION, INVALID_SCORE } from '../aiConstants.js';
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { calculateLaneScore } from '../scoring/laneScoring.js';
 
 /**
@@ -17,6 +18,7 @@ import { calculateLaneScore } from '../scoring/laneScoring.js';
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateApplyCannotMoveCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player1,
     player2,
@@ -91,6 +93,7 @@ export const evaluateApplyCannotMoveCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateApplyCannotAttackCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player1,
     player2,
@@ -185,6 +188,7 @@ export const evaluateApplyCannotAttackCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateApplyCannotInterceptCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player1,
     player2,
@@ -275,6 +279,7 @@ export const evaluateApplyCannotInterceptCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateApplyDoesNotReadyCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player1,
     gameDataService,
@@ -359,6 +364,7 @@ export const evaluateApplyDoesNotReadyCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateClearAllStatusCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, CARD_EVALUATION } = getWeights(context);
   const {
     player2,
     getLaneOfDrone
@@ -3,7 +3,7 @@
 // ========================================
 // Evaluates DESTROY_TECH card effects for AI decision-making
 
-import { SCORING_WEIGHTS } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 
 // Tech impact values — higher = more valuable to destroy
 const DEFAULT_TECH_IMPACT = 15;
@@ -25,6 +25,7 @@ const BASE_TECH_REMOVAL_SCORE = 10;
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDestroyTechCard = (card, target, context) => {
+  const { SCORING_WEIGHTS } = getWeights(context);
   const logic = [];
   let score = 0;
 
@@ -3,7 +3,8 @@
 // ========================================
 // Evaluates INCREASE_THREAT card effects (Raise the Alarm, Transmit Threat)
 
-import { CARD_EVALUATION, SCORING_WEIGHTS, INVALID_SCORE } from '../aiConstants.js';
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 
 /**
  * Evaluate an INCREASE_THREAT card
@@ -15,6 +16,7 @@ import { CARD_EVALUATION, SCORING_WEIGHTS, INVALID_SCORE } from '../aiConstants.
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateIncreaseThreatCard = (card, target, context) => {
+  const { CARD_EVALUATION, SCORING_WEIGHTS } = getWeights(context);
   const { player2 } = context;
   const logic = [];
   let score = 0;
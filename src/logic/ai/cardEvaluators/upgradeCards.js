@@ -4,7 +4,7 @@
 // Evaluates MODIFY_DRONE_BASE effect type for upgrade cards
 
 import fullDroneCollection from '../../../data/droneData.js';
-import { SCORING_WEIGHTS, UPGRADE_EVALUATION, CARD_EVALUATION } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import {
   getDeployedDroneCount,
   getReadyDroneCountByType,
@@ -30,6 +30,7 @@ import { hasReadyNotFirstActionDrones } from '../helpers/keywordHelpers.js';
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateModifyDroneBaseCard = (card, target, context) => {
+  const { SCORING_WEIGHTS, UPGRADE_EVALUATION, CARD_EVALUATION } = getWeights(context);
   const { player2 } = context;
   const logic = [];
   let score = 0;
@@ -3,7 +3,8 @@
 // ========================================
 // Evaluates DRAW, GAIN_ENERGY, and SEARCH_AND_DRAW card effects
 
-import { CARD_EVALUATION, SCORING_WEIGHTS, INVALID_SCORE } from '../aiConstants.js';
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 
 /**
  * Evaluate a GAIN_ENERGY card
@@ -13,6 +14,7 @@ import { CARD_EVALUATION, SCORING_WEIGHTS, INVALID_SCORE } from '../aiConstants.
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateGainEnergyCard = (card, target, context) => {
+  const { CARD_EVALUATION } = getWeights(context);
   const { player1, player2, getValidTargets } = context;
   const logic = [];
   let score = 0;
@@ -57,6 +59,7 @@ export const evaluateGainEnergyCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDrawCard = (card, target, context) => {
+  const { CARD_EVALUATION } = getWeights(context);
   const { player2 } = context;
   const logic = [];
   let score = 0;
@@ -85,6 +88,7 @@ export const evaluateDrawCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateSearchAndDrawCard = (card, target, context) => {
+  const { CARD_EVALUATION } = getWeights(context);
   const { player2 } = context;
   const logic = [];
   let score = 0;
@@ -116,6 +120,7 @@ export const evaluateSearchAndDrawCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDrainEnergyCard = (card, target, context) => {
+  const { CARD_EVALUATION, SCORING_WEIGHTS } = getWeights(context);
   const { player1, roundNumber } = context;
   const logic = [];
 
@@ -162,6 +167,7 @@ export const evaluateDrainEnergyCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateStealEnergyCard = (card, target, context) => {
+  const { CARD_EVALUATION, SCORING_WEIGHTS } = getWeights(context);
   const { player1, player2 } = context;
   const logic = [];
 
@@ -200,11 +206,13 @@ export const evaluateStealEnergyCard = (card, target, context) => {
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateDiscardCard = (card, target, context) => {
+  const { CARD_EVALUATION, SCORING_WEIGHTS } = getWeights(context);
   const { player1 } = context;
   const logic = [];
 
   const discardCount = card.effects[0].count;
-  const opponentHandSize = player1.hand.length;
+  // player1 is a redacted view: the hand itself is hidden, its size is not
+  const opponentHandSize = player1.handCount ?? 0;
   const opponentEnergy = player1.energy;
 
   // Check if opponent has cards to discard
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { scoreOpponentActions } from '../actionDecision.js';
+import GameDataService from '../../../../services/GameDataService.js';
+import { INVALID_SCORE } from '../../aiConstants.js';
+
+vi.mock('../../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+  timingLog: vi.fn(),
+}));
+
+const makePlayer = (overrides = {}) => ({
+  name: 'AI',
+  energy: 5,
+  hand: [],
+  deck: [],
+  discardPile: [],
+  dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
+  shipSections: {},
+  appliedUpgrades: {},
+  shipAbilityActivations: { round: 0, game: 0 },
+  ...overrides,
+});
+
+const score = (player2) => scoreOpponentActions({
+  player1: makePlayer({ name: 'Human' }),
+  player2,
+  placedSections: [],
+  opponentPlacedSections: [],
+  getShipStatus: () => 'healthy',
+  getLaneOfDrone: () => null,
+  gameStateManager: {},
+  getValidTargets: () => [],
+});
+
+describe('scoreOpponentActions - ship card ability', () => {
+  beforeEach(() => {
+    vi.spyOn(GameDataService, 'getInstance').mockReturnValue({
+      getEffectiveShipStats: vi.fn(() => ({ totals: { handLimit: 6, maxEnergy: 20 } })),
+      getEffectiveStats: vi.fn(() => ({ attack: 1, speed: 1, keywords: new Set() })),
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('scores an available ship ability as a card with the ability\'s cost', () => {
+    const bigCard = { id: 'BIG', instanceId: 'big-1', name: 'Big Draw', cost: 7, effects: [{ type: 'DRAW', value: 3 }] };
+    const actions = score(makePlayer({ shipId: 'SHIP_002', hand: [bigCard] }));
+    const shipAbility = actions.find(a => a.type === 'ship_ability');
+
+    expect(shipAbility.instigator).toBe('Reactor Overdrive (Ship)');
+    expect(shipAbility.logic).toContain('✅ Ship Ability: Reactor Overdrive');
+    expect(shipAbility.logic).toContain("✅ Enables 'Big Draw': +" + shipAbility.score);
+  });
+
+  it('rejects an energy ability that enables nothing, like the equivalent card', () => {
+    const shipAbility = score(makePlayer({ shipId: 'SHIP_002' })).find(a => a.type === 'ship_ability');
+
+    expect(shipAbility.score).toBe(INVALID_SCORE);
+  });
+
+  it('offers no ship ability once it has been used up', () => {
+    const actions = score(makePlayer({ shipId: 'SHIP_002', shipAbilityActivations: { round: 0, game: 1 } }));
+
+    expect(actions.some(a => a.type === 'ship_ability')).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  beginScoreTraces,
+  applyTracedPass,
+  actionRejectionReason,
+  deploymentRejectionReason,
+  buildDecisionTrace,
+} from '../decisionTrace.js';
+import { DECISION_THRESHOLDS, INVALID_SCORE } from '../../aiConstants.js';
+
+const makeAction = (instigator, score, logic = [`Base: ${score}`]) => ({
+  type: 'attack', instigator, targetName: 'Dart', score, logic: [...logic],
+});
+
+describe('decisionTrace', () => {
+  describe('applyTracedPass', () => {
+    it('records each pass\'s delta and logic lines on the actions it touched', () => {
+      const talon = makeAction('Talon', 40);
+      const dart = makeAction('Dart', 10);
+      const actions = [talon, dart];
+      beginScoreTraces(actions);
+
+      applyTracedPass(actions, 'Jammer', () => {
+        talon.score -= 25;
+        talon.logic.push('Blocked by Jammer: -25');
+      });
+      applyTracedPass(actions, 'Interception', () => {
+        dart.score += 5;
+      });
+
+      expect(talon.trace).toEqual({
+        baseScore: 40,
+        baseLogicLength: 1,
+        adjustments: [{ pass: 'Jammer', delta: -25, logic: ['Blocked by Jammer: -25'] }],
+      });
+      expect(dart.trace.adjustments).toEqual([{ pass: 'Interception', delta: 5, logic: [] }]);
+    });
+  });
+
+  describe('rejection reasons', () => {
+    it('explains action-pool losses against the thresholds in force', () => {
+      const { MIN_ACTION_SCORE, ACTION_POOL_RANGE } = DECISION_THRESHOLDS;
+      const top = 100;
+
+      expect(actionRejectionReason({ score: INVALID_SCORE }, top)).toBe('Not a legal play');
+      expect(actionRejectionReason({ score: MIN_ACTION_SCORE }, top)).toMatch(/at or below the minimum action score/);
+      expect(actionRejectionReason({ score: top - ACTION_POOL_RANGE - 1 }, top)).toMatch(/more than 20 below the top score \(100\)/);
+      expect(actionRejectionReason({ score: top - 1 }, top)).toMatch(/not picked by the random draw/);
+    });
+
+    it('explains deployment losses, passing through the reason an option was illegal', () => {
+      expect(deploymentRejectionReason({ score: INVALID_SCORE, logic: ['Not enough resources'] }, 30)).toBe('Not enough resources');
+      expect(deploymentRejectionReason({ score: 2 }, 30)).toMatch(/below the minimum deployment score/);
+      expect(deploymentRejectionReason({ score: 20 }, 30)).toBe('Score 20 is below the top score (30)');
+      expect(deploymentRejectionReason({ score: 30 }, 30)).toMatch(/Tied for the top score/);
+    });
+  });
+
+  describe('buildDecisionTrace', () => {
+    it('lists candidates best first with their breakdown and fate', () => {
+      const chosen = makeAction('Talon', 40, ['Lethal: +40']);
+      const other = makeAction('Dart', 10);
+      const actions = [other, chosen];
+      beginScoreTraces(actions);
+      applyTracedPass(actions, 'Anti-ship', () => {
+        chosen.score += 10;
+        chosen.logic.push('Only option: +10');
+      });
+
+      const trace = buildDecisionTrace({
+        phase: 'action',
+        candidates: actions,
+        chosen,
+        summary: 'Drew Talon',
+        thresholds: { topScore: 50 },
+        rejectionFor: () => 'Lost',
+      });
+
+      expect(trace.outcome).toBe('attack');
+      expect(trace.candidates.map(c => c.instigator)).toEqual(['Talon', 'Dart']);
+      expect(trace.candidates[0]).toEqual({
+        type: 'attack',
+        instigator: 'Talon',
+        targetName: 'Dart',
+        baseScore: 40,
+        baseLogic: ['Lethal: +40'],
+        adjustments: [{ pass: 'Anti-ship', delta: 10, logic: ['Only option: +10'] }],
+        finalScore: 50,
+        chosen: true,
+        rejection: null,
+      });
+      expect(trace.candidates[1]).toMatchObject({ chosen: false, rejection: 'Lost', adjustments: [] });
+      expect(JSON.parse(JSON.stringify(trace))).toEqual(trace);
+    });
+
+    it('reports a pass when nothing was chosen', () => {
+      const trace = buildDecisionTrace({
+        phase: 'deployment',
+        candidates: [{ instigator: 'Dart', targetName: 'lane1', score: 1, logic: [] }],
+        chosen: null,
+        summary: 'Passed',
+        thresholds: {},
+        rejectionFor: () => 'Too low',
+      });
+
+      expect(trace.outcome).toBe('pass');
+      expect(trace.candidates[0]).toMatchObject({ type: 'deploy', baseScore: 1, rejection: 'Too low' });
+    });
+  });
+});
@@ -14,18 +14,17 @@ import {
   countDroneTypeInLane,
 } from '../helpers/index.js';
 
-import { DRONE_PACING } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { MAX_DRONES_PER_LANE } from '../../utils/gameEngineUtils.js';
 import { hasMovementInhibitorInLane } from '../../../utils/gameUtils.js';
+import { validateShipAbilityUse } from '../../utils/shipCardUtils.js';
 
 import { evaluateCardPlay } from '../cardEvaluators/index.js';
 import { evaluateDroneAttack, evaluateShipAttack } from '../attackEvaluators/index.js';
 import { evaluateMove } from '../moveEvaluator.js';
 
-import { applyJammerAdjustments } from '../adjustmentPasses/jammerAdjustment.js';
-import { applyInterceptionAdjustments } from '../adjustmentPasses/interceptionAdjustment.js';
-import { applyAntiShipAdjustments } from '../adjustmentPasses/antiShipAdjustment.js';
-import { applyMovementInhibitorAdjustments } from '../adjustmentPasses/movementInhibitorAdjustment.js';
+import { ADJUSTMENT_PASSES } from '../adjustmentPasses/index.js';
+import { beginScoreTraces, applyTracedPass, actionRejectionReason, buildDecisionTrace } from './decisionTrace.js';
 
 import { isCardConditionMet } from '../../targeting/CardConditionValidator.js';
 import { isLaneControlCardPlayable } from '../../targeting/LaneControlValidator.js';
@@ -87,7 +86,7 @@ export const evaluateActiveAbility = (ability, target, currentEnergy) => {
   let score = 0;
 
   switch (effect.type) {
-    case 'HEAL': {
+    case 'HEAL_HULL': {
       // Calculate actual healing (capped by missing hull)
       const missingHull = (target.maxHull || target.hull) - target.hull;
       const actualHeal = Math.min(effect.value, missingHull);
@@ -134,18 +133,16 @@ export const evaluateActiveAbility = (ability, target, currentEnergy) => {
 // ========================================
 
 /**
- * Action decision flow:
- * 1. Generate all possible actions (card plays, attacks, moves, active abilities)
+ * Build and score the AI's action pool:
+ * 1. Generate all possible actions (card plays, attacks, moves, active abilities, ship ability)
  * 2. Score each action using appropriate evaluators
  * 3. Apply adjustment passes (Jammer, Interception, Anti-Ship, Movement Inhibitor)
  * 4. Apply drone disadvantage pacing
- * 5. Select from top-scoring actions
  *
- * Returns:
- * - { type: 'pass' } if no positive actions
- * - { type: 'action', payload: chosenAction, logContext: possibleActions }
+ * Returns the scored actions (each with score, logic, instigator, targetName).
  */
-export const handleOpponentAction = ({ player1, player2, placedSections, opponentPlacedSections, getShipStatus, getLaneOfDrone, gameStateManager, getValidTargets, addLogEntry }) => {
+export const scoreOpponentActions = ({ player1, player2, placedSections, opponentPlacedSections, getShipStatus, getLaneOfDrone, gameStateManager, getValidTargets, weights = getWeights() }) => {
+    const { DRONE_PACING } = weights;
     // Create GameDataService instance for centralized data computation
     const gameDataService = GameDataService.getInstance(gameStateManager);
     const allSections = { player1: placedSections, player2: opponentPlacedSections };
@@ -383,6 +380,12 @@ export const handleOpponentAction = ({ player1, player2, placedSections, opponen
       }
     }
 
+    // Ship card ability (untargeted ones only; none of the ship cards target yet)
+    const shipAbilityUse = validateShipAbilityUse(player2);
+    if (shipAbilityUse.isValid && !shipAbilityUse.ability.targeting) {
+      possibleActions.push({ type: 'ship_ability', ability: shipAbilityUse.ability, target: null, score: 0 });
+    }
+
     const cardPlayCount = possibleActions.filter(a => a.type === 'play_card').length;
     const attackCount = possibleActions.filter(a => a.type === 'attack').length;
     const moveCount = possibleActions.filter(a => a.type === 'move').length;
@@ -400,6 +403,7 @@ export const handleOpponentAction = ({ player1, player2, placedSections, opponen
       allSections,
       getShipStatus,
       getValidTargets,
+      weights,
     };
 
     possibleActions.forEach(action => {
@@ -487,6 +491,19 @@ export const handleOpponentAction = ({ player1, player2, placedSections, opponen
           break;
         }
 
+        case 'ship_ability': {
+          const { ability } = action;
+          action.instigator = `${ability.name} (Ship)`;
+
+          // Score the effect as a card costing the ability's energy
+          const abilityAsCard = { name: ability.name, cost: ability.cost.energy, effects: [ability.effect] };
+          const result = evaluateCardPlay(abilityAsCard, null, evaluationContext);
+          score = result.score;
+          action.logic.push(`✅ Ship Ability: ${ability.name}`, ...result.logic);
+          action.score = score;
+          break;
+        }
+
         default:
           break;
       }
@@ -509,28 +526,14 @@ export const handleOpponentAction = ({ player1, player2, placedSections, opponen
     debugLog('AI_TURN_TRACE', `[AI-05] Action: scored | topScore=${preAdjustTopScore}, positiveCount=${preAdjustPositive}, poolSize=${possibleActions.length}`);
 
     // ========================================
-    // JAMMER ADJUSTMENT PASS
-    // ========================================
-    // Apply Jammer blocking and removal bonuses after normal scoring
-    applyJammerAdjustments(possibleActions, evaluationContext);
-
-    // ========================================
-    // INTERCEPTION ADJUSTMENT PASS
-    // ========================================
-    // Apply interception-based scoring adjustments after normal scoring
-    applyInterceptionAdjustments(possibleActions, evaluationContext);
-
+    // ADJUSTMENT PASSES
     // ========================================
-    // ANTI-SHIP ADJUSTMENT PASS
-    // ========================================
-    // Remove anti-ship penalty when no alternatives exist
-    applyAntiShipAdjustments(possibleActions, evaluationContext);
-
-    // ========================================
-    // MOVEMENT INHIBITOR ADJUSTMENT PASS
-    // ========================================
-    // Boost attacks against Thruster Inhibitors and Purge ability usage
-    applyMovementInhibitorAdjustments(possibleActions, evaluationContext);
+    // Jammer, interception, anti-ship and movement inhibitor adjustments after
+    // normal scoring (see adjustmentPasses/index.js), each traced per action
+    beginScoreTraces(possibleActions);
+    for (const { name, apply } of ADJUSTMENT_PASSES) {
+      applyTracedPass(possibleActions, name, () => apply(possibleActions, evaluationContext));
+    }
 
     const postAdjustTopScore = possibleActions.length > 0 ? Math.max(...possibleActions.map(a => a.score)) : 0;
     debugLog('AI_TURN_TRACE', `[AI-06] Adjustments applied | preTop=${preAdjustTopScore}, postTop=${postAdjustTopScore}, delta=${postAdjustTopScore - preAdjustTopScore}`);
@@ -541,43 +544,49 @@ export const handleOpponentAction = ({ player1, player2, placedSections, opponen
     // When AI has fewer ready drones, prefer card plays over drone actions
     const readyPlayerDrones = Object.values(player1.dronesOnBoard).flat().filter(d => !d.isExhausted);
     if (readyAiDrones.length <= readyPlayerDrones.length - DRONE_PACING.READY_DRONE_DEFICIT_THRESHOLD) {
-      for (const action of possibleActions) {
-        if (action.type === 'play_card' && action.score > 0) {
-          action.score += DRONE_PACING.NON_DRONE_ACTION_BONUS;
-          action.logic = action.logic || [];
-          action.logic.push(`+${DRONE_PACING.NON_DRONE_ACTION_BONUS} Pacing (AI has ${readyAiDrones.length} ready drones vs player's ${readyPlayerDrones.length})`);
+      applyTracedPass(possibleActions, 'Drone pacing', () => {
+        for (const action of possibleActions) {
+          if (action.type === 'play_card' && action.score > 0) {
+            action.score += DRONE_PACING.NON_DRONE_ACTION_BONUS;
+            action.logic = action.logic || [];
+            action.logic.push(`+${DRONE_PACING.NON_DRONE_ACTION_BONUS} Pacing (AI has ${readyAiDrones.length} ready drones vs player's ${readyPlayerDrones.length})`);
+          }
         }
-      }
-    }
-
-    const topScore = possibleActions.length > 0 ? Math.max(...possibleActions.map(a => a.score)) : 0;
-
-    if (topScore <= 0) {
-        debugLog('AI_TURN_TRACE', `[AI-07] Decision | type=pass, reason=noPositiveActions (topScore=${topScore})`);
-        addLogEntry({ player: player2.name, actionType: 'PASS', source: 'N/A', target: 'N/A', outcome: `Passed during action phase.` }, 'aiActionPass', possibleActions);
-        // Capture decision for CSV export
-        const turn = gameStateManager.getState().turn;
-        gameStateManager.addAIDecisionToHistory('action', turn, possibleActions, { player1, player2 });
-      return { type: 'pass' };
-    }
-
-    const actionPool = possibleActions.filter(action => action.score >= topScore - 20);
-    const positiveActionPool = actionPool.filter(action => action.score > 0);
-
-    if (positiveActionPool.length === 0) {
-      debugLog('AI_TURN_TRACE', `[AI-07] Decision | type=pass, reason=noPositiveInPool`);
-      addLogEntry({ player: player2.name, actionType: 'PASS', source: 'N/A', target: 'N/A', outcome: 'Passed (no positive actions in pool).' }, 'aiActionPass', possibleActions);
-      return { type: 'pass' };
+      });
     }
 
-    const rng = SeededRandom.fromGameState(gameStateManager.getState());
-    const chosenAction = positiveActionPool[Math.floor(rng.random() * positiveActionPool.length)];
-
-    chosenAction.isChosen = true;
+    return possibleActions;
+};
 
-    debugLog('AI_TURN_TRACE', `[AI-07] Decision | type=${chosenAction.type}, instigator=${chosenAction.instigator}, target=${chosenAction.targetName}, score=${chosenAction.score?.toFixed(0)}`);
+/**
+ * Trace for an action-phase decision made by the top-pool draw.
+ * @param {Array} possibleActions - Scored pool
+ * @param {Object|null} chosenAction - Action taken (null when passing)
+ * @param {string} summary - One-line account of the outcome
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
+ * @returns {Object} Decision trace (see decisionTrace.js)
+ */
+export const traceActionDecision = (possibleActions, chosenAction, summary, weights = getWeights()) => {
+    const { DECISION_THRESHOLDS } = weights;
+    const topScore = possibleActions.length > 0 ? Math.max(...possibleActions.map(a => a.score)) : 0;
+    return buildDecisionTrace({
+      phase: 'action',
+      candidates: possibleActions,
+      chosen: chosenAction,
+      summary,
+      thresholds: {
+        topScore,
+        minimumScore: DECISION_THRESHOLDS.MIN_ACTION_SCORE,
+        poolRange: DECISION_THRESHOLDS.ACTION_POOL_RANGE,
+      },
+      rejectionFor: (action) => actionRejectionReason(action, topScore, weights),
+    });
+};
 
-    // Log the action decision
+/**
+ * Log a chosen action, with its decision trace, and capture the decision for CSV export.
+ */
+export const recordActionDecision = (chosenAction, possibleActions, { player1, player2, gameStateManager, addLogEntry }, aiDecisionTrace) => {
     let actionType, source, target, outcome;
 
     switch (chosenAction.type) {
@@ -611,12 +620,66 @@ export const handleOpponentAction = ({ player1, player2, placedSections, opponen
       actionType,
       source,
       target,
-      outcome
+      outcome,
+      aiDecisionTrace
     }, 'aiAction', possibleActions);
 
     // Capture decision for CSV export
     const turn = gameStateManager.getState().turn;
     gameStateManager.addAIDecisionToHistory('action', turn, possibleActions, { player1, player2 });
+};
+
+/**
+ * Action decision flow:
+ * 1. Score the action pool (scoreOpponentActions)
+ * 2. Select from top-scoring actions
+ *
+ * Returns:
+ * - { type: 'pass' } if no positive actions
+ * - { type: 'action', payload: chosenAction, logContext: possibleActions }
+ */
+export const handleOpponentAction = (context) => {
+    const { player1, player2, gameStateManager, addLogEntry } = context;
+    const weights = getWeights(context);
+    const { DECISION_THRESHOLDS } = weights;
+    const possibleActions = scoreOpponentActions(context);
+
+    const topScore = possibleActions.length > 0 ? Math.max(...possibleActions.map(a => a.score)) : 0;
+
+    if (topScore <= DECISION_THRESHOLDS.MIN_ACTION_SCORE) {
+        debugLog('AI_TURN_TRACE', `[AI-07] Decision | type=pass, reason=noPositiveActions (topScore=${topScore})`);
+        const aiDecisionTrace = traceActionDecision(possibleActions, null, `Passed: no action scored above ${DECISION_THRESHOLDS.MIN_ACTION_SCORE}`, weights);
+        addLogEntry({ player: player2.name, actionType: 'PASS', source: 'N/A', target: 'N/A', outcome: `Passed during action phase.`, aiDecisionTrace }, 'aiActionPass', possibleActions);
+        // Capture decision for CSV export
+        const turn = gameStateManager.getState().turn;
+        gameStateManager.addAIDecisionToHistory('action', turn, possibleActions, { player1, player2 });
+      return { type: 'pass' };
+    }
+
+    const actionPool = possibleActions.filter(action => action.score >= topScore - DECISION_THRESHOLDS.ACTION_POOL_RANGE);
+    const positiveActionPool = actionPool.filter(action => action.score > DECISION_THRESHOLDS.MIN_ACTION_SCORE);
+
+    if (positiveActionPool.length === 0) {
+      debugLog('AI_TURN_TRACE', `[AI-07] Decision | type=pass, reason=noPositiveInPool`);
+      const aiDecisionTrace = traceActionDecision(possibleActions, null, 'Passed: no positive action in the top-scoring pool', weights);
+      addLogEntry({ player: player2.name, actionType: 'PASS', source: 'N/A', target: 'N/A', outcome: 'Passed (no positive actions in pool).', aiDecisionTrace }, 'aiActionPass', possibleActions);
+      return { type: 'pass' };
+    }
+
+    const rng = SeededRandom.fromGameState(gameStateManager.getState());
+    const chosenAction = positiveActionPool[Math.floor(rng.random() * positiveActionPool.length)];
+
+    chosenAction.isChosen = true;
+
+    debugLog('AI_TURN_TRACE', `[AI-07] Decision | type=${chosenAction.type}, instigator=${chosenAction.instigator}, target=${chosenAction.targetName}, score=${chosenAction.score?.toFixed(0)}`);
+
+    const aiDecisionTrace = traceActionDecision(
+      possibleActions,
+      chosenAction,
+      `Drew ${chosenAction.instigator} → ${chosenAction.targetName} (score ${chosenAction.score.toFixed(0)}) from ${positiveActionPool.length} action(s) within ${DECISION_THRESHOLDS.ACTION_POOL_RANGE} of the top score`,
+      weights
+    );
+    recordActionDecision(chosenAction, possibleActions, context, aiDecisionTrace);
 
     return { type: 'action', payload: chosenAction, logContext: possibleActions };
 };
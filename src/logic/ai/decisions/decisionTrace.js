@@ -0,0 +1,111 @@
+// ========================================
+// DECISION TRACE
+// ========================================
+// Structured "why" for each AI decision: every candidate's base score, the
+// delta each adjustment pass applied to it, its final score, and — for the
+// candidates not taken — the reason they lost. Traces are plain JSON and
+// travel on the game log entry (aiDecisionTrace) for AIDecisionTraceModal.
+
+import { INVALID_SCORE } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
+
+const formatScore = (score) => score.toFixed(0);
+
+/**
+ * Snapshot each candidate's evaluator score before any adjustment pass runs.
+ * @param {Array} candidates - Scored actions (score, logic)
+ */
+export const beginScoreTraces = (candidates) => {
+  for (const candidate of candidates) {
+    candidate.trace = { baseScore: candidate.score, baseLogicLength: candidate.logic?.length || 0, adjustments: [] };
+  }
+};
+
+/**
+ * Run an adjustment pass and record, per candidate, the score delta and the
+ * logic lines it added. Candidates the pass leaves alone get no entry.
+ * @param {Array} candidates - Candidates with traces (beginScoreTraces)
+ * @param {string} pass - Pass name shown in the trace
+ * @param {Function} apply - Runs the pass over the candidates in place
+ */
+export const applyTracedPass = (candidates, pass, apply) => {
+  const before = candidates.map(candidate => [candidate.score, candidate.logic?.length || 0]);
+  apply();
+  candidates.forEach((candidate, index) => {
+    const [score, logicLength] = before[index];
+    const delta = candidate.score - score;
+    const logic = (candidate.logic || []).slice(logicLength);
+    if (delta !== 0 || logic.length > 0) {
+      candidate.trace?.adjustments.push({ pass, delta, logic });
+    }
+  });
+};
+
+/**
+ * Why an action-phase candidate lost to the random draw from the top pool.
+ * @param {Object} candidate - Scored action
+ * @param {number} topScore - Best final score in the pool
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
+ * @returns {string}
+ */
+export const actionRejectionReason = (candidate, topScore, weights = getWeights()) => {
+  const { DECISION_THRESHOLDS } = weights;
+  const { MIN_ACTION_SCORE, ACTION_POOL_RANGE } = DECISION_THRESHOLDS;
+  const score = formatScore(candidate.score);
+  if (candidate.score <= INVALID_SCORE) return 'Not a legal play';
+  if (candidate.score <= MIN_ACTION_SCORE) return `Score ${score} is at or below the minimum action score (${MIN_ACTION_SCORE})`;
+  if (candidate.score < topScore - ACTION_POOL_RANGE) return `Score ${score} is more than ${ACTION_POOL_RANGE} below the top score (${formatScore(topScore)})`;
+  return 'In the top-scoring pool; not picked by the random draw';
+};
+
+/**
+ * Why a deployment candidate lost: deployments take the top score, ties broken at random.
+ * @param {Object} candidate - Scored deployment
+ * @param {number} topScore - Best score
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
+ * @returns {string}
+ */
+export const deploymentRejectionReason = (candidate, topScore, weights = getWeights()) => {
+  const { DECISION_THRESHOLDS } = weights;
+  const { MIN_DEPLOY_SCORE } = DECISION_THRESHOLDS;
+  const score = formatScore(candidate.score);
+  if (candidate.score <= INVALID_SCORE) return candidate.logic?.[0] || 'Cannot deploy';
+  if (candidate.score < MIN_DEPLOY_SCORE) return `Score ${score} is below the minimum deployment score (${MIN_DEPLOY_SCORE})`;
+  if (candidate.score < topScore) return `Score ${score} is below the top score (${formatScore(topScore)})`;
+  return 'Tied for the top score; not picked by the random draw';
+};
+
+/**
+ * Assemble the trace for one decision.
+ * @param {Object} options
+ * @param {string} options.phase - 'action' | 'deployment'
+ * @param {Array} options.candidates - Every candidate considered
+ * @param {Object|null} options.chosen - Candidate taken (null when passing)
+ * @param {string} options.summary - One-line account of the outcome
+ * @param {Object} options.thresholds - Threshold values in force for the decision
+ * @param {Function} options.rejectionFor - (candidate) => reason it was not taken
+ * @returns {Object} { phase, outcome, summary, thresholds, candidates }
+ */
+export const buildDecisionTrace = ({ phase, candidates, chosen, summary, thresholds, rejectionFor }) => ({
+  phase,
+  outcome: chosen ? (chosen.type || 'deploy') : 'pass',
+  summary,
+  thresholds,
+  candidates: [...candidates]
+    .sort((a, b) => b.score - a.score)
+    .map(candidate => {
+      const logic = candidate.logic || [];
+      const baseLogicLength = candidate.trace?.baseLogicLength ?? logic.length;
+      return {
+        type: candidate.type || 'deploy',
+        instigator: candidate.instigator,
+        targetName: candidate.targetName,
+        baseScore: candidate.trace?.baseScore ?? candidate.score,
+        baseLogic: logic.slice(0, baseLogicLength),
+        adjustments: (candidate.trace?.adjustments || []).map(adjustment => ({ ...adjustment, logic: [...adjustment.logic] })),
+        finalScore: candidate.score,
+        chosen: candidate === chosen,
+        rejection: candidate === chosen ? null : rejectionFor(candidate),
+      };
+    }),
+});
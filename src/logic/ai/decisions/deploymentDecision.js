@@ -13,10 +13,12 @@ import {
   countDroneTypeInLane,
 } from '../helpers/index.js';
 
-import { THREAT_DRONES } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { MAX_DRONES_PER_LANE } from '../../utils/gameEngineUtils.js';
+import { getDeploymentCost } from '../../utils/shipCardUtils.js';
 
 import { calculateLaneScore } from '../scoring/index.js';
+import { buildDecisionTrace, deploymentRejectionReason } from './decisionTrace.js';
 
 /**
  * Deployment decision context needed:
@@ -33,7 +35,8 @@ import { calculateLaneScore } from '../scoring/index.js';
  * - { type: 'pass' } if no good deployments
  * - { type: 'deploy', payload: { droneToDeploy, targetLane, logContext } }
  */
-export const handleOpponentTurn = ({ player1, player2, turn, placedSections, opponentPlacedSections, getShipStatus, gameStateManager, addLogEntry }) => {
+export const handleOpponentTurn = ({ player1, player2, turn, placedSections, opponentPlacedSections, getShipStatus, gameStateManager, addLogEntry, weights = getWeights() }) => {
+    const { THREAT_DRONES, LANE_THRESHOLDS, DECISION_THRESHOLDS, DEPLOYMENT_BONUSES, PENALTIES } = weights;
     // Create GameDataService instance for centralized data computation
     const gameDataService = GameDataService.getInstance(gameStateManager);
     const rng = SeededRandom.fromGameState(gameStateManager.getState());
@@ -58,13 +61,13 @@ export const handleOpponentTurn = ({ player1, player2, turn, placedSections, opp
     const allSections = { player1: placedSections, player2: opponentPlacedSections };
 
 const currentLaneScores = {
-  lane1: calculateLaneScore('lane1', player2, player1, allSections, getShipStatus, gameDataService),
-  lane2: calculateLaneScore('lane2', player2, player1, allSections, getShipStatus, gameDataService),
-  lane3: calculateLaneScore('lane3', player2, player1, allSections, getShipStatus, gameDataService),
+  lane1: calculateLaneScore('lane1', player2, player1, allSections, getShipStatus, gameDataService, weights),
+  lane2: calculateLaneScore('lane2', player2, player1, allSections, getShipStatus, gameDataService, weights),
+  lane3: calculateLaneScore('lane3', player2, player1, allSections, getShipStatus, gameDataService, weights),
 };
 
     for (const drone of allPotentialDrones) {
-      const droneCost = drone.class;
+      const droneCost = getDeploymentCost(player2, drone);
       let isAffordable = true;
       let reason = '';
 
@@ -182,7 +185,7 @@ const currentLaneScores = {
         const tempDrone = { ...baseDrone, id: 'temp' };
         tempAiState.dronesOnBoard[laneId].push(tempDrone);
 
-        const projectedScore = calculateLaneScore(laneId, tempAiState, player1, allSections, getShipStatus, gameDataService);
+        const projectedScore = calculateLaneScore(laneId, tempAiState, player1, allSections, getShipStatus, gameDataService, weights);
         const impactScore = projectedScore - currentLaneScores[laneId];
 
         let strategicBonus = 0;
@@ -197,24 +200,24 @@ const currentLaneScores = {
           placedSections: allSections
         });
 
-        if (currentLaneScore < -15) {
-          if (effectiveDroneStats.speed >= 4) strategicBonus += 15;
-          if (droneKeywords.has('ALWAYS_INTERCEPTS') || droneKeywords.has('GUARDIAN')) strategicBonus += 20;
-        } else if (currentLaneScore > 15) {
-          if (effectiveDroneStats.attack >= 4) strategicBonus += 15;
-          if (baseDrone.abilities.some(a => a.effect?.type === 'BONUS_DAMAGE_VS_SHIP')) strategicBonus += 20;
+        if (currentLaneScore < LANE_THRESHOLDS.LOSING_BADLY) {
+          if (effectiveDroneStats.speed >= 4) strategicBonus += DEPLOYMENT_BONUSES.FAST_DRONE_DEFENSIVE;
+          if (droneKeywords.has('ALWAYS_INTERCEPTS') || droneKeywords.has('GUARDIAN')) strategicBonus += DEPLOYMENT_BONUSES.GUARDIAN_DEFENSIVE;
+        } else if (currentLaneScore > LANE_THRESHOLDS.WINNING_STRONGLY) {
+          if (effectiveDroneStats.attack >= 4) strategicBonus += DEPLOYMENT_BONUSES.HIGH_ATTACK_OFFENSIVE;
+          if (baseDrone.abilities.some(a => a.effect?.type === 'BONUS_DAMAGE_VS_SHIP')) strategicBonus += DEPLOYMENT_BONUSES.ANTI_SHIP_OFFENSIVE;
         } else {
-          if (drone.class <= 1) strategicBonus += 10;
+          if (drone.class <= 1) strategicBonus += DEPLOYMENT_BONUSES.CHEAP_DRONE_BALANCED;
         }
 
         let stabilizationBonus = 0;
         if (currentLaneScore < 0 && projectedScore >= 0) {
-          stabilizationBonus = rng.randomIntInclusive(10, 30);
+          stabilizationBonus = rng.randomIntInclusive(DEPLOYMENT_BONUSES.STABILIZATION_MIN, DEPLOYMENT_BONUSES.STABILIZATION_MAX);
         }
 
         let dominanceBonus = 0;
-        if (projectedScore > 20 && currentLaneScore <= 20) {
-          dominanceBonus = rng.randomIntInclusive(10, 30);
+        if (projectedScore > LANE_THRESHOLDS.DOMINANCE && currentLaneScore <= LANE_THRESHOLDS.DOMINANCE) {
+          dominanceBonus = rng.randomIntInclusive(DEPLOYMENT_BONUSES.DOMINANCE_MIN, DEPLOYMENT_BONUSES.DOMINANCE_MAX);
         }
 
         // ON_DEPLOY ability bonuses (Scanner marking)
@@ -228,7 +231,7 @@ const currentLaneScores = {
             const enemiesInLane = player1.dronesOnBoard[laneId] || [];
             const unmarkedEnemies = enemiesInLane.filter(d => !d.isMarked);
             if (unmarkedEnemies.length > 0) {
-              onDeployBonus += 15; // DEPLOYMENT_BONUSES.MARK_ENEMY_VALUE
+              onDeployBonus += DEPLOYMENT_BONUSES.MARK_ENEMY_VALUE;
             }
           }
         }
@@ -264,13 +267,24 @@ const currentLaneScores = {
         if (humanSectionName) {
             const humanSectionStatus = getShipStatus(player1.shipSections[humanSectionName]);
             if ((humanSectionStatus === 'damaged' || humanSectionStatus === 'critical') && currentLaneScore > 5) {
-                overkillPenalty = -150;
+                overkillPenalty = PENALTIES.OVERKILL;
                 logicArray.push(`Overkill Penalty: ${overkillPenalty}`);
             }
         }
 
         const finalScore = impactScore + strategicBonus + stabilizationBonus + dominanceBonus + onDeployBonus + threatDroneBonus + inhibitorMinePenalty + overkillPenalty;
 
+        // Deployment scores are a sum of named terms: lane impact, then each bonus or penalty
+        const scoreTerms = [
+          ['Strategic bonus', strategicBonus],
+          ['Stabilization', stabilizationBonus],
+          ['Dominance', dominanceBonus],
+          ['On-deploy ability', onDeployBonus],
+          ['Threat drone', threatDroneBonus],
+          ['Inhibitor Mine', inhibitorMinePenalty],
+          ['Overkill', overkillPenalty],
+        ];
+
         possibleDeployments.push({
           drone,
           laneId,
@@ -278,6 +292,13 @@ const currentLaneScores = {
           instigator: drone.name,
           targetName: laneId,
           logic: logicArray,
+          trace: {
+            baseScore: impactScore,
+            baseLogicLength: 3,
+            adjustments: scoreTerms
+              .filter(([, delta]) => delta !== 0)
+              .map(([pass, delta]) => ({ pass, delta, logic: [] })),
+          },
         });
       }
     }
@@ -287,9 +308,19 @@ const currentLaneScores = {
     const affordableCount = possibleDeployments.filter(d => d.score > -999).length;
     debugLog('AI_TURN_TRACE', `[AI-04] Decision | evaluated=${possibleDeployments.length}, affordable=${affordableCount}, topScore=${topScore}`);
 
-    if (topScore < 5) {
+    const traceDeployment = (chosen, summary) => buildDecisionTrace({
+      phase: 'deployment',
+      candidates: possibleDeployments,
+      chosen,
+      summary,
+      thresholds: { topScore, minimumScore: DECISION_THRESHOLDS.MIN_DEPLOY_SCORE },
+      rejectionFor: (deployment) => deploymentRejectionReason(deployment, topScore, weights),
+    });
+
+    if (topScore < DECISION_THRESHOLDS.MIN_DEPLOY_SCORE) {
       debugLog('AI_TURN_TRACE', `[AI-05] Decision | type=pass, reason=noHighImpactPlays (topScore=${topScore})`);
-      addLogEntry({ player: player2.name, actionType: 'PASS', source: 'N/A', target: 'N/A', outcome: `Passed during deployment phase (no high-impact plays).` }, 'aiDeploymentPass', possibleDeployments);
+      const aiDecisionTrace = traceDeployment(null, `Passed: top score ${topScore.toFixed(0)} is below the minimum deployment score (${DECISION_THRESHOLDS.MIN_DEPLOY_SCORE})`);
+      addLogEntry({ player: player2.name, actionType: 'PASS', source: 'N/A', target: 'N/A', outcome: `Passed during deployment phase (no high-impact plays).`, aiDecisionTrace }, 'aiDeploymentPass', possibleDeployments);
       // Capture decision for CSV export
       gameStateManager.addAIDecisionToHistory('deployment', turn, possibleDeployments, { player1, player2 });
       return { type: 'pass' };
@@ -307,7 +338,11 @@ const currentLaneScores = {
       actionType: 'DEPLOY',
       source: chosenAction.drone.name,
       target: chosenAction.laneId,
-      outcome: `Deployed ${chosenAction.drone.name} to ${chosenAction.laneId} (Score: ${chosenAction.score.toFixed(0)})`
+      outcome: `Deployed ${chosenAction.drone.name} to ${chosenAction.laneId} (Score: ${chosenAction.score.toFixed(0)})`,
+      aiDecisionTrace: traceDeployment(
+        chosenAction,
+        `Deployed ${chosenAction.drone.name} to ${chosenAction.laneId}: top score ${topScore.toFixed(0)}${bestActions.length > 1 ? `, drawn from ${bestActions.length} tied options` : ''}`
+      )
     }, 'aiDeployment', possibleDeployments);
 
     // Capture decision for CSV export
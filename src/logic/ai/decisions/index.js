@@ -5,4 +5,5 @@
 
 export * from './deploymentDecision.js';
 export * from './actionDecision.js';
+export * from './searchActionDecision.js';
 export * from './interceptionDecision.js';
@@ -9,7 +9,7 @@ import { debugLog } from '../../../utils/debugLogger.js';
 
 import { hasDogfightKeyword } from '../helpers/index.js';
 
-import { INTERCEPTION } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 
 import {
   calculateDroneImpact,
@@ -107,9 +107,11 @@ const analyzeRemainingThreats = (attackDetails, potentialInterceptors, gameDataS
  * @param {Object} attackDetails - Full attack context (attacker, target, targetType, lane)
  * @param {Object} gameDataService - GameDataService instance for stat calculations
  * @param {Object} gameStateManager - GameStateManager for accessing game state
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {Object} - { interceptor: drone | null, decisionContext: Array }
  */
-export const makeInterceptionDecision = (potentialInterceptors, target, attackDetails, gameDataService, gameStateManager) => {
+export const makeInterceptionDecision = (potentialInterceptors, target, attackDetails, gameDataService, gameStateManager, weights = getWeights()) => {
+  const { INTERCEPTION } = weights;
   // Build decision context for Action Log
   const decisionContext = [];
 
@@ -172,8 +174,8 @@ export const makeInterceptionDecision = (potentialInterceptors, target, attackDe
   // This ensures we use lowest-value drones for interception first
   // Note: All drones can now intercept multiple times (no exhaustion on intercept)
   const sortedInterceptors = [...potentialInterceptors].sort((a, b) => {
-    const impactA = calculateDroneImpact(a, attackDetails.lane, gameDataService);
-    const impactB = calculateDroneImpact(b, attackDetails.lane, gameDataService);
+    const impactA = calculateDroneImpact(a, attackDetails.lane, gameDataService, weights);
+    const impactB = calculateDroneImpact(b, attackDetails.lane, gameDataService, weights);
     return impactA - impactB; // Ascending - use least valuable first
   });
 
@@ -228,8 +230,8 @@ export const makeInterceptionDecision = (potentialInterceptors, target, attackDe
 
     // === IMPACT-BASED DECISIONS ===
     // Calculate impacts for attacker and interceptor to make nuanced trade decisions
-    const attackerImpact = calculateDroneImpact(target, attackDetails.lane, gameDataService);
-    const interceptorImpact = calculateDroneImpact(interceptor, attackDetails.lane, gameDataService);
+    const attackerImpact = calculateDroneImpact(target, attackDetails.lane, gameDataService, weights);
+    const interceptorImpact = calculateDroneImpact(interceptor, attackDetails.lane, gameDataService, weights);
 
     // Calculate what we're protecting
     let protectionValue = 0;
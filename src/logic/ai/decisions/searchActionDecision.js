@@ -0,0 +1,123 @@
+// ========================================
+// SEARCH ACTION DECISION
+// ========================================
+// Expert-difficulty action selection: the greedy action pool supplies the
+// root candidates, Monte Carlo tree search picks between them by playing
+// lines out through the real action strategies. The opponent's hidden hand
+// and deck are dealt from the belief model before searching.
+
+import { debugLog } from '../../../utils/debugLogger.js';
+import SeededRandom from '../../../utils/seededRandom.js';
+import { SEARCH } from '../aiConstants.js';
+import { sampleOpponentCards } from '../perception/opponentBelief.js';
+import { scoreOpponentActions, recordActionDecision } from './actionDecision.js';
+import { buildDecisionTrace } from './decisionTrace.js';
+
+/**
+ * Whether a personality uses lookahead search for action-phase decisions.
+ * @param {Object} personality - aiData entry
+ * @returns {boolean}
+ */
+export const usesSearch = (personality) => personality?.difficulty === SEARCH.DIFFICULTY;
+
+/**
+ * Fill the redacted opponent's hand and deck with one sample from the belief,
+ * so simulated opponent turns can play cards.
+ * @param {Object} gameState - Redacted state (player1 hidden)
+ * @param {Object} [belief] - context.opponentBelief
+ * @returns {Object} State to search from
+ */
+const determinizeOpponent = (gameState, belief) => {
+  if (!belief) return gameState;
+  const { hand, deck } = sampleOpponentCards(belief, SeededRandom.fromGameState(gameState));
+  return { ...gameState, player1: { ...gameState.player1, hand, deck } };
+};
+
+/**
+ * Trace for a search decision: roots lost on visits, the rest never made the roots.
+ */
+const traceSearchDecision = ({ possibleActions, roots, searchableTypes, chosenAction, iterations, summary }) => buildDecisionTrace({
+  phase: 'action',
+  candidates: possibleActions,
+  chosen: chosenAction,
+  summary,
+  thresholds: { searchRoots: SEARCH.ROOT_CANDIDATES, iterations },
+  rejectionFor: (action) => {
+    if (roots.includes(action)) {
+      return `Search: ${action.searchVisits ?? 0}/${iterations} visits, ${((action.searchValue ?? 0) * 100).toFixed(0)}% expected`;
+    }
+    if (!searchableTypes.includes(action.type)) return `${action.type} actions are not searched`;
+    return `Not among the top ${SEARCH.ROOT_CANDIDATES} searchable actions`;
+  },
+});
+
+/**
+ * Action decision flow (Expert):
+ * 1. Score the action pool (scoreOpponentActions)
+ * 2. Take the top ROOT_CANDIDATES resolvable actions plus pass as search roots
+ * 3. Search within the personality's budget and play the most-visited root
+ *
+ * Takes the same context as handleOpponentAction (redacted, with
+ * opponentBelief) plus the personality's `search` overrides
+ * ({ iterations, timeBudgetMs }).
+ *
+ * Returns (async):
+ * - { type: 'pass' } if search prefers passing
+ * - { type: 'action', payload: chosenAction, logContext: possibleActions }
+ */
+export const handleOpponentActionWithSearch = async (context, searchOptions = {}) => {
+  const { player1, player2, gameStateManager, addLogEntry, opponentBelief } = context;
+
+  // Loaded lazily: the search pulls in the action strategies, which import back into gameLogic
+  const { default: MonteCarloTreeSearch } = await import('../search/MonteCarloTreeSearch.js');
+  const { SEARCHABLE_ACTION_TYPES, PASS_ACTION } = await import('../search/searchActions.js');
+
+  const possibleActions = scoreOpponentActions(context);
+
+  const candidates = possibleActions
+    .filter(action => SEARCHABLE_ACTION_TYPES.includes(action.type))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SEARCH.ROOT_CANDIDATES);
+
+  const search = new MonteCarloTreeSearch(searchOptions);
+  const { action: chosenAction, iterations, stats } = await search.search(
+    determinizeOpponent(gameStateManager.getState(), opponentBelief),
+    [...candidates, PASS_ACTION],
+    'player2'
+  );
+
+  for (const { action, visits, value } of stats) {
+    if (action === PASS_ACTION) continue;
+    action.searchVisits = visits;
+    action.searchValue = value;
+    action.logic.push(`🔎 Search: ${visits}/${iterations} visits, ${(value * 100).toFixed(0)}% expected`);
+  }
+
+  const traceOptions = { possibleActions, roots: candidates, searchableTypes: SEARCHABLE_ACTION_TYPES, iterations };
+  const passStats = stats.find(({ action }) => action === PASS_ACTION);
+
+  if (chosenAction === PASS_ACTION) {
+    debugLog('AI_TURN_TRACE', `[AI-07] Decision | type=pass, reason=searchPrefersPass (iterations=${iterations})`);
+    const aiDecisionTrace = traceSearchDecision({
+      ...traceOptions,
+      chosenAction: null,
+      summary: `Passed: search gave passing the most visits (${passStats?.visits ?? 0}/${iterations})`,
+    });
+    addLogEntry({ player: player2.name, actionType: 'PASS', source: 'N/A', target: 'N/A', outcome: 'Passed during action phase (search).', aiDecisionTrace }, 'aiActionPass', possibleActions);
+    const turn = gameStateManager.getState().turn;
+    gameStateManager.addAIDecisionToHistory('action', turn, possibleActions, { player1, player2 });
+    return { type: 'pass' };
+  }
+
+  chosenAction.isChosen = true;
+  debugLog('AI_TURN_TRACE', `[AI-07] Decision | type=${chosenAction.type}, instigator=${chosenAction.instigator}, target=${chosenAction.targetName}, visits=${chosenAction.searchVisits}/${iterations}`);
+
+  const aiDecisionTrace = traceSearchDecision({
+    ...traceOptions,
+    chosenAction,
+    summary: `Search chose ${chosenAction.instigator} → ${chosenAction.targetName} with ${chosenAction.searchVisits}/${iterations} visits (passing: ${passStats?.visits ?? 0})`,
+  });
+  recordActionDecision(chosenAction, possibleActions, context, aiDecisionTrace);
+
+  return { type: 'action', payload: chosenAction, logContext: possibleActions };
+};
@@ -5,7 +5,7 @@
 // Used by AI to make decisions based on total hull damage model
 
 import WinConditionChecker from '../../game/WinConditionChecker.js';
-import { DEFENSE_URGENCY, WIN_RACE, THRESHOLD_BONUS } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 import { getShipStatus } from '../../statsCalculator.js';
 
 /**
@@ -41,9 +41,11 @@ export function calculateWinRaceAdvantage(aiState, opponentState) {
  * Calculate defense urgency multiplier based on AI's damage taken
  * Higher values = more defensive priority
  * @param {number} damagePercent - AI's damage percentage (0.0 to 1.0)
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {number} Defense urgency multiplier
  */
-export function calculateDefenseUrgency(damagePercent) {
+export function calculateDefenseUrgency(damagePercent, weights = getWeights()) {
+  const { DEFENSE_URGENCY } = weights;
   if (damagePercent < DEFENSE_URGENCY.LOW_DAMAGE_THRESHOLD) {
     return DEFENSE_URGENCY.BASELINE_MULTIPLIER;
   }
@@ -61,11 +63,13 @@ export function calculateDefenseUrgency(damagePercent) {
  * Scales with urgency (how close AI is to losing)
  * @param {number} potentialDamage - Amount of hull damage threatened
  * @param {Object} aiState - AI player state
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {number} Defense penalty (negative number)
  */
-export function calculateDefensePenalty(potentialDamage, aiState) {
+export function calculateDefensePenalty(potentialDamage, aiState, weights = getWeights()) {
+  const { DEFENSE_URGENCY } = weights;
   const damagePercent = calculateDamagePercentage(aiState);
-  const urgency = calculateDefenseUrgency(damagePercent);
+  const urgency = calculateDefenseUrgency(damagePercent, weights);
 
   return potentialDamage * DEFENSE_URGENCY.BASE_DAMAGE_PENALTY * urgency;
 }
@@ -74,9 +78,11 @@ export function calculateDefensePenalty(potentialDamage, aiState) {
  * Apply win race adjustments to offense/defense multipliers
  * @param {Object} aiState - AI player state
  * @param {Object} opponentState - Human player state
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {Object} { defenseMultiplier, offenseMultiplier }
  */
-export function calculateWinRaceAdjustments(aiState, opponentState) {
+export function calculateWinRaceAdjustments(aiState, opponentState, weights = getWeights()) {
+  const { WIN_RACE } = weights;
   const advantage = calculateWinRaceAdvantage(aiState, opponentState);
 
   if (advantage > WIN_RACE.ADVANTAGE_THRESHOLD) {
@@ -107,9 +113,11 @@ export function calculateWinRaceAdjustments(aiState, opponentState) {
  * (Small bonus for stat penalties from damaged/critical)
  * @param {Object} section - Ship section being attacked
  * @param {number} damage - Damage to be dealt
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {number} Threshold crossing bonus
  */
-export function calculateThresholdCrossingBonus(section, damage) {
+export function calculateThresholdCrossingBonus(section, damage, weights = getWeights()) {
+  const { THRESHOLD_BONUS } = weights;
   if (!section || !section.thresholds) return 0;
 
   const currentStatus = getShipStatus(section);
@@ -145,9 +153,11 @@ export function calculateThresholdCrossingBonus(section, damage) {
  * Get a human-readable description of AI's damage state
  * Useful for logging/debugging
  * @param {Object} aiState - AI player state
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {string} Description like "LOW (15%)", "CRITICAL (58%)"
  */
-export function getDamageStateDescription(aiState) {
+export function getDamageStateDescription(aiState, weights = getWeights()) {
+  const { DEFENSE_URGENCY } = weights;
   const damagePercent = calculateDamagePercentage(aiState);
   const percentDisplay = Math.round(damagePercent * 100);
 
@@ -167,9 +177,11 @@ export function getDamageStateDescription(aiState) {
  * Get win race description for logging
  * @param {Object} aiState - AI player state
  * @param {Object} opponentState - Human player state
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {string} Description like "AHEAD (+15%)", "BEHIND (-8%)"
  */
-export function getWinRaceDescription(aiState, opponentState) {
+export function getWinRaceDescription(aiState, opponentState, weights = getWeights()) {
+  const { WIN_RACE } = weights;
   const advantage = calculateWinRaceAdvantage(aiState, opponentState);
   const percentDisplay = Math.round(advantage * 100);
 
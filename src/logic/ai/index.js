@@ -5,6 +5,7 @@
 //
 // Structure:
 // - aiConstants.js: All scoring weights and thresholds
+// - weightProfiles.js: Per-personality overrides of those weights
 // - helpers/: Utility functions (jammer, drone, keyword detection)
 // - scoring/: Lane scoring, drone impact, interception analysis
 // - cardEvaluators/: Card effect evaluation functions
@@ -12,6 +13,8 @@
 // - moveEvaluator.js: Move action scoring
 // - adjustmentPasses/: Post-scoring adjustments (Jammer, Interception)
 // - decisions/: High-level decision functions
+// - search/: Lookahead search for Expert personalities (MCTS over simulated states)
+// - perception/: Redacted view of the opponent and the belief model over their hidden cards
 
 // Re-export aiBrain for backward compatibility
 // This maintains the original API while allowing modular imports
@@ -20,6 +23,9 @@ export { aiBrain } from './aiLogic.js';
 // Constants - centralized scoring weights and thresholds
 export * from './aiConstants.js';
 
+// Weight profiles - per-personality overrides of the constants
+export * from './weightProfiles.js';
+
 // Helpers - utility functions for common operations
 export * from './helpers/index.js';
 
@@ -40,3 +46,9 @@ export * from './adjustmentPasses/index.js';
 
 // Decisions - high-level decision orchestration
 export * from './decisions/index.js';
+
+// Search - lookahead search over simulated game states
+export * from './search/index.js';
+
+// Perception - what the AI may know about the opponent
+export * from './perception/index.js';
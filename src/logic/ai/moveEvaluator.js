@@ -4,7 +4,7 @@
 // Evaluates drone movement actions (not card-based moves)
 
 import fullDroneCollection from '../../data/droneData.js';
-import { MOVE_EVALUATION, DEFENSE_URGENCY } from './aiConstants.js';
+import { getWeights } from './weightProfiles.js';
 import { calculateLaneScore } from './scoring/laneScoring.js';
 import { calculateDamagePercentage, calculateDefenseUrgency } from './helpers/hullIntegrityHelpers.js';
 import { hasMovementInhibitorInLane } from '../../utils/gameUtils.js';
@@ -18,6 +18,7 @@ import { hasMovementInhibitorInLane } from '../../utils/gameUtils.js';
  * @returns {Object} - { score: number, logic: string[] }
  */
 export const evaluateMove = (drone, fromLane, toLane, context) => {
+  const { MOVE_EVALUATION, DEFENSE_URGENCY } = getWeights(context);
   const {
     player1,
     player2,
@@ -47,8 +48,8 @@ export const evaluateMove = (drone, fromLane, toLane, context) => {
   }
 
   // Calculate current lane scores
-  const currentFromScore = calculateLaneScore(fromLane, player2, player1, allSections, getShipStatus, gameDataService);
-  const currentToScore = calculateLaneScore(toLane, player2, player1, allSections, getShipStatus, gameDataService);
+  const currentFromScore = calculateLaneScore(fromLane, player2, player1, allSections, getShipStatus, gameDataService, context.weights);
+  const currentToScore = calculateLaneScore(toLane, player2, player1, allSections, getShipStatus, gameDataService, context.weights);
 
   // Simulate the move
   const tempAiState = JSON.parse(JSON.stringify(player2));
@@ -58,8 +59,8 @@ export const evaluateMove = (drone, fromLane, toLane, context) => {
     tempAiState.dronesOnBoard[toLane].push(droneToMove);
   }
 
-  const projectedFromScore = calculateLaneScore(fromLane, tempAiState, player1, allSections, getShipStatus, gameDataService);
-  const projectedToScore = calculateLaneScore(toLane, tempAiState, player1, allSections, getShipStatus, gameDataService);
+  const projectedFromScore = calculateLaneScore(fromLane, tempAiState, player1, allSections, getShipStatus, gameDataService, context.weights);
+  const projectedToScore = calculateLaneScore(toLane, tempAiState, player1, allSections, getShipStatus, gameDataService, context.weights);
 
   const toLaneImpact = projectedToScore - currentToScore;
   const fromLaneImpact = projectedFromScore - currentFromScore;
@@ -77,7 +78,7 @@ export const evaluateMove = (drone, fromLane, toLane, context) => {
   if (currentToScore < 0) {
     // AI is losing this lane - consider defensive move value
     const aiDamagePercent = calculateDamagePercentage(player2);
-    const defenseUrgency = calculateDefenseUrgency(aiDamagePercent);
+    const defenseUrgency = calculateDefenseUrgency(aiDamagePercent, context.weights);
 
     // Defensive bonus scales with urgency (higher when closer to losing)
     const defensiveBonus = Math.round(MOVE_EVALUATION.DEFENSIVE_MOVE_BONUS * (defenseUrgency / DEFENSE_URGENCY.BASELINE_MULTIPLIER));
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import SeededRandom from '../../../../utils/seededRandom.js';
+import {
+  readDeckComposition,
+  readPlayHistory,
+  buildOpponentBelief,
+  probabilityInHand,
+  sampleOpponentCards,
+} from '../opponentBelief.js';
+
+const card = (name, n) => ({ id: name.toUpperCase(), name, cost: 1, instanceId: `${name}-${n}` });
+
+// 4 Laser Blast, 2 Shield Recharge, 2 System Sabotage across the three piles
+const opponent = {
+  name: 'Commander',
+  hand: [card('Laser Blast', 1), card('Shield Recharge', 1)],
+  deck: [card('Laser Blast', 2), card('Laser Blast', 3), card('System Sabotage', 1), card('System Sabotage', 2)],
+  discardPile: [card('Laser Blast', 4), card('Shield Recharge', 2)],
+};
+
+const gameLog = [
+  { player: 'Commander', actionType: 'PLAY_CARD', source: 'Laser Blast' },
+  { player: 'AI', actionType: 'PLAY_CARD', source: 'System Sabotage' },
+  { player: 'Commander', actionType: 'ATTACK', source: 'Dart' },
+  { player: 'Commander', actionType: 'PLAY_CARD', source: 'Shield Recharge' },
+];
+
+describe('opponentBelief', () => {
+  describe('readDeckComposition', () => {
+    it('counts cards by name regardless of pile and drops instance ids', () => {
+      const composition = readDeckComposition(opponent);
+
+      expect(Object.fromEntries(Object.entries(composition).map(([name, { count }]) => [name, count])))
+        .toEqual({ 'Laser Blast': 4, 'Shield Recharge': 2, 'System Sabotage': 2 });
+      expect(composition['Laser Blast'].card).not.toHaveProperty('instanceId');
+    });
+  });
+
+  describe('readPlayHistory', () => {
+    it('keeps only the named player\'s card plays', () => {
+      expect(readPlayHistory(gameLog, 'Commander')).toEqual(['Laser Blast', 'Shield Recharge']);
+      expect(readPlayHistory(undefined, 'Commander')).toEqual([]);
+    });
+  });
+
+  describe('buildOpponentBelief', () => {
+    const belief = buildOpponentBelief({
+      composition: readDeckComposition(opponent),
+      playHistory: ['Laser Blast', 'Shield Recharge'],
+      handCount: 2,
+      deckCount: 4,
+      discardCount: 2,
+    });
+
+    it('removes discarded plays from the unseen pool', () => {
+      expect(belief.unseenCount).toBe(6);
+      expect(belief.cards.map(c => [c.name, c.unseen])).toEqual([
+        ['Laser Blast', 3],
+        ['System Sabotage', 2],
+        ['Shield Recharge', 1],
+      ]);
+    });
+
+    it('spreads the hand evenly over unseen copies', () => {
+      const expected = belief.cards.reduce((sum, c) => sum + c.expectedInHand, 0);
+      expect(expected).toBeCloseTo(2);
+      expect(belief.cards[0].expectedInHand).toBeCloseTo(1);
+    });
+
+    it('only counts plays still in the discard pile after a reshuffle', () => {
+      const reshuffled = buildOpponentBelief({
+        composition: readDeckComposition(opponent),
+        playHistory: ['Laser Blast', 'Laser Blast', 'Shield Recharge'],
+        handCount: 2,
+        deckCount: 5,
+        discardCount: 1,
+      });
+
+      expect(reshuffled.cards.find(c => c.name === 'Laser Blast').unseen).toBe(4);
+      expect(reshuffled.cards.find(c => c.name === 'Shield Recharge').unseen).toBe(1);
+    });
+  });
+
+  describe('probabilityInHand', () => {
+    const belief = buildOpponentBelief({
+      composition: readDeckComposition(opponent),
+      playHistory: ['Laser Blast', 'Shield Recharge'],
+      handCount: 2,
+      deckCount: 4,
+      discardCount: 2,
+    });
+
+    it('is hypergeometric over the unseen pool', () => {
+      // 1 - C(5,2)/C(6,2) = 1 - 10/15
+      expect(probabilityInHand(belief, 'Shield Recharge')).toBeCloseTo(1 / 3);
+      // 1 - C(3,2)/C(6,2) = 1 - 3/15
+      expect(probabilityInHand(belief, 'Laser Blast')).toBeCloseTo(0.8);
+    });
+
+    it('is zero for cards with no unseen copies', () => {
+      expect(probabilityInHand(belief, 'Nuke')).toBe(0);
+    });
+  });
+
+  describe('sampleOpponentCards', () => {
+    const belief = buildOpponentBelief({
+      composition: readDeckComposition(opponent),
+      playHistory: ['Laser Blast', 'Shield Recharge'],
+      handCount: 2,
+      deckCount: 4,
+      discardCount: 2,
+    });
+
+    it('deals hand and deck sizes from the unseen pool', () => {
+      const { hand, deck } = sampleOpponentCards(belief, new SeededRandom(9));
+
+      expect(hand).toHaveLength(2);
+      expect(deck).toHaveLength(4);
+      const dealt = [...hand, ...deck].map(c => c.name).sort();
+      expect(dealt).toEqual(['Laser Blast', 'Laser Blast', 'Laser Blast', 'Shield Recharge', 'System Sabotage', 'System Sabotage']);
+      expect(new Set([...hand, ...deck].map(c => c.instanceId)).size).toBe(6);
+    });
+
+    it('is deterministic for a seed', () => {
+      const names = () => sampleOpponentCards(belief, new SeededRandom(4)).hand.map(c => c.name);
+      expect(names()).toEqual(names());
+    });
+  });
+});
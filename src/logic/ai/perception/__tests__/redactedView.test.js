@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  redactStateForAI,
+  createRedactedStateManager,
+  createRedactedDecisionContext,
+} from '../redactedView.js';
+
+const card = (name, n) => ({ id: name.toUpperCase(), name, cost: 2, instanceId: `${name}-${n}` });
+
+const makeState = () => ({
+  turn: 3,
+  gameLog: [{ player: 'Commander', actionType: 'PLAY_CARD', source: 'Laser Blast' }],
+  player1: {
+    name: 'Commander',
+    energy: 4,
+    hand: [card('Laser Blast', 1), card('Nuke', 1)],
+    deck: [card('Laser Blast', 2)],
+    discardPile: [card('Laser Blast', 3)],
+    dronesOnBoard: { lane1: [{ id: 'd1' }], lane2: [], lane3: [] },
+  },
+  player2: {
+    name: 'AI',
+    hand: [card('Shield Recharge', 1)],
+    deck: [],
+    discardPile: [],
+    dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
+  },
+});
+
+const makeStateManager = (state) => ({
+  state,
+  getState() { return this.state; },
+  addAIDecisionToHistory: vi.fn(),
+});
+
+describe('redactedView', () => {
+  it('hides the opponent\'s cards but keeps the AI\'s own', () => {
+    const redacted = redactStateForAI(makeState());
+
+    expect(redacted.player1.hand).toEqual([]);
+    expect(redacted.player1.deck).toEqual([]);
+    expect(redacted.player1.discardPile).toEqual([]);
+    expect(redacted.player1).toMatchObject({ handCount: 2, deckCount: 1, discardCount: 1, energy: 4 });
+    expect(redacted.player2.hand).toHaveLength(1);
+  });
+
+  it('passes states without an opponent through', () => {
+    const partial = { turn: 1 };
+    expect(redactStateForAI(partial)).toBe(partial);
+  });
+
+  describe('createRedactedStateManager', () => {
+    it('redacts getState and forwards everything else to the manager', () => {
+      const manager = makeStateManager(makeState());
+      const view = createRedactedStateManager(manager);
+
+      expect(view.getState().player1.hand).toEqual([]);
+      expect(view.getState().turn).toBe(3);
+      view.addAIDecisionToHistory('action', 3);
+      expect(manager.addAIDecisionToHistory).toHaveBeenCalledWith('action', 3);
+      expect(manager.getState().player1.hand).toHaveLength(2);
+    });
+  });
+
+  describe('createRedactedDecisionContext', () => {
+    it('redacts player1 and the state manager, keeping board references', () => {
+      const state = makeState();
+      const addLogEntry = vi.fn();
+      const context = createRedactedDecisionContext({
+        player1: state.player1,
+        player2: state.player2,
+        gameStateManager: makeStateManager(state),
+        addLogEntry,
+      });
+
+      expect(context.player1.hand).toEqual([]);
+      expect(context.player1.handCount).toBe(2);
+      expect(context.player1.dronesOnBoard).toBe(state.player1.dronesOnBoard);
+      expect(context.player2).toBe(state.player2);
+      expect(context.gameStateManager.getState().player1.hand).toEqual([]);
+      expect(context.addLogEntry).toBe(addLogEntry);
+    });
+
+    it('attaches a belief built from the decklist and public plays', () => {
+      const state = makeState();
+      const { opponentBelief } = createRedactedDecisionContext({
+        player1: state.player1,
+        player2: state.player2,
+        gameStateManager: makeStateManager(state),
+      });
+
+      expect(opponentBelief.handCount).toBe(2);
+      expect(opponentBelief.unseenCount).toBe(3);
+      expect(opponentBelief.cards.map(c => [c.name, c.unseen])).toEqual([['Laser Blast', 2], ['Nuke', 1]]);
+    });
+  });
+});
@@ -0,0 +1,7 @@
+// ========================================
+// AI PERCEPTION - INDEX
+// ========================================
+// Re-exports the redacted AI view and the opponent belief model
+
+export * from './redactedView.js';
+export * from './opponentBelief.js';
@@ -0,0 +1,104 @@
+// ========================================
+// OPPONENT BELIEF MODEL
+// ========================================
+// What the AI may reasonably believe about the opponent's hidden cards.
+// Inputs are open information only: the opponent's deck composition (the
+// decklist, without where each card currently is), their public card plays
+// and the hand/deck/discard counts a redacted state carries. Every copy not
+// known to be in the discard pile is assumed equally likely to be in hand.
+
+/**
+ * Count a player's cards by name across hand, deck and discard.
+ * Location is discarded, so the result is the decklist and nothing more.
+ * @param {Object} playerState - Full (unredacted) player state
+ * @returns {Object} { [cardName]: { card, count } } - card is the definition, without instanceId
+ */
+export function readDeckComposition(playerState) {
+  const composition = {};
+  const cards = [...(playerState?.hand || []), ...(playerState?.deck || []), ...(playerState?.discardPile || [])];
+  for (const card of cards) {
+    if (!composition[card.name]) {
+      const { instanceId: _instanceId, ...definition } = card;
+      composition[card.name] = { card: definition, count: 0 };
+    }
+    composition[card.name].count++;
+  }
+  return composition;
+}
+
+/**
+ * Names of the cards a player has been seen to play, oldest first.
+ * @param {Array} gameLog - gameState.gameLog
+ * @param {string} playerName - Player's display name (log entries are keyed by name)
+ * @returns {Array<string>}
+ */
+export function readPlayHistory(gameLog, playerName) {
+  return (gameLog || [])
+    .filter(entry => entry.actionType === 'PLAY_CARD' && entry.player === playerName)
+    .map(entry => entry.source);
+}
+
+/**
+ * Build the belief over the opponent's hand and deck.
+ * The discard pile is reshuffled into the deck when the deck runs out, so only
+ * the most recent `discardCount` plays are taken to still be in the discard.
+ * @param {Object} options
+ * @param {Object} options.composition - From readDeckComposition
+ * @param {Array<string>} options.playHistory - From readPlayHistory
+ * @param {number} options.handCount - Opponent hand size
+ * @param {number} options.deckCount - Opponent deck size
+ * @param {number} options.discardCount - Opponent discard pile size
+ * @returns {Object} { handCount, deckCount, unseenCount, cards: [{ name, card, unseen, expectedInHand }] }
+ */
+export function buildOpponentBelief({ composition, playHistory = [], handCount = 0, deckCount = 0, discardCount = 0 }) {
+  const discarded = {};
+  const recentPlays = discardCount > 0 ? playHistory.slice(-discardCount) : [];
+  for (const name of recentPlays) {
+    discarded[name] = (discarded[name] || 0) + 1;
+  }
+
+  const cards = Object.entries(composition || {})
+    .map(([name, { card, count }]) => ({ name, card, unseen: Math.max(0, count - (discarded[name] || 0)) }))
+    .filter(entry => entry.unseen > 0);
+  const unseenCount = cards.reduce((sum, entry) => sum + entry.unseen, 0);
+  const handShare = unseenCount > 0 ? Math.min(1, handCount / unseenCount) : 0;
+
+  for (const entry of cards) {
+    entry.expectedInHand = entry.unseen * handShare;
+  }
+  cards.sort((a, b) => b.expectedInHand - a.expectedInHand || a.name.localeCompare(b.name));
+
+  return { handCount, deckCount, unseenCount, cards };
+}
+
+/**
+ * Probability the opponent holds at least one copy of a card.
+ * @param {Object} belief - From buildOpponentBelief
+ * @param {string} cardName
+ * @returns {number} 0..1
+ */
+export function probabilityInHand(belief, cardName) {
+  const entry = belief?.cards.find(c => c.name === cardName);
+  if (!entry || belief.handCount === 0) return 0;
+
+  // Hypergeometric: chance none of `unseen` copies are among `handCount` draws
+  let none = 1;
+  for (let i = 0; i < belief.handCount; i++) {
+    none *= Math.max(0, belief.unseenCount - entry.unseen - i) / (belief.unseenCount - i);
+  }
+  return 1 - none;
+}
+
+/**
+ * Deal one plausible hand and deck from the belief (a determinization).
+ * Sampled cards get fresh instanceIds so they never collide with real ones.
+ * @param {Object} belief - From buildOpponentBelief
+ * @param {Object} rng - SeededRandom
+ * @returns {Object} { hand, deck }
+ */
+export function sampleOpponentCards(belief, rng) {
+  const pool = belief.cards.flatMap(({ card, unseen }) => Array.from({ length: unseen }, () => card));
+  const dealt = rng.shuffle(pool).map((card, index) => ({ ...card, instanceId: `belief-${index}` }));
+  const hand = dealt.slice(0, belief.handCount);
+  return { hand, deck: dealt.slice(hand.length, hand.length + belief.deckCount) };
+}
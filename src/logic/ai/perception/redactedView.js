@@ -0,0 +1,79 @@
+// ========================================
+// REDACTED AI VIEW
+// ========================================
+// The AI decides from player2's seat of a StateRedactor view: the opponent's
+// hand, deck and discard are replaced with counts, both in the decision
+// context and in anything read back through gameStateManager.getState().
+// What it loses in hidden cards it regains from the opponent belief model.
+
+import StateRedactor from '../../../server/StateRedactor.js';
+import { readDeckComposition, readPlayHistory, buildOpponentBelief } from './opponentBelief.js';
+
+/** Seat the AI decides from (mirrored states put player1's AI here too) */
+export const AI_VIEWER_ID = 'player2';
+
+/** Player fields StateRedactor hides from the AI */
+export const REDACTED_PLAYER_FIELDS = ['hand', 'deck', 'discardPile'];
+
+/**
+ * Redact a full game state for the AI seat.
+ * @param {Object} gameState
+ * @returns {Object} Redacted copy (unchanged when there is no opponent state)
+ */
+export function redactStateForAI(gameState) {
+  return gameState?.player1 ? StateRedactor.redactForPlayer(gameState, AI_VIEWER_ID) : gameState;
+}
+
+/**
+ * Wrap a GameStateManager so getState() returns the redacted view.
+ * Every other member passes through to the real manager.
+ * @param {Object} gameStateManager
+ * @returns {Object} Proxy over the manager
+ */
+export function createRedactedStateManager(gameStateManager) {
+  if (!gameStateManager) return gameStateManager;
+  return new Proxy(gameStateManager, {
+    get(target, prop) {
+      if (prop === 'getState') {
+        return () => redactStateForAI(target.getState());
+      }
+      const value = Reflect.get(target, prop);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
+
+/**
+ * Belief over the opponent's hidden cards, built from the full opponent
+ * state at the redaction boundary. Only the decklist and public counts
+ * leave this function.
+ * @param {Object} opponent - Full player1 state
+ * @param {Array} gameLog - gameState.gameLog (public card plays)
+ * @returns {Object} From buildOpponentBelief
+ */
+export function createOpponentBelief(opponent, gameLog) {
+  return buildOpponentBelief({
+    composition: readDeckComposition(opponent),
+    playHistory: readPlayHistory(gameLog, opponent?.name),
+    handCount: opponent?.hand?.length || 0,
+    deckCount: opponent?.deck?.length || 0,
+    discardCount: opponent?.discardPile?.length || 0,
+  });
+}
+
+/**
+ * Decision context as the AI may see it: player1 redacted, the state manager
+ * redacted, and an opponentBelief to infer from.
+ * @param {Object} context - Full decision context (player1, player2, gameStateManager, ...)
+ * @returns {Object} New context
+ */
+export function createRedactedDecisionContext(context) {
+  if (!context?.player1) return context;
+  const gameLog = context.gameStateManager?.getState?.()?.gameLog;
+  return {
+    ...context,
+    player1: StateRedactor.redactPlayerState(context.player1),
+    gameStateManager: createRedactedStateManager(context.gameStateManager),
+    opponentBelief: createOpponentBelief(context.player1, gameLog),
+  };
+}
@@ -4,7 +4,7 @@
 // Calculates the game impact/value of a drone
 // Used for trade decisions and interception analysis
 
-import { SCORING_WEIGHTS } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 
 /**
  * Calculate combat impact score for a drone
@@ -14,9 +14,11 @@ import { SCORING_WEIGHTS } from '../aiConstants.js';
  * @param {Object} drone - The drone to evaluate
  * @param {string} lane - Lane ID for effective stat calculation
  * @param {Object} gameDataService - GameDataService instance for stat calculations
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {number} Impact score representing drone's overall game value
  */
-export const calculateDroneImpact = (drone, lane, gameDataService) => {
+export const calculateDroneImpact = (drone, lane, gameDataService, weights = getWeights()) => {
+  const { SCORING_WEIGHTS } = weights;
   const stats = gameDataService.getEffectiveStats(drone, lane);
 
   // Use same weights as calculateLaneScore for consistency
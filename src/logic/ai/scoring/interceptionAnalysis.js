@@ -6,6 +6,7 @@
 
 import fullDroneCollection from '../../../data/droneData.js';
 import { calculateDroneImpact } from './droneImpact.js';
+import { getWeights } from '../weightProfiles.js';
 import { getShipStatus } from '../../statsCalculator.js';
 import {
   calculateDamagePercentage,
@@ -107,9 +108,10 @@ export const analyzeInterceptionInLane = (laneId, player1, player2, gameDataServ
  * @param {Object} player2 - AI player state
  * @param {Object} gameDataService - GameDataService instance for stat calculations
  * @param {Array} aiPlacedSections - AI's section placement array (3 section names)
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {Object} - { totalThreatDamage, totalImpact, threatsKeptInCheck, wouldCauseStateTransition, currentSectionStatus, damagedSectionCount }
  */
-export const calculateThreatsKeptInCheck = (attacker, laneId, player1, player2, gameDataService, aiPlacedSections) => {
+export const calculateThreatsKeptInCheck = (attacker, laneId, player1, player2, gameDataService, aiPlacedSections, weights = getWeights()) => {
   const attackerSpeed = gameDataService.getEffectiveStats(attacker, laneId).speed || 0;
   const enemyDrones = player1.dronesOnBoard[laneId] || [];
   const enemyReadyDrones = enemyDrones.filter(d => !d.isExhausted);
@@ -137,7 +139,7 @@ export const calculateThreatsKeptInCheck = (attacker, laneId, player1, player2,
       }
 
       // Calculate impact using the same formula as calculateDroneImpact
-      const impact = calculateDroneImpact(enemy, laneId, gameDataService);
+      const impact = calculateDroneImpact(enemy, laneId, gameDataService, weights);
 
       threatsKeptInCheck.push({
         name: enemy.name,
@@ -158,8 +160,8 @@ export const calculateThreatsKeptInCheck = (attacker, laneId, player1, player2,
 
   // Calculate percentage-based defense metrics
   const aiDamagePercent = calculateDamagePercentage(player2);
-  const defenseUrgency = calculateDefenseUrgency(aiDamagePercent);
-  const damageStateDescription = getDamageStateDescription(player2);
+  const defenseUrgency = calculateDefenseUrgency(aiDamagePercent, weights);
+  const damageStateDescription = getDamageStateDescription(player2, weights);
 
   if (!aiSection) {
     // No section in lane - no defensive value
@@ -4,17 +4,19 @@
 // Calculates the relative advantage/disadvantage in a lane
 // Used to inform deployment and action decisions
 
-import { SCORING_WEIGHTS } from '../aiConstants.js';
+import { getWeights } from '../weightProfiles.js';
 
 /**
  * Calculate drone power contribution to a lane
  * @param {Array} drones - Drones to calculate power for
  * @param {string} laneId - Lane ID for effective stat calculation
  * @param {Object} gameDataService - GameDataService instance
- * @param {Object} options - Optional state overrides for AI evaluation
+ * @param {Object} options - State overrides for AI evaluation
+ * @param {Object} weights - Weight tables of the decision
  * @returns {number} Total power value
  */
-const calculateDronePower = (drones, laneId, gameDataService, options = {}) => {
+const calculateDronePower = (drones, laneId, gameDataService, options, weights) => {
+  const { SCORING_WEIGHTS } = weights;
   return drones.reduce((sum, drone) => {
     const stats = gameDataService.getEffectiveStats(drone, laneId, options);
 
@@ -49,9 +51,11 @@ const getMaxSpeed = (drones, laneId, gameDataService, options = {}) => {
  * @param {Object} allSections - Object with player1 and player2 section arrays
  * @param {Function} getShipStatus - Function to get ship section status
  * @param {Object} gameDataService - GameDataService instance for stat calculations
+ * @param {Object} [weights] - Weight tables of the decision (weightProfiles.getWeights)
  * @returns {number} Lane score (positive = AI advantage, negative = human advantage)
  */
-export const calculateLaneScore = (laneId, player2State, player1State, allSections, getShipStatus, gameDataService) => {
+export const calculateLaneScore = (laneId, player2State, player1State, allSections, getShipStatus, gameDataService, weights = getWeights()) => {
+  const { SCORING_WEIGHTS } = weights;
   const aiDronesInLane = player2State.dronesOnBoard[laneId] || [];
   const humanDronesInLane = player1State.dronesOnBoard[laneId] || [];
   const laneIndex = parseInt(laneId.slice(-1)) - 1;
@@ -71,8 +75,8 @@ export const calculateLaneScore = (laneId, player2State, player1State, allSectio
   };
 
   // Calculate drone power
-  const aiPower = calculateDronePower(aiDronesInLane, laneId, gameDataService, aiOptions);
-  const humanPower = calculateDronePower(humanDronesInLane, laneId, gameDataService, humanOptions);
+  const aiPower = calculateDronePower(aiDronesInLane, laneId, gameDataService, aiOptions, weights);
+  const humanPower = calculateDronePower(humanDronesInLane, laneId, gameDataService, humanOptions, weights);
   const baseScore = aiPower - humanPower;
 
   // Calculate speed advantage
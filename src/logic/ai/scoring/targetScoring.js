@@ -4,40 +4,10 @@
 // Single "black box" function for evaluating target value
 // Used by ALL damage/destroy effects for consistent prioritization
 
-import { TARGET_SCORING, DAMAGE_TYPE_WEIGHTS, THREAT_DRONES } from '../aiConstants.js';
-
-const { RALLY_BEACON_ATTACK_PRIORITY } = TARGET_SCORING;
+import { getWeights } from '../weightProfiles.js';
 import fullDroneCollection from '../../../data/droneData.js';
 import { hasThreatOnRoundEnd } from '../helpers/keywordHelpers.js';
 
-const {
-  JAMMER_BLOCKING_BASE,
-  INTERCEPTION_BLOCKER_BONUS,
-  READY_TARGET_BONUS,
-  CLASS_0_BONUS,
-  CLASS_1_BONUS,
-  CLASS_2_BONUS,
-  CLASS_3_BONUS,
-  LOW_ATTACK_BONUS,
-  MED_ATTACK_BONUS,
-  HIGH_ATTACK_BONUS,
-  GUARDIAN_ABILITY_BONUS,
-  ANTI_SHIP_ABILITY_BONUS,
-  LETHAL_BONUS,
-  PIERCING_BYPASS_BONUS,
-} = TARGET_SCORING;
-
-const {
-  SHIELD_BREAKER_HIGH_SHIELD_BONUS,
-  SHIELD_BREAKER_LOW_SHIELD_PENALTY,
-  ION_FULL_STRIP_BONUS,
-  ION_PER_SHIELD_VALUE,
-  ION_WASTED_PENALTY,
-  ION_NO_SHIELDS_PENALTY,
-  KINETIC_UNSHIELDED_BONUS,
-  KINETIC_BLOCKED_PENALTY,
-} = DAMAGE_TYPE_WEIGHTS;
-
 /**
  * Universal target value calculator for damage/destroy effects
  * @param {Object} target - The target drone
@@ -57,6 +27,8 @@ export const calculateTargetValue = (target, context, options = {}) => {
     lane = null,
   } = options;
 
+  const weights = getWeights(context);
+  const { JAMMER_BLOCKING_BASE, INTERCEPTION_BLOCKER_BONUS, READY_TARGET_BONUS } = weights.TARGET_SCORING;
   let score = 0;
   const logic = [];
 
@@ -97,18 +69,18 @@ export const calculateTargetValue = (target, context, options = {}) => {
   }
 
   // 4. THREAT VALUE
-  const threatResult = calculateThreatScore(target);
+  const threatResult = calculateThreatScore(target, weights);
   score += threatResult.value;
   logic.push(...threatResult.logic);
 
   // 5. DAMAGE EFFICIENCY
-  const efficiencyResult = calculateDamageEfficiency(target, damageAmount, isPiercing, damageType);
+  const efficiencyResult = calculateDamageEfficiency(target, damageAmount, isPiercing, damageType, weights);
   score += efficiencyResult.value;
   logic.push(...efficiencyResult.logic);
 
   // 6. DAMAGE TYPE BONUS/PENALTY
   if (damageType && damageType !== 'NORMAL' && damageType !== 'PIERCING') {
-    const typeResult = calculateDamageTypeBonus(target, damageAmount, damageType);
+    const typeResult = calculateDamageTypeBonus(target, damageAmount, damageType, weights);
     score += typeResult.value;
     logic.push(...typeResult.logic);
   }
@@ -119,7 +91,11 @@ export const calculateTargetValue = (target, context, options = {}) => {
 /**
  * Calculate how threatening a drone is (flat bonuses by tier)
  */
-const calculateThreatScore = (target) => {
+const calculateThreatScore = (target, weights) => {
+  const {
+    CLASS_0_BONUS, CLASS_1_BONUS, CLASS_2_BONUS, CLASS_3_BONUS,
+    LOW_ATTACK_BONUS, MED_ATTACK_BONUS, HIGH_ATTACK_BONUS,
+  } = weights.TARGET_SCORING;
   let value = 0;
   const logic = [];
 
@@ -142,7 +118,7 @@ const calculateThreatScore = (target) => {
   }
 
   // Dangerous abilities
-  const abilityBonus = evaluateDangerousAbilities(target);
+  const abilityBonus = evaluateDangerousAbilities(target, weights);
   if (abilityBonus.value > 0) {
     value += abilityBonus.value;
     logic.push(...abilityBonus.logic);
@@ -154,7 +130,9 @@ const calculateThreatScore = (target) => {
 /**
  * Evaluate dangerous ability bonuses
  */
-const evaluateDangerousAbilities = (target) => {
+const evaluateDangerousAbilities = (target, weights) => {
+  const { GUARDIAN_ABILITY_BONUS, ANTI_SHIP_ABILITY_BONUS, RALLY_BEACON_ATTACK_PRIORITY } = weights.TARGET_SCORING;
+  const { THREAT_DRONES } = weights;
   let value = 0;
   const logic = [];
 
@@ -195,7 +173,8 @@ const evaluateDangerousAbilities = (target) => {
 /**
  * Calculate damage efficiency (flat bonuses)
  */
-const calculateDamageEfficiency = (target, damage, isPiercing, damageType) => {
+const calculateDamageEfficiency = (target, damage, isPiercing, damageType, weights) => {
+  const { LETHAL_BONUS, PIERCING_BYPASS_BONUS } = weights.TARGET_SCORING;
   let value = 0;
   const logic = [];
 
@@ -245,8 +224,19 @@ const calculateDamageEfficiency = (target, damage, isPiercing, damageType) => {
  * @param {Object} target - Target drone
  * @param {number} damage - Amount of damage
  * @param {string} damageType - SHIELD_BREAKER|ION|KINETIC
+ * @param {Object} weights - Weight tables of the decision
  */
-const calculateDamageTypeBonus = (target, damage, damageType) => {
+const calculateDamageTypeBonus = (target, damage, damageType, weights) => {
+  const {
+    SHIELD_BREAKER_HIGH_SHIELD_BONUS,
+    SHIELD_BREAKER_LOW_SHIELD_PENALTY,
+    ION_FULL_STRIP_BONUS,
+    ION_PER_SHIELD_VALUE,
+    ION_WASTED_PENALTY,
+    ION_NO_SHIELDS_PENALTY,
+    KINETIC_UNSHIELDED_BONUS,
+    KINETIC_BLOCKED_PENALTY,
+  } = weights.DAMAGE_TYPE_WEIGHTS;
   let value = 0;
   const logic = [];
   const shields = target.currentShields || 0;
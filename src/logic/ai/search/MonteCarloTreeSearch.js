@@ -0,0 +1,161 @@
+// ========================================
+// MONTE CARLO TREE SEARCH
+// ========================================
+// Lookahead decision search over the action phase. Every iteration clones the
+// root state, replays a line of actions through the real strategies
+// (simulationContext + searchActions), plays a short random rollout and
+// scores the result with stateEvaluator. Tree nodes alternate between players
+// as the turn passes, so opponent replies are searched as well (UCT).
+//
+// Deterministic for a given state and iteration budget: rollouts draw from a
+// SeededRandom seeded from the root state. The time budget only ever cuts a
+// search short.
+
+import SeededRandom from '../../../utils/seededRandom.js';
+import { debugLog } from '../../../utils/debugLogger.js';
+import { SEARCH } from '../aiConstants.js';
+import { cloneSimulationState, createSimulationContext } from './simulationContext.js';
+import { generateSearchActions, applySearchAction, isSearchTerminal, PASS_ACTION } from './searchActions.js';
+import { evaluateState, evaluationToReward } from './stateEvaluator.js';
+
+function createNode(action, parent, playerId) {
+  return {
+    action,
+    parent,
+    playerId,       // Player who takes `action` — rewards are stored from their side
+    children: [],
+    untried: null,  // Actions not yet expanded, generated on first visit
+    visits: 0,
+    reward: 0,
+  };
+}
+
+class MonteCarloTreeSearch {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.iterations] - Simulations to run
+   * @param {number} [options.timeBudgetMs] - Wall-clock cap on the search
+   * @param {number} [options.rolloutDepth] - Random actions past the tree before evaluating
+   * @param {number} [options.maxChildren] - Branching cap below the root
+   */
+  constructor({
+    iterations = SEARCH.ITERATIONS,
+    timeBudgetMs = SEARCH.TIME_BUDGET_MS,
+    rolloutDepth = SEARCH.ROLLOUT_DEPTH,
+    maxChildren = SEARCH.MAX_CHILDREN,
+  } = {}) {
+    this.iterations = iterations;
+    this.timeBudgetMs = timeBudgetMs;
+    this.rolloutDepth = rolloutDepth;
+    this.maxChildren = maxChildren;
+    this.rng = null;
+  }
+
+  /**
+   * Search for the best action among the root candidates.
+   * @param {Object} rootState - Game state with playerId to act
+   * @param {Array<Object>} candidates - Root actions to choose between (may include PASS_ACTION)
+   * @param {string} playerId - Searching player
+   * @returns {Promise<{ action: Object, iterations: number, stats: Array<{ action, visits, value }> }>}
+   */
+  async search(rootState, candidates, playerId) {
+    const baseState = cloneSimulationState(rootState);
+    this.rng = SeededRandom.fromGameState(baseState);
+
+    const root = createNode(null, null, null);
+    root.untried = [...candidates].reverse(); // pop() expands candidates in the order given
+
+    const deadline = Date.now() + this.timeBudgetMs;
+    let iteration = 0;
+    while (iteration < this.iterations && Date.now() < deadline) {
+      iteration++;
+      await this._iterate(root, baseState, playerId);
+    }
+
+    const stats = root.children.map(child => ({
+      action: child.action,
+      visits: child.visits,
+      value: child.visits > 0 ? child.reward / child.visits : 0,
+    }));
+    const best = stats.reduce((a, b) => (b.visits > a.visits || (b.visits === a.visits && b.value > a.value) ? b : a), stats[0]);
+
+    debugLog('AI_SEARCH', `[SEARCH] ${iteration} iterations, ${root.children.length} root actions, best visits=${best?.visits}`);
+    return { action: best?.action ?? PASS_ACTION, iterations: iteration, stats };
+  }
+
+  async _iterate(root, baseState, searchingPlayerId) {
+    const ctx = createSimulationContext(cloneSimulationState(baseState));
+    let node = root;
+
+    // Selection — descend through fully expanded nodes
+    while (node.untried && node.untried.length === 0 && node.children.length > 0) {
+      const child = this._selectChild(node);
+      if (!await this._tryApply(ctx, child)) {
+        node.children.splice(node.children.indexOf(child), 1);
+        return;
+      }
+      node = child;
+    }
+
+    // Expansion
+    if (!isSearchTerminal(ctx.getState())) {
+      const mover = ctx.get('currentPlayer');
+      if (!node.untried) node.untried = this._expandableActions(ctx.getState(), mover);
+      if (node.untried.length > 0) {
+        const child = createNode(node.untried.pop(), node, node === root ? searchingPlayerId : mover);
+        if (!await this._tryApply(ctx, child)) return;
+        node.children.push(child);
+        node = child;
+      }
+    }
+
+    // Rollout
+    for (let depth = 0; depth < this.rolloutDepth && !isSearchTerminal(ctx.getState()); depth++) {
+      const mover = ctx.get('currentPlayer');
+      const actions = generateSearchActions(ctx.getState(), mover);
+      const action = actions.length === 0 || this.rng.random() < SEARCH.ROLLOUT_PASS_CHANCE
+        ? PASS_ACTION
+        : this.rng.select(actions);
+      if (!await this._tryApply(ctx, { action, playerId: mover })) break;
+    }
+
+    // Backpropagation
+    const reward = evaluationToReward(evaluateState(ctx.getState(), searchingPlayerId));
+    for (let current = node; current; current = current.parent) {
+      current.visits++;
+      current.reward += current.playerId === searchingPlayerId ? reward : 1 - reward;
+    }
+  }
+
+  _expandableActions(state, playerId) {
+    const actions = this.rng.shuffle(generateSearchActions(state, playerId)).slice(0, this.maxChildren - 1);
+    return [...actions, PASS_ACTION];
+  }
+
+  _selectChild(node) {
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestScore = -Infinity;
+    for (const child of node.children) {
+      const score = child.reward / child.visits + SEARCH.EXPLORATION * Math.sqrt(logVisits / child.visits);
+      if (score > bestScore) {
+        best = child;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // A line can become illegal on replay (e.g. a drone destroyed earlier in it) — report instead of throwing
+  async _tryApply(ctx, { action, playerId }) {
+    try {
+      await applySearchAction(ctx, action, playerId);
+      return true;
+    } catch (error) {
+      debugLog('AI_SEARCH', `[SEARCH] Discarding unplayable ${action.type}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+export default MonteCarloTreeSearch;
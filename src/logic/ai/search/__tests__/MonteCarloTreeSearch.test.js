@@ -0,0 +1,213 @@
+/**
+ * Lookahead search tests — simulation context, evaluator and MCTS.
+ * Uses small hand-built states resolved through the real action strategies.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(), timingLog: vi.fn(), getTimestamp: vi.fn()
+}));
+
+// Load the engine first, as the app does, so the strategies' import cycle resolves
+import '../../../gameLogic.js';
+import fullDroneCollection from '../../../../data/droneData.js';
+import MonteCarloTreeSearch from '../MonteCarloTreeSearch.js';
+import { cloneSimulationState, createSimulationContext } from '../simulationContext.js';
+import { generateSearchActions, applySearchAction, isSearchTerminal, PASS_ACTION } from '../searchActions.js';
+import { evaluateState, evaluationToReward } from '../stateEvaluator.js';
+import { usesSearch } from '../../decisions/searchActionDecision.js';
+import { WIN_CONDITION_TYPES } from '../../../../config/matchRules.js';
+
+// --- Helpers ---
+
+const makeDrone = (name, id, owner) => {
+  const base = fullDroneCollection.find(d => d.name === name);
+  return {
+    ...base,
+    id,
+    owner,
+    statMods: [],
+    currentShields: base.shields,
+    currentMaxShields: base.shields,
+    isExhausted: false,
+    isMarked: false,
+    triggerUsesMap: {},
+    abilityActivations: [],
+  };
+};
+
+const makeSection = (hull) => ({
+  hull,
+  maxHull: 10,
+  allocatedShields: 0,
+  shields: 0,
+  thresholds: { damaged: 5, critical: 0 },
+});
+
+const makePlayer = (name, dronesOnBoard, sectionHull = 10) => ({
+  name,
+  energy: 0,
+  momentum: 0,
+  hand: [],
+  deck: [],
+  discardPile: [],
+  dronesOnBoard: { lane1: [], lane2: [], lane3: [], ...dronesOnBoard },
+  techSlots: { lane1: [], lane2: [], lane3: [] },
+  shipSections: {
+    bridge: makeSection(sectionHull),
+    powerCell: makeSection(sectionHull),
+    droneControlHub: makeSection(sectionHull),
+  },
+  appliedUpgrades: {},
+  deployedDroneCounts: {},
+});
+
+// player2 (to act) has a Talon facing a Dart. Ships have 30 hull and lose at 18 damage,
+// so at sectionHull 5 one Talon hit (3) on player1's ship is lethal.
+const makeState = ({ sectionHull = 10 } = {}) => ({
+  gameMode: 'local',
+  gameSeed: 12345,
+  turnPhase: 'action',
+  turn: 1,
+  roundNumber: 1,
+  currentPlayer: 'player2',
+  actionsTakenThisTurn: 0,
+  firstPlayerOfRound: 'player2',
+  passInfo: { player1Passed: false, player2Passed: false, firstPasser: null },
+  winner: null,
+  placedSections: ['bridge', 'powerCell', 'droneControlHub'],
+  opponentPlacedSections: ['bridge', 'powerCell', 'droneControlHub'],
+  player1: makePlayer('Player 1', { lane1: [makeDrone('Dart', 'p1-dart', 'player1')] }, sectionHull),
+  player2: makePlayer('Player 2', { lane1: [makeDrone('Talon', 'p2-talon', 'player2')] }),
+});
+
+describe('simulationContext', () => {
+  it('resolves an attack through the real strategies without mutating the source state', async () => {
+    const source = makeState();
+    const ctx = createSimulationContext(cloneSimulationState(source));
+    const attack = generateSearchActions(ctx.getState(), 'player2')
+      .find(a => a.type === 'attack' && a.targetType === 'drone');
+
+    await applySearchAction(ctx, attack, 'player2');
+
+    const simulated = ctx.getState();
+    expect(simulated.player1.dronesOnBoard.lane1).toHaveLength(0);
+    expect(simulated.player2.dronesOnBoard.lane1[0].isExhausted).toBe(true);
+    expect(simulated.currentPlayer).toBe('player1');
+    expect(source.player1.dronesOnBoard.lane1).toHaveLength(1);
+    expect(source.player2.dronesOnBoard.lane1[0].isExhausted).toBe(false);
+  });
+
+  it('records a winner when an attack crosses the damage threshold', async () => {
+    const ctx = createSimulationContext(cloneSimulationState(makeState({ sectionHull: 5 })));
+    const attack = generateSearchActions(ctx.getState(), 'player2')
+      .find(a => a.type === 'attack' && a.targetType === 'section');
+
+    await applySearchAction(ctx, attack, 'player2');
+
+    expect(ctx.get('winner')).toBe('player2');
+    expect(isSearchTerminal(ctx.getState())).toBe(true);
+  });
+
+  it('keeps the match win condition and its progress', async () => {
+    const source = {
+      ...makeState({ sectionHull: 5 }),
+      winCondition: { type: WIN_CONDITION_TYPES.ROUND_LIMIT_DAMAGE, roundLimit: 6 },
+      winConditionProgress: { laneControlStreak: { player1: 0, player2: 1 } },
+    };
+    const ctx = createSimulationContext(cloneSimulationState(source));
+    const attack = generateSearchActions(ctx.getState(), 'player2')
+      .find(a => a.type === 'attack' && a.targetType === 'section');
+
+    await applySearchAction(ctx, attack, 'player2');
+
+    // Attrition is only decided at the round limit, so the hull damage is not lethal
+    expect(ctx.get('winner')).toBeNull();
+    expect(isSearchTerminal(ctx.getState())).toBe(false);
+    expect(ctx.get('winConditionProgress')).toEqual(source.winConditionProgress);
+  });
+});
+
+describe('generateSearchActions', () => {
+  it('lists drone and section attacks plus moves for a ready drone', () => {
+    const actions = generateSearchActions(makeState(), 'player2');
+
+    expect(actions.filter(a => a.type === 'attack').map(a => a.targetType).sort()).toEqual(['drone', 'section']);
+    expect(actions.filter(a => a.type === 'move')).toEqual([
+      expect.objectContaining({ fromLane: 'lane1', toLane: 'lane2' })
+    ]);
+  });
+
+  it('returns nothing for a player who has passed', () => {
+    const state = makeState();
+    state.passInfo.player2Passed = true;
+    expect(generateSearchActions(state, 'player2')).toEqual([]);
+  });
+});
+
+describe('stateEvaluator', () => {
+  it('scores material from the given player\'s side', () => {
+    const state = makeState();
+    expect(evaluateState(state, 'player2')).toBeGreaterThan(0); // Talon outclasses Dart
+    expect(evaluateState(state, 'player1')).toBe(-evaluateState(state, 'player2'));
+  });
+
+  it('maps evaluations onto (0, 1) with an even position at 0.5', () => {
+    expect(evaluationToReward(0)).toBe(0.5);
+    expect(evaluationToReward(1000)).toBeGreaterThan(0.99);
+    expect(evaluationToReward(-1000)).toBeLessThan(0.01);
+  });
+});
+
+describe('MonteCarloTreeSearch', () => {
+  it('finds the lethal section attack over the drone trade and passing', async () => {
+    const state = makeState({ sectionHull: 5 });
+    const candidates = [...generateSearchActions(state, 'player2'), PASS_ACTION];
+
+    const result = await new MonteCarloTreeSearch({ iterations: 40, timeBudgetMs: 10000 })
+      .search(state, candidates, 'player2');
+
+    expect(result.action.type).toBe('attack');
+    expect(result.action.targetType).toBe('section');
+    expect(result.iterations).toBe(40);
+  });
+
+  it('is deterministic for the same state and budget', async () => {
+    const run = async () => {
+      const state = makeState();
+      const candidates = [...generateSearchActions(state, 'player2'), PASS_ACTION];
+      const { stats } = await new MonteCarloTreeSearch({ iterations: 30, timeBudgetMs: 10000 })
+        .search(state, candidates, 'player2');
+      return stats.map(s => [s.action.type, s.action.targetType, s.visits]);
+    };
+
+    expect(await run()).toEqual(await run());
+  });
+
+  it('values a hull-damage kill less when the match win condition ignores it', async () => {
+    const sectionAttackValue = async (winCondition) => {
+      const state = { ...makeState({ sectionHull: 5 }), winCondition };
+      const candidates = [...generateSearchActions(state, 'player2'), PASS_ACTION];
+      const { stats } = await new MonteCarloTreeSearch({ iterations: 40, timeBudgetMs: 10000 })
+        .search(state, candidates, 'player2');
+      return stats.find(s => s.action.type === 'attack' && s.action.targetType === 'section').value;
+    };
+
+    const attrition = { type: WIN_CONDITION_TYPES.ROUND_LIMIT_DAMAGE, roundLimit: 6 };
+    expect(await sectionAttackValue(attrition)).toBeLessThan(await sectionAttackValue(null));
+  });
+
+  it('falls back to passing when there is nothing to search', async () => {
+    const result = await new MonteCarloTreeSearch({ iterations: 5 }).search(makeState(), [], 'player2');
+    expect(result.action).toBe(PASS_ACTION);
+  });
+});
+
+describe('usesSearch', () => {
+  it('selects search for Expert personalities only', () => {
+    expect(usesSearch({ difficulty: 'Expert' })).toBe(true);
+    expect(usesSearch({ difficulty: 'Hard' })).toBe(false);
+    expect(usesSearch(undefined)).toBe(false);
+  });
+});
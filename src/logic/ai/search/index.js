@@ -0,0 +1,9 @@
+// ========================================
+// AI SEARCH - INDEX
+// ========================================
+// Re-exports lookahead search modules
+
+export { default as MonteCarloTreeSearch } from './MonteCarloTreeSearch.js';
+export * from './simulationContext.js';
+export * from './searchActions.js';
+export * from './stateEvaluator.js';
@@ -0,0 +1,185 @@
+// ========================================
+// SEARCH ACTIONS
+// ========================================
+// Legal action generation and application for lookahead search. Actions use
+// the same shape as the greedy action pool (attack / move / play_card), so
+// either can be resolved by processAiAction inside a simulation context.
+// Generation is cheap and unscored: it covers attacks, moves and targeted
+// card plays for either player; cards needing a modal or a movement chain
+// are left to the greedy pool.
+
+import fullDroneCollection from '../../../data/droneData.js';
+import TargetingRouter from '../../TargetingRouter.js';
+import { calculateEffectiveStats } from '../../statsCalculator.js';
+import { resolveConditionalTargeting } from '../../targeting/conditionalTargetingResolver.js';
+import { isCardConditionMet } from '../../targeting/CardConditionValidator.js';
+import { isLaneControlCardPlayable } from '../../targeting/LaneControlValidator.js';
+import { MAX_DRONES_PER_LANE } from '../../utils/gameEngineUtils.js';
+import { hasMovementInhibitorInLane } from '../../../utils/gameUtils.js';
+import { countDroneTypeInLane } from '../helpers/droneHelpers.js';
+import { processAiAction, processPlayerPass } from '../../actions/DroneActionStrategy.js';
+import { processTurnTransition } from '../../actions/PhaseTransitionStrategy.js';
+
+const LANES = ['lane1', 'lane2', 'lane3'];
+
+/** Action types the simulation can resolve through processAiAction */
+export const SEARCHABLE_ACTION_TYPES = ['attack', 'move', 'play_card'];
+
+export const PASS_ACTION = { type: 'pass' };
+
+const targetingRouter = new TargetingRouter();
+
+const getOpponentId = (playerId) => (playerId === 'player1' ? 'player2' : 'player1');
+
+// Sections of the given player, indexed by lane
+const getSectionsOf = (state, playerId) =>
+  (playerId === 'player1' ? state.placedSections : state.opponentPlacedSections) || [];
+
+function generateAttacks(state, playerId) {
+  const opponentId = getOpponentId(playerId);
+  const player = state[playerId];
+  const opponent = state[opponentId];
+  const sections = { player1: state.placedSections, player2: state.opponentPlacedSections };
+  const actions = [];
+
+  LANES.forEach((lane, laneIndex) => {
+    const defenders = opponent.dronesOnBoard[lane] || [];
+    for (const drone of player.dronesOnBoard[lane] || []) {
+      if (drone.isExhausted || drone.isSuppressed) continue;
+      const stats = calculateEffectiveStats(drone, lane, player, opponent, sections);
+      if (stats.attack <= 0) continue;
+
+      const attacker = { ...drone, lane };
+      for (const target of defenders) {
+        actions.push({ type: 'attack', attacker, target: { ...target, owner: opponentId }, targetType: 'drone' });
+      }
+
+      const sectionName = getSectionsOf(state, opponentId)[laneIndex];
+      const section = sectionName && opponent.shipSections[sectionName];
+      const guarded = defenders.some(d =>
+        calculateEffectiveStats(d, lane, opponent, player, sections).keywords.has('GUARDIAN'));
+      if (section && section.hull > 0 && !guarded) {
+        actions.push({
+          type: 'attack',
+          attacker,
+          target: { ...section, id: sectionName, name: sectionName, owner: opponentId },
+          targetType: 'section'
+        });
+      }
+    }
+  });
+  return actions;
+}
+
+function generateMoves(state, playerId) {
+  const player = state[playerId];
+  const actions = [];
+
+  LANES.forEach((fromLane, laneIndex) => {
+    if (hasMovementInhibitorInLane(state, playerId, fromLane)) return;
+    for (const drone of player.dronesOnBoard[fromLane] || []) {
+      if (drone.isExhausted || drone.isSnared) continue;
+      const maxPerLane = fullDroneCollection.find(d => d.name === drone.name)?.maxPerLane;
+
+      for (const toLane of [LANES[laneIndex - 1], LANES[laneIndex + 1]]) {
+        if (!toLane) continue;
+        if ((player.dronesOnBoard[toLane]?.length || 0) >= MAX_DRONES_PER_LANE) continue;
+        if (maxPerLane && countDroneTypeInLane(player, drone.name, toLane) >= maxPerLane) continue;
+        actions.push({ type: 'move', drone: { ...drone, lane: fromLane }, fromLane, toLane });
+      }
+    }
+  });
+  return actions;
+}
+
+function generateCardPlays(state, playerId) {
+  const player = state[playerId];
+  const playerStates = { player1: state.player1, player2: state.player2 };
+  const seen = new Set();
+  const actions = [];
+
+  for (const card of player.hand || []) {
+    if (seen.has(card.id)) continue;
+    seen.add(card.id);
+
+    const effect = card.effects?.[0];
+    if (!effect?.targeting || effect.type === 'SINGLE_MOVE') continue;
+    if (player.energy < card.cost) continue;
+    if (card.momentumCost && (player.momentum || 0) < card.momentumCost) continue;
+    if (card.playCondition && !isCardConditionMet(card, playerId, playerStates)) continue;
+    if (effect.condition && typeof effect.condition === 'object' && !isLaneControlCardPlayable(card, playerId, playerStates)) continue;
+
+    if (effect.targeting.type === 'NONE') {
+      // Only auto-resolving NONE cards (Purge Protocol) — the rest open a modal
+      if (effect.scope === 'ALL') actions.push({ type: 'play_card', card, target: null });
+      continue;
+    }
+
+    const definition = resolveConditionalTargeting(card, playerId, state.player1, state.player2);
+    let targets = targetingRouter.routeTargeting({
+      actingPlayerId: playerId, source: null, definition, player1: state.player1, player2: state.player2
+    });
+    if (effect.type === 'DAMAGE' || effect.type === 'DESTROY') {
+      targets = targets.filter(t => t.owner === getOpponentId(playerId));
+    }
+    for (const target of targets) {
+      actions.push({ type: 'play_card', card, target });
+    }
+  }
+  return actions;
+}
+
+/**
+ * Legal action-phase actions for a player, excluding pass.
+ * @param {Object} state - Game state
+ * @param {string} playerId - Acting player
+ * @returns {Array<Object>} Actions in greedy-pool shape
+ */
+export function generateSearchActions(state, playerId) {
+  if (state.passInfo?.[`${playerId}Passed`]) return [];
+  return [
+    ...generateAttacks(state, playerId),
+    ...generateMoves(state, playerId),
+    ...generateCardPlays(state, playerId),
+  ];
+}
+
+/**
+ * True when the action phase is over for search purposes.
+ * @param {Object} state - Game state
+ */
+export function isSearchTerminal(state) {
+  return !!state.winner
+    || state.turnPhase !== 'action'
+    || !!(state.passInfo?.player1Passed && state.passInfo?.player2Passed);
+}
+
+/**
+ * Resolve one action in a simulation context with the real strategies,
+ * then hand the turn over exactly as the live flow would.
+ * @param {Object} ctx - Simulation context (createSimulationContext)
+ * @param {Object} action - Search action or PASS_ACTION
+ * @param {string} playerId - Acting player
+ */
+export async function applySearchAction(ctx, action, playerId) {
+  const state = ctx.getState();
+  const opponentId = getOpponentId(playerId);
+
+  if (action.type === 'pass') {
+    await processPlayerPass({
+      playerId,
+      playerName: state[playerId].name,
+      turnPhase: state.turnPhase,
+      passInfo: state.passInfo || { player1Passed: false, player2Passed: false },
+      opponentPlayerId: opponentId
+    }, ctx);
+    return;
+  }
+
+  const result = await processAiAction({ aiDecision: { type: 'action', payload: action }, playerId }, ctx);
+  ctx.setState({ actionsTakenThisTurn: (ctx.get('actionsTakenThisTurn') || 0) + 1 });
+
+  if (result?.shouldEndTurn !== false && !ctx.get('winner')) {
+    await processTurnTransition({ newPlayer: opponentId }, ctx);
+  }
+}
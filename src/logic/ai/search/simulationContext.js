@@ -0,0 +1,92 @@
+// ========================================
+// SIMULATION CONTEXT
+// ========================================
+// ActionContext-compatible object over a private copy of the game state, so
+// the real ActionProcessor strategies (processAiAction, processPlayerPass,
+// processTurnTransition) can resolve hypothetical actions for lookahead search
+// without touching GameStateManager. Animations and log entries are dropped,
+// and both seats are treated as AI: interceptions are declined.
+
+import WinConditionChecker from '../../game/WinConditionChecker.js';
+import { processAttack, processMove, processAbility } from '../../actions/CombatActionStrategy.js';
+import { processCardPlay } from '../../actions/CardActionStrategy.js';
+import { processDeployment } from '../../actions/DroneActionStrategy.js';
+
+// Game fields the strategies read — everything else (log, UI and meta-game state) is left behind
+const SIMULATED_FIELDS = [
+  'gameMode', 'gameSeed', 'turnPhase', 'turn', 'roundNumber', 'currentPlayer',
+  'actionsTakenThisTurn', 'firstPlayerOfRound', 'passInfo', 'winner',
+  'winCondition', 'winConditionProgress',
+  'player1', 'player2', 'placedSections', 'opponentPlacedSections',
+];
+
+const noInterception = { makeInterceptionDecision: async () => ({ interceptor: null }) };
+
+/**
+ * Deep copy of the parts of a game state a simulation needs.
+ * @param {Object} gameState - Live or simulated game state
+ * @returns {Object} Independent copy safe to mutate
+ */
+export function cloneSimulationState(gameState) {
+  const copy = {};
+  for (const field of SIMULATED_FIELDS) {
+    if (gameState[field] !== undefined) copy[field] = gameState[field];
+  }
+  return JSON.parse(JSON.stringify(copy));
+}
+
+/**
+ * Create an ActionContext that reads and writes a private state.
+ * @param {Object} initialState - State to simulate from (use cloneSimulationState)
+ * @returns {Object} ActionContext; getState() returns the simulated state
+ */
+export function createSimulationContext(initialState) {
+  let state = initialState;
+
+  const getPlacedSections = () => ({ player1: state.placedSections, player2: state.opponentPlacedSections });
+  const setState = (updates) => { state = { ...state, ...updates }; };
+
+  const ctx = {
+    getState: () => state,
+    get: (key) => state[key],
+    setState,
+    setPlayerStates: (player1, player2) => setState({ player1, player2 }),
+    updatePlayerState: (playerId, updates) => setState({ [playerId]: { ...state[playerId], ...updates } }),
+    addLogEntry: () => {},
+    setTurnPhase: (turnPhase) => setState({ turnPhase }),
+    setCurrentPlayer: (currentPlayer) => setState({ currentPlayer }),
+    setPassInfo: (passInfo) => setState({ passInfo }),
+    setWinner: (winner) => setState({ winner }),
+    getLocalPlayerId: () => 'player1',
+    getPlacedSections,
+
+    getAnimationManager: () => null,
+    executeGoAgainAnimation: async () => {},
+    executeAndCaptureAnimations: async () => {},
+    mapAnimationEvents: () => [],
+    captureAnimations: () => {},
+
+    processAttack: (payload) => processAttack(payload, ctx),
+    processMove: (payload) => processMove(payload, ctx),
+    processAbility: (payload) => processAbility(payload, ctx),
+    processCardPlay: (payload) => processCardPlay(payload, ctx),
+    processDeployment: (payload) => processDeployment(payload, ctx),
+
+    checkWinCondition: () => {
+      if (state.winner) return null;
+      return WinConditionChecker.checkGameStateForWinner(
+        { player1: state.player1, player2: state.player2 },
+        { logCallback: () => {}, setWinnerCallback: (winner) => setState({ winner }) },
+        state.winCondition
+      );
+    },
+
+    isPlayerAI: () => true,
+    getAiPhaseProcessor: () => noInterception,
+    getPhaseManager: () => null,
+    getGameDataService: () => null,
+    getUndoManager: () => null,
+  };
+
+  return ctx;
+}
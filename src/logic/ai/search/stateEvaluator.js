@@ -0,0 +1,59 @@
+// ========================================
+// STATE EVALUATOR
+// ========================================
+// Static evaluation of a (simulated) game state for lookahead search:
+// material on board, ship integrity and resources, scored from one
+// player's point of view.
+
+import { STATE_EVALUATION } from '../aiConstants.js';
+
+const getOpponentId = (playerId) => (playerId === 'player1' ? 'player2' : 'player1');
+
+/**
+ * Material value of one side of the board.
+ * @param {Object} playerState - Player state
+ * @returns {number}
+ */
+export function evaluateSide(playerState) {
+  if (!playerState) return 0;
+  let value = 0;
+
+  for (const section of Object.values(playerState.shipSections || {})) {
+    value += (section.hull || 0) * STATE_EVALUATION.SECTION_HULL;
+    value += (section.allocatedShields || 0) * STATE_EVALUATION.SECTION_SHIELD;
+  }
+
+  for (const drone of Object.values(playerState.dronesOnBoard || {}).flat()) {
+    value += (drone.class || 0) * STATE_EVALUATION.DRONE_CLASS;
+    value += (drone.attack || 0) * STATE_EVALUATION.DRONE_ATTACK;
+    value += (drone.hull || 0) * STATE_EVALUATION.DRONE_HULL;
+    value += (drone.currentShields || 0) * STATE_EVALUATION.DRONE_SHIELD;
+    if (!drone.isExhausted) value += STATE_EVALUATION.READY_DRONE;
+  }
+
+  value += (playerState.hand?.length || 0) * STATE_EVALUATION.HAND_CARD;
+  value += (playerState.energy || 0) * STATE_EVALUATION.ENERGY;
+  return value;
+}
+
+/**
+ * Score a game state for a player: positive when they are ahead.
+ * @param {Object} state - Game state (player1, player2, winner)
+ * @param {string} playerId - Perspective player
+ * @returns {number} Material difference, or ±WIN once the game is decided
+ */
+export function evaluateState(state, playerId) {
+  if (state.winner) {
+    return state.winner === playerId ? STATE_EVALUATION.WIN : -STATE_EVALUATION.WIN;
+  }
+  return evaluateSide(state[playerId]) - evaluateSide(state[getOpponentId(playerId)]);
+}
+
+/**
+ * Map an evaluation onto (0, 1) so search statistics stay bounded.
+ * @param {number} evaluation - Result of evaluateState
+ * @returns {number} 0.5 for an even position, approaching 1 when winning
+ */
+export function evaluationToReward(evaluation) {
+  return 1 / (1 + Math.exp(-evaluation / STATE_EVALUATION.REWARD_SCALE));
+}
@@ -0,0 +1,191 @@
+// ========================================
+// AI WEIGHT PROFILES
+// ========================================
+// Per-personality overrides for the scoring constants in aiConstants.js.
+// A profile maps constant groups to replacement values:
+//   { ATTACK_BONUSES: { NO_SHIELDS: 60 }, PENALTIES: { RETALIATE_LETHAL: -30 } }
+//
+// Personalities in aiData.js pick a preset by name (`weightProfile: 'ship-rush'`)
+// and may layer their own values on top (`weightOverrides`). Beneath both sits
+// tunedWeights.json, the profile written by the self-play tuner
+// (scripts/tune-weights.js), which applies to every personality. aiLogic resolves
+// the deciding personality's tables with resolveWeights() and hands them to the
+// decision as `context.weights`; scorers read them back with getWeights().
+// aiConstants itself is never modified.
+
+import { TUNABLE_CONSTANTS } from './aiConstants.js';
+import tunedWeights from './tunedWeights.json';
+
+/** Constant groups a profile may override (every scorer-facing weight table) */
+export const TUNABLE_CONSTANT_GROUPS = Object.keys(TUNABLE_CONSTANTS);
+
+export const WEIGHT_PROFILES = {
+  // Trades drones freely and presses every attack
+  aggressive: {
+    SCORING_WEIGHTS: { ATTACK_MULTIPLIER: 6 },
+    ATTACK_BONUSES: { FAVORABLE_TRADE: 30, READY_TARGET: 15 },
+    PENALTIES: { RETALIATE_LETHAL: -30, INTERCEPTION_RISK: -50 },
+    DEPLOYMENT_BONUSES: { HIGH_ATTACK_OFFENSIVE: 25 },
+    DEFENSE_URGENCY: { MODERATE_MULTIPLIER: 1.5, HIGH_MULTIPLIER: 3.0 },
+    CARD_EVALUATION: { DAMAGE_MULTIPLIER: 10, LETHAL_BASE_BONUS: 70 },
+  },
+
+  // Guards its ship first, intercepts eagerly and repairs early
+  defensive: {
+    DEPLOYMENT_BONUSES: { FAST_DRONE_DEFENSIVE: 25, GUARDIAN_DEFENSIVE: 35 },
+    DEFENSE_URGENCY: { MODERATE_MULTIPLIER: 3.0, HIGH_MULTIPLIER: 6.0 },
+    INTERCEPTION: { PROTECTIVE_SCORE: 70, UNCHECKED_THREAT_BONUS: 130 },
+    WIN_RACE: { BEHIND_OFFENSE_MULTIPLIER: 1.2 },
+    CARD_EVALUATION: { SHIELD_HEAL_VALUE_PER_POINT: 8, SECTION_HEAL_VALUE: 110 },
+    MOVE_EVALUATION: { DEFENSIVE_MOVE_BONUS: 35 },
+  },
+
+  // Ignores the drone war where it can and races the ship down
+  'ship-rush': {
+    ATTACK_BONUSES: { DAMAGED_SECTION: 25, CRITICAL_SECTION: 50, NO_SHIELDS: 60, SHIELD_BREAK: 45 },
+    PENALTIES: { ANTI_SHIP_ATTACKING_DRONE: -150 },
+    DEPLOYMENT_BONUSES: { ANTI_SHIP_OFFENSIVE: 35 },
+    THRESHOLD_BONUS: { CROSS_TO_DAMAGED: 14, CROSS_TO_CRITICAL: 20 },
+    WIN_RACE: { AHEAD_OFFENSE_MULTIPLIER: 1.0 },
+    CARD_EVALUATION: { SHIP_ATTACK_MULTIPLIER: 12, OVERFLOW_SHIP_DAMAGE_MULTIPLIER: 16 },
+  },
+
+  // Plays for lane majorities and the lane-control payoffs
+  'lane-control': {
+    LANE_THRESHOLDS: { LOSING_BADLY: -10, WINNING_STRONGLY: 20 },
+    ATTACK_BONUSES: { LANE_IMPACT_WEIGHT: 1.0, LANE_FLIP_WEIGHT: 1.0 },
+    DEPLOYMENT_BONUSES: { STABILIZATION_MAX: 40, DOMINANCE_MAX: 40 },
+    CARD_EVALUATION: {
+      LANE_IMPACT_WEIGHT: 2.5,
+      LANE_FLIP_BONUS: 45,
+      LANE_CONTROL_ENERGY_VALUE: 40,
+      LANE_CONTROL_DRAW_VALUE: 45,
+    },
+    MOVE_EVALUATION: { DEFENSIVE_MOVE_BONUS: 30, OFFENSIVE_MOVE_DAMAGED: 25 },
+  },
+
+  // Leans on mines, jammers and upgrades over raw drone actions
+  'tech-heavy': {
+    CARD_EVALUATION: { JAMMER_BASE_VALUE: 45 },
+    UPGRADE_EVALUATION: { ABILITY_GRANT_BASE: 75, ATTACK_UPGRADE_BASE: 50 },
+    THRUSTER_INHIBITOR: { BASE_VALUE: 35 },
+    PROXIMITY_MINE: { BASE_VALUE: 30 },
+    INHIBITOR_MINE: { BASE_VALUE: 32 },
+    JITTER_MINE: { BASE_VALUE: 28 },
+    DRONE_PACING: { NON_DRONE_ACTION_BONUS: 100 },
+  },
+};
+
+/** Tuner output shared by every personality, beneath its preset and overrides */
+export const TUNED_WEIGHTS = tunedWeights;
+
+/**
+ * Check a profile against aiConstants: unknown groups, unknown keys and
+ * non-numeric values are rejected so a typo cannot silently do nothing.
+ * @param {Object} profile - { GROUP: { KEY: number } }
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export function validateWeightProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile must be an object of constant groups'];
+  }
+
+  const problems = [];
+  for (const [group, overrides] of Object.entries(profile)) {
+    if (!TUNABLE_CONSTANTS[group]) {
+      problems.push(`unknown constant group '${group}'`);
+      continue;
+    }
+    if (!overrides || typeof overrides !== 'object') {
+      problems.push(`${group} must be an object of overrides`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+      if (!(key in TUNABLE_CONSTANTS[group])) {
+        problems.push(`unknown key '${group}.${key}'`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        problems.push(`${group}.${key} must be a finite number`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check a personality's weightProfile / weightOverrides fields.
+ * @param {Object} personality - aiData entry
+ * @returns {Array<string>} Problems (empty when valid or unset)
+ */
+export function validatePersonalityWeights(personality) {
+  const { weightProfile, weightOverrides } = personality || {};
+  const problems = [];
+  if (weightProfile !== undefined && !WEIGHT_PROFILES[weightProfile]) {
+    problems.push(`unknown weight profile '${weightProfile}'`);
+  }
+  if (weightOverrides !== undefined) {
+    problems.push(...validateWeightProfile(weightOverrides).map(problem => `weightOverrides: ${problem}`));
+  }
+  return problems;
+}
+
+/**
+ * Combine profiles group by group; later profiles win.
+ * @param {...Object} profiles
+ * @returns {Object} Merged profile
+ */
+export function mergeWeightProfiles(...profiles) {
+  const merged = {};
+  for (const profile of profiles) {
+    for (const [group, overrides] of Object.entries(profile || {})) {
+      merged[group] = { ...merged[group], ...overrides };
+    }
+  }
+  return merged;
+}
+
+/**
+ * The effective profile for a personality: the tuned weights, then its preset,
+ * then its own overrides.
+ * @param {Object} personality - aiData entry
+ * @returns {Object|null} Profile, or null when the personality uses the defaults
+ * @throws {Error} If the personality names an unknown preset or constant
+ */
+export function resolveWeightProfile(personality) {
+  if (!personality?.weightProfile && !personality?.weightOverrides) {
+    return Object.keys(TUNED_WEIGHTS).length > 0 ? TUNED_WEIGHTS : null;
+  }
+
+  const problems = validatePersonalityWeights(personality);
+  if (problems.length > 0) {
+    throw new Error(`Invalid AI weights for ${personality.name}:\n  ${problems.join('\n  ')}`);
+  }
+  return mergeWeightProfiles(TUNED_WEIGHTS, WEIGHT_PROFILES[personality.weightProfile], personality.weightOverrides);
+}
+
+/**
+ * The weight tables one decision scores with: aiConstants' defaults with the
+ * profile's values on top. Groups the profile leaves alone are the shared
+ * defaults themselves, so treat the result as read-only.
+ * @param {Object|null} profile - Profile from resolveWeightProfile
+ * @returns {Object} { GROUP: { KEY: number } } for every tunable group
+ */
+export function resolveWeights(profile) {
+  if (!profile) return TUNABLE_CONSTANTS;
+  return Object.fromEntries(Object.entries(TUNABLE_CONSTANTS).map(([group, defaults]) =>
+    [group, profile[group] ? { ...defaults, ...profile[group] } : defaults]));
+}
+
+/**
+ * Weight tables for a decision context; the defaults when it carries none
+ * (callers outside aiLogic, such as tests and UI previews).
+ * @param {Object} [context] - Decision or evaluation context
+ * @returns {Object} Tables as returned by resolveWeights
+ */
+export const getWeights = (context) => context?.weights ?? TUNABLE_CONSTANTS;
+
+// Presets and the tuned weights are authored here — fail on load rather than mid-match
+const presetProblems = Object.entries({ ...WEIGHT_PROFILES, 'tunedWeights.json': TUNED_WEIGHTS })
+  .flatMap(([name, profile]) => validateWeightProfile(profile).map(problem => `${name}: ${problem}`));
+if (presetProblems.length > 0) {
+  throw new Error(`Invalid AI weight profiles:\n  ${presetProblems.join('\n  ')}`);
+}
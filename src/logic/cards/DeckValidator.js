@@ -0,0 +1,44 @@
+/**
+ * DeckValidator
+ * Validates a deck against the ship it is flown with at match start
+ */
+
+import { countOffFactionCards, buildFactionAllowances } from './deckBuilderHelpers.js';
+import { debugLog } from '../../utils/debugLogger.js';
+
+/**
+ * Validate a deck against a ship's faction card allowances
+ * @param {Array} cards - Deck cards: built card instances, or cards with a quantity
+ * @param {Object|null} ship - Ship card the deck is flown with
+ * @returns {Object} Validation result { valid, reasons }
+ */
+export const validateDeckForShip = (cards, ship) => {
+  const reasons = [];
+
+  const factionCounts = countOffFactionCards(cards || [], ship);
+  for (const allowance of buildFactionAllowances(factionCounts, ship)) {
+    if (allowance.isOverLimit) {
+      reasons.push({
+        type: 'faction_allowance_exceeded',
+        message: `${allowance.count} ${allowance.name} cards exceed the ${ship.name}'s allowance (${allowance.limit})`,
+        details: {
+          faction: allowance.factionId,
+          count: allowance.count,
+          limit: allowance.limit,
+          shipId: ship.id
+        }
+      });
+    }
+  }
+
+  debugLog('DECK_SELECTION', `Deck validated against ${ship?.id}: valid=${reasons.length === 0}`, { factionCounts, reasons });
+
+  return {
+    valid: reasons.length === 0,
+    reasons
+  };
+};
+
+export default {
+  validateDeckForShip
+};
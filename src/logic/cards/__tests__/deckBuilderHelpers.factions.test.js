@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isOffFactionCard,
+  countOffFactionCards,
+  buildFactionAllowances,
+  canAddFactionCard,
+} from '../deckBuilderHelpers.js';
+import { validateDeckForShip } from '../DeckValidator.js';
+
+const ship = { id: 'SHIP_X', name: 'Test Ship', faction: 'MOVEMENT', factionCardAllowances: { MARK: 2 } };
+const markCard = { id: 'MARK_A', faction: 'MARK' };
+const movementCard = { id: 'MOVE_A', faction: 'MOVEMENT' };
+const neutralCard = { id: 'NEUTRAL_A', faction: 'NEUTRAL_1' };
+
+describe('faction allowance helpers', () => {
+  it('only counts cards of other factions against the ship', () => {
+    expect(isOffFactionCard(markCard, ship)).toBe(true);
+    expect(isOffFactionCard(movementCard, ship)).toBe(false);
+    expect(isOffFactionCard(neutralCard, ship)).toBe(false);
+    expect(isOffFactionCard(movementCard, null)).toBe(true);
+  });
+
+  it('counts quantities, treating cards without one as single instances', () => {
+    const counts = countOffFactionCards([{ ...markCard, quantity: 2 }, markCard, { ...movementCard, quantity: 4 }, neutralCard], ship);
+    expect(counts).toEqual({ MARK: 3 });
+  });
+
+  it('builds a row per restricted faction, defaulting unlisted factions to none allowed', () => {
+    const unaligned = { ...ship, faction: null };
+    expect(buildFactionAllowances({ MARK: 3, MOVEMENT: 1 }, unaligned)).toEqual([
+      { factionId: 'MOVEMENT', name: 'Drift Syndicate', color: '#f97316', count: 1, limit: 0, isOverLimit: true },
+      { factionId: 'MARK', name: 'Targeting Array', color: '#ec4899', count: 3, limit: 2, isOverLimit: true },
+    ]);
+    expect(buildFactionAllowances({ MARK: 3 }, null)).toEqual([]);
+  });
+
+  it('stops adding off-faction cards at the allowance', () => {
+    expect(canAddFactionCard(markCard, { MARK: 1 }, ship)).toBe(true);
+    expect(canAddFactionCard(markCard, { MARK: 2 }, ship)).toBe(false);
+    expect(canAddFactionCard(movementCard, { MARK: 2 }, ship)).toBe(true);
+    expect(canAddFactionCard(markCard, { MARK: 9 }, null)).toBe(true);
+  });
+});
+
+describe('validateDeckForShip', () => {
+  it('accepts decks within the allowances', () => {
+    expect(validateDeckForShip([markCard, markCard, movementCard, neutralCard], ship)).toEqual({ valid: true, reasons: [] });
+  });
+
+  it('reports each faction over its allowance', () => {
+    const result = validateDeckForShip([markCard, markCard, markCard], ship);
+
+    expect(result.valid).toBe(false);
+    expect(result.reasons).toEqual([{
+      type: 'faction_allowance_exceeded',
+      message: "3 Targeting Array cards exceed the Test Ship's allowance (2)",
+      details: { faction: 'MARK', count: 3, limit: 2, shipId: 'SHIP_X' },
+    }]);
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import { compileScript } from '../effectScript.js';
+import { enrichCardsWithEffects } from '../effectsAdapter.js';
+import fullCardCollection from '../../../data/cardData';
+
+const authored = (id) => fullCardCollection.find(c => c.id === id).effects;
+
+// --- Compiles to the same chains as hand-authored cards ---
+
+describe('compileScript — equivalence with authored cards', () => {
+  it('chooseTarget with before/after compiles to PRE/POST conditionals (Condemnation Ray)', () => {
+    const { effects, problems } = compileScript([
+      {
+        do: 'chooseTarget',
+        target: { type: 'DRONE', affinity: 'ANY', location: 'ANY_LANE' },
+        effect: { type: 'DAMAGE', value: 2 },
+        before: [{ when: { type: 'TARGET_IS_MARKED' }, then: { type: 'BONUS_DAMAGE', value: 2 } }],
+        after: [{ when: { type: 'ON_DESTROY' }, then: { type: 'GAIN_ENERGY', value: 4 } }],
+      },
+    ]);
+
+    expect(problems).toEqual([]);
+    const withoutIds = (chain) => chain.map(e => ({ ...e, conditionals: e.conditionals.map(c => ({ ...c, id: undefined })) }));
+    expect(withoutIds(effects)).toEqual(withoutIds(authored('CONDEMNATION_RAY')));
+  });
+
+  it('bound names become back-references (Feint)', () => {
+    const { effects, problems } = compileScript([
+      { do: 'chooseTarget', as: 'decoy', target: { type: 'DRONE', affinity: 'FRIENDLY', location: 'ANY_LANE' }, effect: { type: 'EXHAUST_DRONE' } },
+      {
+        do: 'chooseTarget',
+        target: {
+          type: 'DRONE', affinity: 'ENEMY', location: '$decoy.sourceLane',
+          restrictions: [{ type: 'STAT_COMPARISON', stat: 'speed', comparison: 'LT', reference: '$decoy', referenceStat: 'speed' }],
+        },
+        effect: { type: 'EXHAUST_DRONE' },
+      },
+    ]);
+
+    expect(problems).toEqual([]);
+    expect(effects).toEqual(authored('FEINT'));
+  });
+
+  it('forEachDroneInLane compiles to filtered lane targeting (Sidewinder Missiles)', () => {
+    const { effects, problems } = compileScript([
+      {
+        do: 'forEachDroneInLane',
+        lane: { affinity: 'ENEMY' },
+        where: { stat: 'speed', comparison: 'LTE', value: 4 },
+        effect: { type: 'DAMAGE', value: 2 },
+      },
+    ]);
+
+    expect(problems).toEqual([]);
+    expect(effects).toEqual(authored('SIDEWINDER_MISSILES'));
+  });
+});
+
+// --- Primitives ---
+
+describe('compileScript — primitives', () => {
+  it('passes raw effects through, defaulting to no targeting', () => {
+    const { effects } = compileScript([{ type: 'DRAW', value: 1, goAgain: true }]);
+    expect(effects).toEqual([{ type: 'DRAW', value: 1, goAgain: true, targeting: { type: 'NONE' } }]);
+  });
+
+  it('accepts a top-level sequence node', () => {
+    const { effects, problems } = compileScript({ do: 'sequence', steps: [{ type: 'DRAW', value: 1 }, { type: 'GAIN_ENERGY', value: 1 }] });
+    expect(problems).toEqual([]);
+    expect(effects.map(e => e.type)).toEqual(['DRAW', 'GAIN_ENERGY']);
+  });
+
+  it('compiles nested sequences to COMPOSITE_EFFECT', () => {
+    const { effects } = compileScript([
+      {
+        do: 'chooseTarget',
+        target: { type: 'DRONE', affinity: 'ENEMY', location: 'ANY_LANE' },
+        effect: { type: 'DAMAGE', value: 1 },
+        after: [{ when: { type: 'ON_DESTROY' }, then: { do: 'sequence', steps: [{ type: 'DRAW', value: 1 }, { type: 'GAIN_ENERGY', value: 2 }] } }],
+      },
+    ]);
+
+    expect(effects[0].conditionals[0].grantedEffect).toEqual({
+      type: 'COMPOSITE_EFFECT',
+      effects: [{ type: 'DRAW', value: 1 }, { type: 'GAIN_ENERGY', value: 2 }],
+    });
+  });
+
+  it('hits every drone in the lane when forEachDroneInLane has no filter', () => {
+    const { effects } = compileScript([{ do: 'forEachDroneInLane', lane: { affinity: 'ENEMY' }, effect: { type: 'DESTROY' } }]);
+    expect(effects[0].targeting.affectedFilter).toEqual([{ stat: 'hull', comparison: 'GTE', value: 0 }]);
+  });
+
+  it('keeps chain fields such as prompt and destination on the step', () => {
+    const { effects } = compileScript([
+      {
+        do: 'chooseTarget',
+        target: { type: 'DRONE', affinity: 'FRIENDLY', location: 'ANY_LANE' },
+        effect: { type: 'SINGLE_MOVE' },
+        destination: { type: 'LANE', location: 'ADJACENT_TO_PRIMARY' },
+        prompt: 'Select a drone to move',
+      },
+    ]);
+
+    expect(effects[0]).toEqual(expect.objectContaining({
+      type: 'SINGLE_MOVE',
+      prompt: 'Select a drone to move',
+      destination: { type: 'LANE', location: 'ADJACENT_TO_PRIMARY' },
+    }));
+  });
+});
+
+// --- Compile errors ---
+
+describe('compileScript — problems', () => {
+  it('reports unbound names, unknown fields and self references', () => {
+    const { problems } = compileScript([
+      { do: 'chooseTarget', as: 'first', target: { type: 'DRONE', affinity: 'ANY', location: '$first.sourceLane' }, effect: { type: 'EXHAUST_DRONE' } },
+      { do: 'chooseTarget', target: { type: 'DRONE', affinity: 'ANY', location: '$first.hull' }, effect: { type: 'EXHAUST_DRONE' } },
+    ]);
+
+    expect(problems).toEqual([
+      "script[0]: '$first.sourceLane' refers to an unbound name",
+      "script[1]: '$first.hull' has unknown field 'hull'",
+    ]);
+  });
+
+  it('reports lane loops over effects that cannot apply lane-wide', () => {
+    const { problems } = compileScript([
+      { do: 'forEachDroneInLane', lane: { affinity: 'ENEMY' }, effect: { type: 'DRAW', value: 1 } },
+      { do: 'forEachDroneInLane', lane: { affinity: 'FRIENDLY' }, where: { stat: 'speed', comparison: 'GTE', value: 3 }, effect: { type: 'MODIFY_STAT', mod: { stat: 'attack', value: 1 } } },
+    ]);
+
+    expect(problems).toEqual([
+      'script[0]: DRAW cannot apply to every drone in a lane',
+      "script[1]: MODIFY_STAT applies to the whole lane and cannot take 'where'",
+    ]);
+  });
+
+  it('reports unknown steps, nested target choices and malformed conditionals', () => {
+    const { problems } = compileScript([
+      { do: 'repeat', effect: { type: 'DRAW', value: 1 } },
+      {
+        do: 'chooseTarget',
+        target: { type: 'DRONE', affinity: 'ENEMY', location: 'ANY_LANE' },
+        effect: { do: 'chooseTarget', target: { type: 'DRONE' }, effect: { type: 'DAMAGE', value: 1 } },
+        after: [{ when: { type: 'ON_DESTROY' } }],
+      },
+    ]);
+
+    expect(problems).toEqual([
+      "script[0]: unknown step 'repeat'",
+      "script[1].effect: 'chooseTarget' chooses a target and is only allowed as a top-level step",
+      "script[1].after[0]: conditional needs 'when' and 'then'",
+    ]);
+  });
+
+  it('rejects an empty script', () => {
+    expect(compileScript([]).problems).toHaveLength(1);
+  });
+});
+
+// --- Load-time hook ---
+
+describe('enrichCardsWithEffects — scripts', () => {
+  const card = (overrides) => ({ id: 'TEST_CARD', name: 'Test Card', ...overrides });
+
+  it('replaces a card script with its compiled effects', () => {
+    const [enriched] = enrichCardsWithEffects([card({
+      script: [{ do: 'chooseTarget', target: { type: 'DRONE', affinity: 'ENEMY', location: 'ANY_LANE' }, effect: { type: 'DAMAGE', value: 3 } }],
+    })]);
+
+    expect(enriched.effects).toEqual([{ type: 'DAMAGE', value: 3, targeting: { type: 'DRONE', affinity: 'ENEMY', location: 'ANY_LANE' } }]);
+  });
+
+  it('throws with every problem when a card does not compile or validate', () => {
+    expect(() => enrichCardsWithEffects([
+      card({ script: [{ do: 'chooseTarget', target: { type: 'DRONE', affinity: 'ENEMY', location: 'ANY_LANE' }, effect: { type: 'DAMAGE' } }] }),
+      card({ id: 'OTHER_CARD', effects: [{ type: 'TELEPORT', targeting: { type: 'NONE' } }] }),
+    ])).toThrow(/TEST_CARD effects\[0\]: DAMAGE is missing 'value'[\s\S]*OTHER_CARD effects\[0\]: unknown effect type 'TELEPORT'/);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Break circular import: DamageEffectProcessor/DestroyEffectProcessor → gameLogic.js → CardPlayManager → EffectRouter
+vi.mock('../../gameLogic.js', () => ({
+  gameEngine: {}
+}));
+
+import { validateEffects, EFFECT_REQUIRED_FIELDS, CONDITION_TYPES } from '../effectValidator.js';
+import EffectRouter from '../../EffectRouter.js';
+import ConditionEvaluator from '../../effects/conditional/ConditionEvaluator.js';
+
+const drone = { type: 'DRONE', affinity: 'ENEMY', location: 'ANY_LANE' };
+
+describe('effectValidator — tables', () => {
+  it('knows exactly the effect types EffectRouter routes', () => {
+    expect(Object.keys(EFFECT_REQUIRED_FIELDS).sort()).toEqual(Object.keys(new EffectRouter().processors).sort());
+  });
+
+  it('knows exactly the condition types ConditionEvaluator handles', () => {
+    expect([...CONDITION_TYPES].sort()).toEqual(Object.keys(new ConditionEvaluator().handlers).sort());
+  });
+});
+
+describe('validateEffects', () => {
+  it('accepts a well-formed chain', () => {
+    expect(validateEffects([
+      { type: 'DAMAGE', value: 2, targeting: drone, conditionals: [
+        { id: 'a', timing: 'PRE', condition: { type: 'TARGET_IS_MARKED' }, grantedEffect: { type: 'BONUS_DAMAGE', value: 1 } },
+        { id: 'b', timing: 'POST', condition: { type: 'ON_DESTROY' }, grantedEffect: { type: 'GO_AGAIN' } },
+      ] },
+      { type: 'DISCARD_CARD', targeting: { type: 'CARD_IN_HAND', affinity: 'FRIENDLY' } },
+      { type: 'EXHAUST_DRONE', targeting: { ...drone, location: { ref: 0, field: 'sourceLane' } } },
+    ])).toEqual([]);
+  });
+
+  it('reports unknown effect types, including inside composites', () => {
+    expect(validateEffects([
+      { type: 'TELEPORT', targeting: drone },
+      { type: 'COMPOSITE_EFFECT', effects: [{ type: 'DRAW', value: 1 }, { type: 'SHUFFLE' }], targeting: { type: 'NONE' } },
+    ])).toEqual([
+      "effects[0]: unknown effect type 'TELEPORT'",
+      "effects[1].effects[1]: unknown effect type 'SHUFFLE'",
+    ]);
+  });
+
+  it('reports missing required fields and targeting', () => {
+    expect(validateEffects([{ type: 'SPLASH_DAMAGE', primaryDamage: 2 }])).toEqual([
+      "effects[0]: SPLASH_DAMAGE is missing 'splashDamage'",
+      "effects[0]: SPLASH_DAMAGE is missing 'targeting.type'",
+    ]);
+  });
+
+  it('reports unknown conditions and outcome conditions checked before the effect', () => {
+    expect(validateEffects([
+      { type: 'DAMAGE', value: 2, targeting: drone, conditionals: [
+        { id: 'a', timing: 'POST', condition: { type: 'IS_LUCKY' }, grantedEffect: { type: 'DRAW', value: 1 } },
+        { id: 'b', timing: 'PRE', condition: { type: 'ON_DESTROY' }, grantedEffect: { type: 'DRAW', value: 1 } },
+      ] },
+    ])).toEqual([
+      "effects[0].conditionals[0]: unknown condition type 'IS_LUCKY'",
+      "effects[0].conditionals[1]: ON_DESTROY reads the effect's outcome and needs POST timing",
+    ]);
+  });
+
+  it('only allows grant-only effects at the timing that applies them', () => {
+    expect(validateEffects([
+      { type: 'DAMAGE', value: 2, targeting: drone, conditionals: [
+        { id: 'a', timing: 'POST', condition: { type: 'ON_DESTROY' }, grantedEffect: { type: 'BONUS_DAMAGE', value: 1 } },
+      ] },
+    ])).toEqual(["effects[0].conditionals[0].grantedEffect: unknown effect type 'BONUS_DAMAGE'"]);
+  });
+
+  it('reports back-references that do not point to an earlier effect', () => {
+    expect(validateEffects([
+      { type: 'EXHAUST_DRONE', targeting: { ...drone, location: { ref: 0, field: 'sourceLane' } } },
+    ])).toEqual(['effects[0]: back-reference ref=0 must point to an earlier effect']);
+  });
+
+  it('rejects an empty chain', () => {
+    expect(validateEffects([])).toEqual(['effects: expected a non-empty effects array']);
+  });
+});
@@ -3,9 +3,11 @@
  * Pure utility functions for deck builder data processing
  *
  * Extracted from useDeckBuilderData.js — keyword extraction, targeting text,
- * sorting, and distribution helpers with no React dependencies.
+ * sorting, distribution and faction allowance helpers with no React dependencies.
  */
 
+import { FACTIONS } from '../../data/factionData.js';
+
 // ========================================
 // KEYWORD PROCESSING
 // ========================================
@@ -177,3 +179,63 @@ export const buildKeywordDistribution = (items) => {
     .map(([name, value]) => ({ name, value }))
     .sort((a, b) => b.value - a.value);
 };
+
+// ========================================
+// FACTION ALLOWANCES
+// ========================================
+
+/**
+ * Check whether a card counts against a ship's faction card allowances
+ * Neutral cards and cards of the ship's own faction never do.
+ * @param {Object} card - Card with a faction id
+ * @param {Object|null} ship - Ship card with faction and factionCardAllowances
+ * @returns {boolean} True if the card is off-faction for this ship
+ */
+export const isOffFactionCard = (card, ship) =>
+  FACTIONS[card?.faction]?.type === 'faction' && card.faction !== ship?.faction;
+
+/**
+ * Count off-faction cards in a deck, per faction
+ * @param {Array} cards - Cards with optional quantity (card instances count once each)
+ * @param {Object|null} ship - Ship the deck is built for
+ * @returns {Object} { factionId: count }
+ */
+export const countOffFactionCards = (cards, ship) => {
+  const counts = {};
+  cards.forEach(card => {
+    if (isOffFactionCard(card, ship)) {
+      counts[card.faction] = (counts[card.faction] || 0) + (card.quantity ?? 1);
+    }
+  });
+  return counts;
+};
+
+/**
+ * Build one allowance row per faction the ship restricts, for display and validation
+ * @param {Object} factionCounts - { factionId: count } from countOffFactionCards
+ * @param {Object|null} ship - Ship the deck is built for (no rows without a ship)
+ * @returns {Array<{factionId: string, name: string, color: string, count: number, limit: number, isOverLimit: boolean}>}
+ */
+export const buildFactionAllowances = (factionCounts, ship) => {
+  if (!ship) return [];
+
+  return Object.values(FACTIONS)
+    .filter(faction => faction.type === 'faction' && faction.id !== ship.faction)
+    .map(faction => {
+      const count = factionCounts[faction.id] || 0;
+      const limit = ship.factionCardAllowances?.[faction.id] ?? 0;
+      return { factionId: faction.id, name: faction.name, color: faction.color, count, limit, isOverLimit: count > limit };
+    });
+};
+
+/**
+ * Check whether one more copy of a card fits the ship's faction allowances
+ * @param {Object} card - Card to add
+ * @param {Object} factionCounts - Current { factionId: count }
+ * @param {Object|null} ship - Ship the deck is built for
+ * @returns {boolean} True if the card can be added
+ */
+export const canAddFactionCard = (card, factionCounts, ship) => {
+  if (!ship || !isOffFactionCard(card, ship)) return true;
+  return (factionCounts[card.faction] || 0) < (ship.factionCardAllowances?.[card.faction] ?? 0);
+};
@@ -3,7 +3,11 @@
 // ========================================
 // Functions for generating and parsing deck export codes
 // Key behavior: Entries with quantity 0 are filtered out (defensive)
-// Format: JS object literal with { shipId, decklist, dronePool, shipComponents }
+// Format: JS object literal with { shipId, decklist, factionCards, dronePool, shipComponents }
+// factionCards is derived from decklist for readers of the code; imports recompute it
+
+import fullCardCollection from '../../data/cardData.js';
+import { FACTIONS } from '../../data/factionData.js';
 
 // ========================================
 // COMPONENT TYPE MAPPINGS
@@ -329,6 +333,23 @@ function serializeObject(obj, indent) {
 // FORMAT CONVERTERS
 // ========================================
 
+/**
+ * Count the faction (non-neutral) cards in a decklist
+ *
+ * @param {Array} decklist - [{ id, quantity }]
+ * @returns {Object} { factionId: count }
+ */
+export const countDecklistFactions = (decklist) => {
+  const counts = {};
+  (decklist || []).forEach(({ id, quantity }) => {
+    const faction = fullCardCollection.find(c => c.id === id)?.faction;
+    if (FACTIONS[faction]?.type === 'faction') {
+      counts[faction] = (counts[faction] || 0) + quantity;
+    }
+  });
+  return counts;
+};
+
 /**
  * Convert internal deck state to aiData format
  *
@@ -358,6 +379,7 @@ export const convertToAIFormat = (deck, selectedDrones, selectedShipComponents,
   return {
     shipId: selectedShip?.id || 'SHIP_001',
     decklist,
+    factionCards: countDecklistFactions(decklist),
     dronePool,
     shipComponents: selectedShipComponents || {}
   };
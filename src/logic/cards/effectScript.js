@@ -0,0 +1,205 @@
+// --- Effect Script ---
+// A small declarative language for authoring a card's effects[] chain.
+// A card may define `script` instead of `effects`; compileScript turns it into
+// an ordinary chain built only from existing EffectRouter effect types,
+// targeting definitions and ConditionEvaluator conditions, so nothing
+// downstream knows scripts exist. effectsAdapter compiles scripts at load.
+//
+// Steps (top level — one chain entry, and one target selection, per step):
+//   { type: ... }                                 raw effect, passed through
+//   { do: 'chooseTarget', target, effect }        effect on a target the player picks
+//   { do: 'forEachDroneInLane', lane, where?, effect }
+//                                                 effect on every drone (matching
+//                                                 `where`) in a lane the player picks
+// Any step may add:
+//   as: 'name'                                    bind the step's result for later steps
+//   before: [{ when, then }]                      PRE conditionals
+//   after: [{ when, then }]                       POST conditionals
+// Values:
+//   '$name' / '$name.field'                       an earlier binding; field is one of
+//                                                 target, sourceLane, destinationLane, cardCost
+// Nested effects (`effect`, `then`) may be a raw effect or
+//   { do: 'sequence', steps: [...] }              run in order (COMPOSITE_EFFECT)
+// The script itself is an array of steps or a top-level sequence.
+
+const DSL_KEYS = new Set(['do', 'as', 'target', 'effect', 'lane', 'where', 'before', 'after']);
+
+const REF_FIELDS = ['target', 'sourceLane', 'destinationLane', 'cardCost'];
+const BINDING_PATTERN = /^\$([A-Za-z_]\w*)(?:\.(\w+))?$/;
+
+// Effect types whose processors act on every drone in a targeted lane → whether they honour a filter
+const LANE_EFFECT_FILTERABLE = {
+  DAMAGE: true,
+  DESTROY: true,
+  MODIFY_STAT: false,
+};
+
+// Filtered lane processors only run with a filter present; this one matches every drone
+const EVERY_DRONE_FILTER = { stat: 'hull', comparison: 'GTE', value: 0 };
+
+// Copy the step's effect-level fields (goAgain, prompt, destination, ...) without DSL keys
+function effectFields(step) {
+  const fields = {};
+  for (const key of Object.keys(step)) {
+    if (!DSL_KEYS.has(key)) fields[key] = step[key];
+  }
+  return fields;
+}
+
+function compileNestedEffect(node, path, problems) {
+  if (!node || typeof node !== 'object') {
+    problems.push(`${path}: expected an effect`);
+    return {};
+  }
+
+  if (node.do === 'sequence') {
+    if (!Array.isArray(node.steps) || node.steps.length === 0) {
+      problems.push(`${path}: sequence needs at least one step`);
+      return {};
+    }
+    return {
+      type: 'COMPOSITE_EFFECT',
+      effects: node.steps.map((step, i) => compileNestedEffect(step, `${path}.steps[${i}]`, problems)),
+    };
+  }
+
+  if (node.do !== undefined) {
+    problems.push(`${path}: '${node.do}' chooses a target and is only allowed as a top-level step`);
+    return {};
+  }
+
+  return { ...node };
+}
+
+function compileConditionals(step, path, problems) {
+  const conditionals = [...(step.conditionals || [])];
+
+  for (const [key, timing] of [['before', 'PRE'], ['after', 'POST']]) {
+    (step[key] || []).forEach((entry, i) => {
+      const entryPath = `${path}.${key}[${i}]`;
+      if (!entry?.when || !entry?.then) {
+        problems.push(`${entryPath}: conditional needs 'when' and 'then'`);
+        return;
+      }
+      conditionals.push({
+        id: `${key}-${i}`,
+        timing,
+        condition: entry.when,
+        grantedEffect: compileNestedEffect(entry.then, `${entryPath}.then`, problems),
+      });
+    });
+  }
+
+  return conditionals;
+}
+
+function compileStep(step, path, problems) {
+  if (!step || typeof step !== 'object') {
+    problems.push(`${path}: expected a step`);
+    return {};
+  }
+
+  let effect;
+  switch (step.do) {
+    case undefined:
+      effect = { targeting: { type: 'NONE' }, ...effectFields(step) };
+      break;
+
+    case 'chooseTarget':
+      if (typeof step.target?.type !== 'string') {
+        problems.push(`${path}: chooseTarget needs a target with a type`);
+      }
+      effect = {
+        ...compileNestedEffect(step.effect, `${path}.effect`, problems),
+        ...effectFields(step),
+        targeting: step.target,
+      };
+      break;
+
+    case 'forEachDroneInLane': {
+      effect = { ...compileNestedEffect(step.effect, `${path}.effect`, problems), ...effectFields(step) };
+      const filterable = LANE_EFFECT_FILTERABLE[effect.type];
+      if (filterable === undefined) {
+        problems.push(`${path}: ${effect.type} cannot apply to every drone in a lane`);
+      } else if (step.where && !filterable) {
+        problems.push(`${path}: ${effect.type} applies to the whole lane and cannot take 'where'`);
+      }
+      effect.targeting = {
+        affinity: 'ENEMY',
+        ...step.lane,
+        type: 'LANE',
+        ...(filterable && { affectedFilter: [step.where || EVERY_DRONE_FILTER] }),
+      };
+      break;
+    }
+
+    default:
+      problems.push(`${path}: unknown step '${step.do}'`);
+      return {};
+  }
+
+  const conditionals = compileConditionals(step, path, problems);
+  if (conditionals.length > 0) effect.conditionals = conditionals;
+  return effect;
+}
+
+// Replace '$name.field' strings with the chain's { ref, field } back-references
+function bindReferences(value, bindings, path, problems) {
+  if (typeof value === 'string') {
+    const match = BINDING_PATTERN.exec(value);
+    if (!match) return value;
+
+    const [, name, field = 'target'] = match;
+    if (!bindings.has(name)) {
+      problems.push(`${path}: '${value}' refers to an unbound name`);
+      return value;
+    }
+    if (!REF_FIELDS.includes(field)) {
+      problems.push(`${path}: '${value}' has unknown field '${field}'`);
+      return value;
+    }
+    return { ref: bindings.get(name), field };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => bindReferences(item, bindings, path, problems));
+  }
+
+  if (value && typeof value === 'object') {
+    const bound = {};
+    for (const [key, item] of Object.entries(value)) {
+      bound[key] = bindReferences(item, bindings, path, problems);
+    }
+    return bound;
+  }
+
+  return value;
+}
+
+/**
+ * Compile an effect script into an effects[] chain.
+ * @param {Array<Object>|Object} script - Steps, or { do: 'sequence', steps }
+ * @returns {{ effects: Array<Object>, problems: Array<string> }} Problems are empty on success
+ */
+export function compileScript(script) {
+  const problems = [];
+  const steps = Array.isArray(script) ? script : script?.do === 'sequence' ? script.steps : null;
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { effects: [], problems: ['script: expected a non-empty array of steps or a sequence'] };
+  }
+
+  const bindings = new Map();
+  const effects = steps.map((step, i) => {
+    const path = `script[${i}]`;
+    const effect = bindReferences(compileStep(step, path, problems), bindings, path, problems);
+
+    if (step?.as) {
+      if (bindings.has(step.as)) problems.push(`${path}: '${step.as}' is already bound`);
+      bindings.set(step.as, i);
+    }
+    return effect;
+  });
+
+  return { effects, problems };
+}
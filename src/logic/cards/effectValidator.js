@@ -0,0 +1,183 @@
+// --- Effect Validator ---
+// Load-time checks for card effects[] chains: effect types no processor handles,
+// missing required fields, unknown or mistimed conditions, and back-references
+// that point forward. Plain tables rather than processor imports, so data
+// modules can run it without loading the effect engine. Tests keep the tables
+// in step with EffectRouter and ConditionEvaluator.
+
+// Effect types routed through EffectRouter → fields the processor cannot do without
+export const EFFECT_REQUIRED_FIELDS = {
+  DRAW: ['value'],
+  GAIN_ENERGY: ['value'],
+  READY_DRONE: [],
+  HEAL_HULL: ['value'],
+  HEAL_SHIELDS: ['value'],
+  RESTORE_SECTION_SHIELDS: ['value'],
+  DAMAGE: ['value'],
+  DAMAGE_SCALING: ['source'],
+  SPLASH_DAMAGE: ['primaryDamage', 'splashDamage'],
+  OVERFLOW_DAMAGE: ['baseDamage'],
+  CONDITIONAL_SECTION_DAMAGE: ['condition', 'damage', 'targets'],
+  DESTROY: [],
+  DESTROY_TECH: [],
+  MODIFY_STAT: ['mod'],
+  MODIFY_DRONE_BASE: ['mod'],
+  DESTROY_UPGRADE: [],
+  SINGLE_MOVE: [],
+  REPEATING_EFFECT: ['effects', 'repeatCondition'],
+  COMPOSITE_EFFECT: ['effects'],
+  CREATE_TOKENS: ['tokenName'],
+  CREATE_TECH: ['tokenName'],
+  SEARCH_AND_DRAW: ['searchCount', 'drawCount'],
+  DRAW_THEN_DISCARD: ['value'],
+  MARK_DRONE: [],
+  INCREASE_THREAT: ['value'],
+  DISCARD: ['count'],
+  DRAIN_ENERGY: ['amount'],
+  STEAL_ENERGY: ['amount'],
+  EXHAUST_DRONE: [],
+  APPLY_CANNOT_MOVE: [],
+  APPLY_CANNOT_ATTACK: [],
+  APPLY_CANNOT_INTERCEPT: [],
+  APPLY_DOES_NOT_READY: [],
+  APPLY_SNARED: [],
+  APPLY_SUPPRESSED: [],
+  CLEAR_ALL_STATUS: [],
+};
+
+// Handled by EffectChainProcessor itself — valid as a chain entry only
+const CHAIN_EFFECT_REQUIRED_FIELDS = {
+  DISCARD_CARD: [],
+};
+
+// Granted-effect types that modify the parent effect or the turn instead of routing
+const GRANT_ONLY_FIELDS = {
+  PRE: { BONUS_DAMAGE: ['value'], OVERRIDE_VALUE: ['property', 'value'] },
+  POST: { GO_AGAIN: [] },
+};
+
+// Condition types handled by ConditionEvaluator
+export const CONDITION_TYPES = [
+  'TARGET_IS_MARKED',
+  'TARGET_IS_EXHAUSTED',
+  'TARGET_IS_READY',
+  'TARGET_STAT_GTE',
+  'TARGET_STAT_LTE',
+  'TARGET_STAT_GT',
+  'TARGET_STAT_LT',
+  'ON_DESTROY',
+  'ON_HULL_DAMAGE',
+  'ON_SHIP_SECTION_HULL_DAMAGE',
+  'ON_MOVE',
+  'OPPONENT_HAS_MORE_IN_LANE',
+  'SECTION_EXPOSED',
+  'LANE_HAS_ENEMY_WITH_STATUS',
+  'NOT_FIRST_ACTION',
+];
+
+// Conditions that read the primary effect's outcome — meaningless before it resolves
+const OUTCOME_CONDITION_TYPES = [
+  'ON_DESTROY',
+  'ON_HULL_DAMAGE',
+  'ON_SHIP_SECTION_HULL_DAMAGE',
+  'ON_MOVE',
+  'OPPONENT_HAS_MORE_IN_LANE',
+];
+
+const CONDITIONAL_TIMINGS = ['PRE', 'POST', 'PRE_TARGETING'];
+
+const isRef = (value) => !!value && typeof value === 'object' && 'ref' in value;
+
+function collectRefs(value, refs = []) {
+  if (isRef(value)) {
+    refs.push(value.ref);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectRefs(item, refs));
+  }
+  return refs;
+}
+
+function checkFields(effect, required, path, problems) {
+  for (const field of required) {
+    if (effect[field] === undefined) problems.push(`${path}: ${effect.type} is missing '${field}'`);
+  }
+}
+
+function validateEffect(effect, path, problems, { isChainEntry = false, grantTiming = null } = {}) {
+  if (!effect || typeof effect !== 'object' || typeof effect.type !== 'string') {
+    problems.push(`${path}: effect has no type`);
+    return;
+  }
+
+  const required = EFFECT_REQUIRED_FIELDS[effect.type]
+    ?? (isChainEntry ? CHAIN_EFFECT_REQUIRED_FIELDS[effect.type] : undefined)
+    ?? (grantTiming ? GRANT_ONLY_FIELDS[grantTiming]?.[effect.type] : undefined);
+
+  if (!required) {
+    problems.push(`${path}: unknown effect type '${effect.type}'`);
+    return;
+  }
+  checkFields(effect, required, path, problems);
+
+  if (isChainEntry && typeof effect.targeting?.type !== 'string') {
+    problems.push(`${path}: ${effect.type} is missing 'targeting.type'`);
+  }
+
+  if (Array.isArray(effect.effects)) {
+    effect.effects.forEach((sub, i) => validateEffect(sub, `${path}.effects[${i}]`, problems));
+  }
+
+  (effect.conditionals || []).forEach((conditional, i) => {
+    validateConditional(conditional, `${path}.conditionals[${i}]`, problems);
+  });
+}
+
+function validateConditional(conditional, path, problems) {
+  const { timing, condition, grantedEffect } = conditional || {};
+
+  if (!CONDITIONAL_TIMINGS.includes(timing)) {
+    problems.push(`${path}: unknown timing '${timing}'`);
+    return;
+  }
+
+  if (!CONDITION_TYPES.includes(condition?.type)) {
+    problems.push(`${path}: unknown condition type '${condition?.type}'`);
+  } else if (timing !== 'POST' && OUTCOME_CONDITION_TYPES.includes(condition.type)) {
+    problems.push(`${path}: ${condition.type} reads the effect's outcome and needs POST timing`);
+  }
+
+  if (timing === 'PRE_TARGETING') {
+    if (!conditional.targetingOverride) problems.push(`${path}: PRE_TARGETING conditional is missing 'targetingOverride'`);
+    return;
+  }
+
+  validateEffect(grantedEffect, `${path}.grantedEffect`, problems, { grantTiming: timing });
+}
+
+/**
+ * Check an effects[] chain against the effect engine's contract.
+ * @param {Array<Object>} effects - Chain entries (card.effects)
+ * @param {string} [path='effects'] - Prefix for reported locations
+ * @returns {Array<string>} Problems found, empty when the chain is valid
+ */
+export function validateEffects(effects, path = 'effects') {
+  if (!Array.isArray(effects) || effects.length === 0) {
+    return [`${path}: expected a non-empty effects array`];
+  }
+
+  const problems = [];
+  effects.forEach((effect, i) => {
+    const entryPath = `${path}[${i}]`;
+    validateEffect(effect, entryPath, problems, { isChainEntry: true });
+
+    for (const ref of collectRefs(effect)) {
+      if (!Number.isInteger(ref) || ref < 0 || ref >= i) {
+        problems.push(`${entryPath}: back-reference ref=${ref} must point to an earlier effect`);
+      }
+    }
+  });
+  return problems;
+}
+
@@ -2,9 +2,36 @@
 // All cards now define native effects[]; consumers read effects[] directly.
 // The backward-compat layer (card.effect, card.targeting, card.conditionalEffects)
 // has been removed — all consumers migrated to card.effects[0].
+//
+// Load-time pass over the card collection: cards authored with an effect
+// script (see effectScript.js) get their effects[] compiled here, then every
+// chain is validated. Problems throw, so a broken card fails on load instead
+// of silently doing nothing mid-game.
+
+import { compileScript } from './effectScript.js';
+import { validateEffects } from './effectValidator.js';
 
 function enrichCardsWithEffects(cards) {
-  return cards;
+  const problems = [];
+
+  const enriched = cards.map((card) => {
+    let effects = card.effects;
+
+    if (card.script) {
+      const compiled = compileScript(card.script);
+      problems.push(...compiled.problems.map(problem => `${card.id} ${problem}`));
+      effects = compiled.effects;
+    }
+
+    problems.push(...validateEffects(effects).map(problem => `${card.id} ${problem}`));
+    return effects === card.effects ? card : { ...card, effects };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid card effects:\n  ${problems.join('\n  ')}`);
+  }
+
+  return enriched;
 }
 
 export { enrichCardsWithEffects };
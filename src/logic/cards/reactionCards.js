@@ -0,0 +1,24 @@
+// ========================================
+// REACTION CARDS
+// ========================================
+// Cards flagged `reaction: true` can also be played out of turn, in the
+// response window a player gets before their opponent's ordered triggers
+// resolve (TRIGGER_RESOLUTION_MODES.PLAYER_CHOICE).
+
+/**
+ * @param {Object} card - Card definition or hand instance
+ * @returns {boolean} Whether the card is Reaction speed
+ */
+export const isReactionCard = (card) => card?.reaction === true;
+
+/**
+ * Reaction cards in hand that the player can pay for
+ * @param {Object} playerState - Player state (hand, energy, momentum)
+ * @returns {Array<Object>} Playable reaction card instances
+ */
+export const getPlayableReactionCards = (playerState) =>
+  (playerState?.hand || []).filter(card =>
+    isReactionCard(card) &&
+    (playerState.energy || 0) >= (card.cost || 0) &&
+    (playerState.momentum || 0) >= (card.momentumCost || 0)
+  );
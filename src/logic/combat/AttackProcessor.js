@@ -39,7 +39,7 @@ import { buildAnimationSequence } from '../animations/AnimationSequenceBuilder.j
  * @returns {Object} { newPlayerStates, shouldEndTurn, attackResult, animationEvents }
  */
 export const resolveAttack = (attackDetails, playerStates, placedSections, logCallback) => {
-    const { attacker, target, targetType, interceptor, attackingPlayer, abilityDamage, goAgain, damageType, lane, aiContext, sourceCardInstanceId } = attackDetails;
+    const { attacker, target, targetType, interceptor, attackingPlayer, abilityDamage, goAgain, damageType, lane, aiContext, sourceCardInstanceId, pairSet, chainDepth } = attackDetails;
     const isAbilityOrCard = abilityDamage !== undefined;
 
     const finalTarget = interceptor || target;
@@ -361,6 +361,9 @@ export const resolveAttack = (attackDetails, playerStates, placedSections, logCa
     };
 
     // Apply damage to defender
+    // Drone target outcome, for the target's own ON_SHIELDS_BROKEN / ON_DESTROYED triggers
+    let damagedDrone = null;
+
     if (finalTargetType === 'drone') {
         let droneDestroyed = false;
         let foundTarget = false;
@@ -376,9 +379,12 @@ export const resolveAttack = (attackDetails, playerStates, placedSections, logCa
                     newPlayerStates[defendingPlayerId].dronesOnBoard[laneKey] =
                         newPlayerStates[defendingPlayerId].dronesOnBoard[laneKey].filter(d => d.id !== finalTarget.id);
                     Object.assign(newPlayerStates[defendingPlayerId], onDroneDestroyed(newPlayerStates[defendingPlayerId], destroyedDrone));
+                    damagedDrone = { drone: destroyedDrone, lane: laneKey, destroyed: true };
                 } else {
-                    newPlayerStates[defendingPlayerId].dronesOnBoard[laneKey][targetIndex].hull -= hullDamage;
-                    newPlayerStates[defendingPlayerId].dronesOnBoard[laneKey][targetIndex].currentShields -= shieldDamage;
+                    const survivor = newPlayerStates[defendingPlayerId].dronesOnBoard[laneKey][targetIndex];
+                    survivor.hull -= hullDamage;
+                    survivor.currentShields -= shieldDamage;
+                    damagedDrone = { drone: survivor, lane: laneKey, destroyed: false };
                 }
                 break;
             }
@@ -534,6 +540,31 @@ export const resolveAttack = (attackDetails, playerStates, placedSections, logCa
         }
     }
 
+    // ON_SHIELDS_BROKEN / ON_DESTROYED: the damaged drone's own reaction, after the attacker's
+    // and counter triggers. Shares the pair set and depth of any chain this attack is part of.
+    if (damagedDrone && (damagedDrone.destroyed || (shieldDamage > 0 && damagedDrone.drone.currentShields <= 0))) {
+        const selfResult = triggerProcessor.fireTrigger(
+            damagedDrone.destroyed ? TRIGGER_TYPES.ON_DESTROYED : TRIGGER_TYPES.ON_SHIELDS_BROKEN,
+            {
+                lane: damagedDrone.lane,
+                triggeringDrone: damagedDrone.drone,
+                triggeringPlayerId: defendingPlayerId,
+                actingPlayerId: attackingPlayerId,
+                playerStates: newPlayerStates,
+                placedSections,
+                logCallback,
+                pairSet: pairSet || new Set(),
+                chainDepth: chainDepth || 0,
+                skipLivenessCheck: damagedDrone.destroyed
+            }
+        );
+        if (selfResult.triggered) {
+            newPlayerStates[attackingPlayerId] = selfResult.newPlayerStates[attackingPlayerId];
+            newPlayerStates[defendingPlayerId] = selfResult.newPlayerStates[defendingPlayerId];
+            triggerEvents.push(...selfResult.animationEvents);
+        }
+    }
+
     // Capture intermediate state for STATE_SNAPSHOT (after damage, before trigger animations)
     const intermediateState = triggerEvents.length > 0
         ? JSON.parse(JSON.stringify(newPlayerStates))
@@ -0,0 +1,212 @@
+import { describe, it, expect } from 'vitest';
+import { validateContent } from '../contentValidator.js';
+import fullDroneCollection from '../../../data/droneData.js';
+
+const ship = {
+  id: 'SHIP_001',
+  image: '/DroneWars/Ships/corvette.png',
+  deckLimits: { totalCards: 40, ordnanceLimit: 15, tacticLimit: 15, supportLimit: 15, upgradeLimit: 6 },
+};
+
+const card = (id, type = 'Ordnance', overrides = {}) => ({
+  id, type, image: `/DroneWars/cards/${id}.png`,
+  effects: [{ type: 'DAMAGE', value: 2, targeting: { type: 'DRONE', affinity: 'ENEMY', location: 'ANY_LANE' } }],
+  ...overrides,
+});
+
+const makeContent = (overrides = {}) => ({
+  cards: [card('LASER_BLAST'), card('SYSTEM_SABOTAGE', 'Tactic')],
+  drones: [{
+    name: 'Dart', image: '/DroneWars/img/Scout.png',
+    abilities: [
+      { name: 'Evasive', type: 'PASSIVE', effect: { type: 'GRANT_KEYWORD', keyword: 'GUARDIAN' } },
+      { name: 'Repair', type: 'ACTIVE', effect: { type: 'HEAL_HULL', value: 1 } },
+      { name: 'Afterburner', type: 'TRIGGERED', trigger: 'ON_MOVE', effects: [{ type: 'GO_AGAIN' }, { type: 'DRAW', value: 1 }] },
+    ],
+  }],
+  tech: [],
+  ships: [ship],
+  shipSections: [{ id: 'BRIDGE_001', ability: { name: 'Recall', effect: { type: 'RECALL_DRONE' } } }],
+  aiPersonalities: [{
+    name: 'Rogue', shipId: 'SHIP_001', dronePool: ['Dart'], shipComponents: { BRIDGE_001: 'm' },
+    decklist: [{ id: 'LASER_BLAST', quantity: 15 }, { id: 'SYSTEM_SABOTAGE', quantity: 10 }],
+  }],
+  missions: [
+    { id: 'first', prerequisites: [], condition: { type: 'WIN_COMBATS' } },
+    { id: 'second', prerequisites: ['first'], condition: { type: 'WIN_COMBATS' } },
+  ],
+  missionConditions: { WIN_COMBATS: 'WIN_COMBATS' },
+  pointsOfInterest: [{ id: 'POI_OUTPOST', image: '/DroneWars/poi/outpost.png', tierAIMapping: { 1: 'Rogue' } }],
+  ...overrides,
+});
+
+const messages = (problems) => problems.map(p => `${p.file} ${p.id}: ${p.message}`);
+
+describe('validateContent', () => {
+  it('accepts consistent content', () => {
+    expect(validateContent(makeContent())).toEqual([]);
+  });
+
+  it('reports card effect chains the engine cannot run', () => {
+    const problems = validateContent(makeContent({
+      cards: [card('LASER_BLAST', 'Ordnance', { effects: [{ type: 'TELEPORT', targeting: { type: 'NONE' } }] }), card('SYSTEM_SABOTAGE', 'Tactic')],
+    }));
+
+    expect(messages(problems)).toEqual(["cardData LASER_BLAST: effects[0]: unknown effect type 'TELEPORT'"]);
+  });
+
+  it('reports ability effects no processor handles and unknown triggers', () => {
+    const problems = validateContent(makeContent({
+      drones: [{
+        name: 'Seraph',
+        abilities: [
+          { name: 'Hull Repair', type: 'ACTIVE', effect: { type: 'HEAL', value: 3 } },
+          { name: 'Overclock', type: 'TRIGGERED', trigger: 'ON_TURN_START', effects: [{ type: 'WARP' }] },
+          { name: 'Plating', type: 'PASSIVE', effect: { type: 'ARMOUR', value: 1 } },
+        ],
+      }, { name: 'Dart' }],
+    }));
+
+    expect(messages(problems)).toEqual([
+      "droneData Seraph: ability 'Hull Repair': effect type 'HEAL' is not routed by EffectRouter",
+      "droneData Seraph: ability 'Overclock': unknown trigger 'ON_TURN_START'",
+      "droneData Seraph: ability 'Overclock': effect type 'WARP' is not routed by EffectRouter",
+      "droneData Seraph: ability 'Plating': unknown passive effect type 'ARMOUR'",
+    ]);
+  });
+
+  it('reports ship abilities without a processor and unsupported ship bonuses', () => {
+    const problems = validateContent(makeContent({
+      ships: [{
+        ...ship,
+        shipBonus: { name: 'Overclock', description: '', statModifiers: { energyPerTurn: 1, thrust: 2 }, freeMoves: 1 },
+        shipAbility: { name: 'Warp', cost: { energy: 1 }, effect: { type: 'WARP' } },
+      }],
+    }));
+
+    expect(messages(problems)).toEqual([
+      "shipData SHIP_001: shipAbility 'Warp': effect type 'WARP' has no processor",
+      "shipData SHIP_001: shipBonus modifies unknown stat 'thrust'",
+      "shipData SHIP_001: shipBonus property 'freeMoves' is not read by any system",
+    ]);
+  });
+
+  it('reports keywords without glossary text, including ones granted by upgrade cards', () => {
+    const upgrade = card('CLOAK_FIELD', 'Upgrade', {
+      effects: [{
+        type: 'MODIFY_DRONE_BASE', targeting: { type: 'NONE' },
+        mod: { stat: 'ability', abilityToAdd: { name: 'Cloak', type: 'PASSIVE', effect: { type: 'GRANT_KEYWORD', keyword: 'CLOAKED' } } },
+      }],
+    });
+    const problems = validateContent(makeContent({ cards: [...makeContent().cards, upgrade] }));
+
+    expect(messages(problems)).toEqual(["cardData CLOAK_FIELD: ability 'Cloak': keyword 'CLOAKED' has no glossary text"]);
+  });
+
+  it('reports AI decks with unknown cards or over the ship deck limits', () => {
+    const problems = validateContent(makeContent({
+      aiPersonalities: [{
+        name: 'Rogue', shipId: 'SHIP_001', dronePool: ['Dart', 'Ghost'], shipComponents: { BRIDGE_009: 'm' },
+        decklist: [{ id: 'LASER_BLAST', quantity: 16 }, { id: 'SYSTEM_SABOTAGE', quantity: 15 }, { id: 'SYSTEM_SABOTAGE', quantity: 10 }, { id: 'MISSING', quantity: 1 }],
+      }],
+    }));
+
+    expect(messages(problems)).toEqual([
+      "aiData Rogue: dronePool references unknown drone 'Ghost'",
+      "aiData Rogue: shipComponents references unknown section 'BRIDGE_009'",
+      "aiData Rogue: decklist references unknown card 'MISSING'",
+      "aiData Rogue: decklist has 41 cards, over SHIP_001's limit of 40",
+      "aiData Rogue: decklist has 16 Ordnance cards, over SHIP_001's limit of 15",
+      "aiData Rogue: decklist has 25 Tactic cards, over SHIP_001's limit of 15",
+    ]);
+  });
+
+  it('reports AI decks over their ship\'s faction card allowances', () => {
+    const problems = validateContent(makeContent({
+      cards: [card('LASER_BLAST', 'Ordnance', { faction: 'MARK' }), card('SYSTEM_SABOTAGE', 'Tactic', { faction: 'NEUTRAL_1' })],
+      ships: [{ ...ship, factionCardAllowances: { MARK: 10, MOVEMENT: 10 } }],
+    }));
+
+    expect(messages(problems)).toEqual(["aiData Rogue: decklist has 15 MARK cards, over SHIP_001's faction allowance of 10"]);
+  });
+
+  it('reports AI encounter objectives that are not encounter match rules', () => {
+    const [ai] = makeContent().aiPersonalities;
+    const problems = validateContent(makeContent({
+      aiPersonalities: [{ ...ai, winCondition: 'survival' }, { ...ai, name: 'Holdout', winCondition: 'lastStand' }],
+      pointsOfInterest: [],
+    }));
+
+    expect(messages(problems)).toEqual(["aiData Holdout: winCondition 'lastStand' is not an encounter match rule preset"]);
+  });
+
+  it('reports boss phases with bad thresholds, decks, abilities, reinforcements or lane rules', () => {
+    const [ai] = makeContent().aiPersonalities;
+    const problems = validateContent(makeContent({
+      aiPersonalities: [{
+        ...ai,
+        bossConfig: {
+          phases: [
+            { id: 'ESCORTS', hullThreshold: 0.8, reinforcements: [{ droneName: 'Dart', lane: 'lane2' }], laneRules: { lane2: { statModifiers: { shields: 1 } } } },
+            {
+              id: 'ASSAULT', hullThreshold: 0.9,
+              decklist: [{ id: 'MISSING', quantity: 1 }],
+              shipAbility: { name: 'Overload', effect: { type: 'WARP' } },
+              reinforcements: [{ droneName: 'Ghost', lane: 'lane1' }],
+              laneRules: { lane1: { statModifiers: { hull: 1 }, appliesTo: 'EVERYONE' } },
+            },
+          ],
+        },
+      }],
+    }));
+
+    expect(messages(problems)).toEqual([
+      "aiData Rogue: boss phase 'ASSAULT': hullThreshold 0.9 must be between 0 and the previous phase's 0.8",
+      "aiData Rogue: boss phase 'ASSAULT': decklist references unknown card 'MISSING'",
+      "aiData Rogue: boss phase 'ASSAULT': shipAbility 'Overload': effect type 'WARP' has no processor",
+      "aiData Rogue: boss phase 'ASSAULT': reinforcements reference unknown drone 'Ghost'",
+      "aiData Rogue: boss phase 'ASSAULT': lane rule on lane1 modifies unknown stat 'hull'",
+      "aiData Rogue: boss phase 'ASSAULT': lane rule on lane1 has unknown appliesTo 'EVERYONE'",
+    ]);
+  });
+
+  it('reports AI weight profiles that name unknown presets or constants', () => {
+    const [ai] = makeContent().aiPersonalities;
+    const problems = validateContent(makeContent({
+      aiPersonalities: [{ ...ai, weightProfile: 'berserk', weightOverrides: { PENALTIES: { OVERKIL: -50 } } }],
+    }));
+
+    expect(messages(problems)).toEqual([
+      "aiData Rogue: unknown weight profile 'berserk'",
+      "aiData Rogue: weightOverrides: unknown key 'PENALTIES.OVERKIL'",
+    ]);
+  });
+
+  it('reports broken mission and point-of-interest references', () => {
+    const problems = validateContent(makeContent({
+      missions: [{ id: 'second', prerequisites: ['first'], condition: { type: 'WIN_RACES' } }],
+      pointsOfInterest: [{ id: 'POI_OUTPOST', tierAIMapping: { 1: 'Nobody' } }],
+    }));
+
+    expect(messages(problems)).toEqual([
+      "missionData second: prerequisite 'first' is not a mission",
+      "missionData second: unknown condition type 'WIN_RACES'",
+      "pointsOfInterestData POI_OUTPOST: tierAIMapping references unknown AI 'Nobody'",
+    ]);
+  });
+
+  it('reports image paths the asset check rejects', () => {
+    const problems = validateContent(makeContent(), {
+      assetExists: (url) => !url.endsWith('Scout.png') && !url.endsWith('outpost.png'),
+    });
+
+    expect(messages(problems)).toEqual([
+      "droneData Dart: image '/DroneWars/img/Scout.png' does not exist",
+      "pointsOfInterestData POI_OUTPOST: image '/DroneWars/poi/outpost.png' does not exist",
+    ]);
+  });
+
+  it('finds every shipped drone ability routed by EffectRouter', () => {
+    expect(messages(validateContent({ drones: fullDroneCollection }))).toEqual([]);
+  });
+});
@@ -0,0 +1,321 @@
+// --- Content Validator ---
+// Referential-integrity checks across the static data files, so content
+// errors surface before a match rather than mid-match. Used by
+// scripts/validate-content.js; pure apart from the assetExists callback,
+// which the caller supplies to check image paths against public/.
+//
+// Checks:
+// - Card effects[] chains (effectValidator)
+// - Ability effect types are handled (EffectRouter for ACTIVE and TRIGGERED,
+//   statsCalculator/AttackProcessor for PASSIVE) and triggers are TRIGGER_TYPES
+// - Ship card abilities are routed and ship bonuses only use supported keys
+// - Granted keywords have glossary text
+// - AI decks use real cards within their ship's deckLimits and faction card
+//   allowances, and real drones, ships and sections; AI weight profiles name
+//   real presets and constants; AI encounter objectives name real match rules
+// - Boss phases: thresholds, phase decks, ship abilities, reinforcements and
+//   lane rules
+// - Mission prerequisites and conditions, PoI AI mappings
+// - Image paths exist
+
+import { validateEffects, EFFECT_REQUIRED_FIELDS } from '../cards/effectValidator.js';
+import { TRIGGER_TYPES } from '../triggers/triggerConstants.js';
+import { keywordDescriptions } from '../../data/descriptions/glossaryDescriptions.js';
+import { validatePersonalityWeights } from '../ai/weightProfiles.js';
+import { SHIP_BONUS_STATS, SHIP_BONUS_RULES } from '../utils/shipCardUtils.js';
+import { countOffFactionCards, buildFactionAllowances } from '../cards/deckBuilderHelpers.js';
+import { getMatchRulePresets } from '../../config/matchRules.js';
+import { LANE_RULE_STATS, LANE_RULE_TARGETS } from '../utils/laneRuleUtils.js';
+
+// Control signals TriggerProcessor handles itself before routing
+const TRIGGER_SIGNAL_EFFECTS = ['GO_AGAIN', 'DOES_NOT_EXHAUST', 'COUNTER_DAMAGE'];
+
+// Passive effects read by statsCalculator / AttackProcessor (GRANT_DAMAGE_TYPE documents drone.damageType)
+const PASSIVE_EFFECT_TYPES = [
+  'GRANT_KEYWORD',
+  'CONDITIONAL_KEYWORD',
+  'MODIFY_STAT',
+  'CONDITIONAL_MODIFY_STAT',
+  'CONDITIONAL_MODIFY_STAT_SCALING',
+  'FLANKING_BONUS',
+  'BONUS_DAMAGE_VS_SHIP',
+  'CONDITIONAL_ATTACK_BONUS',
+  'GRANT_DAMAGE_TYPE',
+];
+
+// Ship section abilities with their own processors (logic/abilities/ship)
+const SHIP_ABILITY_EFFECT_TYPES = ['RECALL_DRONE', 'REALLOCATE_SHIELDS'];
+
+const KEYWORD_EFFECT_TYPES = ['GRANT_KEYWORD', 'CONDITIONAL_KEYWORD'];
+
+const ASSET_PATTERN = /^\/.*\.(png|jpe?g|webp|gif|svg|mp3|ogg|wav|mp4|webm)$/i;
+
+// Card type → ship deckLimits key
+const DECK_LIMIT_KEYS = {
+  Ordnance: 'ordnanceLimit',
+  Tactic: 'tacticLimit',
+  Support: 'supportLimit',
+  Upgrade: 'upgradeLimit',
+};
+
+// Match rule presets an AI personality may set as its encounter objective
+const ENCOUNTER_MATCH_RULES = new Set(getMatchRulePresets('encounter').map(([id]) => id));
+
+const isRoutedEffect = (type) => Object.hasOwn(EFFECT_REQUIRED_FIELDS, type);
+
+function collectAssetPaths(value, paths = []) {
+  if (typeof value === 'string') {
+    if (ASSET_PATTERN.test(value)) paths.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectAssetPaths(item, paths));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectAssetPaths(item, paths));
+  }
+  return paths;
+}
+
+/**
+ * Check one drone/tech/upgrade ability.
+ * @returns {Array<string>} Problem messages
+ */
+function validateAbility(ability) {
+  const label = `ability '${ability.name}'`;
+  const problems = [];
+  const effects = ability.type === 'TRIGGERED' ? (ability.effects || []) : [ability.effect].filter(Boolean);
+
+  switch (ability.type) {
+    case 'TRIGGERED':
+      if (!Object.values(TRIGGER_TYPES).includes(ability.trigger)) {
+        problems.push(`${label}: unknown trigger '${ability.trigger}'`);
+      }
+      for (const effect of effects) {
+        if (!isRoutedEffect(effect.type) && !TRIGGER_SIGNAL_EFFECTS.includes(effect.type)) {
+          problems.push(`${label}: effect type '${effect.type}' is not routed by EffectRouter`);
+        }
+      }
+      break;
+
+    case 'ACTIVE':
+      for (const effect of effects) {
+        if (!isRoutedEffect(effect.type)) {
+          problems.push(`${label}: effect type '${effect.type}' is not routed by EffectRouter`);
+        }
+      }
+      break;
+
+    case 'PASSIVE':
+      for (const effect of effects) {
+        if (!PASSIVE_EFFECT_TYPES.includes(effect.type)) {
+          problems.push(`${label}: unknown passive effect type '${effect.type}'`);
+        }
+      }
+      break;
+
+    default:
+      problems.push(`${label}: unknown ability type '${ability.type}'`);
+  }
+
+  for (const effect of effects) {
+    if (KEYWORD_EFFECT_TYPES.includes(effect.type) && !keywordDescriptions[effect.keyword]) {
+      problems.push(`${label}: keyword '${effect.keyword}' has no glossary text`);
+    }
+  }
+
+  return problems;
+}
+
+function validateAiDeck(ai, cardsById, ship) {
+  const problems = [];
+  const typeCounts = {};
+  const deckCards = [];
+  let total = 0;
+
+  for (const { id, quantity } of ai.decklist || []) {
+    const card = cardsById.get(id);
+    if (!card) {
+      problems.push(`decklist references unknown card '${id}'`);
+      continue;
+    }
+    total += quantity;
+    typeCounts[card.type] = (typeCounts[card.type] || 0) + quantity;
+    deckCards.push({ ...card, quantity });
+  }
+
+  for (const allowance of buildFactionAllowances(countOffFactionCards(deckCards, ship), ship)) {
+    if (allowance.isOverLimit) {
+      problems.push(`decklist has ${allowance.count} ${allowance.factionId} cards, over ${ship.id}'s faction allowance of ${allowance.limit}`);
+    }
+  }
+
+  const limits = ship?.deckLimits;
+  if (!limits) return problems;
+
+  if (total > limits.totalCards) {
+    problems.push(`decklist has ${total} cards, over ${ship.id}'s limit of ${limits.totalCards}`);
+  }
+  for (const [type, count] of Object.entries(typeCounts)) {
+    const limit = limits[DECK_LIMIT_KEYS[type]];
+    if (limit !== undefined && count > limit) {
+      problems.push(`decklist has ${count} ${type} cards, over ${ship.id}'s limit of ${limit}`);
+    }
+  }
+  return problems;
+}
+
+function validateBossPhases(ai, cardsById, ship, droneNames) {
+  const problems = [];
+  let previousThreshold = 1;
+
+  for (const phase of ai.bossConfig?.phases || []) {
+    const phaseProblem = (message) => problems.push(`boss phase '${phase.id}': ${message}`);
+
+    if (!(phase.hullThreshold > 0 && phase.hullThreshold < previousThreshold)) {
+      phaseProblem(`hullThreshold ${phase.hullThreshold} must be between 0 and the previous phase's ${previousThreshold}`);
+    }
+    previousThreshold = phase.hullThreshold;
+
+    if (phase.decklist) validateAiDeck(phase, cardsById, ship).forEach(phaseProblem);
+
+    const abilityType = phase.shipAbility?.effect?.type;
+    if (phase.shipAbility && !isRoutedEffect(abilityType)) {
+      phaseProblem(`shipAbility '${phase.shipAbility.name}': effect type '${abilityType}' has no processor`);
+    }
+    for (const { droneName } of phase.reinforcements || []) {
+      if (!droneNames.has(droneName)) phaseProblem(`reinforcements reference unknown drone '${droneName}'`);
+    }
+    for (const [lane, rule] of Object.entries(phase.laneRules || {})) {
+      for (const stat of Object.keys(rule.statModifiers || {})) {
+        if (!LANE_RULE_STATS.includes(stat)) phaseProblem(`lane rule on ${lane} modifies unknown stat '${stat}'`);
+      }
+      if (rule.appliesTo && !LANE_RULE_TARGETS[rule.appliesTo]) {
+        phaseProblem(`lane rule on ${lane} has unknown appliesTo '${rule.appliesTo}'`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validate the game's static content.
+ *
+ * @param {Object} content
+ * @param {Array} content.cards - cardData
+ * @param {Array} content.drones - droneData
+ * @param {Array} content.tech - techData
+ * @param {Array} content.ships - shipData
+ * @param {Array} content.shipSections - shipSectionData shipComponentCollection
+ * @param {Array} content.aiPersonalities - aiData
+ * @param {Array} content.missions - missionData MISSIONS
+ * @param {Object} content.missionConditions - missionData MISSION_CONDITIONS
+ * @param {Array} content.pointsOfInterest - pointsOfInterestData
+ * @param {Object} [options]
+ * @param {Function} [options.assetExists] - (url) => boolean for image paths such as '/DroneWars/img/Scout.png'
+ * @returns {Array<{ file: string, id: string, message: string }>} Problems, empty when content is valid
+ */
+export function validateContent(content, { assetExists = () => true } = {}) {
+  const problems = [];
+  const report = (file, id) => (message) => problems.push({ file, id, message });
+
+  const checkAssets = (file, id, entity) => {
+    for (const path of collectAssetPaths(entity)) {
+      if (!assetExists(path)) report(file, id)(`image '${path}' does not exist`);
+    }
+  };
+
+  const {
+    cards = [], drones = [], tech = [], ships = [], shipSections = [],
+    aiPersonalities = [], missions = [], missionConditions = {}, pointsOfInterest = [],
+  } = content;
+
+  const cardsById = new Map(cards.map(card => [card.id, card]));
+  const shipsById = new Map(ships.map(ship => [ship.id, ship]));
+  const sectionIds = new Set(shipSections.map(section => section.id));
+  const droneNames = new Set(drones.map(drone => drone.name));
+  const aiNames = new Set(aiPersonalities.map(ai => ai.name));
+  const missionIds = new Set(missions.map(mission => mission.id));
+
+  for (const card of cards) {
+    const cardReport = report('cardData', card.id);
+    validateEffects(card.effects).forEach(cardReport);
+
+    for (const effect of card.effects || []) {
+      const ability = effect.mod?.abilityToAdd;
+      if (ability) validateAbility(ability).forEach(cardReport);
+    }
+    checkAssets('cardData', card.id, card);
+  }
+
+  for (const [file, entities] of [['droneData', drones], ['techData', tech]]) {
+    for (const entity of entities) {
+      for (const ability of entity.abilities || []) {
+        validateAbility(ability).forEach(report(file, entity.name));
+      }
+      checkAssets(file, entity.name, entity);
+    }
+  }
+
+  for (const ship of ships) {
+    const shipReport = report('shipData', ship.id);
+    const abilityType = ship.shipAbility?.effect?.type;
+    if (ship.shipAbility && !isRoutedEffect(abilityType)) {
+      shipReport(`shipAbility '${ship.shipAbility.name}': effect type '${abilityType}' has no processor`);
+    }
+    for (const stat of Object.keys(ship.shipBonus?.statModifiers || {})) {
+      if (!SHIP_BONUS_STATS.includes(stat)) shipReport(`shipBonus modifies unknown stat '${stat}'`);
+    }
+    for (const key of Object.keys(ship.shipBonus || {})) {
+      if (!['name', 'description', 'statModifiers', ...SHIP_BONUS_RULES].includes(key)) {
+        shipReport(`shipBonus property '${key}' is not read by any system`);
+      }
+    }
+    checkAssets('shipData', ship.id, ship);
+  }
+
+  for (const section of shipSections) {
+    const type = section.ability?.effect?.type;
+    if (section.ability && !isRoutedEffect(type) && !SHIP_ABILITY_EFFECT_TYPES.includes(type)) {
+      report('shipSectionData', section.id)(`ability '${section.ability.name}': effect type '${type}' has no processor`);
+    }
+    checkAssets('shipSectionData', section.id, section);
+  }
+
+  for (const ai of aiPersonalities) {
+    const aiReport = report('aiData', ai.name);
+    const ship = shipsById.get(ai.shipId);
+    if (!ship) aiReport(`unknown ship '${ai.shipId}'`);
+
+    for (const droneName of ai.dronePool || []) {
+      if (!droneNames.has(droneName)) aiReport(`dronePool references unknown drone '${droneName}'`);
+    }
+    for (const sectionId of Object.keys(ai.shipComponents || {})) {
+      if (!sectionIds.has(sectionId)) aiReport(`shipComponents references unknown section '${sectionId}'`);
+    }
+    validateAiDeck(ai, cardsById, ship).forEach(aiReport);
+    validateBossPhases(ai, cardsById, ship, droneNames).forEach(aiReport);
+    validatePersonalityWeights(ai).forEach(aiReport);
+    if (ai.winCondition && !ENCOUNTER_MATCH_RULES.has(ai.winCondition)) {
+      aiReport(`winCondition '${ai.winCondition}' is not an encounter match rule preset`);
+    }
+    checkAssets('aiData', ai.name, ai);
+  }
+
+  const conditionTypes = Object.values(missionConditions);
+  for (const mission of missions) {
+    const missionReport = report('missionData', mission.id);
+    for (const prerequisite of mission.prerequisites || []) {
+      if (!missionIds.has(prerequisite)) missionReport(`prerequisite '${prerequisite}' is not a mission`);
+    }
+    if (!conditionTypes.includes(mission.condition?.type)) {
+      missionReport(`unknown condition type '${mission.condition?.type}'`);
+    }
+  }
+
+  for (const poi of pointsOfInterest) {
+    for (const aiName of Object.values(poi.tierAIMapping || {})) {
+      if (!aiNames.has(aiName)) report('pointsOfInterestData', poi.id)(`tierAIMapping references unknown AI '${aiName}'`);
+    }
+    checkAssets('pointsOfInterestData', poi.id, poi);
+  }
+
+  return problems;
+}
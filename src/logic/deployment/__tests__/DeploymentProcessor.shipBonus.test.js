@@ -0,0 +1,81 @@
+/**
+ * DeploymentProcessor - Ship Bonus Tests
+ * The Carrier's Launch Catapults bonus discounts the first drone deployed
+ * each round; dronesDeployedThisRound tracks when it has been used.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../triggers/TriggerProcessor.js', () => ({
+  default: class MockTriggerProcessor {
+    constructor() {
+      this.fireTrigger = vi.fn().mockReturnValue({
+        triggered: false, newPlayerStates: null, animationEvents: []
+      });
+    }
+  }
+}));
+
+vi.mock('../../triggers/triggerConstants.js', () => ({
+  TRIGGER_TYPES: { ON_DEPLOY: 'ON_DEPLOY' }
+}));
+
+vi.mock('../../statsCalculator.js', () => ({
+  calculateEffectiveStats: vi.fn((drone) => ({
+    attack: drone.attack || 1,
+    speed: drone.speed || 1,
+    maxShields: drone.shields || 1,
+    keywords: new Set()
+  })),
+  calculateEffectiveShipStats: vi.fn(() => ({
+    totals: { cpuLimit: 10 }
+  }))
+}));
+
+import DeploymentProcessor from '../DeploymentProcessor.js';
+
+describe('DeploymentProcessor - ship bonus deployment discount', () => {
+  let processor;
+
+  beforeEach(() => {
+    processor = new DeploymentProcessor();
+  });
+
+  const mammoth = { name: 'Mammoth', class: 3, attack: 2, hull: 3, shields: 1, speed: 2, abilities: [] };
+
+  const createCarrierPlayer = (overrides = {}) => ({
+    name: 'Player 1',
+    shipId: 'SHIP_002',
+    deployedDroneCounts: {},
+    appliedUpgrades: {},
+    dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
+    energy: 0,
+    initialDeploymentBudget: 0,
+    deploymentBudget: 2,
+    totalDronesDeployed: 0,
+    dronesDeployedThisRound: 0,
+    ...overrides
+  });
+
+  const opponent = { name: 'Player 2', dronesOnBoard: { lane1: [], lane2: [], lane3: [] }, appliedUpgrades: {}, deployedDroneCounts: {} };
+  const placedSections = { player1: ['core', null, null], player2: ['core', null, null] };
+
+  const deploy = (player) =>
+    processor.executeDeployment(mammoth, 'lane1', 2, player, opponent, placedSections, vi.fn(), 'player1');
+
+  it('discounts the first deployment of the round and counts it', () => {
+    const result = deploy(createCarrierPlayer());
+
+    expect(result.success).toBe(true);
+    expect(result.newPlayerState.deploymentBudget).toBe(0);
+    expect(result.newPlayerState.dronesDeployedThisRound).toBe(1);
+  });
+
+  it('charges full cost once a drone has been deployed this round', () => {
+    const result = deploy(createCarrierPlayer({ dronesDeployedThisRound: 1 }));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Not Enough Energy');
+    expect(result.message).toBe('This action requires 1 energy, but you only have 0.');
+  });
+});
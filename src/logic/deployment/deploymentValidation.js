@@ -0,0 +1,214 @@
+// ========================================
+// DEPLOYMENT VALIDATION
+// ========================================
+// Deployment legality rules shared by DeploymentProcessor and the
+// authoritative servers' ActionValidator. Kept free of trigger/effect imports
+// so the validator can load it without pulling in gameLogic.
+
+import fullDroneCollection from '../../data/droneData.js';
+import { debugLog } from '../../utils/debugLogger.js';
+import { MAX_DRONES_PER_LANE } from '../utils/gameEngineUtils.js';
+import { getDeploymentCost } from '../utils/shipCardUtils.js';
+
+/**
+ * Count drones on board that occupy CPU - tokens don't count toward CPU limit
+ *
+ * @param {Object} playerState - Player state object
+ * @returns {number} Non-token drones on board
+ */
+export function countCpuDrones(playerState) {
+  return Object.values(playerState.dronesOnBoard)
+    .flat()
+    .filter(d => {
+      const baseDrone = fullDroneCollection.find(bd => bd.name === d.name);
+      return !baseDrone?.isToken;
+    })
+    .length;
+}
+
+/**
+ * Count drones of specific type in a lane
+ * Utility function for maxPerLane validation
+ *
+ * @param {Object} playerState - Player state object
+ * @param {string} droneName - Name of drone type to count
+ * @param {string} laneId - Lane ID (lane1, lane2, lane3)
+ * @returns {number} Count of drones of this type in the lane
+ */
+export function countDroneTypeInLane(playerState, droneName, laneId) {
+  if (!playerState.dronesOnBoard[laneId]) {
+    return 0;
+  }
+  return playerState.dronesOnBoard[laneId].filter(d => d.name === droneName).length;
+}
+
+/**
+ * Validate deployment legality
+ * Checks CPU limit, deployment limit, maxPerLane, and resource costs
+ *
+ * @param {Object} player - Player state object
+ * @param {Object} drone - Drone to deploy
+ * @param {number} turn - Current turn number
+ * @param {number} totalPlayerDrones - Total drones on board
+ * @param {Object} playerEffectiveStats - Effective stats including cpuLimit
+ * @param {string} targetLane - Lane for deployment (optional for validation)
+ * @returns {Object} Validation result with isValid, reason, message, budgetCost, energyCost
+ */
+export function validateDeployment(player, drone, turn, totalPlayerDrones, playerEffectiveStats, targetLane = null) {
+  debugLog('DEPLOYMENT', '🔍 validateDeployment: Entry params:', {
+    droneName: drone?.name,
+    droneType: typeof drone,
+    droneKeys: drone ? Object.keys(drone) : 'null',
+    fullDroneCollectionLength: fullDroneCollection.length
+  });
+
+  // AI_DEPLOYMENT logging for bug investigation
+  debugLog('AI_DEPLOYMENT', `🔍 Validating deployment`, {
+    droneName: drone?.name,
+    targetLane,
+    turn,
+    totalPlayerDrones,
+    cpuLimit: playerEffectiveStats?.totals?.cpuLimit,
+    playerEnergy: player?.energy,
+    playerBudget: turn === 1 ? player?.initialDeploymentBudget : player?.deploymentBudget,
+    budgetType: turn === 1 ? 'initialDeploymentBudget' : 'deploymentBudget'
+  });
+
+  // Check CPU limit
+  if (totalPlayerDrones >= playerEffectiveStats.totals.cpuLimit) {
+    debugLog('AI_DEPLOYMENT', `⛔ Validation FAILED: CPU Limit Reached`, {
+      droneName: drone?.name,
+      totalPlayerDrones,
+      cpuLimit: playerEffectiveStats.totals.cpuLimit
+    });
+    return {
+      isValid: false,
+      reason: "CPU Limit Reached",
+      message: "You cannot deploy more drones than your CPU Control Value."
+    };
+  }
+
+  // Find base drone info and check deployment limit
+  debugLog('DEPLOYMENT', '🔍 validateDeployment: About to find baseDroneInfo for:', drone?.name);
+  const baseDroneInfo = fullDroneCollection.find(d => d.name === drone.name);
+  debugLog('DEPLOYMENT', '🔍 validateDeployment: Found baseDroneInfo:', {
+    found: !!baseDroneInfo,
+    droneInfo: baseDroneInfo
+  });
+
+  // Calculate effective limit - start with drone's effectiveLimit if available
+  // (includes slot damage penalty from Extraction mode), otherwise fall back to base limit
+  const upgrades = player.appliedUpgrades[drone.name] || [];
+  let effectiveLimit = drone.effectiveLimit ?? baseDroneInfo.limit;
+  upgrades.forEach(upgrade => {
+    if (upgrade.mod.stat === 'limit') {
+      effectiveLimit += upgrade.mod.value;
+    }
+  });
+
+  if ((player.deployedDroneCounts[drone.name] || 0) >= effectiveLimit) {
+    debugLog('AI_DEPLOYMENT', `⛔ Validation FAILED: Deployment Limit Reached`, {
+      droneName: drone?.name,
+      deployed: player.deployedDroneCounts[drone.name] || 0,
+      effectiveLimit
+    });
+    return {
+      isValid: false,
+      reason: "Deployment Limit Reached",
+      message: `The deployment limit for ${drone.name} is currently ${effectiveLimit}.`
+    };
+  }
+
+  // Check drone availability (new availability system)
+  // This checks if we have ready copies available to deploy
+  if (player.droneAvailability) {
+    const availability = player.droneAvailability[drone.name];
+    if (availability && availability.readyCount <= 0) {
+      debugLog('AI_DEPLOYMENT', `⛔ Validation FAILED: No Copies Available`, {
+        droneName: drone?.name,
+        readyCount: availability.readyCount,
+        inPlayCount: availability.inPlayCount,
+        rebuildingCount: availability.rebuildingCount
+      });
+      return {
+        isValid: false,
+        reason: "No Copies Available",
+        message: `No ${drone.name} copies are ready. ${availability.rebuildingCount} rebuilding.`
+      };
+    }
+  }
+
+  // Check lane capacity limit (all drones + tokens)
+  if (targetLane && player.dronesOnBoard[targetLane]?.length >= MAX_DRONES_PER_LANE) {
+    debugLog('AI_DEPLOYMENT', `⛔ Validation FAILED: Lane Full`, {
+      droneName: drone?.name,
+      targetLane,
+      droneCount: player.dronesOnBoard[targetLane].length,
+      maxDronesPerLane: MAX_DRONES_PER_LANE
+    });
+    return {
+      isValid: false,
+      reason: "Lane Full",
+      message: `This lane is full (${MAX_DRONES_PER_LANE}/${MAX_DRONES_PER_LANE} drones).`
+    };
+  }
+
+  // Check maxPerLane restriction if applicable
+  if (baseDroneInfo.maxPerLane && targetLane) {
+    const currentCountInLane = countDroneTypeInLane(player, drone.name, targetLane);
+    if (currentCountInLane >= baseDroneInfo.maxPerLane) {
+      debugLog('AI_DEPLOYMENT', `⛔ Validation FAILED: Max Per Lane Reached`, {
+        droneName: drone?.name,
+        targetLane,
+        currentCountInLane,
+        maxPerLane: baseDroneInfo.maxPerLane
+      });
+      return {
+        isValid: false,
+        reason: "Max Per Lane Reached",
+        message: `Only ${baseDroneInfo.maxPerLane} ${drone.name}${baseDroneInfo.maxPerLane > 1 ? 's' : ''} allowed per lane.`
+      };
+    }
+  }
+
+  // Calculate deployment costs (budget vs energy), after any ship bonus discount
+  const droneCost = getDeploymentCost(player, drone);
+  let energyCost = 0;
+  let budgetCost = 0;
+
+  if (turn === 1) {
+    budgetCost = Math.min(player.initialDeploymentBudget, droneCost);
+    energyCost = droneCost - budgetCost;
+  } else {
+    budgetCost = Math.min(player.deploymentBudget, droneCost);
+    energyCost = droneCost - budgetCost;
+  }
+
+  // Check energy availability
+  if (player.energy < energyCost) {
+    debugLog('AI_DEPLOYMENT', `⛔ Validation FAILED: Not Enough Energy`, {
+      droneName: drone?.name,
+      energyCost,
+      playerEnergy: player.energy,
+      budgetCost,
+      droneCost,
+      turn,
+      budgetUsed: turn === 1 ? player.initialDeploymentBudget : player.deploymentBudget
+    });
+    return {
+      isValid: false,
+      reason: "Not Enough Energy",
+      message: `This action requires ${energyCost} energy, but you only have ${player.energy}.`
+    };
+  }
+
+  debugLog('AI_DEPLOYMENT', `✅ Validation passed`, {
+    droneName: drone?.name,
+    targetLane,
+    budgetCost,
+    energyCost,
+    turn
+  });
+
+  return { isValid: true, budgetCost, energyCost };
+}
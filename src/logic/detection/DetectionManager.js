@@ -8,6 +8,7 @@
 import gameStateManager from '../../managers/GameStateManager.js';
 import tacticalMapStateManager from '../../managers/TacticalMapStateManager.js';
 import { getZone } from '../../utils/hexGrid.js';
+import { getTerrainDetectionMultiplier } from '../map/terrainUtils.js';
 import { debugLog } from '../../utils/debugLogger.js';
 
 /**
@@ -51,9 +52,13 @@ class DetectionManager {
     const current = runState.detection || 0;
     const newValue = Math.max(0, Math.min(100, current + amount));
 
-    tacticalMapStateManager.setState({
-      detection: newValue
-    });
+    const updates = { detection: newValue };
+    // Detection spikes (looting, threat effects) leave noise for patrols to investigate
+    if (amount > 0 && runState.playerPosition) {
+      updates.lastNoise = { ...runState.playerPosition, id: (runState.lastNoise?.id || 0) + 1 };
+    }
+
+    tacticalMapStateManager.setState(updates);
 
     debugLog('ENCOUNTER', `[Detection] ${current.toFixed(1)}% -> ${newValue.toFixed(1)}% (+${amount.toFixed(1)}%) [${reason}]`);
 
@@ -133,7 +138,7 @@ class DetectionManager {
   }
 
   /**
-   * Calculate detection cost for a single hex based on zone
+   * Calculate detection cost for a single hex based on zone and terrain
    * @param {Object} hex - Hex object with q, r coordinates
    * @param {Object} tierConfig - Tier configuration from mapData
    * @param {number} mapRadius - Map radius for zone calculation
@@ -144,10 +149,12 @@ class DetectionManager {
     const zoneRates = tierConfig.detectionTriggers.movementByZone;
 
     // Use zone-specific rate, fallback to flat rate
-    if (zoneRates) {
-      return zoneRates[zone] || tierConfig.detectionTriggers.movementPerHex;
-    }
-    return tierConfig.detectionTriggers.movementPerHex;
+    const zoneCost = zoneRates
+      ? (zoneRates[zone] || tierConfig.detectionTriggers.movementPerHex)
+      : tierConfig.detectionTriggers.movementPerHex;
+
+    // Terrain scales the zone cost (nebula = 0, ion storm = 2x)
+    return zoneCost * getTerrainDetectionMultiplier(hex);
   }
 
   /**
@@ -81,6 +81,25 @@ describe('DetectionManager', () => {
       });
     });
 
+    it('should record increases as noise at the player position for patrols', () => {
+      tacticalMapStateManager.getState.mockReturnValue({
+        detection: 50,
+        playerPosition: { q: 1, r: -2 },
+        lastNoise: { q: 0, r: 0, id: 3 }
+      });
+
+      DetectionManager.addDetection(10, 'Looting');
+      DetectionManager.addDetection(-5, 'Signal Dampener');
+
+      expect(tacticalMapStateManager.setState).toHaveBeenNthCalledWith(1, {
+        detection: 60,
+        lastNoise: { q: 1, r: -2, id: 4 }
+      });
+      expect(tacticalMapStateManager.setState).toHaveBeenNthCalledWith(2, {
+        detection: 45
+      });
+    });
+
     it('should not call setState when no active run', () => {
       tacticalMapStateManager.getState.mockReturnValue(null);
 
@@ -10,7 +10,7 @@ import { AI_CORES } from '../../data/aiCoresData.js';
 /**
  * Calculate AI Cores drop amount for a given tier and difficulty
  * @param {number} tier - The tier of the defeated enemy (1, 2, or 3)
- * @param {string} difficulty - AI difficulty ('Easy', 'Normal', 'Medium', 'Hard') - optional
+ * @param {string} difficulty - AI difficulty ('Easy', 'Normal', 'Medium', 'Hard', 'Expert') - optional
  * @param {Object} rng - Optional RNG with random() method (defaults to Math.random)
  * @returns {number} - Number of AI Cores to award (0 if drop fails)
  */
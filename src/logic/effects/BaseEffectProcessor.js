@@ -31,6 +31,17 @@ class BaseEffectProcessor {
     throw new Error(`process() must be implemented by ${this.constructor.name}`);
   }
 
+  /**
+   * Whether resolving the effect shows a player hidden information (deck peeks,
+   * opponent-hand reveals, scans). EffectRouter tags such results so the action
+   * cannot be undone. Overrides receive (effect, context), as process() does.
+   *
+   * @returns {boolean}
+   */
+  revealsInformation() {
+    return false;
+  }
+
   /**
    * Deep clone player states to prevent mutations
    *
@@ -17,6 +17,8 @@ import { debugLog } from '../../utils/debugLogger.js';
 import { DRONE_DESTROYED } from '../../config/animationTypes.js';
 import { applyTargetSelection, hashString } from '../targeting/TargetSelector.js';
 import { SeededRandom } from '../../utils/seededRandom.js';
+import TriggerProcessor from '../triggers/TriggerProcessor.js';
+import { TRIGGER_TYPES } from '../triggers/triggerConstants.js';
 
 /**
  * Processor for DESTROY effect type
@@ -28,6 +30,8 @@ import { SeededRandom } from '../../utils/seededRandom.js';
  * - Lane-wide targeting (destroy all drones in a lane from BOTH players)
  * - Card-specific animation overrides (Nuke, Purge Protocol)
  *
+ * Fires ON_DESTROYED on each destroyed drone once the effect has resolved.
+ *
  * @extends BaseEffectProcessor
  */
 class DestroyEffectProcessor extends BaseEffectProcessor {
@@ -108,6 +112,12 @@ class DestroyEffectProcessor extends BaseEffectProcessor {
       animationEvents.push(...result.animationEvents);
     }
 
+    // Owner and lane of each destroyed drone, read before the card's visual overrides are added
+    const destroyedEntries = animationEvents
+      .filter(e => e.type === DRONE_DESTROYED)
+      .map(e => ({ drone: destroyedDrones.find(d => d.id === e.targetId), playerId: e.targetPlayer, lane: e.targetLane }))
+      .filter(entry => entry.drone);
+
     // Route to appropriate animation builder based on card's visualEffect
     // Note: For ALL scope (Purge Protocol), animations are already added per-drone in processAllMarkedDestroy
     // Only add extra NUKE_BLAST animation if NOT ALL scope (since ALL scope may span multiple lanes)
@@ -133,10 +143,33 @@ class DestroyEffectProcessor extends BaseEffectProcessor {
       }
     }
 
+    // ON_DESTROYED: deathrattle abilities on the destroyed drones
+    let triggerAnimationEvents = [];
+    let preTriggerState = null;
+    if (destroyedEntries.length > 0) {
+      const triggerProcessor = new TriggerProcessor();
+      preTriggerState = JSON.parse(JSON.stringify(newPlayerStates));
+      const destroyedResult = triggerProcessor.fireSelfTriggers(TRIGGER_TYPES.ON_DESTROYED, destroyedEntries, {
+        actingPlayerId,
+        playerStates: newPlayerStates,
+        placedSections,
+        logCallback: context.callbacks?.logCallback || null,
+        pairSet: context.pairSet || new Set(),
+        chainDepth: context.chainDepth || 0
+      });
+      if (destroyedResult.triggered) {
+        newPlayerStates.player1 = destroyedResult.newPlayerStates.player1;
+        newPlayerStates.player2 = destroyedResult.newPlayerStates.player2;
+        triggerAnimationEvents = destroyedResult.animationEvents;
+      }
+    }
+
     const result = {
       newPlayerStates,
       additionalEffects: [],
-      animationEvents
+      animationEvents,
+      triggerAnimationEvents,
+      preTriggerState
     };
 
     this.logProcessComplete(effect, result, context);
@@ -31,6 +31,11 @@ class MarkingEffectProcessor extends BaseEffectProcessor {
    * @param {Object} context - Effect execution context
    * @returns {Object} Result with newPlayerStates
    */
+  /** Random marks are scans — the target is picked from the board, not by the player */
+  revealsInformation(effect) {
+    return effect.scope === 'ALL' || effect.targetSelection?.method === 'RANDOM';
+  }
+
   process(effect, context) {
     this.logProcessStart(effect, context);
 
@@ -20,6 +20,11 @@ import { SeededRandom } from '../../../utils/seededRandom.js';
  * - Handles edge cases gracefully (empty hand, count exceeds hand size)
  */
 class DiscardEffectProcessor extends BaseEffectProcessor {
+  /** Discarding from the opponent's hand shows their cards */
+  revealsInformation(effect) {
+    return (effect.targetPlayer || 'opponent') !== 'self';
+  }
+
   /**
    * Process DISCARD effect
    *
@@ -59,7 +64,8 @@ class DiscardEffectProcessor extends BaseEffectProcessor {
 
     // Create deterministic RNG for multiplayer sync (seed includes hand length for uniqueness)
     const rng = new SeededRandom(
-      (context.gameSeed || 0) + (context.roundNumber || 1) * 100 + newHand.length + 5000
+      (context.gameSeed || 0) + (context.roundNumber || 1) * 100 + newHand.length + 5000,
+      { gameSeed: context.gameSeed ?? null }
     );
 
     // Randomly discard cards one at a time
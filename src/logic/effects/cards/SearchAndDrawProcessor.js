@@ -22,6 +22,11 @@ import { SeededRandom } from '../../../utils/seededRandom.js';
  * Returns needsCardSelection for human players or executes immediately for AI
  */
 class SearchAndDrawProcessor extends BaseEffectProcessor {
+  /** Searching looks at cards still hidden in the deck */
+  revealsInformation() {
+    return true;
+  }
+
   /**
    * Process SEARCH_AND_DRAW effect
    *
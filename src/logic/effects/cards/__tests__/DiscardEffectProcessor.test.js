@@ -5,7 +5,14 @@
 // Randomly removes cards from target player's hand to discard pile
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Break circular import: DamageEffectProcessor/DestroyEffectProcessor → gameLogic.js → CardPlayManager → EffectRouter
+vi.mock('../../../gameLogic.js', () => ({
+  gameEngine: {}
+}));
+
 import DiscardEffectProcessor from '../DiscardEffectProcessor.js';
+import EffectRouter from '../../../EffectRouter.js';
 
 describe('DiscardEffectProcessor', () => {
   let processor;
@@ -347,4 +354,23 @@ describe('DiscardEffectProcessor', () => {
       expect(discardedCard).toHaveProperty('cost');
     });
   });
+
+  describe('Revealed information', () => {
+    it('should tag an opponent discard as revealing when routed', () => {
+      const effect = { type: 'DISCARD', count: 1, targetPlayer: 'opponent' };
+
+      const result = new EffectRouter().routeEffect(effect, mockContext);
+
+      expect(result.newPlayerStates.player1.revealCount).toBe(1);
+      expect(mockPlayerStates.player1.revealCount).toBeUndefined();
+    });
+
+    it('should not tag a self discard', () => {
+      const effect = { type: 'DISCARD', count: 1, targetPlayer: 'self' };
+
+      const result = new EffectRouter().routeEffect(effect, mockContext);
+
+      expect(result.newPlayerStates.player1.revealCount).toBeUndefined();
+    });
+  });
 });
@@ -27,6 +27,8 @@ import { buildFilteredDamageAnimation } from './animations/FilteredDamageAnimati
 import { applyTargetSelection, hashString } from '../../targeting/TargetSelector.js';
 import { SeededRandom } from '../../../utils/seededRandom.js';
 import { isExposed } from '../../utils/positionResolver.js';
+import TriggerProcessor from '../../triggers/TriggerProcessor.js';
+import { TRIGGER_TYPES } from '../../triggers/triggerConstants.js';
 
 /**
  * Processor for all damage effect types
@@ -37,6 +39,9 @@ import { isExposed } from '../../utils/positionResolver.js';
  * - SPLASH_DAMAGE: Primary damage + splash to adjacent drones
  * - OVERFLOW_DAMAGE: Damage with overflow to ship sections
  *
+ * Damaged drones fire ON_SHIELDS_BROKEN (shields emptied, drone survived) and
+ * ON_DESTROYED once the effect has resolved.
+ *
  * @extends BaseEffectProcessor
  */
 class DamageEffectProcessor extends BaseEffectProcessor {
@@ -224,7 +229,58 @@ class DamageEffectProcessor extends BaseEffectProcessor {
       targetLane: laneId
     });
 
-    return this.createResult(newPlayerStates, animationEvents);
+    const damaged = damageResults.map(r => ({ ...r, playerId: targetPlayerId, lane: laneId }));
+    return this.applyDamageTriggers(this.createResult(newPlayerStates, animationEvents), damaged, context);
+  }
+
+  /**
+   * Fire ON_SHIELDS_BROKEN on drones whose shields this effect emptied but that
+   * survived, then ON_DESTROYED on the drones it destroyed. Cascade events go on
+   * the result as triggerAnimationEvents, as DRAW reports ON_CARD_DRAWN.
+   * Single-target damage doesn't come through here — resolveAttack fires both itself.
+   *
+   * @private
+   * @param {Object} result - Effect result (newPlayerStates replaced when triggers fire)
+   * @param {Array<Object>} damaged - { drone, playerId, lane, shieldDamage, destroyed } per damaged drone
+   * @param {Object} context - Effect context (pairSet and chainDepth continue an existing chain)
+   * @returns {Object} The result
+   */
+  applyDamageTriggers(result, damaged, context) {
+    const shieldsBroken = damaged.filter(d => !d.destroyed && d.shieldDamage > 0 && d.drone.currentShields <= 0);
+    const destroyed = damaged.filter(d => d.destroyed);
+    if (shieldsBroken.length === 0 && destroyed.length === 0) return result;
+
+    const triggerProcessor = new TriggerProcessor();
+    const preTriggerState = JSON.parse(JSON.stringify(result.newPlayerStates));
+    const pairSet = context.pairSet || new Set();
+    let playerStates = result.newPlayerStates;
+    const triggerAnimationEvents = [];
+
+    for (const [triggerType, affected] of [
+      [TRIGGER_TYPES.ON_SHIELDS_BROKEN, shieldsBroken],
+      [TRIGGER_TYPES.ON_DESTROYED, destroyed]
+    ]) {
+      if (affected.length === 0) continue;
+      const triggerResult = triggerProcessor.fireSelfTriggers(triggerType, affected, {
+        actingPlayerId: context.actingPlayerId,
+        playerStates,
+        placedSections: context.placedSections,
+        logCallback: context.callbacks?.logCallback || null,
+        pairSet,
+        chainDepth: context.chainDepth || 0
+      });
+      if (triggerResult.triggered) {
+        playerStates = triggerResult.newPlayerStates;
+        triggerAnimationEvents.push(...triggerResult.animationEvents);
+      }
+    }
+
+    if (triggerAnimationEvents.length > 0) {
+      result.newPlayerStates = playerStates;
+      result.triggerAnimationEvents = triggerAnimationEvents;
+      result.preTriggerState = preTriggerState;
+    }
+    return result;
   }
 
   /**
@@ -299,7 +355,8 @@ class DamageEffectProcessor extends BaseEffectProcessor {
       targetLane: laneId
     });
 
-    return this.createResult(newPlayerStates, animationEvents);
+    const damaged = damageResults.map(r => ({ ...r, playerId: targetPlayerId, lane: laneId }));
+    return this.applyDamageTriggers(this.createResult(newPlayerStates, animationEvents), damaged, context);
   }
 
   /**
@@ -341,7 +398,9 @@ class DamageEffectProcessor extends BaseEffectProcessor {
         abilityDamage: damageValue,
         lane: targetLane,
         damageType: effect.damageType,
-        sourceCardInstanceId: card?.instanceId
+        sourceCardInstanceId: card?.instanceId,
+        pairSet: context.pairSet,
+        chainDepth: context.chainDepth
       };
 
       // Call the attack resolution directly from AttackProcessor (game logic layer)
@@ -545,7 +604,8 @@ class DamageEffectProcessor extends BaseEffectProcessor {
       });
     }
 
-    return this.createResult(newPlayerStates, animationEvents);
+    const damaged = damageResults.map(r => ({ ...r, playerId: opponentId, lane: targetLane }));
+    return this.applyDamageTriggers(this.createResult(newPlayerStates, animationEvents), damaged, context);
   }
 
   /**
@@ -698,7 +758,8 @@ class DamageEffectProcessor extends BaseEffectProcessor {
       }));
     }
 
-    return this.createResult(newPlayerStates, animationEvents);
+    const damaged = [{ drone: targetDrone, playerId: opponentId, lane: targetLane, shieldDamage, destroyed: droneDestroyed }];
+    return this.applyDamageTriggers(this.createResult(newPlayerStates, animationEvents), damaged, context);
   }
 }
 
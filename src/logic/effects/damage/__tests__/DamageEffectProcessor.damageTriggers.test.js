@@ -0,0 +1,100 @@
+// ========================================
+// DAMAGE EFFECT PROCESSOR - ON_SHIELDS_BROKEN / ON_DESTROYED
+// ========================================
+// Multi-target damage hands damaged drones to TriggerProcessor.fireSelfTriggers;
+// TriggerProcessor's own resolution is tested in TriggerProcessor.selfTriggers.test.js
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../gameLogic.js', () => ({
+  gameEngine: {
+    onDroneDestroyed: vi.fn(() => ({ deployedDroneCounts: {} }))
+  }
+}));
+
+const mockFireSelfTriggers = vi.fn();
+
+vi.mock('../../../triggers/TriggerProcessor.js', () => ({
+  default: class MockTriggerProcessor {
+    constructor() {
+      this.fireSelfTriggers = mockFireSelfTriggers;
+    }
+  }
+}));
+
+import DamageEffectProcessor from '../DamageEffectProcessor.js';
+import { TRIGGER_TYPES } from '../../../triggers/triggerConstants.js';
+
+const makeDrone = (id, hull, shields) => ({
+  id, name: `Drone ${id}`, hull, currentShields: shields, speed: 3, attack: 1, owner: 'player2'
+});
+
+const makePlayerStates = (lane1Drones) => ({
+  player1: { name: 'Player 1', dronesOnBoard: { lane1: [], lane2: [], lane3: [] }, deployedDroneCounts: {} },
+  player2: { name: 'Player 2', dronesOnBoard: { lane1: lane1Drones, lane2: [], lane3: [] }, deployedDroneCounts: {} }
+});
+
+const affectedIds = (triggerType) => {
+  const call = mockFireSelfTriggers.mock.calls.find(c => c[0] === triggerType);
+  return call ? call[1].map(entry => entry.drone.id) : null;
+};
+
+describe('DamageEffectProcessor damage triggers', () => {
+  let processor;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockFireSelfTriggers.mockImplementation((type, affected, context) => ({
+      triggered: false, newPlayerStates: context.playerStates, animationEvents: []
+    }));
+    processor = new DamageEffectProcessor();
+  });
+
+  const splash = (playerStates, extra = {}) => processor.process(
+    { type: 'SPLASH_DAMAGE', primaryDamage: 3, splashDamage: 1 },
+    {
+      actingPlayerId: 'player1',
+      playerStates,
+      target: { id: 'b', owner: 'player2' },
+      placedSections: { player1: [], player2: [] },
+      callbacks: { logCallback: vi.fn() },
+      ...extra
+    }
+  );
+
+  it('fires ON_SHIELDS_BROKEN on survivors whose shields were emptied and ON_DESTROYED on the dead', () => {
+    const states = makePlayerStates([makeDrone('a', 2, 1), makeDrone('b', 3, 0), makeDrone('c', 3, 2)]);
+
+    splash(states);
+
+    expect(affectedIds(TRIGGER_TYPES.ON_SHIELDS_BROKEN)).toEqual(['a']);
+    expect(affectedIds(TRIGGER_TYPES.ON_DESTROYED)).toEqual(['b']);
+  });
+
+  it('fires nothing when no shields break and nothing dies', () => {
+    const states = makePlayerStates([makeDrone('a', 3, 2), makeDrone('b', 5, 0), makeDrone('c', 3, 0)]);
+
+    const result = splash(states);
+
+    expect(mockFireSelfTriggers).not.toHaveBeenCalled();
+    expect(result.triggerAnimationEvents).toBeUndefined();
+  });
+
+  it('continues the surrounding chain and reports cascade events', () => {
+    mockFireSelfTriggers.mockImplementation((type, affected, context) => ({
+      triggered: true, newPlayerStates: context.playerStates, animationEvents: [{ type: 'TRIGGER_FIRED' }]
+    }));
+    const pairSet = new Set(['x:y']);
+    const states = makePlayerStates([makeDrone('b', 3, 0)]);
+
+    const result = splash(states, { pairSet, chainDepth: 3 });
+
+    expect(mockFireSelfTriggers).toHaveBeenCalledWith(
+      TRIGGER_TYPES.ON_DESTROYED,
+      expect.any(Array),
+      expect.objectContaining({ actingPlayerId: 'player1', pairSet, chainDepth: 3 })
+    );
+    expect(result.triggerAnimationEvents).toEqual([{ type: 'TRIGGER_FIRED' }]);
+    expect(result.preTriggerState.player2.dronesOnBoard.lane1).toEqual([]);
+  });
+});
@@ -11,6 +11,8 @@ import { debugLog } from '../../../utils/debugLogger.js';
 import fullDroneCollection from '../../../data/droneData.js';
 import { getLaneOfDrone } from '../../utils/gameEngineUtils.js';
 import { buildHealAnimation } from './animations/HealAnimation.js';
+import TriggerProcessor from '../../triggers/TriggerProcessor.js';
+import { TRIGGER_TYPES } from '../../triggers/triggerConstants.js';
 
 /**
  * Processor for HEAL_HULL effect type
@@ -21,6 +23,8 @@ import { buildHealAnimation } from './animations/HealAnimation.js';
  * - Single ship section targeting
  * - LANE scope (heals all drones in a lane)
  *
+ * Drones that actually regain hull fire ON_HEALED.
+ *
  * @extends BaseEffectProcessor
  */
 class HullHealProcessor extends BaseEffectProcessor {
@@ -42,6 +46,7 @@ class HullHealProcessor extends BaseEffectProcessor {
     const { actingPlayerId, playerStates, placedSections, target, card } = context;
     const newPlayerStates = this.clonePlayerStates(playerStates);
     const animationEvents = [];
+    const healedDrones = [];
     const targetPlayerId = actingPlayerId || 'player1';
 
     // LANE scope: Heal all drones in the target lane
@@ -52,7 +57,8 @@ class HullHealProcessor extends BaseEffectProcessor {
         targetPlayerId,
         newPlayerStates,
         animationEvents,
-        card
+        card,
+        healedDrones
       );
     } else {
       // Single target: Drone or ship section
@@ -63,11 +69,32 @@ class HullHealProcessor extends BaseEffectProcessor {
         newPlayerStates,
         placedSections,
         animationEvents,
-        card
+        card,
+        healedDrones
       );
     }
 
     const result = this.createResult(newPlayerStates, animationEvents);
+
+    // ON_HEALED: regeneration abilities on the drones that regained hull
+    if (healedDrones.length > 0) {
+      const triggerProcessor = new TriggerProcessor();
+      const preTriggerState = JSON.parse(JSON.stringify(newPlayerStates));
+      const healedResult = triggerProcessor.fireSelfTriggers(TRIGGER_TYPES.ON_HEALED, healedDrones, {
+        actingPlayerId: targetPlayerId,
+        playerStates: newPlayerStates,
+        placedSections,
+        logCallback: context.callbacks?.logCallback || null,
+        pairSet: context.pairSet || new Set(),
+        chainDepth: context.chainDepth || 0
+      });
+      if (healedResult.triggered) {
+        result.newPlayerStates = healedResult.newPlayerStates;
+        result.triggerAnimationEvents = healedResult.animationEvents;
+        result.preTriggerState = preTriggerState;
+      }
+    }
+
     this.logProcessComplete(effect, result, context);
     return result;
   }
@@ -77,7 +104,7 @@ class HullHealProcessor extends BaseEffectProcessor {
    *
    * @private
    */
-  processLaneHeal(effect, target, targetPlayerId, newPlayerStates, animationEvents, card) {
+  processLaneHeal(effect, target, targetPlayerId, newPlayerStates, animationEvents, card, healedDrones) {
     const targetLaneId = target.id;
     const targetPlayerState = newPlayerStates[targetPlayerId];
 
@@ -92,6 +119,7 @@ class HullHealProcessor extends BaseEffectProcessor {
       // Apply healing if drone is damaged
       if (droneInLane.hull < baseDrone.hull) {
         droneInLane.hull = Math.min(baseDrone.hull, droneInLane.hull + effect.value);
+        healedDrones.push({ drone: droneInLane, playerId: targetPlayerId, lane: targetLaneId });
       }
 
       // Build heal animation using animation builder
@@ -112,7 +140,7 @@ class HullHealProcessor extends BaseEffectProcessor {
    *
    * @private
    */
-  processSingleTargetHeal(effect, target, targetPlayerId, newPlayerStates, placedSections, animationEvents, card) {
+  processSingleTargetHeal(effect, target, targetPlayerId, newPlayerStates, placedSections, animationEvents, card, healedDrones) {
     const targetPlayerState = newPlayerStates[targetPlayerId];
 
     debugLog('EFFECT_PROCESSING', '[HEAL_HULL] processSingleTargetHeal called', {
@@ -135,7 +163,8 @@ class HullHealProcessor extends BaseEffectProcessor {
         targetPlayerId,
         targetPlayerState,
         animationEvents,
-        card
+        card,
+        healedDrones
       );
     } else if (target.name && targetPlayerState.shipSections[target.name]) {
       debugLog('EFFECT_PROCESSING', '[HEAL_HULL] Target identified as ship section', { sectionName: target.name });
@@ -163,7 +192,7 @@ class HullHealProcessor extends BaseEffectProcessor {
    *
    * @private
    */
-  healDrone(effect, target, baseDrone, targetPlayerId, targetPlayerState, animationEvents, card) {
+  healDrone(effect, target, baseDrone, targetPlayerId, targetPlayerState, animationEvents, card, healedDrones) {
     const targetLaneId = getLaneOfDrone(target.id, targetPlayerState);
     if (!targetLaneId) return;
 
@@ -175,6 +204,7 @@ class HullHealProcessor extends BaseEffectProcessor {
     // Apply healing if drone is damaged
     if (drone.hull < baseDrone.hull) {
       drone.hull = Math.min(baseDrone.hull, drone.hull + effect.value);
+      healedDrones.push({ drone, playerId: targetPlayerId, lane: targetLaneId });
     }
 
     // Build heal animation using animation builder
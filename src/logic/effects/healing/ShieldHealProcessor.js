@@ -10,6 +10,8 @@ import BaseEffectProcessor from '../BaseEffectProcessor.js';
 import { calculateEffectiveStats } from '../../statsCalculator.js';
 import { debugLog } from '../../../utils/debugLogger.js';
 import { buildHealAnimation } from './animations/HealAnimation.js';
+import TriggerProcessor from '../../triggers/TriggerProcessor.js';
+import { TRIGGER_TYPES } from '../../triggers/triggerConstants.js';
 
 /**
  * Processor for HEAL_SHIELDS effect type
@@ -19,6 +21,8 @@ import { buildHealAnimation } from './animations/HealAnimation.js';
  * - Single drone targeting
  * - LANE scope (heals all drones in a lane)
  *
+ * Drones that actually regain shields fire ON_HEALED.
+ *
  * @extends BaseEffectProcessor
  */
 class ShieldHealProcessor extends BaseEffectProcessor {
@@ -39,6 +43,7 @@ class ShieldHealProcessor extends BaseEffectProcessor {
     const { actingPlayerId, playerStates, placedSections, target } = context;
     const newPlayerStates = this.clonePlayerStates(playerStates);
     const animationEvents = [];
+    const healedDrones = [];
 
     // Check if target is a lane (e.g., lane1, lane2, lane3)
     if (target.id && target.id.startsWith('lane')) {
@@ -48,7 +53,8 @@ class ShieldHealProcessor extends BaseEffectProcessor {
         actingPlayerId,
         newPlayerStates,
         placedSections,
-        animationEvents
+        animationEvents,
+        healedDrones
       );
     } else {
       // Single drone target
@@ -58,11 +64,32 @@ class ShieldHealProcessor extends BaseEffectProcessor {
         actingPlayerId,
         newPlayerStates,
         placedSections,
-        animationEvents
+        animationEvents,
+        healedDrones
       );
     }
 
     const result = this.createResult(newPlayerStates, animationEvents);
+
+    // ON_HEALED: regeneration abilities on the drones that regained shields
+    if (healedDrones.length > 0) {
+      const triggerProcessor = new TriggerProcessor();
+      const preTriggerState = JSON.parse(JSON.stringify(newPlayerStates));
+      const healedResult = triggerProcessor.fireSelfTriggers(TRIGGER_TYPES.ON_HEALED, healedDrones, {
+        actingPlayerId,
+        playerStates: newPlayerStates,
+        placedSections,
+        logCallback: context.callbacks?.logCallback || null,
+        pairSet: context.pairSet || new Set(),
+        chainDepth: context.chainDepth || 0
+      });
+      if (healedResult.triggered) {
+        result.newPlayerStates = healedResult.newPlayerStates;
+        result.triggerAnimationEvents = healedResult.animationEvents;
+        result.preTriggerState = preTriggerState;
+      }
+    }
+
     this.logProcessComplete(effect, result, context);
     return result;
   }
@@ -72,7 +99,7 @@ class ShieldHealProcessor extends BaseEffectProcessor {
    *
    * @private
    */
-  processLaneShieldHeal(effect, target, actingPlayerId, newPlayerStates, placedSections, animationEvents) {
+  processLaneShieldHeal(effect, target, actingPlayerId, newPlayerStates, placedSections, animationEvents, healedDrones) {
     const laneId = target.id;
     const targetPlayerId = target.owner || actingPlayerId;
     const targetPlayerState = newPlayerStates[targetPlayerId];
@@ -94,6 +121,7 @@ class ShieldHealProcessor extends BaseEffectProcessor {
       // Apply shield healing if not at max
       if (oldShields < maxShields) {
         drone.currentShields = Math.min(maxShields, oldShields + effect.value);
+        healedDrones.push({ drone, playerId: targetPlayerId, lane: laneId });
       }
 
       debugLog('COMBAT', `[HEAL_SHIELDS] ${drone.name}: ${oldShields} → ${drone.currentShields} (max: ${maxShields})`);
@@ -116,7 +144,7 @@ class ShieldHealProcessor extends BaseEffectProcessor {
    *
    * @private
    */
-  processSingleDroneShieldHeal(effect, target, actingPlayerId, newPlayerStates, placedSections, animationEvents) {
+  processSingleDroneShieldHeal(effect, target, actingPlayerId, newPlayerStates, placedSections, animationEvents, healedDrones) {
     const targetPlayerId = target.owner || actingPlayerId;
     const targetPlayerState = newPlayerStates[targetPlayerId];
     const opponentPlayerId = targetPlayerId === 'player1' ? 'player2' : 'player1';
@@ -138,6 +166,7 @@ class ShieldHealProcessor extends BaseEffectProcessor {
         // Apply shield healing if not at max
         if (oldShields < maxShields) {
           drone.currentShields = Math.min(maxShields, oldShields + effect.value);
+          healedDrones.push({ drone, playerId: targetPlayerId, lane });
           debugLog('COMBAT', `[HEAL_SHIELDS] ${drone.name} in ${lane}: ${oldShields} → ${drone.currentShields} (max: ${maxShields})`);
         }
 
@@ -13,6 +13,7 @@ import { generateSalvageItemFromValue } from '../../data/salvageItemData.js';
 import aiPersonalities from '../../data/aiData.js';
 import { getShipById } from '../../data/shipData.js';
 import { REPUTATION_EVENTS } from '../../data/reputationData.js';
+import { createWinCondition } from '../../config/matchRules.js';
 
 /**
  * EncounterController - Singleton manager for POI encounters
@@ -59,7 +60,7 @@ class EncounterController {
 
     // Use seeded RNG based on POI coordinates for determinism
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     const poiOffset = ((poi?.q || 0) * 1000) + ((poi?.r || 0) * 37) + 9999;
     const rng = new SeededRandom(baseRng.seed + poiOffset);
 
@@ -94,7 +95,7 @@ class EncounterController {
    */
   checkPOIEncounter(poi, tierConfig = {}) {
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     // Use POI coordinates for unique roll per POI location
     const poiOffset = ((poi.q || 0) * 1000) + ((poi.r || 0) * 37);
     const rng = new SeededRandom(baseRng.seed + poiOffset);
@@ -134,7 +135,8 @@ class EncounterController {
       name: ai.name,
       shipClass: ship?.name || 'Unknown',
       difficulty: ai.difficulty || 'Unknown',
-      escapeDamage: ai.escapeDamage || { min: 2, max: 2 }
+      escapeDamage: ai.escapeDamage || { min: 2, max: 2 },
+      objective: createWinCondition(ai.winCondition)  // null = standard total-damage fight
     };
   }
 
@@ -156,7 +158,7 @@ class EncounterController {
 
     // Random selection from table using seeded RNG
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     // Use POI coordinates + offset to differentiate from encounter roll
     const aiOffset = poi ? (((poi.q || 0) * 1000) + ((poi.r || 0) * 37) + 5003) : 5003;
     const rng = new SeededRandom(baseRng.seed + aiOffset);
@@ -180,7 +182,7 @@ class EncounterController {
 
     // Add random bonus (0-49) using seeded RNG
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     // Use POI coordinates + offset to differentiate from other POI rolls
     const rewardOffset = ((poi.q || 0) * 1000) + ((poi.r || 0) * 37) + 9001;
     const rng = new SeededRandom(baseRng.seed + rewardOffset);
@@ -382,7 +384,7 @@ class EncounterController {
    */
   checkExtractionEncounter(detection) {
     const gameState = gameStateManager.getState();
-    const rng = SeededRandom.fromGameState(gameState || {});
+    const rng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     const roll = rng.random() * 100;
     const outcome = roll < detection ? 'blockade' : 'safe';
 
@@ -458,7 +460,7 @@ class EncounterController {
 
     // Create seed for detection roll (different offset than encounter roll)
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     const detectionOffset = (hex.q * 1000) + (hex.r * 37) + 7777;
     const detectionRng = new SeededRandom(baseRng.seed + detectionOffset);
     const detectionRoll = detectionRng.random() * 100;
@@ -545,7 +547,7 @@ class EncounterController {
    */
   checkSalvageEncounter(encounterChance, slotIndex = 0) {
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     // Use slot index as offset for unique roll per slot (deterministic)
     const slotOffset = slotIndex * 1337;
     const rng = new SeededRandom(baseRng.seed + slotOffset);
@@ -572,7 +574,7 @@ class EncounterController {
     const { min, max } = range;
 
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     // Use slot index + offset to differentiate from encounter roll
     const increaseOffset = (slotIndex * 1337) + 7919;
     const rng = new SeededRandom(baseRng.seed + increaseOffset);
@@ -622,7 +624,7 @@ class EncounterController {
 
     // Use seeded RNG for deterministic increase
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     const increaseOffset = moveIndex * 1337 + 8888;
     const rng = new SeededRandom(baseRng.seed + increaseOffset);
 
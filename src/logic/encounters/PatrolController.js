@@ -0,0 +1,134 @@
+// ========================================
+// PATROL CONTROLLER
+// ========================================
+// Roaming hunter fleets for Exploring the Eremos mode
+// Moves patrol tokens (runState.patrols) after each player move and turns
+// intercepts into combat encounters. Pathing lives in logic/map/patrolPathing.js
+
+import gameStateManager from '../../managers/GameStateManager.js';
+import tacticalMapStateManager from '../../managers/TacticalMapStateManager.js';
+import DetectionManager from '../detection/DetectionManager.js';
+import EncounterController from './EncounterController.js';
+import { advancePatrols, getPatrolAt } from '../map/patrolPathing.js';
+import { getTerrainMoveCost } from '../map/terrainUtils.js';
+import { debugLog } from '../../utils/debugLogger.js';
+import SeededRandom from '../../utils/seededRandom.js';
+
+/**
+ * PatrolController - Singleton manager for roaming patrols
+ *
+ * Patrol turn (once per hex the player moves):
+ * 1. Player entered a patrol's hex = intercept
+ * 2. Otherwise every patrol steps one hex (patrol / investigate / hunt)
+ *    - once per turn the move took (slow terrain like nebulae takes two)
+ * 3. A patrol stepping onto the player = intercept
+ *
+ * An intercepting patrol leaves the map and combat starts against the AI
+ * chosen by EncounterController.getAIForThreat.
+ */
+class PatrolController {
+  constructor() {
+    // Singleton instance
+    if (PatrolController.instance) {
+      return PatrolController.instance;
+    }
+    PatrolController.instance = this;
+  }
+
+  /**
+   * Get patrols currently on the map
+   * @returns {Array<Object>} runState.patrols
+   */
+  getPatrols() {
+    return tacticalMapStateManager.getState()?.patrols || [];
+  }
+
+  /**
+   * Resolve the patrol turn after the player moves onto a hex
+   * @param {Object} hex - Hex the player just moved onto
+   * @param {Object} tierConfig - Tier configuration
+   * @returns {Object|null} Intercept encounter, or null if no patrol reached the player
+   */
+  processPlayerMove(hex, tierConfig) {
+    const runState = tacticalMapStateManager.getState();
+    if (!runState?.patrols?.length) return null;
+
+    // Player flew into a patrol
+    let interceptor = getPatrolAt(runState.patrols, hex);
+    let patrols = runState.patrols;
+
+    const turns = getTerrainMoveCost(hex);
+    for (let turn = 0; turn < turns && !interceptor; turn++) {
+      patrols = advancePatrols(patrols, {
+        threshold: DetectionManager.getThreshold(),
+        lastNoise: runState.lastNoise,
+        playerPosition: { q: hex.q, r: hex.r },
+        hexes: runState.mapData?.hexes
+      });
+      interceptor = getPatrolAt(patrols, hex);
+    }
+
+    if (!interceptor) {
+      tacticalMapStateManager.setState({ patrols });
+      debugLog('ENCOUNTER', 'Patrols moved', patrols.map(p => ({ id: p.id, q: p.q, r: p.r, mode: p.mode })));
+      return null;
+    }
+
+    // Intercepting patrol is committed to the fight
+    tacticalMapStateManager.setState({
+      patrols: patrols.filter(patrol => patrol.id !== interceptor.id)
+    });
+
+    debugLog('ENCOUNTER', '⚠️ PATROL INTERCEPT!', { patrolId: interceptor.id, mode: interceptor.mode, q: hex.q, r: hex.r });
+
+    return this.createInterceptEncounter(hex, tierConfig, interceptor);
+  }
+
+  /**
+   * Build the combat encounter for a patrol intercept
+   * @param {Object} hex - Hex where the intercept happened
+   * @param {Object} tierConfig - Tier configuration with threatTables
+   * @param {Object} patrol - Intercepting patrol
+   * @returns {Object} Encounter result (same shape as checkMovementEncounter)
+   */
+  createInterceptEncounter(hex, tierConfig, patrol) {
+    const detection = DetectionManager.getCurrentDetection();
+    const aiId = EncounterController.getAIForThreat(tierConfig, detection, hex);
+    const aiData = EncounterController.getAIData(aiId);
+
+    // Use hex position + offset to differentiate from movement encounter rolls
+    const gameState = gameStateManager.getState();
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
+    const rewardOffset = (hex.q * 1000) + (hex.r * 37) + 6151;
+    const rng = new SeededRandom(baseRng.seed + rewardOffset);
+
+    return {
+      poi: {
+        type: hex.type,
+        q: hex.q,
+        r: hex.r,
+        poiData: hex.type === 'poi' ? hex.poiData : {
+          name: 'Patrol Intercept!',
+          description: 'A roaming hunter fleet has caught up with you',
+          flavourText: 'Warning! Patrol vessels closing to weapons range!',
+          color: '#ef4444'
+        }
+      },
+      outcome: 'combat',
+      aiId,
+      aiData,
+      reward: {
+        credits: 50 + rng.randomInt(0, 51), // 50-100 credits for combat victory
+        rewardType: hex.type === 'poi' ? hex.poiData?.rewardType : null,
+        poiName: hex.type === 'poi' ? hex.poiData?.name : 'Patrol Intercept'
+      },
+      detection,
+      threatLevel: DetectionManager.getThreshold(),
+      isAmbush: hex.type !== 'poi',
+      patrolId: patrol.id
+    };
+  }
+}
+
+// Export singleton instance
+export default new PatrolController();
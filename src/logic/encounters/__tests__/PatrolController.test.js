@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import PatrolController from '../PatrolController.js'
+import tacticalMapStateManager from '../../../managers/TacticalMapStateManager.js'
+import gameStateManager from '../../../managers/GameStateManager.js'
+import DetectionManager from '../../detection/DetectionManager.js'
+import { hexesInRadius } from '../../../utils/hexGrid.js'
+
+// ========================================
+// PATROL CONTROLLER TESTS
+// ========================================
+// Patrol turn after each player move: intercepts and patrol movement
+
+vi.mock('../../../managers/TacticalMapStateManager.js', () => ({
+  default: {
+    getState: vi.fn(),
+    setState: vi.fn()
+  }
+}))
+
+vi.mock('../../../managers/GameStateManager.js', () => ({
+  default: {
+    getState: vi.fn()
+  }
+}))
+
+vi.mock('../../detection/DetectionManager.js', () => ({
+  default: {
+    getThreshold: vi.fn(),
+    getCurrentDetection: vi.fn()
+  }
+}))
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn()
+}))
+
+const hexes = hexesInRadius(3).map(hex => ({ ...hex, type: 'empty', zone: 'mid' }))
+const tierConfig = { threatTables: { low: ['Rogue Scout Pattern'], medium: ['Specialized Hunter Group'], high: ['Specialized Hunter Group'] } }
+
+const patrol = (id, q, r) => ({ id, q, r, route: [{ q, r }], routeIndex: 0, mode: 'patrol', heading: 0 })
+
+const setRunState = (patrols, overrides = {}) => {
+  tacticalMapStateManager.getState.mockReturnValue({
+    mapData: { hexes },
+    patrols,
+    lastNoise: null,
+    ...overrides
+  })
+}
+
+describe('PatrolController', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    gameStateManager.getState.mockReturnValue({ gameSeed: 12345 })
+    DetectionManager.getThreshold.mockReturnValue('low')
+    DetectionManager.getCurrentDetection.mockReturnValue(20)
+  })
+
+  it('does nothing when the run has no patrols', () => {
+    setRunState([])
+
+    expect(PatrolController.processPlayerMove({ q: 0, r: 0, type: 'empty' }, tierConfig)).toBeNull()
+    expect(tacticalMapStateManager.setState).not.toHaveBeenCalled()
+  })
+
+  it('moves patrols and saves them when nobody reaches the player', () => {
+    setRunState([patrol('patrol-1', -3, 0)])
+    DetectionManager.getThreshold.mockReturnValue('high')
+
+    const result = PatrolController.processPlayerMove({ q: 2, r: 0, type: 'empty' }, tierConfig)
+
+    expect(result).toBeNull()
+    const { patrols } = tacticalMapStateManager.setState.mock.calls[0][0]
+    expect(patrols[0]).toMatchObject({ id: 'patrol-1', q: -2, r: 0, mode: 'hunt' })
+  })
+
+  it('gives patrols an extra step when the player moves through slow terrain', () => {
+    setRunState([patrol('patrol-1', -3, 0)])
+    DetectionManager.getThreshold.mockReturnValue('high')
+
+    PatrolController.processPlayerMove({ q: 2, r: 0, type: 'empty', terrain: { id: 'NEBULA', moveCost: 2 } }, tierConfig)
+
+    const { patrols } = tacticalMapStateManager.setState.mock.calls[0][0]
+    expect(patrols[0]).toMatchObject({ q: -1, r: 0 })
+  })
+
+  it('intercepts when the player moves into a patrol, before patrols move', () => {
+    setRunState([patrol('patrol-1', 1, 0), patrol('patrol-2', -3, 0)])
+
+    const result = PatrolController.processPlayerMove({ q: 1, r: 0, type: 'empty' }, tierConfig)
+
+    expect(result).toMatchObject({
+      outcome: 'combat',
+      aiId: 'Rogue Scout Pattern',
+      isAmbush: true,
+      patrolId: 'patrol-1',
+      poi: { q: 1, r: 0, poiData: { name: 'Patrol Intercept!' } }
+    })
+    expect(result.aiData.name).toBe('Rogue Scout Pattern')
+    // Intercepting patrol leaves the map; the other one hasn't moved
+    expect(tacticalMapStateManager.setState).toHaveBeenCalledWith({ patrols: [patrol('patrol-2', -3, 0)] })
+  })
+
+  it('intercepts when a hunting patrol moves onto the player', () => {
+    setRunState([patrol('patrol-1', 2, 0)])
+    DetectionManager.getThreshold.mockReturnValue('high')
+    DetectionManager.getCurrentDetection.mockReturnValue(85)
+
+    const result = PatrolController.processPlayerMove({ q: 1, r: 0, type: 'empty' }, tierConfig)
+
+    expect(result).toMatchObject({ patrolId: 'patrol-1', aiId: 'Specialized Hunter Group' })
+    expect(tacticalMapStateManager.setState).toHaveBeenCalledWith({ patrols: [] })
+  })
+})
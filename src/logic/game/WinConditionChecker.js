@@ -2,11 +2,16 @@
 // WIN CONDITION CHECKER
 // ========================================
 // Handles win condition detection and game state validation
-// Uses total damage model: Win by dealing damage >= DAMAGE_PERCENTAGE of total hull
+// Default total damage model: Win by dealing damage >= DAMAGE_PERCENTAGE of total hull
+// Matches may instead play a state.winCondition from config/matchRules.js
 
 import { WIN_CONDITION } from '../../config/gameConfig.js';
+import { WIN_CONDITION_TYPES } from '../../config/matchRules.js';
+import { LaneControlCalculator } from '../combat/LaneControlCalculator.js';
 import { debugLog } from '../../utils/debugLogger.js';
 
+const LANES = ['lane1', 'lane2', 'lane3'];
+
 /**
  * WinConditionChecker
  * Manages win condition detection and game-ending logic
@@ -20,6 +25,13 @@ import { debugLog } from '../../utils/debugLogger.js';
  * A player wins when they deal damage equal to or greater than
  * DAMAGE_PERCENTAGE (default 60%) of the opponent's total max hull.
  *
+ * Alternative win conditions (state.winCondition):
+ * - DESTROY_ALL_SECTIONS: replaces the damage threshold with destroying every section
+ * - LANE_CONTROL / SURVIVE_ROUNDS: damage threshold still applies mid-round;
+ *   the objective itself is decided at round end
+ * - ROUND_LIMIT_DAMAGE: no mid-round win; highest hull damage share after the
+ *   round limit wins, ties play on round by round
+ *
  * This is a stateless singleton - all methods are pure functions
  * that check state without side effects.
  */
@@ -106,6 +118,37 @@ class WinConditionChecker {
     return totalDamageDealt >= damageThreshold;
   }
 
+  /**
+   * Check if every one of a player's ship sections has been destroyed
+   *
+   * @param {Object} playerState - The player's state to check
+   * @returns {boolean} True if all sections are at 0 hull
+   */
+  areAllSectionsDestroyed(playerState) {
+    const sections = Object.values(playerState?.shipSections || {});
+    return sections.length > 0 && sections.every(section => section.hull <= 0);
+  }
+
+  /**
+   * Check if a player has lost under the match's win condition
+   * Only covers losses that happen mid-round; round-based objectives are
+   * decided by checkRoundEndForWinner.
+   *
+   * @param {Object} playerState - The player's state to check
+   * @param {Object|null} winCondition - state.winCondition (null = total damage)
+   * @returns {boolean} True if the player has lost
+   */
+  hasLost(playerState, winCondition = null) {
+    switch (winCondition?.type) {
+      case WIN_CONDITION_TYPES.DESTROY_ALL_SECTIONS:
+        return this.areAllSectionsDestroyed(playerState);
+      case WIN_CONDITION_TYPES.ROUND_LIMIT_DAMAGE:
+        return false;
+      default:
+        return this.checkWinCondition(playerState);
+    }
+  }
+
   /**
    * Check game state for winner and trigger callbacks
    * Checks both players and executes appropriate callbacks when a winner is found
@@ -115,45 +158,150 @@ class WinConditionChecker {
    *
    * @param {Object} playerStates - { player1: playerState, player2: playerState }
    * @param {Object} callbacks - Callback functions { logCallback, setWinnerCallback, showWinnerModalCallback? }
+   * @param {Object|null} winCondition - state.winCondition (null = total damage)
    * @returns {string|null} Winner ('player1', 'player2', or null if no winner yet)
    */
-  checkGameStateForWinner(playerStates, callbacks) {
-    const { logCallback, setWinnerCallback, showWinnerModalCallback } = callbacks;
-
+  checkGameStateForWinner(playerStates, callbacks, winCondition = null) {
     // Check if Player 1 has met the win condition against Player 2
-    if (this.checkWinCondition(playerStates.player2)) {
-      const p2Integrity = this.calculateHullIntegrity(playerStates.player2);
-
-      setWinnerCallback('player1');
-      showWinnerModalCallback?.(true);
-      logCallback({
-        player: 'SYSTEM',
-        actionType: 'GAME_END',
-        source: 'N/A',
-        target: 'N/A',
-        outcome: `Player 1 wins! (${p2Integrity.totalDamageDealt}/${p2Integrity.damageThreshold} damage dealt)`
-      }, 'winConditionCheck');
-      return 'player1';
+    if (this.hasLost(playerStates.player2, winCondition)) {
+      return this._declareWinner('player1', playerStates, this._describeLoss(playerStates.player2, winCondition), callbacks);
     }
 
     // Check if Player 2 has met the win condition against Player 1
-    if (this.checkWinCondition(playerStates.player1)) {
-      const p1Integrity = this.calculateHullIntegrity(playerStates.player1);
-
-      setWinnerCallback('player2');
-      showWinnerModalCallback?.(true);
-      logCallback({
-        player: 'SYSTEM',
-        actionType: 'GAME_END',
-        source: 'N/A',
-        target: 'N/A',
-        outcome: `${playerStates.player2.name} wins! (${p1Integrity.totalDamageDealt}/${p1Integrity.damageThreshold} damage dealt)`
-      }, 'winConditionCheck');
-      return 'player2';
+    if (this.hasLost(playerStates.player1, winCondition)) {
+      return this._declareWinner('player2', playerStates, this._describeLoss(playerStates.player1, winCondition), callbacks);
     }
 
     return null; // No winner yet
   }
+
+  /**
+   * Evaluate round-based objectives at the end of a round
+   * Pure function: returns the winner (if any) and the updated objective progress.
+   *
+   * @param {Object} roundState - { player1, player2, roundNumber, winCondition, winConditionProgress }
+   * @returns {Object} { winner: 'player1'|'player2'|null, reason: string|null, progress: Object|null }
+   */
+  evaluateRoundEnd({ player1, player2, roundNumber, winCondition, winConditionProgress = null }) {
+    const noWinner = { winner: null, reason: null, progress: winConditionProgress };
+
+    switch (winCondition?.type) {
+      case WIN_CONDITION_TYPES.LANE_CONTROL: {
+        const laneControl = LaneControlCalculator.calculateLaneControl(player1, player2);
+        const previous = winConditionProgress?.laneControlStreak || { player1: 0, player2: 0 };
+        const laneControlStreak = {};
+        for (const playerId of ['player1', 'player2']) {
+          laneControlStreak[playerId] = LaneControlCalculator.checkLaneControl(playerId, LANES, laneControl)
+            ? previous[playerId] + 1
+            : 0;
+        }
+        const progress = { laneControlStreak };
+        const winner = ['player1', 'player2'].find(id => laneControlStreak[id] >= winCondition.rounds) || null;
+        return winner
+          ? { winner, reason: `held all three lanes for ${winCondition.rounds} consecutive rounds`, progress }
+          : { ...noWinner, progress };
+      }
+
+      case WIN_CONDITION_TYPES.SURVIVE_ROUNDS:
+        if (roundNumber < winCondition.rounds) return noWinner;
+        return { winner: winCondition.survivor, reason: `survived ${winCondition.rounds} rounds`, progress: winConditionProgress };
+
+      case WIN_CONDITION_TYPES.ROUND_LIMIT_DAMAGE: {
+        if (roundNumber < winCondition.roundLimit) return noWinner;
+        // Damage share of the enemy's total hull, so different ship classes compare fairly
+        const shareDealtTo = (playerState) => {
+          const { totalDamageDealt, totalMaxHull } = this.calculateHullIntegrity(playerState);
+          return totalMaxHull > 0 ? totalDamageDealt / totalMaxHull : 0;
+        };
+        const player1Share = shareDealtTo(player2);
+        const player2Share = shareDealtTo(player1);
+        if (player1Share === player2Share) return noWinner;
+
+        const percent = (share) => Math.round(share * 100);
+        const winner = player1Share > player2Share ? 'player1' : 'player2';
+        const [winnerShare, loserShare] = winner === 'player1' ? [player1Share, player2Share] : [player2Share, player1Share];
+        return {
+          winner,
+          reason: `${percent(winnerShare)}% to ${percent(loserShare)}% hull damage after round ${roundNumber}`,
+          progress: winConditionProgress
+        };
+      }
+
+      default:
+        return noWinner;
+    }
+  }
+
+  /**
+   * Check round-based objectives at round end and trigger callbacks
+   *
+   * @param {Object} roundState - { player1, player2, roundNumber, winCondition, winConditionProgress }
+   * @param {Object} callbacks - Callback functions { logCallback, setWinnerCallback, showWinnerModalCallback? }
+   * @returns {Object} { winner: 'player1'|'player2'|null, progress: Object|null }
+   */
+  checkRoundEndForWinner(roundState, callbacks) {
+    const { winner, reason, progress } = this.evaluateRoundEnd(roundState);
+
+    debugLog('WIN_CONDITION', '🎯 Round end objective check', {
+      type: roundState.winCondition?.type,
+      roundNumber: roundState.roundNumber,
+      winner,
+      progress
+    });
+
+    if (winner) {
+      this._declareWinner(winner, roundState, reason, callbacks);
+    }
+
+    return { winner, progress };
+  }
+
+  /**
+   * End the match with a forfeit, whatever the match's win condition
+   * Used for time-outs and the debug Force Win, which must end every preset
+   * (ROUND_LIMIT_DAMAGE has no mid-round loss for checkGameStateForWinner to find).
+   *
+   * @param {string} loserId - 'player1' or 'player2'
+   * @param {Object} playerStates - { player1: playerState, player2: playerState }
+   * @param {string} reason - Shown in the GAME_END log entry
+   * @param {Object} callbacks - Callback functions { logCallback, setWinnerCallback, showWinnerModalCallback? }
+   * @returns {string} Winner ('player1' or 'player2')
+   */
+  declareForfeit(loserId, playerStates, reason, callbacks) {
+    const winnerId = loserId === 'player1' ? 'player2' : 'player1';
+    return this._declareWinner(winnerId, playerStates, reason, callbacks);
+  }
+
+  /**
+   * Describe how a player lost mid-round, for the GAME_END log entry
+   * @private
+   */
+  _describeLoss(loserState, winCondition) {
+    if (winCondition?.type === WIN_CONDITION_TYPES.DESTROY_ALL_SECTIONS) {
+      return 'all enemy ship sections destroyed';
+    }
+    const integrity = this.calculateHullIntegrity(loserState);
+    return `${integrity.totalDamageDealt}/${integrity.damageThreshold} damage dealt`;
+  }
+
+  /**
+   * Set the winner, show the winner modal and log the GAME_END entry
+   * @private
+   */
+  _declareWinner(winnerId, playerStates, reason, { logCallback, setWinnerCallback, showWinnerModalCallback }) {
+    const winnerName = winnerId === 'player1' ? 'Player 1' : playerStates.player2.name;
+
+    setWinnerCallback(winnerId);
+    showWinnerModalCallback?.(true);
+    logCallback({
+      player: 'SYSTEM',
+      actionType: 'GAME_END',
+      source: 'N/A',
+      target: 'N/A',
+      outcome: `${winnerName} wins! (${reason})`
+    }, 'winConditionCheck');
+    return winnerId;
+  }
 }
 
 // Export singleton instance
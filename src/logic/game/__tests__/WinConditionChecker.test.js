@@ -8,6 +8,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 import WinConditionChecker from '../WinConditionChecker.js';
 import { WIN_CONDITION } from '../../../config/gameConfig.js';
+import { createWinCondition } from '../../../config/matchRules.js';
 
 // Helper to create a mock player state with ship sections
 const createMockPlayerState = (sections) => ({
@@ -15,6 +16,12 @@ const createMockPlayerState = (sections) => ({
   shipSections: sections
 });
 
+// Helper to fill lanes with the given number of drones
+const createBoard = (lane1, lane2, lane3) => {
+  const drones = (count) => Array.from({ length: count }, (_, i) => ({ id: `d${i}` }));
+  return { lane1: drones(lane1), lane2: drones(lane2), lane3: drones(lane3) };
+};
+
 // Helper to create a ship section with specified hull values
 const createSection = (hull, maxHull) => ({
   hull,
@@ -291,4 +298,111 @@ describe('WinConditionChecker', () => {
       expect(mockCallbacks.setWinnerCallback).not.toHaveBeenCalled();
     });
   });
+
+  describe('alternative win conditions', () => {
+    let mockCallbacks;
+    const fullHull = () => createMockPlayerState({
+      bridge: createSection(10, 10),
+      powerCell: createSection(10, 10),
+      droneControlHub: createSection(10, 10)
+    });
+
+    beforeEach(() => {
+      mockCallbacks = { logCallback: vi.fn(), setWinnerCallback: vi.fn() };
+    });
+
+    it('annihilation ignores the damage threshold until every section is destroyed', () => {
+      const annihilation = createWinCondition('annihilation');
+      const twoDown = createMockPlayerState({
+        bridge: createSection(0, 10),
+        powerCell: createSection(0, 10),
+        droneControlHub: createSection(10, 10)
+      });
+      const allDown = createMockPlayerState({
+        bridge: createSection(0, 10),
+        powerCell: createSection(0, 10),
+        droneControlHub: createSection(0, 10)
+      });
+
+      expect(WinConditionChecker.checkGameStateForWinner({ player1: fullHull(), player2: twoDown }, mockCallbacks, annihilation)).toBe(null);
+      expect(WinConditionChecker.checkGameStateForWinner({ player1: fullHull(), player2: allDown }, mockCallbacks, annihilation)).toBe('player1');
+      expect(mockCallbacks.logCallback.mock.calls[0][0].outcome).toBe('Player 1 wins! (all enemy ship sections destroyed)');
+    });
+
+    it('round-limit matches have no mid-round win', () => {
+      const dying = createMockPlayerState({
+        bridge: createSection(0, 10),
+        powerCell: createSection(0, 10),
+        droneControlHub: createSection(0, 10)
+      });
+
+      expect(WinConditionChecker.hasLost(dying, createWinCondition('attrition'))).toBe(false);
+    });
+
+    it('lane dominance needs all three lanes for consecutive round ends', () => {
+      const winCondition = createWinCondition('laneDominance');
+      const player1 = { ...fullHull(), dronesOnBoard: createBoard(1, 1, 1) };
+      const player2 = { ...fullHull(), dronesOnBoard: createBoard(0, 0, 0) };
+
+      let progress = null;
+      for (let round = 1; round < winCondition.rounds; round++) {
+        const result = WinConditionChecker.evaluateRoundEnd({ player1, player2, roundNumber: round, winCondition, winConditionProgress: progress });
+        expect(result.winner).toBe(null);
+        progress = result.progress;
+      }
+      expect(progress.laneControlStreak).toEqual({ player1: winCondition.rounds - 1, player2: 0 });
+
+      // Losing a lane resets the streak
+      const contested = WinConditionChecker.evaluateRoundEnd({
+        player1, player2: { ...player2, dronesOnBoard: createBoard(0, 0, 1) },
+        roundNumber: winCondition.rounds, winCondition, winConditionProgress: progress
+      });
+      expect(contested).toMatchObject({ winner: null, progress: { laneControlStreak: { player1: 0, player2: 0 } } });
+
+      const held = WinConditionChecker.checkRoundEndForWinner(
+        { player1, player2, roundNumber: winCondition.rounds, winCondition, winConditionProgress: progress },
+        mockCallbacks
+      );
+      expect(held.winner).toBe('player1');
+      expect(mockCallbacks.setWinnerCallback).toHaveBeenCalledWith('player1');
+    });
+
+    it('survival is won by the survivor at the end of the final round', () => {
+      const winCondition = createWinCondition('survival');
+      const roundState = (roundNumber) => ({ player1: fullHull(), player2: fullHull(), roundNumber, winCondition });
+
+      expect(WinConditionChecker.evaluateRoundEnd(roundState(winCondition.rounds - 1)).winner).toBe(null);
+      expect(WinConditionChecker.evaluateRoundEnd(roundState(winCondition.rounds))).toMatchObject({
+        winner: 'player1',
+        reason: `survived ${winCondition.rounds} rounds`
+      });
+    });
+
+    it('attrition goes to the higher hull damage share after the round limit, ties play on', () => {
+      const winCondition = createWinCondition('attrition');
+      // Player 2 flies a bigger ship: 8/45 is a smaller share than 6/30
+      const bigShip = createMockPlayerState({
+        bridge: createSection(11, 15),
+        powerCell: createSection(11, 15),
+        droneControlHub: createSection(15, 15)
+      });
+      const smallShip = createMockPlayerState({
+        bridge: createSection(7, 10),
+        powerCell: createSection(7, 10),
+        droneControlHub: createSection(10, 10)
+      });
+
+      expect(WinConditionChecker.evaluateRoundEnd({ player1: smallShip, player2: bigShip, roundNumber: winCondition.roundLimit - 1, winCondition }).winner).toBe(null);
+      expect(WinConditionChecker.evaluateRoundEnd({ player1: smallShip, player2: bigShip, roundNumber: winCondition.roundLimit, winCondition })).toMatchObject({
+        winner: 'player2',
+        reason: `20% to 18% hull damage after round ${winCondition.roundLimit}`
+      });
+      expect(WinConditionChecker.evaluateRoundEnd({ player1: fullHull(), player2: fullHull(), roundNumber: winCondition.roundLimit + 1, winCondition }).winner).toBe(null);
+    });
+
+    it('standard rules have no round-end objective', () => {
+      expect(createWinCondition('standard')).toBe(null);
+      expect(WinConditionChecker.evaluateRoundEnd({ player1: fullHull(), player2: fullHull(), roundNumber: 99, winCondition: null }).winner).toBe(null);
+    });
+  });
 });
@@ -238,7 +238,7 @@ class LootGenerator {
    * Different from pack opening - takes random cards from defeated enemy
    * @param {Array} enemyDeck - Enemy's deck (card instances)
    * @param {number} tier - Map tier (1, 2, or 3) for AI Cores drop calculation
-   * @param {string} aiDifficulty - AI difficulty ('Easy', 'Normal', 'Medium', 'Hard') for drop chance
+   * @param {string} aiDifficulty - AI difficulty ('Easy', 'Normal', 'Medium', 'Hard', 'Expert') for drop chance
    * @param {number} seed - Random seed for deterministic results (defaults to Date.now())
    * @returns {Object} { cards: [...], credits: number, aiCores: number }
    */
@@ -7,20 +7,25 @@
 import { hexNeighbors, axialDistance } from '../../utils/hexGrid.js';
 import DetectionManager from '../detection/DetectionManager.js';
 import MovementController from './MovementController.js';
+import { getPatrolThreatCost } from './patrolPathing.js';
+import { isPassable } from './terrainUtils.js';
 
 class EscapeRouteCalculator {
   /**
    * Find the lowest-threat path between two hexes using weighted A*
    * Unlike regular A* which finds shortest path, this minimizes total detection cost
+   * Terrain scales hex costs (via DetectionManager) and impassable terrain is avoided
+   * Hexes on or next to a patrol cost extra (tierConfig.patrols.escapeThreatCost)
    *
    * @param {Object} start - Starting hex with q, r coordinates
    * @param {Object} goal - Goal hex with q, r coordinates
    * @param {Array<Object>} hexes - Array of all hexes on map
    * @param {Object} tierConfig - Tier configuration with detection rates
    * @param {number} mapRadius - Map radius for zone calculation
+   * @param {Array<Object>} patrols - Patrol tokens from run state (optional)
    * @returns {Object|null} { path: Array<Object>, threatCost: number } or null if no path
    */
-  findLowestThreatPath(start, goal, hexes, tierConfig, mapRadius) {
+  findLowestThreatPath(start, goal, hexes, tierConfig, mapRadius, patrols = []) {
     // Validate inputs
     if (!start || !goal || !hexes || !tierConfig) {
       return null;
@@ -67,13 +72,14 @@ class EscapeRouteCalculator {
       for (const neighborCoord of neighbors) {
         const neighbor = hexes.find(h => h.q === neighborCoord.q && h.r === neighborCoord.r);
 
-        // Skip if hex doesn't exist (out of bounds)
-        if (!neighbor) continue;
+        // Skip if hex doesn't exist (out of bounds) or is impassable terrain
+        if (!neighbor || !isPassable(neighbor)) continue;
 
         // Calculate threat cost for moving to this neighbor
         const edgeCost = DetectionManager.getHexDetectionCost(neighbor, tierConfig, mapRadius);
         // Safeguard: if edgeCost is undefined/NaN, use default value
-        const safeEdgeCost = Number.isFinite(edgeCost) ? edgeCost : 1.5;
+        const safeEdgeCost = (Number.isFinite(edgeCost) ? edgeCost : 1.5)
+          + getPatrolThreatCost(neighbor, patrols, tierConfig);
         const currentGScore = gScore.get(currentKey);
         const tentativeGScore = (currentGScore ?? 0) + safeEdgeCost;
         const neighborKey = this.hexKey(neighbor);
@@ -203,8 +209,8 @@ class EscapeRouteCalculator {
       for (const neighborCoord of neighbors) {
         const neighbor = hexes.find(h => h.q === neighborCoord.q && h.r === neighborCoord.r);
 
-        // Skip if hex doesn't exist (out of bounds)
-        if (!neighbor) continue;
+        // Skip if hex doesn't exist (out of bounds) or is impassable terrain
+        if (!neighbor || !isPassable(neighbor)) continue;
 
         // Calculate encounter chance for moving to this neighbor
         const edgeCost = MovementController.getHexEncounterChance(neighbor, tierConfig, mapData);
@@ -254,7 +260,7 @@ class EscapeRouteCalculator {
    * @param {Object} position - Current position { q, r }
    * @param {Object} mapData - Map data with gates array
    * @param {Object} tierConfig - Tier configuration
-   * @param {Object} runState - Run state containing insertionGate
+   * @param {Object} runState - Run state containing insertionGate and patrols
    * @returns {Object|null} { gate, path, threatCost } or null if no gates reachable
    */
   findNearestExtractableGate(position, mapData, tierConfig, runState) {
@@ -281,7 +287,8 @@ class EscapeRouteCalculator {
         gate,
         mapData.hexes,
         tierConfig,
-        mapRadius
+        mapRadius,
+        runState?.patrols
       );
 
       if (pathResult) {
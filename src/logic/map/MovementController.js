@@ -44,7 +44,7 @@ class MovementController {
   }
 
   /**
-   * Calculate detection cost for a path using zone-based rates
+   * Calculate detection cost for a path using zone-based rates scaled by terrain
    * @param {Array<Object>} path - Path from calculatePath
    * @param {Object} tierConfig - Tier configuration from mapData.js
    * @param {number} mapRadius - Map radius for zone calculation (optional)
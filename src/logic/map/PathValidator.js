@@ -6,6 +6,7 @@
 
 import { hexNeighbors, axialDistance } from '../../utils/hexGrid.js';
 import { debugLog } from '../../utils/debugLogger.js';
+import { getTerrainDetectionMultiplier, getTerrainMoveCost, isPassable } from './terrainUtils.js';
 
 class PathValidator {
   /**
@@ -26,7 +27,9 @@ class PathValidator {
           return false;
         }
 
-        const cost = path.length * tierConfig.detectionTriggers.movementPerHex;
+        // Terrain scales each hex's cost (nebulae are free, ion storms cost extra)
+        const cost = path.reduce((sum, hex) =>
+          sum + tierConfig.detectionTriggers.movementPerHex * getTerrainDetectionMultiplier(hex), 0);
         if (cost > tierConfig.maxPathCostPercent) {
           debugLog('MOVEMENT_EFFECT',
             `Path cost ${cost.toFixed(1)}% exceeds max ${tierConfig.maxPathCostPercent}% ` +
@@ -42,6 +45,7 @@ class PathValidator {
 
   /**
    * Find shortest path between two hexes using A* algorithm
+   * Impassable terrain is skipped; slow terrain (e.g. nebulae) costs more than one step
    * @param {Object} start - Starting hex with q, r coordinates
    * @param {Object} goal - Goal hex with q, r coordinates
    * @param {Array<Object>} hexes - Array of all hexes on map
@@ -74,10 +78,10 @@ class PathValidator {
       for (const neighborCoord of neighbors) {
         const neighbor = hexes.find(h => h.q === neighborCoord.q && h.r === neighborCoord.r);
 
-        // Skip if hex doesn't exist (out of bounds)
-        if (!neighbor) continue;
+        // Skip if hex doesn't exist (out of bounds) or can't be entered
+        if (!neighbor || !isPassable(neighbor)) continue;
 
-        const tentativeGScore = (gScore.get(this.hexKey(current)) || Infinity) + 1;
+        const tentativeGScore = (gScore.get(this.hexKey(current)) ?? Infinity) + getTerrainMoveCost(neighbor);
         const neighborKey = this.hexKey(neighbor);
 
         if (!gScore.has(neighborKey) || tentativeGScore < gScore.get(neighborKey)) {
@@ -0,0 +1,112 @@
+// ========================================
+// SENSOR CONTROLLER
+// ========================================
+// Fog of war for Exploring the Eremos mode
+// Reveals PoIs and gates within sensor range (passive) or an active scan
+// Reveal rules live in logic/map/fogOfWar.js
+
+import tacticalMapStateManager from '../../managers/TacticalMapStateManager.js';
+import DetectionManager from '../detection/DetectionManager.js';
+import { getSensorRange, getNewlyRevealedHexes } from './fogOfWar.js';
+import { debugLog } from '../../utils/debugLogger.js';
+
+// Fallback scan config if the tier doesn't define one
+const DEFAULT_SCAN = { detectionCost: 8, rangeBonus: 2 };
+
+/**
+ * SensorController - Singleton controller for fog of war
+ *
+ * - Passive sweep: after each move, reveal within the bridge's sensor range
+ * - Active scan: reveal within sensor range + scan bonus, costs detection
+ *   (and leaves noise for patrols to investigate)
+ *
+ * Reveal state is runState.revealedHexes, saved with the rest of the run state.
+ */
+class SensorController {
+  constructor() {
+    // Singleton instance
+    if (SensorController.instance) {
+      return SensorController.instance;
+    }
+    SensorController.instance = this;
+  }
+
+  /**
+   * Current sensor range of the run's ship
+   * @returns {number} Range in hexes
+   */
+  getSensorRange() {
+    return getSensorRange(tacticalMapStateManager.getState()?.shipSections);
+  }
+
+  /**
+   * Scan config for a tier
+   * @param {Object} tierConfig - Tier configuration
+   * @returns {Object} { detectionCost, rangeBonus }
+   */
+  getScanConfig(tierConfig) {
+    return { ...DEFAULT_SCAN, ...tierConfig?.scan };
+  }
+
+  /**
+   * Check if an active scan can be made without maxing out detection
+   * @param {Object} tierConfig - Tier configuration
+   * @returns {boolean} True if scanning is allowed
+   */
+  canScan(tierConfig) {
+    const runState = tacticalMapStateManager.getState();
+    if (!runState) return false;
+    return (runState.detection || 0) + this.getScanConfig(tierConfig).detectionCost < 100;
+  }
+
+  /**
+   * Passive sensor sweep around the player
+   * @returns {Array<Object>} Newly revealed hexes [{q, r}]
+   */
+  sweep() {
+    const runState = tacticalMapStateManager.getState();
+    if (!runState?.mapData || !runState.playerPosition) return [];
+
+    return this.revealAround(runState, getSensorRange(runState.shipSections));
+  }
+
+  /**
+   * Active scan around the player
+   * @param {Object} tierConfig - Tier configuration
+   * @returns {Object|null} { revealed, detectionCost, range }, or null if scanning isn't allowed
+   */
+  scan(tierConfig) {
+    if (!this.canScan(tierConfig)) return null;
+
+    const { detectionCost, rangeBonus } = this.getScanConfig(tierConfig);
+    DetectionManager.addDetection(detectionCost, 'Active scan');
+
+    const runState = tacticalMapStateManager.getState();
+    const range = getSensorRange(runState.shipSections) + rangeBonus;
+    const revealed = this.revealAround(runState, range);
+
+    debugLog('MOVEMENT', `Active scan (range ${range}) revealed ${revealed.length} signal(s)`, revealed);
+
+    return { revealed, detectionCost, range };
+  }
+
+  /**
+   * Reveal foggable hexes within range of the player and save them
+   * @param {Object} runState - Current run state
+   * @param {number} range - Range in hexes
+   * @returns {Array<Object>} Newly revealed hexes [{q, r}]
+   */
+  revealAround(runState, range) {
+    const revealedHexes = runState.revealedHexes || [];
+    const revealed = getNewlyRevealedHexes(revealedHexes, runState.mapData.hexes, runState.playerPosition, range);
+
+    if (revealed.length > 0) {
+      tacticalMapStateManager.setState({ revealedHexes: [...revealedHexes, ...revealed] });
+    }
+
+    return revealed;
+  }
+}
+
+// Export singleton instance
+export default new SensorController();
@@ -0,0 +1,146 @@
+// ========================================
+// TERRAIN CONTROLLER
+// ========================================
+// Applies terrain effects when the player enters a hex in Exploring the Eremos mode
+// Terrain rules live on hex.terrain (see data/terrainData.js and terrainUtils.js)
+
+import tacticalMapStateManager from '../../managers/TacticalMapStateManager.js';
+import { getPOIsInRange, relocateDriftingTerrain } from './terrainUtils.js';
+import { debugLog } from '../../utils/debugLogger.js';
+import SeededRandom from '../../utils/seededRandom.js';
+
+// Offsets from map seed so terrain rolls don't mirror PoI or patrol rolls
+const HULL_DAMAGE_SEED_OFFSET = 7919;
+const DRIFT_SEED_OFFSET = 104729;
+
+/**
+ * TerrainController - Singleton controller for terrain effects
+ *
+ * On each player move:
+ * - Asteroid fields deal hull damage to random ship sections
+ * - Derelict beacons reveal nearby PoIs (runState.revealedPOIs)
+ * - Ion storms drift to new hexes every few moves (mapData.hexes)
+ *
+ * Detection and movement costs are handled by DetectionManager / PathValidator.
+ */
+class TerrainController {
+  constructor() {
+    // Singleton instance
+    if (TerrainController.instance) {
+      return TerrainController.instance;
+    }
+    TerrainController.instance = this;
+  }
+
+  /**
+   * Get the current state of a hex (terrain may have drifted since the path was planned)
+   * @param {Object} hex - Hex {q, r}
+   * @returns {Object} Hex from runState.mapData, or the given hex if not found
+   */
+  getLiveHex(hex) {
+    const hexes = tacticalMapStateManager.getState()?.mapData?.hexes || [];
+    return hexes.find(h => h.q === hex.q && h.r === hex.r) || hex;
+  }
+
+  /**
+   * Apply terrain effects after the player moves onto a hex
+   * Call after the move has been saved (playerPosition, hexesMoved updated)
+   * @param {Object} hex - Hex the player just moved onto
+   * @returns {Object} Summary { hullDamage, revealedPOIs, terrainMoved }
+   */
+  processPlayerMove(hex) {
+    const result = { hullDamage: 0, revealedPOIs: [], terrainMoved: false };
+    const runState = tacticalMapStateManager.getState();
+    if (!runState?.mapData) return result;
+
+    const terrain = this.getLiveHex(hex).terrain;
+
+    if (terrain?.hullDamage > 0) {
+      result.hullDamage = this.applyHullDamage(terrain.hullDamage, runState);
+    }
+
+    if (terrain?.revealRadius > 0) {
+      result.revealedPOIs = this.revealNearbyPOIs(hex, terrain.revealRadius, runState);
+    }
+
+    result.terrainMoved = this.driftTerrain(runState);
+
+    if (terrain || result.terrainMoved) {
+      debugLog('MOVEMENT', `Terrain at (${hex.q}, ${hex.r}): ${terrain?.name || 'none'}`, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Deal hull damage to random ship sections that still have hull
+   * @param {number} amount - Damage points
+   * @param {Object} runState - Current run state
+   * @returns {number} Damage actually dealt
+   */
+  applyHullDamage(amount, runState) {
+    const updatedSections = {};
+    Object.entries(runState.shipSections || {}).forEach(([key, section]) => {
+      updatedSections[key] = { ...section };
+    });
+
+    const rng = new SeededRandom((runState.mapData.seed || 0) + HULL_DAMAGE_SEED_OFFSET + (runState.hexesMoved || 0));
+    let dealt = 0;
+    for (let i = 0; i < amount; i++) {
+      const damageable = Object.keys(updatedSections).filter(key => updatedSections[key].hull > 0);
+      if (damageable.length === 0) break;
+
+      const key = rng.select(damageable);
+      updatedSections[key].hull -= 1;
+      dealt++;
+    }
+
+    if (dealt === 0) return 0;
+
+    tacticalMapStateManager.setState({
+      shipSections: updatedSections,
+      currentHull: Object.values(updatedSections).reduce((sum, s) => sum + s.hull, 0),
+      maxHull: Object.values(updatedSections).reduce((sum, s) => sum + s.maxHull, 0)
+    });
+
+    return dealt;
+  }
+
+  /**
+   * Add PoIs within range to runState.revealedPOIs
+   * @param {Object} hex - Beacon hex {q, r}
+   * @param {number} radius - Reveal radius
+   * @param {Object} runState - Current run state
+   * @returns {Array<Object>} Newly revealed PoI positions {q, r}
+   */
+  revealNearbyPOIs(hex, radius, runState) {
+    const revealed = runState.revealedPOIs || [];
+    const newlyRevealed = getPOIsInRange(runState.mapData.hexes, hex, radius)
+      .filter(poi => !revealed.some(r => r.q === poi.q && r.r === poi.r))
+      .map(poi => ({ q: poi.q, r: poi.r }));
+
+    if (newlyRevealed.length > 0) {
+      tacticalMapStateManager.setState({ revealedPOIs: [...revealed, ...newlyRevealed] });
+    }
+
+    return newlyRevealed;
+  }
+
+  /**
+   * Move drifting terrain whose timer is up
+   * @param {Object} runState - Current run state (hexesMoved already incremented)
+   * @returns {boolean} True if any terrain moved
+   */
+  driftTerrain(runState) {
+    const { mapData, hexesMoved = 0, playerPosition } = runState;
+    const rng = new SeededRandom((mapData.seed || 0) + DRIFT_SEED_OFFSET + hexesMoved);
+    const hexes = relocateDriftingTerrain(mapData.hexes, hexesMoved, rng, [playerPosition]);
+    if (!hexes) return false;
+
+    tacticalMapStateManager.setState({ mapData: { ...mapData, hexes } });
+    return true;
+  }
+}
+
+// Export singleton instance
+export default new TerrainController();
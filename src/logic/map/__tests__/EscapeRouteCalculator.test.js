@@ -174,6 +174,41 @@ describe('EscapeRouteCalculator', () => {
       expect(result.path.length).toBe(3); // includes start
     });
 
+    it('routes around patrols, counting their threat cost', () => {
+      // EXPLANATION: Hexes on or next to a patrol cost extra, so the
+      // cheapest route detours when a patrol sits on the direct line
+
+      const hexes = createTestHexGrid(3).map(h => ({ ...h, zone: 'mid' }));
+      const tierConfig = { ...createTierConfig(), patrols: { escapeThreatCost: { occupied: 10, adjacent: 3 } } };
+      const start = { q: 0, r: 0 };
+      const goal = { q: 2, r: 0 };
+
+      const patrols = [{ id: 'patrol-1', q: 1, r: 0 }];
+      const result = EscapeRouteCalculator.findLowestThreatPath(
+        start, goal, hexes, tierConfig, 3, patrols
+      );
+
+      expect(result).not.toBeNull();
+      expect(result.path.some(h => h.q === 1 && h.r === 0)).toBe(false);
+      // Detour around the patrol still passes next to it
+      expect(result.threatCost).toBeGreaterThan(3);
+    });
+
+    it('never routes through impassable terrain', () => {
+      const hexes = createTestHexGrid(3).map(h => (
+        h.q === 1 && h.r === 0 ? { ...h, zone: 'mid', terrain: { id: 'ASTEROID_FIELD', impassable: true } } : { ...h, zone: 'mid' }
+      ));
+      const start = { q: 0, r: 0 };
+      const goal = { q: 2, r: 0 };
+
+      const result = EscapeRouteCalculator.findLowestThreatPath(
+        start, goal, hexes, createTierConfig(), 3
+      );
+
+      expect(result).not.toBeNull();
+      expect(result.path.some(h => h.q === 1 && h.r === 0)).toBe(false);
+    });
+
     it('returns null when no path exists', () => {
       // EXPLANATION: If there's no valid path to the goal
       // (e.g., blocked or disconnected), should return null
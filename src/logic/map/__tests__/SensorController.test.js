@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import SensorController from '../SensorController.js'
+import tacticalMapStateManager from '../../../managers/TacticalMapStateManager.js'
+import DetectionManager from '../../detection/DetectionManager.js'
+
+// ========================================
+// SENSOR CONTROLLER TESTS
+// ========================================
+// Fog of war: passive sensor sweep and active scan
+
+vi.mock('../../../managers/TacticalMapStateManager.js', () => ({
+  default: {
+    getState: vi.fn(),
+    setState: vi.fn()
+  }
+}))
+
+vi.mock('../../detection/DetectionManager.js', () => ({
+  default: {
+    addDetection: vi.fn()
+  }
+}))
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn()
+}))
+
+const hexes = [
+  { q: 0, r: 0, type: 'gate' },
+  { q: 2, r: 0, type: 'poi' },
+  { q: 4, r: 0, type: 'poi' },
+  { q: 6, r: 0, type: 'gate' }
+]
+
+const tierConfig = { scan: { detectionCost: 8, rangeBonus: 2 } }
+
+const setRunState = (overrides = {}) => {
+  tacticalMapStateManager.getState.mockReturnValue({
+    mapData: { hexes },
+    playerPosition: { q: 0, r: 0 },
+    detection: 30,
+    shipSections: {
+      bridge: { id: 'BRIDGE_001', type: 'Bridge', hull: 10, maxHull: 10, thresholds: { damaged: 5, critical: 0 } }
+    },
+    revealedHexes: [{ q: 0, r: 0 }],
+    ...overrides
+  })
+}
+
+describe('SensorController', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('reveals new signals within sensor range on a sweep', () => {
+    setRunState()
+
+    expect(SensorController.sweep()).toEqual([{ q: 2, r: 0 }])
+    expect(tacticalMapStateManager.setState).toHaveBeenCalledWith({
+      revealedHexes: [{ q: 0, r: 0 }, { q: 2, r: 0 }]
+    })
+  })
+
+  it('saves nothing when a sweep finds no new signals', () => {
+    setRunState({ revealedHexes: [{ q: 0, r: 0 }, { q: 2, r: 0 }] })
+
+    expect(SensorController.sweep()).toEqual([])
+    expect(tacticalMapStateManager.setState).not.toHaveBeenCalled()
+  })
+
+  it('scans beyond sensor range for a detection cost', () => {
+    setRunState()
+
+    const result = SensorController.scan(tierConfig)
+
+    expect(DetectionManager.addDetection).toHaveBeenCalledWith(8, 'Active scan')
+    expect(result).toEqual({ revealed: [{ q: 2, r: 0 }, { q: 4, r: 0 }], detectionCost: 8, range: 4 })
+  })
+
+  it('refuses to scan when it would max out detection', () => {
+    setRunState({ detection: 95 })
+
+    expect(SensorController.canScan(tierConfig)).toBe(false)
+    expect(SensorController.scan(tierConfig)).toBeNull()
+    expect(DetectionManager.addDetection).not.toHaveBeenCalled()
+  })
+})
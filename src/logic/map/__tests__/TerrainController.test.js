@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import TerrainController from '../TerrainController.js'
+import tacticalMapStateManager from '../../../managers/TacticalMapStateManager.js'
+import { resolveTerrain } from '../terrainUtils.js'
+import { hexesInRadius } from '../../../utils/hexGrid.js'
+
+// ========================================
+// TERRAIN CONTROLLER TESTS
+// ========================================
+// Terrain effects on entering a hex: hull damage, beacon reveals, storm drift
+
+vi.mock('../../../managers/TacticalMapStateManager.js', () => ({
+  default: {
+    getState: vi.fn(),
+    setState: vi.fn()
+  }
+}))
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn()
+}))
+
+const withTerrain = (hexes, q, r, terrain) =>
+  hexes.map(hex => (hex.q === q && hex.r === r ? { ...hex, terrain } : hex))
+
+const baseHexes = () => hexesInRadius(3).map(hex => ({ ...hex, type: 'empty', zone: 'mid' }))
+
+const setRunState = (hexes, overrides = {}) => {
+  tacticalMapStateManager.getState.mockReturnValue({
+    mapData: { seed: 12345, hexes },
+    playerPosition: { q: 1, r: 0 },
+    hexesMoved: 1,
+    shipSections: {
+      bridge: { hull: 5, maxHull: 8 },
+      powerCell: { hull: 0, maxHull: 8 }
+    },
+    revealedPOIs: [],
+    ...overrides
+  })
+}
+
+describe('TerrainController', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('does nothing on plain space', () => {
+    setRunState(baseHexes())
+
+    const result = TerrainController.processPlayerMove({ q: 1, r: 0 })
+
+    expect(result).toEqual({ hullDamage: 0, revealedPOIs: [], terrainMoved: false })
+    expect(tacticalMapStateManager.setState).not.toHaveBeenCalled()
+  })
+
+  it('deals asteroid hull damage only to sections with hull left', () => {
+    setRunState(withTerrain(baseHexes(), 1, 0, resolveTerrain('ASTEROID_FIELD', { hullDamage: 2 })))
+
+    const result = TerrainController.processPlayerMove({ q: 1, r: 0 })
+
+    expect(result.hullDamage).toBe(2)
+    expect(tacticalMapStateManager.setState).toHaveBeenCalledWith({
+      shipSections: {
+        bridge: { hull: 3, maxHull: 8 },
+        powerCell: { hull: 0, maxHull: 8 }
+      },
+      currentHull: 3,
+      maxHull: 16
+    })
+  })
+
+  it('reveals PoIs around a derelict beacon once', () => {
+    let hexes = withTerrain(baseHexes(), 1, 0, resolveTerrain('DERELICT_BEACON'))
+    hexes = hexes.map(hex => ((hex.q === 2 && hex.r === 0) || (hex.q === -3 && hex.r === 0) ? { ...hex, type: 'poi' } : hex))
+    setRunState(hexes)
+
+    const result = TerrainController.processPlayerMove({ q: 1, r: 0 })
+
+    expect(result.revealedPOIs).toEqual([{ q: 2, r: 0 }])
+    expect(tacticalMapStateManager.setState).toHaveBeenCalledWith({ revealedPOIs: [{ q: 2, r: 0 }] })
+
+    vi.clearAllMocks()
+    setRunState(hexes, { revealedPOIs: [{ q: 2, r: 0 }] })
+    expect(TerrainController.processPlayerMove({ q: 1, r: 0 }).revealedPOIs).toEqual([])
+    expect(tacticalMapStateManager.setState).not.toHaveBeenCalled()
+  })
+
+  it('drifts ion storms when their timer is up, avoiding the player', () => {
+    setRunState(withTerrain(baseHexes(), -2, 0, resolveTerrain('ION_STORM')), { hexesMoved: 3 })
+
+    const result = TerrainController.processPlayerMove({ q: 1, r: 0 })
+
+    expect(result.terrainMoved).toBe(true)
+    const { mapData } = tacticalMapStateManager.setState.mock.calls[0][0]
+    const storm = mapData.hexes.find(hex => hex.terrain?.id === 'ION_STORM')
+    expect(storm).not.toMatchObject({ q: -2, r: 0 })
+    expect(storm).not.toMatchObject({ q: 1, r: 0 })
+  })
+
+  it('uses the live hex so terrain that drifted after path planning applies', () => {
+    setRunState(withTerrain(baseHexes(), 1, 0, resolveTerrain('ASTEROID_FIELD')))
+
+    expect(TerrainController.getLiveHex({ q: 1, r: 0 }).terrain.id).toBe('ASTEROID_FIELD')
+    expect(TerrainController.processPlayerMove({ q: 1, r: 0, type: 'empty' }).hullDamage).toBe(1)
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * fogOfWar.test.js
+ * Tests for sensor range and PoI/gate reveal rules
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SENSOR_RANGE,
+  getSensorRange,
+  getNewlyRevealedHexes,
+  isHexRevealed
+} from '../fogOfWar.js';
+
+const bridge = (overrides = {}) => ({
+  id: 'BRIDGE_002',
+  type: 'Bridge',
+  hull: 10,
+  maxHull: 10,
+  thresholds: { damaged: 5, critical: 0 },
+  ...overrides
+});
+
+describe('fogOfWar', () => {
+  describe('getSensorRange', () => {
+    it('uses the bridge component sensor range', () => {
+      expect(getSensorRange({ bridge: bridge() })).toBe(3);
+      expect(getSensorRange({ bridge: bridge({ id: 'BRIDGE_HEAVY' }) })).toBe(1);
+    });
+
+    it('drops by one when damaged and two when critical, but never below 1', () => {
+      expect(getSensorRange({ bridge: bridge({ hull: 4 }) })).toBe(2);
+      expect(getSensorRange({ bridge: bridge({ hull: 0 }) })).toBe(1);
+      expect(getSensorRange({ bridge: bridge({ id: 'BRIDGE_HEAVY', hull: 0 }) })).toBe(1);
+    });
+
+    it('falls back to the default range without a known bridge', () => {
+      expect(getSensorRange({})).toBe(DEFAULT_SENSOR_RANGE);
+      expect(getSensorRange({ bridge: bridge({ id: 'UNKNOWN' }) })).toBe(DEFAULT_SENSOR_RANGE);
+    });
+  });
+
+  describe('getNewlyRevealedHexes', () => {
+    const hexes = [
+      { q: 0, r: 0, type: 'gate' },
+      { q: 1, r: 0, type: 'poi' },
+      { q: 2, r: 0, type: 'empty' },
+      { q: 3, r: 0, type: 'poi' }
+    ];
+
+    it('reveals only PoIs and gates within range', () => {
+      expect(getNewlyRevealedHexes([], hexes, { q: 0, r: 0 }, 2)).toEqual([{ q: 0, r: 0 }, { q: 1, r: 0 }]);
+    });
+
+    it('skips hexes that are already revealed', () => {
+      expect(getNewlyRevealedHexes([{ q: 0, r: 0 }], hexes, { q: 0, r: 0 }, 3)).toEqual([{ q: 1, r: 0 }, { q: 3, r: 0 }]);
+    });
+  });
+
+  describe('isHexRevealed', () => {
+    const poi = { q: 3, r: 0, type: 'poi' };
+
+    it('never hides empty hexes', () => {
+      expect(isHexRevealed({ q: 5, r: 0, type: 'empty' }, { revealedHexes: [] })).toBe(true);
+    });
+
+    it('hides PoIs until revealed by sensors or a beacon', () => {
+      expect(isHexRevealed(poi, { revealedHexes: [] })).toBe(false);
+      expect(isHexRevealed(poi, { revealedHexes: [{ q: 3, r: 0 }] })).toBe(true);
+      expect(isHexRevealed(poi, { revealedHexes: [], revealedPOIs: [{ q: 3, r: 0 }] })).toBe(true);
+    });
+
+    it('treats runs without reveal state as fully revealed', () => {
+      expect(isHexRevealed(poi, {})).toBe(true);
+      expect(isHexRevealed(poi, null)).toBe(true);
+    });
+  });
+});
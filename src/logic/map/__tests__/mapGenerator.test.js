@@ -134,4 +134,30 @@ describe('mapGenerator', () => {
       expect(backgroundIndices.size).toBeGreaterThan(1);
     });
   });
+
+  describe('terrain placement', () => {
+    it('should place terrain only on empty hexes away from gates', () => {
+      const map = generateMapData(12345, 1);
+      const terrainHexes = map.hexes.filter(hex => hex.terrain);
+
+      expect(terrainHexes.length).toBeGreaterThan(0);
+      for (const hex of terrainHexes) {
+        expect(hex.type).toBe('empty');
+        for (const gate of map.gates) {
+          expect(axialDistance(hex.q, hex.r, gate.q, gate.r)).toBeGreaterThan(1);
+        }
+      }
+    });
+
+    it('should apply map type terrain overrides', () => {
+      const map = generateMapData(12345, 1, 'MUNITIONS_FACTORY');
+      const asteroids = map.hexes.filter(hex => hex.terrain?.id === 'ASTEROID_FIELD');
+
+      expect(asteroids.length).toBeGreaterThan(0);
+      for (const hex of asteroids) {
+        expect(hex.terrain.impassable).toBe(true);
+        expect(hex.terrain.count).toBeUndefined();
+      }
+    });
+  });
 });
@@ -0,0 +1,126 @@
+/**
+ * patrolPathing.test.js
+ * Tests for roaming patrol spawning and detection-driven pathing policies
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  PATROL_MODES,
+  spawnPatrols,
+  getPatrolMode,
+  advancePatrols,
+  getPatrolAt,
+  getPatrolThreatCost
+} from '../patrolPathing.js';
+import { hexesInRadius, axialDistance } from '../../../utils/hexGrid.js';
+
+const hexes = hexesInRadius(4).map(hex => ({ ...hex, type: 'empty' }));
+const gate = { q: 4, r: 0 };
+hexes.find(h => h.q === gate.q && h.r === gate.r).type = 'gate';
+
+const tierConfig = {
+  patrols: {
+    count: { min: 2, max: 2 },
+    minSpawnDistance: 3,
+    routeLength: 3,
+    routeRadius: 2,
+    escapeThreatCost: { occupied: 10, adjacent: 3 }
+  }
+};
+
+const makePatrol = (overrides = {}) => ({
+  id: 'patrol-1',
+  q: 0,
+  r: 0,
+  route: [{ q: 0, r: 0 }, { q: -2, r: 0 }],
+  routeIndex: 1,
+  mode: PATROL_MODES.PATROL,
+  heading: 0,
+  ...overrides
+});
+
+const context = (overrides = {}) => ({
+  threshold: 'low',
+  lastNoise: null,
+  playerPosition: { q: 3, r: 0 },
+  hexes,
+  ...overrides
+});
+
+describe('patrolPathing', () => {
+  describe('spawnPatrols', () => {
+    it('spawns the configured number of patrols on open hexes away from the insertion gate', () => {
+      const patrols = spawnPatrols({ seed: 42, hexes }, tierConfig, gate);
+
+      expect(patrols).toHaveLength(2);
+      for (const patrol of patrols) {
+        expect(axialDistance(patrol.q, patrol.r, gate.q, gate.r)).toBeGreaterThanOrEqual(3);
+        expect(patrol.route).toHaveLength(3);
+        expect(patrol.route[0]).toEqual({ q: patrol.q, r: patrol.r });
+        expect(patrol.mode).toBe(PATROL_MODES.PATROL);
+      }
+    });
+
+    it('is deterministic for a map seed and empty without patrol config', () => {
+      expect(spawnPatrols({ seed: 7, hexes }, tierConfig, gate))
+        .toEqual(spawnPatrols({ seed: 7, hexes }, tierConfig, gate));
+      expect(spawnPatrols({ seed: 7, hexes }, {}, gate)).toEqual([]);
+    });
+  });
+
+  describe('getPatrolMode', () => {
+    it('follows the detection threshold', () => {
+      const noise = { q: 1, r: 1, id: 2 };
+      expect(getPatrolMode(makePatrol(), 'low', noise)).toBe(PATROL_MODES.PATROL);
+      expect(getPatrolMode(makePatrol(), 'medium', noise)).toBe(PATROL_MODES.INVESTIGATE);
+      expect(getPatrolMode(makePatrol(), 'medium', null)).toBe(PATROL_MODES.PATROL);
+      expect(getPatrolMode(makePatrol(), 'high', null)).toBe(PATROL_MODES.HUNT);
+    });
+
+    it('stops investigating noise it has already checked out', () => {
+      const patrol = makePatrol({ investigatedNoiseId: 2 });
+      expect(getPatrolMode(patrol, 'medium', { q: 1, r: 1, id: 2 })).toBe(PATROL_MODES.PATROL);
+      expect(getPatrolMode(patrol, 'medium', { q: 1, r: 1, id: 3 })).toBe(PATROL_MODES.INVESTIGATE);
+    });
+  });
+
+  describe('advancePatrols', () => {
+    it('walks the patrol route and loops back at the last stop', () => {
+      const [moved] = advancePatrols([makePatrol()], context());
+      expect(moved).toMatchObject({ q: -1, r: 0, routeIndex: 1, mode: PATROL_MODES.PATROL });
+
+      const [looped] = advancePatrols([makePatrol({ q: -2, r: 0 })], context());
+      expect(looped).toMatchObject({ q: -1, r: 0, routeIndex: 0 });
+    });
+
+    it('investigates the last noise and marks it checked on arrival', () => {
+      const noise = { q: 2, r: 0, id: 5 };
+      const [first] = advancePatrols([makePatrol()], context({ threshold: 'medium', lastNoise: noise }));
+      expect(first).toMatchObject({ q: 1, r: 0, mode: PATROL_MODES.INVESTIGATE });
+      expect(first.investigatedNoiseId).toBeUndefined();
+
+      const [second] = advancePatrols([first], context({ threshold: 'medium', lastNoise: noise }));
+      expect(second).toMatchObject({ q: 2, r: 0, investigatedNoiseId: 5 });
+    });
+
+    it('hunts the player at high threat but never enters a gate', () => {
+      const [hunter] = advancePatrols([makePatrol({ q: 2, r: 0 })], context({ threshold: 'high' }));
+      expect(hunter).toMatchObject({ q: 3, r: 0, mode: PATROL_MODES.HUNT });
+
+      const [blocked] = advancePatrols([makePatrol({ q: 3, r: 0 })], context({ threshold: 'high', playerPosition: gate }));
+      expect(blocked).toMatchObject({ q: 3, r: 0 });
+    });
+  });
+
+  it('finds patrols by hex and adds escape threat cost around them', () => {
+    const patrols = [makePatrol({ q: 1, r: 1 })];
+
+    expect(getPatrolAt(patrols, { q: 1, r: 1 })?.id).toBe('patrol-1');
+    expect(getPatrolAt(patrols, { q: 0, r: 0 })).toBeNull();
+
+    expect(getPatrolThreatCost({ q: 1, r: 1 }, patrols, tierConfig)).toBe(10);
+    expect(getPatrolThreatCost({ q: 1, r: 0 }, patrols, tierConfig)).toBe(3);
+    expect(getPatrolThreatCost({ q: -2, r: 0 }, patrols, tierConfig)).toBe(0);
+    expect(getPatrolThreatCost({ q: 1, r: 1 }, [], tierConfig)).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * terrainUtils.test.js
+ * Tests for terrain rule resolution, movement/detection costs and drifting terrain
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  resolveTerrain,
+  getTerrainDetectionMultiplier,
+  getTerrainMoveCost,
+  isPassable,
+  getPOIsInRange,
+  relocateDriftingTerrain
+} from '../terrainUtils.js';
+import { SeededRandom } from '../../../utils/seededRandom.js';
+import { hexesInRadius } from '../../../utils/hexGrid.js';
+
+describe('terrainUtils', () => {
+  describe('resolveTerrain', () => {
+    it('merges map type overrides over terrain defaults and drops count', () => {
+      const rules = resolveTerrain('ASTEROID_FIELD', { count: { min: 1, max: 2 }, impassable: true });
+
+      expect(rules).toMatchObject({ id: 'ASTEROID_FIELD', impassable: true, hullDamage: 1 });
+      expect(rules.count).toBeUndefined();
+    });
+
+    it('returns null for unknown terrain', () => {
+      expect(resolveTerrain('NOT_A_TERRAIN')).toBeNull();
+    });
+  });
+
+  describe('costs', () => {
+    it('treats hexes without terrain as plain space', () => {
+      const hex = { q: 0, r: 0, type: 'empty' };
+
+      expect(getTerrainDetectionMultiplier(hex)).toBe(1);
+      expect(getTerrainMoveCost(hex)).toBe(1);
+      expect(isPassable(hex)).toBe(true);
+    });
+
+    it('reads nebula and impassable asteroid rules from the hex', () => {
+      const nebula = { q: 0, r: 0, terrain: resolveTerrain('NEBULA') };
+      const asteroids = { q: 1, r: 0, terrain: resolveTerrain('ASTEROID_FIELD', { impassable: true }) };
+
+      expect(getTerrainDetectionMultiplier(nebula)).toBe(0);
+      expect(getTerrainMoveCost(nebula)).toBe(2);
+      expect(isPassable(asteroids)).toBe(false);
+    });
+  });
+
+  describe('getPOIsInRange', () => {
+    it('returns only PoI hexes within the radius', () => {
+      const hexes = [
+        { q: 0, r: 0, type: 'empty' },
+        { q: 1, r: 0, type: 'poi' },
+        { q: 3, r: 0, type: 'poi' },
+        { q: 0, r: 2, type: 'gate' }
+      ];
+
+      expect(getPOIsInRange(hexes, { q: 0, r: 0 }, 2)).toEqual([{ q: 1, r: 0, type: 'poi' }]);
+    });
+  });
+
+  describe('relocateDriftingTerrain', () => {
+    const storm = resolveTerrain('ION_STORM');
+    const makeHexes = () => hexesInRadius(2).map(hex => (
+      hex.q === 0 && hex.r === 0 ? { ...hex, type: 'empty', terrain: storm } : { ...hex, type: 'empty' }
+    ));
+
+    it('does nothing until the storm timer is up', () => {
+      expect(relocateDriftingTerrain(makeHexes(), 2, new SeededRandom(1))).toBeNull();
+    });
+
+    it('moves storms to an open hex that is not blocked', () => {
+      const blocked = [{ q: 1, r: 0 }];
+      const hexes = relocateDriftingTerrain(makeHexes(), 3, new SeededRandom(1), blocked);
+      const storms = hexes.filter(hex => hex.terrain?.id === 'ION_STORM');
+
+      expect(storms).toHaveLength(1);
+      expect(storms[0]).not.toMatchObject({ q: 0, r: 0 });
+      expect(storms[0]).not.toMatchObject(blocked[0]);
+    });
+
+    it('is deterministic for the same seed', () => {
+      const a = relocateDriftingTerrain(makeHexes(), 3, new SeededRandom(42));
+      const b = relocateDriftingTerrain(makeHexes(), 3, new SeededRandom(42));
+
+      expect(a.find(h => h.terrain)).toEqual(b.find(h => h.terrain));
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Fog of War
+ * Which PoIs and gates the player has identified on the tactical map
+ *
+ * PoI and gate hexes start hidden ("Unknown signal") and are revealed when
+ * they come within the ship's sensor range or an active scan. Revealed hexes
+ * are stored as runState.revealedHexes [{q, r}]; PoIs revealed by derelict
+ * beacons (runState.revealedPOIs) also count as revealed.
+ *
+ * Sensor range comes from the run's bridge section (shipSectionData.sensorRange),
+ * dropping by one when the bridge is damaged and again when critical.
+ *
+ * Pure functions: SensorController applies the results to TacticalMapStateManager.
+ */
+
+import { shipComponentCollection } from '../../data/shipSectionData.js';
+import { axialDistance } from '../../utils/hexGrid.js';
+
+export const DEFAULT_SENSOR_RANGE = 2;
+export const MIN_SENSOR_RANGE = 1;
+
+const isSameHex = (a, b) => !!a && !!b && a.q === b.q && a.r === b.r;
+
+/**
+ * Check if a hex type is hidden by fog of war until revealed
+ * @param {Object} hex - Hex object
+ * @returns {boolean} True for PoIs and gates
+ */
+export function isFoggable(hex) {
+  return hex?.type === 'poi' || hex?.type === 'gate';
+}
+
+/**
+ * Sensor range for the run's ship
+ * @param {Object} shipSections - runState.shipSections
+ * @returns {number} Range in hexes
+ */
+export function getSensorRange(shipSections) {
+  const bridge = Object.values(shipSections || {}).find(section => section.type === 'Bridge');
+  if (!bridge) return DEFAULT_SENSOR_RANGE;
+
+  const component = shipComponentCollection.find(c => c.id === bridge.id);
+  const baseRange = component?.sensorRange ?? DEFAULT_SENSOR_RANGE;
+
+  // -1 when damaged, -2 when critical
+  let penalty = 0;
+  if (bridge.hull <= (bridge.thresholds?.damaged ?? 4)) penalty++;
+  if (bridge.hull <= (bridge.thresholds?.critical ?? 0)) penalty++;
+
+  return Math.max(MIN_SENSOR_RANGE, baseRange - penalty);
+}
+
+/**
+ * Reveal foggable hexes within range of a hex
+ * @param {Array<Object>} revealedHexes - Already revealed hexes [{q, r}]
+ * @param {Array<Object>} hexes - All hexes on map
+ * @param {Object} center - Hex {q, r}
+ * @param {number} range - Range in hexes
+ * @returns {Array<Object>} Newly revealed hexes [{q, r}] (not already in revealedHexes)
+ */
+export function getNewlyRevealedHexes(revealedHexes, hexes, center, range) {
+  return (hexes || [])
+    .filter(hex =>
+      isFoggable(hex) &&
+      axialDistance(hex.q, hex.r, center.q, center.r) <= range &&
+      !(revealedHexes || []).some(r => isSameHex(r, hex))
+    )
+    .map(hex => ({ q: hex.q, r: hex.r }));
+}
+
+/**
+ * Check if a hex's identity is known to the player
+ * Runs without revealedHexes (started before fog of war) see everything.
+ * @param {Object} hex - Hex object
+ * @param {Object} runState - Run state with revealedHexes / revealedPOIs
+ * @returns {boolean} True if the hex is not hidden
+ */
+export function isHexRevealed(hex, runState) {
+  if (!isFoggable(hex) || !runState?.revealedHexes) return true;
+
+  return runState.revealedHexes.some(r => isSameHex(r, hex)) ||
+    (runState.revealedPOIs || []).some(r => isSameHex(r, hex));
+}
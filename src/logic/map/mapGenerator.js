@@ -4,6 +4,7 @@ import { SeededRandom } from '../../utils/seededRandom.js';
 import { hexesInRadius, getZone, axialDistance } from '../../utils/hexGrid.js';
 import { getRandomPoIType } from '../extraction/poiUtils.js';
 import PathValidator from './PathValidator.js';
+import { resolveTerrain } from './terrainUtils.js';
 import aiPersonalities from '../../data/aiData.js';
 import { debugLog } from '../../utils/debugLogger.js';
 
@@ -44,10 +45,10 @@ function getBaseEncounterChance(tierConfig, rng) {
  * Generate procedural map data with full hex grid
  * Uses two-layer architecture:
  * - Tier (from mapData.js) determines quantity/quality of rewards
- * - Type (from mapMetaData.js) determines PoI type distribution
+ * - Type (from mapMetaData.js) determines PoI type distribution and terrain
  *
  * Implements retry logic (up to 10 attempts) to ensure generated maps pass validation:
- * - All PoIs reachable from all gates
+ * - All PoIs reachable from all gates (impassable terrain can wall them off)
  * - Path costs within detection limits
  *
  * @param {number} seed - Seed for deterministic generation
@@ -119,6 +120,9 @@ function generateAttempt(tierConfig, mapType, rng, seed) {
   // Place PoIs with zone distribution and spacing constraints
   const pois = placePOIs(hexes, tierConfig, mapType, gates, rng);
 
+  // Place environmental terrain on remaining empty hexes
+  placeTerrain(hexes, mapType, gates, rng);
+
   // Calculate PoI type breakdown for return data
   const poiTypeBreakdown = {};
   for (const poi of pois) {
@@ -366,6 +370,37 @@ function placeInZone(hexes, count, pois, gates, tierConfig, rng, zoneName) {
   }
 }
 
+/**
+ * Place terrain hexes (nebulae, asteroid fields, ion storms, beacons) from the map type's terrain config
+ * Terrain only goes on empty hexes and keeps clear of gates so insertion/extraction stay reachable
+ * @param {Array<Object>} hexes - All hexes on map (mutated - sets hex.terrain)
+ * @param {Object} mapType - Map type configuration with terrain counts
+ * @param {Array<Object>} gates - Gate hexes
+ * @param {SeededRandom} rng - Random number generator
+ */
+function placeTerrain(hexes, mapType, gates, rng) {
+  const terrainConfig = mapType.terrain || {};
+
+  for (const [terrainId, config] of Object.entries(terrainConfig)) {
+    const terrain = resolveTerrain(terrainId, config);
+    if (!terrain) {
+      debugLog('EXTRACTION', `[MapGenerator] Unknown terrain type ${terrainId} in map type ${mapType.id}`);
+      continue;
+    }
+
+    const count = rng.randomIntInclusive(config.count?.min || 0, config.count?.max || 0);
+    const candidates = rng.shuffle(hexes.filter(hex =>
+      hex.type === 'empty' &&
+      !hex.terrain &&
+      !gates.some(g => axialDistance(hex.q, hex.r, g.q, g.r) <= 1)
+    ));
+
+    for (const hex of candidates.slice(0, count)) {
+      hex.terrain = terrain;
+    }
+  }
+}
+
 /**
  * Map reward type to card type for breakdown
  * @param {string} rewardType - Reward type from PoI data
@@ -0,0 +1,193 @@
+/**
+ * Patrol Pathing
+ * Spawning and movement for roaming hunter fleets on the tactical map
+ *
+ * Patrols are visible enemy tokens (runState.patrols) that take one step each
+ * time the player moves. Their pathing policy follows the detection threshold:
+ * - low:    patrol  - loop through their own route
+ * - medium: investigate - head for the last noise the player made (runState.lastNoise)
+ * - high:   hunt    - head straight for the player
+ *
+ * Pure functions: PatrolController applies the results to TacticalMapStateManager.
+ */
+
+import { SeededRandom } from '../../utils/seededRandom.js';
+import { hexNeighbors, axialDistance } from '../../utils/hexGrid.js';
+import { calculateHexHeading } from '../../utils/hexHeadingUtils.js';
+import { isPassable } from './terrainUtils.js';
+
+export const PATROL_MODES = {
+  PATROL: 'patrol',
+  INVESTIGATE: 'investigate',
+  HUNT: 'hunt'
+};
+
+// Offset from map seed so patrol spawns don't mirror PoI placement rolls
+const PATROL_SEED_OFFSET = 6151;
+
+const isSameHex = (a, b) => !!a && !!b && a.q === b.q && a.r === b.r;
+
+/**
+ * Spawn patrols for a new run
+ * @param {Object} mapData - Generated map data (hexes, seed)
+ * @param {Object} tierConfig - Tier configuration with patrols config
+ * @param {Object} startingGate - Player's insertion gate {q, r}
+ * @returns {Array<Object>} Patrols { id, q, r, route, routeIndex, mode, heading }
+ */
+export function spawnPatrols(mapData, tierConfig, startingGate) {
+  const config = tierConfig?.patrols;
+  if (!config || !mapData?.hexes) return [];
+
+  const rng = new SeededRandom((mapData.seed || 0) + PATROL_SEED_OFFSET);
+  const count = rng.randomIntInclusive(config.count.min, config.count.max);
+  const routeLength = config.routeLength || 3;
+  const routeRadius = config.routeRadius || 3;
+
+  // Patrols only occupy open space and never start on top of the player
+  const openHexes = mapData.hexes.filter(hex => hex.type === 'empty' && isPassable(hex));
+  const spawnHexes = rng.shuffle(openHexes.filter(hex =>
+    !startingGate ||
+    axialDistance(hex.q, hex.r, startingGate.q, startingGate.r) >= (config.minSpawnDistance || 3)
+  ));
+
+  const patrols = [];
+  for (const spawn of spawnHexes.slice(0, count)) {
+    const routeStops = rng.shuffle(openHexes.filter(hex =>
+      !isSameHex(hex, spawn) &&
+      axialDistance(hex.q, hex.r, spawn.q, spawn.r) <= routeRadius
+    )).slice(0, routeLength - 1);
+
+    patrols.push({
+      id: `patrol-${patrols.length + 1}`,
+      q: spawn.q,
+      r: spawn.r,
+      route: [spawn, ...routeStops].map(({ q, r }) => ({ q, r })),
+      routeIndex: routeStops.length > 0 ? 1 : 0,
+      mode: PATROL_MODES.PATROL,
+      heading: 0
+    });
+  }
+
+  return patrols;
+}
+
+/**
+ * Pathing policy for a patrol at the current detection threshold
+ * @param {Object} patrol - Patrol token
+ * @param {'low' | 'medium' | 'high'} threshold - DetectionManager.getThreshold()
+ * @param {Object|null} lastNoise - runState.lastNoise { q, r, id }
+ * @returns {string} PATROL_MODES value
+ */
+export function getPatrolMode(patrol, threshold, lastNoise) {
+  if (threshold === 'high') return PATROL_MODES.HUNT;
+  if (threshold === 'medium' && lastNoise && patrol.investigatedNoiseId !== lastNoise.id) {
+    return PATROL_MODES.INVESTIGATE;
+  }
+  return PATROL_MODES.PATROL;
+}
+
+/**
+ * Neighbouring hex that gets closest to a target (patrols never enter gates or impassable terrain)
+ * @param {Object} from - Current hex {q, r}
+ * @param {Object} to - Target hex {q, r}
+ * @param {Map<string, Object>} hexMap - Hexes keyed by "q,r"
+ * @returns {Object} Next hex {q, r}, or `from` if no step gets closer
+ */
+export function stepToward(from, to, hexMap) {
+  let best = from;
+  let bestDistance = axialDistance(from.q, from.r, to.q, to.r);
+
+  for (const neighbor of hexNeighbors(from.q, from.r)) {
+    const hex = hexMap.get(`${neighbor.q},${neighbor.r}`);
+    if (!hex || hex.type === 'gate' || !isPassable(hex)) continue;
+
+    const distance = axialDistance(neighbor.q, neighbor.r, to.q, to.r);
+    if (distance < bestDistance) {
+      best = neighbor;
+      bestDistance = distance;
+    }
+  }
+
+  return { q: best.q, r: best.r };
+}
+
+/**
+ * Move a patrol one hex according to its pathing policy
+ * @param {Object} patrol - Patrol token
+ * @param {Object} context - { threshold, lastNoise, playerPosition, hexMap }
+ * @returns {Object} Updated patrol
+ */
+export function advancePatrol(patrol, { threshold, lastNoise, playerPosition, hexMap }) {
+  const mode = getPatrolMode(patrol, threshold, lastNoise);
+  let updated = { ...patrol, mode };
+  let target;
+
+  if (mode === PATROL_MODES.HUNT) {
+    target = playerPosition;
+  } else if (mode === PATROL_MODES.INVESTIGATE) {
+    target = lastNoise;
+  } else {
+    // Reached the current route stop - head for the next one
+    if (isSameHex(patrol, patrol.route[patrol.routeIndex])) {
+      updated.routeIndex = (patrol.routeIndex + 1) % patrol.route.length;
+    }
+    target = patrol.route[updated.routeIndex];
+  }
+
+  if (!target) return updated;
+
+  const next = stepToward(patrol, target, hexMap);
+  if (!isSameHex(next, patrol)) {
+    updated = { ...updated, ...next, heading: calculateHexHeading(patrol, next) };
+  }
+
+  // Noise checked out - back to the route until the player makes more
+  if (mode === PATROL_MODES.INVESTIGATE && isSameHex(updated, lastNoise)) {
+    updated.investigatedNoiseId = lastNoise.id;
+  }
+
+  return updated;
+}
+
+/**
+ * Move every patrol one hex
+ * @param {Array<Object>} patrols - runState.patrols
+ * @param {Object} context - { threshold, lastNoise, playerPosition, hexes }
+ * @returns {Array<Object>} Updated patrols
+ */
+export function advancePatrols(patrols, { threshold, lastNoise, playerPosition, hexes }) {
+  const hexMap = new Map((hexes || []).map(hex => [`${hex.q},${hex.r}`, hex]));
+  return (patrols || []).map(patrol =>
+    advancePatrol(patrol, { threshold, lastNoise, playerPosition, hexMap })
+  );
+}
+
+/**
+ * Patrol occupying a hex
+ * @param {Array<Object>} patrols - runState.patrols
+ * @param {Object} hex - Hex {q, r}
+ * @returns {Object|null} Patrol token or null
+ */
+export function getPatrolAt(patrols, hex) {
+  return (patrols || []).find(patrol => isSameHex(patrol, hex)) || null;
+}
+
+/**
+ * Extra escape-route threat cost for entering a hex near patrols
+ * @param {Object} hex - Hex {q, r}
+ * @param {Array<Object>} patrols - runState.patrols
+ * @param {Object} tierConfig - Tier configuration with patrols.escapeThreatCost
+ * @returns {number} Threat cost to add to the hex's detection cost
+ */
+export function getPatrolThreatCost(hex, patrols, tierConfig) {
+  if (!patrols?.length) return 0;
+
+  const costs = tierConfig?.patrols?.escapeThreatCost || { occupied: 10, adjacent: 3 };
+  let cost = 0;
+  for (const patrol of patrols) {
+    const distance = axialDistance(hex.q, hex.r, patrol.q, patrol.r);
+    if (distance === 0) cost += costs.occupied;
+    else if (distance === 1) cost += costs.adjacent;
+  }
+  return cost;
+}
@@ -0,0 +1,106 @@
+/**
+ * Terrain Utilities
+ * Per-hex terrain rules for movement, detection and pathfinding
+ *
+ * Terrain lives on hexes as hex.terrain (rules resolved from terrainData.js
+ * plus the map type's overrides at generation time). Hexes without terrain
+ * behave as plain space: detection multiplier 1, move cost 1, passable.
+ */
+
+import { getTerrainType } from '../../data/terrainData.js';
+import { axialDistance } from '../../utils/hexGrid.js';
+
+/**
+ * Resolve a terrain's rules for a map type
+ * @param {string} terrainId - terrainData.js ID
+ * @param {Object} overrides - Map type terrain entry (count is dropped)
+ * @returns {Object|null} Terrain rules to store on the hex
+ */
+export function resolveTerrain(terrainId, overrides = {}) {
+  const terrain = getTerrainType(terrainId);
+  if (!terrain) return null;
+
+  const rules = { ...terrain, ...overrides };
+  delete rules.count;
+  return rules;
+}
+
+/**
+ * Detection cost multiplier for entering a hex
+ * @param {Object} hex - Hex object
+ * @returns {number} Multiplier (1 = normal)
+ */
+export function getTerrainDetectionMultiplier(hex) {
+  return hex?.terrain?.detectionMultiplier ?? 1;
+}
+
+/**
+ * Pathfinding step cost for entering a hex
+ * @param {Object} hex - Hex object
+ * @returns {number} Step cost (1 = normal)
+ */
+export function getTerrainMoveCost(hex) {
+  return hex?.terrain?.moveCost || 1;
+}
+
+/**
+ * Check if a hex can be entered
+ * @param {Object} hex - Hex object
+ * @returns {boolean} False for impassable terrain
+ */
+export function isPassable(hex) {
+  return !hex?.terrain?.impassable;
+}
+
+/**
+ * PoI hexes within range of a hex
+ * @param {Array<Object>} hexes - All hexes on map
+ * @param {Object} center - Hex {q, r}
+ * @param {number} radius - Range in hexes
+ * @returns {Array<Object>} PoI hexes in range
+ */
+export function getPOIsInRange(hexes, center, radius) {
+  return hexes.filter(hex =>
+    hex.type === 'poi' &&
+    axialDistance(hex.q, hex.r, center.q, center.r) <= radius
+  );
+}
+
+/**
+ * Move drifting terrain (ion storms) whose timer is up to new open hexes
+ * @param {Array<Object>} hexes - All hexes on map
+ * @param {number} turn - Player moves so far (runState.hexesMoved)
+ * @param {SeededRandom} rng - Seeded RNG for destinations
+ * @param {Array<Object>} blocked - Hexes storms must not land on (e.g. player position)
+ * @returns {Array<Object>|null} New hexes array, or null if nothing moved
+ */
+export function relocateDriftingTerrain(hexes, turn, rng, blocked = []) {
+  const drifting = hexes.filter(hex =>
+    hex.terrain?.relocateEvery && turn > 0 && turn % hex.terrain.relocateEvery === 0
+  );
+  if (drifting.length === 0) return null;
+
+  const isBlocked = (hex) => blocked.some(b => b && b.q === hex.q && b.r === hex.r);
+  const destinations = rng.shuffle(hexes.filter(hex =>
+    hex.type === 'empty' && !hex.terrain && !isBlocked(hex)
+  ));
+
+  const moves = new Map();
+  drifting.forEach((hex, index) => {
+    const destination = destinations[index];
+    if (destination) moves.set(hex, destination);
+  });
+  if (moves.size === 0) return null;
+
+  const arriving = new Map([...moves].map(([from, to]) => [`${to.q},${to.r}`, from.terrain]));
+
+  return hexes.map(hex => {
+    if (moves.has(hex)) {
+      const cleared = { ...hex };
+      delete cleared.terrain;
+      return cleared;
+    }
+    const terrain = arriving.get(`${hex.q},${hex.r}`);
+    return terrain ? { ...hex, terrain } : hex;
+  });
+}
@@ -29,6 +29,7 @@ class RoundManager {
    * - Unexhausts all drones
    * - Removes temporary stat modifications
    * - Restores shields to maximum
+   * - Resets per-round ability and deployment counters
    *
    * @param {Object} playerState - Player state object
    * @param {Object} opponentState - Opponent state object
@@ -94,7 +95,17 @@ class RoundManager {
       }
     }
 
-    return { ...playerState, dronesOnBoard: newDronesOnBoard, shipSections: newShipSections, techSlots: newTechSlots };
+    // Reset per-round ship card counters (ability uses this game are kept)
+    const shipAbilityActivations = { ...playerState.shipAbilityActivations, round: 0 };
+
+    return {
+      ...playerState,
+      dronesOnBoard: newDronesOnBoard,
+      shipSections: newShipSections,
+      techSlots: newTechSlots,
+      shipAbilityActivations,
+      dronesDeployedThisRound: 0
+    };
   }
 
   /**
@@ -163,6 +174,22 @@ class RoundManager {
     return { ...playerState, deck: newDeck, hand: newHand, discardPile: newDiscard };
   }
 
+  /**
+   * Process ON_ROUND_START triggered abilities for all drones
+   * Called during round initialization once drones are readied and energy is reset,
+   * before cards are drawn. Same lane-first ordering as processRoundEndTriggers.
+   *
+   * @param {Object} player1State - Player 1 state
+   * @param {Object} player2State - Player 2 state
+   * @param {Object} placedSections - Ship section placements
+   * @param {Function} logCallback - Game log callback
+   * @param {string} firstPlayerOfRound - Player who acts first this round
+   * @returns {Object} { player1: updatedState, player2: updatedState, animationEvents: [] }
+   */
+  processRoundStartTriggers(player1State, player2State, placedSections, logCallback = null, firstPlayerOfRound = 'player1') {
+    return this._processLaneSweepTriggers(TRIGGER_TYPES.ON_ROUND_START, player1State, player2State, placedSections, logCallback, firstPlayerOfRound);
+  }
+
   /**
    * Process ON_ROUND_END triggered abilities for all drones
    * Called during roundEnd phase after both players pass
@@ -180,6 +207,16 @@ class RoundManager {
    * @returns {Object} { player1: updatedState, player2: updatedState, animationEvents: [] }
    */
   processRoundEndTriggers(player1State, player2State, placedSections, logCallback = null, firstPlayerOfRound = 'player2') {
+    return this._processLaneSweepTriggers(TRIGGER_TYPES.ON_ROUND_END, player1State, player2State, placedSections, logCallback, firstPlayerOfRound);
+  }
+
+  /**
+   * Fire a round-boundary self-trigger on every tech and drone, lane-first
+   * (lane1 → lane3, tech before drones, first player before second).
+   *
+   * @private
+   */
+  _processLaneSweepTriggers(triggerType, player1State, player2State, placedSections, logCallback, firstPlayerOfRound) {
     const triggerProcessor = new TriggerProcessor();
     let currentStates = {
       player1: JSON.parse(JSON.stringify(player1State)),
@@ -196,7 +233,7 @@ class RoundManager {
       for (const playerId of playerOrder) {
         const techs = currentStates[playerId].techSlots?.[lane] || [];
         for (const tech of techs) {
-          const result = triggerProcessor.fireTrigger(TRIGGER_TYPES.ON_ROUND_END, {
+          const result = triggerProcessor.fireTrigger(triggerType, {
             lane,
             triggeringDrone: tech,
             triggeringPlayerId: playerId,
@@ -221,7 +258,7 @@ class RoundManager {
         const drones = currentStates[playerId].dronesOnBoard?.[lane] || [];
 
         for (const drone of drones) {
-          const result = triggerProcessor.fireTrigger(TRIGGER_TYPES.ON_ROUND_END, {
+          const result = triggerProcessor.fireTrigger(triggerType, {
             lane,
             triggeringDrone: drone,
             triggeringPlayerId: playerId,
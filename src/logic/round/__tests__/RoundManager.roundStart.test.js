@@ -0,0 +1,64 @@
+// ========================================
+// ROUND MANAGER - ON_ROUND_START TRIGGER TESTS
+// ========================================
+// Tests processRoundStartTriggers delegation to TriggerProcessor
+// TriggerProcessor's own behavior is tested in TriggerProcessor.test.js
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn()
+}));
+
+const mockFireTrigger = vi.fn();
+
+vi.mock('../../triggers/TriggerProcessor.js', () => ({
+  default: class MockTriggerProcessor {
+    constructor() {
+      this.fireTrigger = mockFireTrigger;
+    }
+  }
+}));
+
+import RoundManager from '../RoundManager.js';
+
+const createPlayerState = (drones = {}, techs = {}) => ({
+  name: 'Player',
+  dronesOnBoard: { lane1: drones.lane1 || [], lane2: drones.lane2 || [], lane3: drones.lane3 || [] },
+  techSlots: { lane1: techs.lane1 || [], lane2: techs.lane2 || [], lane3: techs.lane3 || [] }
+});
+
+describe('RoundManager - processRoundStartTriggers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockFireTrigger.mockReturnValue({ triggered: false, newPlayerStates: null, animationEvents: [] });
+  });
+
+  it('fires ON_ROUND_START lane-first: tech before drones, first player before second', () => {
+    const p1 = createPlayerState({ lane1: [{ id: 'p1_d1', name: 'A' }], lane2: [{ id: 'p1_d2', name: 'B' }] });
+    const p2 = createPlayerState({ lane1: [{ id: 'p2_d1', name: 'C' }] }, { lane1: [{ id: 'p2_t1', name: 'T' }] });
+
+    RoundManager.processRoundStartTriggers(p1, p2, {}, null, 'player2');
+
+    expect(mockFireTrigger.mock.calls.map(c => c[0])).toEqual(Array(4).fill('ON_ROUND_START'));
+    expect(mockFireTrigger.mock.calls.map(c => c[1].triggeringDrone.id)).toEqual(['p2_t1', 'p2_d1', 'p1_d1', 'p1_d2']);
+  });
+
+  it('returns updated states and animation events from fired triggers', () => {
+    const p1 = createPlayerState({ lane1: [{ id: 'p1_d1', name: 'A', attack: 1 }] });
+    const p2 = createPlayerState();
+    mockFireTrigger.mockImplementationOnce((type, ctx) => ({
+      triggered: true,
+      newPlayerStates: {
+        ...ctx.playerStates,
+        player1: { ...ctx.playerStates.player1, energy: 9 }
+      },
+      animationEvents: [{ type: 'TRIGGER_FIRED' }]
+    }));
+
+    const result = RoundManager.processRoundStartTriggers(p1, p2, {}, null, 'player1');
+
+    expect(result.player1.energy).toBe(9);
+    expect(result.animationEvents).toEqual([{ type: 'TRIGGER_FIRED' }]);
+  });
+});
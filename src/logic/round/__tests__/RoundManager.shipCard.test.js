@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest'
+import roundManager from '../RoundManager.js'  // Singleton instance
+
+/**
+ * ROUND RESET - SHIP CARD TRACKING TESTS
+ *
+ * Readying at round start also resets the per-round ship card counters:
+ * - shipAbilityActivations.round (once-per-round ship abilities)
+ * - dronesDeployedThisRound (first-deployment discount)
+ * The per-game activation count is kept.
+ */
+
+vi.mock('../../statsCalculator.js', () => ({
+  calculateEffectiveStats: vi.fn((drone) => ({
+    maxShields: drone.shields || 1,
+    attack: drone.attack || 1,
+    speed: drone.speed || 1,
+    keywords: new Set()
+  }))
+}))
+
+vi.mock('../../triggers/TriggerProcessor.js', () => ({
+  default: class MockTriggerProcessor {
+    constructor() {
+      this.fireTrigger = vi.fn().mockReturnValue({
+        triggered: false, newPlayerStates: null, animationEvents: []
+      });
+    }
+  }
+}))
+
+vi.mock('../../triggers/triggerConstants.js', () => ({
+  TRIGGER_TYPES: { ON_ROUND_END: 'ON_ROUND_END' }
+}))
+
+describe('RoundManager - ship card round reset', () => {
+  const emptyLanes = () => ({ lane1: [], lane2: [], lane3: [] })
+  const placedSections = {
+    player1: ['core', null, null],
+    player2: ['core', null, null]
+  }
+
+  it('resets per-round ship card counters and keeps the per-game count', () => {
+    const playerState = {
+      name: 'Player 1',
+      dronesOnBoard: emptyLanes(),
+      appliedUpgrades: {},
+      deployedDroneCounts: {},
+      dronesDeployedThisRound: 2,
+      shipAbilityActivations: { round: 1, game: 3 }
+    }
+    const opponentState = { name: 'Player 2', dronesOnBoard: emptyLanes(), appliedUpgrades: {}, deployedDroneCounts: {} }
+
+    const result = roundManager.readyDronesAndRestoreShields(playerState, opponentState, placedSections)
+
+    expect(result.dronesDeployedThisRound).toBe(0)
+    expect(result.shipAbilityActivations).toEqual({ round: 0, game: 3 })
+  })
+})
@@ -95,7 +95,7 @@ export class SalvageController {
 
     // Use seeded random based on POI coordinates for deterministic bonus
     const gameState = gameStateManager.getState()
-    const baseRng = SeededRandom.fromGameState(gameState || {})
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed)
 
     // Create unique offset for this POI using its coordinates
     const poiOffset = ((poi?.q || 0) * 1000) + ((poi?.r || 0) * 37) + 8887
@@ -169,7 +169,7 @@ export class SalvageController {
    */
   _rollEncounter(encounterChance, slotIndex = 0, poi = null) {
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     // Use slot index as offset for unique roll per slot (deterministic)
     const slotOffset = slotIndex * 1337;
     const rng = new SeededRandom(baseRng.seed + slotOffset);
@@ -203,7 +203,7 @@ export class SalvageController {
     const range = tierConfig?.salvageEncounterIncreaseRange || { min: 5, max: 10 }
     const { min, max } = range
     const gameState = gameStateManager.getState();
-    const baseRng = SeededRandom.fromGameState(gameState || {});
+    const baseRng = SeededRandom.forRun(gameState || {}, tacticalMapStateManager.getState()?.runSeed);
     // Use slot index + offset to differentiate from encounter roll
     const increaseOffset = (slotIndex * 1337) + 7919;
     const rng = new SeededRandom(baseRng.seed + increaseOffset);
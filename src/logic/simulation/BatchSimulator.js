@@ -0,0 +1,150 @@
+// ========================================
+// BATCH SIMULATOR
+// ========================================
+// Runs many seeded AI-vs-AI matches and aggregates balance statistics:
+// win rates, average round count, per-card play counts and per-drone
+// deploy/kill/death totals. Each match seed is derived from the batch seed,
+// so a batch can be reproduced exactly from (competitors, matches, seed).
+
+import aiPersonalities from '../../data/aiData.js';
+import { parseJSObjectLiteral } from '../cards/deckExportUtils.js';
+import HeadlessMatchRunner from './HeadlessMatchRunner.js';
+import { debugLog } from '../../utils/debugLogger.js';
+
+const PLAYER_IDS = ['player1', 'player2'];
+
+/**
+ * Resolve a competitor into an aiData-format personality.
+ * Accepts a personality object, a personality name from aiData.js, or a
+ * deck export code (the JS object literal produced by the deck builder).
+ * @param {Object|string} spec
+ * @param {string} [fallbackName] - Name used for export codes without one
+ * @returns {Object} Personality with name, shipId, decklist, dronePool, shipComponents
+ */
+export function resolveCompetitor(spec, fallbackName = 'Imported Deck') {
+  if (spec && typeof spec === 'object') return spec;
+
+  if (typeof spec !== 'string' || spec.trim() === '') {
+    throw new Error('BatchSimulator: competitor must be a personality name, deck code or object');
+  }
+
+  const personality = aiPersonalities.find(p => p.name === spec);
+  if (personality) return personality;
+
+  const parsed = parseJSObjectLiteral(spec);
+  if (!parsed.success) {
+    throw new Error(`BatchSimulator: "${spec.slice(0, 40)}" is not a known personality or a valid deck code (${parsed.error})`);
+  }
+  const deck = parsed.data;
+  if (!Array.isArray(deck.decklist) || !Array.isArray(deck.dronePool)) {
+    throw new Error('BatchSimulator: deck code must contain decklist and dronePool');
+  }
+  return {
+    ...deck,
+    name: deck.name || fallbackName,
+    shipId: deck.shipId || 'SHIP_001',
+    shipComponents: deck.shipComponents || {},
+  };
+}
+
+/**
+ * Derive the seed for match `index` of a batch. Spread with a large odd
+ * multiplier so neighbouring matches do not share shuffle prefixes.
+ */
+export const deriveMatchSeed = (batchSeed, index) => ((batchSeed + index * 0x9E3779B1) >>> 0) || 1;
+
+const addCounts = (target, source) => {
+  for (const [key, value] of Object.entries(source || {})) {
+    target[key] = (target[key] || 0) + value;
+  }
+};
+
+/**
+ * Fold per-match results into batch totals.
+ * @param {Array<Object>} matches - HeadlessMatchRunner.runMatch results
+ * @param {{player1: string, player2: string}} names - Competitor names
+ * @returns {Object} Aggregated summary
+ */
+export function aggregateResults(matches, names) {
+  const wins = { player1: 0, player2: 0, draw: 0 };
+  const cardPlays = { player1: {}, player2: {} };
+  const drones = { player1: {}, player2: {} };
+  const endReasons = {};
+  let totalRounds = 0;
+
+  for (const match of matches) {
+    wins[match.winner || 'draw'] += 1;
+    totalRounds += match.rounds;
+    endReasons[match.endReason] = (endReasons[match.endReason] || 0) + 1;
+
+    for (const playerId of PLAYER_IDS) {
+      addCounts(cardPlays[playerId], match.stats.cardPlays[playerId]);
+      for (const [name, droneStats] of Object.entries(match.stats.drones[playerId])) {
+        if (!drones[playerId][name]) drones[playerId][name] = { deployed: 0, destroyed: 0, kills: 0 };
+        addCounts(drones[playerId][name], droneStats);
+      }
+    }
+  }
+
+  const total = matches.length;
+  const rate = (count) => (total > 0 ? count / total : 0);
+
+  return {
+    competitors: names,
+    matches: total,
+    wins,
+    winRates: {
+      player1: rate(wins.player1),
+      player2: rate(wins.player2),
+      draw: rate(wins.draw),
+    },
+    averageRounds: total > 0 ? totalRounds / total : 0,
+    endReasons,
+    cardPlays,
+    drones,
+  };
+}
+
+class BatchSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.runner] - Object with runMatch({player1, player2, seed});
+   *   defaults to a HeadlessMatchRunner
+   * @param {number} [options.maxRounds] - Passed to the default runner
+   */
+  constructor({ runner, maxRounds } = {}) {
+    this.runner = runner || new HeadlessMatchRunner({ maxRounds });
+  }
+
+  /**
+   * Play a batch of matches between two competitors.
+   * @param {Object} options
+   * @param {Object|string} options.player1 - Personality, personality name or deck code
+   * @param {Object|string} options.player2 - Personality, personality name or deck code
+   * @param {number} [options.matches=100] - Number of matches to play
+   * @param {number} [options.seed=1] - Batch seed
+   * @param {Function} [options.onMatchComplete] - (result, index) => void, for progress output
+   * @returns {Promise<Object>} Aggregated summary plus per-match results
+   */
+  async run({ player1, player2, matches = 100, seed = 1, onMatchComplete }) {
+    const p1 = resolveCompetitor(player1, 'Player 1 Deck');
+    const p2 = resolveCompetitor(player2, 'Player 2 Deck');
+
+    debugLog('AI_DECISIONS', `BatchSimulator: ${p1.name} vs ${p2.name}`, { matches, seed });
+
+    const results = [];
+    for (let i = 0; i < matches; i++) {
+      const result = await this.runner.runMatch({ player1: p1, player2: p2, seed: deriveMatchSeed(seed, i) });
+      results.push(result);
+      onMatchComplete?.(result, i);
+    }
+
+    return {
+      seed,
+      ...aggregateResults(results, { player1: p1.name, player2: p2.name }),
+      results: results.map(({ seed: matchSeed, winner, rounds, endReason }) => ({ seed: matchSeed, winner, rounds, endReason })),
+    };
+  }
+}
+
+export default BatchSimulator;
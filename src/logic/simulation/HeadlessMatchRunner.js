@@ -0,0 +1,389 @@
+// ========================================
+// HEADLESS MATCH RUNNER
+// ========================================
+// Plays a complete AI-vs-AI match through the real GameEngine with no React,
+// animation or timer layer. player2 is driven by AIPhaseProcessor exactly as in
+// single-player; player1 is driven by the same aiBrain modules on a mirrored
+// view of the state (see mirrorState.js), with decisions mirrored back before
+// being dispatched through GameEngine.processAction.
+
+import gameStateManager from '../../managers/GameStateManager.js';
+import GameFlowManager from '../../managers/GameFlowManager.js';
+import aiPhaseProcessor from '../../managers/AIPhaseProcessor.js';
+import GameEngine from '../../server/GameEngine.js';
+import ReplayEngineFactory from '../../server/ReplayEngineFactory.js';
+import GameDataService from '../../services/GameDataService.js';
+import TargetingRouter from '../TargetingRouter.js';
+import fullDroneCollection from '../../data/droneData.js';
+import aiPersonalities from '../../data/aiData.js';
+import { gameEngine as gameLogic } from '../gameLogic.js';
+import { aiBrain } from '../ai/aiLogic.js';
+import { usesSearch } from '../ai/decisions/searchActionDecision.js';
+import { getShipStatus } from '../statsCalculator.js';
+import { getLaneOfDrone } from '../utils/gameEngineUtils.js';
+import { resolveConditionalTargeting } from '../targeting/conditionalTargetingResolver.js';
+import {
+  extractDronesFromDeck,
+  randomlySelectDrones
+} from '../ai/AISimultaneousPhaseStrategy.js';
+import {
+  executeMandatoryDiscardTurn,
+  executeMandatoryDroneRemovalTurn
+} from '../ai/AISequentialTurnStrategy.js';
+import { isSequentialPhase } from '../phase/phaseDisplayUtils.js';
+import MatchStatsCollector from './MatchStatsCollector.js';
+import { mirrorGameState, swapPlayerIds } from './mirrorState.js';
+import { debugLog } from '../../utils/debugLogger.js';
+
+/** Safety caps — a match exceeding either is recorded as a draw */
+const DEFAULT_MAX_ROUNDS = 30;
+const DEFAULT_MAX_STEPS = 5000;
+
+const SIMULTANEOUS_COMMIT_PHASES = ['mandatoryDiscard', 'optionalDiscard', 'allocateShields', 'mandatoryDroneRemoval'];
+
+// GameServer stand-in: both seats are AI, no network
+const headlessServer = {
+  isPlayerAI: () => true,
+  isMultiplayer: () => false,
+  getLocalPlayerId: () => 'player1',
+};
+
+class HeadlessMatchRunner {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxRounds] - Rounds before the match is declared a draw
+   * @param {number} [options.maxSteps] - Controller steps before the match is aborted as a draw
+   */
+  constructor({ maxRounds = DEFAULT_MAX_ROUNDS, maxSteps = DEFAULT_MAX_STEPS } = {}) {
+    this.maxRounds = maxRounds;
+    this.maxSteps = maxSteps;
+    this.gameStateManager = gameStateManager;
+    this.actionProcessor = gameStateManager.actionProcessor;
+    this.gameFlowManager = null;
+    this.engine = null;
+    this.targetingRouter = new TargetingRouter();
+  }
+
+  _initializeFlow() {
+    if (this.gameFlowManager) return;
+    this.gameFlowManager = new GameFlowManager(null);
+    this.gameStateManager.setGameServer(headlessServer);
+    this.actionProcessor.setGameServer(headlessServer);
+    this.gameFlowManager.initialize(this.gameStateManager, this.actionProcessor, aiPhaseProcessor);
+    this.gameStateManager.setGameFlowManager(this.gameFlowManager);
+  }
+
+  /**
+   * GameStateManager-shaped facade that presents the mirrored state, so aiBrain
+   * decisions made for player1 read their own side as player2.
+   */
+  _mirroredStateManager() {
+    const gsm = this.gameStateManager;
+    return {
+      getState: () => mirrorGameState(gsm.getState()),
+      addLogEntry: (entry, debugSource, context) => gsm.addLogEntry(entry, debugSource, context),
+      addAIDecisionToHistory: () => {},
+    };
+  }
+
+  _getDataService() {
+    return GameDataService.getInstance(this.gameStateManager);
+  }
+
+  async _dispatch(type, payload) {
+    const { result } = await this.engine.processAction(type, payload);
+    return result;
+  }
+
+  /**
+   * Route interception decisions: player2 defends through AIPhaseProcessor,
+   * player1 defends through aiBrain on the mirrored state.
+   */
+  _createInterceptionDecider() {
+    return {
+      makeInterceptionDecision: async (interceptors, attackDetails) => {
+        if (attackDetails.attackingPlayer === 'player1') {
+          return aiPhaseProcessor.makeInterceptionDecision(interceptors, attackDetails);
+        }
+        const mirroredDetails = swapPlayerIds(attackDetails);
+        const result = aiBrain.makeInterceptionDecision(
+          swapPlayerIds(interceptors),
+          mirroredDetails.attacker,
+          mirroredDetails,
+          this._getDataService(),
+          this._mirroredStateManager()
+        );
+        return swapPlayerIds(result);
+      },
+    };
+  }
+
+  _buildPlayerConfig(personality, playerId) {
+    const activeDronePool = fullDroneCollection.filter(d => personality.dronePool.includes(d.name));
+    return {
+      name: playerId === 'player1' ? `${personality.name} (P1)` : personality.name,
+      decklist: personality.decklist,
+      activeDronePool,
+      deployedDroneCounts: Object.fromEntries(activeDronePool.map(d => [d.name, 0])),
+      aiPersonality: personality,
+      shipId: personality.shipId,
+    };
+  }
+
+  _startMatch(player1, player2, seed) {
+    this._initializeFlow();
+
+    if (this.gameStateManager.getState().gameActive) {
+      this.gameStateManager.endGame();
+    }
+    this.gameFlowManager.reset();
+    aiPhaseProcessor.cleanup();
+    aiPhaseProcessor.initialize(
+      aiPersonalities,
+      fullDroneCollection,
+      player2,
+      this.actionProcessor,
+      this.gameStateManager,
+      { isAnimationBlocking: () => false }
+    );
+    this.actionProcessor.setAIPhaseProcessor(this._createInterceptionDecider());
+
+    this.engine = new GameEngine(this.gameStateManager, this.actionProcessor, this.gameFlowManager);
+    this.gameStateManager.gameEngine = this.engine;
+
+    this.gameStateManager.startGame(
+      'local',
+      this._buildPlayerConfig(player1, 'player1'),
+      this._buildPlayerConfig(player2, 'player2'),
+      { gameSeed: seed }
+    );
+  }
+
+  /**
+   * Engine factory for replaying a match this runner played (ReplayPlayer's
+   * createEngine). Both seats stay AI with the same interception routing, but
+   * neither takes turns — the match log supplies them.
+   * @param {Object} initialState - The match log's initialState
+   * @returns {GameEngine}
+   */
+  createReplayEngine(initialState) {
+    this._initializeFlow();
+    return ReplayEngineFactory.create(initialState, {
+      aiPlayers: ['player1', 'player2'],
+      interceptionDecider: this._createInterceptionDecider(),
+    });
+  }
+
+  // --- player1 (mirrored) controller ---
+
+  async _commitPreGame(personality, state) {
+    const commitments = state.commitments || {};
+    if (!commitments.deckSelection?.player1?.completed) {
+      const deck = gameLogic.buildDeckFromList(personality.decklist, 'player1', state.gameSeed);
+      return this._dispatch('commitment', {
+        playerId: 'player1',
+        phase: 'preGameSetup',
+        actionData: {
+          subPhase: 'deckSelection',
+          deck,
+          drones: [...personality.dronePool],
+          shipComponents: personality.shipComponents,
+        },
+      });
+    }
+    if (!commitments.droneSelection?.player1?.completed) {
+      const available = extractDronesFromDeck(commitments.deckSelection.player1.drones || [], fullDroneCollection);
+      const drones = randomlySelectDrones(available, 5, this.gameStateManager);
+      return this._dispatch('commitment', {
+        playerId: 'player1',
+        phase: 'preGameSetup',
+        actionData: { subPhase: 'droneSelection', drones },
+      });
+    }
+    return null;
+  }
+
+  async _commitSimultaneousPhase(phase, state) {
+    const dataService = this._getDataService();
+    const view = mirrorGameState(state);
+
+    if (phase === 'mandatoryDiscard') {
+      const { cardsToDiscard } = await executeMandatoryDiscardTurn(view, dataService);
+      for (const card of swapPlayerIds(cardsToDiscard)) {
+        await this._dispatch('optionalDiscard', { playerId: 'player1', cardsToDiscard: [card], isMandatory: true });
+      }
+    } else if (phase === 'allocateShields') {
+      const sections = state.placedSections || [];
+      for (let i = 0; i < (state.shieldsToAllocate || 0) && sections.length > 0; i++) {
+        await this._dispatch('addShield', { sectionName: sections[i % sections.length], playerId: 'player1' });
+      }
+    } else if (phase === 'mandatoryDroneRemoval') {
+      const { dronesToRemove } = await executeMandatoryDroneRemovalTurn(view, dataService);
+      for (const drone of dronesToRemove) {
+        await this._dispatch('destroyDrone', { droneId: drone.id, playerId: 'player1' });
+      }
+    }
+
+    return this._dispatch('commitment', {
+      playerId: 'player1',
+      phase,
+      actionData: { completed: true },
+    });
+  }
+
+  _passPayload(state) {
+    return {
+      playerId: 'player1',
+      playerName: state.player1.name,
+      turnPhase: state.turnPhase,
+      passInfo: state.passInfo,
+      opponentPlayerId: 'player2',
+    };
+  }
+
+  async _takeMirroredTurn(state) {
+    if (state.passInfo?.player1Passed) {
+      return this._dispatch('playerPass', this._passPayload(state));
+    }
+
+    const view = mirrorGameState(state);
+    const facade = this._mirroredStateManager();
+    const dataService = this._getDataService();
+
+    if (state.turnPhase === 'deployment') {
+      const decision = swapPlayerIds(aiBrain.handleOpponentTurn({
+        player1: view.player1,
+        player2: view.player2,
+        turn: view.turn,
+        placedSections: view.placedSections,
+        opponentPlacedSections: view.opponentPlacedSections,
+        getShipStatus,
+        calculateEffectiveShipStats: (playerState, sections) => dataService.getEffectiveShipStats(playerState, sections),
+        gameStateManager: facade,
+        addLogEntry: facade.addLogEntry,
+      }));
+
+      if (decision.type !== 'deploy') {
+        return this._dispatch('playerPass', this._passPayload(state));
+      }
+      const result = await this._dispatch('deployment', {
+        droneData: decision.payload.droneToDeploy,
+        laneId: decision.payload.targetLane,
+        playerId: 'player1',
+        turn: state.roundNumber,
+      });
+      // Same fallback as the single-player AI: a failed deployment passes to avoid looping
+      if (!result?.success) {
+        return this._dispatch('playerPass', this._passPayload(this.gameStateManager.getState()));
+      }
+      return result;
+    }
+
+    const getValidTargets = (actingPlayerId, source, definition, player1, player2) => {
+      const resolvedDef = resolveConditionalTargeting(definition, actingPlayerId, player1, player2);
+      return this.targetingRouter.routeTargeting({ actingPlayerId, source, definition: resolvedDef, player1, player2 });
+    };
+
+    const decisionContext = {
+      player1: view.player1,
+      player2: view.player2,
+      placedSections: view.placedSections,
+      opponentPlacedSections: view.opponentPlacedSections,
+      getShipStatus,
+      getLaneOfDrone,
+      getValidTargets,
+      gameStateManager: facade,
+      addLogEntry: facade.addLogEntry,
+    };
+    const personality = view.player2.aiPersonality;
+    const decision = swapPlayerIds(usesSearch(personality)
+      ? await aiBrain.handleOpponentActionWithSearch(decisionContext, personality.search)
+      : aiBrain.handleOpponentAction(decisionContext));
+
+    if (decision.type === 'pass') {
+      return this._dispatch('playerPass', this._passPayload(state));
+    }
+    return this._dispatch('aiAction', { aiDecision: decision, playerId: 'player1' });
+  }
+
+  async _takeTurn(playerId, state) {
+    if (playerId === 'player1') {
+      return this._takeMirroredTurn(state);
+    }
+    if (state.turnPhase === 'deployment') {
+      return aiPhaseProcessor.executeDeploymentTurn(state);
+    }
+    return aiPhaseProcessor.executeActionTurn(state);
+  }
+
+  /**
+   * Advance the match by one controller decision.
+   * @returns {Promise<boolean>} false when no controller could act (stalled)
+   */
+  async _step(player1) {
+    const state = this.gameStateManager.getState();
+    const phase = state.turnPhase;
+
+    if (phase === 'preGameSetup') {
+      return (await this._commitPreGame(player1, state)) !== null;
+    }
+    if (isSequentialPhase(phase)) {
+      await this._takeTurn(state.currentPlayer, state);
+      return true;
+    }
+    if (SIMULTANEOUS_COMMIT_PHASES.includes(phase) && !state.commitments?.[phase]?.player1?.completed) {
+      await this._commitSimultaneousPhase(phase, state);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Play one match to completion.
+   * @param {Object} options
+   * @param {Object} options.player1 - aiData-format personality for player1
+   * @param {Object} options.player2 - aiData-format personality for player2
+   * @param {number} options.seed - Game seed (drives shuffles and AI tie-breaks)
+   * @returns {Promise<Object>} { seed, winner, rounds, endReason, stats }
+   */
+  async runMatch({ player1, player2, seed }) {
+    this._startMatch(player1, player2, seed);
+
+    const collector = new MatchStatsCollector();
+    const unsubscribe = this.engine.onActionProcessed(event => collector.observe(event));
+
+    let endReason = 'winner';
+    let steps = 0;
+    try {
+      for (;;) {
+        const state = this.gameStateManager.getState();
+        if (state.winner) break;
+        if (state.roundNumber > this.maxRounds) { endReason = 'roundLimit'; break; }
+        if (++steps > this.maxSteps) { endReason = 'stepLimit'; break; }
+
+        let progressed;
+        try {
+          progressed = await this._step(player1);
+        } catch (error) {
+          debugLog('AI_DECISIONS', 'HeadlessMatchRunner: step failed', { error: error.message, phase: state.turnPhase });
+          endReason = 'error';
+          break;
+        }
+        if (!progressed) { endReason = 'stalled'; break; }
+      }
+    } finally {
+      unsubscribe();
+    }
+
+    const finalState = this.gameStateManager.getState();
+    return {
+      seed,
+      winner: finalState.winner || null,
+      rounds: finalState.roundNumber,
+      endReason,
+      stats: collector.getStats(),
+    };
+  }
+}
+
+export default HeadlessMatchRunner;
@@ -0,0 +1,109 @@
+// ========================================
+// MATCH STATS COLLECTOR
+// ========================================
+// Observes completed GameEngine actions and accumulates per-match balance stats:
+// card plays and per-drone deployments, deaths and kills for each side.
+// Deaths are detected by diffing the drones on board before and after each action;
+// kills are credited to the attacking drone when the action was an attack.
+
+import { otherPlayer } from './mirrorState.js';
+
+const PLAYER_IDS = ['player1', 'player2'];
+
+// Actions that remove a drone from the board without destroying it
+const NON_LETHAL_REMOVAL_TYPES = ['recallAbility'];
+
+/**
+ * Normalize a processed action into { playerId, cardName, attackerName }.
+ * Handles both direct player actions and AI-routed 'aiAction' payloads.
+ */
+export function describeAction(type, payload = {}) {
+  if (type === 'cardPlay') {
+    return { playerId: payload.playerId, cardName: payload.card?.name || null, attackerName: null };
+  }
+  if (type === 'attack') {
+    const details = payload.attackDetails || {};
+    return { playerId: details.attackingPlayer, cardName: null, attackerName: details.attacker?.name || null };
+  }
+  if (type === 'aiAction' && payload.aiDecision?.type === 'action') {
+    const chosen = payload.aiDecision.payload || {};
+    const playerId = payload.playerId || 'player2';
+    if (chosen.type === 'play_card') {
+      return { playerId, cardName: chosen.card?.name || null, attackerName: null };
+    }
+    if (chosen.type === 'attack') {
+      return { playerId, cardName: null, attackerName: chosen.attacker?.name || null };
+    }
+    return { playerId, cardName: null, attackerName: null };
+  }
+  return { playerId: payload?.playerId || null, cardName: null, attackerName: null };
+}
+
+class MatchStatsCollector {
+  constructor() {
+    this.cardPlays = { player1: {}, player2: {} };
+    this.drones = { player1: {}, player2: {} };
+    this.actionCount = 0;
+    this._board = new Map(); // droneId -> { name, owner }
+  }
+
+  _droneStats(playerId, name) {
+    const side = this.drones[playerId];
+    if (!side[name]) side[name] = { deployed: 0, destroyed: 0, kills: 0 };
+    return side[name];
+  }
+
+  _snapshotBoard(state) {
+    const board = new Map();
+    for (const playerId of PLAYER_IDS) {
+      const lanes = state?.[playerId]?.dronesOnBoard || {};
+      for (const drones of Object.values(lanes)) {
+        for (const drone of drones || []) {
+          board.set(drone.id, { name: drone.name, owner: playerId });
+        }
+      }
+    }
+    return board;
+  }
+
+  /**
+   * Record one completed action. Signature matches GameEngine.onActionProcessed.
+   * @param {{type: string, payload: Object, state: Object}} event
+   */
+  observe({ type, payload, state }) {
+    this.actionCount += 1;
+    const { playerId, cardName, attackerName } = describeAction(type, payload);
+
+    if (cardName && this.cardPlays[playerId]) {
+      this.cardPlays[playerId][cardName] = (this.cardPlays[playerId][cardName] || 0) + 1;
+    }
+
+    const board = this._snapshotBoard(state);
+
+    for (const [id, drone] of board) {
+      if (!this._board.has(id)) this._droneStats(drone.owner, drone.name).deployed += 1;
+    }
+
+    if (!NON_LETHAL_REMOVAL_TYPES.includes(type)) {
+      for (const [id, drone] of this._board) {
+        if (board.has(id)) continue;
+        this._droneStats(drone.owner, drone.name).destroyed += 1;
+        if (attackerName && playerId && drone.owner === otherPlayer(playerId)) {
+          this._droneStats(playerId, attackerName).kills += 1;
+        }
+      }
+    }
+
+    this._board = board;
+  }
+
+  getStats() {
+    return {
+      actionCount: this.actionCount,
+      cardPlays: this.cardPlays,
+      drones: this.drones,
+    };
+  }
+}
+
+export default MatchStatsCollector;
@@ -0,0 +1,177 @@
+// ========================================
+// WEIGHT TUNER
+// ========================================
+// Self-play tuning of AI scoring weights. Starting from a personality's
+// current weights, each step perturbs a few constants and plays a fixed set
+// of seeded headless matches against a baseline personality; the perturbed
+// profile is kept only if it scores better (hill climbing). Every evaluation
+// replays the same seeds with both seat orders, so a change in score comes
+// from the weights rather than from the draw.
+//
+// The result is a weight profile ({ GROUP: { KEY: value } }) holding only
+// the constants that moved, ready for src/logic/ai/tunedWeights.json or a
+// personality's weightOverrides.
+
+import { mergeWeightProfiles, resolveWeightProfile, resolveWeights, validateWeightProfile } from '../ai/weightProfiles.js';
+import SeededRandom from '../../utils/seededRandom.js';
+import { resolveCompetitor, deriveMatchSeed } from './BatchSimulator.js';
+import HeadlessMatchRunner from './HeadlessMatchRunner.js';
+
+/** Groups read by logic/ai/scoring/* and logic/ai/adjustmentPasses/* */
+export const DEFAULT_TUNED_GROUPS = [
+  'SCORING_WEIGHTS',
+  'TARGET_SCORING',
+  'DAMAGE_TYPE_WEIGHTS',
+  'THREAT_DRONES',
+  'PENALTIES',
+  'INTERCEPTION',
+  'DEFENSE_URGENCY',
+  'THRESHOLD_BONUS',
+  'THRUSTER_INHIBITOR',
+  'JAMMER',
+];
+
+/**
+ * The weights a personality actually plays with: defaults plus its profile.
+ * @param {Object} personality - aiData entry
+ * @param {Array<string>} groups - Constant groups to read
+ * @returns {Object} { GROUP: { KEY: number } }
+ */
+export function readEffectiveWeights(personality, groups) {
+  const weights = resolveWeights(resolveWeightProfile(personality));
+  return Object.fromEntries(groups.map(group => [group, { ...weights[group] }]));
+}
+
+/**
+ * Nudge `count` random weights by up to ±step (relative). Integer weights stay
+ * integers and always move by at least 1; zero weights are left alone since
+ * there is no scale to perturb them by.
+ * @param {Object} weights - Current { GROUP: { KEY: number } }
+ * @param {Object} rng - SeededRandom
+ * @param {Object} options - { step, count }
+ * @returns {Object} New weights (input untouched)
+ */
+export function perturbWeights(weights, rng, { step, count }) {
+  const next = Object.fromEntries(Object.entries(weights).map(([group, values]) => [group, { ...values }]));
+  const keys = Object.entries(next)
+    .flatMap(([group, values]) => Object.keys(values).filter(key => values[key] !== 0).map(key => [group, key]));
+
+  for (const [group, key] of rng.shuffle(keys).slice(0, count)) {
+    const value = next[group][key];
+    const delta = value * step * (rng.random() * 2 - 1);
+    next[group][key] = Number.isInteger(value)
+      ? value + (Math.round(delta) || (delta < 0 ? -1 : 1))
+      : Math.round((value + delta) * 1000) / 1000;
+  }
+  return next;
+}
+
+/**
+ * Keys whose value differs between two weight sets.
+ * @returns {Object} Profile with only the changed values from `tuned`
+ */
+export function diffWeights(base, tuned) {
+  const profile = {};
+  for (const [group, values] of Object.entries(tuned)) {
+    for (const [key, value] of Object.entries(values)) {
+      if (base[group]?.[key] !== value) {
+        profile[group] = { ...profile[group], [key]: value };
+      }
+    }
+  }
+  return profile;
+}
+
+class WeightTuner {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.runner] - Object with runMatch({player1, player2, seed});
+   *   defaults to a HeadlessMatchRunner
+   * @param {number} [options.maxRounds] - Passed to the default runner
+   */
+  constructor({ runner, maxRounds } = {}) {
+    this.runner = runner || new HeadlessMatchRunner({ maxRounds });
+  }
+
+  /**
+   * Hill-climb the candidate's weights against a baseline.
+   * @param {Object} options
+   * @param {Object|string} options.candidate - Personality (or name) whose weights are tuned
+   * @param {Object|string} [options.baseline] - Opponent; defaults to the untuned candidate
+   * @param {Array<string>} [options.groups] - Constant groups to tune
+   * @param {number} [options.iterations=20] - Perturbations to try
+   * @param {number} [options.matches=20] - Matches per evaluation (split across both seats)
+   * @param {number} [options.seed=1] - Seed for match seeds and perturbations
+   * @param {number} [options.step=0.25] - Maximum relative change per perturbed weight
+   * @param {number} [options.keysPerStep=3] - Weights perturbed per iteration
+   * @param {Function} [options.onIteration] - ({ iteration, score, bestScore, accepted }) => void
+   * @returns {Promise<Object>} { profile, score, baselineScore, history }
+   */
+  async tune({
+    candidate,
+    baseline,
+    groups = DEFAULT_TUNED_GROUPS,
+    iterations = 20,
+    matches = 20,
+    seed = 1,
+    step = 0.25,
+    keysPerStep = 3,
+    onIteration,
+  }) {
+    const tunedPersonality = resolveCompetitor(candidate, 'Candidate Deck');
+    const opponent = baseline ? resolveCompetitor(baseline, 'Baseline Deck') : tunedPersonality;
+    const problems = validateWeightProfile(Object.fromEntries(groups.map(group => [group, {}])));
+    if (problems.length > 0) {
+      throw new Error(`WeightTuner: ${problems.join(', ')}`);
+    }
+
+    const rng = new SeededRandom(seed);
+    const startWeights = readEffectiveWeights(tunedPersonality, groups);
+    const evaluate = (weights) => this._evaluate(tunedPersonality, weights, opponent, matches, seed);
+
+    let best = startWeights;
+    let bestScore = await evaluate(best);
+    const baselineScore = bestScore;
+    const history = [{ iteration: 0, score: bestScore, accepted: true }];
+
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+      const proposal = perturbWeights(best, rng, { step, count: keysPerStep });
+      const score = await evaluate(proposal);
+      const accepted = score > bestScore;
+      if (accepted) {
+        best = proposal;
+        bestScore = score;
+      }
+      history.push({ iteration, score, accepted });
+      onIteration?.({ iteration, score, bestScore, accepted });
+    }
+
+    return { profile: diffWeights(startWeights, best), score: bestScore, baselineScore, history };
+  }
+
+  /**
+   * Score a weight set: wins count 1 and draws 0.5, averaged over the matches.
+   * Even-numbered matches seat the candidate as player1, odd ones as player2.
+   */
+  async _evaluate(personality, weights, opponent, matches, seed) {
+    const candidate = {
+      ...personality,
+      weightOverrides: mergeWeightProfiles(personality.weightOverrides, weights),
+    };
+
+    let points = 0;
+    for (let i = 0; i < matches; i++) {
+      const candidateSeat = i % 2 === 0 ? 'player1' : 'player2';
+      const result = await this.runner.runMatch({
+        player1: candidateSeat === 'player1' ? candidate : opponent,
+        player2: candidateSeat === 'player2' ? candidate : opponent,
+        seed: deriveMatchSeed(seed, Math.floor(i / 2)),
+      });
+      if (result.winner === candidateSeat) points += 1;
+      else if (!result.winner) points += 0.5;
+    }
+    return points / matches;
+  }
+}
+
+export default WeightTuner;
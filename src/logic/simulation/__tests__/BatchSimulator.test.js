@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import BatchSimulator, { resolveCompetitor, aggregateResults, deriveMatchSeed } from '../BatchSimulator.js';
+import aiPersonalities from '../../../data/aiData.js';
+
+const matchResult = (winner, rounds, overrides = {}) => ({
+  seed: 1,
+  winner,
+  rounds,
+  endReason: winner ? 'winner' : 'roundLimit',
+  stats: {
+    actionCount: 10,
+    cardPlays: { player1: { Nuke: 1 }, player2: {} },
+    drones: { player1: { Dart: { deployed: 2, destroyed: 1, kills: 1 } }, player2: {} },
+    ...overrides,
+  },
+});
+
+describe('BatchSimulator', () => {
+  describe('resolveCompetitor', () => {
+    it('looks up personalities by name', () => {
+      expect(resolveCompetitor(aiPersonalities[1].name)).toBe(aiPersonalities[1]);
+    });
+
+    it('parses deck export codes', () => {
+      const code = `{
+        shipId: 'SHIP_002',
+        decklist: [{ id: 'LASER_BLAST', quantity: 4 }],
+        dronePool: ['Dart', 'Talon'],
+      }`;
+
+      const competitor = resolveCompetitor(code, 'My Deck');
+
+      expect(competitor.name).toBe('My Deck');
+      expect(competitor.shipId).toBe('SHIP_002');
+      expect(competitor.dronePool).toEqual(['Dart', 'Talon']);
+      expect(competitor.shipComponents).toEqual({});
+    });
+
+    it('rejects unknown names', () => {
+      expect(() => resolveCompetitor('Not A Real Personality')).toThrow(/not a known personality/);
+    });
+
+    it('rejects deck codes without a drone pool', () => {
+      expect(() => resolveCompetitor("{ decklist: [] }")).toThrow(/dronePool/);
+    });
+  });
+
+  describe('aggregateResults', () => {
+    it('computes win rates, average rounds and summed stats', () => {
+      const summary = aggregateResults(
+        [matchResult('player1', 3), matchResult('player2', 5), matchResult(null, 10)],
+        { player1: 'A', player2: 'B' }
+      );
+
+      expect(summary.wins).toEqual({ player1: 1, player2: 1, draw: 1 });
+      expect(summary.winRates.player1).toBeCloseTo(1 / 3);
+      expect(summary.averageRounds).toBe(6);
+      expect(summary.endReasons).toEqual({ winner: 2, roundLimit: 1 });
+      expect(summary.cardPlays.player1.Nuke).toBe(3);
+      expect(summary.drones.player1.Dart).toEqual({ deployed: 6, destroyed: 3, kills: 3 });
+    });
+  });
+
+  describe('run', () => {
+    it('plays the requested number of matches with derived seeds', async () => {
+      const runner = { runMatch: vi.fn().mockResolvedValue(matchResult('player1', 2)) };
+      const onMatchComplete = vi.fn();
+      const simulator = new BatchSimulator({ runner });
+
+      const summary = await simulator.run({
+        player1: aiPersonalities[1].name,
+        player2: aiPersonalities[2].name,
+        matches: 3,
+        seed: 42,
+        onMatchComplete,
+      });
+
+      expect(runner.runMatch).toHaveBeenCalledTimes(3);
+      expect(runner.runMatch.mock.calls.map(([args]) => args.seed)).toEqual([0, 1, 2].map(i => deriveMatchSeed(42, i)));
+      expect(runner.runMatch.mock.calls[0][0].player2).toBe(aiPersonalities[2]);
+      expect(onMatchComplete).toHaveBeenCalledTimes(3);
+      expect(summary.competitors).toEqual({ player1: aiPersonalities[1].name, player2: aiPersonalities[2].name });
+      expect(summary.winRates.player1).toBe(1);
+      expect(summary.results).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import HeadlessMatchRunner from '../HeadlessMatchRunner.js';
+import ReplayPlayer from '../../../server/ReplayPlayer.js';
+import gameStateManager from '../../../managers/GameStateManager.js';
+import aiPersonalities from '../../../data/aiData.js';
+
+const manticore = aiPersonalities.find(p => p.name === 'Manticore - Class II Gunship');
+
+describe('HeadlessMatchRunner', () => {
+  afterAll(() => {
+    gameStateManager.endGame();
+  });
+
+  it('plays a full AI-vs-AI match and reproduces it from the seed', async () => {
+    const runner = new HeadlessMatchRunner({ maxRounds: 10 });
+
+    const first = await runner.runMatch({ player1: manticore, player2: manticore, seed: 3 });
+    const second = await runner.runMatch({ player1: manticore, player2: manticore, seed: 3 });
+
+    expect(first.endReason).toBe('winner');
+    expect(['player1', 'player2']).toContain(first.winner);
+    expect(first.stats.actionCount).toBeGreaterThan(0);
+    expect(Object.keys(first.stats.drones.player1).length).toBeGreaterThan(0);
+    expect(second).toEqual(first);
+  }, 60000);
+
+  it('replays its match log to the identical final state', async () => {
+    const runner = new HeadlessMatchRunner({ maxRounds: 10 });
+    const result = await runner.runMatch({ player1: manticore, player2: manticore, seed: 5 });
+    const finalState = JSON.parse(JSON.stringify(gameStateManager.getState()));
+    const matchLog = runner.engine.matchRecorder.serialize();
+
+    const replay = new ReplayPlayer(matchLog, { createEngine: (initialState) => runner.createReplayEngine(initialState) });
+    await replay.seek(replay.length);
+
+    expect(result.endReason).toBe('winner');
+    expect(replay.length).toBeGreaterThan(0);
+    expect(replay.getState().winner).toBe(result.winner);
+    expect(replay.diffAgainst(finalState)).toEqual([]);
+  }, 60000);
+});
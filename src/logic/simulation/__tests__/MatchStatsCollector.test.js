@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import MatchStatsCollector, { describeAction } from '../MatchStatsCollector.js';
+
+const board = (p1Drones = [], p2Drones = []) => ({
+  player1: { dronesOnBoard: { lane1: p1Drones, lane2: [], lane3: [] } },
+  player2: { dronesOnBoard: { lane1: p2Drones, lane2: [], lane3: [] } },
+});
+
+describe('MatchStatsCollector', () => {
+  describe('describeAction', () => {
+    it('reads the acting player and card from AI card plays', () => {
+      const payload = {
+        playerId: 'player1',
+        aiDecision: { type: 'action', payload: { type: 'play_card', card: { name: 'Laser Blast' } } },
+      };
+      expect(describeAction('aiAction', payload)).toEqual({ playerId: 'player1', cardName: 'Laser Blast', attackerName: null });
+    });
+
+    it('defaults AI actions to player2', () => {
+      const payload = { aiDecision: { type: 'action', payload: { type: 'attack', attacker: { name: 'Dart' } } } };
+      expect(describeAction('aiAction', payload)).toEqual({ playerId: 'player2', cardName: null, attackerName: 'Dart' });
+    });
+  });
+
+  it('counts card plays per player', () => {
+    const collector = new MatchStatsCollector();
+    const play = { type: 'cardPlay', payload: { playerId: 'player1', card: { name: 'Nuke' } }, state: board() };
+
+    collector.observe(play);
+    collector.observe(play);
+
+    expect(collector.getStats().cardPlays.player1).toEqual({ Nuke: 2 });
+    expect(collector.getStats().actionCount).toBe(2);
+  });
+
+  it('tracks deployments, deaths and attacker kills', () => {
+    const collector = new MatchStatsCollector();
+    const dart = { id: 'a', name: 'Dart' };
+    const talon = { id: 'b', name: 'Talon' };
+
+    collector.observe({ type: 'deployment', payload: { playerId: 'player1' }, state: board([dart]) });
+    collector.observe({ type: 'deployment', payload: { playerId: 'player2' }, state: board([dart], [talon]) });
+    collector.observe({
+      type: 'attack',
+      payload: { attackDetails: { attackingPlayer: 'player1', attacker: dart } },
+      state: board([dart]),
+    });
+
+    const { drones } = collector.getStats();
+    expect(drones.player1.Dart).toEqual({ deployed: 1, destroyed: 0, kills: 1 });
+    expect(drones.player2.Talon).toEqual({ deployed: 1, destroyed: 1, kills: 0 });
+  });
+
+  it('does not count recalled drones as destroyed', () => {
+    const collector = new MatchStatsCollector();
+    const dart = { id: 'a', name: 'Dart' };
+
+    collector.observe({ type: 'deployment', payload: { playerId: 'player1' }, state: board([dart]) });
+    collector.observe({ type: 'recallAbility', payload: { playerId: 'player1' }, state: board() });
+
+    expect(collector.getStats().drones.player1.Dart.destroyed).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi } from 'vitest';
+import WeightTuner, { perturbWeights, diffWeights, readEffectiveWeights } from '../WeightTuner.js';
+import { SCORING_WEIGHTS } from '../../ai/aiConstants.js';
+import { resolveWeightProfile, resolveWeights } from '../../ai/weightProfiles.js';
+import SeededRandom from '../../../utils/seededRandom.js';
+
+const personality = { name: 'Tuned', shipId: 'SHIP_001', decklist: [], dronePool: [] };
+
+// Whoever plays with the higher ATTACK_MULTIPLIER wins; equal values draw
+const attackMultiplier = (competitor) =>
+  resolveWeights(resolveWeightProfile(competitor)).SCORING_WEIGHTS.ATTACK_MULTIPLIER;
+
+const makeRunner = () => ({
+  runMatch: vi.fn(async ({ player1, player2, seed }) => {
+    const p1 = attackMultiplier(player1);
+    const p2 = attackMultiplier(player2);
+    const winner = p1 === p2 ? null : (p1 > p2 ? 'player1' : 'player2');
+    return { seed, winner, rounds: 1, endReason: winner ? 'winner' : 'roundLimit', stats: {} };
+  }),
+});
+
+describe('WeightTuner', () => {
+  describe('perturbWeights', () => {
+    it('changes the requested number of weights without touching the input', () => {
+      const weights = { SCORING_WEIGHTS: { A: 10, B: 20, C: 30 } };
+      const next = perturbWeights(weights, new SeededRandom(3), { step: 0.25, count: 2 });
+
+      expect(weights.SCORING_WEIGHTS).toEqual({ A: 10, B: 20, C: 30 });
+      expect(Object.keys(diffWeights(weights, next).SCORING_WEIGHTS)).toHaveLength(2);
+    });
+
+    it('keeps integers integral, moves them by at least 1 and skips zeros', () => {
+      const weights = { PENALTIES: { SMALL: 1, ZERO: 0 } };
+      for (let seed = 1; seed <= 10; seed++) {
+        const next = perturbWeights(weights, new SeededRandom(seed), { step: 0.25, count: 2 });
+        expect(Number.isInteger(next.PENALTIES.SMALL)).toBe(true);
+        expect(next.PENALTIES.SMALL).not.toBe(1);
+        expect(next.PENALTIES.ZERO).toBe(0);
+      }
+    });
+
+    it('is deterministic for a seed', () => {
+      const weights = { DEFENSE_URGENCY: { MODERATE_MULTIPLIER: 2.5, HIGH_MULTIPLIER: 4.0 } };
+      const run = () => perturbWeights(weights, new SeededRandom(42), { step: 0.25, count: 1 });
+      expect(run()).toEqual(run());
+    });
+  });
+
+  describe('diffWeights', () => {
+    it('keeps only the values that changed', () => {
+      const base = { SCORING_WEIGHTS: { A: 1, B: 2 }, PENALTIES: { C: -5 } };
+      const tuned = { SCORING_WEIGHTS: { A: 1, B: 3 }, PENALTIES: { C: -5 } };
+      expect(diffWeights(base, tuned)).toEqual({ SCORING_WEIGHTS: { B: 3 } });
+    });
+  });
+
+  describe('readEffectiveWeights', () => {
+    it('applies the personality profile without leaving it in aiConstants', () => {
+      const weights = readEffectiveWeights(
+        { ...personality, weightOverrides: { SCORING_WEIGHTS: { ATTACK_MULTIPLIER: 9 } } },
+        ['SCORING_WEIGHTS']
+      );
+
+      expect(weights.SCORING_WEIGHTS.ATTACK_MULTIPLIER).toBe(9);
+      expect(SCORING_WEIGHTS.ATTACK_MULTIPLIER).toBe(4);
+    });
+  });
+
+  describe('tune', () => {
+    it('plays each seed from both seats against the baseline', async () => {
+      const runner = makeRunner();
+      await new WeightTuner({ runner }).tune({ candidate: personality, groups: ['SCORING_WEIGHTS'], iterations: 0, matches: 4, seed: 5 });
+
+      const calls = runner.runMatch.mock.calls.map(([args]) => args);
+      expect(calls).toHaveLength(4);
+      expect(calls[0].seed).toBe(calls[1].seed);
+      expect(calls[2].seed).toBe(calls[3].seed);
+      expect(calls[0].seed).not.toBe(calls[2].seed);
+      expect(calls[0].player1.weightOverrides).toBeDefined();
+      expect(calls[1].player2.weightOverrides).toBeDefined();
+      expect(calls[0].player2).toBe(personality);
+    });
+
+    it('keeps perturbations that win more and reports only the changed weights', async () => {
+      const onIteration = vi.fn();
+      const result = await new WeightTuner({ runner: makeRunner() }).tune({
+        candidate: personality,
+        groups: ['SCORING_WEIGHTS'],
+        iterations: 15,
+        matches: 2,
+        keysPerStep: 1,
+        seed: 7,
+        onIteration,
+      });
+
+      expect(result.baselineScore).toBe(0.5);
+      expect(result.score).toBe(1);
+      expect(result.profile.SCORING_WEIGHTS.ATTACK_MULTIPLIER).toBeGreaterThan(4);
+      expect(result.history).toHaveLength(16);
+      expect(onIteration).toHaveBeenCalledTimes(15);
+      expect(SCORING_WEIGHTS.ATTACK_MULTIPLIER).toBe(4);
+    });
+
+    it('returns an empty profile when nothing beats the baseline', async () => {
+      const runner = { runMatch: vi.fn(async ({ seed }) => ({ seed, winner: null, rounds: 1, endReason: 'roundLimit', stats: {} })) };
+      const result = await new WeightTuner({ runner }).tune({ candidate: personality, iterations: 3, matches: 2 });
+
+      expect(result.profile).toEqual({});
+      expect(result.score).toBe(0.5);
+    });
+
+    it('rejects unknown constant groups', async () => {
+      await expect(new WeightTuner({ runner: makeRunner() }).tune({ candidate: personality, groups: ['NOT_A_GROUP'] }))
+        .rejects.toThrow(/unknown constant group 'NOT_A_GROUP'/);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { otherPlayer, swapPlayerIds, mirrorGameState } from '../mirrorState.js';
+
+describe('mirrorState', () => {
+  describe('otherPlayer', () => {
+    it('swaps player ids and passes other values through', () => {
+      expect(otherPlayer('player1')).toBe('player2');
+      expect(otherPlayer('player2')).toBe('player1');
+      expect(otherPlayer('lane1')).toBe('lane1');
+    });
+  });
+
+  describe('swapPlayerIds', () => {
+    it('swaps prefixed keys and exact id values at any depth', () => {
+      const value = {
+        currentPlayer: 'player1',
+        passInfo: { player1Passed: true, player2Passed: false, firstPasser: 'player2' },
+        player1: { dronesOnBoard: { lane1: [{ id: 'd1', owner: 'player1' }] } },
+      };
+
+      expect(swapPlayerIds(value)).toEqual({
+        currentPlayer: 'player2',
+        passInfo: { player2Passed: true, player1Passed: false, firstPasser: 'player1' },
+        player2: { dronesOnBoard: { lane1: [{ id: 'd1', owner: 'player2' }] } },
+      });
+    });
+
+    it('is its own inverse', () => {
+      const value = { player1: { name: 'A' }, player2: { name: 'B' }, winner: 'player2' };
+      expect(swapPlayerIds(swapPlayerIds(value))).toEqual(value);
+    });
+  });
+
+  describe('mirrorGameState', () => {
+    it('swaps paired section keys and drops history', () => {
+      const state = {
+        player1: { energy: 3 },
+        player2: { energy: 5 },
+        placedSections: ['bridge', 'powerCell', 'droneControlHub'],
+        opponentPlacedSections: ['powerCell', 'bridge', 'droneControlHub'],
+        shieldsToAllocate: 2,
+        opponentShieldsToAllocate: 4,
+        gameLog: [{ player: 'player1' }],
+      };
+
+      const mirrored = mirrorGameState(state);
+
+      expect(mirrored.player2.energy).toBe(3);
+      expect(mirrored.player1.energy).toBe(5);
+      expect(mirrored.placedSections).toEqual(state.opponentPlacedSections);
+      expect(mirrored.opponentPlacedSections).toEqual(state.placedSections);
+      expect(mirrored.shieldsToAllocate).toBe(4);
+      expect(mirrored.opponentShieldsToAllocate).toBe(2);
+      expect(mirrored.gameLog).toEqual([]);
+      expect(state.player1.energy).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// ========================================
+// MIRROR STATE
+// ========================================
+// Swaps the player1/player2 perspective of a game state.
+// The AI decision modules are written from player2's point of view; the
+// headless simulator mirrors the state so the same modules can also play
+// player1, then mirrors the resulting decision back before dispatching it.
+
+// Top-level state keys that hold the same data for each side under different names
+const PAIRED_STATE_KEYS = [
+  ['placedSections', 'opponentPlacedSections'],
+  ['shieldsToAllocate', 'opponentShieldsToAllocate'],
+];
+
+// Heavy, display-only history — never read by AI decisions
+const DROPPED_STATE_KEYS = ['gameLog', 'aiDecisionHistory'];
+
+/**
+ * Return the opposing player id ('player1' <-> 'player2').
+ * Any other value is returned unchanged.
+ * @param {string} playerId
+ * @returns {string}
+ */
+export const otherPlayer = (playerId) => {
+  if (playerId === 'player1') return 'player2';
+  if (playerId === 'player2') return 'player1';
+  return playerId;
+};
+
+const swapKey = (key) => {
+  if (key.startsWith('player1')) return 'player2' + key.slice(7);
+  if (key.startsWith('player2')) return 'player1' + key.slice(7);
+  return key;
+};
+
+/**
+ * Deep-copy a value, swapping player ids in keys (player1, player1Passed, ...)
+ * and in string values that are exactly a player id (owner, currentPlayer, ...).
+ * Applying it twice returns an equivalent value.
+ * @param {*} value
+ * @returns {*}
+ */
+export function swapPlayerIds(value) {
+  if (typeof value === 'string') return otherPlayer(value);
+  if (Array.isArray(value)) return value.map(swapPlayerIds);
+  if (!value || typeof value !== 'object') return value;
+
+  const swapped = {};
+  for (const [key, child] of Object.entries(value)) {
+    swapped[swapKey(key)] = swapPlayerIds(child);
+  }
+  return swapped;
+}
+
+/**
+ * Mirror a full game state so player1 appears as player2 and vice versa.
+ * @param {Object} state - Game state from GameStateManager
+ * @returns {Object} Mirrored copy (input is not modified)
+ */
+export function mirrorGameState(state) {
+  const source = { ...state };
+  DROPPED_STATE_KEYS.forEach(key => { source[key] = []; });
+
+  const mirrored = swapPlayerIds(source);
+  for (const [a, b] of PAIRED_STATE_KEYS) {
+    mirrored[a] = swapPlayerIds(state[b]);
+    mirrored[b] = swapPlayerIds(state[a]);
+  }
+  return mirrored;
+}
@@ -0,0 +1,152 @@
+// ========================================
+// BOSS PHASE PROCESSOR
+// ========================================
+// Multi-phase boss encounters. aiData bossConfig.phases lists the phases that
+// follow the opening one, in order. A phase starts once the boss's hull
+// integrity (share of total hull remaining, from
+// WinConditionChecker.calculateHullIntegrity) drops to its hullThreshold.
+//
+// Entering a phase can:
+// - decklist:       replace the boss's deck and discard pile (hand is kept)
+// - shipAbility:    replace the ship card ability (playerState.shipAbilityOverride)
+// - reinforcements: spawn token drones ({ droneName, lane })
+// - laneRules:      set lane rules (playerState.laneRules, see laneRuleUtils)
+//
+// Pure functions: ActionProcessor.checkBossPhase applies the result and
+// announces each phase entered.
+
+import aiPersonalities from '../../data/aiData.js';
+import fullCardCollection from '../../data/cardData.js';
+import WinConditionChecker from '../game/WinConditionChecker.js';
+import TokenCreationProcessor from '../effects/TokenCreationProcessor.js';
+import SeededRandom from '../../utils/seededRandom.js';
+import { debugLog } from '../../utils/debugLogger.js';
+
+/** The boss is always the AI opponent */
+export const BOSS_PLAYER_ID = 'player2';
+
+/**
+ * Phases a boss moves through after its opening phase
+ * @param {string} bossId - Boss ID from aiData (e.g. 'BOSS_T1_NEMESIS')
+ * @returns {Array<Object>} bossConfig.phases, or [] for single-phase bosses
+ */
+export const getBossPhases = (bossId) =>
+  aiPersonalities.find(ai => ai.bossId === bossId)?.bossConfig?.phases || [];
+
+/**
+ * Number of phases a hull integrity has unlocked (0 = still in the opening phase)
+ * @param {Array<Object>} phases - bossConfig.phases, thresholds descending
+ * @param {Object} playerState - Boss player state
+ * @returns {number} Phases reached
+ */
+export const getPhaseForHull = (phases, playerState) => {
+  const { totalMaxHull, totalCurrentHull } = WinConditionChecker.calculateHullIntegrity(playerState);
+  if (totalMaxHull <= 0) return 0;
+
+  const integrity = totalCurrentHull / totalMaxHull;
+  const next = phases.findIndex(phase => integrity > phase.hullThreshold);
+  return next === -1 ? phases.length : next;
+};
+
+function buildPhaseDeck(decklist, phaseId, gameState) {
+  const deck = [];
+  for (const { id, quantity } of decklist) {
+    const cardTemplate = fullCardCollection.find(card => card.id === id);
+    if (!cardTemplate) continue;
+    for (let i = 0; i < quantity; i++) {
+      deck.push({ ...cardTemplate, instanceId: `boss-${phaseId}-${id}-${i}` });
+    }
+  }
+  return SeededRandom.fromGameState(gameState).shuffle(deck);
+}
+
+/**
+ * Apply one phase's changes to the boss
+ * @param {Object} phase - Phase definition from bossConfig.phases
+ * @param {Object} playerStates - { player1, player2 }
+ * @param {Object} gameState - Current game state (seeds the deck shuffle)
+ * @param {Function} logCallback - Game log callback
+ * @returns {Object} { newPlayerStates, animationEvents }
+ */
+export function applyBossPhase(phase, playerStates, gameState, logCallback) {
+  let newPlayerStates = { ...playerStates, [BOSS_PLAYER_ID]: { ...playerStates[BOSS_PLAYER_ID] } };
+  const boss = newPlayerStates[BOSS_PLAYER_ID];
+  let animationEvents = [];
+
+  logCallback?.({
+    player: boss.name,
+    actionType: 'BOSS_PHASE',
+    source: phase.name,
+    target: 'N/A',
+    outcome: phase.description
+  });
+
+  if (phase.decklist) {
+    boss.deck = buildPhaseDeck(phase.decklist, phase.id, gameState);
+    boss.discardPile = [];
+  }
+
+  if (phase.shipAbility) {
+    boss.shipAbilityOverride = phase.shipAbility;
+    boss.shipAbilityActivations = { round: 0, game: 0 };
+  }
+
+  if (phase.laneRules) {
+    boss.laneRules = { ...boss.laneRules, ...phase.laneRules };
+  }
+
+  if (phase.reinforcements?.length) {
+    const tokenProcessor = new TokenCreationProcessor();
+    for (const { droneName, lane } of phase.reinforcements) {
+      const result = tokenProcessor.process(
+        { type: 'CREATE_TOKENS', tokenName: droneName, locations: [lane] },
+        {
+          actingPlayerId: BOSS_PLAYER_ID,
+          playerStates: newPlayerStates,
+          callbacks: { logCallback },
+          card: { name: phase.name }
+        }
+      );
+      newPlayerStates = result.newPlayerStates;
+      animationEvents = [...animationEvents, ...result.animationEvents];
+    }
+  }
+
+  debugLog('SP_COMBAT', `👑 Boss entered phase ${phase.id}`, {
+    deckSwapped: !!phase.decklist,
+    shipAbility: phase.shipAbility?.name || null,
+    reinforcements: phase.reinforcements?.length || 0,
+    laneRules: Object.keys(phase.laneRules || {})
+  });
+
+  return { newPlayerStates, animationEvents };
+}
+
+/**
+ * Enter every boss phase the boss's hull integrity has crossed since the last check
+ * @param {Object} gameState - Current game state with singlePlayerEncounter
+ * @param {Function} logCallback - Game log callback
+ * @returns {Object|null} { bossPhase, enteredPhases, newPlayerStates, animationEvents },
+ *   or null outside boss combat or when no threshold was crossed
+ */
+export function resolveBossPhaseTransitions(gameState, logCallback) {
+  const encounter = gameState.singlePlayerEncounter;
+  if (!encounter?.isBossCombat) return null;
+
+  const phases = getBossPhases(encounter.bossId);
+  const currentPhase = encounter.bossPhase || 0;
+  const reachedPhase = getPhaseForHull(phases, gameState[BOSS_PLAYER_ID]);
+  if (reachedPhase <= currentPhase) return null;
+
+  let newPlayerStates = { player1: gameState.player1, player2: gameState.player2 };
+  let animationEvents = [];
+  const enteredPhases = phases.slice(currentPhase, reachedPhase);
+
+  for (const phase of enteredPhases) {
+    const result = applyBossPhase(phase, newPlayerStates, gameState, logCallback);
+    newPlayerStates = result.newPlayerStates;
+    animationEvents = [...animationEvents, ...result.animationEvents];
+  }
+
+  return { bossPhase: reachedPhase, enteredPhases, newPlayerStates, animationEvents };
+}
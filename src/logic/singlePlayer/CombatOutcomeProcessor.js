@@ -655,7 +655,8 @@ class CombatOutcomeProcessor {
 
   /**
    * Process boss combat victory
-   * Awards first-time or repeat rewards based on boss progress
+   * Awards first-time or repeat rewards based on boss progress, plus the
+   * rewards of each boss phase reached, and records the phase reached
    * Returns to hangar after loot collection (not tactical map)
    * @param {Object} gameState - Game state
    * @param {Object} encounterInfo - Encounter metadata with bossId
@@ -690,11 +691,15 @@ class CombatOutcomeProcessor {
     // Determine if this is first victory against this boss
     const isFirstBossVictory = !bossProgress.defeatedBosses.includes(bossId);
 
+    // Phases the boss entered before falling (0 = opening phase only)
+    const phaseReached = encounterInfo.bossPhase || 0;
+
     // Use RewardManager for consistent reward generation with seed tracking
-    const bossLoot = rewardManager.generateBossReward(bossConfig, isFirstBossVictory);
+    const bossLoot = rewardManager.generateBossReward(bossConfig, isFirstBossVictory, phaseReached);
 
     debugLog('SP_COMBAT', 'Boss ID:', bossId);
     debugLog('SP_COMBAT', 'First victory:', isFirstBossVictory);
+    debugLog('SP_COMBAT', 'Phase reached:', phaseReached);
     debugLog('SP_COMBAT', 'Rewards (via RewardManager):', bossLoot);
 
     // Update boss progress in profile
@@ -708,7 +713,11 @@ class CombatOutcomeProcessor {
         bossProgress: {
           ...bossProgress,
           defeatedBosses: updatedDefeatedBosses,
-          totalBossVictories: bossProgress.totalBossVictories + 1
+          totalBossVictories: bossProgress.totalBossVictories + 1,
+          highestPhaseReached: {
+            ...bossProgress.highestPhaseReached,
+            [bossId]: Math.max(bossProgress.highestPhaseReached?.[bossId] || 0, phaseReached)
+          }
         }
       },
       pendingLoot: bossLoot
@@ -724,6 +733,7 @@ class CombatOutcomeProcessor {
       outcome: 'victory',
       isBossReward: true,
       isFirstBossVictory,
+      phaseReached,
       loot: bossLoot,
       message: isFirstBossVictory
         ? `First victory! Claimed ${bossLoot.credits} credits, ${bossLoot.aiCores} AI Cores, ${bossLoot.reputation} reputation.`
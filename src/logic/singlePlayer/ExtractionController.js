@@ -11,6 +11,7 @@ import { mapTiers } from '../../data/mapData.js';
 import { ECONOMY } from '../../data/economyData.js';
 import { debugLog } from '../../utils/debugLogger.js';
 import SeededRandom from '../../utils/seededRandom.js';
+import { getRunRNG } from './runSeed.js';
 import ReputationService from '../reputation/ReputationService.js';
 import MissionService from '../missions/MissionService.js';
 
@@ -51,10 +52,11 @@ class ExtractionController {
    * Check if extraction triggers a blockade encounter
    * Higher threat level = higher chance of blockade
    * @param {number} detection - Current detection level (0-100)
+   * @param {SeededRandom|null} [rng=null] - Seeded run RNG (null = Math.random)
    * @returns {boolean} True if blockade triggered
    */
-  checkBlockade(detection) {
-    const roll = Math.random() * 100;
+  checkBlockade(detection, rng = null) {
+    const roll = (rng ? rng.random() : Math.random()) * 100;
     const blocked = roll < detection;
 
     debugLog('EXTRACTION', 'Blockade check', {
@@ -69,12 +71,13 @@ class ExtractionController {
   /**
    * Get blockade AI based on tier
    * @param {number} tier - Map tier (1, 2, or 3)
+   * @param {SeededRandom|null} [rng=null] - Seeded run RNG (null = Math.random)
    * @returns {string} AI name for blockade encounter
    */
-  getBlockadeAI(tier) {
+  getBlockadeAI(tier, rng = null) {
     const tierConfig = mapTiers.find(t => t.tier === tier) || mapTiers[0];
     const highThreatAIs = tierConfig.threatTables?.high || ['Heavy Cruiser Defense Pattern'];
-    return highThreatAIs[Math.floor(Math.random() * highThreatAIs.length)];
+    return highThreatAIs[Math.floor((rng ? rng.random() : Math.random()) * highThreatAIs.length)];
   }
 
   /**
@@ -125,9 +128,10 @@ class ExtractionController {
       tier: currentRunState.mapTier
     });
 
-    // Check for blockade
-    if (this.checkBlockade(detection)) {
-      const aiId = this.getBlockadeAI(currentRunState.mapTier);
+    // Check for blockade (seeded runs roll from the run seed)
+    const rng = getRunRNG(currentRunState, 'blockade', currentRunState.hexesMoved || 0);
+    if (this.checkBlockade(detection, rng)) {
+      const aiId = this.getBlockadeAI(currentRunState.mapTier, rng);
       debugLog('EXTRACTION', `BLOCKADE! Combat with: ${aiId}`);
 
       return {
@@ -394,7 +398,7 @@ class ExtractionController {
    * Uses seeded RNG for deterministic results
    * @param {Object} currentRunState - Current run state with shipSections
    * @param {Object} aiPersonality - AI personality with escapeDamage range
-   * @param {number} seed - Random seed for deterministic results (defaults to Date.now())
+   * @param {number|null} seed - Random seed for deterministic results (omitted or null = Date.now())
    * @returns {{ updatedSections: Object, wouldDestroy: boolean, totalDamage: number, damageHits: Array, initialSections: Object }}
    */
   applyEscapeDamage(currentRunState, aiPersonality, seed = Date.now()) {
@@ -463,7 +467,7 @@ class ExtractionController {
    * Uses seeded RNG for deterministic results
    * @param {Object} currentRunState - Current run state
    * @param {Object} aiPersonality - AI personality with escapeDamage
-   * @param {number} seed - Random seed for deterministic results (defaults to Date.now())
+   * @param {number|null} seed - Random seed for deterministic results (omitted or null = Date.now())
    * @returns {{ success: boolean, wouldDestroy: boolean, updatedSections: Object, totalDamage: number, damageHits: Array, initialSections: Object }}
    */
   executeEscape(currentRunState, aiPersonality, seed = Date.now()) {
@@ -16,12 +16,18 @@ import aiPhaseProcessor from '../../managers/AIPhaseProcessor.js';
 import gameStateManager from '../../managers/GameStateManager.js';
 import tacticalMapStateManager from '../../managers/TacticalMapStateManager.js';
 import { shipComponentsToPlacement } from '../cards/deckExportUtils.js';
+import { createWinCondition } from '../../config/matchRules.js';
 import { debugLog } from '../../utils/debugLogger.js';
 import { personalizeAnnouncements, extractAnnouncements } from '../../utils/announcementUtils.js';
 import SeededRandom from '../../utils/seededRandom.js';
+import { getRunSeed } from './runSeed.js';
 import { buildActiveDronePool as buildDronePoolFromSlots } from '../combat/shipSlotUtils.js';
 import { initializeForCombat as initializeDroneAvailability } from '../availability/DroneAvailabilityManager.js';
 
+// Seeded runs get one set of combat seeds per fight (hex reached + wins so far)
+const getCombatSeed = (runState, stream) =>
+  getRunSeed(runState, stream, runState?.hexesMoved || 0, runState?.combatsWon || 0);
+
 /**
  * SinglePlayerCombatInitializer
  * Handles combat initialization for extraction mode encounters
@@ -114,7 +120,7 @@ class SinglePlayerCombatInitializer {
       });
 
       // 4. Build AI state
-      const player2State = this.buildAIState(aiPersonality);
+      const player2State = this.buildAIState(aiPersonality, currentRunState);
       debugLog('SP_COMBAT', 'Built player2 state:', {
         name: player2State.name,
         deckSize: player2State.deck.length,
@@ -184,6 +190,8 @@ class SinglePlayerCombatInitializer {
           isBlockade: isBlockade
         },
         pendingQuickDeploy: quickDeployId || currentRunState?.pendingQuickDeploy || null,
+        // Objective-based encounters: the AI personality may name a match rule preset
+        winCondition: createWinCondition(aiPersonality.winCondition),
         gameLog: [{
           type: 'system',
           message: `Combat initiated: ${aiPersonality.name}`,
@@ -192,6 +200,12 @@ class SinglePlayerCombatInitializer {
         }]
       };
 
+      // Seeded runs fix the combat's gameSeed too (reshuffles, random targeting)
+      const combatSeed = getCombatSeed(currentRunState, 'combat');
+      if (combatSeed !== null) {
+        options.gameSeed = combatSeed;
+      }
+
       // Update TacticalMapStateManager with isBlockadeCombat flag for fallback detection
       // This survives if singlePlayerEncounter is cleared before CombatOutcomeProcessor reads it
       if (isBlockade && tacticalMapStateManager.isRunActive()) {
@@ -367,7 +381,8 @@ class SinglePlayerCombatInitializer {
           singlePlayerEncounter: {
             ...state.singlePlayerEncounter,
             isBossCombat: true,
-            bossId: bossId
+            bossId: bossId,
+            bossPhase: 0 // Opening phase; advanced by BossPhaseProcessor
           }
         });
       }
@@ -515,8 +530,8 @@ class SinglePlayerCombatInitializer {
       });
     }
 
-    // Shuffle deck using seeded RNG for determinism
-    const rng = new SeededRandom(Date.now());
+    // Shuffle deck using seeded RNG for determinism (seeded runs shuffle from the run seed)
+    const rng = new SeededRandom(getCombatSeed(runState, 'playerDeck') ?? Date.now());
     deck = rng.shuffle(deck);
 
     // Build drone pool from ship slot's droneSlots (new slot-based format)
@@ -580,9 +595,10 @@ class SinglePlayerCombatInitializer {
   /**
    * Build AI state from personality
    * @param {Object} aiPersonality - AI personality from aiData
+   * @param {Object} [runState=null] - Current run state (seeded runs shuffle from runSeed)
    * @returns {Object} AI player state object
    */
-  buildAIState(aiPersonality) {
+  buildAIState(aiPersonality, runState = null) {
     // Get ship card from AI personality or use default
     const shipCard = getShipById(aiPersonality.shipId) || getDefaultShip();
     debugLog('SP_COMBAT', 'AI using ship card:', shipCard.id, shipCard.name);
@@ -620,7 +636,7 @@ class SinglePlayerCombatInitializer {
     }
 
     // Shuffle deck using seeded RNG for determinism
-    const rng = new SeededRandom(Date.now() + 1); // Offset to get different sequence from player
+    const rng = new SeededRandom(getCombatSeed(runState, 'aiDeck') ?? Date.now() + 1); // Offset to get different sequence from player
     deck = rng.shuffle(deck);
 
     // Get drone pool from AI
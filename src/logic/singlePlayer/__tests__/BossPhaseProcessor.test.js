@@ -0,0 +1,136 @@
+import { describe, it, expect, vi } from 'vitest';
+
+/**
+ * Boss phase transitions: hull integrity thresholds, and what entering a
+ * phase does to the boss (deck swap, ship ability, reinforcements, lane rules)
+ */
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn()
+}));
+
+vi.mock('../../../data/cardData.js', () => ({
+  default: [
+    { id: 'PHASE_STRIKE', name: 'Phase Strike', type: 'Ordnance', cost: 2, effects: [] }
+  ]
+}));
+
+vi.mock('../../../data/aiData.js', () => ({
+  default: [
+    {
+      bossId: 'BOSS_TEST',
+      name: 'Test Dreadnought',
+      bossConfig: {
+        phases: [
+          {
+            id: 'ESCORTS',
+            name: 'Escorts',
+            description: 'Escorts arrive.',
+            hullThreshold: 0.8,
+            reinforcements: [{ droneName: 'Dart', lane: 'lane2' }],
+            laneRules: { lane2: { name: 'Fortified', statModifiers: { shields: 1 } } }
+          },
+          {
+            id: 'ASSAULT',
+            name: 'Assault',
+            description: 'All-out assault.',
+            hullThreshold: 0.6,
+            decklist: [{ id: 'PHASE_STRIKE', quantity: 3 }],
+            shipAbility: { name: 'Overload', cost: { energy: 0 }, effect: { type: 'GAIN_ENERGY', value: 2 } }
+          }
+        ]
+      }
+    },
+    { name: 'Regular AI' }
+  ]
+}));
+
+import { getBossPhases, getPhaseForHull, resolveBossPhaseTransitions } from '../BossPhaseProcessor.js';
+
+// Three 10-hull sections; `damage` is spread from the first section
+const makeBoss = (damage = 0) => {
+  const sections = {};
+  let remaining = damage;
+  for (const key of ['bridge', 'powerCell', 'droneControlHub']) {
+    const taken = Math.min(10, remaining);
+    remaining -= taken;
+    sections[key] = { hull: 10 - taken, maxHull: 10 };
+  }
+  return {
+    name: 'Test Dreadnought',
+    shipSections: sections,
+    hand: [{ id: 'KEPT', instanceId: 'kept-1' }],
+    deck: [{ id: 'OLD', instanceId: 'old-1' }],
+    discardPile: [{ id: 'OLD', instanceId: 'old-2' }],
+    dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
+    shipAbilityActivations: { round: 1, game: 1 },
+    totalDronesDeployed: 0
+  };
+};
+
+const makeState = (damage, encounter = {}) => ({
+  roundNumber: 2,
+  player1: { name: 'Player', shipSections: {}, dronesOnBoard: { lane1: [], lane2: [], lane3: [] } },
+  player2: makeBoss(damage),
+  singlePlayerEncounter: { isBossCombat: true, bossId: 'BOSS_TEST', bossPhase: 0, ...encounter }
+});
+
+describe('BossPhaseProcessor', () => {
+  it('reads phases from the boss config', () => {
+    expect(getBossPhases('BOSS_TEST').map(p => p.id)).toEqual(['ESCORTS', 'ASSAULT']);
+    expect(getBossPhases('UNKNOWN')).toEqual([]);
+  });
+
+  it('counts the phases a hull integrity has reached', () => {
+    const phases = getBossPhases('BOSS_TEST');
+    expect(getPhaseForHull(phases, makeBoss(5))).toBe(0);
+    expect(getPhaseForHull(phases, makeBoss(6))).toBe(1);
+    expect(getPhaseForHull(phases, makeBoss(12))).toBe(2);
+  });
+
+  it('does nothing outside boss combat or before the next threshold', () => {
+    expect(resolveBossPhaseTransitions({ ...makeState(20), singlePlayerEncounter: { aiId: 'Regular AI' } })).toBeNull();
+    expect(resolveBossPhaseTransitions(makeState(5))).toBeNull();
+    expect(resolveBossPhaseTransitions(makeState(8, { bossPhase: 1 }))).toBeNull();
+  });
+
+  it('spawns reinforcements and sets lane rules when a phase starts', () => {
+    const logCallback = vi.fn();
+    const transition = resolveBossPhaseTransitions(makeState(7), logCallback);
+
+    expect(transition.bossPhase).toBe(1);
+    expect(transition.enteredPhases.map(p => p.id)).toEqual(['ESCORTS']);
+
+    const boss = transition.newPlayerStates.player2;
+    expect(boss.dronesOnBoard.lane2).toHaveLength(1);
+    expect(boss.dronesOnBoard.lane2[0]).toMatchObject({ name: 'Dart', isToken: true });
+    expect(boss.laneRules.lane2.name).toBe('Fortified');
+    expect(transition.animationEvents).toHaveLength(1);
+    expect(logCallback).toHaveBeenCalledWith(expect.objectContaining({ actionType: 'BOSS_PHASE', source: 'Escorts' }));
+  });
+
+  it('swaps the deck and replaces the ship ability, keeping the hand', () => {
+    const transition = resolveBossPhaseTransitions(makeState(12, { bossPhase: 1 }));
+    const boss = transition.newPlayerStates.player2;
+
+    expect(transition.bossPhase).toBe(2);
+    expect(boss.deck.map(c => c.id)).toEqual(['PHASE_STRIKE', 'PHASE_STRIKE', 'PHASE_STRIKE']);
+    expect(new Set(boss.deck.map(c => c.instanceId)).size).toBe(3);
+    expect(boss.discardPile).toEqual([]);
+    expect(boss.hand).toEqual([{ id: 'KEPT', instanceId: 'kept-1' }]);
+    expect(boss.shipAbilityOverride.name).toBe('Overload');
+    expect(boss.shipAbilityActivations).toEqual({ round: 0, game: 0 });
+  });
+
+  it('enters every crossed phase in order when one hit skips past a threshold', () => {
+    const state = makeState(15);
+    const transition = resolveBossPhaseTransitions(state);
+
+    expect(transition.enteredPhases.map(p => p.id)).toEqual(['ESCORTS', 'ASSAULT']);
+    expect(transition.newPlayerStates.player2.dronesOnBoard.lane2).toHaveLength(1);
+    expect(transition.newPlayerStates.player2.shipAbilityOverride.name).toBe('Overload');
+    // Input state is untouched
+    expect(state.player2.dronesOnBoard.lane2).toEqual([]);
+    expect(state.player2.deck).toHaveLength(1);
+  });
+});
@@ -60,7 +60,11 @@ vi.mock('../../../data/aiData.js', () => ({
           credits: 1000,
           aiCores: 1,
           reputation: 100
-        }
+        },
+        phases: [
+          { id: 'SIEGE', hullThreshold: 0.8, reward: { credits: 250 } },
+          { id: 'LAST_STAND', hullThreshold: 0.6, reward: { credits: 500, aiCores: 1 } }
+        ]
       }
     }
   ]
@@ -175,6 +179,41 @@ describe('Boss Combat Victory', () => {
     expect(result.loot.reputation).toBe(100);
   });
 
+  it('should add the rewards of each boss phase reached and record the phase', () => {
+    gameStateManager.getState.mockReturnValue({
+      currentRunState: { shipSlotId: 0 },
+      singlePlayerProfile: {
+        bossProgress: {
+          defeatedBosses: ['BOSS_T1_NEMESIS'],
+          totalBossVictories: 1,
+          totalBossAttempts: 2,
+          highestPhaseReached: { BOSS_T1_NEMESIS: 2 }
+        }
+      }
+    });
+
+    const gameState = {
+      winner: 'player1',
+      player1: { shipSections: { bridge: { hull: 10 }, powerCell: { hull: 10 }, droneControlHub: { hull: 10 } } },
+      player2: { deck: [] },
+      singlePlayerEncounter: {
+        isBossCombat: true,
+        bossId: 'BOSS_T1_NEMESIS',
+        bossPhase: 1
+      }
+    };
+
+    const result = CombatOutcomeProcessor.processCombatEnd(gameState);
+
+    expect(result.phaseReached).toBe(1);
+    expect(result.loot.credits).toBe(1250);
+    expect(result.loot.aiCores).toBe(1);
+
+    const progressCall = gameStateManager.setState.mock.calls.find(call => call[0].singlePlayerProfile);
+    // Keeps the furthest phase reached across victories
+    expect(progressCall[0].singlePlayerProfile.bossProgress.highestPhaseReached).toEqual({ BOSS_T1_NEMESIS: 2 });
+  });
+
   it('should add bossId to defeatedBosses on first victory', () => {
     gameStateManager.getState.mockReturnValue({
       currentRunState: { shipSlotId: 0 },
@@ -540,6 +540,19 @@ describe('ExtractionController', () => {
       });
     });
 
+    describe('checkBlockade with a seeded run RNG', () => {
+      it('should roll from the given RNG instead of Math.random', () => {
+        const randomSpy = vi.spyOn(Math, 'random');
+
+        const first = ExtractionController.checkBlockade(50, ExtractionController.createRNG(777));
+        const second = ExtractionController.checkBlockade(50, ExtractionController.createRNG(777));
+
+        expect(first).toBe(second);
+        expect(randomSpy).not.toHaveBeenCalled();
+        randomSpy.mockRestore();
+      });
+    });
+
     describe('applyEscapeDamage with random distribution', () => {
       it('should distribute total damage randomly across sections', () => {
         const runState = {
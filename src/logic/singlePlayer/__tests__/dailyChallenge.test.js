@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDailyChallengeId,
+  getDailyChallengeSeed,
+  createDailyChallenge,
+  calculateChallengeScore,
+  encodeScoreCode,
+  verifyScoreCode
+} from '../dailyChallenge.js';
+import { DAILY_CHALLENGE } from '../../../data/dailyChallengeData.js';
+
+const STATS = { success: true, creditsEarned: 320, combatsWon: 2, poisVisited: 3, finalHull: 18 };
+
+describe('getDailyChallengeId', () => {
+  it('uses the UTC date', () => {
+    expect(getDailyChallengeId(new Date('2026-10-19T00:30:00Z'))).toBe('2026-10-19');
+    expect(getDailyChallengeId(new Date('2026-10-19T23:59:59Z'))).toBe('2026-10-19');
+  });
+});
+
+describe('createDailyChallenge', () => {
+  it('gives everyone the same seed and starter loadout on the same day', () => {
+    const morning = createDailyChallenge(new Date('2026-10-19T01:00:00Z'));
+    const evening = createDailyChallenge(new Date('2026-10-19T22:00:00Z'));
+
+    expect(morning).toEqual(evening);
+    expect(morning.seed).toBe(getDailyChallengeSeed('2026-10-19'));
+    expect(morning.shipSlotId).toBe(DAILY_CHALLENGE.shipSlotId);
+  });
+
+  it('changes seed each day', () => {
+    expect(getDailyChallengeSeed('2026-10-19')).not.toBe(getDailyChallengeSeed('2026-10-20'));
+  });
+});
+
+describe('calculateChallengeScore', () => {
+  it('scores every category for an extracted run', () => {
+    const { total, breakdown } = calculateChallengeScore(STATS);
+
+    expect(breakdown).toEqual({ extraction: 500, credits: 320, combat: 200, exploration: 150, hull: 180 });
+    expect(total).toBe(1350);
+  });
+
+  it('keeps only combat and PoI points for a failed run', () => {
+    expect(calculateChallengeScore({ ...STATS, success: false }).total).toBe(350);
+  });
+});
+
+describe('score codes', () => {
+  const challenge = createDailyChallenge(new Date('2026-10-19T12:00:00Z'));
+
+  it('round-trips seed, stats and score', () => {
+    const code = encodeScoreCode(challenge, STATS);
+    const result = verifyScoreCode(code);
+
+    expect(code.startsWith('DW1-20261019-')).toBe(true);
+    expect(result).toEqual({ valid: true, challengeId: '2026-10-19', seed: challenge.seed, score: 1350, stats: STATS });
+  });
+
+  it('accepts codes with surrounding whitespace or lowercase', () => {
+    expect(verifyScoreCode(`  ${encodeScoreCode(challenge, STATS).toLowerCase()} `).valid).toBe(true);
+  });
+
+  it('rejects an edited score', () => {
+    const code = encodeScoreCode(challenge, STATS).replace('-1350-', '-9350-');
+    expect(verifyScoreCode(code)).toEqual({ valid: false, error: 'Checksum mismatch' });
+  });
+
+  it('rejects a seed from another day', () => {
+    const code = encodeScoreCode({ id: '2026-10-19', seed: getDailyChallengeSeed('2026-10-18') }, STATS);
+    expect(verifyScoreCode(code).error).toMatch(/Seed does not match/);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyScoreCode('not a code').valid).toBe(false);
+    expect(verifyScoreCode(null).valid).toBe(false);
+  });
+});
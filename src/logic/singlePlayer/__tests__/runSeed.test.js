@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { hashSeed, deriveRunSeed, getRunSeed, getRunRNG } from '../runSeed.js';
+
+describe('hashSeed', () => {
+  it('is deterministic and unsigned 32-bit', () => {
+    expect(hashSeed('daily', '2026-10-19')).toBe(hashSeed('daily', '2026-10-19'));
+    expect(hashSeed('daily', '2026-10-19')).toBeGreaterThanOrEqual(0);
+    expect(hashSeed('daily', '2026-10-19')).toBeLessThan(2 ** 32);
+  });
+
+  it('differs for different parts', () => {
+    expect(hashSeed('daily', '2026-10-19')).not.toBe(hashSeed('daily', '2026-10-20'));
+  });
+});
+
+describe('deriveRunSeed', () => {
+  it('gives each stream and key its own seed', () => {
+    const seeds = new Set([
+      deriveRunSeed(42, 'map'),
+      deriveRunSeed(42, 'loot'),
+      deriveRunSeed(42, 'escape', 1),
+      deriveRunSeed(42, 'escape', 2),
+      deriveRunSeed(43, 'map')
+    ]);
+    expect(seeds.size).toBe(5);
+  });
+});
+
+describe('getRunSeed / getRunRNG', () => {
+  it('return null for unseeded runs', () => {
+    expect(getRunSeed({ hexesMoved: 3 }, 'escape', 3)).toBeNull();
+    expect(getRunSeed(null, 'escape')).toBeNull();
+    expect(getRunRNG({}, 'blockade')).toBeNull();
+  });
+
+  it('derive from runState.runSeed', () => {
+    const runState = { runSeed: 0 };
+    expect(getRunSeed(runState, 'escape', 3)).toBe(deriveRunSeed(0, 'escape', 3));
+    expect(getRunRNG(runState, 'blockade').random()).toBe(getRunRNG(runState, 'blockade').random());
+  });
+});
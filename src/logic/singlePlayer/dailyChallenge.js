@@ -0,0 +1,144 @@
+/**
+ * Daily Challenge
+ * Date-derived seeded runs and shareable score codes
+ *
+ * Score code format:
+ *   DW1-<YYYYMMDD>-<SEED>-<X|F>-<credits>.<combatsWon>.<poisVisited>.<finalHull>-<SCORE>-<CHECK>
+ *   (seed and check are 8-digit hex; X = extracted, F = failed)
+ *
+ * verifyScoreCode checks the checksum, that the seed belongs to the date and
+ * that the score matches the stats. It catches typos and hand-edited scores,
+ * not a determined forger - the check hash isn't secret.
+ */
+
+import { DAILY_CHALLENGE, SCORE_CODE_PREFIX } from '../../data/dailyChallengeData.js';
+import { hashSeed } from './runSeed.js';
+
+const toHex = (value) => (value >>> 0).toString(16).toUpperCase().padStart(8, '0');
+
+/**
+ * Challenge ID for a date (UTC, so everyone shares the same day)
+ * @param {Date} [date=new Date()] - Date to use
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function getDailyChallengeId(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Run seed for a challenge ID
+ * @param {string} challengeId - 'YYYY-MM-DD'
+ * @returns {number} Unsigned 32-bit run seed
+ */
+export function getDailyChallengeSeed(challengeId) {
+  return hashSeed('daily', challengeId);
+}
+
+/**
+ * Daily Challenge run config for a date
+ * @param {Date} [date=new Date()] - Date to use
+ * @returns {Object} { id, seed, shipSlotId, mapTier, entryGateId }
+ */
+export function createDailyChallenge(date = new Date()) {
+  const id = getDailyChallengeId(date);
+  return {
+    id,
+    seed: getDailyChallengeSeed(id),
+    shipSlotId: DAILY_CHALLENGE.shipSlotId,
+    mapTier: DAILY_CHALLENGE.mapTier,
+    entryGateId: DAILY_CHALLENGE.entryGateId
+  };
+}
+
+/**
+ * Score a finished challenge run
+ * @param {Object} stats - Run summary { success, creditsEarned, combatsWon, poisVisited, finalHull }
+ * @returns {Object} { total, breakdown: { extraction, credits, combat, exploration, hull } }
+ */
+export function calculateChallengeScore(stats) {
+  const scoring = DAILY_CHALLENGE.scoring;
+  const success = !!stats?.success;
+
+  const breakdown = {
+    extraction: success ? scoring.extractionBonus : 0,
+    credits: success ? (stats.creditsEarned || 0) * scoring.perCredit : 0,
+    combat: (stats?.combatsWon || 0) * scoring.perCombatWon,
+    exploration: (stats?.poisVisited || 0) * scoring.perPoiVisited,
+    hull: success ? (stats.finalHull || 0) * scoring.perHullRemaining : 0
+  };
+
+  const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+  return { total, breakdown };
+}
+
+/**
+ * Checksum over every other field of a score code
+ * @param {string} body - Code without the check segment
+ * @returns {string} 8-digit hex
+ */
+function getScoreCodeCheck(body) {
+  return toHex(hashSeed(SCORE_CODE_PREFIX, body));
+}
+
+/**
+ * Build the shareable score code for a finished challenge run
+ * @param {Object} challenge - { id, seed }
+ * @param {Object} stats - Run summary { success, creditsEarned, combatsWon, poisVisited, finalHull }
+ * @returns {string} Score code
+ */
+export function encodeScoreCode(challenge, stats) {
+  const values = [stats.creditsEarned, stats.combatsWon, stats.poisVisited, stats.finalHull]
+    .map(value => Math.max(0, Math.floor(value || 0)));
+  const { total } = calculateChallengeScore(stats);
+
+  const body = [
+    SCORE_CODE_PREFIX,
+    challenge.id.replace(/-/g, ''),
+    toHex(challenge.seed),
+    stats.success ? 'X' : 'F',
+    values.join('.'),
+    total
+  ].join('-');
+
+  return `${body}-${getScoreCodeCheck(body)}`;
+}
+
+/**
+ * Parse and verify a score code
+ * @param {string} code - Score code
+ * @returns {Object} { valid: true, challengeId, seed, score, stats } or { valid: false, error }
+ */
+export function verifyScoreCode(code) {
+  const match = /^([A-Z0-9]+)-(\d{4})(\d{2})(\d{2})-([0-9A-F]{8})-([XF])-(\d+)\.(\d+)\.(\d+)\.(\d+)-(\d+)-([0-9A-F]{8})$/
+    .exec((code || '').trim().toUpperCase());
+  if (!match) return { valid: false, error: 'Unrecognised score code format' };
+
+  const [, prefix, year, month, day, seedHex, result, credits, combats, pois, hull, score, check] = match;
+  if (prefix !== SCORE_CODE_PREFIX) {
+    return { valid: false, error: `Unsupported score code version: ${prefix}` };
+  }
+
+  const body = code.trim().toUpperCase().slice(0, -(check.length + 1));
+  if (getScoreCodeCheck(body) !== check) {
+    return { valid: false, error: 'Checksum mismatch' };
+  }
+
+  const challengeId = `${year}-${month}-${day}`;
+  const seed = parseInt(seedHex, 16);
+  if (seed !== getDailyChallengeSeed(challengeId)) {
+    return { valid: false, error: `Seed does not match the ${challengeId} challenge` };
+  }
+
+  const stats = {
+    success: result === 'X',
+    creditsEarned: Number(credits),
+    combatsWon: Number(combats),
+    poisVisited: Number(pois),
+    finalHull: Number(hull)
+  };
+  if (calculateChallengeScore(stats).total !== Number(score)) {
+    return { valid: false, error: 'Score does not match run stats' };
+  }
+
+  return { valid: true, challengeId, seed, score: Number(score), stats };
+}
@@ -0,0 +1,64 @@
+/**
+ * Run Seed
+ * Deterministic seeding for seeded runs (e.g. the Daily Challenge)
+ *
+ * A seeded run stores one runSeed in run state. Rolls that would otherwise use
+ * Date.now() or Math.random() derive their own seed from it by stream name
+ * ('map', 'escape', 'playerDeck', ...) plus keys such as hexesMoved, so the
+ * same seed and the same choices replay the same run.
+ *
+ * Runs without a runSeed keep their existing seeds: getRunSeed / getRunRNG
+ * return null and callers fall back to their defaults.
+ */
+
+import { SeededRandom } from '../../utils/seededRandom.js';
+
+/**
+ * Hash any number of values into an unsigned 32-bit seed (FNV-1a)
+ * @param {...*} parts - Values to hash (stringified)
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function hashSeed(...parts) {
+  const text = parts.map(String).join('|');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derive the seed for one stream of rolls from a run seed
+ * @param {number} runSeed - Run seed
+ * @param {string} stream - Roll stream name
+ * @param {...*} keys - Extra keys to separate rolls within the stream
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function deriveRunSeed(runSeed, stream, ...keys) {
+  return hashSeed(runSeed, stream, ...keys);
+}
+
+/**
+ * Seed for a stream of rolls in the current run
+ * @param {Object} runState - Run state (runSeed)
+ * @param {string} stream - Roll stream name
+ * @param {...*} keys - Extra keys to separate rolls within the stream
+ * @returns {number|null} Derived seed, or null if the run isn't seeded
+ */
+export function getRunSeed(runState, stream, ...keys) {
+  if (runState?.runSeed == null) return null;
+  return deriveRunSeed(runState.runSeed, stream, ...keys);
+}
+
+/**
+ * RNG for a stream of rolls in the current run
+ * @param {Object} runState - Run state (runSeed)
+ * @param {string} stream - Roll stream name
+ * @param {...*} keys - Extra keys to separate rolls within the stream
+ * @returns {SeededRandom|null} Seeded RNG, or null if the run isn't seeded
+ */
+export function getRunRNG(runState, stream, ...keys) {
+  const seed = getRunSeed(runState, stream, ...keys);
+  return seed === null ? null : new SeededRandom(seed);
+}
@@ -81,7 +81,8 @@ class StateInitializer {
       if (cardTemplate) {
         // Add the specified quantity of that card
         for (let i = 0; i < item.quantity; i++) {
-          deck.push(this.createCard(cardTemplate, `card-${crypto.randomUUID()}`));
+          // Counter-based ids keep the build reproducible (match replays rebuild AI decks)
+          deck.push(this.createCard(cardTemplate, `card-${playerId}-${instanceCounter++}`));
         }
       }
     });
@@ -159,6 +160,8 @@ class StateInitializer {
         techSlots: { lane1: [], lane2: [], lane3: [] },
         deployedDroneCounts: {},
         totalDronesDeployed: 0,  // Global deployment counter for deterministic IDs
+        dronesDeployedThisRound: 0,  // Reset each round; drives first-deployment ship bonuses
+        shipAbilityActivations: { round: 0, game: 0 },  // Ship card ability uses
         appliedUpgrades: appliedUpgrades,
         droneAvailability: initializeDroneAvailability(activeDronePool, appliedUpgrades),
     };
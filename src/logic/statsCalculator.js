@@ -10,6 +10,8 @@ import fullDroneCollection from '../data/droneData.js';
 import fullTechCollection from '../data/techData.js';
 import { LaneControlCalculator } from './combat/LaneControlCalculator.js';
 import { getAdjacentIndices, getAdjacentFriendlyCount } from './utils/positionResolver.js';
+import { applyShipBonusStats } from './utils/shipCardUtils.js';
+import { getLaneRuleModifiers } from './utils/laneRuleUtils.js';
 
 // ========================================
 // SHIP STATUS UTILITY
@@ -70,7 +72,7 @@ export const calculateSectionBaseStats = (shipCard, sectionTemplate) => {
 // ========================================
 
 /**
- * Calculate effective ship stats including middle lane bonuses
+ * Calculate effective ship stats including middle lane bonuses and the ship card's bonus
  * @param {Object} playerState - Player state object
  * @param {Array} placedSections - Array of placed section names in lane order
  * @returns {Object} Effective ship stats with totals and bySection breakdown
@@ -126,7 +128,8 @@ export const calculateEffectiveShipStats = (playerState, placedSections = []) =>
     }
 
     return {
-      totals: totals,
+      // Ship card bonus applies on top of the section totals
+      totals: applyShipBonusStats(totals, playerState),
       bySection: sectionStats
     };
 };
@@ -335,6 +338,12 @@ export const calculateEffectiveStats = (drone, lane, playerState, opponentState,
       });
     });
 
+    // Lane rules from either player's state (e.g. boss phases)
+    const laneRuleMods = getLaneRuleModifiers(lane, playerState, opponentState);
+    effectiveStats.attack += laneRuleMods.attack;
+    effectiveStats.speed += laneRuleMods.speed;
+    effectiveStats.maxShields += laneRuleMods.shields;
+
     // Process abilities granted by upgrades
     upgrades.forEach(upgrade => {
         if (upgrade.grantedAbilities) {
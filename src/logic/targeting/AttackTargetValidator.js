@@ -0,0 +1,33 @@
+// ========================================
+// ATTACK TARGET VALIDATOR
+// ========================================
+// Ship section attack rules shared by the drag-to-attack UI and the server's
+// ActionValidator: a drone attacks only the section placed in its own lane,
+// and a ready GUARDIAN drone in that lane protects the section.
+
+const LANES = ['lane1', 'lane2', 'lane3'];
+
+/**
+ * Ship section a drone in `lane` can attack
+ *
+ * @param {Array<string>} defenderPlacedSections - Defender's section names, indexed by lane
+ * @param {string} lane - Attacker's lane (lane1, lane2, lane3)
+ * @returns {string|null} Section name, or null when no section is placed there
+ */
+export function getSectionInLane(defenderPlacedSections, lane) {
+  const index = LANES.indexOf(lane);
+  return index === -1 ? null : defenderPlacedSections?.[index] ?? null;
+}
+
+/**
+ * Check if a ready GUARDIAN drone protects the ship section in a lane
+ *
+ * @param {Array} defenderDrones - Defending drones in the lane
+ * @param {Function} getEffectiveStats - (drone) => effective stats with a keywords Set
+ * @returns {boolean} True if the section cannot be attacked
+ */
+export function isSectionGuarded(defenderDrones = [], getEffectiveStats) {
+  return defenderDrones.some(drone =>
+    !drone.isExhausted && getEffectiveStats(drone).keywords.has('GUARDIAN')
+  );
+}
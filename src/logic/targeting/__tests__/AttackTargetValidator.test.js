@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { getSectionInLane, isSectionGuarded } from '../AttackTargetValidator.js';
+
+const statsWith = (...keywords) => () => ({ keywords: new Set(keywords) });
+
+describe('AttackTargetValidator', () => {
+  it('maps a lane to the defender\'s section placed there', () => {
+    const placed = ['bridge', 'powerCell', 'droneControlHub'];
+
+    expect(getSectionInLane(placed, 'lane1')).toBe('bridge');
+    expect(getSectionInLane(placed, 'lane3')).toBe('droneControlHub');
+    expect(getSectionInLane(placed, 'lane4')).toBeNull();
+    expect(getSectionInLane(undefined, 'lane2')).toBeNull();
+  });
+
+  it('treats only ready GUARDIAN drones as protecting the section', () => {
+    expect(isSectionGuarded([{ id: 'd1' }], statsWith('GUARDIAN'))).toBe(true);
+    expect(isSectionGuarded([{ id: 'd1', isExhausted: true }], statsWith('GUARDIAN'))).toBe(false);
+    expect(isSectionGuarded([{ id: 'd1' }], statsWith('PIERCING'))).toBe(false);
+    expect(isSectionGuarded(undefined, statsWith('GUARDIAN'))).toBe(false);
+  });
+});
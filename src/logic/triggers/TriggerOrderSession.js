@@ -0,0 +1,123 @@
+// ========================================
+// TRIGGER ORDER SESSION
+// ========================================
+// Player-ordered trigger resolution (TRIGGER_RESOLUTION_MODES.PLAYER_CHOICE).
+//
+// fireTrigger is synchronous and runs deep inside effect processors, so a
+// chain cannot be suspended halfway. Instead an action's trigger work runs
+// inside a session: every "ordering window" (two or more matches for one event
+// controlled by the same player) is numbered in resolution order. A window
+// with a recorded choice resolves in that order; the first window without one
+// is reported as pending and resolves in priority order. The caller discards
+// that run, asks the controlling player, and re-runs the whole action with the
+// choice recorded — the same resubmission model as interception.
+//
+// Game logic is deterministic (seeded), so each re-run reaches the same
+// windows in the same order until a choice changes the outcome.
+
+import { debugLog } from '../../utils/debugLogger.js';
+
+let activeSession = null;
+
+/**
+ * Stable identifier for one matched trigger inside a window
+ * @param {Object} match - findMatchingTriggers entry { drone, ability, ... }
+ * @returns {string} "droneId:abilityName"
+ */
+export const triggerOrderKey = (match) => `${match.drone?.id}:${match.ability?.name}`;
+
+class TriggerOrderSession {
+  /**
+   * @param {Array<Array<string>|null>} [choices] - Per-window orders of triggerOrderKey values
+   */
+  constructor(choices = []) {
+    this.choices = choices;
+    this.windows = [];
+    this.pending = null;
+  }
+
+  /**
+   * Reorder a fireTrigger match list. Consecutive matches controlled by the
+   * same player form a window; windows of one trigger keep priority order.
+   *
+   * @param {Array<Object>} matches - findMatchingTriggers output (priority order)
+   * @param {string} triggerType - Trigger being fired
+   * @param {Object|null} triggeringDrone - Source of the event
+   * @returns {Array<Object>} Matches in resolution order
+   */
+  applyOrder(matches, triggerType, triggeringDrone) {
+    const ordered = [];
+    let start = 0;
+
+    while (start < matches.length) {
+      let end = start + 1;
+      while (end < matches.length && matches[end].playerId === matches[start].playerId) end++;
+      const group = matches.slice(start, end);
+      ordered.push(...(group.length > 1 ? this._orderWindow(group, triggerType, triggeringDrone) : group));
+      start = end;
+    }
+
+    return ordered;
+  }
+
+  _orderWindow(group, triggerType, triggeringDrone) {
+    const windowIndex = this.windows.length;
+    const playerId = group[0].playerId;
+    this.windows.push({ windowIndex, playerId, triggerType });
+
+    const choice = this.choices[windowIndex];
+    const byKey = new Map(group.map(match => [triggerOrderKey(match), match]));
+    if (Array.isArray(choice) && choice.length === group.length && choice.every(key => byKey.has(key))) {
+      return choice.map(key => byKey.get(key));
+    }
+
+    // Only the first undecided window is asked about; the rest of this run is discarded
+    if (!this.pending) {
+      debugLog('TRIGGERS', `Trigger order needed: window ${windowIndex} (${triggerType}) for ${playerId}`, {
+        count: group.length,
+        staleChoice: !!choice
+      });
+      this.pending = {
+        windowIndex,
+        playerId,
+        triggerType,
+        sourceName: triggeringDrone?.name || null,
+        triggers: group.map(match => ({
+          key: triggerOrderKey(match),
+          droneId: match.drone?.id,
+          droneName: match.drone?.name,
+          abilityName: match.ability?.name,
+          description: match.ability?.description || '',
+          lane: match.lane
+        }))
+      };
+    }
+    return group;
+  }
+}
+
+/**
+ * Session fireTrigger should order against, or null for priority order
+ * @returns {TriggerOrderSession|null}
+ */
+export const getActiveTriggerOrderSession = () => activeSession;
+
+/**
+ * Run synchronous trigger work inside an ordering session.
+ * @param {Array<Array<string>|null>} choices - Orders recorded so far, indexed by window
+ * @param {Function} resolve - Synchronous work that may call fireTrigger
+ * @returns {Object} { result, pending, windows } - pending is the first undecided window or null
+ */
+export function runWithTriggerOrder(choices, resolve) {
+  const previous = activeSession;
+  const session = new TriggerOrderSession(choices);
+  activeSession = session;
+  try {
+    const result = resolve();
+    return { result, pending: session.pending, windows: session.windows };
+  } finally {
+    activeSession = previous;
+  }
+}
+
+export default TriggerOrderSession;
@@ -26,6 +26,7 @@ import { updateAuras } from '../utils/auraManager.js';
 import { debugLog } from '../../utils/debugLogger.js';
 import { STATE_SNAPSHOT, TRIGGER_FIRED, TRIGGER_CHAIN_PAUSE, DRONE_DESTROYED, TECH_DESTROY } from '../../config/animationTypes.js';
 import { flowCheckpoint } from '../../utils/flowVerification.js';
+import { getActiveTriggerOrderSession } from './TriggerOrderSession.js';
 import {
   TRIGGER_TYPES,
   TRIGGER_OWNERS,
@@ -48,7 +49,8 @@ class TriggerProcessor {
    *
    * Collects all matching triggers for the event, resolves them in priority order
    * (Self > Actor > Reactor, left-to-right within tiers), and handles cascades
-   * depth-first with per-(reactor, source) pair loop guard.
+   * depth-first with per-(reactor, source) pair loop guard. Under PLAYER_CHOICE
+   * rules an active TriggerOrderSession may reorder each player's triggers.
    *
    * @param {string} triggerType - One of TRIGGER_TYPES values
    * @param {Object} context - Trigger context
@@ -101,9 +103,14 @@ class TriggerProcessor {
     let attackerDestroyedByCounter = false;
 
     const filterContext = { lane, playerStates: currentStates, actingPlayerId };
-    const matchingTriggers = this.findMatchingTriggers(
+    const priorityOrder = this.findMatchingTriggers(
       triggerType, lane, triggeringDrone, triggeringPlayerId, actingPlayerId, currentStates, card, filterContext, currentTurnPlayerId
     );
+    // PLAYER_CHOICE rules: the action strategy opened an ordering session
+    const orderSession = getActiveTriggerOrderSession();
+    const matchingTriggers = orderSession
+      ? orderSession.applyOrder(priorityOrder, triggerType, triggeringDrone)
+      : priorityOrder;
 
     if (matchingTriggers.length > 0) {
       flowCheckpoint('TRIGGERS_MATCHED', {
@@ -122,7 +129,7 @@ class TriggerProcessor {
       const { drone: reactorDrone, ability, playerId: reactorPlayerId, lane: reactorLane } = match;
 
       // Drone liveness check — verify reactor still exists on the board
-      // Skip for ON_INTERCEPT: interceptor may have been destroyed but should still trigger
+      // Skip for ON_INTERCEPT / ON_DESTROYED: the reactor may already be off the board but should still trigger
       if (!skipLivenessCheck && !this._isDroneAlive(reactorDrone.id, reactorPlayerId, reactorLane, currentStates)) {
         debugLog('TRIGGERS', `Skipping dead reactor: ${reactorDrone.name} (${reactorDrone.id})`);
         continue;
@@ -242,6 +249,56 @@ class TriggerProcessor {
     };
   }
 
+  /**
+   * Fire a self-trigger on every drone affected by a single action.
+   * Used for ON_DESTROYED, ON_SHIELDS_BROKEN and ON_HEALED, where one splash,
+   * lane or filtered effect can hit several drones at once.
+   *
+   * Drones resolve Actor before Reactor (the acting player's drones first),
+   * then lane1 → lane3. They share one pair set and chain depth, so a
+   * deathrattle that destroys another deathrattle drone cascades depth-first
+   * and stops at MAX_CHAIN_DEPTH like any other chain.
+   *
+   * ON_DESTROYED skips the liveness check — the drone has already left the board.
+   *
+   * @param {string} triggerType - ON_DESTROYED, ON_SHIELDS_BROKEN or ON_HEALED
+   * @param {Array<Object>} affected - { drone, playerId, lane } for each affected drone
+   * @param {Object} context - fireTrigger context (actingPlayerId, playerStates, placedSections,
+   *   logCallback, pairSet, chainDepth, ...); per-drone fields are filled in here
+   * @returns {Object} { triggered, newPlayerStates, animationEvents }
+   */
+  fireSelfTriggers(triggerType, affected, context) {
+    const { actingPlayerId, pairSet = new Set() } = context;
+    const actorFirst = (entry) => (entry.playerId === actingPlayerId ? 0 : 1);
+    const ordered = [...affected].sort((a, b) =>
+      actorFirst(a) - actorFirst(b) || (a.lane || '').localeCompare(b.lane || '')
+    );
+
+    let currentStates = context.playerStates;
+    const animationEvents = [];
+    let triggered = false;
+
+    for (const { drone, playerId, lane } of ordered) {
+      const result = this.fireTrigger(triggerType, {
+        ...context,
+        lane,
+        triggeringDrone: drone,
+        triggeringPlayerId: playerId,
+        playerStates: currentStates,
+        pairSet,
+        skipLivenessCheck: triggerType === TRIGGER_TYPES.ON_DESTROYED
+      });
+
+      if (result.triggered) {
+        triggered = true;
+        currentStates = result.newPlayerStates;
+        animationEvents.push(...result.animationEvents);
+      }
+    }
+
+    return { triggered, newPlayerStates: currentStates, animationEvents };
+  }
+
   /**
    * Scan board for drones with matching TRIGGERED abilities.
    * Returns matches in priority order: Self > Actor's lane (L→R) > Opponent's lane (L→R).
@@ -416,7 +473,7 @@ class TriggerProcessor {
             // DAMAGE handled inline — DamageEffectProcessor uses resolveAttack which is overkill for flat mine damage
             const directResult = this._applyMineDamage(
               effect, triggeringDrone, triggeringPlayerId, reactorLane,
-              reactorDrone, currentStates, placedSections, logCallback
+              reactorDrone, currentStates, placedSections, logCallback, pairSet, chainDepth + 1
             );
             if (directResult.newPlayerStates) currentStates = directResult.newPlayerStates;
             if (directResult.animationEvents?.length > 0) animationEvents.push(...directResult.animationEvents);
@@ -1092,13 +1149,14 @@ class TriggerProcessor {
   /**
    * Apply flat mine damage to the triggering drone (scope: 'TRIGGERING_DRONE', type: 'DAMAGE').
    * Shields absorb first, then hull. Destroys drone if hull reaches 0.
+   * Fires ON_SHIELDS_BROKEN / ON_DESTROYED on the damaged drone at the next chain depth.
    * Other TRIGGERING_DRONE effect types (EXHAUST_DRONE, MODIFY_STAT) route through EffectRouter.
    *
    * Mutates currentStates directly (already a working copy from callers).
    *
    * @returns {Object} { newPlayerStates, animationEvents }
    */
-  _applyMineDamage(effect, triggeringDrone, triggeringPlayerId, lane, reactorDrone, currentStates, placedSections, logCallback) {
+  _applyMineDamage(effect, triggeringDrone, triggeringPlayerId, lane, reactorDrone, currentStates, placedSections, logCallback, pairSet = new Set(), chainDepth = 0) {
     const ownerState = currentStates[triggeringPlayerId];
     const droneInLane = ownerState.dronesOnBoard[lane]?.find(d => d.id === triggeringDrone.id);
 
@@ -1153,6 +1211,20 @@ class TriggerProcessor {
       }
     }
 
+    const destroyed = droneInLane.hull <= 0;
+    const shieldsBroken = !destroyed && shieldDmg > 0 && droneInLane.currentShields <= 0;
+    if (destroyed || shieldsBroken) {
+      const selfResult = this.fireSelfTriggers(
+        destroyed ? TRIGGER_TYPES.ON_DESTROYED : TRIGGER_TYPES.ON_SHIELDS_BROKEN,
+        [{ drone: droneInLane, playerId: triggeringPlayerId, lane }],
+        { actingPlayerId: triggeringPlayerId === 'player1' ? 'player2' : 'player1', playerStates: currentStates, placedSections, logCallback, pairSet, chainDepth }
+      );
+      if (selfResult.triggered) {
+        animationEvents.push(...selfResult.animationEvents);
+        return { newPlayerStates: selfResult.newPlayerStates, animationEvents };
+      }
+    }
+
     return { newPlayerStates: currentStates, animationEvents };
   }
 
@@ -0,0 +1,83 @@
+// ========================================
+// TRIGGER ORDER SESSION
+// ========================================
+// Ordering windows for PLAYER_CHOICE trigger resolution: grouping,
+// recorded choices, and the first undecided window.
+
+import { describe, it, expect, vi } from 'vitest';
+import TriggerOrderSession, { runWithTriggerOrder, getActiveTriggerOrderSession, triggerOrderKey } from '../TriggerOrderSession.js';
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn()
+}));
+
+const match = (droneId, abilityName, playerId) => ({
+  drone: { id: droneId, name: `Drone ${droneId}` },
+  ability: { name: abilityName, description: `${abilityName} text` },
+  playerId,
+  lane: 'lane1'
+});
+
+const keysOf = (matches) => matches.map(triggerOrderKey);
+
+describe('TriggerOrderSession', () => {
+  const p1a = match('a', 'Rally', 'player1');
+  const p1b = match('b', 'Overload', 'player1');
+  const p2c = match('c', 'Ward', 'player2');
+  const p2d = match('d', 'Echo', 'player2');
+
+  it('leaves single matches alone and reports no windows', () => {
+    const session = new TriggerOrderSession();
+    expect(session.applyOrder([p1a, p2c], 'ON_MOVE', null)).toEqual([p1a, p2c]);
+    expect(session.windows).toEqual([]);
+    expect(session.pending).toBeNull();
+  });
+
+  it('groups consecutive matches of one player into numbered windows', () => {
+    const session = new TriggerOrderSession();
+    session.applyOrder([p1a, p1b, p2c, p2d], 'ON_MOVE', null);
+
+    expect(session.windows).toEqual([
+      { windowIndex: 0, playerId: 'player1', triggerType: 'ON_MOVE' },
+      { windowIndex: 1, playerId: 'player2', triggerType: 'ON_MOVE' }
+    ]);
+  });
+
+  it('resolves a window in its recorded order', () => {
+    const session = new TriggerOrderSession([['b:Overload', 'a:Rally']]);
+    expect(keysOf(session.applyOrder([p1a, p1b], 'ON_MOVE', null))).toEqual(['b:Overload', 'a:Rally']);
+    expect(session.pending).toBeNull();
+  });
+
+  it('reports the first undecided window and keeps priority order for later ones', () => {
+    const session = new TriggerOrderSession();
+    const ordered = session.applyOrder([p1a, p1b, p2c, p2d], 'ON_ATTACK', { name: 'Striker' });
+
+    expect(ordered).toEqual([p1a, p1b, p2c, p2d]);
+    expect(session.pending).toMatchObject({ windowIndex: 0, playerId: 'player1', triggerType: 'ON_ATTACK', sourceName: 'Striker' });
+    expect(session.pending.triggers.map(t => t.key)).toEqual(['a:Rally', 'b:Overload']);
+  });
+
+  it('asks again when a recorded choice no longer matches the window', () => {
+    const session = new TriggerOrderSession([['a:Rally', 'z:Gone']]);
+    session.applyOrder([p1a, p1b], 'ON_MOVE', null);
+    expect(session.pending.windowIndex).toBe(0);
+  });
+
+  it('exposes the session only while the work runs', () => {
+    const run = runWithTriggerOrder([], () => {
+      expect(getActiveTriggerOrderSession()).not.toBeNull();
+      return getActiveTriggerOrderSession().applyOrder([p2c, p2d], 'ON_MOVE', null).length;
+    });
+
+    expect(run.result).toBe(2);
+    expect(run.pending.playerId).toBe('player2');
+    expect(run.windows).toHaveLength(1);
+    expect(getActiveTriggerOrderSession()).toBeNull();
+  });
+
+  it('restores the previous session when the work throws', () => {
+    expect(() => runWithTriggerOrder([], () => { throw new Error('boom'); })).toThrow('boom');
+    expect(getActiveTriggerOrderSession()).toBeNull();
+  });
+});
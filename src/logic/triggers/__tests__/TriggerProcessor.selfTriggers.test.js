@@ -0,0 +1,190 @@
+// ========================================
+// TRIGGER PROCESSOR — ON_DESTROYED / ON_SHIELDS_BROKEN / ON_HEALED
+// ========================================
+// fireSelfTriggers: one action affecting several drones, resolved
+// Actor before Reactor, lane1 → lane3, under the shared chain guards.
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../data/droneData.js', () => ({
+  default: [
+    {
+      name: 'TestDeathrattleDrone',
+      attack: 1, hull: 2, shields: 0, speed: 2,
+      abilities: [{
+        name: 'Parting Gift',
+        type: 'TRIGGERED',
+        trigger: 'ON_DESTROYED',
+        effects: [{ type: 'DRAW', value: 1 }]
+      }]
+    },
+    {
+      name: 'TestShellbackDrone',
+      attack: 1, hull: 4, shields: 2, speed: 2,
+      abilities: [{
+        name: 'Hunker Down',
+        type: 'TRIGGERED',
+        trigger: 'ON_SHIELDS_BROKEN',
+        effects: [{ type: 'MODIFY_STAT', mod: { stat: 'attack', value: 1, type: 'permanent' } }]
+      }]
+    },
+    {
+      name: 'TestRegenDrone',
+      attack: 1, hull: 4, shields: 1, speed: 2,
+      abilities: [{
+        name: 'Regrowth',
+        type: 'TRIGGERED',
+        trigger: 'ON_HEALED',
+        effects: [{ type: 'MODIFY_STAT', mod: { stat: 'attack', value: 1, type: 'permanent' } }]
+      }]
+    },
+    {
+      name: 'TestMineDamageDrone',
+      attack: 0, hull: 1, shields: 0, speed: 0,
+      abilities: [{
+        name: 'Damage Mine',
+        type: 'TRIGGERED',
+        trigger: 'ON_LANE_MOVEMENT_IN',
+        triggerOwner: 'LANE_OWNER',
+        effects: [{ type: 'DAMAGE', value: 3, scope: 'TRIGGERING_DRONE' }]
+      }]
+    }
+  ]
+}));
+
+vi.mock('../../../data/techData.js', () => ({ default: [] }));
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn()
+}));
+
+vi.mock('../../utils/droneStateUtils.js', () => ({
+  onDroneDestroyed: vi.fn(() => ({}))
+}));
+vi.mock('../../utils/auraManager.js', () => ({
+  updateAuras: vi.fn((playerState) => playerState.dronesOnBoard)
+}));
+
+vi.mock('../../EffectRouter.js', () => ({
+  default: class MockEffectRouter {
+    constructor() {
+      this.routeEffect = vi.fn().mockReturnValue({ newPlayerStates: null, animationEvents: [] });
+    }
+  }
+}));
+
+import TriggerProcessor from '../TriggerProcessor.js';
+import { TRIGGER_TYPES, MAX_CHAIN_DEPTH } from '../triggerConstants.js';
+import { TRIGGER_FIRED } from '../../../config/animationTypes.js';
+
+const firedIds = (result) =>
+  result.animationEvents.filter(e => e.type === TRIGGER_FIRED).map(e => e.targetId);
+
+describe('TriggerProcessor.fireSelfTriggers', () => {
+  let processor;
+  let playerStates;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    processor = new TriggerProcessor();
+    playerStates = {
+      player1: { name: 'Player 1', dronesOnBoard: { lane1: [], lane2: [], lane3: [] } },
+      player2: { name: 'Player 2', dronesOnBoard: { lane1: [], lane2: [], lane3: [] } }
+    };
+  });
+
+  const context = (overrides = {}) => ({
+    actingPlayerId: 'player1',
+    playerStates,
+    placedSections: {},
+    logCallback: vi.fn(),
+    ...overrides
+  });
+
+  it('fires ON_DESTROYED for a drone that has already left the board', () => {
+    const dead = { id: 'd1', name: 'TestDeathrattleDrone', hull: 0 };
+
+    const result = processor.fireSelfTriggers(TRIGGER_TYPES.ON_DESTROYED, [
+      { drone: dead, playerId: 'player2', lane: 'lane2' }
+    ], context());
+
+    expect(result.triggered).toBe(true);
+    expect(firedIds(result)).toEqual(['d1']);
+    expect(processor.effectRouter.routeEffect).toHaveBeenCalledWith(
+      { type: 'DRAW', value: 1 },
+      expect.objectContaining({ actingPlayerId: 'player2', chainDepth: 1 })
+    );
+  });
+
+  it('does not fire ON_HEALED for a drone no longer on the board', () => {
+    const gone = { id: 'r1', name: 'TestRegenDrone', hull: 2 };
+
+    const result = processor.fireSelfTriggers(TRIGGER_TYPES.ON_HEALED, [
+      { drone: gone, playerId: 'player1', lane: 'lane1' }
+    ], context());
+
+    expect(result.triggered).toBe(false);
+  });
+
+  it('resolves the acting player\'s drones first, then left to right by lane', () => {
+    const enemy = { id: 'e1', name: 'TestShellbackDrone', hull: 4, currentShields: 0 };
+    const ownLane3 = { id: 'o3', name: 'TestShellbackDrone', hull: 4, currentShields: 0 };
+    const ownLane1 = { id: 'o1', name: 'TestShellbackDrone', hull: 4, currentShields: 0 };
+    playerStates.player2.dronesOnBoard.lane1 = [enemy];
+    playerStates.player1.dronesOnBoard.lane3 = [ownLane3];
+    playerStates.player1.dronesOnBoard.lane1 = [ownLane1];
+
+    const result = processor.fireSelfTriggers(TRIGGER_TYPES.ON_SHIELDS_BROKEN, [
+      { drone: enemy, playerId: 'player2', lane: 'lane1' },
+      { drone: ownLane3, playerId: 'player1', lane: 'lane3' },
+      { drone: ownLane1, playerId: 'player1', lane: 'lane1' }
+    ], context());
+
+    expect(firedIds(result)).toEqual(['o1', 'o3', 'e1']);
+  });
+
+  it('stops at MAX_CHAIN_DEPTH', () => {
+    const dead = { id: 'd1', name: 'TestDeathrattleDrone', hull: 0 };
+
+    const result = processor.fireSelfTriggers(TRIGGER_TYPES.ON_DESTROYED, [
+      { drone: dead, playerId: 'player2', lane: 'lane2' }
+    ], context({ chainDepth: MAX_CHAIN_DEPTH }));
+
+    expect(result.triggered).toBe(false);
+    expect(processor.effectRouter.routeEffect).not.toHaveBeenCalled();
+  });
+
+  it('fires each (drone, source) pair once per chain', () => {
+    const regen = { id: 'r1', name: 'TestRegenDrone', hull: 4 };
+    playerStates.player1.dronesOnBoard.lane1 = [regen];
+    const pairSet = new Set();
+
+    processor.fireSelfTriggers(TRIGGER_TYPES.ON_HEALED, [
+      { drone: regen, playerId: 'player1', lane: 'lane1' }
+    ], context({ pairSet }));
+    const again = processor.fireSelfTriggers(TRIGGER_TYPES.ON_HEALED, [
+      { drone: regen, playerId: 'player1', lane: 'lane1' }
+    ], context({ pairSet }));
+
+    expect(again.triggered).toBe(false);
+  });
+
+  it('fires ON_DESTROYED when mine damage destroys the moving drone', () => {
+    const mover = { id: 'd1', name: 'TestDeathrattleDrone', hull: 2, currentShields: 0 };
+    const mine = { id: 'mine1', name: 'TestMineDamageDrone' };
+    playerStates.player1.dronesOnBoard.lane2 = [mine, mover];
+
+    const result = processor.fireTrigger(TRIGGER_TYPES.ON_LANE_MOVEMENT_IN, {
+      lane: 'lane2',
+      triggeringDrone: mover,
+      triggeringPlayerId: 'player1',
+      actingPlayerId: 'player1',
+      playerStates,
+      placedSections: {},
+      logCallback: vi.fn()
+    });
+
+    expect(result.newPlayerStates.player1.dronesOnBoard.lane2.map(d => d.id)).toEqual(['mine1']);
+    expect(firedIds(result)).toEqual(['mine1', 'd1']);
+  });
+});
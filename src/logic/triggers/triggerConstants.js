@@ -6,7 +6,8 @@
 
 /**
  * Trigger types — when a trigger fires.
- * Self triggers: ON_MOVE, ON_DEPLOY, ON_ROUND_END, ON_ATTACK
+ * Self triggers: ON_MOVE, ON_DEPLOY, ON_ROUND_START, ON_ROUND_END, ON_ATTACK,
+ *   ON_DESTROYED, ON_SHIELDS_BROKEN, ON_HEALED
  * Controller triggers: ON_CARD_DRAWN, ON_ENERGY_GAINED, ON_CARD_PLAY
  * Lane triggers: ON_LANE_MOVEMENT_IN, ON_LANE_MOVEMENT_OUT, ON_LANE_DEPLOYMENT, ON_LANE_ATTACK
  */
@@ -23,7 +24,11 @@ export const TRIGGER_TYPES = Object.freeze({
   ON_LANE_DEPLOYMENT: 'ON_LANE_DEPLOYMENT',
   ON_LANE_ATTACK: 'ON_LANE_ATTACK',
   ON_INTERCEPT: 'ON_INTERCEPT',
-  ON_ATTACKED: 'ON_ATTACKED'
+  ON_ATTACKED: 'ON_ATTACKED',
+  ON_ROUND_START: 'ON_ROUND_START',
+  ON_DESTROYED: 'ON_DESTROYED',
+  ON_SHIELDS_BROKEN: 'ON_SHIELDS_BROKEN',
+  ON_HEALED: 'ON_HEALED'
 });
 
 /**
@@ -64,7 +69,11 @@ export const SELF_TRIGGER_TYPES = Object.freeze(new Set([
   TRIGGER_TYPES.ON_ROUND_END,
   TRIGGER_TYPES.ON_ATTACK,
   TRIGGER_TYPES.ON_INTERCEPT,
-  TRIGGER_TYPES.ON_ATTACKED
+  TRIGGER_TYPES.ON_ATTACKED,
+  TRIGGER_TYPES.ON_ROUND_START,
+  TRIGGER_TYPES.ON_DESTROYED,
+  TRIGGER_TYPES.ON_SHIELDS_BROKEN,
+  TRIGGER_TYPES.ON_HEALED
 ]));
 
 /**
@@ -126,3 +135,18 @@ export const EFFECT_TARGETS = Object.freeze({
  * Should never trigger in normal gameplay.
  */
 export const MAX_CHAIN_DEPTH = 20;
+
+/**
+ * How simultaneous triggers resolve (state.triggerResolution).
+ * PRIORITY: fixed Self > Actor > Reactor order, left-to-right (default)
+ * PLAYER_CHOICE: when two or more triggers controlled by the same player fire
+ *   together, that player orders them and their opponent gets a response window
+ *   to play a Reaction card before the action resolves (see TriggerOrderSession).
+ *   Applies to attacks, moves, deployments and drone abilities
+ *   (ORDERED_TRIGGER_ACTIONS); card plays and round start/end triggers keep
+ *   PRIORITY order.
+ */
+export const TRIGGER_RESOLUTION_MODES = Object.freeze({
+  PRIORITY: 'PRIORITY',
+  PLAYER_CHOICE: 'PLAYER_CHOICE'
+});
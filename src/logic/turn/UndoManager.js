@@ -0,0 +1,123 @@
+// ========================================
+// UNDO MANAGER
+// ========================================
+// Lets the human player take back their most recent actions in single-player
+// games. ActionProcessor.processQueue calls beforeAction/afterAction around
+// every queued action; the 'undo' action restores the latest snapshot.
+//
+// Only moves, deployments and card plays by player1 are undoable, and only
+// while nothing new has been learned since: an action that draws or
+// reshuffles, rolls the match's SeededRandom, resolves a revealing effect
+// (EffectRouter bumps the acting player's revealCount) or needs an
+// interception decision cannot be undone. Any other action (the AI's turn,
+// a pass, an attack, a phase transition) closes the history.
+
+import SeededRandom from '../../utils/seededRandom.js';
+import { debugLog } from '../../utils/debugLogger.js';
+
+const UNDOABLE_ACTION_TYPES = ['move', 'deployment', 'cardPlay'];
+const UNDOABLE_PHASES = ['deployment', 'action'];
+const HUMAN_PLAYER_ID = 'player1';
+
+/** Deepest history kept — a full turn of go-again actions fits comfortably */
+const MAX_UNDO_DEPTH = 10;
+
+const handIds = (playerState) => (playerState?.hand || []).map(card => card.instanceId).join(',');
+const revealCount = (playerState) => playerState?.revealCount || 0;
+const matchRolls = (state) => SeededRandom.getMatchRollCount(state.gameSeed);
+
+/**
+ * Why an action's outcome cannot be taken back, or null if it can.
+ * @param {Object} before - State before the action
+ * @param {Object} after - State after the action
+ * @param {number} rollsBefore - SeededRandom.getMatchRollCount for the match before the action
+ * @returns {string|null}
+ */
+export function getUndoBlocker(before, after, rollsBefore) {
+  if (matchRolls(after) !== rollsBefore) return 'random';
+  if (before.player1.deck?.length !== after.player1.deck?.length
+    || before.player2.deck?.length !== after.player2.deck?.length) return 'draw';
+  if (revealCount(before.player1) !== revealCount(after.player1)
+    || revealCount(before.player2) !== revealCount(after.player2)) return 'revealed';
+  if (handIds(before.player2) !== handIds(after.player2)) return 'revealed';
+  if (after.cardSelectionPending) return 'revealed';
+  if (after.interceptionPending) return 'aiResponse';
+  if (after.winner) return 'gameOver';
+  return null;
+}
+
+class UndoManager {
+  constructor() {
+    this.history = []; // [{ type, state }] — newest last
+    this._pending = null;
+  }
+
+  /**
+   * Snapshot the state if the action is undoable, otherwise close the history.
+   * @param {Object} action - Queued action { type, payload }
+   * @param {Object} state - Current game state
+   */
+  beforeAction(action, state) {
+    this._pending = null;
+    if (action.type === 'undo') return;
+
+    const undoable = state.gameMode === 'local'
+      && UNDOABLE_ACTION_TYPES.includes(action.type)
+      && action.payload?.playerId === HUMAN_PLAYER_ID
+      && UNDOABLE_PHASES.includes(state.turnPhase);
+
+    if (!undoable) {
+      this.clear();
+      return;
+    }
+
+    this._pending = {
+      type: action.type,
+      state: JSON.parse(JSON.stringify(state)),
+      rolls: matchRolls(state),
+    };
+  }
+
+  /**
+   * Keep the snapshot taken by beforeAction if the action turned out to be reversible.
+   * @param {Object} state - Game state after the action
+   */
+  afterAction(state) {
+    const pending = this._pending;
+    this._pending = null;
+    if (!pending) return;
+
+    const blocker = getUndoBlocker(pending.state, state, pending.rolls);
+    if (blocker) {
+      debugLog('UNDO', `Action ${pending.type} cannot be undone (${blocker}), history cleared`);
+      this.clear();
+      return;
+    }
+
+    this.history.push({ type: pending.type, state: pending.state });
+    if (this.history.length > MAX_UNDO_DEPTH) this.history.shift();
+  }
+
+  /** Drop the snapshot of an action that failed */
+  discardPending() {
+    this._pending = null;
+  }
+
+  canUndo() {
+    return this.history.length > 0;
+  }
+
+  /**
+   * Remove and return the latest snapshot.
+   * @returns {{ type: string, state: Object }|null}
+   */
+  pop() {
+    return this.history.pop() || null;
+  }
+
+  clear() {
+    this.history = [];
+  }
+}
+
+export default UndoManager;
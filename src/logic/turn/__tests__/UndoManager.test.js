@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import UndoManager, { getUndoBlocker } from '../UndoManager.js';
+import { SeededRandom } from '../../../utils/seededRandom.js';
+
+vi.mock('../../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+}));
+
+const makeState = (overrides = {}) => ({
+  gameMode: 'local',
+  gameSeed: 42,
+  turnPhase: 'action',
+  currentPlayer: 'player1',
+  winner: null,
+  cardSelectionPending: null,
+  interceptionPending: null,
+  player1: { hand: [{ instanceId: 'p1-a' }], deck: [{ instanceId: 'p1-d' }], energy: 5 },
+  player2: { hand: [{ instanceId: 'p2-a' }], deck: [{ instanceId: 'p2-d' }], energy: 5 },
+  ...overrides,
+});
+
+const move = { type: 'move', payload: { droneId: 'd1', fromLane: 'lane1', toLane: 'lane2', playerId: 'player1' } };
+
+describe('UndoManager', () => {
+  let undo;
+
+  beforeEach(() => {
+    undo = new UndoManager();
+  });
+
+  it('keeps a snapshot of the state before a reversible player action', () => {
+    const before = makeState();
+    undo.beforeAction(move, before);
+    undo.afterAction(makeState({ player1: { ...before.player1, energy: 4 } }));
+
+    expect(undo.canUndo()).toBe(true);
+    const entry = undo.pop();
+    expect(entry.type).toBe('move');
+    expect(entry.state.player1.energy).toBe(5);
+    expect(entry.state).not.toBe(before);
+  });
+
+  it('only records moves, deployments and card plays by the human player', () => {
+    undo.beforeAction({ type: 'attack', payload: { attackDetails: {}, playerId: 'player1' } }, makeState());
+    undo.afterAction(makeState());
+    expect(undo.canUndo()).toBe(false);
+
+    undo.beforeAction({ ...move, payload: { ...move.payload, playerId: 'player2' } }, makeState());
+    undo.afterAction(makeState());
+    expect(undo.canUndo()).toBe(false);
+  });
+
+  it('is disabled outside single-player games', () => {
+    undo.beforeAction(move, makeState({ gameMode: 'host' }));
+    undo.afterAction(makeState());
+
+    expect(undo.canUndo()).toBe(false);
+  });
+
+  it('closes the history when the AI responds', () => {
+    undo.beforeAction(move, makeState());
+    undo.afterAction(makeState());
+    expect(undo.canUndo()).toBe(true);
+
+    undo.beforeAction({ type: 'aiAction', payload: { playerId: 'player2' } }, makeState());
+    expect(undo.canUndo()).toBe(false);
+  });
+
+  it('leaves the history alone for the undo action itself', () => {
+    undo.beforeAction(move, makeState());
+    undo.afterAction(makeState());
+    undo.beforeAction({ type: 'undo', payload: { playerId: 'player1' } }, makeState());
+    undo.afterAction(makeState());
+
+    expect(undo.history).toHaveLength(1);
+  });
+
+  it('clears the history when an action cannot be taken back', () => {
+    undo.beforeAction(move, makeState());
+    undo.afterAction(makeState());
+
+    undo.beforeAction({ type: 'cardPlay', payload: { card: {}, playerId: 'player1' } }, makeState());
+    undo.afterAction(makeState({ player1: { hand: [], deck: [], energy: 5 } }));
+
+    expect(undo.canUndo()).toBe(false);
+  });
+
+  it('drops the snapshot of an action that failed', () => {
+    undo.beforeAction(move, makeState());
+    undo.discardPending();
+    undo.afterAction(makeState());
+
+    expect(undo.canUndo()).toBe(false);
+  });
+
+  it('caps the history depth', () => {
+    for (let i = 0; i < 15; i++) {
+      undo.beforeAction(move, makeState({ actionsTakenThisTurn: i }));
+      undo.afterAction(makeState());
+    }
+
+    expect(undo.history).toHaveLength(10);
+    expect(undo.pop().state.actionsTakenThisTurn).toBe(14);
+  });
+});
+
+describe('getUndoBlocker', () => {
+  it('allows actions that reveal nothing new', () => {
+    const state = makeState();
+    expect(getUndoBlocker(state, makeState(), SeededRandom.getMatchRollCount(42))).toBeNull();
+  });
+
+  it('blocks actions that rolled the match\'s SeededRandom', () => {
+    const rolls = SeededRandom.getMatchRollCount(42);
+    SeededRandom.fromGameState(makeState()).random();
+
+    expect(getUndoBlocker(makeState(), makeState(), rolls)).toBe('random');
+  });
+
+  it('ignores rolls made outside the match', () => {
+    const rolls = SeededRandom.getMatchRollCount(42);
+    new SeededRandom(7).random();
+    SeededRandom.fromGameState(makeState({ gameSeed: 99 })).random();
+
+    expect(getUndoBlocker(makeState(), makeState(), rolls)).toBeNull();
+  });
+
+  it('blocks draws from either deck', () => {
+    const after = makeState({ player1: { hand: [], deck: [], energy: 5 } });
+    expect(getUndoBlocker(makeState(), after, SeededRandom.getMatchRollCount(42))).toBe('draw');
+  });
+
+  it('blocks actions that reveal hidden cards', () => {
+    const rolls = SeededRandom.getMatchRollCount(42);
+    expect(getUndoBlocker(makeState(), makeState({ player2: { hand: [], deck: [{ instanceId: 'p2-d' }] } }), rolls)).toBe('revealed');
+    expect(getUndoBlocker(makeState(), makeState({ cardSelectionPending: { type: 'search_and_draw' } }), rolls)).toBe('revealed');
+    expect(getUndoBlocker(makeState(), makeState({ player1: { ...makeState().player1, revealCount: 1 } }), rolls)).toBe('revealed');
+  });
+
+  it('blocks actions that wait on an AI interception decision or end the game', () => {
+    const rolls = SeededRandom.getMatchRollCount(42);
+    expect(getUndoBlocker(makeState(), makeState({ interceptionPending: {} }), rolls)).toBe('aiResponse');
+    expect(getUndoBlocker(makeState(), makeState({ winner: 'player1' }), rolls)).toBe('gameOver');
+  });
+});
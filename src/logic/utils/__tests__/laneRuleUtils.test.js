@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { getLaneRules, getLaneRuleModifiers } from '../laneRuleUtils.js'
+
+// ========================================
+// LANE RULE UTILITIES TESTS
+// ========================================
+
+const rule = (appliesTo, statModifiers) => ({ name: `${appliesTo} rule`, statModifiers, appliesTo })
+
+describe('laneRuleUtils', () => {
+  it('applies a rule to its owner\'s drones by default', () => {
+    const owner = { laneRules: { lane2: { name: 'Fortified', statModifiers: { shields: 1 } } } }
+
+    expect(getLaneRuleModifiers('lane2', owner, {})).toEqual({ attack: 0, speed: 0, shields: 1 })
+    expect(getLaneRuleModifiers('lane2', {}, owner)).toEqual({ attack: 0, speed: 0, shields: 0 })
+    expect(getLaneRuleModifiers('lane1', owner, {})).toEqual({ attack: 0, speed: 0, shields: 0 })
+  })
+
+  it('applies OPPONENT rules only to the other player and ALL rules to both', () => {
+    const boss = {
+      laneRules: {
+        lane1: rule('OPPONENT', { speed: -1 }),
+        lane3: rule('ALL', { attack: 1 }),
+      },
+    }
+
+    expect(getLaneRuleModifiers('lane1', {}, boss)).toEqual({ attack: 0, speed: -1, shields: 0 })
+    expect(getLaneRuleModifiers('lane1', boss, {})).toEqual({ attack: 0, speed: 0, shields: 0 })
+    expect(getLaneRuleModifiers('lane3', boss, {}).attack).toBe(1)
+    expect(getLaneRuleModifiers('lane3', {}, boss).attack).toBe(1)
+  })
+
+  it('combines rules from both players in the same lane', () => {
+    const player = { laneRules: { lane2: rule('OWNER', { attack: 1 }) } }
+    const opponent = { laneRules: { lane2: rule('ALL', { attack: 1, shields: 1 }) } }
+
+    expect(getLaneRules('lane2', player, opponent)).toHaveLength(2)
+    expect(getLaneRuleModifiers('lane2', player, opponent)).toEqual({ attack: 2, speed: 0, shields: 1 })
+  })
+})
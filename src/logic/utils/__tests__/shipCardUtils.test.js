@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getShipCard,
+  applyShipBonusStats,
+  getDeploymentCost,
+  getShipAbilityActivations,
+  validateShipAbilityUse
+} from '../shipCardUtils.js'
+
+// ========================================
+// SHIP CARD UTILITIES TESTS
+// ========================================
+// SHIP_001 (Corvette): +1 energy per turn, once-per-round Long-Range Scan (1 energy)
+// SHIP_002 (Carrier): first deployment discount, once-per-game Reactor Overdrive (free)
+// SHIP_003 (Scout): no bonus, no ability
+
+const dart = { name: 'Dart', class: 1 }
+const mammoth = { name: 'Mammoth', class: 3 }
+
+describe('shipCardUtils', () => {
+  it('looks up the ship card from the player state', () => {
+    expect(getShipCard({ shipId: 'SHIP_001' }).name).toBe('Reconnaissance Corvette')
+    expect(getShipCard({})).toBeNull()
+  })
+
+  it('replaces the card\'s ability with the player\'s ability override', () => {
+    const override = { name: 'Overloaded Reactors', cost: { energy: 0 }, effect: { type: 'GAIN_ENERGY', value: 2 } }
+    const shipCard = getShipCard({ shipId: 'SHIP_001', shipAbilityOverride: override })
+
+    expect(shipCard.shipAbility).toBe(override)
+    expect(shipCard.shipBonus.name).toBe('Efficient Reactors')
+    expect(getShipCard({ shipId: 'SHIP_001' }).shipAbility.name).toBe('Long-Range Scan')
+  })
+
+  it('adds stat modifiers from the ship bonus to the totals', () => {
+    const totals = { energyPerTurn: 10, handLimit: 6 }
+
+    expect(applyShipBonusStats(totals, { shipId: 'SHIP_001' })).toEqual({ energyPerTurn: 11, handLimit: 6 })
+    expect(applyShipBonusStats(totals, { shipId: 'SHIP_003' })).toBe(totals)
+    expect(totals.energyPerTurn).toBe(10)
+  })
+
+  it('discounts only the first drone deployed each round', () => {
+    const carrier = { shipId: 'SHIP_002', dronesDeployedThisRound: 0 }
+
+    expect(getDeploymentCost(carrier, mammoth)).toBe(2)
+    expect(getDeploymentCost(carrier, { name: 'Drone', class: 0 })).toBe(0)
+    expect(getDeploymentCost({ ...carrier, dronesDeployedThisRound: 1 }, mammoth)).toBe(3)
+    expect(getDeploymentCost({ shipId: 'SHIP_001', dronesDeployedThisRound: 0 }, dart)).toBe(1)
+  })
+
+  it('counts activations against the ability\'s scope', () => {
+    const state = { shipAbilityActivations: { round: 0, game: 2 } }
+
+    expect(getShipAbilityActivations(state, { activationScope: 'round' })).toBe(0)
+    expect(getShipAbilityActivations(state, { activationScope: 'game' })).toBe(2)
+    expect(getShipAbilityActivations({}, { activationScope: 'game' })).toBe(0)
+  })
+
+  describe('validateShipAbilityUse', () => {
+    it('allows an unused ability the player can afford', () => {
+      const result = validateShipAbilityUse({ shipId: 'SHIP_001', energy: 1, shipAbilityActivations: { round: 0, game: 3 } })
+
+      expect(result.isValid).toBe(true)
+      expect(result.ability.name).toBe('Long-Range Scan')
+    })
+
+    it('rejects ships without an ability', () => {
+      expect(validateShipAbilityUse({ shipId: 'SHIP_003', energy: 5 })).toMatchObject({ isValid: false, ability: null })
+    })
+
+    it('rejects abilities at their activation limit', () => {
+      const perRound = validateShipAbilityUse({ shipId: 'SHIP_001', energy: 5, shipAbilityActivations: { round: 1, game: 1 } })
+      const perGame = validateShipAbilityUse({ shipId: 'SHIP_002', energy: 5, shipAbilityActivations: { round: 0, game: 1 } })
+
+      expect(perRound).toMatchObject({ isValid: false, reason: 'Long-Range Scan can only be used once per round.' })
+      expect(perGame).toMatchObject({ isValid: false, reason: 'Reactor Overdrive can only be used once per game.' })
+    })
+
+    it('rejects abilities the player cannot afford', () => {
+      const result = validateShipAbilityUse({ shipId: 'SHIP_001', energy: 0 })
+
+      expect(result).toMatchObject({ isValid: false, reason: 'Long-Range Scan costs 1 energy, but you only have 0.' })
+    })
+  })
+})
@@ -0,0 +1,52 @@
+// ========================================
+// LANE RULE UTILITIES
+// ========================================
+// Lane rules are stat modifiers a player's state places on a lane
+// (playerState.laneRules, keyed by lane — e.g. set when a boss enters a new
+// phase). A rule applies to the drones of the player who owns it, their
+// opponent's drones, or both. Read by statsCalculator.calculateEffectiveStats.
+
+/** Drone stats a lane rule's statModifiers may adjust */
+export const LANE_RULE_STATS = ['attack', 'speed', 'shields'];
+
+/** Whose drones a lane rule affects, relative to the player whose state holds it */
+export const LANE_RULE_TARGETS = {
+  OWNER: 'OWNER',
+  OPPONENT: 'OPPONENT',
+  ALL: 'ALL',
+};
+
+const affects = (rule, isOwner) => {
+  const appliesTo = rule?.appliesTo || LANE_RULE_TARGETS.OWNER;
+  if (appliesTo === LANE_RULE_TARGETS.ALL) return true;
+  return isOwner ? appliesTo === LANE_RULE_TARGETS.OWNER : appliesTo === LANE_RULE_TARGETS.OPPONENT;
+};
+
+/**
+ * Lane rules in effect for a player's drones in a lane
+ * @param {string} lane - Lane identifier (lane1, lane2, lane3)
+ * @param {Object} playerState - State of the player whose drone is being evaluated
+ * @param {Object} opponentState - Their opponent's state
+ * @returns {Array<Object>} Rules ({ name, description, statModifiers, appliesTo })
+ */
+export const getLaneRules = (lane, playerState, opponentState) => [
+  [playerState?.laneRules?.[lane], true],
+  [opponentState?.laneRules?.[lane], false],
+].filter(([rule, isOwner]) => rule && affects(rule, isOwner)).map(([rule]) => rule);
+
+/**
+ * Total stat modifiers lane rules give a player's drones in a lane
+ * @param {string} lane - Lane identifier (lane1, lane2, lane3)
+ * @param {Object} playerState - State of the player whose drone is being evaluated
+ * @param {Object} opponentState - Their opponent's state
+ * @returns {Object} { attack, speed, shields }
+ */
+export const getLaneRuleModifiers = (lane, playerState, opponentState) => {
+  const totals = { attack: 0, speed: 0, shields: 0 };
+  for (const rule of getLaneRules(lane, playerState, opponentState)) {
+    for (const stat of LANE_RULE_STATS) {
+      totals[stat] += rule.statModifiers?.[stat] || 0;
+    }
+  }
+  return totals;
+};
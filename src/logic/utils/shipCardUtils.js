@@ -0,0 +1,96 @@
+// ========================================
+// SHIP CARD UTILITIES
+// ========================================
+// Reads the ship-level bonus and activated ability declared on a player's
+// ship card (shipData.js shipBonus / shipAbility). Pure functions over
+// player state; the card is looked up from playerState.shipId, and
+// playerState.shipAbilityOverride (set by boss phases) replaces its ability.
+
+import { getShipById } from '../../data/shipDataHelpers.js';
+
+/** Effective ship stat totals that shipBonus.statModifiers may adjust */
+export const SHIP_BONUS_STATS = [
+  'handLimit', 'discardLimit', 'energyPerTurn', 'maxEnergy',
+  'shieldsPerTurn', 'initialDeployment', 'deploymentBudget', 'cpuLimit'
+];
+
+/** Non-stat shipBonus properties and the systems that read them */
+export const SHIP_BONUS_RULES = [
+  'firstDeploymentDiscount' // DeploymentProcessor, via getDeploymentCost
+];
+
+/**
+ * Get the ship card a player is flying, with any ability override applied
+ * @param {Object} playerState - Player state with shipId
+ * @returns {Object|null} Ship card, or null when the state has no ship
+ */
+export const getShipCard = (playerState) => {
+  const shipCard = playerState?.shipId ? getShipById(playerState.shipId) : null;
+  if (!shipCard || !playerState.shipAbilityOverride) return shipCard;
+  return { ...shipCard, shipAbility: playerState.shipAbilityOverride };
+};
+
+/**
+ * Add the ship bonus stat modifiers to effective ship stat totals
+ * @param {Object} totals - Totals from calculateEffectiveShipStats
+ * @param {Object} playerState - Player state with shipId
+ * @returns {Object} New totals object (unchanged copy when no bonus applies)
+ */
+export const applyShipBonusStats = (totals, playerState) => {
+  const modifiers = getShipCard(playerState)?.shipBonus?.statModifiers;
+  if (!modifiers) return totals;
+
+  const modified = { ...totals };
+  for (const [stat, value] of Object.entries(modifiers)) {
+    modified[stat] = (modified[stat] || 0) + value;
+  }
+  return modified;
+};
+
+/**
+ * Cost to deploy a drone, after the ship's first-deployment discount
+ * @param {Object} playerState - Deploying player's state
+ * @param {Object} drone - Drone being deployed
+ * @returns {number} Deployment cost (budget + energy)
+ */
+export const getDeploymentCost = (playerState, drone) => {
+  const discount = getShipCard(playerState)?.shipBonus?.firstDeploymentDiscount || 0;
+  if (discount && (playerState.dronesDeployedThisRound || 0) === 0) {
+    return Math.max(0, drone.class - discount);
+  }
+  return drone.class;
+};
+
+/**
+ * How many times the ship ability has been used within its activation scope
+ * @param {Object} playerState - Player state
+ * @param {Object} ability - Ship ability definition
+ * @returns {number} Activations this round, or this game for 'game' scope
+ */
+export const getShipAbilityActivations = (playerState, ability) => {
+  const activations = playerState?.shipAbilityActivations || {};
+  return (ability.activationScope === 'game' ? activations.game : activations.round) || 0;
+};
+
+/**
+ * Check whether a player may activate their ship ability now
+ * @param {Object} playerState - Player state
+ * @returns {Object} { isValid, ability, reason? }
+ */
+export const validateShipAbilityUse = (playerState) => {
+  const ability = getShipCard(playerState)?.shipAbility;
+  if (!ability) {
+    return { isValid: false, ability: null, reason: 'This ship has no ability.' };
+  }
+
+  if (ability.activationLimit != null && getShipAbilityActivations(playerState, ability) >= ability.activationLimit) {
+    const times = ability.activationLimit > 1 ? `${ability.activationLimit} times` : 'once';
+    return { isValid: false, ability, reason: `${ability.name} can only be used ${times} per ${ability.activationScope || 'round'}.` };
+  }
+
+  if (playerState.energy < ability.cost.energy) {
+    return { isValid: false, ability, reason: `${ability.name} costs ${ability.cost.energy} energy, but you only have ${playerState.energy}.` };
+  }
+
+  return { isValid: true, ability };
+};
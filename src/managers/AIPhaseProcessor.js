@@ -72,8 +72,12 @@ class AIPhaseProcessor {
    * @param {Object} currentPersonality - Current AI personality being used
    * @param {Object} actionProcessor - ActionProcessor instance for executing actions
    * @param {Object} gameStateManager - GameStateManager instance for state updates
+   * @param {Object} [options]
+   * @param {Function} [options.isAnimationBlocking] - Delays AI turns while animations play
+   * @param {boolean} [options.takesTurns=true] - false answers inline decisions (commitments,
+   *   interceptions) but never schedules a turn — used by match replays, where the log supplies every turn
    */
-  initialize(aiPersonalities, dronePool, currentPersonality, actionProcessor = null, gameStateManager = null, { isAnimationBlocking } = {}) {
+  initialize(aiPersonalities, dronePool, currentPersonality, actionProcessor = null, gameStateManager = null, { isAnimationBlocking, takesTurns = true } = {}) {
     // Check if already initialized
     if (this.isInitialized) {
       return;
@@ -104,7 +108,7 @@ class AIPhaseProcessor {
 
     // Subscribe to game state changes for AI turn detection
     // Only react to RESPONSE_CYCLE_COMPLETE — guarantees all animations are done
-    if (gameStateManager) {
+    if (gameStateManager && takesTurns) {
       this.stateSubscriptionCleanup = gameStateManager.subscribe((event) => {
         if (event.type === 'RESPONSE_CYCLE_COMPLETE') {
           debugLog('AI_TURN_TRACE', '[AI-00a] RESPONSE_CYCLE_COMPLETE received');
@@ -213,6 +217,7 @@ class AIPhaseProcessor {
     else if (state.currentPlayer !== 'player2') skipReason = `not AI turn (${state.currentPlayer})`;
     else if (state.passInfo?.player2Passed) skipReason = 'AI already passed';
     else if (state.interceptionPending) skipReason = 'interception pending';
+    else if (state.triggerOrderPending) skipReason = 'trigger order pending';
 
     if (skipReason) {
       debugLog('AI_TURN_TRACE', `[AI-01-SKIP] ${skipReason}`);
@@ -300,6 +305,14 @@ class AIPhaseProcessor {
         return; // Don't schedule another AI turn yet
       }
 
+      // Human ordering triggers or responding to the AI's action (PLAYER_CHOICE rules)
+      if (result?.needsTriggerOrderDecision) {
+        debugLog('AI_TURN_TRACE', `[AI-09] Result | success=true, needsTriggerOrder=true`);
+        // Turn resumes once the decision re-runs the action (triggerOrderPending cleared)
+        this.isProcessing = false;
+        return;
+      }
+
       debugLog('AI_TURN_TRACE', `[AI-09] Result | success=${result?.success !== false}, needsInterception=false`);
 
       // Check if AI should continue taking turns
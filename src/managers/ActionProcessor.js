@@ -1,9 +1,11 @@
 // All game actions must go through this processor to ensure serialization.
 
 import WinConditionChecker from '../logic/game/WinConditionChecker.js';
+import { resolveBossPhaseTransitions } from '../logic/singlePlayer/BossPhaseProcessor.js';
 import aiPhaseProcessor from './AIPhaseProcessor.js';
 import GameDataService from '../services/GameDataService.js';
 import PhaseManager from './PhaseManager.js';
+import UndoManager from '../logic/turn/UndoManager.js';
 import { debugLog, timingLog } from '../utils/debugLogger.js';
 import { flowCheckpoint } from '../utils/flowVerification.js';
 import { countDrones as _countDrones } from '../utils/stateHelpers.js';
@@ -18,6 +20,10 @@ import {
   processCardPlay as _processCardPlay,
   processSearchAndDrawCompletion as _processSearchAndDrawCompletion
 } from '../logic/actions/CardActionStrategy.js';
+import {
+  processTriggerOrderDecision as _processTriggerOrderDecision,
+  processTriggerResponse as _processTriggerResponse
+} from '../logic/actions/TriggerOrderStrategy.js';
 import {
   processRecallAbility as _processRecallAbility,
   processTargetLockAbility as _processTargetLockAbility,
@@ -25,6 +31,7 @@ import {
   processRecalculateComplete as _processRecalculateComplete,
   processReallocateShieldsAbility as _processReallocateShieldsAbility,
   processReallocateShieldsComplete as _processReallocateShieldsComplete,
+  processShipCardAbility as _processShipCardAbility,
   validateShipAbilityActivationLimit as _validateShipAbilityActivationLimit
 } from '../logic/actions/ShipAbilityStrategy.js';
 import {
@@ -43,6 +50,7 @@ import {
 import {
   processDraw as _processDraw,
   processEnergyReset as _processEnergyReset,
+  processRoundStartTriggers as _processRoundStartTriggers,
   processRoundEndTriggers as _processRoundEndTriggers,
   processRebuildProgress as _processRebuildProgress,
   processMomentumAward as _processMomentumAward
@@ -63,25 +71,29 @@ import {
 import {
   processStatusConsumption as _processStatusConsumption,
   processDebugAddCardsToHand as _processDebugAddCardsToHand,
-  processForceWin as _processForceWin
+  processForceWin as _processForceWin,
+  processUndo as _processUndo
 } from '../logic/actions/MiscActionStrategy.js';
 
 // --- Strategy Registry ---
 // Maps action type strings to instance method names.
 // processAction uses this map instead of a switch statement.
-const ACTION_STRATEGIES = {
+export const ACTION_STRATEGIES = {
   attack: 'processAttack',
   ability: 'processAbility',
   move: 'processMove',
   deployment: 'processDeployment',
   cardPlay: 'processCardPlay',
   searchAndDrawCompletion: 'processSearchAndDrawCompletion',
+  triggerOrderDecision: 'processTriggerOrderDecision',
+  triggerResponse: 'processTriggerResponse',
   recallAbility: 'processRecallAbility',
   targetLockAbility: 'processTargetLockAbility',
   recalculateAbility: 'processRecalculateAbility',
   recalculateComplete: 'processRecalculateComplete',
   reallocateShieldsAbility: 'processReallocateShieldsAbility',
   reallocateShieldsComplete: 'processReallocateShieldsComplete',
+  shipCardAbility: 'processShipCardAbility',
   turnTransition: 'processTurnTransition',
   phaseTransition: 'processPhaseTransition',
   roundStart: 'processRoundStart',
@@ -94,6 +106,7 @@ const ACTION_STRATEGIES = {
   commitment: 'processCommitment',
   draw: 'processDraw',
   energyReset: 'processEnergyReset',
+  roundStartTriggers: 'processRoundStartTriggers',
   roundEndTriggers: 'processRoundEndTriggers',
   rebuildProgress: 'processRebuildProgress',
   momentumAward: 'processMomentumAward',
@@ -102,10 +115,11 @@ const ACTION_STRATEGIES = {
   resetShields: 'processResetShields',
   debugAddCardsToHand: 'processDebugAddCardsToHand',
   forceWin: 'processForceWin',
+  undo: 'processUndo',
 };
 
 // Status consumption actions need special routing (status type + shouldEndTurn)
-const STATUS_CONSUMPTION_TYPES = {
+export const STATUS_CONSUMPTION_TYPES = {
   snaredConsumption: 'snared',
   suppressedConsumption: 'suppressed',
 };
@@ -182,6 +196,9 @@ class ActionProcessor {
     // from phase transitions triggered by handleActionCompletion/waitForPendingActionCompletion.
     this._responseAnimationLog = null;
 
+    // Single-player undo history — snapshots taken around queued actions
+    this.undoManager = new UndoManager();
+
     debugLog('STATE_SYNC', '⚙️ ActionProcessor initialized');
   }
 
@@ -290,6 +307,7 @@ class ActionProcessor {
       processDeployment: (payload) => ap.processDeployment(payload),
       processCommitment: (payload) => ap.processCommitment(payload),
       processDestroyDrone: (payload) => ap.processDestroyDrone(payload),
+      processShipCardAbility: (payload) => ap.processShipCardAbility(payload),
 
       // Win condition
       checkWinCondition: () => ap.checkWinCondition(),
@@ -304,6 +322,7 @@ class ActionProcessor {
       getAiPhaseProcessor: () => ap.aiPhaseProcessor,
       getPhaseManager: () => ap.phaseManager,
       getGameDataService: () => ap.gameDataService,
+      getUndoManager: () => ap.undoManager,
     };
     return this._actionContext;
   }
@@ -417,9 +436,13 @@ setAnimationManager(animationManager) {
         const action = this.actionQueue.shift();
 
         try {
+          this.undoManager.beforeAction(action, this.gameStateManager.getState());
           const result = await this.processAction(action);
+          this.undoManager.afterAction(this.gameStateManager.getState());
+          this._syncUndoAvailable();
           action.resolve(result);
         } catch (error) {
+          this.undoManager.discardPending();
           debugLog('STATE_SYNC', 'Action processing error:', error);
           debugLog('EFFECT_CHAIN_DEBUG', '[QUEUE] Action processing error', {
             type: action.type, error: error.message, stack: error.stack,
@@ -453,7 +476,7 @@ setAnimationManager(animationManager) {
     // PASS STATE VALIDATION - Prevent actions after players have passed
     if (currentState.passInfo) {
       // Actions that should be blocked if current player has passed
-      const playerActionTypes = ['attack', 'ability', 'deployment', 'cardPlay', 'recallAbility', 'targetLockAbility', 'recalculateAbility', 'reallocateShieldsAbility'];
+      const playerActionTypes = ['attack', 'ability', 'deployment', 'cardPlay', 'recallAbility', 'targetLockAbility', 'recalculateAbility', 'reallocateShieldsAbility', 'shipCardAbility'];
       if (playerActionTypes.includes(type)) {
         // Determine the current player for this action
         let actionPlayerId = payload.playerId || currentState.currentPlayer;
@@ -568,8 +591,9 @@ setAnimationManager(animationManager) {
       const playerActionTypes = [
         'attack', 'ability', 'move', 'deployment', 'cardPlay',
         'movementCompletion', 'searchAndDrawCompletion',
+        'triggerOrderDecision', 'triggerResponse',
         'aiAction', 'aiTurn', 'playerPass', 'turnTransition',
-        'recallAbility', 'targetLockAbility',
+        'recallAbility', 'targetLockAbility', 'shipCardAbility',
         'recalculateComplete', 'reallocateShieldsComplete',
         'snaredConsumption', 'suppressedConsumption'
       ];
@@ -606,6 +630,8 @@ setAnimationManager(animationManager) {
     return _processCardPlay(payload, this._getActionContext());
   }
   async processSearchAndDrawCompletion(payload) { return _processSearchAndDrawCompletion(payload, this._getActionContext()); }
+  async processTriggerOrderDecision(payload) { return _processTriggerOrderDecision(payload, this._getActionContext()); }
+  async processTriggerResponse(payload) { return _processTriggerResponse(payload, this._getActionContext()); }
   async processRecallAbility(payload) { return _processRecallAbility(payload, this._getActionContext()); }
   async processTargetLockAbility(payload) { return _processTargetLockAbility(payload, this._getActionContext()); }
   validateShipAbilityActivationLimit(sectionName, playerId, playerStates) { return _validateShipAbilityActivationLimit(sectionName, playerId, playerStates); }
@@ -613,6 +639,7 @@ setAnimationManager(animationManager) {
   async processRecalculateComplete(payload) { return _processRecalculateComplete(payload, this._getActionContext()); }
   async processReallocateShieldsAbility(payload) { return _processReallocateShieldsAbility(payload, this._getActionContext()); }
   async processReallocateShieldsComplete(payload) { return _processReallocateShieldsComplete(payload, this._getActionContext()); }
+  async processShipCardAbility(payload) { return _processShipCardAbility(payload, this._getActionContext()); }
 
   /**
    * Check for win conditions after state-changing actions
@@ -643,7 +670,7 @@ setAnimationManager(animationManager) {
     };
 
     // Call WinConditionChecker to check win condition
-    const result = WinConditionChecker.checkGameStateForWinner(playerStates, callbacks);
+    const result = WinConditionChecker.checkGameStateForWinner(playerStates, callbacks, currentState.winCondition);
 
     if (result) {
       const gs = this.gameStateManager.getState();
@@ -653,12 +680,85 @@ setAnimationManager(animationManager) {
         p1: { drones: _countDrones(gs.player1), hand: gs.player1?.hand?.length, energy: gs.player1?.energy, momentum: gs.player1?.momentum },
         p2: { drones: _countDrones(gs.player2), hand: gs.player2?.hand?.length, energy: gs.player2?.energy, momentum: gs.player2?.momentum },
       });
+    } else {
+      this.checkBossPhase();
     }
 
     return result;
   }
 
-  processForceWin() { return _processForceWin(null, this._getActionContext()); }
+  /**
+   * Advance a boss encounter into any phase its hull integrity has crossed
+   * Called by checkWinCondition when the action's damage did not end the game,
+   * so a killing blow never starts a new phase.
+   * @returns {number|null} Boss phase now in play, or null when nothing changed
+   */
+  checkBossPhase() {
+    const currentState = this.gameStateManager.getState();
+    const transition = resolveBossPhaseTransitions(currentState, (entry) => {
+      this.gameStateManager.addLogEntry(entry, 'checkBossPhase');
+    });
+    if (!transition) return null;
+
+    const ctx = this._getActionContext();
+    ctx.captureAnimations([
+      ...transition.enteredPhases.map(phase => ({
+        animationName: 'BOSS_PHASE_ANNOUNCEMENT',
+        timing: 'pre-state',
+        payload: { phase: 'bossPhase', text: phase.name.toUpperCase(), subtitle: phase.description, variant: 'opponent' },
+      })),
+      ...ctx.mapAnimationEvents(transition.animationEvents)
+    ]);
+    ctx.setPlayerStates(transition.newPlayerStates.player1, transition.newPlayerStates.player2);
+    ctx.setState({
+      singlePlayerEncounter: { ...currentState.singlePlayerEncounter, bossPhase: transition.bossPhase }
+    });
+
+    debugLog('SP_COMBAT', `👑 Boss phase advanced to ${transition.bossPhase}`, {
+      entered: transition.enteredPhases.map(phase => phase.id)
+    });
+    return transition.bossPhase;
+  }
+
+  /**
+   * Check round-based match objectives (lane control, survival, round limit)
+   * Called by GameFlowManager once a round's end-of-round triggers have resolved.
+   * @returns {string|null} Winner ('player1', 'player2', or null if play continues)
+   */
+  checkRoundEndWinCondition() {
+    const currentState = this.gameStateManager.getState();
+    if (currentState.winner || !currentState.winCondition) {
+      return null;
+    }
+
+    const { winner, progress } = WinConditionChecker.checkRoundEndForWinner(currentState, {
+      logCallback: (entry) => {
+        this.gameStateManager.addLogEntry(entry, 'checkRoundEndWinCondition');
+      },
+      setWinnerCallback: (winnerId) => {
+        this.gameStateManager.setWinner(winnerId);
+      }
+    });
+
+    if (progress !== currentState.winConditionProgress) {
+      this._withUpdateContext(() => this.gameStateManager.setState({ winConditionProgress: progress }, 'WIN_CONDITION_PROGRESS'));
+    }
+
+    return winner;
+  }
+
+  processForceWin(payload) { return _processForceWin(payload, this._getActionContext()); }
+  processUndo(payload) { return _processUndo(payload, this._getActionContext()); }
+
+  /**
+   * Mirror undo availability into game state so the UI can offer the Undo button.
+   */
+  _syncUndoAvailable() {
+    const undoAvailable = this.undoManager.canUndo();
+    if ((this.gameStateManager.getState().undoAvailable ?? false) !== undoAvailable) {
+      this._withUpdateContext(() => this.gameStateManager.setState({ undoAvailable }, 'UNDO_AVAILABILITY'));
+    }
+  }
   async processTurnTransition(payload) { return _processTurnTransition(payload, this._getActionContext()); }
   async processPhaseTransition(payload) { return _processPhaseTransition(payload, this._getActionContext()); }
   async processRoundStart(payload) { return _processRoundStart(payload, this._getActionContext()); }
@@ -766,6 +866,7 @@ setAnimationManager(animationManager) {
   applyPhaseCommitments(phase) { return _applyPhaseCommitments(phase, this._getActionContext()); }
   async processDraw(payload) { return _processDraw(payload, this._getActionContext()); }
   async processEnergyReset(payload) { return _processEnergyReset(payload, this._getActionContext()); }
+  async processRoundStartTriggers(payload) { return _processRoundStartTriggers(payload, this._getActionContext()); }
   async processRoundEndTriggers(payload) { return _processRoundEndTriggers(payload, this._getActionContext()); }
   async processRebuildProgress(payload) { return _processRebuildProgress(payload, this._getActionContext()); }
   async processMomentumAward(payload) { return _processMomentumAward(payload, this._getActionContext()); }
@@ -790,6 +891,8 @@ setAnimationManager(animationManager) {
 
     this.isProcessing = false;
 
+    this.undoManager.clear();
+
     // Clear event listeners to prevent stale subscriptions
     this.listeners = [];
   }
@@ -859,17 +859,30 @@ class GameFlowManager {
       this.emit('phaseTransition', { newPhase: 'roundEnd', previousPhase });
 
       // Defer startNewRound to a new response cycle — trigger animations play first
-      this.deferContinuation(() => this.startNewRound());
+      this.deferContinuation(() => this.completeRoundEnd());
       return null;
     }
 
     // No triggers — continue immediately in same cascade (no response boundary needed)
     this.emit('phaseTransition', { newPhase: 'roundEnd', previousPhase });
-    await this.startNewRound();
+    await this.completeRoundEnd();
 
     return null;
   }
 
+  /**
+   * Settle round-based match objectives once end-of-round triggers have resolved,
+   * then start the next round unless the match has been decided
+   */
+  async completeRoundEnd() {
+    const winner = this.actionProcessor.checkRoundEndWinCondition();
+    if (winner) {
+      debugLog('PHASE_TRANSITIONS', `🏆 Match objective decided at round end, winner: ${winner}`);
+      return;
+    }
+    await this.startNewRound();
+  }
+
   /**
    * Get next phase in pre-game sequence
    * @param {string} currentPhase - Current pre-game phase
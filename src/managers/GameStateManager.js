@@ -8,6 +8,7 @@ import { gameEngine, startingDecklist } from '../logic/gameLogic.js';
 import ActionProcessor from './ActionProcessor.js';
 import GameDataService from '../services/GameDataService.js';
 import { debugLog } from '../utils/debugLogger.js';
+import SeededRandom from '../utils/seededRandom.js';
 import aiPhaseProcessor from './AIPhaseProcessor.js';
 import tacticalMapStateManager from './TacticalMapStateManager.js';
 import StateValidationService from '../logic/state/StateValidationService.js';
@@ -435,6 +436,12 @@ class GameStateManager {
       firstPlayerOverride: null,
       passInfo: { firstPasser: null, player1Passed: false, player2Passed: false },
       winner: null,
+      turnClock: null,
+      winCondition: null,
+      winConditionProgress: null,
+      triggerResolution: null,
+      triggerOrderPending: null,
+      undoAvailable: false,
       player1: gameEngine.initialPlayerState('Player 1', startingDecklist),
       player2: gameEngine.initialPlayerState('Player 2', startingDecklist),
       placedSections: [],
@@ -464,13 +471,15 @@ class GameStateManager {
 
   /**
    * Start a new game session - initialize players and game state
-   * @param {string} gameMode - 'local', 'host', 'guest'
+   * @param {string} gameMode - 'local', 'host', 'guest', 'spectator' or 'online' (dedicated server)
    * @param {Object} player1Config - Player 1 configuration
    * @param {Object} player2Config - Player 2 configuration
    * @param {Object} options - Optional state overrides (used by SPCI for extraction combat)
    *   May contain: turnPhase, gameStage, roundNumber, currentPlayer, firstPlayerOfRound,
    *   commitments, placedSections, opponentPlacedSections, singlePlayerEncounter,
-   *   pendingQuickDeploy, opponentShieldsToAllocate, gameLog
+   *   pendingQuickDeploy, opponentShieldsToAllocate, gameLog, turnClock,
+   *   winCondition (see config/matchRules.js createWinCondition),
+   *   triggerResolution (TRIGGER_RESOLUTION_MODES from logic/triggers/triggerConstants.js)
    */
   startGame(gameMode = 'local', player1Config = {}, player2Config = {}, options = {}) {
     debugLog('STATE_SYNC', '🎮 GAME START: Initializing new game session');
@@ -497,7 +506,7 @@ class GameStateManager {
     // Host/Local generates, remote client receives seed from host's first broadcast
     // GameServer is created by AppRouter when appState transitions to 'inGame'
     // so gameMode param is the correct signal here.
-    const isRemoteClient = gameMode === 'guest';
+    const isRemoteClient = gameMode === 'guest' || gameMode === 'spectator' || gameMode === 'online';
     const gameSeed = isRemoteClient
       ? null
       : Math.floor(Math.random() * 2147483647);
@@ -522,6 +531,20 @@ class GameStateManager {
       passInfo: { firstPasser: null, player1Passed: false, player2Passed: false },
       winner: null,
 
+      // Chess-clock state for timed multiplayer matches (seeded via options.turnClock)
+      turnClock: null,
+
+      // Match victory condition (seeded via options.winCondition; null = total damage)
+      winCondition: null,
+      winConditionProgress: null,
+
+      // Simultaneous trigger rules (seeded via options.triggerResolution; null = priority order)
+      triggerResolution: null,
+      triggerOrderPending: null,
+
+      // Single-player undo (mirrors ActionProcessor.undoManager)
+      undoAvailable: false,
+
       // Initialize players with custom configurations
       player1: {
         ...gameEngine.initialPlayerState(
@@ -564,6 +587,7 @@ class GameStateManager {
       Object.assign(gameState, options);
     }
 
+    SeededRandom.resetMatchRollCount(gameState.gameSeed);
     this.setState(gameState, 'GAME_STARTED');
 
     // Set up GameFlowManager subscription just before gameplay begins
@@ -775,6 +799,7 @@ class GameStateManager {
    * Check if it's the local player's turn (for multiplayer)
    */
   isMyTurn() {
+    if (this.isSpectator()) return false;
     const localId = this.getLocalPlayerId();
     return this.state.currentPlayer === localId;
   }
@@ -786,6 +811,13 @@ class GameStateManager {
     return this.gameServer?.getLocalPlayerId?.() ?? 'player1';
   }
 
+  /**
+   * Check if this client is a read-only spectator of a multiplayer game
+   */
+  isSpectator() {
+    return this.gameServer?.isSpectator?.() ?? false;
+  }
+
   /**
    * Check if this client is the remote (guest/player2) side of a multiplayer game
    */
@@ -1041,6 +1073,8 @@ class GameStateManager {
     // from CombatOutcomeProcessor.finalizeLootCollection or other paths)
     this._updateContext = 'GameFlowManager';
 
+    SeededRandom.resetMatchRollCount(this.state.gameSeed);
+
     try {
       this.setState({
         // Game flow state
@@ -1072,6 +1106,12 @@ class GameStateManager {
         attackInProgress: null,
         lastCombatResult: null,
         winner: null,
+        turnClock: null,
+        winCondition: null,
+        winConditionProgress: null,
+        triggerResolution: null,
+        triggerOrderPending: null,
+        undoAvailable: false,
         singlePlayerEncounter: null,
 
         // UI state - ship placement
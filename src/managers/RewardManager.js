@@ -752,12 +752,15 @@ class RewardManager {
    * - Seed tracked for replay consistency
    * - Differentiates first-time vs repeat victory (first-time is larger)
    * - Falls back to BOSS_REWARD defaults in cardPackData.js when config missing
+   * - Multi-phase bosses add each reached phase's reward on top (partial rewards
+   *   for how far the fight progressed)
    *
    * @param {Object} bossConfig - Boss configuration with firstTimeReward/repeatReward from aiData.js
    * @param {boolean} isFirstVictory - Whether this is the first time defeating this boss
-   * @returns {Object} - { credits, aiCores, reputation, seed, isBossReward }
+   * @param {number} phaseReached - Boss phases entered during the fight (0 = opening phase only)
+   * @returns {Object} - { credits, aiCores, reputation, phaseReached, seed, isBossReward }
    */
-  generateBossReward(bossConfig, isFirstVictory) {
+  generateBossReward(bossConfig, isFirstVictory, phaseReached = 0) {
     const seed = this.getNextSeed();
 
     // Get rewards from config (with fallbacks from cardPackData)
@@ -774,10 +777,17 @@ class RewardManager {
       credits: configReward?.credits ?? fallbackReward?.credits ?? 0,
       aiCores: configReward?.aiCores ?? fallbackReward?.aiCores ?? 0,
       reputation: configReward?.reputation ?? fallbackReward?.reputation ?? 0,
+      phaseReached,
       seed,
       isBossReward: true
     };
 
+    for (const phase of (bossConfig?.phases || []).slice(0, phaseReached)) {
+      rewards.credits += phase.reward?.credits || 0;
+      rewards.aiCores += phase.reward?.aiCores || 0;
+      rewards.reputation += phase.reward?.reputation || 0;
+    }
+
     // Track in history
     this.state.rewardHistory.push({
       timestamp: Date.now(),
@@ -5,6 +5,7 @@
 // Step 3: Energy & resource reset (stats, drones, budgets, shields)
 // Step 3b: Momentum award (lane control bonus)
 // Step 3c: Drone rebuild progress
+// Step 3d: ON_ROUND_START triggers
 // Step 4: Card draw
 // Step 5: Quick deploy (round 1 only)
 //
@@ -281,6 +282,34 @@ class RoundInitializationProcessor {
       p2Rebuilt: !!rebuildUpdates.player2,
     });
 
+    // ========================================
+    // STEP 3d: ON_ROUND_START Triggers
+    // ========================================
+    debugLog('PHASE_TRANSITIONS', '🌅 Step 3d: Processing round start triggers');
+
+    const preTriggerState = this.gameStateManager.getState();
+    const roundStartResult = RoundManager.processRoundStartTriggers(
+      preTriggerState.player1,
+      preTriggerState.player2,
+      { player1: preTriggerState.placedSections, player2: preTriggerState.opponentPlacedSections },
+      (entry, debugSource) => this.gameStateManager.addLogEntry(entry, debugSource || 'roundStartTriggers'),
+      preTriggerState.firstPlayerOfRound
+    );
+
+    if (roundStartResult?.animationEvents?.length > 0) {
+      await this.actionProcessor.queueAction({
+        type: 'roundStartTriggers',
+        payload: {
+          player1: roundStartResult.player1,
+          player2: roundStartResult.player2,
+          animationEvents: roundStartResult.animationEvents
+        }
+      });
+      debugLog('PHASE_TRANSITIONS', '✅ ON_ROUND_START triggers processed', {
+        animationEventsCount: roundStartResult.animationEvents.length
+      });
+    }
+
     // ========================================
     // STEP 4: Card Draw
     // ========================================
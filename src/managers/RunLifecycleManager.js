@@ -12,8 +12,13 @@ import { calculateSectionBaseStats } from '../logic/statsCalculator.js';
 import fullCardCollection from '../data/cardData.js';
 import ReputationService from '../logic/reputation/ReputationService.js';
 import { calculateExtractedCredits } from '../logic/singlePlayer/ExtractionController.js';
+import { deriveRunSeed } from '../logic/singlePlayer/runSeed.js';
+import { calculateChallengeScore, encodeScoreCode } from '../logic/singlePlayer/dailyChallenge.js';
 import { generateRandomShopPack } from '../data/cardPackData.js';
 import { generateMapData } from '../logic/map/mapGenerator.js';
+import { spawnPatrols } from '../logic/map/patrolPathing.js';
+import { getSensorRange, getNewlyRevealedHexes } from '../logic/map/fogOfWar.js';
+import { mapTiers } from '../data/mapData.js';
 import tacticalMapStateManager from './TacticalMapStateManager.js';
 import transitionManager from './TransitionManager.js';
 import { debugLog } from '../utils/debugLogger.js';
@@ -61,14 +66,18 @@ class RunLifecycleManager {
    * @param {number} [options.entryGateId=0] - Selected entry gate ID (0-indexed)
    * @param {Object} [options.preGeneratedMap=null] - Optional pre-generated map data from Hangar preview
    * @param {Object} [options.quickDeploy=null] - Optional quick deploy template to use for first combat
+   * @param {number} [options.runSeed=null] - Seed for a deterministic run (map, encounters, loot, AI shuffles)
+   * @param {Object} [options.challenge=null] - Daily Challenge { id, seed } to score the run for
    */
-  startRun({ shipSlotId, mapTier, entryGateId = 0, preGeneratedMap = null, quickDeploy = null }) {
+  startRun({ shipSlotId, mapTier, entryGateId = 0, preGeneratedMap = null, quickDeploy = null, runSeed = null, challenge = null }) {
     debugLog('EXTRACTION', '=== START RUN ===', {
       shipSlotId,
       mapTier,
       entryGateId,
       hasPreGeneratedMap: !!preGeneratedMap,
       hasQuickDeploy: !!quickDeploy,
+      runSeed,
+      challengeId: challenge?.id,
       currentAppState: this.gsm.state.appState,
       hasExistingRun: tacticalMapStateManager.isRunActive(),
       runAbandoning: this.gsm.state.runAbandoning
@@ -94,14 +103,14 @@ class RunLifecycleManager {
     if (preGeneratedMap && preGeneratedMap.hexes) {
       mapData = preGeneratedMap;
     } else {
-      // Fallback: Generate map using deterministic seed
-      const seed = Date.now(); // See FUTURE_IMPROVEMENTS #37 — profile-based seed for reproducibility
+      // Fallback: Generate map using deterministic seed (seeded runs derive it from the run seed)
+      const seed = runSeed !== null ? deriveRunSeed(runSeed, 'map') : Date.now(); // See FUTURE_IMPROVEMENTS #37
       const mapType = 'GENERIC'; // See FUTURE_IMPROVEMENTS #37 — map type selection
       mapData = generateMapData(seed, mapTier, mapType);
     }
 
-    // Deduct security token if map requires it
-    if (mapData.requiresToken) {
+    // Deduct security token if map requires it (challenge maps are open to everyone)
+    if (mapData.requiresToken && !challenge) {
       const currentTokens = this.gsm.state.singlePlayerProfile?.securityTokens || 0;
       if (currentTokens < 1) {
         debugLog('EXTRACTION', '🚨 Cannot start run - insufficient tokens');
@@ -266,7 +275,12 @@ class RunLifecycleManager {
       mapTier,
       mapData,
       startingGate,
-      shipSections: runShipSections
+      shipSections: runShipSections,
+      patrols: spawnPatrols(mapData, mapTiers[(mapData.tier || mapTier) - 1], startingGate),
+      // Opening sensor sweep - everything else starts as an unknown signal
+      revealedHexes: getNewlyRevealedHexes([], mapData.hexes, startingGate, getSensorRange(runShipSections)),
+      runSeed,
+      challenge
     });
     debugLog('STATE_SYNC', 'TacticalMapStateManager initialized for run');
 
@@ -275,6 +289,8 @@ class RunLifecycleManager {
       // CRITICAL: Clear stale flags from previous runs to prevent race conditions
       // runAbandoning must be false or SinglePlayerCombatInitializer will reject combat init
       runAbandoning: false,
+      // Seeded runs restart the reward seed so loot rolls replay (RewardManager.getNextSeed)
+      ...(runSeed !== null && { masterSeed: deriveRunSeed(runSeed, 'loot') }),
     });
 
     // CRITICAL: Reset TransitionManager to clear any stale transition state from previous runs
@@ -371,6 +387,18 @@ class RunLifecycleManager {
       finalDetection: runState.detection || 0,
     };
 
+    // Daily Challenge score and shareable code
+    if (runState.challenge) {
+      const score = calculateChallengeScore(lastRunSummary);
+      lastRunSummary.challenge = {
+        id: runState.challenge.id,
+        seed: runState.challenge.seed,
+        score: score.total,
+        scoreBreakdown: score.breakdown,
+        scoreCode: encodeScoreCode(runState.challenge, lastRunSummary)
+      };
+    }
+
     debugLog('EXTRACTION', 'Run summary generated', { lastRunSummary });
 
     // Build all state changes immutably, then apply via setState at the end
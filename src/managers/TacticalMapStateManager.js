@@ -11,6 +11,9 @@ import { debugLog } from '../utils/debugLogger.js';
  * - collectedLoot, creditsEarned, aiCoresEarned
  * - POI tracking (lootedPOIs, fledPOIs, highAlertPOIs)
  * - waypoints (single source of truth for waypoint path, survives combat transitions)
+ * - patrols, lastNoise (roaming hunter fleets, see PatrolController)
+ * - revealedPOIs (PoIs revealed by derelict beacons, see TerrainController)
+ * - revealedHexes (fog of war - identified PoIs and gates, see SensorController)
  * - pendingPOICombat
  *
  * Lifecycle:
@@ -79,16 +82,24 @@ class TacticalMapStateManager {
    * @param {Object} config.mapData - Generated map data (hexes, pois, gates, backgroundIndex, etc.)
    * @param {Object} config.startingGate - Starting gate coordinates {q, r}
    * @param {Object} [config.shipSections] - Optional ship sections with hull values
+   * @param {Array<Object>} [config.patrols] - Optional patrol tokens (see patrolPathing.spawnPatrols)
+   * @param {Array<Object>} [config.revealedHexes] - Hexes identified by the opening sensor sweep
+   * @param {number} [config.runSeed] - Seed for a deterministic run (see logic/singlePlayer/runSeed.js)
+   * @param {Object} [config.challenge] - Daily Challenge { id, seed } the run is scored for
    */
   startRun(config) {
-    const { shipSlotId, mapTier, mapData, startingGate, shipSections } = config;
+    const { shipSlotId, mapTier, mapData, startingGate, shipSections, patrols, revealedHexes, runSeed, challenge } = config;
 
     this.state = {
       // Run identity
       shipSlotId,
       mapTier,
 
-      // Map data (READ-ONLY after initialization)
+      // Seeded runs - null for normal runs (rolls use their usual random seeds)
+      runSeed: runSeed ?? null,
+      challenge: challenge || null,
+
+      // Map data (READ-ONLY after initialization, except drifting terrain hexes)
       // This includes backgroundIndex which must survive combat
       mapData,
 
@@ -103,6 +114,16 @@ class TacticalMapStateManager {
       // Starts at 0%, increases per move, resets on combat victory
       encounterDetectionChance: 0,
 
+      // Roaming patrols - move each player move, investigate lastNoise at medium threat
+      patrols: patrols || [],
+      lastNoise: null,
+
+      // PoIs revealed by derelict beacons
+      revealedPOIs: [],
+
+      // Fog of war - PoIs and gates identified by sensors or scans
+      revealedHexes: revealedHexes || [],
+
       // Ship state (run-specific damage tracking)
       shipSections: shipSections || {},
       currentHull: 0,
@@ -911,6 +911,13 @@ describe('AIPhaseProcessor - Event-driven AI turn activation', () => {
 
     expect(aiPhaseProcessor.turnTimer).toBeNull();
   });
+
+  it('never subscribes for turns when initialized with takesTurns: false (match replays)', () => {
+    aiPhaseProcessor.initialize(null, [], null, mockActionProcessor, mockGameStateManager, { takesTurns: false });
+
+    expect(mockGameStateManager.subscribe).not.toHaveBeenCalled();
+    expect(aiPhaseProcessor.gameStateManager).toBe(mockGameStateManager);
+  });
 });
 
 describe('AIPhaseProcessor - Animation blocking wait-and-retry', () => {
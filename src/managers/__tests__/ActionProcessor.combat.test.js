@@ -64,7 +64,7 @@ vi.mock('../../utils/debugLogger.js', () => ({
   debugLog: vi.fn(), timingLog: vi.fn(), getTimestamp: vi.fn()
 }));
 vi.mock('../../data/shipSectionData.js', () => ({ shipComponentCollection: [] }));
-vi.mock('../../utils/seededRandom.js', () => ({ default: {} }));
+vi.mock('../../utils/seededRandom.js', () => ({ default: { getMatchRollCount: () => 0 } }));
 vi.mock('../../logic/availability/DroneAvailabilityManager.js', () => ({ initializeForCombat: vi.fn() }));
 
 // Combat-specific mocks — kept here because they contain test-specific behaviour
@@ -102,7 +102,8 @@ vi.mock('../../logic/triggers/TriggerProcessor.js', () => ({
   }
 }));
 vi.mock('../../logic/triggers/triggerConstants.js', () => ({
-  TRIGGER_TYPES: { ON_MOVE: 'ON_MOVE', ON_LANE_MOVEMENT_IN: 'ON_LANE_MOVEMENT_IN', ON_LANE_ATTACK: 'ON_LANE_ATTACK' }
+  TRIGGER_TYPES: { ON_MOVE: 'ON_MOVE', ON_LANE_MOVEMENT_IN: 'ON_LANE_MOVEMENT_IN', ON_LANE_ATTACK: 'ON_LANE_ATTACK' },
+  TRIGGER_RESOLUTION_MODES: { PRIORITY: 'PRIORITY', PLAYER_CHOICE: 'PLAYER_CHOICE' }
 }));
 
 // Combat-specific default drone state — provides pre-populated boards for combat tests
@@ -36,7 +36,7 @@ vi.mock('../../utils/debugLogger.js', () => ({
   debugLog: vi.fn(), timingLog: vi.fn(), getTimestamp: vi.fn()
 }));
 vi.mock('../../data/shipSectionData.js', () => ({ shipComponentCollection: [] }));
-vi.mock('../../utils/seededRandom.js', () => ({ default: {} }));
+vi.mock('../../utils/seededRandom.js', () => ({ default: { getMatchRollCount: () => 0 } }));
 vi.mock('../../logic/availability/DroneAvailabilityManager.js', () => ({
   initializeForCombat: vi.fn((drones) => {
     const availability = {};
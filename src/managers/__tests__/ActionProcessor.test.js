@@ -1,6 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import ActionProcessor from '../ActionProcessor.js';
 import { createMockGameStateManager } from './actionProcessorTestHelpers.js';
+import WinConditionChecker from '../../logic/game/WinConditionChecker.js';
+import { resolveBossPhaseTransitions } from '../../logic/singlePlayer/BossPhaseProcessor.js';
 
 // Mock all heavy dependencies at module level
 vi.mock('../../logic/gameLogic.js', () => ({
@@ -30,7 +32,7 @@ vi.mock('../../logic/EffectRouter.js', () => ({ default: class {} }));
 vi.mock('../../logic/deployment/DeploymentProcessor.js', () => ({ default: class {} }));
 vi.mock('../../logic/round/RoundManager.js', () => ({ default: {} }));
 vi.mock('../../logic/shields/ShieldManager.js', () => ({ default: {} }));
-vi.mock('../../logic/game/WinConditionChecker.js', () => ({ default: { checkGameStateForWinner: vi.fn() } }));
+vi.mock('../../logic/game/WinConditionChecker.js', () => ({ default: { checkGameStateForWinner: vi.fn(), declareForfeit: vi.fn() } }));
 vi.mock('../../logic/abilities/AbilityResolver.js', () => ({ default: {} }));
 vi.mock('../../logic/abilities/ship/RecallAbilityProcessor.js', () => ({ default: {} }));
 vi.mock('../../logic/abilities/ship/TargetLockAbilityProcessor.js', () => ({ default: {} }));
@@ -45,8 +47,9 @@ vi.mock('../../utils/debugLogger.js', () => ({
   getTimestamp: vi.fn()
 }));
 vi.mock('../../data/shipSectionData.js', () => ({ shipComponentCollection: [] }));
-vi.mock('../../utils/seededRandom.js', () => ({ default: {} }));
+vi.mock('../../utils/seededRandom.js', () => ({ default: { getMatchRollCount: () => 0 } }));
 vi.mock('../../logic/availability/DroneAvailabilityManager.js', () => ({ initializeForCombat: vi.fn() }));
+vi.mock('../../logic/singlePlayer/BossPhaseProcessor.js', () => ({ resolveBossPhaseTransitions: vi.fn(() => null) }));
 
 describe('ActionProcessor — Queue & Locking', () => {
   let ap;
@@ -325,6 +328,16 @@ describe('ActionProcessor — processForceWin (DEV)', () => {
           powerCell: { hull: 10, maxHull: 10 },
           droneControlHub: { hull: 10, maxHull: 10 }
         }
+      },
+      player1: {
+        name: 'Player 1',
+        dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
+        hand: [], energy: 5,
+        shipSections: {
+          bridge: { hull: 10, maxHull: 10 },
+          powerCell: { hull: 10, maxHull: 10 },
+          droneControlHub: { hull: 10, maxHull: 10 }
+        }
       }
     });
     ap = ActionProcessor.getInstance(gsm);
@@ -346,12 +359,12 @@ describe('ActionProcessor — processForceWin (DEV)', () => {
     expect(updateCall[1].shipSections.droneControlHub.hull).toBe(0);
   });
 
-  it('calls checkWinCondition after damaging sections', () => {
-    const checkWinSpy = vi.spyOn(ap, 'checkWinCondition');
-
+  it('declares player2 the loser after damaging sections', () => {
     ap.processForceWin();
 
-    expect(checkWinSpy).toHaveBeenCalled();
+    expect(WinConditionChecker.declareForfeit).toHaveBeenCalledWith(
+      'player2', expect.anything(), 'forced win (DEV)', expect.any(Object)
+    );
   });
 
   it('adds log entry for dev action', () => {
@@ -365,6 +378,114 @@ describe('ActionProcessor — processForceWin (DEV)', () => {
       'forceWin'
     );
   });
+
+  it('destroys the sections of payload.loserId and logs a time forfeit', () => {
+    ap.processForceWin({ loserId: 'player1', reason: 'timeout' });
+
+    const updateCall = gsm.updatePlayerState.mock.calls.find(call => call[0] === 'player1');
+    expect(Object.values(updateCall[1].shipSections).every(s => s.hull === 0)).toBe(true);
+    expect(gsm.updatePlayerState.mock.calls.some(call => call[0] === 'player2')).toBe(false);
+    expect(gsm.addLogEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ actionType: 'TIME_FORFEIT' }),
+      'forceWin'
+    );
+  });
+});
+
+describe('ActionProcessor — boss phases', () => {
+  let ap;
+  let gsm;
+
+  const transition = {
+    bossPhase: 1,
+    enteredPhases: [{ id: 'SIEGE', name: 'Siege Protocol', description: 'Escorts arrive.' }],
+    newPlayerStates: { player1: { name: 'Player 1' }, player2: { name: 'Nemesis' } },
+    animationEvents: [],
+  };
+
+  beforeEach(() => {
+    ActionProcessor.reset();
+    gsm = createMockGameStateManager({ singlePlayerEncounter: { isBossCombat: true, bossId: 'BOSS_T1_NEMESIS', bossPhase: 0 } });
+    ap = ActionProcessor.getInstance(gsm);
+    ap.setAnimationManager(null);
+  });
+
+  afterEach(() => {
+    ActionProcessor.reset();
+    vi.clearAllMocks();
+  });
+
+  it('applies a phase transition and announces it when nobody has won', () => {
+    resolveBossPhaseTransitions.mockReturnValueOnce(transition);
+    ap.startResponseCapture();
+
+    expect(ap.checkWinCondition()).toBeFalsy();
+
+    expect(gsm.setPlayerStates).toHaveBeenCalledWith({ name: 'Player 1' }, { name: 'Nemesis' });
+    expect(gsm.setState).toHaveBeenCalledWith(expect.objectContaining({
+      singlePlayerEncounter: expect.objectContaining({ bossId: 'BOSS_T1_NEMESIS', bossPhase: 1 }),
+    }));
+    const captured = ap.getAndClearResponseCapture().actionAnimations;
+    expect(captured).toEqual([expect.objectContaining({
+      animationName: 'BOSS_PHASE_ANNOUNCEMENT',
+      payload: expect.objectContaining({ text: 'SIEGE PROTOCOL', subtitle: 'Escorts arrive.' }),
+    })]);
+  });
+
+  it('does not start a new phase on the killing blow', () => {
+    WinConditionChecker.checkGameStateForWinner.mockReturnValueOnce('player1');
+
+    ap.checkWinCondition();
+
+    expect(resolveBossPhaseTransitions).not.toHaveBeenCalled();
+  });
+});
+
+describe('ActionProcessor — undo', () => {
+  let ap;
+  let gsm;
+
+  beforeEach(() => {
+    ActionProcessor.reset();
+    gsm = createMockGameStateManager({}, { deepClone: true });
+    ap = ActionProcessor.getInstance(gsm);
+    ap.setAnimationManager(null);
+    vi.spyOn(ap, 'processMove').mockResolvedValue({ success: true, shouldEndTurn: false });
+  });
+
+  afterEach(() => {
+    ActionProcessor.reset();
+    vi.clearAllMocks();
+  });
+
+  const queueMove = () => ap.queueAction({
+    type: 'move', payload: { droneId: 'd1', fromLane: 'lane1', toLane: 'lane2', playerId: 'player1' },
+  });
+
+  it('offers undo after a reversible move and restores the earlier state', async () => {
+    await queueMove();
+    expect(gsm.setState).toHaveBeenCalledWith({ undoAvailable: true }, 'UNDO_AVAILABILITY');
+
+    const result = await ap.queueAction({ type: 'undo', payload: { playerId: 'player1' } });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, undoneActionType: 'move' }));
+    expect(gsm.setState).toHaveBeenCalledWith(
+      expect.objectContaining({ turnPhase: 'action', currentPlayer: 'player1', undoAvailable: false }),
+      'UNDO'
+    );
+  });
+
+  it('refuses to undo when there is nothing to undo', async () => {
+    const result = await ap.queueAction({ type: 'undo', payload: { playerId: 'player1' } });
+    expect(result).toEqual({ success: false, error: 'Nothing to undo' });
+  });
+
+  it('forgets the history when the queue is cleared', async () => {
+    await queueMove();
+    ap.clearQueue();
+
+    expect(ap.undoManager.canUndo()).toBe(false);
+  });
 });
 
 describe('ActionProcessor — clearQueue Full Cleanup', () => {
@@ -96,6 +96,7 @@ describe('GameFlowManager - End of Round Phase', () => {
       processFirstPlayerDetermination: vi.fn(async () => ({ success: true, firstPlayer: 'player1' })),
       queueAction: vi.fn(async () => ({ success: true })),
       executeAndCaptureAnimations: vi.fn(async () => {}),
+      checkRoundEndWinCondition: vi.fn(() => null),
       subscribe: vi.fn(() => () => {}),
     };
 
@@ -245,6 +246,16 @@ describe('GameFlowManager - End of Round Phase', () => {
       expect(gfm.hasDeferredContinuation()).toBe(false);
     });
 
+    it('ends the match instead of starting a new round when a round-end objective is met', async () => {
+      const spy = vi.spyOn(gfm, 'startNewRound').mockResolvedValue();
+      mockActionProcessor.checkRoundEndWinCondition.mockReturnValueOnce('player1');
+
+      await gfm.processRoundEnd('action');
+
+      expect(mockActionProcessor.checkRoundEndWinCondition).toHaveBeenCalled();
+      expect(spy).not.toHaveBeenCalled();
+    });
+
     it('returns null (automatic phase with no next-phase — startNewRound handles flow)', async () => {
       vi.spyOn(gfm, 'startNewRound').mockResolvedValue();
 
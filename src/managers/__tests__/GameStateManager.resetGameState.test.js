@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import gameStateManager from '../GameStateManager.js';
+import SeededRandom from '../../utils/seededRandom.js';
 
 // Mock the map generator to avoid complex dependencies
 vi.mock('../logic/map/generateMapData.js', () => ({
@@ -147,4 +148,15 @@ describe('GameStateManager.resetGameState', () => {
       });
     });
   });
+
+  it('forgets the finished match\'s roll count', () => {
+    gameStateManager._updateContext = 'GameFlowManager';
+    gameStateManager.setState({ gameSeed: 777 });
+    gameStateManager._updateContext = null;
+    new SeededRandom(1, { gameSeed: 777 }).random();
+
+    gameStateManager.resetGameState();
+
+    expect(SeededRandom.getMatchRollCount(777)).toBe(0);
+  });
 });
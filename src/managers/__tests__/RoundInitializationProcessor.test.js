@@ -26,7 +26,8 @@ vi.mock('../../services/GameDataService.js', () => ({
 
 vi.mock('../../logic/round/RoundManager.js', () => ({
   default: {
-    readyDronesAndRestoreShields: vi.fn((player) => ({ ...player, exhausted: false }))
+    readyDronesAndRestoreShields: vi.fn((player) => ({ ...player, exhausted: false })),
+    processRoundStartTriggers: vi.fn((player1, player2) => ({ player1, player2, animationEvents: [] }))
   }
 }));
 
@@ -166,6 +167,34 @@ describe('RoundInitializationProcessor', () => {
     });
   });
 
+  // --- Step 3d: ON_ROUND_START triggers ---
+
+  describe('Step 3d: Round start triggers', () => {
+    it('does not queue roundStartTriggers when nothing fired', async () => {
+      await processor.process({ isRoundLoop: false });
+
+      expect(RoundManager.processRoundStartTriggers).toHaveBeenCalledOnce();
+      const triggerCalls = mockAP.queueAction.mock.calls.filter(c => c[0].type === 'roundStartTriggers');
+      expect(triggerCalls.length).toBe(0);
+    });
+
+    it('queues roundStartTriggers after energyReset and before draw when triggers fire', async () => {
+      RoundManager.processRoundStartTriggers.mockReturnValueOnce({
+        player1: { hand: [], dronesOnBoard: {}, energy: 6 },
+        player2: { hand: [], dronesOnBoard: {}, energy: 0 },
+        animationEvents: [{ type: 'TRIGGER_FIRED' }]
+      });
+
+      await processor.process({ isRoundLoop: false });
+
+      const actionTypes = mockAP.queueAction.mock.calls.map(c => c[0].type);
+      const triggerIdx = actionTypes.indexOf('roundStartTriggers');
+      expect(triggerIdx).toBeGreaterThan(actionTypes.indexOf('energyReset'));
+      expect(triggerIdx).toBeLessThan(actionTypes.indexOf('draw'));
+      expect(mockAP.queueAction.mock.calls[triggerIdx][0].payload.player1.energy).toBe(6);
+    });
+  });
+
   // --- Step 4: Card draw ---
 
   describe('Step 4: Card draw', () => {
@@ -52,6 +52,8 @@ import transitionManager from '../TransitionManager.js';
 import { calculateExtractedCredits } from '../../logic/singlePlayer/ExtractionController.js';
 import { generateRandomShopPack } from '../../data/cardPackData.js';
 import ReputationService from '../../logic/reputation/ReputationService.js';
+import { generateMapData } from '../../logic/map/mapGenerator.js';
+import { getDailyChallengeSeed, verifyScoreCode } from '../../logic/singlePlayer/dailyChallenge.js';
 
 // --- Mock GSM Factory ---
 function createMockGSM(stateOverrides = {}) {
@@ -140,6 +142,51 @@ describe('RunLifecycleManager', () => {
       expect(gsm.state.runAbandoning).toBe(false);
     });
 
+    it('reveals only PoIs and gates within sensor range of the insertion gate', () => {
+      const preMap = {
+        hexes: [
+          { q: 0, r: 0, type: 'gate' },
+          { q: 1, r: 0, type: 'poi' },
+          { q: 4, r: 0, type: 'poi' },
+          { q: 0, r: 1, type: 'empty' }
+        ],
+        gates: [{ q: 0, r: 0 }],
+        name: 'Pre Map', poiCount: 2, gateCount: 1, baseDetection: 0,
+      };
+
+      rlm.startRun({ shipSlotId: 0, mapTier: 1, entryGateId: 0, preGeneratedMap: preMap });
+
+      const { revealedHexes } = tacticalMapStateManager.startRun.mock.calls[0][0];
+      expect(revealedHexes).toEqual([{ q: 0, r: 0 }, { q: 1, r: 0 }]);
+    });
+
+    it('seeded runs generate the map and loot seed from the run seed', () => {
+      rlm.startRun({ shipSlotId: 0, mapTier: 1, runSeed: 1234 });
+      const firstMapSeed = generateMapData.mock.calls[0][0];
+      const firstMasterSeed = gsm.state.masterSeed;
+
+      rlm.startRun({ shipSlotId: 0, mapTier: 1, runSeed: 1234 });
+
+      expect(generateMapData.mock.calls[1][0]).toBe(firstMapSeed);
+      expect(gsm.state.masterSeed).toBe(firstMasterSeed);
+      expect(firstMasterSeed).not.toBe(firstMapSeed);
+      expect(tacticalMapStateManager.startRun.mock.calls[0][0].runSeed).toBe(1234);
+    });
+
+    it('challenge runs skip the security token cost', () => {
+      const tokenMap = {
+        hexes: [{ q: 0, r: 0 }], gates: [{ q: 0, r: 0 }],
+        name: 'Token Map', poiCount: 1, gateCount: 1, baseDetection: 0,
+        requiresToken: true,
+      };
+      gsm.state.singlePlayerProfile.securityTokens = 0;
+
+      rlm.startRun({ shipSlotId: 0, mapTier: 1, preGeneratedMap: tokenMap, runSeed: 1, challenge: { id: '2026-10-19', seed: 1 } });
+
+      expect(tacticalMapStateManager.startRun).toHaveBeenCalledOnce();
+      expect(tacticalMapStateManager.startRun.mock.calls[0][0].challenge).toEqual({ id: '2026-10-19', seed: 1 });
+    });
+
     it('throws for an invalid (non-existent) ship slot', () => {
       expect(() => rlm.startRun({ shipSlotId: 99, mapTier: 1 })).toThrow('Invalid ship slot ID');
     });
@@ -286,6 +333,30 @@ describe('RunLifecycleManager', () => {
       expect(finalCall.lastRunSummary.reputation.repGained).toBe(10);
     });
 
+    it('scores challenge runs with a verifiable score code', () => {
+      const seed = getDailyChallengeSeed('2026-10-19');
+      tacticalMapStateManager.getState.mockReturnValue(createMockRunState({
+        runSeed: seed,
+        challenge: { id: '2026-10-19', seed }
+      }));
+
+      rlm.endRun(true);
+
+      const { challenge } = gsm.setState.mock.calls[0][0].lastRunSummary;
+      expect(challenge.id).toBe('2026-10-19');
+      // 500 extraction + 500 credits + 2 combats * 100 + 20 hull * 10
+      expect(challenge.score).toBe(1400);
+      expect(verifyScoreCode(challenge.scoreCode)).toMatchObject({ valid: true, seed, score: 1400 });
+    });
+
+    it('leaves normal runs unscored', () => {
+      tacticalMapStateManager.getState.mockReturnValue(createMockRunState());
+
+      rlm.endRun(true);
+
+      expect(gsm.setState.mock.calls[0][0].lastRunSummary.challenge).toBeUndefined();
+    });
+
     it('on failure: persists section damage for non-zero slot and increments runsLost', () => {
       const mockRunState = createMockRunState();
       tacticalMapStateManager.getState.mockReturnValue(mockRunState);
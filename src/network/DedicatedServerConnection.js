@@ -0,0 +1,244 @@
+// ========================================
+// DEDICATED SERVER CONNECTION (WebSocket)
+// ========================================
+// Client side of a match hosted by a dedicated server
+// (scripts/dedicated-server.js). Neither player's browser runs the engine:
+// the server seats each connection as player1 or player2 and streams it
+// state already redacted for that seat. The seat comes with a session token;
+// if the socket drops mid-match, connecting to the same server again presents
+// it and takes the seat back.
+//
+// Emits the same event shapes P2PManager does for the guest
+// ('state_update_received', 'action_ack_received', 'game_started', ...), so
+// WebSocketTransport can feed them through MessageQueue unchanged.
+//
+// Protocol (JSON text frames):
+//   server → client: welcome { playerId, sessionToken }, game_started,
+//                    state_update { sequenceId, state, actionAnimations, systemAnimations, isFullSync? },
+//                    action_ack { actionType, success, error?, errorCode?, authoritativeState? },
+//                    opponent_left, error { error }
+//   client → server: action { action: { type, payload } }, sync_request
+//   A reconnecting client passes its token as the `session` query parameter.
+
+import { debugLog } from '../utils/debugLogger.js';
+
+/** WebSocket.OPEN — the constant is not available on every implementation */
+const SOCKET_OPEN = 1;
+
+export class DedicatedServerConnection {
+  constructor() {
+    this.socket = null;
+    this.serverUrl = null;
+    this.playerId = null;
+    this.sessionToken = null;
+    this.isConnected = false;
+    this.matchInProgress = false;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to connection events
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Emit event to all listeners
+   */
+  emit(type, data = {}) {
+    this.listeners.forEach(listener => {
+      try {
+        listener({ type, data });
+      } catch (error) {
+        debugLog('MP_JOIN_TRACE', 'Error in dedicated server listener', { error: true, message: error.message });
+      }
+    });
+  }
+
+  /**
+   * Connect to a dedicated server and wait to be seated.
+   * Reconnecting to the server we dropped from presents our session token.
+   * @param {string} url - ws:// or wss:// address of the server
+   * @param {Object} [options]
+   * @param {Function} [options.WebSocketImpl] - WebSocket constructor (defaults to the browser's)
+   * @returns {Promise<string>} The seat assigned by the server ('player1' | 'player2')
+   */
+  connect(url, { WebSocketImpl = globalThis.WebSocket } = {}) {
+    if (this.socket) {
+      this.disconnect();
+    }
+
+    if (url !== this.serverUrl) {
+      this.sessionToken = null;
+    }
+    const sessionToken = this.sessionToken;
+
+    debugLog('MP_JOIN_TRACE', 'Connecting to dedicated server', { url, resuming: !!sessionToken });
+    this.serverUrl = url;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const fail = (message) => {
+        this.emit('connection_error', { error: message });
+        if (!settled) {
+          settled = true;
+          reject(new Error(message));
+        }
+      };
+
+      let socket;
+      try {
+        socket = new WebSocketImpl(sessionToken ? this._withSessionToken(url, sessionToken) : url);
+      } catch (error) {
+        fail(`Could not reach server: ${error.message}`);
+        return;
+      }
+      this.socket = socket;
+
+      socket.onmessage = (event) => {
+        const message = this._parse(event.data);
+        if (!message) return;
+
+        if (message.type === 'welcome' && !settled) {
+          settled = true;
+          this.playerId = message.playerId;
+          this.sessionToken = message.sessionToken || null;
+          this.isConnected = true;
+          this.emit('connected', { playerId: message.playerId, serverUrl: url });
+          resolve(message.playerId);
+          return;
+        }
+
+        if (message.type === 'error' && !settled) {
+          // A rejected token will not be accepted next time either
+          this.sessionToken = null;
+          fail(message.error);
+          socket.close();
+          return;
+        }
+
+        this._handleMessage(message);
+      };
+
+      socket.onerror = () => {
+        if (!settled) fail('Could not reach server');
+      };
+
+      socket.onclose = () => {
+        if (this.socket !== socket) return;
+        if (!settled) fail('Server closed the connection');
+        this._reset();
+        this.emit('disconnected', { reason: 'server_closed' });
+      };
+    });
+  }
+
+  _withSessionToken(url, sessionToken) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}session=${encodeURIComponent(sessionToken)}`;
+  }
+
+  _parse(data) {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      debugLog('MP_SYNC_TRACE', 'Ignoring malformed server message', { error: true, message: error.message });
+      return null;
+    }
+  }
+
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'game_started':
+        this.matchInProgress = true;
+        this.emit('game_started', { playerId: this.playerId });
+        break;
+
+      case 'state_update': {
+        const { type: _type, ...data } = message;
+        this.emit('state_update_received', data);
+        break;
+      }
+
+      case 'action_ack': {
+        const { type: _type, ...data } = message;
+        this.emit('action_ack_received', data);
+        break;
+      }
+
+      case 'opponent_left':
+        this.emit('opponent_left', {});
+        break;
+
+      case 'error':
+        debugLog('MP_SYNC_TRACE', 'Server reported an error', { error: true, message: message.error });
+        this.emit('send_error', { error: message.error });
+        break;
+
+      default:
+        debugLog('MP_SYNC_TRACE', 'Unknown server message type', { type: message.type });
+    }
+  }
+
+  _send(message) {
+    if (!this.isConnected || this.socket?.readyState !== SOCKET_OPEN) {
+      debugLog('MP_SYNC_TRACE', 'Guard: not connected to dedicated server', { guard: true, messageType: message.type });
+      return false;
+    }
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Send a player action to the server (client → server)
+   */
+  sendAction(actionType, payload) {
+    debugLog('MP_SYNC_TRACE', 'Sending action to dedicated server', { actionType });
+    this._send({ type: 'action', action: { type: actionType, payload } });
+  }
+
+  /**
+   * Ask the server for a full state sync (e.g. after out-of-order messages)
+   */
+  requestFullSync() {
+    debugLog('MP_SYNC_TRACE', 'Requesting full sync from dedicated server');
+    this._send({ type: 'sync_request' });
+  }
+
+  _reset() {
+    this.socket = null;
+    this.playerId = null;
+    this.isConnected = false;
+    this.matchInProgress = false;
+  }
+
+  /**
+   * Close the connection. The server frees the seat; we give up our claim to it.
+   */
+  disconnect() {
+    const socket = this.socket;
+    this._reset();
+    this.sessionToken = null;
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+      this.emit('disconnected', { reason: 'client_left' });
+    }
+  }
+
+  getStatus() {
+    return {
+      isConnected: this.isConnected,
+      serverUrl: this.serverUrl,
+      playerId: this.playerId,
+      matchInProgress: this.matchInProgress,
+    };
+  }
+}
+
+// Create singleton instance
+const dedicatedServerConnection = new DedicatedServerConnection();
+
+export default dedicatedServerConnection;
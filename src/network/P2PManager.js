@@ -3,16 +3,37 @@
 // ========================================
 // Handles WebRTC peer-to-peer connections using Trystero
 // Manages room creation, joining, and command synchronization
+//
+// Every peer in a Trystero room sees every other peer, so peers announce a
+// role (host / player / spectator) on join. The host seats the first player
+// and treats spectators as read-only receivers of redacted state.
+//
+// A seated guest receives a session token. If it drops mid-match the host
+// pauses and holds the seat for RECONNECT_WINDOW_MS; the guest rejoins with
+// the token and catches up through the normal full-sync path.
 
 import { joinRoom } from 'trystero/firebase';
 import { debugLog, timingLog, getTimestamp } from '../utils/debugLogger.js';
 import { TRIGGER_FIRED } from '../config/animationTypes.js';
 
+/** Roles announced in the PEER_ROLE handshake */
+export const PEER_ROLES = {
+  HOST: 'host',
+  PLAYER: 'player',
+  SPECTATOR: 'spectator',
+};
+
+/** How long the host holds a dropped guest's seat mid-match */
+export const RECONNECT_WINDOW_MS = 60000;
+
+const SESSION_STORAGE_KEY = 'p2pSession';
+
 class P2PManager {
   constructor() {
     this.room = null;
     this.roomCode = null;
     this.isHost = false;
+    this.isSpectator = false;
     this.isConnected = false;
     this.listeners = new Set();
     this.hostGameServer = null;
@@ -25,15 +46,29 @@ class P2PManager {
       phaseCompleted: null,
       syncRequest: null,  // For resync requests (guest → host)
       actionAck: null,    // For action acknowledgements (host → guest)
-      gameStarted: null   // For game start signal (host → guest)
+      gameStarted: null,  // For game start signal (host → guest)
+      peerRole: null,     // For role handshake (all peers)
+      session: null       // For seat confirmation + reconnect token (host → guest)
     };
 
     // Track connected peers
     this.peers = new Set();
-    this.currentPeerId = null; // The other peer's ID
+    this.currentPeerId = null; // The other player's peer ID (guest's host / host's guest)
+    this.spectators = new Set(); // Host only: peer IDs watching read-only
 
-    // Broadcast sequence counter for message ordering
+    // Broadcast sequence counters for message ordering (separate stream per audience)
     this.broadcastSequence = 0;
+    this.spectatorSequence = 0;
+
+    // Resolves a pending joinGame() once the host has confirmed the connection
+    this._pendingJoin = null;
+
+    // Reconnection: host holds the token of the seated guest, guest holds its own
+    this.sessionToken = null;
+    this.matchInProgress = false;   // Guest: set once game_started arrives
+    this.reconnectPending = null;   // Host: { expiresAt, timeoutId } while a dropped guest's seat is held
+    this.isReconnecting = false;    // Guest: lost the host mid-match, waiting to rejoin
+    this._reconnectTimeoutId = null;
 
     // Firebase configuration
     this.firebaseConfig = {
@@ -122,6 +157,10 @@ class P2PManager {
 
     receiveGuestAction(async (data, peerId) => {
       debugLog('MP_SYNC_TRACE', '[8/10] Server received client action', { actionType: data.action?.type });
+      if (peerId !== this.currentPeerId) {
+        debugLog('MP_SYNC_TRACE', 'Guard: ignoring action from non-player peer', { guard: true, peerId, isSpectator: this.spectators.has(peerId) });
+        return;
+      }
       if (this.hostGameServer) {
         await this.hostGameServer.handleRemoteAction(data.action);
       }
@@ -158,7 +197,7 @@ class P2PManager {
 
       // Only host responds to sync requests
       if (this.isHost) {
-        this.emit('sync_requested', { peerId, requestId: data.requestId });
+        this.emit('sync_requested', { peerId, requestId: data.requestId, isSpectator: this.spectators.has(peerId) });
       }
     });
 
@@ -179,9 +218,306 @@ class P2PManager {
     this.actions.gameStarted = { send: sendGameStarted, receive: receiveGameStarted };
 
     receiveGameStarted((data, peerId) => {
-      debugLog('MP_GAME_TRACE', 'Client received game_started signal');
+      debugLog('MP_GAME_TRACE', 'Client received game_started signal', { resumed: !!data.resumed });
+      this.matchInProgress = true;
       this.emit('game_started', data);
     });
+
+    // PEER_ROLE action (all peers) — role handshake sent on peer join
+    const [sendPeerRole, receivePeerRole] = this.room.makeAction('PEER_ROLE');
+    this.actions.peerRole = { send: sendPeerRole, receive: receivePeerRole };
+
+    receivePeerRole((data, peerId) => {
+      debugLog('MP_JOIN_TRACE', 'Peer role received', { peerId, role: data.role, isHost: this.isHost });
+      if (this.isHost) {
+        this._handleJoinerRole(data, peerId);
+      } else if (data.role === PEER_ROLES.HOST) {
+        this._handleHostRole(data, peerId);
+      }
+    });
+
+    // SESSION action (host → guest) — confirms the seat and carries the reconnect token
+    const [sendSession, receiveSession] = this.room.makeAction('SESSION');
+    this.actions.session = { send: sendSession, receive: receiveSession };
+
+    receiveSession((data, peerId) => {
+      if (this.isHost || this.isSpectator) return;
+      this._handleSeatConfirmed(data, peerId);
+    });
+  }
+
+  /**
+   * Role this peer announces in the PEER_ROLE handshake
+   */
+  _getOwnRole() {
+    if (this.isHost) return PEER_ROLES.HOST;
+    return this.isSpectator ? PEER_ROLES.SPECTATOR : PEER_ROLES.PLAYER;
+  }
+
+  /**
+   * Announce own role to a newly joined peer.
+   * A guest holding a session token sends it so the host can give back its seat.
+   */
+  _announceRole(peerId) {
+    try {
+      const roleData = { role: this._getOwnRole() };
+      if (this.isHost) {
+        roleData.seatTaken = !!this.currentPeerId && this.currentPeerId !== peerId;
+      } else if (!this.isSpectator && this.sessionToken) {
+        roleData.sessionToken = this.sessionToken;
+      }
+      this.actions.peerRole.send(roleData, peerId);
+    } catch (error) {
+      debugLog('MP_JOIN_TRACE', 'Failed to announce role', { error: true, peerId, message: error.message });
+    }
+  }
+
+  /**
+   * Host: tell a joining player the seat is not available
+   */
+  _rejectPlayer(peerId) {
+    debugLog('MP_JOIN_TRACE', 'Guard: player seat already taken', { guard: true, peerId });
+    try {
+      this.actions.peerRole.send({ role: PEER_ROLES.HOST, seatTaken: true }, peerId);
+    } catch (error) {
+      debugLog('MP_JOIN_TRACE', 'Failed to reject player', { error: true, peerId, message: error.message });
+    }
+  }
+
+  /**
+   * Host: seat a joining player, resume a reconnecting one, or register a spectator
+   */
+  _handleJoinerRole(data, peerId) {
+    const { role } = data;
+
+    if (role === PEER_ROLES.SPECTATOR) {
+      this.spectators.add(peerId);
+      debugLog('MP_JOIN_TRACE', 'Spectator joined', { role: 'host', peerId, spectatorCount: this.spectators.size });
+      this.emit('spectator_joined', { peerId, spectatorCount: this.spectators.size });
+      this.hostGameServer?.handleSpectatorJoined(peerId);
+      return;
+    }
+
+    if (role !== PEER_ROLES.PLAYER) return;
+
+    // A returning guest proves it owns the seat with its session token
+    const isReturningPeer = !!this.reconnectPending || this.currentPeerId === peerId;
+    if (isReturningPeer && data.sessionToken) {
+      if (data.sessionToken === this.sessionToken) {
+        this._resumeSession(peerId);
+      } else {
+        this._rejectPlayer(peerId);
+      }
+      return;
+    }
+
+    if (this.currentPeerId || this.reconnectPending) {
+      this._rejectPlayer(peerId);
+      return;
+    }
+
+    debugLog('MP_JOIN_TRACE', '[4/7] Player seated', { role: 'host', remotePeerId: peerId });
+    this.currentPeerId = peerId;
+    this.isConnected = true;
+    this.sessionToken = crypto.randomUUID();
+    this.actions.session.send({ sessionToken: this.sessionToken, resumed: false }, peerId);
+
+    this.emit('connected', {
+      isHost: this.isHost,
+      roomCode: this.roomCode
+    });
+  }
+
+  /**
+   * Guest/spectator: the host has announced itself.
+   * Spectators are connected at this point; players wait for the host's
+   * SESSION message confirming their seat.
+   */
+  _handleHostRole(data, peerId) {
+    if (data.seatTaken && !this.isSpectator) {
+      debugLog('MP_JOIN_TRACE', 'Host reports game is full', { guard: true });
+      const pendingJoin = this._pendingJoin;
+      this.room?.leave();
+      this.room = null;
+      this._pendingJoin = null;
+      this._clearSavedSession();
+      pendingJoin?.reject(new Error('Game is full - watch as a spectator instead'));
+      return;
+    }
+
+    if (this.isSpectator) {
+      this._establishClientConnection(peerId);
+    }
+  }
+
+  /**
+   * Guest: the host seated us (fresh join, page-reload rejoin, or reconnect after a drop)
+   */
+  _handleSeatConfirmed(data, peerId) {
+    this.sessionToken = data.sessionToken;
+    this._saveSession();
+
+    if (this.isReconnecting) {
+      clearTimeout(this._reconnectTimeoutId);
+      this._reconnectTimeoutId = null;
+      this.isReconnecting = false;
+      this.currentPeerId = peerId;
+      this.isConnected = true;
+      debugLog('MP_JOIN_TRACE', 'Reconnected to host', { role: 'guest', roomCode: this.roomCode });
+      this.emit('reconnected', { roomCode: this.roomCode });
+      return;
+    }
+
+    this._establishClientConnection(peerId);
+  }
+
+  /**
+   * Guest/spectator: mark the host connection live and notify the lobby
+   */
+  _establishClientConnection(peerId) {
+    this.currentPeerId = peerId;
+    this.isConnected = true;
+
+    const mode = this.isSpectator ? 'spectator' : 'guest';
+    this.emit('multiplayer_mode_change', { mode, isHost: false });
+    this.emit('joined_room', { roomCode: this.roomCode, isSpectator: this.isSpectator });
+    this.emit('connected', {
+      isHost: this.isHost,
+      roomCode: this.roomCode,
+      isSpectator: this.isSpectator
+    });
+
+    debugLog('MP_JOIN_TRACE', '[5/7] Client events emitted', { role: mode, roomCode: this.roomCode });
+
+    this._pendingJoin?.resolve();
+    this._pendingJoin = null;
+  }
+
+  // --- RECONNECTION ---
+
+  /**
+   * Host: the seated guest dropped mid-match. Keep the room and the seat,
+   * pause the match and wait RECONNECT_WINDOW_MS for the same session to return.
+   */
+  _beginReconnectWindow() {
+    const expiresAt = Date.now() + RECONNECT_WINDOW_MS;
+    debugLog('MP_JOIN_TRACE', 'Guest dropped mid-match, holding seat', { role: 'host', windowMs: RECONNECT_WINDOW_MS });
+
+    this.currentPeerId = null;
+    this.isConnected = false;
+    this.reconnectPending = {
+      expiresAt,
+      timeoutId: setTimeout(() => this._expireReconnectWindow(), RECONNECT_WINDOW_MS),
+    };
+
+    this.hostGameServer?.pauseForReconnect();
+    this.emit('peer_reconnecting', { expiresAt, windowMs: RECONNECT_WINDOW_MS });
+  }
+
+  /**
+   * Host: the reconnect window closed without the guest returning — the guest
+   * forfeits and the match is over
+   */
+  _expireReconnectWindow() {
+    debugLog('MP_JOIN_TRACE', 'Reconnect window expired', { role: 'host' });
+    this.reconnectPending = null;
+    this.sessionToken = null;
+    this.hostGameServer?.forfeitDroppedGuest().catch((error) => {
+      debugLog('MP_JOIN_TRACE', 'Failed to forfeit dropped guest', { error: true, message: error.message });
+    });
+    this.emit('reconnect_expired', {});
+    this.emit('disconnected', {});
+  }
+
+  /**
+   * Host: give the seat back to a returning guest and resume the match.
+   * The guest requests a full sync once it sees the seat confirmed; a guest
+   * that reloaded its page also needs game_started to re-enter the battle.
+   */
+  _resumeSession(peerId) {
+    if (this.reconnectPending) {
+      clearTimeout(this.reconnectPending.timeoutId);
+      this.reconnectPending = null;
+    }
+
+    debugLog('MP_JOIN_TRACE', 'Guest session resumed', { role: 'host', remotePeerId: peerId });
+    this.currentPeerId = peerId;
+    this.isConnected = true;
+
+    try {
+      this.actions.session.send({ sessionToken: this.sessionToken, resumed: true }, peerId);
+      if (this.hostGameServer?.isMatchActive()) {
+        this.actions.gameStarted.send({ timestamp: Date.now(), inProgress: true, resumed: true }, peerId);
+      }
+    } catch (error) {
+      debugLog('MP_JOIN_TRACE', 'Failed to confirm resumed session', { error: true, message: error.message });
+    }
+
+    this.hostGameServer?.resumeAfterReconnect();
+    this.emit('peer_reconnected', { peerId });
+  }
+
+  /**
+   * Guest: lost the host mid-match. Keep the room open so the host is
+   * rediscovered when the network recovers; give up after RECONNECT_WINDOW_MS.
+   */
+  _beginGuestReconnect() {
+    debugLog('MP_JOIN_TRACE', 'Lost host mid-match, waiting to reconnect', { role: 'guest', windowMs: RECONNECT_WINDOW_MS });
+    this.isReconnecting = true;
+    this._reconnectTimeoutId = setTimeout(() => {
+      if (!this.isReconnecting) return;
+      debugLog('MP_JOIN_TRACE', 'Reconnect window expired', { role: 'guest' });
+      this.isReconnecting = false;
+      this._clearSavedSession();
+      this.emit('reconnect_expired', {});
+      this.emit('disconnected', {});
+    }, RECONNECT_WINDOW_MS);
+
+    this.emit('connection_lost', { expiresAt: Date.now() + RECONNECT_WINDOW_MS, windowMs: RECONNECT_WINDOW_MS });
+  }
+
+  /**
+   * Guest: leave and re-enter the room with the saved session token.
+   * Used for a manual retry while reconnecting.
+   */
+  rejoinSession() {
+    if (this.isHost || !this.roomCode || !this.sessionToken) {
+      debugLog('MP_JOIN_TRACE', 'Guard: no session to rejoin', { guard: true });
+      return;
+    }
+
+    debugLog('MP_JOIN_TRACE', 'Rejoining room with session token', { role: 'guest', roomCode: this.roomCode });
+    this.room?.leave();
+    this._enterClientRoom(this.roomCode, Date.now());
+  }
+
+  /**
+   * Session of the last seated guest in this tab (survives a page reload)
+   * @returns {{roomCode: string, sessionToken: string}|null}
+   */
+  getSavedSession() {
+    try {
+      const saved = sessionStorage.getItem(SESSION_STORAGE_KEY);
+      return saved ? JSON.parse(saved) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  _saveSession() {
+    try {
+      sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ roomCode: this.roomCode, sessionToken: this.sessionToken }));
+    } catch {
+      // Storage unavailable — in-page reconnect still works, reload rejoin does not
+    }
+  }
+
+  _clearSavedSession() {
+    try {
+      sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch {
+      // Storage unavailable — nothing to clear
+    }
   }
 
   /**
@@ -205,23 +541,23 @@ class P2PManager {
       this.setupActionHandlers();
 
       // Setup peer join/leave handlers
+      // Joiners are seated (or registered as spectators) once their PEER_ROLE arrives
       this.room.onPeerJoin(peerId => {
         debugLog('MP_JOIN_TRACE', '[4/7] Peer detected', { role: 'host', remotePeerId: peerId, elapsedMs: Date.now() - startTime });
 
         this.peers.add(peerId);
-        this.currentPeerId = peerId;
-        this.isConnected = true;
-
-        this.emit('connected', {
-          isHost: this.isHost,
-          roomCode: this.roomCode
-        });
+        this._announceRole(peerId);
       });
 
       this.room.onPeerLeave(peerId => {
         debugLog('MP_JOIN_TRACE', '[7/7] Peer left', { role: 'host', peerId });
         this.peers.delete(peerId);
-        if (peerId === this.currentPeerId) {
+        if (this.spectators.delete(peerId)) {
+          this.emit('spectator_left', { peerId, spectatorCount: this.spectators.size });
+        }
+        if (peerId === this.currentPeerId && this.hostGameServer?.isMatchActive()) {
+          this._beginReconnectWindow();
+        } else if (peerId === this.currentPeerId) {
           this.currentPeerId = null;
           this.isConnected = false;
           this.emit('disconnected', {});
@@ -245,64 +581,37 @@ class P2PManager {
 
   /**
    * Join an existing game room
+   * @param {string} roomCode - 6-digit room code
+   * @param {Object} [options]
+   * @param {boolean} [options.asSpectator=false] - Join read-only; receives redacted state, cannot act
+   * @param {string} [options.sessionToken] - Token from an earlier seat; reclaims it if the host is holding it
    */
-  async joinGame(roomCode) {
+  async joinGame(roomCode, { asSpectator = false, sessionToken = null } = {}) {
     try {
       const startTime = Date.now();
 
       this.isHost = false;
+      this.isSpectator = asSpectator;
       this.roomCode = roomCode;
+      this.sessionToken = asSpectator ? null : sessionToken;
 
-      debugLog('MP_JOIN_TRACE', '[2/7] P2PManager.joinGame entry', { role: 'guest', roomCode });
-
-      // Join room using Trystero
-      this.room = joinRoom(this.firebaseConfig, roomCode);
+      debugLog('MP_JOIN_TRACE', '[2/7] P2PManager.joinGame entry', { role: this._getOwnRole(), roomCode, resuming: !!this.sessionToken });
 
-      debugLog('MP_JOIN_TRACE', '[3/7] Trystero room joined', { role: 'guest', elapsedMs: Date.now() - startTime });
-
-      // Setup action handlers
-      this.setupActionHandlers();
+      this._enterClientRoom(roomCode, startTime);
 
       return new Promise((resolve, reject) => {
-        // Setup peer join/leave handlers
-        this.room.onPeerJoin(peerId => {
-          debugLog('MP_JOIN_TRACE', '[4/7] Peer detected', { role: 'guest', hostPeerId: peerId, elapsedMs: Date.now() - startTime });
-
-          this.peers.add(peerId);
-          this.currentPeerId = peerId;
-          this.isConnected = true;
-
-          this.emit('multiplayer_mode_change', { mode: 'guest', isHost: false });
-          this.emit('joined_room', { roomCode });
-          this.emit('connected', {
-            isHost: this.isHost,
-            roomCode: this.roomCode
-          });
-
-          debugLog('MP_JOIN_TRACE', '[5/7] Client events emitted', { role: 'guest', roomCode });
-
-          resolve();
-        });
-
-        this.room.onPeerLeave(peerId => {
-          debugLog('MP_JOIN_TRACE', '[7/7] Peer left', { role: 'guest', peerId });
-          this.peers.delete(peerId);
-          if (peerId === this.currentPeerId) {
-            this.currentPeerId = null;
-            this.isConnected = false;
-            this.emit('disconnected', {});
-          }
-        });
+        this._pendingJoin = { resolve, reject };
 
         // Timeout after 30 seconds
         setTimeout(() => {
-          if (!this.isConnected) {
+          if (!this.isConnected && this._pendingJoin?.resolve === resolve) {
             debugLog('MP_JOIN_TRACE', '[4/7] Client timeout', { timeout: true, elapsedMs: Date.now() - startTime });
             // Clean up zombie room to prevent leaked action handlers on retry
             if (this.room) {
               this.room.leave();
               this.room = null;
             }
+            this._pendingJoin = null;
             reject(new Error('Failed to join room - timeout'));
           }
         }, 30000);
@@ -315,6 +624,40 @@ class P2PManager {
     }
   }
 
+  /**
+   * Guest/spectator: join the Trystero room and wire peer handlers.
+   * Other joiners (spectators, the guest) are also peers — the connection
+   * is only established once the host confirms it via PEER_ROLE / SESSION.
+   */
+  _enterClientRoom(roomCode, startTime) {
+    this.room = joinRoom(this.firebaseConfig, roomCode);
+
+    debugLog('MP_JOIN_TRACE', '[3/7] Trystero room joined', { role: this._getOwnRole(), elapsedMs: Date.now() - startTime });
+
+    this.setupActionHandlers();
+
+    this.room.onPeerJoin(peerId => {
+      debugLog('MP_JOIN_TRACE', '[4/7] Peer detected', { role: this._getOwnRole(), remotePeerId: peerId, elapsedMs: Date.now() - startTime });
+
+      this.peers.add(peerId);
+      this._announceRole(peerId);
+    });
+
+    this.room.onPeerLeave(peerId => {
+      debugLog('MP_JOIN_TRACE', '[7/7] Peer left', { role: this._getOwnRole(), peerId });
+      this.peers.delete(peerId);
+      if (peerId !== this.currentPeerId) return;
+
+      this.currentPeerId = null;
+      this.isConnected = false;
+      if (this.matchInProgress && !this.isSpectator && this.sessionToken) {
+        this._beginGuestReconnect();
+      } else {
+        this.emit('disconnected', {});
+      }
+    });
+  }
+
   /**
    * Guard: check that a peer connection exists, log and return false if not
    * @param {string} context - Description for the log message
@@ -416,6 +759,11 @@ class P2PManager {
       return;
     }
 
+    if (this.isSpectator) {
+      debugLog('MP_SYNC_TRACE', 'Guard: spectators cannot send actions', { guard: true, actionType });
+      return;
+    }
+
     if (!this._requireConnection('Cannot send action')) return;
 
     try {
@@ -493,13 +841,99 @@ class P2PManager {
     if (!this._requireConnection('Cannot send game_started')) return;
 
     try {
-      this.actions.gameStarted.send({ timestamp: Date.now() }, this.currentPeerId);
-      debugLog('MP_GAME_TRACE', 'Server sent game_started to client');
+      this.actions.gameStarted.send({ timestamp: Date.now() }, [this.currentPeerId, ...this.spectators]);
+      debugLog('MP_GAME_TRACE', 'Server sent game_started to client', { spectatorCount: this.spectators.size });
     } catch (error) {
       debugLog('MP_GAME_TRACE', 'sendGameStarted failed', { error: true, message: error.message });
     }
   }
 
+  /**
+   * Signal a single late-joining spectator that the game is in progress (host only)
+   * @param {string} peerId - Spectator peer ID
+   */
+  sendGameStartedToSpectator(peerId) {
+    if (!this.isHost || !this.spectators.has(peerId)) {
+      debugLog('MP_GAME_TRACE', 'Guard: game_started target is not a spectator', { guard: true, peerId });
+      return;
+    }
+
+    try {
+      this.actions.gameStarted.send({ timestamp: Date.now(), inProgress: true }, peerId);
+      debugLog('MP_GAME_TRACE', 'Server sent game_started to spectator', { peerId });
+    } catch (error) {
+      debugLog('MP_GAME_TRACE', 'sendGameStartedToSpectator failed', { error: true, message: error.message });
+    }
+  }
+
+  /**
+   * Check whether a peer joined as a spectator (host only)
+   * @param {string} peerId
+   * @returns {boolean}
+   */
+  isSpectatorPeer(peerId) {
+    return this.spectators.has(peerId);
+  }
+
+  /**
+   * Broadcast spectator-redacted state to all spectators (host → spectators)
+   * Uses its own sequence counter so spectator MessageQueues stay ordered
+   * independently of the guest stream.
+   * @param {Object} state - Spectator-redacted game state
+   * @param {Array} actionAnimations - Player action animations (optional)
+   * @param {Array} systemAnimations - System animations (optional)
+   */
+  broadcastSpectatorState(state, actionAnimations = [], systemAnimations = []) {
+    if (!this.isHost || this.spectators.size === 0) return;
+
+    try {
+      this.spectatorSequence++;
+      this.actions.stateUpdate.send({
+        sequenceId: this.spectatorSequence,
+        state,
+        actionAnimations,
+        systemAnimations,
+        timestamp: Date.now()
+      }, [...this.spectators]);
+
+      debugLog('MP_SYNC_TRACE', 'Server sent spectator state update', {
+        sequenceId: this.spectatorSequence,
+        spectatorCount: this.spectators.size
+      });
+    } catch (error) {
+      debugLog('MP_SYNC_TRACE', 'broadcastSpectatorState failed', { error: true, message: error.message });
+      this.emit('send_error', { error: error.message });
+    }
+  }
+
+  /**
+   * Send full spectator-redacted state to one spectator (host only)
+   * Answers a spectator's SYNC_REQ (initial join and out-of-order recovery).
+   * @param {string} peerId - Spectator peer ID
+   * @param {Object} state - Spectator-redacted game state
+   */
+  sendSpectatorSync(peerId, state) {
+    if (!this.isHost || !this.spectators.has(peerId)) {
+      debugLog('MP_SYNC_TRACE', 'Guard: sync target is not a spectator', { guard: true, peerId });
+      return;
+    }
+
+    try {
+      this.actions.stateUpdate.send({
+        sequenceId: this.spectatorSequence,
+        state,
+        actionAnimations: [],
+        systemAnimations: [],
+        timestamp: Date.now(),
+        isFullSync: true
+      }, peerId);
+      debugLog('MP_SYNC_TRACE', 'Server sent spectator full sync', { resync: true, peerId, sequenceId: this.spectatorSequence });
+    } catch (error) {
+      debugLog('MP_SYNC_TRACE', 'sendSpectatorSync failed', { error: true, message: error.message });
+      this.emit('send_error', { error: error.message });
+    }
+  }
+
   /**
    * Send full sync response to guest (host only)
    * @param {Object} state - Complete game state
@@ -550,6 +984,12 @@ class P2PManager {
    * Disconnect from peer
    */
   disconnect() {
+    if (this.reconnectPending) {
+      clearTimeout(this.reconnectPending.timeoutId);
+    }
+    clearTimeout(this._reconnectTimeoutId);
+    this._clearSavedSession();
+
     if (this.room) {
       this.room.leave();
       this.room = null;
@@ -563,14 +1003,24 @@ class P2PManager {
       phaseCompleted: null,
       syncRequest: null,
       actionAck: null,
-      gameStarted: null
+      gameStarted: null,
+      peerRole: null,
+      session: null
     };
 
     this.peers.clear();
+    this.spectators.clear();
     this.currentPeerId = null;
     this.isConnected = false;
     this.isHost = false;
+    this.isSpectator = false;
     this.roomCode = null;
+    this._pendingJoin = null;
+    this.sessionToken = null;
+    this.matchInProgress = false;
+    this.reconnectPending = null;
+    this.isReconnecting = false;
+    this._reconnectTimeoutId = null;
 
     // Reset to local mode
     this.emit('multiplayer_mode_change', { mode: 'local', isHost: false });
@@ -584,9 +1034,12 @@ class P2PManager {
     return {
       isConnected: this.isConnected,
       isHost: this.isHost,
+      isSpectator: this.isSpectator,
       roomCode: this.roomCode,
       peerId: this.currentPeerId,
       peerCount: this.peers.size,
+      spectatorCount: this.spectators.size,
+      isReconnecting: this.isReconnecting || !!this.reconnectPending,
     };
   }
 
@@ -0,0 +1,174 @@
+// @vitest-environment node
+// Loopback: a real `ws` server hosting DedicatedGameServer, and two clients
+// connected through DedicatedServerConnection + WebSocketTransport.
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { WebSocketServer, WebSocket } from 'ws';
+import { DedicatedServerConnection } from '../DedicatedServerConnection.js';
+import DedicatedGameServer from '../../server/DedicatedGameServer.js';
+import WebSocketTransport from '../../transport/WebSocketTransport.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+}));
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 100; i++) {
+    if (predicate()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for condition');
+};
+
+describe('DedicatedServerConnection over loopback', () => {
+  let wss;
+  let url;
+  let gameServer;
+  let mockEngine;
+  let connections;
+
+  const state = {
+    appState: 'inGame',
+    turnPhase: 'action',
+    player1: { hand: [{ id: 'c1' }], deck: [], hp: 20 },
+    player2: { hand: [{ id: 'c2' }], deck: [], hp: 20 },
+  };
+
+  const connect = async () => {
+    const connection = new DedicatedServerConnection();
+    const events = [];
+    connection.subscribe(event => events.push(event));
+    connections.push(connection);
+    const playerId = await connection.connect(url, { WebSocketImpl: WebSocket });
+    return { connection, events, playerId };
+  };
+
+  beforeEach(async () => {
+    connections = [];
+    const clients = new Map();
+    mockEngine = {
+      getState: () => state,
+      registerClient: (playerId, cb) => clients.set(playerId, cb),
+      unregisterClient: (playerId) => clients.delete(playerId),
+      // Mirrors GameEngine: every action fans out to all registered clients
+      processAction: vi.fn(async () => {
+        for (const cb of clients.values()) cb({ state, animations: { actionAnimations: [], systemAnimations: [] } });
+        return { state, result: { success: true } };
+      }),
+    };
+    gameServer = new DedicatedGameServer(mockEngine, { startMatch: vi.fn() });
+
+    wss = new WebSocketServer({ port: 0 });
+    wss.on('connection', (socket, request) => {
+      const sessionToken = new URL(request.url, 'ws://localhost').searchParams.get('session') || undefined;
+      gameServer.handleConnection(socket, { sessionToken });
+    });
+    await new Promise(resolve => wss.on('listening', resolve));
+    url = `ws://127.0.0.1:${wss.address().port}`;
+  });
+
+  afterEach(async () => {
+    connections.forEach(c => c.disconnect());
+    await new Promise(resolve => wss.close(resolve));
+  });
+
+  it('seats two clients and starts the match', async () => {
+    const p1 = await connect();
+    const p2 = await connect();
+
+    expect(p1.playerId).toBe('player1');
+    expect(p2.playerId).toBe('player2');
+
+    await waitFor(() => p1.events.some(e => e.type === 'game_started') && p2.events.some(e => e.type === 'game_started'));
+    expect(p1.connection.matchInProgress).toBe(true);
+  });
+
+  it('streams each client state redacted for its own seat', async () => {
+    const p1 = await connect();
+    const p2 = await connect();
+    const received = ({ events }) => events.some(e => e.type === 'state_update_received');
+    await waitFor(() => received(p1) && received(p2));
+
+    const p2View = p2.events.find(e => e.type === 'state_update_received').data.state;
+    expect(p2View.player2.hand).toEqual([{ id: 'c2' }]);
+    expect(p2View.player1.hand).not.toContainEqual({ id: 'c1' });
+    expect(p1.events.find(e => e.type === 'state_update_received').data.state.player1.hand).toEqual([{ id: 'c1' }]);
+  });
+
+  it('routes a client action through the server to both transports', async () => {
+    const p1 = await connect();
+    const p2 = await connect();
+    // As in the app, the transport is created after the initial state has gone by
+    const received = ({ events }) => events.some(e => e.type === 'state_update_received');
+    await waitFor(() => received(p1) && received(p2));
+
+    const responses = { player1: [], player2: [] };
+    const t1 = new WebSocketTransport(p1.connection);
+    const t2 = new WebSocketTransport(p2.connection);
+    t1.onResponse(r => responses.player1.push(r));
+    t2.onResponse(r => responses.player2.push(r));
+    const acks = [];
+    t2.onActionAck(ack => acks.push(ack));
+
+    // Transports created mid-match catch up with a full sync first
+    await waitFor(() => responses.player1.length === 1 && responses.player2.length === 1);
+
+    const commitment = { playerId: 'player2', phase: 'action', actionData: { completed: true } };
+    await t2.sendAction('commitment', commitment);
+    await waitFor(() => acks.length === 1 && responses.player1.length === 2);
+
+    expect(mockEngine.processAction).toHaveBeenCalledWith('commitment', commitment);
+    expect(acks[0]).toEqual({ actionType: 'commitment', success: true });
+    expect(responses.player2).toHaveLength(2);
+
+    t1.dispose();
+    t2.dispose();
+  });
+
+  it('rejects an action submitted for the other seat', async () => {
+    const p1 = await connect();
+    const p2 = await connect();
+    const received = ({ events }) => events.some(e => e.type === 'state_update_received');
+    await waitFor(() => received(p1) && received(p2));
+
+    p2.connection.sendAction('commitment', { playerId: 'player1', phase: 'action', actionData: {} });
+    await waitFor(() => p2.events.some(e => e.type === 'action_ack_received'));
+
+    expect(mockEngine.processAction).not.toHaveBeenCalled();
+    expect(p2.events.find(e => e.type === 'action_ack_received').data).toEqual(expect.objectContaining({
+      success: false, errorCode: 'WRONG_PLAYER',
+    }));
+  });
+
+  it('rejects a third client', async () => {
+    await connect();
+    await connect();
+
+    await expect(connect()).rejects.toThrow('Match is full');
+  });
+
+  it('takes its seat back with its session token after dropping mid-match', async () => {
+    const p1 = await connect();
+    await connect();
+    await waitFor(() => p1.events.some(e => e.type === 'game_started'));
+    const token = p1.connection.sessionToken;
+    expect(token).toEqual(expect.any(String));
+
+    p1.connection.socket.close();
+    await waitFor(() => p1.events.some(e => e.type === 'disconnected'));
+    await waitFor(() => !gameServer.seats.has('player1'));
+
+    await expect(connect()).rejects.toThrow('Seat reserved for a reconnecting player');
+
+    const resumedAs = await p1.connection.connect(url, { WebSocketImpl: WebSocket });
+    expect(resumedAs).toBe('player1');
+    expect(p1.connection.sessionToken).toBe(token);
+  });
+
+  it('rejects when no server is listening', async () => {
+    await new Promise(resolve => wss.close(resolve));
+    wss = new WebSocketServer({ noServer: true });
+
+    await expect(connect()).rejects.toThrow('Could not reach server');
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createFakeRoom } from '../../test/helpers/fakeTrysteroRoom.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+  timingLog: vi.fn(),
+  getTimestamp: vi.fn(() => 0),
+}));
+
+let currentRoom;
+vi.mock('trystero/firebase', () => ({
+  joinRoom: vi.fn(() => currentRoom),
+}));
+
+const { default: p2pManager, PEER_ROLES, RECONNECT_WINDOW_MS } = await import('../P2PManager.js');
+
+describe('P2PManager reconnect', () => {
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    sessionStorage.clear();
+    currentRoom = createFakeRoom();
+    events = [];
+    unsubscribe = p2pManager.subscribe((event) => events.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    p2pManager.hostGameServer = null;
+    p2pManager.disconnect();
+    vi.useRealTimers();
+  });
+
+  const eventTypes = () => events.map(e => e.type);
+
+  describe('host', () => {
+    let hostServer;
+    let sessionToken;
+
+    beforeEach(async () => {
+      hostServer = {
+        isMatchActive: vi.fn(() => true),
+        pauseForReconnect: vi.fn(),
+        resumeAfterReconnect: vi.fn(),
+        forfeitDroppedGuest: vi.fn().mockResolvedValue(),
+      };
+      await p2pManager.hostGame();
+      p2pManager.hostGameServer = hostServer;
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER }, 'peer-guest');
+      sessionToken = currentRoom.sent.SESSION[0].data.sessionToken;
+    });
+
+    it('issues a session token when seating the guest', () => {
+      expect(sessionToken).toEqual(expect.any(String));
+      expect(currentRoom.sent.SESSION[0]).toEqual({
+        data: { sessionToken, resumed: false },
+        target: 'peer-guest',
+      });
+    });
+
+    it('pauses and holds the seat when the guest drops mid-match', () => {
+      currentRoom.peerLeave('peer-guest');
+
+      expect(hostServer.pauseForReconnect).toHaveBeenCalled();
+      expect(p2pManager.isConnected).toBe(false);
+      expect(p2pManager.reconnectPending).not.toBeNull();
+      expect(eventTypes()).toContain('peer_reconnecting');
+      expect(eventTypes()).not.toContain('disconnected');
+    });
+
+    it('drops the guest normally when no match is running', () => {
+      hostServer.isMatchActive.mockReturnValue(false);
+      currentRoom.peerLeave('peer-guest');
+
+      expect(hostServer.pauseForReconnect).not.toHaveBeenCalled();
+      expect(eventTypes()).toContain('disconnected');
+    });
+
+    it('resumes the session when the guest returns with its token', () => {
+      currentRoom.peerLeave('peer-guest');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER, sessionToken }, 'peer-guest-2');
+
+      expect(p2pManager.currentPeerId).toBe('peer-guest-2');
+      expect(p2pManager.isConnected).toBe(true);
+      expect(p2pManager.reconnectPending).toBeNull();
+      expect(hostServer.resumeAfterReconnect).toHaveBeenCalled();
+      expect(currentRoom.sent.SESSION[1]).toEqual({
+        data: { sessionToken, resumed: true },
+        target: 'peer-guest-2',
+      });
+      expect(currentRoom.sent.GAME_START[0].target).toBe('peer-guest-2');
+      expect(eventTypes()).toContain('peer_reconnected');
+    });
+
+    it('keeps the seat closed to other players during the window', () => {
+      currentRoom.peerLeave('peer-guest');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER }, 'peer-stranger');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER, sessionToken: 'forged' }, 'peer-forger');
+
+      expect(p2pManager.currentPeerId).toBeNull();
+      expect(currentRoom.sent.PEER_ROLE.map(m => m.target)).toEqual(['peer-stranger', 'peer-forger']);
+      expect(currentRoom.sent.PEER_ROLE.every(m => m.data.seatTaken)).toBe(true);
+    });
+
+    it('ends the match with a forfeit for the guest when the window expires', () => {
+      currentRoom.peerLeave('peer-guest');
+      vi.advanceTimersByTime(RECONNECT_WINDOW_MS - 1);
+      expect(hostServer.forfeitDroppedGuest).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(1);
+
+      expect(hostServer.forfeitDroppedGuest).toHaveBeenCalledTimes(1);
+      expect(p2pManager.reconnectPending).toBeNull();
+      expect(p2pManager.sessionToken).toBeNull();
+      expect(eventTypes()).toEqual(expect.arrayContaining(['reconnect_expired', 'disconnected']));
+    });
+  });
+
+  describe('guest', () => {
+    const joinAndStart = async () => {
+      const joined = p2pManager.joinGame('123456');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.HOST, seatTaken: false }, 'peer-host');
+      currentRoom.deliver('SESSION', { sessionToken: 'token-1', resumed: false }, 'peer-host');
+      await joined;
+      currentRoom.deliver('GAME_START', { timestamp: 0 }, 'peer-host');
+    };
+
+    it('is only connected once the host confirms the seat', async () => {
+      const joined = p2pManager.joinGame('123456');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.HOST, seatTaken: false }, 'peer-host');
+      expect(p2pManager.isConnected).toBe(false);
+
+      currentRoom.deliver('SESSION', { sessionToken: 'token-1', resumed: false }, 'peer-host');
+      await joined;
+
+      expect(p2pManager.isConnected).toBe(true);
+      expect(p2pManager.getSavedSession()).toEqual({ roomCode: '123456', sessionToken: 'token-1' });
+    });
+
+    it('waits to reconnect instead of disconnecting when the host drops mid-match', async () => {
+      await joinAndStart();
+      currentRoom.peerLeave('peer-host');
+
+      expect(p2pManager.isReconnecting).toBe(true);
+      expect(eventTypes()).toContain('connection_lost');
+      expect(eventTypes()).not.toContain('disconnected');
+    });
+
+    it('sends its token when the host reappears and resumes on confirmation', async () => {
+      await joinAndStart();
+      currentRoom.peerLeave('peer-host');
+      currentRoom.peerJoin('peer-host');
+
+      expect(currentRoom.sent.PEER_ROLE.at(-1)).toEqual({
+        data: { role: PEER_ROLES.PLAYER, sessionToken: 'token-1' },
+        target: 'peer-host',
+      });
+
+      currentRoom.deliver('SESSION', { sessionToken: 'token-1', resumed: true }, 'peer-host');
+
+      expect(p2pManager.isReconnecting).toBe(false);
+      expect(p2pManager.isConnected).toBe(true);
+      expect(eventTypes()).toContain('reconnected');
+    });
+
+    it('gives up after the reconnect window', async () => {
+      await joinAndStart();
+      currentRoom.peerLeave('peer-host');
+      vi.advanceTimersByTime(RECONNECT_WINDOW_MS);
+
+      expect(p2pManager.isReconnecting).toBe(false);
+      expect(p2pManager.getSavedSession()).toBeNull();
+      expect(eventTypes()).toEqual(expect.arrayContaining(['reconnect_expired', 'disconnected']));
+    });
+
+    it('rejoins a held seat after a page reload using the saved session', async () => {
+      const joined = p2pManager.joinGame('123456', { sessionToken: 'token-1' });
+      currentRoom.peerJoin('peer-host');
+      expect(currentRoom.sent.PEER_ROLE[0].data.sessionToken).toBe('token-1');
+
+      currentRoom.deliver('SESSION', { sessionToken: 'token-1', resumed: true }, 'peer-host');
+      await joined;
+
+      expect(p2pManager.isConnected).toBe(true);
+      expect(eventTypes()).toContain('joined_room');
+    });
+
+    it('forgets the saved session on an intentional disconnect', async () => {
+      await joinAndStart();
+      p2pManager.disconnect();
+      expect(p2pManager.getSavedSession()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createFakeRoom } from '../../test/helpers/fakeTrysteroRoom.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+  timingLog: vi.fn(),
+  getTimestamp: vi.fn(() => 0),
+}));
+
+let currentRoom;
+vi.mock('trystero/firebase', () => ({
+  joinRoom: vi.fn(() => currentRoom),
+}));
+
+const { default: p2pManager, PEER_ROLES } = await import('../P2PManager.js');
+
+describe('P2PManager spectator handshake', () => {
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    currentRoom = createFakeRoom();
+    events = [];
+    unsubscribe = p2pManager.subscribe((event) => events.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    p2pManager.hostGameServer = null;
+    p2pManager.disconnect();
+  });
+
+  describe('host', () => {
+    beforeEach(async () => {
+      await p2pManager.hostGame();
+    });
+
+    it('announces its role to joining peers', () => {
+      currentRoom.peerJoin('peer-a');
+      expect(currentRoom.sent.PEER_ROLE).toEqual([
+        { data: { role: PEER_ROLES.HOST, seatTaken: false }, target: 'peer-a' },
+      ]);
+    });
+
+    it('seats the first player and registers spectators separately', () => {
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.SPECTATOR }, 'peer-s');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER }, 'peer-p');
+
+      expect(p2pManager.currentPeerId).toBe('peer-p');
+      expect(p2pManager.isSpectatorPeer('peer-s')).toBe(true);
+      expect(p2pManager.isSpectatorPeer('peer-p')).toBe(false);
+      expect(events.map(e => e.type)).toEqual(expect.arrayContaining(['spectator_joined', 'connected']));
+    });
+
+    it('does not reseat when a second player joins', () => {
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER }, 'peer-p');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER }, 'peer-late');
+      expect(p2pManager.currentPeerId).toBe('peer-p');
+    });
+
+    it('ignores actions from spectators', async () => {
+      p2pManager.hostGameServer = { handleRemoteAction: vi.fn(), handleSpectatorJoined: vi.fn() };
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER }, 'peer-p');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.SPECTATOR }, 'peer-s');
+
+      await currentRoom.deliver('GUEST_ACTION', { action: { type: 'attack', payload: {} } }, 'peer-s');
+
+      expect(p2pManager.hostGameServer.handleRemoteAction).not.toHaveBeenCalled();
+      expect(p2pManager.hostGameServer.handleSpectatorJoined).toHaveBeenCalledWith('peer-s');
+    });
+
+    it('broadcasts spectator state only to spectators with its own sequence', () => {
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.PLAYER }, 'peer-p');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.SPECTATOR }, 'peer-s');
+
+      p2pManager.broadcastSpectatorState({ turnPhase: 'action' });
+
+      const [update] = currentRoom.sent.STATE_UPDATE;
+      expect(update.target).toEqual(['peer-s']);
+      expect(update.data.sequenceId).toBe(1);
+      expect(p2pManager.broadcastSequence).toBe(0);
+    });
+
+    it('forgets spectators that leave', () => {
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.SPECTATOR }, 'peer-s');
+      currentRoom.peerLeave('peer-s');
+
+      expect(p2pManager.isSpectatorPeer('peer-s')).toBe(false);
+      expect(events.find(e => e.type === 'spectator_left').data.spectatorCount).toBe(0);
+    });
+  });
+
+  describe('joining as spectator', () => {
+    it('connects once the host announces itself and enters spectator mode', async () => {
+      const joined = p2pManager.joinGame('123456', { asSpectator: true });
+
+      // Another spectator is not the host — still waiting
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.SPECTATOR }, 'peer-other');
+      expect(p2pManager.isConnected).toBe(false);
+
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.HOST, seatTaken: true }, 'peer-host');
+      await joined;
+
+      expect(p2pManager.currentPeerId).toBe('peer-host');
+      expect(events.find(e => e.type === 'multiplayer_mode_change').data.mode).toBe('spectator');
+    });
+
+    it('never sends actions to the host', async () => {
+      const joined = p2pManager.joinGame('123456', { asSpectator: true });
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.HOST }, 'peer-host');
+      await joined;
+
+      p2pManager.sendActionToHost('attack', {});
+      expect(currentRoom.sent.GUEST_ACTION).toEqual([]);
+    });
+  });
+
+  describe('joining as player', () => {
+    it('rejects when the host reports the seat is taken', async () => {
+      const joined = p2pManager.joinGame('123456');
+      currentRoom.deliver('PEER_ROLE', { role: PEER_ROLES.HOST, seatTaken: true }, 'peer-host');
+
+      await expect(joined).rejects.toThrow('Game is full');
+      expect(currentRoom.leave).toHaveBeenCalled();
+      expect(p2pManager.isConnected).toBe(false);
+    });
+  });
+});
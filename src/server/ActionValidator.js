@@ -0,0 +1,571 @@
+// ========================================
+// ACTION VALIDATOR
+// ========================================
+// Legality gate for actions arriving from remote players, run by the
+// authoritative servers (HostGameServer, DedicatedGameServer) before the
+// action reaches GameEngine / ActionProcessor.
+//
+// ActionProcessor trusts its payloads: the card object, its cost, the
+// deployed drone's stats and the search-and-draw selection all come from the
+// client. The validator checks them against the authoritative state — is it
+// this player's turn, is the card in their hand, can they pay for it, is the
+// target one TargetingRouter would offer — and rejects anything else with a
+// structured error before any state is touched. An accepted action comes back
+// with its payload rebuilt from that state (the hand card, the pool drone, the
+// board drones), and servers process that payload rather than the client's.
+//
+// Every action type ActionProcessor dispatches has a rule. Types only the
+// phase authority itself generates (phase transitions, draws, AI actions,
+// debug tools) are rejected outright when they come from a remote player.
+//
+// Pure: takes the full (unredacted) state, never mutates it.
+
+import { calculateAllValidTargets } from '../logic/targeting/uiTargetingHelpers.js';
+import { validateShipAbilityUse } from '../logic/utils/shipCardUtils.js';
+import { isReactionCard } from '../logic/cards/reactionCards.js';
+import { TRIGGER_ORDER_STAGES } from '../logic/actions/TriggerOrderStrategy.js';
+import { countCpuDrones, validateDeployment as checkDeploymentRules } from '../logic/deployment/deploymentValidation.js';
+import { calculateEffectiveShipStats, calculateEffectiveStats } from '../logic/statsCalculator.js';
+import { getSectionInLane, isSectionGuarded } from '../logic/targeting/AttackTargetValidator.js';
+
+/** Error codes carried on rejected action acks as `errorCode` */
+export const VALIDATION_ERRORS = {
+  MALFORMED_ACTION: 'MALFORMED_ACTION',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  SERVER_ONLY_ACTION: 'SERVER_ONLY_ACTION',
+  WRONG_PLAYER: 'WRONG_PLAYER',
+  WRONG_PHASE: 'WRONG_PHASE',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  ALREADY_PASSED: 'ALREADY_PASSED',
+  CARD_NOT_IN_HAND: 'CARD_NOT_IN_HAND',
+  INSUFFICIENT_ENERGY: 'INSUFFICIENT_ENERGY',
+  INSUFFICIENT_MOMENTUM: 'INSUFFICIENT_MOMENTUM',
+  CPU_LIMIT_REACHED: 'CPU_LIMIT_REACHED',
+  DEPLOYMENT_LIMIT_REACHED: 'DEPLOYMENT_LIMIT_REACHED',
+  INVALID_SOURCE: 'INVALID_SOURCE',
+  ILLEGAL_TARGET: 'ILLEGAL_TARGET',
+  TARGET_REQUIRED: 'TARGET_REQUIRED',
+  INVALID_SELECTION: 'INVALID_SELECTION',
+};
+
+const E = VALIDATION_ERRORS;
+
+const LANES = ['lane1', 'lane2', 'lane3'];
+const SEQUENTIAL_PHASES = ['deployment', 'action'];
+
+// Ship ability action → effect type of the section ability it activates
+const SHIP_ABILITY_EFFECTS = {
+  recallAbility: 'RECALL_DRONE',
+  targetLockAbility: 'MARK_DRONE',
+  recalculateAbility: 'DRAW_THEN_DISCARD',
+  reallocateShieldsAbility: 'REALLOCATE_SHIELDS',
+};
+
+// DeploymentProcessor.validateDeployment reason → error code (anything else is a limit)
+const DEPLOYMENT_ERRORS = {
+  'CPU Limit Reached': E.CPU_LIMIT_REACHED,
+  'Not Enough Energy': E.INSUFFICIENT_ENERGY,
+};
+
+const VALID = { valid: true };
+
+const reject = (code, error) => ({ valid: false, code, error });
+
+/** Accept the action, processing `payload` in place of the submitted one */
+const accept = (payload) => ({ valid: true, payload });
+
+// --- Shared checks (each returns a rejection or null) ---
+
+function checkActor(payload, actorId) {
+  if (payload.playerId !== actorId) {
+    return reject(E.WRONG_PLAYER, `Action submitted for ${payload.playerId ?? 'no player'} by ${actorId}`);
+  }
+  return null;
+}
+
+function checkTurn(state, actorId, phases = SEQUENTIAL_PHASES) {
+  if (!phases.includes(state.turnPhase)) {
+    return reject(E.WRONG_PHASE, `Not allowed during the ${state.turnPhase} phase`);
+  }
+  if (state.currentPlayer !== actorId) {
+    return reject(E.NOT_YOUR_TURN, `It is ${state.currentPlayer}'s turn`);
+  }
+  if (state.passInfo?.[`${actorId}Passed`]) {
+    return reject(E.ALREADY_PASSED, `${actorId} has already passed`);
+  }
+  if (state.interceptionPending) {
+    return reject(E.NOT_YOUR_TURN, 'Waiting for the opponent\'s interception decision');
+  }
+  if (state.triggerOrderPending) {
+    return reject(E.NOT_YOUR_TURN, 'Waiting for a trigger order or response decision');
+  }
+  return null;
+}
+
+function findDrone(playerState, droneId) {
+  for (const lane of LANES) {
+    const drone = playerState?.dronesOnBoard?.[lane]?.find(d => d.id === droneId);
+    if (drone) return { drone, lane };
+  }
+  return null;
+}
+
+function checkCanPay(playerState, { energy = 0, momentum = 0 }) {
+  if ((playerState.energy || 0) < energy) {
+    return reject(E.INSUFFICIENT_ENERGY, `Requires ${energy} energy, have ${playerState.energy || 0}`);
+  }
+  if ((playerState.momentum || 0) < momentum) {
+    return reject(E.INSUFFICIENT_MOMENTUM, `Requires ${momentum} momentum, have ${playerState.momentum || 0}`);
+  }
+  return null;
+}
+
+/**
+ * Check targetId against the targets the UI would have offered for this
+ * card / ability (calculateAllValidTargets, i.e. TargetingRouter).
+ */
+function checkTarget(validTargets, targetId, targetOwner) {
+  const match = validTargets.find(t =>
+    (t.id === targetId || t.instanceId === targetId) &&
+    (!targetOwner || !t.owner || t.type === 'lane' || t.owner === targetOwner)
+  );
+  return match ? null : reject(E.ILLEGAL_TARGET, `${targetId} is not a legal target`);
+}
+
+/**
+ * A targeted card or ability submitted without a target would otherwise skip
+ * the target check entirely.
+ */
+function checkTargetPresent(definition, targetId) {
+  if (targetId === undefined || targetId === null || targetId === '') {
+    return reject(E.TARGET_REQUIRED, `${definition.name ?? 'This action'} requires a target`);
+  }
+  return null;
+}
+
+function checkRoutedTarget(state, actorId, card, targetId, targetOwner) {
+  const targets = routeTargets(state, actorId, { card });
+  if (targets.error) return reject(E.ILLEGAL_TARGET, targets.error);
+  return checkTarget(targets, targetId, targetOwner);
+}
+
+function routeTargets(state, actorId, { abilityMode = null, shipAbilityMode = null, card = null }) {
+  try {
+    const { validAbilityTargets, validCardTargets } = calculateAllValidTargets(
+      abilityMode, shipAbilityMode, card, state.player1, state.player2, actorId
+    );
+    return card ? validCardTargets : validAbilityTargets;
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+const needsTarget = (definition) => {
+  const targeting = definition?.targeting || definition?.effects?.[0]?.targeting;
+  return definition?.type === 'Upgrade' || (!!targeting && targeting.type !== 'NONE');
+};
+
+const selectionKey = (card) => card?.instanceId || `${card?.id}-${card?.name}`;
+
+const sameCards = (a = [], b = []) =>
+  a.length === b.length && a.every((card, i) => selectionKey(card) === selectionKey(b[i]));
+
+// --- Rules, one per action type ---
+
+function validateAttack(state, actorId, payload) {
+  const { attackDetails } = payload;
+  if (!attackDetails?.attacker || !attackDetails.target) {
+    return reject(E.MALFORMED_ACTION, 'Attack is missing attacker or target');
+  }
+
+  // Defender answering an interception prompt re-submits the pending attack
+  const pending = state.interceptionPending;
+  if (pending && pending.defendingPlayerId === actorId) {
+    if (attackDetails.attacker.id !== pending.attackDetails?.attacker?.id ||
+        attackDetails.target.id !== pending.attackDetails?.target?.id) {
+      return reject(E.INVALID_SELECTION, 'Attack does not match the pending interception');
+    }
+    // null declines; an offered interceptor is swapped for the server's copy
+    let interceptor = attackDetails.interceptor ?? null;
+    if (interceptor) {
+      interceptor = pending.interceptors?.find(d => d.id === attackDetails.interceptor.id);
+      if (!interceptor) {
+        return reject(E.ILLEGAL_TARGET, `${attackDetails.interceptor.id} cannot intercept this attack`);
+      }
+    }
+    return accept({ ...payload, attackDetails: { ...pending.attackDetails, interceptor } });
+  }
+
+  if (attackDetails.attackingPlayer !== actorId) {
+    return reject(E.WRONG_PLAYER, `Attack submitted for ${attackDetails.attackingPlayer} by ${actorId}`);
+  }
+  const turnError = checkTurn(state, actorId, ['action']);
+  if (turnError) return turnError;
+
+  const found = findDrone(state[actorId], attackDetails.attacker.id);
+  if (!found || found.lane !== attackDetails.lane) {
+    return reject(E.INVALID_SOURCE, `${attackDetails.attacker.id} is not your drone in ${attackDetails.lane}`);
+  }
+  if (found.drone.isExhausted) {
+    return reject(E.INVALID_SOURCE, `${found.drone.name} is exhausted`);
+  }
+
+  const opponentId = actorId === 'player1' ? 'player2' : 'player1';
+  const opponent = state[opponentId];
+  let target;
+  if (attackDetails.targetType === 'section') {
+    const placedSections = { player1: state.placedSections, player2: state.opponentPlacedSections };
+    const sectionName = getSectionInLane(placedSections[opponentId], attackDetails.lane);
+    if (attackDetails.target.id !== sectionName) {
+      return reject(E.ILLEGAL_TARGET, `${attackDetails.target.id} is not the ship section in ${attackDetails.lane}`);
+    }
+    const defenders = opponent.dronesOnBoard?.[attackDetails.lane];
+    const getEffectiveStats = (drone) =>
+      calculateEffectiveStats(drone, attackDetails.lane, opponent, state[actorId], placedSections);
+    if (isSectionGuarded(defenders, getEffectiveStats)) {
+      return reject(E.ILLEGAL_TARGET, `${sectionName} is protected by a Guardian drone`);
+    }
+    const section = opponent.shipSections?.[sectionName];
+    target = section && { ...attackDetails.target, ...section, id: sectionName };
+  } else {
+    target = opponent.dronesOnBoard?.[attackDetails.lane]?.find(d => d.id === attackDetails.target.id);
+  }
+  if (!target) {
+    return reject(E.ILLEGAL_TARGET, `${attackDetails.target.id} is not a legal attack target`);
+  }
+  return accept({ ...payload, attackDetails: { ...attackDetails, attacker: found.drone, target } });
+}
+
+function validateAbility(state, actorId, { droneId, abilityIndex, targetId }) {
+  const turnError = checkTurn(state, actorId, ['action']);
+  if (turnError) return turnError;
+
+  const found = findDrone(state[actorId], droneId);
+  const ability = found?.drone.abilities?.[abilityIndex];
+  if (!ability) {
+    return reject(E.INVALID_SOURCE, `${droneId} is not your drone or has no ability ${abilityIndex}`);
+  }
+  if (ability.cost?.exhausts && found.drone.isExhausted) {
+    return reject(E.INVALID_SOURCE, `${found.drone.name} is exhausted`);
+  }
+  const payError = checkCanPay(state[actorId], { energy: ability.cost?.energy });
+  if (payError) return payError;
+
+  if (needsTarget(ability)) {
+    const missing = checkTargetPresent(ability, targetId);
+    if (missing) return missing;
+    const targets = routeTargets(state, actorId, { abilityMode: { drone: { ...found.drone, owner: actorId }, ability } });
+    if (targets.error) return reject(E.ILLEGAL_TARGET, targets.error);
+    return checkTarget(targets, targetId) || VALID;
+  }
+  return VALID;
+}
+
+function validateMove(state, actorId, payload) {
+  const { droneId, fromLane, toLane } = payload;
+  const error = checkActor(payload, actorId) || checkTurn(state, actorId, ['action']);
+  if (error) return error;
+
+  if (!LANES.includes(toLane) || fromLane === toLane) {
+    return reject(E.ILLEGAL_TARGET, `Cannot move to ${toLane}`);
+  }
+  const found = findDrone(state[actorId], droneId);
+  if (!found || found.lane !== fromLane) {
+    return reject(E.INVALID_SOURCE, `${droneId} is not your drone in ${fromLane}`);
+  }
+  if (found.drone.isExhausted) {
+    return reject(E.INVALID_SOURCE, `${found.drone.name} is exhausted`);
+  }
+  if (Math.abs(LANES.indexOf(fromLane) - LANES.indexOf(toLane)) !== 1) {
+    return reject(E.ILLEGAL_TARGET, `Cannot move from ${fromLane} to ${toLane}`);
+  }
+  return VALID;
+}
+
+function validateDeployment(state, actorId, payload) {
+  const error = checkActor(payload, actorId) || checkTurn(state, actorId, ['deployment']);
+  if (error) return error;
+
+  if (!LANES.includes(payload.laneId)) {
+    return reject(E.ILLEGAL_TARGET, `Cannot deploy to ${payload.laneId}`);
+  }
+  const player = state[actorId];
+  const droneData = player.activeDronePool?.find(d => d.name === payload.droneData?.name);
+  if (!droneData) {
+    return reject(E.INVALID_SOURCE, `${payload.droneData?.name} is not in your drone pool`);
+  }
+
+  // Same CPU, limit, lane and budget/energy rules executeDeployment applies
+  const placedSections = actorId === 'player1' ? state.placedSections : state.opponentPlacedSections;
+  const deployment = checkDeploymentRules(
+    player,
+    droneData,
+    state.turn,
+    countCpuDrones(player),
+    calculateEffectiveShipStats(player, placedSections),
+    payload.laneId
+  );
+  if (!deployment.isValid) {
+    return reject(DEPLOYMENT_ERRORS[deployment.reason] || E.DEPLOYMENT_LIMIT_REACHED, deployment.message);
+  }
+  return accept({ ...payload, droneData, turn: state.turn });
+}
+
+function validateCardPlay(state, actorId, payload) {
+  const { card, targetId, targetOwner } = payload;
+  const error = checkActor(payload, actorId) || checkTurn(state, actorId);
+  if (error) return error;
+
+  const handCard = state[actorId].hand?.find(c => c.instanceId === card?.instanceId);
+  if (!handCard || handCard.id !== card.id) {
+    return reject(E.CARD_NOT_IN_HAND, `${card?.name ?? 'Card'} is not in your hand`);
+  }
+  const payError = checkCanPay(state[actorId], { energy: handCard.cost, momentum: handCard.momentumCost });
+  if (payError) return payError;
+
+  // Chained cards carry per-effect selections that the chain processor resolves
+  if (needsTarget(handCard) && !payload.chainSelections) {
+    const targetError = checkTargetPresent(handCard, targetId) || checkRoutedTarget(state, actorId, handCard, targetId, targetOwner);
+    if (targetError) return targetError;
+  }
+  return accept({ ...payload, card: handCard });
+}
+
+function validateSearchAndDrawCompletion(state, actorId, payload) {
+  const error = checkActor(payload, actorId);
+  if (error) return error;
+
+  const pending = state.cardSelectionPending;
+  if (!pending || pending.playerId !== actorId || pending.card?.instanceId !== payload.card?.instanceId) {
+    return reject(E.INVALID_SELECTION, 'No matching card selection is pending');
+  }
+
+  const searched = new Set((pending.searchedCards || []).map(selectionKey));
+  const selected = payload.selectedCards || [];
+  if (selected.length > (pending.drawCount ?? searched.size) || !selected.every(c => searched.has(selectionKey(c)))) {
+    return reject(E.INVALID_SELECTION, 'Selected cards were not offered by the search');
+  }
+  const { selectionData = {} } = payload;
+  if (!sameCards(selectionData.searchedCards, pending.searchedCards) ||
+      !sameCards(selectionData.remainingDeck, pending.remainingDeck)) {
+    return reject(E.INVALID_SELECTION, 'Selection data does not match the search');
+  }
+  return VALID;
+}
+
+function checkTriggerOrderPending(state, actorId, stage) {
+  const pending = state.triggerOrderPending;
+  if (!pending || pending.stage !== stage || pending.decidingPlayerId !== actorId) {
+    return reject(E.INVALID_SELECTION, 'No matching trigger decision is pending');
+  }
+  return null;
+}
+
+function validateTriggerOrderDecision(state, actorId, payload) {
+  const error = checkActor(payload, actorId) || checkTriggerOrderPending(state, actorId, TRIGGER_ORDER_STAGES.ORDER);
+  if (error) return error;
+
+  const keys = state.triggerOrderPending.window.triggers.map(t => t.key);
+  const { order } = payload;
+  if (!Array.isArray(order) || order.length !== keys.length || !keys.every(key => order.includes(key))) {
+    return reject(E.INVALID_SELECTION, 'Order must list each pending trigger exactly once');
+  }
+  return VALID;
+}
+
+function validateTriggerResponse(state, actorId, payload) {
+  const error = checkActor(payload, actorId) || checkTriggerOrderPending(state, actorId, TRIGGER_ORDER_STAGES.RESPONSE);
+  if (error) return error;
+
+  // Passing the window
+  if (!payload.card) return VALID;
+
+  const handCard = state[actorId].hand?.find(c => c.instanceId === payload.card.instanceId);
+  if (!handCard || handCard.id !== payload.card.id) {
+    return reject(E.CARD_NOT_IN_HAND, `${payload.card.name ?? 'Card'} is not in your hand`);
+  }
+  if (!isReactionCard(handCard)) {
+    return reject(E.INVALID_SOURCE, `${handCard.name} is not a Reaction card`);
+  }
+  const payError = checkCanPay(state[actorId], { energy: handCard.cost, momentum: handCard.momentumCost });
+  if (payError) return payError;
+
+  if (needsTarget(handCard)) {
+    const targetError = checkTargetPresent(handCard, payload.targetId) ||
+      checkRoutedTarget(state, actorId, handCard, payload.targetId, payload.targetOwner);
+    if (targetError) return targetError;
+  }
+  return accept({ ...payload, card: handCard });
+}
+
+function validateShipAbility(state, actorId, payload, type) {
+  const error = checkActor(payload, actorId) || checkTurn(state, actorId, ['action']);
+  if (error) return error;
+
+  // Reallocate Shields steps (remove/add/restore) after activation may omit the section
+  if (type === 'reallocateShieldsAbility' && !payload.sectionName) return VALID;
+
+  const section = state[actorId].shipSections?.[payload.sectionName];
+  if (!section) {
+    return reject(E.INVALID_SOURCE, `${payload.sectionName} is not one of your ship sections`);
+  }
+  const { ability } = section;
+  if (!ability) return VALID;
+
+  if (ability.effect?.type !== SHIP_ABILITY_EFFECTS[type]) {
+    return reject(E.INVALID_SOURCE, `${payload.sectionName} does not have that ability`);
+  }
+  // Reallocate Shields charges its energy on completion
+  if (type !== 'reallocateShieldsAbility') {
+    const payError = checkCanPay(state[actorId], { energy: ability.cost?.energy });
+    if (payError) return payError;
+  }
+  if (needsTarget(ability)) {
+    const missing = checkTargetPresent(ability, payload.targetId);
+    if (missing) return missing;
+    const targets = routeTargets(state, actorId, { shipAbilityMode: { sectionName: payload.sectionName, ability } });
+    if (targets.error) return reject(E.ILLEGAL_TARGET, targets.error);
+    return checkTarget(targets, payload.targetId) || VALID;
+  }
+  return VALID;
+}
+
+function validateShipCardAbility(state, actorId, payload) {
+  const error = checkActor(payload, actorId) || checkTurn(state, actorId, ['action']);
+  if (error) return error;
+
+  const player = state[actorId];
+  const use = validateShipAbilityUse(player);
+  if (use.isValid) return VALID;
+  if (use.ability && player.energy < use.ability.cost.energy) {
+    return reject(E.INSUFFICIENT_ENERGY, use.reason);
+  }
+  return reject(E.INVALID_SOURCE, use.reason);
+}
+
+function validatePlayerPass(state, actorId, payload) {
+  return checkActor(payload, actorId) || checkTurn(state, actorId) || VALID;
+}
+
+function validateOptionalDiscard(state, actorId, payload) {
+  const error = checkActor(payload, actorId);
+  if (error) return error;
+
+  const hand = state[actorId].hand || [];
+  const allInHand = (payload.cardsToDiscard || []).every(card => hand.some(c => c.instanceId === card.instanceId));
+  return allInHand ? VALID : reject(E.CARD_NOT_IN_HAND, 'Discarded cards are not in your hand');
+}
+
+function validateCommitment(state, actorId, payload) {
+  const error = checkActor(payload, actorId);
+  if (error) return error;
+
+  if (payload.phase !== state.turnPhase) {
+    return reject(E.WRONG_PHASE, `Cannot commit ${payload.phase} during the ${state.turnPhase} phase`);
+  }
+  return VALID;
+}
+
+function validateOwnDrone(state, actorId, payload) {
+  const error = checkActor(payload, actorId);
+  if (error) return error;
+  return findDrone(state[actorId], payload.droneId)
+    ? VALID
+    : reject(E.INVALID_SOURCE, `${payload.droneId} is not your drone`);
+}
+
+function validateStatusConsumption(state, actorId, payload) {
+  return checkTurn(state, actorId, ['action']) || validateOwnDrone(state, actorId, payload);
+}
+
+function validateShieldSection(state, actorId, payload) {
+  const error = checkActor(payload, actorId);
+  if (error) return error;
+  if (payload.sectionName && !state[actorId].shipSections?.[payload.sectionName]) {
+    return reject(E.INVALID_SOURCE, `${payload.sectionName} is not one of your ship sections`);
+  }
+  return VALID;
+}
+
+const validateActorOnly = (state, actorId, payload) => checkActor(payload, actorId) || VALID;
+
+const serverOnly = (state, actorId, payload, type) =>
+  reject(E.SERVER_ONLY_ACTION, `${type} can only be issued by the server`);
+
+// Keyed by every action type ActionProcessor.processAction handles
+const RULES = {
+  attack: validateAttack,
+  ability: validateAbility,
+  move: validateMove,
+  deployment: validateDeployment,
+  cardPlay: validateCardPlay,
+  triggerOrderDecision: validateTriggerOrderDecision,
+  triggerResponse: validateTriggerResponse,
+  searchAndDrawCompletion: validateSearchAndDrawCompletion,
+  recallAbility: validateShipAbility,
+  targetLockAbility: validateShipAbility,
+  recalculateAbility: validateShipAbility,
+  reallocateShieldsAbility: validateShipAbility,
+  shipCardAbility: validateShipCardAbility,
+  recalculateComplete: validateActorOnly,
+  reallocateShieldsComplete: (state, actorId, payload) =>
+    checkActor(payload, actorId) || checkTurn(state, actorId, ['action']) || VALID,
+  playerPass: validatePlayerPass,
+  optionalDiscard: validateOptionalDiscard,
+  commitment: validateCommitment,
+  destroyDrone: validateOwnDrone,
+  snaredConsumption: validateStatusConsumption,
+  suppressedConsumption: validateStatusConsumption,
+  reallocateShields: validateShieldSection,
+  addShield: validateShieldSection,
+  resetShields: validateActorOnly,
+  allocateShield: validateShieldSection,
+  resetShieldAllocation: validateActorOnly,
+  endShieldAllocation: validateActorOnly,
+  turnTransition: serverOnly,
+  phaseTransition: serverOnly,
+  roundStart: serverOnly,
+  processFirstPlayerDetermination: serverOnly,
+  aiAction: serverOnly,
+  aiShipPlacement: serverOnly,
+  draw: serverOnly,
+  energyReset: serverOnly,
+  roundStartTriggers: serverOnly,
+  roundEndTriggers: serverOnly,
+  rebuildProgress: serverOnly,
+  momentumAward: serverOnly,
+  debugAddCardsToHand: serverOnly,
+  forceWin: serverOnly,
+  undo: serverOnly, // Single-player only
+};
+
+/** Action types with a validation rule (exported for coverage tests) */
+export const VALIDATED_ACTION_TYPES = Object.keys(RULES);
+
+class ActionValidator {
+  /**
+   * Check a remote player's action against the authoritative state.
+   * @param {Object} state - Full, unredacted game state
+   * @param {string} actorId - Seat the action arrived from ('player1' | 'player2')
+   * @param {Object} action - { type, payload }
+   * @returns {{valid: true, payload: Object} | {valid: false, code: string, error: string}}
+   *   `payload` is what to process: the submitted payload with client-supplied
+   *   cards and drones replaced by their authoritative counterparts
+   */
+  static validate(state, actorId, action) {
+    if (!action || typeof action.type !== 'string' || !action.payload || typeof action.payload !== 'object') {
+      return reject(E.MALFORMED_ACTION, 'Action must have a type and a payload object');
+    }
+    const rule = Object.hasOwn(RULES, action.type) ? RULES[action.type] : null;
+    if (!rule) {
+      return reject(E.UNKNOWN_ACTION, `Unknown action type: ${action.type}`);
+    }
+    if (!state?.[actorId]) {
+      return reject(E.WRONG_PLAYER, `${actorId} is not seated in this match`);
+    }
+    const result = rule(state, actorId, action.payload, action.type);
+    return result.valid ? { valid: true, payload: result.payload || action.payload } : result;
+  }
+}
+
+export default ActionValidator;
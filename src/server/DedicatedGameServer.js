@@ -0,0 +1,285 @@
+// DedicatedGameServer — Server-side orchestrator for matches hosted on our
+// own box (scripts/dedicated-server.js) rather than in a player's browser.
+// Seats the first two socket connections as player1 and player2 and registers
+// each as a GameEngine client, so _emitToClients redacts state per seat
+// before it leaves the process. No player ever receives unredacted state.
+// Each seat is issued a session token; a seat vacated mid-match is held for
+// whoever presents that token, so nobody else can take over a dropped
+// player's hand.
+//
+// Sockets follow the Node `ws` interface (send / on('message') / on('close')
+// / readyState / close). See DedicatedServerConnection for the protocol.
+// Timed matches (see config/timeControls.js) run a TurnClock on this process.
+
+import StateRedactor from './StateRedactor.js';
+import ActionValidator from './ActionValidator.js';
+import TurnClock from './TurnClock.js';
+import { debugLog } from '../utils/debugLogger.js';
+
+const SEATS = ['player1', 'player2'];
+
+/** WebSocket.OPEN */
+const SOCKET_OPEN = 1;
+
+class DedicatedGameServer {
+  /**
+   * @param {GameEngine} gameEngine - Authoritative engine for the match
+   * @param {Object} options
+   * @param {Function} options.startMatch - Starts a new game on the engine's GameStateManager
+   * @param {Function} [options.endMatch] - Tears the game down once every player has left
+   */
+  constructor(gameEngine, { startMatch, endMatch = () => {} }) {
+    this.gameEngine = gameEngine;
+    this.startMatch = startMatch;
+    this.endMatch = endMatch;
+    this.seats = new Map(); // playerId → { socket, sequence }
+    this.sessionTokens = new Map(); // playerId → token, kept while a seat is vacated mid-match
+    this.matchStarted = false;
+
+    this.turnClock = new TurnClock(gameEngine, {
+      onExpire: (type, payload) => this.gameEngine.processAction(type, payload),
+    });
+    gameEngine.turnClock = this.turnClock;
+  }
+
+  /**
+   * Seat a newly connected socket.
+   * Before the match starts, any open seat is given out with a fresh session
+   * token. Once it has started, only a connection presenting a seat's token
+   * may take it back; it then catches up through a full sync.
+   * @param {Object} socket - ws-style socket
+   * @param {Object} [options]
+   * @param {string} [options.sessionToken] - Token issued when the seat was first taken
+   * @returns {string|null} The assigned playerId, or null if the connection was rejected
+   */
+  handleConnection(socket, { sessionToken } = {}) {
+    const playerId = sessionToken
+      ? this._findSeatForToken(sessionToken)
+      : this._findOpenSeat();
+
+    if (!playerId) {
+      let error = 'Match is full';
+      if (sessionToken) {
+        error = 'Session is no longer valid';
+      } else if (this.seats.size < SEATS.length) {
+        error = 'Seat reserved for a reconnecting player';
+      }
+      debugLog('MP_JOIN_TRACE', 'Dedicated server rejecting connection', { guard: true, error });
+      this._send(socket, { type: 'error', error });
+      socket.close();
+      return null;
+    }
+
+    // A returning player may reconnect before its old socket has timed out
+    const staleSocket = this.seats.get(playerId)?.socket;
+    if (staleSocket && staleSocket !== socket) {
+      debugLog('MP_JOIN_TRACE', 'Replacing stale socket for resumed seat', { playerId });
+      this.seats.delete(playerId);
+      staleSocket.close();
+    }
+
+    if (!this.sessionTokens.has(playerId)) {
+      this.sessionTokens.set(playerId, crypto.randomUUID());
+    }
+
+    this.seats.set(playerId, { socket, sequence: 0 });
+    this.gameEngine.registerClient(playerId, ({ state, animations }) => {
+      this._sendState(playerId, state, animations);
+    });
+
+    socket.on('message', (data) => this.handleMessage(playerId, data));
+    socket.on('close', () => this.handleDisconnect(playerId, socket));
+
+    debugLog('MP_JOIN_TRACE', 'Dedicated server seated player', { playerId, seated: this.seats.size, resumed: !!sessionToken });
+    this._send(socket, { type: 'welcome', playerId, sessionToken: this.sessionTokens.get(playerId) });
+
+    if (this.matchStarted) {
+      this._send(socket, { type: 'game_started' });
+    } else if (this.seats.size === SEATS.length) {
+      this._beginMatch();
+    }
+
+    return playerId;
+  }
+
+  /**
+   * A seat nobody holds a token for — only available before the match starts
+   */
+  _findOpenSeat() {
+    if (this.matchStarted) return null;
+    return SEATS.find(id => !this.seats.has(id)) || null;
+  }
+
+  _findSeatForToken(sessionToken) {
+    for (const [playerId, token] of this.sessionTokens) {
+      if (token === sessionToken) return playerId;
+    }
+    return null;
+  }
+
+  _beginMatch() {
+    debugLog('MP_GAME_TRACE', 'Dedicated server starting match');
+    this.startMatch();
+    this.matchStarted = true;
+
+    // Mirrors LobbyScreen's host start: signal, then push the initial state
+    for (const [playerId, seat] of this.seats) {
+      this._send(seat.socket, { type: 'game_started' });
+      this._sendState(playerId, this.getPlayerView(playerId));
+    }
+  }
+
+  /**
+   * Handle a raw message from a seated player.
+   */
+  async handleMessage(playerId, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      this._sendTo(playerId, { type: 'error', error: 'Malformed message' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'action':
+        await this.handlePlayerAction(playerId, message.action);
+        break;
+
+      case 'sync_request':
+        this._sendFullSync(playerId);
+        break;
+
+      default:
+        this._sendTo(playerId, { type: 'error', error: `Unknown message type "${message.type}"` });
+    }
+  }
+
+  /**
+   * Validate a player's action against their seat, process it via GameEngine
+   * (which delivers state to both seats), then acknowledge it to the sender.
+   */
+  async handlePlayerAction(playerId, action) {
+    debugLog('MP_SYNC_TRACE', 'Dedicated server processing action', { playerId, actionType: action?.type });
+
+    if (!this.matchStarted) {
+      this._sendTo(playerId, {
+        type: 'action_ack', actionType: action?.type, success: false, error: 'Match has not started',
+      });
+      return;
+    }
+
+    const validation = ActionValidator.validate(this.gameEngine.getState(), playerId, action);
+    if (!validation.valid) {
+      debugLog('MP_SYNC_TRACE', 'Guard: illegal player action rejected', { guard: true, playerId, actionType: action?.type, code: validation.code });
+      this._sendTo(playerId, {
+        type: 'action_ack',
+        actionType: action?.type,
+        success: false,
+        error: validation.error,
+        errorCode: validation.code,
+        authoritativeState: this.getPlayerView(playerId),
+      });
+      return;
+    }
+
+    try {
+      const response = await this.gameEngine.processAction(action.type, validation.payload);
+      const rejected = response?.result?.success === false;
+      this._sendTo(playerId, {
+        type: 'action_ack',
+        actionType: action.type,
+        success: !rejected,
+        ...(rejected && {
+          error: response.result.error,
+          authoritativeState: this.getPlayerView(playerId),
+        }),
+      });
+    } catch (error) {
+      debugLog('MP_SYNC_TRACE', 'Error processing player action', { error: true, playerId, actionType: action?.type, message: error.message });
+      this._sendTo(playerId, {
+        type: 'action_ack',
+        actionType: action?.type,
+        success: false,
+        error: error.message,
+        authoritativeState: this.getPlayerView(playerId),
+      });
+    }
+  }
+
+  /**
+   * Free the seat of a closed socket. Mid-match the seat's session token is
+   * kept so the player can reconnect; before the match it is released. Once
+   * nobody is left the match is torn down so the next pair of connections
+   * starts fresh.
+   */
+  handleDisconnect(playerId, socket) {
+    if (this.seats.get(playerId)?.socket !== socket) return;
+
+    debugLog('MP_JOIN_TRACE', 'Dedicated server player left', { playerId });
+    this.seats.delete(playerId);
+    this.gameEngine.unregisterClient(playerId);
+    if (!this.matchStarted) {
+      this.sessionTokens.delete(playerId);
+    }
+
+    for (const [otherId] of this.seats) {
+      this._sendTo(otherId, { type: 'opponent_left' });
+    }
+
+    if (this.matchStarted && this.seats.size === 0) {
+      debugLog('MP_GAME_TRACE', 'Dedicated server empty, ending match');
+      this.matchStarted = false;
+      this.sessionTokens.clear();
+      this.turnClock.dispose();
+      this.endMatch();
+    }
+  }
+
+  _sendState(playerId, state, animations) {
+    const seat = this.seats.get(playerId);
+    if (!seat) return;
+    seat.sequence++;
+    this._send(seat.socket, {
+      type: 'state_update',
+      sequenceId: seat.sequence,
+      state,
+      actionAnimations: animations?.actionAnimations || [],
+      systemAnimations: animations?.systemAnimations || [],
+    });
+  }
+
+  _sendFullSync(playerId) {
+    const seat = this.seats.get(playerId);
+    if (!seat || !this.matchStarted) return;
+    debugLog('MP_SYNC_TRACE', 'Dedicated server sending full sync', { playerId, sequenceId: seat.sequence });
+    this._send(seat.socket, {
+      type: 'state_update',
+      isFullSync: true,
+      sequenceId: seat.sequence,
+      state: this.getPlayerView(playerId),
+      actionAnimations: [],
+      systemAnimations: [],
+    });
+  }
+
+  _sendTo(playerId, message) {
+    const seat = this.seats.get(playerId);
+    if (seat) this._send(seat.socket, message);
+  }
+
+  _send(socket, message) {
+    if (socket.readyState !== SOCKET_OPEN) return;
+    socket.send(JSON.stringify(message));
+  }
+
+  getState() {
+    return this.gameEngine.getState();
+  }
+
+  getPlayerView(playerId) {
+    return StateRedactor.redactForPlayer(this.gameEngine.getState(), playerId);
+  }
+}
+
+export default DedicatedGameServer;
@@ -0,0 +1,58 @@
+// DedicatedServerFactory — Wires GameStateManager, ActionProcessor and a
+// GameFlowManager into a GameEngine outside the browser and wraps it in a
+// DedicatedGameServer. Used by scripts/dedicated-server.js.
+
+import gameStateManager from '../managers/GameStateManager.js';
+import GameFlowManager from '../managers/GameFlowManager.js';
+import GameEngine from './GameEngine.js';
+import DedicatedGameServer from './DedicatedGameServer.js';
+import { createTurnClockState } from '../config/timeControls.js';
+import { createWinCondition } from '../config/matchRules.js';
+import { TRIGGER_RESOLUTION_MODES } from '../logic/triggers/triggerConstants.js';
+
+// GameServer stand-in: both seats are remote humans. The process acts as the
+// phase authority, so it reports player1 as "local" just as a P2P host does.
+const dedicatedServerStub = {
+  isPlayerAI: () => false,
+  isMultiplayer: () => true,
+  isSpectator: () => false,
+  getLocalPlayerId: () => 'player1',
+};
+
+const DedicatedServerFactory = {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.timeControl] - TIME_CONTROL_PRESETS key applied to every match, or null for untimed
+   * @param {string|null} [options.matchRules] - MATCH_RULE_PRESETS key applied to every match, or null for standard rules
+   * @param {boolean} [options.orderedTriggers] - Players order their own simultaneous triggers (PLAYER_CHOICE rules)
+   */
+  create({ timeControl = null, matchRules = null, orderedTriggers = false } = {}) {
+    const actionProcessor = gameStateManager.actionProcessor;
+    const gameFlowManager = new GameFlowManager(null);
+
+    gameStateManager.setGameServer(dedicatedServerStub);
+    actionProcessor.setGameServer(dedicatedServerStub);
+    gameFlowManager.initialize(gameStateManager, actionProcessor, null);
+    gameStateManager.setGameFlowManager(gameFlowManager);
+
+    const gameEngine = new GameEngine(gameStateManager, actionProcessor, gameFlowManager);
+    gameStateManager.gameEngine = gameEngine;
+
+    return new DedicatedGameServer(gameEngine, {
+      // 'host' mode: this process generates the seed and drives phase transitions
+      startMatch: () => {
+        gameFlowManager.reset();
+        const turnClock = createTurnClockState(timeControl);
+        const winCondition = createWinCondition(matchRules);
+        gameStateManager.startGame('host', { name: 'Player 1' }, { name: 'Player 2' }, {
+          ...(turnClock && { turnClock }),
+          ...(winCondition && { winCondition }),
+          ...(orderedTriggers && { triggerResolution: TRIGGER_RESOLUTION_MODES.PLAYER_CHOICE })
+        });
+      },
+      endMatch: () => gameStateManager.endGame(),
+    });
+  },
+};
+
+export default DedicatedServerFactory;
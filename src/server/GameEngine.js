@@ -2,19 +2,39 @@
 // Wraps ActionProcessor + GameStateManager + GameFlowManager.
 // Returns { state, animations, result } from every processAction call.
 // Pushes { state, animations } to registered clients via event callbacks.
+// Records every successful action into a MatchRecorder log for replay (see ReplayPlayer).
+// Drives an optional TurnClock (timed multiplayer) around each action.
 
 import StateRedactor from './StateRedactor.js';
+import MatchRecorder from './MatchRecorder.js';
 import { debugLog } from '../utils/debugLogger.js';
 import { flowCheckpoint, resetFlowSeq } from '../utils/flowVerification.js';
 import { personalizeAnnouncements } from '../utils/announcementUtils.js';
 import { STATE_SNAPSHOT } from '../config/animationTypes.js';
 
+const PLAYER_IDS = ['player1', 'player2'];
+
 class GameEngine {
   constructor(gameStateManager, actionProcessor, gameFlowManager) {
     this.gameStateManager = gameStateManager;
     this.actionProcessor = actionProcessor;
     this.gameFlowManager = gameFlowManager;
     this._clients = new Map(); // playerId -> callback
+    this.matchRecorder = new MatchRecorder();
+    this._actionListeners = new Set();
+    this.turnClock = null; // Set by the owning server for timed matches
+  }
+
+  /**
+   * Subscribe to completed actions (headless tooling — simulation stats, tuning).
+   * Listener receives { type, payload, result, state } after the action and any
+   * deferred continuations have been delivered to clients.
+   * @param {Function} listener
+   * @returns {Function} Unsubscribe function
+   */
+  onActionProcessed(listener) {
+    this._actionListeners.add(listener);
+    return () => this._actionListeners.delete(listener);
   }
 
   /**
@@ -45,6 +65,10 @@ class GameEngine {
   async processAction(type, payload) {
     resetFlowSeq();
     flowCheckpoint('SERVER_ACTION_RECEIVED', { type, phase: this.gameStateManager.getState().turnPhase });
+    const logEntry = this.matchRecorder.record(type, payload, this.gameStateManager.getState(), {
+      aiPlayers: PLAYER_IDS.filter(playerId => this.gameStateManager.gameServer?.isPlayerAI?.(playerId)),
+    });
+    flowCheckpoint('MATCH_LOG_RECORDED', { seq: logEntry.seq, round: logEntry.round });
     if (type === 'deployment') {
       debugLog('DEPLOY_TRACE', '[4/10] GameEngine.processAction delegating to GSM', { type });
     }
@@ -52,9 +76,17 @@ class GameEngine {
     // the final composite state with animations after processing completes.
     this.actionProcessor.startResponseCapture();
     this.gameStateManager.beginProcessing();
+    this.turnClock?.suspend();
+    let recorded = false;
+    let clockSettled = false;
     try {
       const result = await this.gameStateManager.processAction(type, payload);
       await this.gameFlowManager.waitForPendingActionCompletion();
+      // Rejected actions never changed state — replaying them would only fail
+      recorded = result?.success !== false;
+      // Only an applied action earns its player the increment
+      this.turnClock?.update({ actorId: recorded ? (payload?.playerId ?? payload?.attackDetails?.attackingPlayer) : null });
+      clockSettled = true;
       const state = this.gameStateManager.getState();
 
       // Response accumulator captures all animations including cascading phase transitions
@@ -95,12 +127,22 @@ class GameEngine {
         await this.gameFlowManager.executeDeferredContinuation();
         await this.gameFlowManager.waitForPendingActionCompletion();
         const contAnimations = this.actionProcessor.getAndClearResponseCapture();
+        this.turnClock?.update();
         const contState = this.gameStateManager.getState();
         await this._emitToClients(contState, contAnimations);
       }
 
+      this._notifyActionListeners({ type, payload, result, state: this.gameStateManager.getState() });
+
       return { state, animations, result };
     } finally {
+      if (!recorded) {
+        this.matchRecorder.discard(logEntry);
+      }
+      // A throwing action must not leave the clock suspended for the rest of the match
+      if (!clockSettled) {
+        this.turnClock?.update();
+      }
       this.gameStateManager.endProcessing();
     }
   }
@@ -157,6 +199,24 @@ class GameEngine {
     await Promise.all(promises);
   }
 
+  /**
+   * Push the current state to all clients outside an action
+   * (e.g. TurnClock pausing or resuming).
+   */
+  async broadcastState() {
+    await this._emitToClients(this.gameStateManager.getState(), { actionAnimations: [], systemAnimations: [] });
+  }
+
+  _notifyActionListeners(event) {
+    for (const listener of this._actionListeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        debugLog('STATE_SYNC', 'Action listener failed', { error: err.message });
+      }
+    }
+  }
+
   /**
    * Personalize announcement animations for a specific client.
    * Delegates to shared utility — see src/utils/announcementUtils.js.
@@ -168,6 +228,14 @@ class GameEngine {
   getState() {
     return this.gameStateManager.getState();
   }
+
+  /**
+   * Versioned log of every action processed so far (see MatchRecorder).
+   * @returns {Object}
+   */
+  getMatchLog() {
+    return this.matchRecorder.getLog();
+  }
 }
 
 export default GameEngine;
@@ -9,6 +9,7 @@ class GameServer {
   getLocalPlayerId() { throw new Error('Not implemented'); }
   isPlayerAI(_playerId) { throw new Error('Not implemented'); }
   isMultiplayer() { throw new Error('Not implemented'); }
+  isSpectator() { return false; }
 }
 
 export default GameServer;
@@ -3,11 +3,14 @@
 import GameClient from '../client/GameClient.js';
 import LocalTransport from '../transport/LocalTransport.js';
 import P2PTransport from '../transport/P2PTransport.js';
+import WebSocketTransport from '../transport/WebSocketTransport.js';
 import HostGameServer from './HostGameServer.js';
 import GameEngine from './GameEngine.js';
 
 const GameServerFactory = {
-  create(gameMode, { gameStateManager, actionProcessor, gameFlowManager, clientStateStore, p2pManager, phaseAnimationQueue }) {
+  create(gameMode, {
+    gameStateManager, actionProcessor, gameFlowManager, clientStateStore, p2pManager, dedicatedServerConnection, phaseAnimationQueue,
+  }) {
     if (gameMode === 'local') {
       const gameEngine = new GameEngine(gameStateManager, actionProcessor, gameFlowManager);
       gameStateManager.gameEngine = gameEngine;
@@ -33,6 +36,22 @@ const GameServerFactory = {
       });
     }
 
+    // Spectators watch from player1's side; GameClient refuses to send actions
+    if (gameMode === 'spectator') {
+      const transport = new P2PTransport(p2pManager);
+      return new GameClient(transport, {
+        clientStateStore, playerId: 'player1', phaseAnimationQueue, isSpectator: true,
+      });
+    }
+
+    // Dedicated server: the engine runs remotely; the seat comes from the server's welcome
+    if (gameMode === 'online') {
+      const transport = new WebSocketTransport(dedicatedServerConnection);
+      return new GameClient(transport, {
+        clientStateStore, playerId: dedicatedServerConnection.playerId, phaseAnimationQueue,
+      });
+    }
+
     throw new Error(`GameServerFactory: unknown game mode "${gameMode}"`);
   },
 };
@@ -2,8 +2,21 @@
 // Wraps GameEngine, registers the remote peer as a GameEngine client so
 // _emitToClients delivers to both local and remote clients via the
 // same code path. Handles incoming remote actions.
+// Spectators share a single GameEngine client (SPECTATOR_VIEWER_ID) whose
+// state has both hands redacted; P2PManager fans it out to every spectator.
+// While a dropped guest is inside its reconnect window the match is paused:
+// no actions are processed until the guest's session resumes.
+// Remote actions pass through ActionValidator before reaching the engine;
+// the host's own actions are trusted.
+// Timed matches run a TurnClock; its expiry actions go through processAction
+// so the pause guard applies to them too, and the clock itself is frozen for
+// as long as the match is paused.
+// If the guest's reconnect window expires, the match resumes only to be
+// ended with a forfeit for the guest.
 
-import StateRedactor from './StateRedactor.js';
+import StateRedactor, { SPECTATOR_VIEWER_ID } from './StateRedactor.js';
+import ActionValidator from './ActionValidator.js';
+import TurnClock from './TurnClock.js';
 import { debugLog } from '../utils/debugLogger.js';
 
 class HostGameServer {
@@ -11,6 +24,12 @@ class HostGameServer {
     this.gameEngine = gameEngine;
     this.p2pManager = p2pManager;
     this.remotePlayerId = remotePlayerId;
+    this.paused = false;
+
+    this.turnClock = new TurnClock(gameEngine, {
+      onExpire: (type, payload) => this.processAction(type, payload),
+    });
+    gameEngine.turnClock = this.turnClock;
 
     // Register P2P delivery as a GameEngine client — same mechanism as LocalTransport.
     // _emitToClients will redact state for player2 and call this callback.
@@ -23,31 +42,121 @@ class HostGameServer {
           animations?.systemAnimations || []
         );
       });
+
+      this.gameEngine.registerClient(SPECTATOR_VIEWER_ID, ({ state, animations }) => {
+        if (!p2pManager.spectators?.size) return;
+        p2pManager.broadcastSpectatorState(
+          state,
+          animations?.actionAnimations || [],
+          animations?.systemAnimations || []
+        );
+      });
     }
   }
 
+  /**
+   * Handle a spectator joining the room.
+   * If a match is already running, signal the spectator to enter the game;
+   * its P2PTransport then requests a full sync for the current state.
+   */
+  handleSpectatorJoined(peerId) {
+    const state = this.gameEngine.getState();
+    if (state?.appState !== 'inGame') return;
+
+    debugLog('MP_SYNC_TRACE', 'Spectator joined mid-game', { peerId, turnPhase: state.turnPhase });
+    this.p2pManager?.sendGameStartedToSpectator(peerId);
+  }
+
   /**
    * Process a game action, return response.
    * State + animations are delivered to ALL clients (local + P2P) via _emitToClients.
    */
   async processAction(type, payload) {
+    if (this.paused) {
+      debugLog('MP_SYNC_TRACE', 'Guard: match paused, action rejected', { guard: true, actionType: type });
+      return {
+        state: this.gameEngine.getState(),
+        animations: { actionAnimations: [], systemAnimations: [] },
+        result: { success: false, error: 'Match paused while opponent reconnects' },
+      };
+    }
     return this.gameEngine.processAction(type, payload);
   }
 
+  /**
+   * True while a match is being played (used to decide whether a dropped
+   * guest gets a reconnect window or simply leaves the room).
+   */
+  isMatchActive() {
+    const state = this.gameEngine.getState();
+    return state?.appState === 'inGame' && !state.winner;
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  pauseForReconnect() {
+    debugLog('MP_SYNC_TRACE', 'Match paused for guest reconnect');
+    this.paused = true;
+    this.turnClock.pause();
+  }
+
+  resumeAfterReconnect() {
+    debugLog('MP_SYNC_TRACE', 'Match resumed after guest reconnect');
+    this.paused = false;
+    this.turnClock.resume();
+  }
+
+  /**
+   * The dropped guest's reconnect window expired: lift the pause and end the
+   * match with a forfeit for the guest's seat.
+   */
+  async forfeitDroppedGuest() {
+    this.resumeAfterReconnect();
+    if (!this.isMatchActive()) return;
+    debugLog('MP_SYNC_TRACE', 'Guest did not reconnect, forfeiting', { loserId: this.remotePlayerId });
+    await this.processAction('forceWin', { loserId: this.remotePlayerId, reason: 'disconnect' });
+  }
+
   /**
    * Handle an action from the remote peer.
-   * Processes via GameEngine (which delivers to all clients), sends ack to remote client.
+   * Validates it against the authoritative state, processes it through
+   * processAction (pause guard, then GameEngine, which delivers to all
+   * clients), sends ack to remote client.
    */
   async handleRemoteAction(action) {
     debugLog('MP_SYNC_TRACE', '[9/10] Server processing remote action', { actionType: action?.type });
 
+    const validation = ActionValidator.validate(this.gameEngine.getState(), this.remotePlayerId, action);
+    if (!validation.valid) {
+      debugLog('MP_SYNC_TRACE', 'Guard: illegal remote action rejected', { guard: true, actionType: action?.type, code: validation.code, message: validation.error });
+      this.p2pManager?.sendActionAck({
+        actionType: action?.type,
+        success: false,
+        error: validation.error,
+        errorCode: validation.code,
+        authoritativeState: StateRedactor.redactForPlayer(
+          this.gameEngine.getState(), this.remotePlayerId
+        ),
+      });
+      return;
+    }
+
     try {
-      const response = await this.gameEngine.processAction(action.type, action.payload);
+      const response = await this.processAction(action.type, validation.payload);
 
       if (this.p2pManager) {
+        const rejected = response?.result?.success === false;
         this.p2pManager.sendActionAck({
           actionType: action.type,
-          success: true,
+          success: !rejected,
+          ...(rejected && {
+            error: response.result.error,
+            authoritativeState: StateRedactor.redactForPlayer(
+              this.gameEngine.getState(), this.remotePlayerId
+            ),
+          }),
         });
       }
 
@@ -85,6 +194,10 @@ class HostGameServer {
   getPlayerView(playerId) {
     return StateRedactor.redactForPlayer(this.gameEngine.getState(), playerId);
   }
+
+  getSpectatorView() {
+    return StateRedactor.redactForSpectator(this.gameEngine.getState());
+  }
 }
 
 export default HostGameServer;
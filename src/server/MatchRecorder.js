@@ -0,0 +1,146 @@
+// MatchRecorder — Compact, versioned log of every action GameEngine processes.
+// Captures the pre-action state and the AI-controlled seats once (the replay
+// starting point), then one
+// entry per action: type, payload, acting player, game seed and round.
+// Actions are recorded when they start (so interleaved actions keep their
+// order) and discarded if they are rejected or throw, so every entry replays.
+// The log is plain JSON so it can be attached to bug reports and fed to
+// ReplayPlayer to rebuild any state in the match.
+
+import { debugLog } from '../utils/debugLogger.js';
+
+export const MATCH_LOG_VERSION = 1;
+
+class MatchRecorder {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Discard the current log and start a fresh one.
+   */
+  reset() {
+    this._initialState = null;
+    this._aiPlayers = [];
+    this._entries = [];
+    this._startedAt = null;
+  }
+
+  /**
+   * Record an action before it is processed.
+   * The first call snapshots the current state as the replay starting point.
+   * @param {string} type - Action type
+   * @param {Object} payload - Action payload
+   * @param {Object} state - Authoritative state immediately before the action
+   * @param {Object} [match]
+   * @param {string[]} [match.aiPlayers] - AI-controlled seats, captured with the snapshot
+   */
+  record(type, payload, state, { aiPlayers = [] } = {}) {
+    if (!this._initialState) {
+      this._initialState = cloneForLog(state);
+      this._aiPlayers = [...aiPlayers];
+      this._startedAt = Date.now();
+    }
+
+    const entry = {
+      seq: this._entries.length,
+      type,
+      payload: cloneForLog(payload ?? null),
+      playerId: payload?.playerId || state?.currentPlayer || null,
+      seed: state?.gameSeed ?? null,
+      round: state?.roundNumber ?? 0,
+    };
+    this._entries.push(entry);
+
+    debugLog('STATE_SYNC', `MatchRecorder: #${entry.seq} ${type}`, {
+      playerId: entry.playerId,
+      round: entry.round,
+    });
+    return entry;
+  }
+
+  /**
+   * Remove an entry whose action was rejected or threw.
+   * Later entries are renumbered so seq stays contiguous.
+   * @param {Object} entry - Entry returned by record()
+   */
+  discard(entry) {
+    const index = this._entries.indexOf(entry);
+    if (index === -1) return;
+
+    this._entries.splice(index, 1);
+    this._entries.forEach((e, seq) => { e.seq = seq; });
+    if (this._entries.length === 0) {
+      // The snapshot was taken for this action; the next one takes its own
+      this._initialState = null;
+      this._startedAt = null;
+    }
+
+    debugLog('STATE_SYNC', `MatchRecorder: discarded ${entry.type}`, { seq: entry.seq });
+  }
+
+  getEntryCount() {
+    return this._entries.length;
+  }
+
+  /**
+   * Return the full log as a plain object.
+   * @returns {{version: number, startedAt: number|null, initialState: Object|null, aiPlayers: string[], entries: Array}}
+   */
+  getLog() {
+    return {
+      version: MATCH_LOG_VERSION,
+      startedAt: this._startedAt,
+      initialState: this._initialState,
+      aiPlayers: [...this._aiPlayers],
+      entries: [...this._entries],
+    };
+  }
+
+  /**
+   * Serialize the log to a JSON string (for download / bug reports).
+   * @returns {string}
+   */
+  serialize() {
+    return JSON.stringify(this.getLog());
+  }
+
+  /**
+   * Parse and validate a serialized match log.
+   * @param {string|Object} data - JSON string or already-parsed log object
+   * @returns {Object} Validated match log
+   * @throws {Error} If the log is malformed or from an unsupported version
+   */
+  static parse(data) {
+    const log = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!log || typeof log !== 'object') {
+      throw new Error('Invalid match log: expected an object');
+    }
+    if (log.version !== MATCH_LOG_VERSION) {
+      throw new Error(`Unsupported match log version: ${log.version} (expected ${MATCH_LOG_VERSION})`);
+    }
+    if (!log.initialState || typeof log.initialState !== 'object') {
+      throw new Error('Invalid match log: missing initialState');
+    }
+    if (log.aiPlayers !== undefined && !Array.isArray(log.aiPlayers)) {
+      throw new Error('Invalid match log: aiPlayers must be an array');
+    }
+    if (!Array.isArray(log.entries)) {
+      throw new Error('Invalid match log: entries must be an array');
+    }
+    log.entries.forEach((entry, i) => {
+      if (typeof entry?.type !== 'string') {
+        throw new Error(`Invalid match log: entry ${i} has no action type`);
+      }
+    });
+
+    return { ...log, aiPlayers: log.aiPlayers ?? [] };
+  }
+}
+
+function cloneForLog(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+export default MatchRecorder;
@@ -0,0 +1,73 @@
+// ReplayEngineFactory — Builds the engine ReplayPlayer re-feeds a match log
+// into: GameStateManager, ActionProcessor and GameFlowManager behind a
+// GameEngine, started at the log's initial state. Seats that were AI in the
+// recorded match stay AI, so effects and simultaneous phases resolve their
+// choices the same way, but no AI ever takes a turn — every turn comes from
+// the log. The engine takes over the GameStateManager singleton, so build it
+// where no live game runs (the replay Web Worker, a script, a test).
+
+import gameStateManager from '../managers/GameStateManager.js';
+import GameFlowManager from '../managers/GameFlowManager.js';
+import aiPhaseProcessor from '../managers/AIPhaseProcessor.js';
+import GameEngine from './GameEngine.js';
+import fullDroneCollection from '../data/droneData.js';
+import aiPersonalities from '../data/aiData.js';
+
+const ReplayEngineFactory = {
+  /**
+   * @param {Object} initialState - The match log's initialState
+   * @param {Object} [options]
+   * @param {string[]} [options.aiPlayers] - Seats that were AI-controlled in the recorded match
+   * @param {Object} [options.interceptionDecider] - Answers interceptions for AI defenders
+   *   (defaults to AIPhaseProcessor, as in single-player)
+   * @returns {GameEngine}
+   */
+  create(initialState, { aiPlayers = [], interceptionDecider = aiPhaseProcessor } = {}) {
+    const replayServer = {
+      isPlayerAI: (playerId) => aiPlayers.includes(playerId),
+      isMultiplayer: () => false,
+      getLocalPlayerId: () => 'player1',
+    };
+    const actionProcessor = gameStateManager.actionProcessor;
+
+    gameStateManager.setGameServer(replayServer);
+    actionProcessor.setGameServer(replayServer);
+
+    // GameFlowManager never unsubscribes from GameStateManager — a second one
+    // would run every phase transition twice, so reuse any already wired in
+    const gameFlowManager = gameStateManager.gameFlowManager || new GameFlowManager(null);
+    gameFlowManager.initialize(gameStateManager, actionProcessor, null);
+    gameStateManager.setGameFlowManager(gameFlowManager);
+
+    if (gameStateManager.getState().gameActive) {
+      gameStateManager.endGame();
+    }
+    gameFlowManager.reset();
+
+    aiPhaseProcessor.cleanup();
+    if (aiPlayers.length > 0) {
+      aiPhaseProcessor.initialize(
+        aiPersonalities,
+        fullDroneCollection,
+        initialState.player2?.aiPersonality ?? null,
+        actionProcessor,
+        gameStateManager,
+        { isAnimationBlocking: () => false, takesTurns: false }
+      );
+    }
+    actionProcessor.setAIPhaseProcessor(aiPlayers.length > 0 ? interceptionDecider : null);
+
+    const gameEngine = new GameEngine(gameStateManager, actionProcessor, gameFlowManager);
+    gameStateManager.gameEngine = gameEngine;
+
+    // Start from exactly the recorded state — clear keys an earlier game left behind
+    const staleKeys = Object.keys(gameStateManager.getState()).filter(key => !(key in initialState));
+    gameStateManager.startGame(initialState.gameMode || 'local', {}, {}, {
+      ...Object.fromEntries(staleKeys.map(key => [key, undefined])),
+      ...initialState,
+    });
+    return gameEngine;
+  },
+};
+
+export default ReplayEngineFactory;
@@ -0,0 +1,131 @@
+// ReplayPlayer — Rebuilds game state from a MatchRecorder log.
+// Re-feeds recorded actions into a fresh engine (GameStateManager +
+// ActionProcessor behind a GameEngine-shaped facade) so any point in the
+// match can be reproduced. Stepping backward rebuilds from the initial
+// state, which is safe because action processing is seeded and deterministic.
+
+import MatchRecorder from './MatchRecorder.js';
+import { debugLog } from '../utils/debugLogger.js';
+
+// Keys that legitimately differ between a replay and the live game
+// (wall-clock timestamps, UI-only history) — skipped by diffStates.
+export const DIFF_IGNORED_KEYS = ['gameLog', 'aiDecisionHistory', 'timestamp'];
+
+class ReplayPlayer {
+  /**
+   * @param {string|Object} matchLog - Serialized or parsed MatchRecorder log
+   * @param {Object} options
+   * @param {Function} options.createEngine - (initialState) => engine with
+   *   processAction(type, payload) and getState(). May return a Promise.
+   *   ReplayEngineFactory.create builds the real, turn-less engine.
+   */
+  constructor(matchLog, { createEngine }) {
+    if (typeof createEngine !== 'function') {
+      throw new Error('ReplayPlayer: createEngine factory is required');
+    }
+    this.log = MatchRecorder.parse(matchLog);
+    this.createEngine = createEngine;
+    this.engine = null;
+    this.cursor = 0; // Number of entries applied to the current engine
+  }
+
+  get length() {
+    return this.log.entries.length;
+  }
+
+  /**
+   * Create a fresh engine at the initial state (cursor 0).
+   */
+  async load() {
+    const initialState = JSON.parse(JSON.stringify(this.log.initialState));
+    this.engine = await this.createEngine(initialState);
+    this.cursor = 0;
+    return this.getState();
+  }
+
+  /**
+   * Apply the next recorded action.
+   * @returns {Promise<Object|null>} The applied entry, or null at end of log
+   */
+  async stepForward() {
+    if (!this.engine) await this.load();
+    if (this.cursor >= this.length) return null;
+
+    const entry = this.log.entries[this.cursor];
+    debugLog('STATE_SYNC', `ReplayPlayer: applying #${entry.seq} ${entry.type}`, {
+      playerId: entry.playerId,
+      round: entry.round,
+    });
+    await this.engine.processAction(entry.type, entry.payload);
+    this.cursor += 1;
+    return entry;
+  }
+
+  /**
+   * Undo the last applied action by rebuilding up to cursor - 1.
+   * @returns {Promise<number>} The new cursor position
+   */
+  async stepBackward() {
+    if (this.cursor === 0) return 0;
+    return this.seek(this.cursor - 1);
+  }
+
+  /**
+   * Move to an absolute position (number of entries applied).
+   * Forward seeks continue from the current engine; backward seeks rebuild.
+   * @param {number} index - Target cursor, clamped to [0, length]
+   * @returns {Promise<number>} The new cursor position
+   */
+  async seek(index) {
+    const target = Math.max(0, Math.min(index, this.length));
+    if (!this.engine || target < this.cursor) {
+      await this.load();
+    }
+    while (this.cursor < target) {
+      await this.stepForward();
+    }
+    return this.cursor;
+  }
+
+  getState() {
+    return this.engine ? this.engine.getState() : null;
+  }
+
+  /**
+   * Compare the replayed state against another state (e.g. the live GameStateManager).
+   * @param {Object} liveState
+   * @returns {Array<{path: string, expected: *, actual: *}>}
+   */
+  diffAgainst(liveState) {
+    return diffStates(this.getState(), liveState);
+  }
+}
+
+/**
+ * Structural diff of two plain-object states.
+ * @param {*} expected - Reference value (replay)
+ * @param {*} actual - Compared value (live)
+ * @param {Object} [options]
+ * @param {string[]} [options.ignoreKeys] - Object keys skipped at any depth
+ * @returns {Array<{path: string, expected: *, actual: *}>}
+ */
+export function diffStates(expected, actual, { ignoreKeys = DIFF_IGNORED_KEYS } = {}) {
+  const diffs = [];
+  const walk = (a, b, path) => {
+    if (a === b) return;
+    const bothObjects = a && b && typeof a === 'object' && typeof b === 'object';
+    if (!bothObjects || Array.isArray(a) !== Array.isArray(b)) {
+      diffs.push({ path: path || '(root)', expected: a, actual: b });
+      return;
+    }
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+      if (ignoreKeys.includes(key)) continue;
+      walk(a[key], b[key], path ? `${path}.${key}` : key);
+    }
+  };
+  walk(expected, actual, '');
+  return diffs;
+}
+
+export default ReplayPlayer;
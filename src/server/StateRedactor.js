@@ -4,13 +4,21 @@
 // Strips private information (hand, deck, discard) from game state
 // before broadcasting to the opponent. Replaces card arrays with
 // counts so the UI can still display totals.
+// Spectators are a viewer of their own: both players' private data is hidden.
+
+/** Viewer id used for read-only spectators (GameEngine client key and redaction target) */
+export const SPECTATOR_VIEWER_ID = 'spectator';
 
 class StateRedactor {
   /**
    * Returns a redacted copy of gameState for the given viewer.
    * The viewer's own private data is preserved; the opponent's is replaced with counts.
+   * A SPECTATOR_VIEWER_ID viewer is routed to redactForSpectator.
    */
   static redactForPlayer(state, viewerPlayerId) {
+    if (viewerPlayerId === SPECTATOR_VIEWER_ID) {
+      return this.redactForSpectator(state);
+    }
     const opponentId = viewerPlayerId === 'player1' ? 'player2' : 'player1';
     const redacted = {
       ...state,
@@ -27,6 +35,24 @@ class StateRedactor {
     return redacted;
   }
 
+  /**
+   * Returns a redacted copy of gameState for a spectator.
+   * Both players' hands, decks and discard piles are replaced with counts,
+   * and pending private selections are hidden.
+   * Callers may pass a partial state (e.g. STATE_SNAPSHOT { player1, player2 }).
+   */
+  static redactForSpectator(state) {
+    const redacted = { ...state };
+    ['player1', 'player2'].forEach(playerId => {
+      if (state[playerId]) {
+        redacted[playerId] = this.redactPlayerState(state[playerId]);
+      }
+    });
+    redacted.cardSelectionPending = null;
+    redacted.mandatoryActionPending = null;
+    return redacted;
+  }
+
   static redactPlayerState(playerState) {
     const { hand = [], deck = [], discardPile = [], ...publicState } = playerState;
     return {
@@ -0,0 +1,222 @@
+// TurnClock — Chess-clock enforcement for timed multiplayer matches.
+// Runs on the authoritative side only (HostGameServer / DedicatedGameServer).
+// All timer state lives in state.turnClock (see config/timeControls.js), so
+// StateRedactor ships it to both clients and they count down locally.
+//
+// GameEngine drives the clock: suspend() when an action starts processing,
+// update() just before each state emit. Time spent is charged to whichever
+// player the game is waiting on — the turn holder, or the defender / deciding
+// player while an interception or trigger order decision is pending; the
+// acting player earns the increment. When a turn runs past the turn limit the
+// player is passed (a pending decision gets its default answer instead); when
+// a bank empties the player is passed or forfeits, per the preset. Expiry
+// actions are issued through onExpire so they take the same path (and pause
+// guard) as any other.
+// Inert when state.turnClock is null (untimed matches).
+
+import { debugLog } from '../utils/debugLogger.js';
+import { TRIGGER_ORDER_STAGES } from '../logic/actions/TriggerOrderStrategy.js';
+
+/** Phases where one player holds the turn and the clock runs */
+const TIMED_PHASES = ['deployment', 'action'];
+
+class TurnClock {
+  /**
+   * @param {GameEngine} gameEngine - Authoritative engine for the match
+   * @param {Object} options
+   * @param {Function} options.onExpire - (type, payload) => Promise; submits the expiry action
+   * @param {Function} [options.now] - Clock source (ms)
+   */
+  constructor(gameEngine, { onExpire, now = () => Date.now() }) {
+    this.gameEngine = gameEngine;
+    this.onExpire = onExpire;
+    this.now = now;
+    this._timer = null;
+    this._expiring = false;
+  }
+
+  /**
+   * Player the game is waiting on: a pending decision belongs to the defender
+   * or deciding player, otherwise the turn holder in a sequential phase.
+   */
+  _getPlayerOnClock(state) {
+    if (state.winner) return null;
+    if (state.interceptionPending) return state.interceptionPending.defendingPlayerId;
+    if (state.triggerOrderPending) return state.triggerOrderPending.decidingPlayerId;
+    return TIMED_PHASES.includes(state.turnPhase) ? state.currentPlayer : null;
+  }
+
+  /**
+   * Action the clock submits for a player out of time: the default answer to
+   * their pending decision, or a pass.
+   */
+  _getExpiryAction(state, playerId) {
+    if (state.interceptionPending) {
+      return ['attack', { attackDetails: { ...state.interceptionPending.attackDetails, interceptor: null } }];
+    }
+    const pending = state.triggerOrderPending;
+    if (pending?.stage === TRIGGER_ORDER_STAGES.ORDER) {
+      return ['triggerOrderDecision', { playerId, order: pending.window.triggers.map(t => t.key) }];
+    }
+    if (pending) {
+      return ['triggerResponse', { playerId }];
+    }
+    return ['playerPass', {
+      playerId,
+      playerName: state[playerId]?.name,
+      turnPhase: state.turnPhase,
+      passInfo: state.passInfo,
+      opponentPlayerId: playerId === 'player1' ? 'player2' : 'player1',
+    }];
+  }
+
+  _getClock() {
+    return this.gameEngine.getState()?.turnClock || null;
+  }
+
+  _setClock(turnClock) {
+    this.gameEngine.gameStateManager.setState({ turnClock }, 'TURN_CLOCK_UPDATE');
+  }
+
+  /**
+   * Charge time spent on the current turn to the active player's bank.
+   * @returns {Object} New clock state (not yet written)
+   */
+  _charge(clock) {
+    if (!clock.activePlayer || clock.turnStartedAt == null || clock.paused) return clock;
+
+    const elapsed = Math.max(0, this.now() - clock.turnStartedAt);
+    return {
+      ...clock,
+      bankMs: {
+        ...clock.bankMs,
+        [clock.activePlayer]: Math.max(0, clock.bankMs[clock.activePlayer] - elapsed),
+      },
+      turnElapsedMs: clock.turnElapsedMs + elapsed,
+      turnStartedAt: this.now(),
+    };
+  }
+
+  /**
+   * Stop the pending expiry while an action is processed. update() re-arms it.
+   */
+  suspend() {
+    this._clearTimer();
+  }
+
+  /**
+   * Settle the clock against the current game state and re-arm the expiry.
+   * Called by GameEngine before every emit, so clients always receive a
+   * clock whose turnStartedAt matches the moment they got it.
+   * @param {Object} [options]
+   * @param {string} [options.actorId] - Player whose action was just processed
+   */
+  update({ actorId = null } = {}) {
+    this._clearTimer();
+    const clock = this._getClock();
+    if (!clock) return;
+
+    const state = this.gameEngine.getState();
+    let next = this._charge(clock);
+
+    // Increment for the player who acted on their own time — not for the
+    // pass the clock issued on their behalf
+    if (actorId && actorId === clock.activePlayer && !this._expiring) {
+      next = {
+        ...next,
+        bankMs: { ...next.bankMs, [actorId]: next.bankMs[actorId] + next.incrementMs },
+      };
+    }
+
+    const activePlayer = this._getPlayerOnClock(state);
+
+    next = {
+      ...next,
+      activePlayer,
+      turnElapsedMs: activePlayer && activePlayer === clock.activePlayer ? next.turnElapsedMs : 0,
+      turnStartedAt: activePlayer ? this.now() : null,
+    };
+
+    this._setClock(next);
+    this._schedule(next);
+  }
+
+  /**
+   * Freeze both banks (e.g. while a dropped player is inside their reconnect window).
+   * Pause and resume happen outside any action, so they push state themselves.
+   */
+  pause() {
+    this._clearTimer();
+    const clock = this._getClock();
+    if (!clock || clock.paused) return;
+
+    debugLog('MP_SYNC_TRACE', 'Turn clock paused', { activePlayer: clock.activePlayer });
+    this._setClock({ ...this._charge(clock), turnStartedAt: null, paused: true });
+    this.gameEngine.broadcastState();
+  }
+
+  resume() {
+    const clock = this._getClock();
+    if (!clock || !clock.paused) return;
+
+    debugLog('MP_SYNC_TRACE', 'Turn clock resumed', { activePlayer: clock.activePlayer });
+    const next = {
+      ...clock,
+      paused: false,
+      turnStartedAt: clock.activePlayer ? this.now() : null,
+    };
+    this._setClock(next);
+    this._schedule(next);
+    this.gameEngine.broadcastState();
+  }
+
+  dispose() {
+    this._clearTimer();
+  }
+
+  _schedule(clock) {
+    if (!clock.activePlayer || clock.paused) return;
+
+    const bankLeft = clock.bankMs[clock.activePlayer];
+    const turnLeft = clock.turnLimitMs == null ? Infinity : clock.turnLimitMs - clock.turnElapsedMs;
+    const delay = Math.max(0, Math.min(bankLeft, turnLeft));
+
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._expire();
+    }, delay);
+  }
+
+  _clearTimer() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  async _expire() {
+    const clock = this._charge(this._getClock() || {});
+    const playerId = clock.activePlayer;
+    if (!playerId) return;
+
+    const bankExpired = clock.bankMs[playerId] <= 0;
+    const state = this.gameEngine.getState();
+
+    debugLog('MP_SYNC_TRACE', 'Turn clock expired', { playerId, bankExpired, onBankExpired: clock.onBankExpired });
+
+    this._expiring = true;
+    try {
+      if (bankExpired && clock.onBankExpired === 'forfeit') {
+        await this.onExpire('forceWin', { loserId: playerId, reason: 'timeout' });
+      } else {
+        await this.onExpire(...this._getExpiryAction(state, playerId));
+      }
+    } catch (error) {
+      debugLog('MP_SYNC_TRACE', 'Turn clock expiry action failed', { error: true, playerId, message: error.message });
+    } finally {
+      this._expiring = false;
+    }
+  }
+}
+
+export default TurnClock;
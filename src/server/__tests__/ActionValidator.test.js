@@ -0,0 +1,408 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+// Load ActionProcessor the way the app does (via GameStateManager) to avoid an import cycle
+import '../../managers/GameStateManager.js';
+import { ACTION_STRATEGIES, STATUS_CONSUMPTION_TYPES } from '../../managers/ActionProcessor.js';
+import ActionValidator, { VALIDATION_ERRORS, VALIDATED_ACTION_TYPES } from '../ActionValidator.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+  timingLog: vi.fn(),
+}));
+
+const strike = {
+  id: 'ISOLATION_STRIKE',
+  name: 'Isolation Strike',
+  type: 'Ordnance',
+  cost: 2,
+  effects: [{ type: 'DAMAGE', value: 2, targeting: { type: 'DRONE', affinity: 'ENEMY', location: 'ANY_LANE' } }],
+};
+
+const makeDrone = (id, overrides = {}) => ({
+  id, name: 'Dart', attack: 1, hull: 1, shields: 1, speed: 4, isExhausted: false, abilities: [], ...overrides,
+});
+
+const makePlayer = (overrides = {}) => ({
+  energy: 5,
+  momentum: 0,
+  hand: [],
+  deck: [],
+  discardPile: [],
+  activeDronePool: [{ name: 'Dart' }],
+  appliedUpgrades: {},
+  dronesOnBoard: { lane1: [], lane2: [], lane3: [] },
+  shipSections: {
+    bridge: { hull: 10, ability: { name: 'Recalculate', cost: { energy: 1 }, targeting: null, effect: { type: 'DRAW_THEN_DISCARD' } } },
+  },
+  ...overrides,
+});
+
+const ACCEPTED = expect.objectContaining({ valid: true });
+
+describe('ActionValidator', () => {
+  let state;
+
+  beforeEach(() => {
+    state = {
+      turnPhase: 'action',
+      currentPlayer: 'player2',
+      passInfo: { player1Passed: false, player2Passed: false },
+      interceptionPending: null,
+      cardSelectionPending: null,
+      player1: makePlayer({ dronesOnBoard: { lane1: [makeDrone('p1-d1')], lane2: [], lane3: [] } }),
+      player2: makePlayer({
+        hand: [{ ...strike, instanceId: 'p2-strike' }],
+        dronesOnBoard: { lane1: [makeDrone('p2-d1')], lane2: [], lane3: [] },
+      }),
+    };
+  });
+
+  const validate = (type, payload, actor = 'player2') => ActionValidator.validate(state, actor, { type, payload });
+
+  it('has a rule for every action type ActionProcessor dispatches', () => {
+    const dispatched = [
+      ...Object.keys(ACTION_STRATEGIES),
+      ...Object.keys(STATUS_CONSUMPTION_TYPES),
+      'allocateShield', 'resetShieldAllocation', 'endShieldAllocation',
+    ];
+    expect(VALIDATED_ACTION_TYPES.sort()).toEqual(dispatched.sort());
+  });
+
+  describe('envelope', () => {
+    it('rejects actions without a type or payload', () => {
+      expect(ActionValidator.validate(state, 'player2', { type: 'attack' }).code).toBe(VALIDATION_ERRORS.MALFORMED_ACTION);
+      expect(ActionValidator.validate(state, 'player2', null).code).toBe(VALIDATION_ERRORS.MALFORMED_ACTION);
+    });
+
+    it('rejects unknown action types', () => {
+      expect(validate('movementCompletion', { playerId: 'player2' }).code).toBe(VALIDATION_ERRORS.UNKNOWN_ACTION);
+      expect(validate('toString', {}).code).toBe(VALIDATION_ERRORS.UNKNOWN_ACTION);
+    });
+
+    it('rejects actions only the server may issue', () => {
+      for (const type of ['phaseTransition', 'draw', 'aiAction', 'forceWin', 'debugAddCardsToHand', 'turnTransition']) {
+        expect(validate(type, { playerId: 'player2' })).toEqual(expect.objectContaining({
+          valid: false, code: VALIDATION_ERRORS.SERVER_ONLY_ACTION,
+        }));
+      }
+    });
+
+    it('rejects actions submitted on behalf of the other player', () => {
+      expect(validate('playerPass', { playerId: 'player1' }).code).toBe(VALIDATION_ERRORS.WRONG_PLAYER);
+    });
+  });
+
+  describe('turn order', () => {
+    it('rejects sequential actions outside the player\'s turn', () => {
+      state.currentPlayer = 'player1';
+      expect(validate('playerPass', { playerId: 'player2' }).code).toBe(VALIDATION_ERRORS.NOT_YOUR_TURN);
+    });
+
+    it('rejects actions after the player has passed', () => {
+      state.passInfo.player2Passed = true;
+      expect(validate('playerPass', { playerId: 'player2' }).code).toBe(VALIDATION_ERRORS.ALREADY_PASSED);
+    });
+
+    it('rejects actions in the wrong phase', () => {
+      state.turnPhase = 'allocateShields';
+      expect(validate('playerPass', { playerId: 'player2' }).code).toBe(VALIDATION_ERRORS.WRONG_PHASE);
+    });
+
+    it('accepts a pass on the player\'s own turn', () => {
+      expect(validate('playerPass', { playerId: 'player2' })).toEqual(ACCEPTED);
+    });
+  });
+
+  describe('cardPlay', () => {
+    const play = (overrides = {}) => ({
+      card: { ...strike, instanceId: 'p2-strike' }, targetId: 'p1-d1', targetOwner: 'player1', playerId: 'player2', ...overrides,
+    });
+
+    it('accepts a legal card on a legal target', () => {
+      expect(validate('cardPlay', play())).toEqual(ACCEPTED);
+    });
+
+    it('rejects a card that is not in the player\'s hand', () => {
+      expect(validate('cardPlay', play({ card: { ...strike, instanceId: 'forged' } })).code).toBe(VALIDATION_ERRORS.CARD_NOT_IN_HAND);
+    });
+
+    it('rejects a hand card re-labelled as a different card', () => {
+      const card = { ...strike, id: 'NUKE', instanceId: 'p2-strike' };
+      expect(validate('cardPlay', play({ card })).code).toBe(VALIDATION_ERRORS.CARD_NOT_IN_HAND);
+    });
+
+    it('charges the cost of the hand card, not the submitted one', () => {
+      state.player2.energy = 1;
+      const card = { ...strike, cost: 0, instanceId: 'p2-strike' };
+      expect(validate('cardPlay', play({ card })).code).toBe(VALIDATION_ERRORS.INSUFFICIENT_ENERGY);
+    });
+
+    it('rejects a target TargetingRouter would not offer', () => {
+      expect(validate('cardPlay', play({ targetId: 'p2-d1', targetOwner: 'player2' })).code).toBe(VALIDATION_ERRORS.ILLEGAL_TARGET);
+    });
+
+    it('rejects a targeted card submitted without a target', () => {
+      expect(validate('cardPlay', play({ targetId: null })).code).toBe(VALIDATION_ERRORS.TARGET_REQUIRED);
+      expect(validate('cardPlay', play({ targetId: undefined })).code).toBe(VALIDATION_ERRORS.TARGET_REQUIRED);
+    });
+
+    it('processes the hand card in place of the submitted one', () => {
+      const forged = { ...strike, cost: 0, effects: [{ type: 'DAMAGE', value: 99, targeting: strike.effects[0].targeting }], instanceId: 'p2-strike' };
+      const result = validate('cardPlay', play({ card: forged }));
+
+      expect(result.valid).toBe(true);
+      expect(result.payload.card).toBe(state.player2.hand[0]);
+      expect(result.payload.targetId).toBe('p1-d1');
+    });
+  });
+
+  describe('attack', () => {
+    const attack = (overrides = {}) => ({
+      attackDetails: {
+        attacker: { id: 'p2-d1' }, target: { id: 'p1-d1' }, targetType: 'drone', lane: 'lane1', attackingPlayer: 'player2', ...overrides,
+      },
+    });
+
+    it('accepts an attack by a ready drone on an enemy in its lane', () => {
+      expect(validate('attack', attack())).toEqual(ACCEPTED);
+    });
+
+    it('rejects attacking with an opponent\'s drone', () => {
+      expect(validate('attack', attack({ attacker: { id: 'p1-d1' } })).code).toBe(VALIDATION_ERRORS.INVALID_SOURCE);
+    });
+
+    it('rejects attacks from an exhausted drone', () => {
+      state.player2.dronesOnBoard.lane1[0].isExhausted = true;
+      expect(validate('attack', attack()).code).toBe(VALIDATION_ERRORS.INVALID_SOURCE);
+    });
+
+    it('processes the board drones in place of the submitted attacker and target', () => {
+      const result = validate('attack', attack({ attacker: { id: 'p2-d1', attack: 99 }, target: { id: 'p1-d1', hull: 0 } }));
+
+      expect(result.valid).toBe(true);
+      expect(result.payload.attackDetails.attacker).toBe(state.player2.dronesOnBoard.lane1[0]);
+      expect(result.payload.attackDetails.target).toBe(state.player1.dronesOnBoard.lane1[0]);
+    });
+
+    it('rejects targets outside the attacker\'s lane', () => {
+      state.player1.dronesOnBoard = { lane1: [], lane2: [makeDrone('p1-d1')], lane3: [] };
+      expect(validate('attack', attack()).code).toBe(VALIDATION_ERRORS.ILLEGAL_TARGET);
+    });
+
+    describe('ship section targets', () => {
+      const sectionAttack = (sectionId) => attack({ target: { id: sectionId }, targetType: 'section' });
+
+      beforeEach(() => {
+        state.placedSections = ['bridge', 'powerCell', 'droneControlHub'];
+        state.player1.dronesOnBoard.lane1 = [];
+        state.player1.shipSections = { bridge: { hull: 10 }, powerCell: { hull: 8 }, droneControlHub: { hull: 6 } };
+      });
+
+      it('accepts the section placed in the attacker\'s lane', () => {
+        const result = validate('attack', sectionAttack('bridge'));
+
+        expect(result.valid).toBe(true);
+        expect(result.payload.attackDetails.target).toEqual({ id: 'bridge', hull: 10 });
+      });
+
+      it('rejects sections in other lanes', () => {
+        expect(validate('attack', sectionAttack('powerCell')).code).toBe(VALIDATION_ERRORS.ILLEGAL_TARGET);
+      });
+
+      it('rejects the section while a ready Guardian protects it', () => {
+        state.player1.dronesOnBoard.lane1 = [makeDrone('p1-guardian', { name: 'Bastion' })];
+        expect(validate('attack', sectionAttack('bridge')).code).toBe(VALIDATION_ERRORS.ILLEGAL_TARGET);
+
+        state.player1.dronesOnBoard.lane1[0].isExhausted = true;
+        expect(validate('attack', sectionAttack('bridge'))).toEqual(ACCEPTED);
+      });
+    });
+
+    it('lets the defender answer a pending interception with an offered interceptor', () => {
+      state.currentPlayer = 'player1';
+      state.interceptionPending = {
+        attackDetails: { attacker: { id: 'p1-d1' }, target: { id: 'bridge' } },
+        defendingPlayerId: 'player2',
+        attackingPlayerId: 'player1',
+        interceptors: [{ id: 'p2-d1' }],
+      };
+      const answer = (interceptor) => attack({
+        attacker: { id: 'p1-d1' }, target: { id: 'bridge' }, targetType: 'section', attackingPlayer: 'player1', interceptor,
+      });
+
+      expect(validate('attack', answer({ id: 'p2-d1' }))).toEqual(ACCEPTED);
+      expect(validate('attack', answer(null))).toEqual(ACCEPTED);
+      expect(validate('attack', answer({ id: 'p2-d9' })).code).toBe(VALIDATION_ERRORS.ILLEGAL_TARGET);
+
+      // The pending attack and offered interceptor are what gets resolved
+      const { attackDetails } = validate('attack', answer({ id: 'p2-d1', hull: 99 })).payload;
+      expect(attackDetails).toEqual({ ...state.interceptionPending.attackDetails, interceptor: { id: 'p2-d1' } });
+    });
+  });
+
+  describe('other player actions', () => {
+    describe('deployment', () => {
+      const bridge = {
+        hull: 10,
+        thresholds: { damaged: 5, critical: 0 },
+        stats: { healthy: { 'CPU Control Value': 2, 'Deployment Budget': 1 } },
+      };
+      const deploy = (name, overrides = {}) =>
+        validate('deployment', { droneData: { name, class: 0 }, laneId: 'lane2', playerId: 'player2', ...overrides });
+
+      beforeEach(() => {
+        state.turnPhase = 'deployment';
+        state.turn = 2;
+        state.opponentPlacedSections = ['bridge'];
+        Object.assign(state.player2, {
+          activeDronePool: [{ name: 'Dart', class: 1, attack: 1 }],
+          deployedDroneCounts: {},
+          deploymentBudget: 0,
+          energy: 1,
+          shipSections: { bridge },
+        });
+      });
+
+      it('rejects deploying a drone outside the player\'s pool', () => {
+        expect(deploy('Dart')).toEqual(ACCEPTED);
+        expect(deploy('Behemoth').code).toBe(VALIDATION_ERRORS.INVALID_SOURCE);
+      });
+
+      it('processes the pool drone and current turn in place of the submitted ones', () => {
+        const result = deploy('Dart', { turn: 1 });
+        expect(result.payload.droneData).toBe(state.player2.activeDronePool[0]);
+        expect(result.payload.turn).toBe(2);
+      });
+
+      it('charges the pool drone\'s cost against budget, then energy', () => {
+        state.player2.energy = 0;
+        expect(deploy('Dart').code).toBe(VALIDATION_ERRORS.INSUFFICIENT_ENERGY);
+
+        state.player2.deploymentBudget = 1;
+        expect(deploy('Dart')).toEqual(ACCEPTED);
+      });
+
+      it('enforces the CPU limit from the player\'s ship sections', () => {
+        state.player2.dronesOnBoard.lane3 = [makeDrone('p2-d2')];
+        expect(deploy('Dart').code).toBe(VALIDATION_ERRORS.CPU_LIMIT_REACHED);
+      });
+
+      it('enforces the drone\'s deployment limit', () => {
+        state.player2.deployedDroneCounts = { Dart: 3 };
+        expect(deploy('Dart').code).toBe(VALIDATION_ERRORS.DEPLOYMENT_LIMIT_REACHED);
+      });
+    });
+
+    it('rejects moving a drone from a lane it is not in', () => {
+      const move = (fromLane) => validate('move', { droneId: 'p2-d1', fromLane, toLane: 'lane2', playerId: 'player2' });
+
+      expect(move('lane1')).toEqual(ACCEPTED);
+      expect(move('lane3').code).toBe(VALIDATION_ERRORS.INVALID_SOURCE);
+    });
+
+    it('rejects moves by exhausted drones and moves that skip a lane', () => {
+      const move = (toLane) => validate('move', { droneId: 'p2-d1', fromLane: 'lane1', toLane, playerId: 'player2' });
+
+      expect(move('lane3').code).toBe(VALIDATION_ERRORS.ILLEGAL_TARGET);
+
+      state.player2.dronesOnBoard.lane1[0].isExhausted = true;
+      expect(move('lane2').code).toBe(VALIDATION_ERRORS.INVALID_SOURCE);
+    });
+
+    it('rejects a targeted ship ability submitted without a target', () => {
+      state.player2.shipSections.bridge.ability = {
+        name: 'Recall', cost: { energy: 1 }, targeting: { type: 'DRONE', affinity: 'FRIENDLY', location: 'ANY_LANE' }, effect: { type: 'RECALL_DRONE' },
+      };
+      expect(validate('recallAbility', { sectionName: 'bridge', targetId: null, playerId: 'player2' }).code).toBe(VALIDATION_ERRORS.TARGET_REQUIRED);
+    });
+
+    it('rejects a targeted drone ability submitted without a target', () => {
+      state.player2.dronesOnBoard.lane1[0].abilities = [{
+        name: 'Repair', type: 'ACTIVE', cost: { energy: 1 }, targeting: { type: 'DRONE', affinity: 'FRIENDLY', location: 'SAME_LANE' }, effects: [],
+      }];
+      expect(validate('ability', { droneId: 'p2-d1', abilityIndex: 0 }).code).toBe(VALIDATION_ERRORS.TARGET_REQUIRED);
+    });
+
+    it('checks ship abilities against the player\'s own sections and energy', () => {
+      expect(validate('recalculateAbility', { sectionName: 'bridge', playerId: 'player2' })).toEqual(ACCEPTED);
+      expect(validate('recallAbility', { sectionName: 'bridge', targetId: 'p2-d1', playerId: 'player2' }).code).toBe(VALIDATION_ERRORS.INVALID_SOURCE);
+
+      state.player2.energy = 0;
+      expect(validate('recalculateAbility', { sectionName: 'bridge', playerId: 'player2' }).code).toBe(VALIDATION_ERRORS.INSUFFICIENT_ENERGY);
+    });
+
+    it('checks the ship card ability against its activation limit and energy', () => {
+      state.player2.shipId = 'SHIP_001';
+      const activate = () => validate('shipCardAbility', { playerId: 'player2', targetId: null });
+
+      expect(activate()).toEqual(ACCEPTED);
+
+      state.player2.energy = 0;
+      expect(activate().code).toBe(VALIDATION_ERRORS.INSUFFICIENT_ENERGY);
+
+      state.player2.energy = 5;
+      state.player2.shipAbilityActivations = { round: 1, game: 1 };
+      expect(activate().code).toBe(VALIDATION_ERRORS.INVALID_SOURCE);
+    });
+
+    it('rejects commitments for a phase other than the current one', () => {
+      state.turnPhase = 'optionalDiscard';
+      expect(validate('commitment', { playerId: 'player2', phase: 'optionalDiscard', actionData: {} })).toEqual(ACCEPTED);
+      expect(validate('commitment', { playerId: 'player2', phase: 'allocateShields', actionData: {} }).code).toBe(VALIDATION_ERRORS.WRONG_PHASE);
+    });
+
+    it('only accepts search-and-draw selections from the pending search', () => {
+      const searchedCards = [{ id: 'A', instanceId: 'a1' }, { id: 'B', instanceId: 'b1' }];
+      const remainingDeck = [{ id: 'C', instanceId: 'c1' }];
+      state.cardSelectionPending = {
+        type: 'search_and_draw', searchedCards, remainingDeck, drawCount: 1, card: { instanceId: 'p2-search' }, playerId: 'player2',
+      };
+      const complete = (selectedCards, selectionData = { searchedCards, remainingDeck }) =>
+        validate('searchAndDrawCompletion', { card: { instanceId: 'p2-search' }, selectedCards, selectionData, playerId: 'player2' });
+
+      expect(complete([searchedCards[0]])).toEqual(ACCEPTED);
+      expect(complete([{ id: 'NUKE', instanceId: 'x' }]).code).toBe(VALIDATION_ERRORS.INVALID_SELECTION);
+      expect(complete(searchedCards).code).toBe(VALIDATION_ERRORS.INVALID_SELECTION);
+      expect(complete([searchedCards[0]], { searchedCards, remainingDeck: [] }).code).toBe(VALIDATION_ERRORS.INVALID_SELECTION);
+    });
+  });
+
+  describe('trigger ordering', () => {
+    const triggers = [{ key: 'p1-d1:Overload' }, { key: 'p1-d2:Rally' }];
+    const pendingFor = (stage, decidingPlayerId) => ({
+      stage, decidingPlayerId, actingPlayerId: 'player1', action: { type: 'attack', payload: {} }, window: { windowIndex: 0, triggers },
+    });
+
+    it('blocks turn actions while a trigger decision is pending', () => {
+      state.triggerOrderPending = pendingFor('ORDER', 'player1');
+      expect(validate('attack', { attackDetails: { attacker: { id: 'p2-d1' }, target: { id: 'p1-d1' }, targetType: 'drone', lane: 'lane1', attackingPlayer: 'player2' } }).code)
+        .toBe(VALIDATION_ERRORS.NOT_YOUR_TURN);
+    });
+
+    it('only accepts a full permutation of the pending window from the deciding player', () => {
+      state.triggerOrderPending = pendingFor('ORDER', 'player2');
+      const decide = (order, actor = 'player2') => validate('triggerOrderDecision', { playerId: actor, order }, actor);
+
+      expect(decide(['p1-d2:Rally', 'p1-d1:Overload'])).toEqual(ACCEPTED);
+      expect(decide(['p1-d2:Rally']).code).toBe(VALIDATION_ERRORS.INVALID_SELECTION);
+      expect(decide(['p1-d2:Rally', 'p1-d2:Rally']).code).toBe(VALIDATION_ERRORS.INVALID_SELECTION);
+      expect(decide(['p1-d2:Rally', 'p1-d1:Overload'], 'player1').code).toBe(VALIDATION_ERRORS.INVALID_SELECTION);
+    });
+
+    it('accepts a pass or a payable Reaction card in an open response window', () => {
+      state.triggerOrderPending = pendingFor('RESPONSE', 'player2');
+      const patch = { id: 'EMERGENCY_PATCH', name: 'Emergency Patch', cost: 1, reaction: true, effects: [], instanceId: 'p2-patch' };
+      state.player2.hand.push(patch);
+      const respond = (card) => validate('triggerResponse', { playerId: 'player2', card });
+
+      expect(respond(null)).toEqual(ACCEPTED);
+      expect(respond(patch)).toEqual(ACCEPTED);
+      expect(respond(state.player2.hand[0]).code).toBe(VALIDATION_ERRORS.INVALID_SOURCE);
+
+      state.player2.energy = 0;
+      expect(respond(patch).code).toBe(VALIDATION_ERRORS.INSUFFICIENT_ENERGY);
+
+      state.triggerOrderPending = pendingFor('ORDER', 'player2');
+      expect(respond(null).code).toBe(VALIDATION_ERRORS.INVALID_SELECTION);
+    });
+  });
+});
@@ -0,0 +1,291 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import DedicatedGameServer from '../DedicatedGameServer.js';
+import ActionValidator from '../ActionValidator.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+}));
+
+// Legality rules are covered in ActionValidator.test.js
+vi.mock('../ActionValidator.js', () => ({
+  default: { validate: vi.fn((state, actorId, action) => ({ valid: true, payload: action.payload })) },
+}));
+
+// ws-style socket: records sent messages, exposes handlers for tests
+function makeSocket() {
+  const handlers = {};
+  return {
+    readyState: 1,
+    sent: [],
+    send(data) { this.sent.push(JSON.parse(data)); },
+    on(event, handler) { handlers[event] = handler; },
+    close: vi.fn(),
+    receive(message) { return handlers.message(JSON.stringify(message)); },
+    drop() { handlers.close(); },
+  };
+}
+
+describe('DedicatedGameServer', () => {
+  let server;
+  let mockEngine;
+  let startMatch;
+  let endMatch;
+  let clients;
+
+  const mockState = {
+    appState: 'inGame',
+    player1: { hand: [{ id: 'c1' }], deck: [{ id: 'd1' }], hp: 20 },
+    player2: { hand: [{ id: 'c2' }], deck: [{ id: 'd2' }], hp: 20 },
+    turnPhase: 'action',
+  };
+
+  const types = (socket) => socket.sent.map(m => m.type);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clients = new Map();
+    mockEngine = {
+      processAction: vi.fn().mockResolvedValue({ result: { success: true } }),
+      getState: vi.fn().mockReturnValue(mockState),
+      registerClient: vi.fn((playerId, cb) => clients.set(playerId, cb)),
+      unregisterClient: vi.fn((playerId) => clients.delete(playerId)),
+    };
+    startMatch = vi.fn();
+    endMatch = vi.fn();
+    server = new DedicatedGameServer(mockEngine, { startMatch, endMatch });
+  });
+
+  describe('seating', () => {
+    it('seats the first two connections as player1 and player2', () => {
+      const a = makeSocket();
+      const b = makeSocket();
+
+      expect(server.handleConnection(a)).toBe('player1');
+      expect(server.handleConnection(b)).toBe('player2');
+      expect(a.sent[0]).toEqual({ type: 'welcome', playerId: 'player1', sessionToken: expect.any(String) });
+      expect(b.sent[0]).toEqual({ type: 'welcome', playerId: 'player2', sessionToken: expect.any(String) });
+      expect(a.sent[0].sessionToken).not.toBe(b.sent[0].sessionToken);
+      expect(mockEngine.registerClient).toHaveBeenCalledWith('player1', expect.any(Function));
+      expect(mockEngine.registerClient).toHaveBeenCalledWith('player2', expect.any(Function));
+    });
+
+    it('rejects a third connection', () => {
+      server.handleConnection(makeSocket());
+      server.handleConnection(makeSocket());
+      const late = makeSocket();
+
+      expect(server.handleConnection(late)).toBeNull();
+      expect(late.sent).toEqual([{ type: 'error', error: 'Match is full' }]);
+      expect(late.close).toHaveBeenCalled();
+    });
+
+    it('starts the match once both seats are filled', () => {
+      const a = makeSocket();
+      server.handleConnection(a);
+      expect(startMatch).not.toHaveBeenCalled();
+
+      server.handleConnection(makeSocket());
+
+      expect(startMatch).toHaveBeenCalledTimes(1);
+      expect(types(a)).toEqual(['welcome', 'game_started', 'state_update']);
+    });
+
+    it('sends each seat only its own hand in the initial state', () => {
+      const a = makeSocket();
+      const b = makeSocket();
+      server.handleConnection(a);
+      server.handleConnection(b);
+
+      const p1View = a.sent.find(m => m.type === 'state_update').state;
+      const p2View = b.sent.find(m => m.type === 'state_update').state;
+      expect(p1View.player1.hand).toEqual([{ id: 'c1' }]);
+      expect(p1View.player2.hand).not.toContainEqual({ id: 'c2' });
+      expect(p2View.player2.hand).toEqual([{ id: 'c2' }]);
+      expect(p2View.player1.hand).not.toContainEqual({ id: 'c1' });
+    });
+  });
+
+  describe('state delivery', () => {
+    it('numbers each seat\'s updates independently', () => {
+      const a = makeSocket();
+      const b = makeSocket();
+      server.handleConnection(a);
+      server.handleConnection(b);
+
+      clients.get('player1')({ state: mockState, animations: { actionAnimations: [{ animationName: 'ATTACK' }], systemAnimations: [] } });
+
+      const updates = a.sent.filter(m => m.type === 'state_update');
+      expect(updates.map(u => u.sequenceId)).toEqual([1, 2]);
+      expect(updates[1].actionAnimations).toEqual([{ animationName: 'ATTACK' }]);
+      expect(b.sent.filter(m => m.type === 'state_update').map(u => u.sequenceId)).toEqual([1]);
+    });
+
+    it('answers a sync request with a full sync at the current sequence', () => {
+      const a = makeSocket();
+      server.handleConnection(a);
+      server.handleConnection(makeSocket());
+
+      a.receive({ type: 'sync_request' });
+
+      expect(a.sent.at(-1)).toEqual(expect.objectContaining({
+        type: 'state_update', isFullSync: true, sequenceId: 1,
+      }));
+    });
+  });
+
+  describe('actions', () => {
+    let a;
+
+    beforeEach(() => {
+      a = makeSocket();
+      server.handleConnection(a);
+      server.handleConnection(makeSocket());
+    });
+
+    it('processes actions through the engine and acknowledges them', async () => {
+      await a.receive({ type: 'action', action: { type: 'attack', payload: { droneId: 'd1' } } });
+
+      expect(mockEngine.processAction).toHaveBeenCalledWith('attack', { droneId: 'd1' });
+      expect(a.sent.at(-1)).toEqual({ type: 'action_ack', actionType: 'attack', success: true });
+    });
+
+    it('returns the sender\'s redacted state when the engine rejects an action', async () => {
+      mockEngine.processAction.mockResolvedValueOnce({ result: { success: false, error: 'Not enough energy' } });
+
+      await a.receive({ type: 'action', action: { type: 'attack', payload: {} } });
+
+      const ack = a.sent.at(-1);
+      expect(ack).toEqual(expect.objectContaining({ type: 'action_ack', success: false, error: 'Not enough energy' }));
+      expect(ack.authoritativeState.player1.hand).toEqual([{ id: 'c1' }]);
+    });
+
+    it('returns the sender\'s redacted state when an action throws', async () => {
+      mockEngine.processAction.mockRejectedValueOnce(new Error('Invalid target'));
+
+      await a.receive({ type: 'action', action: { type: 'attack', payload: {} } });
+
+      const ack = a.sent.at(-1);
+      expect(ack).toEqual(expect.objectContaining({ type: 'action_ack', success: false, error: 'Invalid target' }));
+      expect(ack.authoritativeState.player1.hand).toEqual([{ id: 'c1' }]);
+      expect(ack.authoritativeState.player2.hand).not.toContainEqual({ id: 'c2' });
+    });
+
+    it('validates actions against the sender\'s seat', async () => {
+      const action = { type: 'attack', payload: { droneId: 'd1' } };
+      await a.receive({ type: 'action', action });
+      expect(ActionValidator.validate).toHaveBeenCalledWith(mockState, 'player1', action);
+    });
+
+    it('processes the validator\'s authoritative payload instead of the submitted one', async () => {
+      const handCard = { id: 'LASER', instanceId: 'c1', cost: 2 };
+      ActionValidator.validate.mockReturnValueOnce({ valid: true, payload: { card: handCard, playerId: 'player1' } });
+
+      await a.receive({ type: 'action', action: { type: 'cardPlay', payload: { card: { ...handCard, cost: 0 }, playerId: 'player1' } } });
+
+      expect(mockEngine.processAction).toHaveBeenCalledWith('cardPlay', { card: handCard, playerId: 'player1' });
+    });
+
+    it('rejects illegal actions with a structured ack without processing them', async () => {
+      ActionValidator.validate.mockReturnValueOnce({ valid: false, code: 'CARD_NOT_IN_HAND', error: 'Laser Blast is not in your hand' });
+
+      await a.receive({ type: 'action', action: { type: 'cardPlay', payload: {} } });
+
+      expect(mockEngine.processAction).not.toHaveBeenCalled();
+      const ack = a.sent.at(-1);
+      expect(ack).toEqual(expect.objectContaining({
+        type: 'action_ack', actionType: 'cardPlay', success: false,
+        error: 'Laser Blast is not in your hand', errorCode: 'CARD_NOT_IN_HAND',
+      }));
+      expect(ack.authoritativeState.player2.hand).not.toContainEqual({ id: 'c2' });
+    });
+
+    it('rejects actions before the match has started', async () => {
+      const fresh = new DedicatedGameServer(mockEngine, { startMatch });
+      const lone = makeSocket();
+      fresh.handleConnection(lone);
+
+      await lone.receive({ type: 'action', action: { type: 'attack', payload: {} } });
+
+      expect(mockEngine.processAction).not.toHaveBeenCalled();
+      expect(lone.sent.at(-1)).toEqual(expect.objectContaining({ success: false, error: 'Match has not started' }));
+    });
+
+    it('reports malformed messages', async () => {
+      await server.handleMessage('player1', 'not json');
+      expect(a.sent.at(-1)).toEqual({ type: 'error', error: 'Malformed message' });
+    });
+  });
+
+  describe('disconnects', () => {
+    it('frees the seat and tells the opponent', () => {
+      const a = makeSocket();
+      const b = makeSocket();
+      server.handleConnection(a);
+      server.handleConnection(b);
+
+      a.drop();
+
+      expect(mockEngine.unregisterClient).toHaveBeenCalledWith('player1');
+      expect(b.sent.at(-1)).toEqual({ type: 'opponent_left' });
+    });
+
+    it('gives a vacated seat back only to the connection presenting its session token', () => {
+      const a = makeSocket();
+      server.handleConnection(a);
+      server.handleConnection(makeSocket());
+      const { sessionToken } = a.sent[0];
+      a.drop();
+
+      const stranger = makeSocket();
+      expect(server.handleConnection(stranger)).toBeNull();
+      expect(stranger.sent).toEqual([{ type: 'error', error: 'Seat reserved for a reconnecting player' }]);
+      expect(stranger.close).toHaveBeenCalled();
+
+      const forger = makeSocket();
+      expect(server.handleConnection(forger, { sessionToken: 'guessed' })).toBeNull();
+      expect(forger.sent).toEqual([{ type: 'error', error: 'Session is no longer valid' }]);
+
+      const returning = makeSocket();
+      expect(server.handleConnection(returning, { sessionToken })).toBe('player1');
+      expect(returning.sent[0]).toEqual({ type: 'welcome', playerId: 'player1', sessionToken });
+      expect(types(returning)).toEqual(['welcome', 'game_started']);
+      expect(startMatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('replaces a stale socket when its player reconnects before the drop is noticed', () => {
+      const a = makeSocket();
+      server.handleConnection(a);
+      server.handleConnection(makeSocket());
+      const { sessionToken } = a.sent[0];
+
+      const returning = makeSocket();
+      expect(server.handleConnection(returning, { sessionToken })).toBe('player1');
+      expect(a.close).toHaveBeenCalled();
+
+      a.drop();
+      expect(server.seats.get('player1').socket).toBe(returning);
+    });
+
+    it('releases a seat vacated before the match starts', () => {
+      const a = makeSocket();
+      server.handleConnection(a);
+      a.drop();
+
+      expect(server.handleConnection(makeSocket())).toBe('player1');
+    });
+
+    it('ends the match once every player has left', () => {
+      const a = makeSocket();
+      const b = makeSocket();
+      server.handleConnection(a);
+      server.handleConnection(b);
+
+      a.drop();
+      expect(endMatch).not.toHaveBeenCalled();
+      b.drop();
+
+      expect(endMatch).toHaveBeenCalled();
+      expect(server.matchStarted).toBe(false);
+    });
+  });
+});
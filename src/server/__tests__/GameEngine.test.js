@@ -120,6 +120,139 @@ describe('GameEngine', () => {
     });
   });
 
+  describe('match log recording', () => {
+    it('records each processed action in order', async () => {
+      await engine.processAction('attack', { playerId: 'player1', droneId: 'd1' });
+      await engine.processAction('playerPass', { playerId: 'player2' });
+
+      const log = engine.getMatchLog();
+      expect(log.entries.map(e => e.type)).toEqual(['attack', 'playerPass']);
+      expect(log.entries[1].playerId).toBe('player2');
+      expect(log.initialState.phase).toBe('battle');
+    });
+
+    it('records which seats are AI-controlled', async () => {
+      mockGSM.gameServer = { isPlayerAI: (playerId) => playerId === 'player2' };
+
+      await engine.processAction('attack', { playerId: 'player1' });
+
+      expect(engine.getMatchLog().aiPlayers).toEqual(['player2']);
+    });
+
+    it('leaves out actions that throw', async () => {
+      await engine.processAction('attack', { playerId: 'player1' });
+      mockGSM.processAction.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(engine.processAction('move', { playerId: 'player1' })).rejects.toThrow('boom');
+      await engine.processAction('playerPass', { playerId: 'player1' });
+
+      expect(engine.getMatchLog().entries.map(e => [e.seq, e.type])).toEqual([[0, 'attack'], [1, 'playerPass']]);
+    });
+
+    it('leaves out actions the processor rejects', async () => {
+      mockGSM.processAction.mockResolvedValueOnce({ success: false, error: 'Nothing to undo' });
+
+      await engine.processAction('undo', { playerId: 'player1' });
+
+      const log = engine.getMatchLog();
+      expect(log.entries).toEqual([]);
+      expect(log.initialState).toBeNull();
+    });
+  });
+
+  describe('action listeners', () => {
+    it('notifies listeners with the action, result and post-action state', async () => {
+      const listener = vi.fn();
+      engine.onActionProcessed(listener);
+
+      await engine.processAction('playerPass', { playerId: 'player1' });
+
+      expect(listener).toHaveBeenCalledWith({
+        type: 'playerPass',
+        payload: { playerId: 'player1' },
+        result: expect.objectContaining({ success: true }),
+        state: mockState,
+      });
+    });
+
+    it('stops notifying after unsubscribe', async () => {
+      const listener = vi.fn();
+      const unsubscribe = engine.onActionProcessed(listener);
+      unsubscribe();
+
+      await engine.processAction('playerPass', { playerId: 'player1' });
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('isolates listener errors from action processing', async () => {
+      engine.onActionProcessed(() => { throw new Error('listener failed'); });
+
+      const { result } = await engine.processAction('playerPass', { playerId: 'player1' });
+
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('turn clock', () => {
+    it('suspends the clock while processing and settles it before emitting', async () => {
+      const calls = [];
+      engine.turnClock = {
+        suspend: vi.fn(() => calls.push('suspend')),
+        update: vi.fn(() => calls.push('update')),
+      };
+      mockGSM.processAction.mockImplementation(async () => { calls.push('process'); return { success: true }; });
+      engine.registerClient('player1', () => { calls.push('emit'); });
+
+      await engine.processAction('playerPass', { playerId: 'player1' });
+
+      expect(calls).toEqual(['suspend', 'process', 'update', 'emit']);
+      expect(engine.turnClock.update).toHaveBeenCalledWith({ actorId: 'player1' });
+    });
+
+    it('settles the clock before each deferred continuation is emitted', async () => {
+      engine.turnClock = { suspend: vi.fn(), update: vi.fn() };
+      mockGFM.hasDeferredContinuation.mockReturnValueOnce(true).mockReturnValue(false);
+
+      await engine.processAction('attack', { attackDetails: { attackingPlayer: 'player2' } });
+
+      expect(engine.turnClock.update).toHaveBeenNthCalledWith(1, { actorId: 'player2' });
+      expect(engine.turnClock.update).toHaveBeenCalledTimes(2);
+    });
+
+    it('re-arms the clock when processing throws', async () => {
+      engine.turnClock = { suspend: vi.fn(), update: vi.fn() };
+      mockGSM.processAction.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(engine.processAction('playerPass', { playerId: 'player1' })).rejects.toThrow('boom');
+
+      expect(engine.turnClock.update).toHaveBeenCalledTimes(1);
+      expect(engine.turnClock.update).toHaveBeenCalledWith();
+    });
+
+    it('gives no increment for a rejected action', async () => {
+      engine.turnClock = { suspend: vi.fn(), update: vi.fn() };
+      mockGSM.processAction.mockResolvedValueOnce({ success: false, error: 'Not your turn' });
+
+      await engine.processAction('playerPass', { playerId: 'player1' });
+
+      expect(engine.turnClock.update).toHaveBeenCalledTimes(1);
+      expect(engine.turnClock.update).toHaveBeenCalledWith({ actorId: null });
+    });
+
+    it('broadcastState pushes the current state without animations', async () => {
+      const callback = vi.fn();
+      engine.registerClient('player1', callback);
+
+      await engine.broadcastState();
+
+      expect(callback).toHaveBeenCalledWith({
+        state: expect.any(Object),
+        animations: { actionAnimations: [], systemAnimations: [] },
+      });
+    });
+  });
+
   describe('client registration and push', () => {
     it('registerClient adds a client and unregisterClient removes it', () => {
       const cb = vi.fn();
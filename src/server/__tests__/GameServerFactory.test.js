@@ -111,11 +111,56 @@ describe('GameServerFactory', () => {
     });
   });
 
+  describe('spectator mode', () => {
+    it('creates a read-only GameClient watching from player1', () => {
+      const spectatorStore = makeMockClientStateStore('spectator');
+      const server = GameServerFactory.create('spectator', {
+        gameStateManager: mockGSM, p2pManager: mockP2P,
+        clientStateStore: spectatorStore, phaseAnimationQueue: mockPAQ,
+      });
+      expect(server).toBeInstanceOf(GameClient);
+      expect(server.getLocalPlayerId()).toBe('player1');
+      expect(server.isSpectator()).toBe(true);
+      expect(server.isMultiplayer()).toBe(true);
+    });
+
+    it('no players are AI in spectator mode', () => {
+      const spectatorStore = makeMockClientStateStore('spectator');
+      const server = GameServerFactory.create('spectator', {
+        gameStateManager: mockGSM, p2pManager: mockP2P,
+        clientStateStore: spectatorStore, phaseAnimationQueue: mockPAQ,
+      });
+      expect(server.isPlayerAI('player1')).toBe(false);
+      expect(server.isPlayerAI('player2')).toBe(false);
+    });
+  });
+
+  describe('online mode', () => {
+    const makeConnection = (playerId) => ({
+      playerId,
+      isConnected: false,
+      sendAction: () => {},
+      requestFullSync: () => {},
+      subscribe: () => () => {},
+    });
+
+    it('creates a GameClient for the seat assigned by the dedicated server', () => {
+      const server = GameServerFactory.create('online', {
+        gameStateManager: mockGSM, dedicatedServerConnection: makeConnection('player2'),
+        clientStateStore: makeMockClientStateStore('online'), phaseAnimationQueue: mockPAQ,
+      });
+      expect(server).toBeInstanceOf(GameClient);
+      expect(server.getLocalPlayerId()).toBe('player2');
+      expect(server.isMultiplayer()).toBe(true);
+      expect(server.isPlayerAI('player1')).toBe(false);
+    });
+  });
+
   describe('unknown mode', () => {
     it('throws for unknown game mode', () => {
-      expect(() => GameServerFactory.create('spectator', {
+      expect(() => GameServerFactory.create('observer', {
         gameStateManager: mockGSM, actionProcessor: mockAP, gameFlowManager: mockGFM,
-      })).toThrow('GameServerFactory: unknown game mode "spectator"');
+      })).toThrow('GameServerFactory: unknown game mode "observer"');
     });
   });
 });
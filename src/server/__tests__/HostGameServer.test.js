@@ -1,10 +1,17 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import HostGameServer from '../HostGameServer.js';
+import { SPECTATOR_VIEWER_ID } from '../StateRedactor.js';
+import ActionValidator from '../ActionValidator.js';
 
 vi.mock('../../utils/debugLogger.js', () => ({
   debugLog: vi.fn(),
 }));
 
+// Legality rules are covered in ActionValidator.test.js
+vi.mock('../ActionValidator.js', () => ({
+  default: { validate: vi.fn((state, actorId, action) => ({ valid: true, payload: action.payload })) },
+}));
+
 describe('HostGameServer', () => {
   let hostServer;
   let mockEngine;
@@ -66,12 +73,117 @@ describe('HostGameServer', () => {
       expect(mockEngine.processAction).toHaveBeenCalledWith('attack', { droneId: 'd1' });
     });
 
+    it('validates the action against the remote player\'s seat', async () => {
+      const action = { type: 'attack', payload: { droneId: 'd2' } };
+      await hostServer.handleRemoteAction(action);
+      expect(ActionValidator.validate).toHaveBeenCalledWith(mockState, 'player2', action);
+    });
+
+    it('rejects an illegal action with a structured ack without processing it', async () => {
+      ActionValidator.validate.mockReturnValueOnce({ valid: false, code: 'NOT_YOUR_TURN', error: 'It is player1\'s turn' });
+
+      await hostServer.handleRemoteAction({ type: 'attack', payload: {} });
+
+      expect(mockEngine.processAction).not.toHaveBeenCalled();
+      const ack = mockP2P.sendActionAck.mock.calls[0][0];
+      expect(ack).toEqual(expect.objectContaining({
+        actionType: 'attack', success: false, error: 'It is player1\'s turn', errorCode: 'NOT_YOUR_TURN',
+      }));
+      expect(ack.authoritativeState.player2.hand).toEqual([{ id: 'c2' }]);
+      expect(ack.authoritativeState.player1.hand).not.toContainEqual({ id: 'c1' });
+    });
+
     it('returns the engine response', async () => {
       const result = await hostServer.processAction('attack', { droneId: 'd1' });
       expect(result).toBe(mockResponse);
     });
   });
 
+  // --- Reconnect pause ---
+
+  describe('reconnect pause', () => {
+    it('rejects actions while paused without reaching the engine', async () => {
+      hostServer.pauseForReconnect();
+      const response = await hostServer.processAction('attack', { droneId: 'd1' });
+
+      expect(mockEngine.processAction).not.toHaveBeenCalled();
+      expect(response.result).toEqual({ success: false, error: 'Match paused while opponent reconnects' });
+      expect(hostServer.isPaused()).toBe(true);
+    });
+
+    it('processes actions again after resuming', async () => {
+      hostServer.pauseForReconnect();
+      hostServer.resumeAfterReconnect();
+      await hostServer.processAction('attack', { droneId: 'd1' });
+
+      expect(mockEngine.processAction).toHaveBeenCalledWith('attack', { droneId: 'd1' });
+    });
+
+    it('freezes the turn clock while paused', () => {
+      expect(mockEngine.turnClock).toBe(hostServer.turnClock);
+      const pause = vi.spyOn(hostServer.turnClock, 'pause');
+      const resume = vi.spyOn(hostServer.turnClock, 'resume');
+
+      hostServer.pauseForReconnect();
+      expect(pause).toHaveBeenCalled();
+
+      hostServer.resumeAfterReconnect();
+      expect(resume).toHaveBeenCalled();
+    });
+
+    it('rejects remote actions while paused and acks the failure', async () => {
+      hostServer.pauseForReconnect();
+      await hostServer.handleRemoteAction({ type: 'attack', payload: { droneId: 'd2' } });
+
+      expect(mockEngine.processAction).not.toHaveBeenCalled();
+      const ack = mockP2P.sendActionAck.mock.calls[0][0];
+      expect(ack).toEqual(expect.objectContaining({
+        actionType: 'attack', success: false, error: 'Match paused while opponent reconnects',
+      }));
+      expect(ack.authoritativeState.player2.hand).toEqual([{ id: 'c2' }]);
+    });
+
+    it('does not let an expiring turn clock act while paused', async () => {
+      hostServer.pauseForReconnect();
+      await hostServer.turnClock.onExpire('playerPass', { playerId: 'player2' });
+
+      expect(mockEngine.processAction).not.toHaveBeenCalled();
+    });
+
+    it('resumes and forfeits the guest\'s seat when the guest does not return', async () => {
+      mockEngine.getState.mockReturnValue({ ...mockState, appState: 'inGame', winner: null });
+      const resume = vi.spyOn(hostServer.turnClock, 'resume');
+      hostServer.pauseForReconnect();
+
+      await hostServer.forfeitDroppedGuest();
+
+      expect(hostServer.isPaused()).toBe(false);
+      expect(resume).toHaveBeenCalled();
+      expect(mockEngine.processAction).toHaveBeenCalledWith('forceWin', { loserId: 'player2', reason: 'disconnect' });
+    });
+
+    it('does not forfeit once the match is already over', async () => {
+      mockEngine.getState.mockReturnValue({ ...mockState, appState: 'inGame', winner: 'player1' });
+      hostServer.pauseForReconnect();
+
+      await hostServer.forfeitDroppedGuest();
+
+      expect(hostServer.isPaused()).toBe(false);
+      expect(mockEngine.processAction).not.toHaveBeenCalled();
+    });
+
+    it('reports an active match only while in game without a winner', () => {
+      mockEngine.getState.mockReturnValue({ ...mockState, appState: 'inGame', winner: null });
+      expect(hostServer.isMatchActive()).toBe(true);
+
+      mockEngine.getState.mockReturnValue({ ...mockState, appState: 'inGame', winner: 'player1' });
+      expect(hostServer.isMatchActive()).toBe(false);
+
+      mockEngine.getState.mockReturnValue({ ...mockState, appState: 'menu', winner: null });
+      expect(hostServer.isMatchActive()).toBe(false);
+    });
+  });
+
   // --- handleRemoteAction ---
 
   describe('handleRemoteAction', () => {
@@ -183,5 +295,57 @@ describe('HostGameServer', () => {
       expect(view.player2.hand).toEqual([]);
       expect(mockEngine.getState).toHaveBeenCalled();
     });
+
+    it('getSpectatorView redacts both hands', () => {
+      const view = hostServer.getSpectatorView();
+      expect(view.player1.hand).toEqual([]);
+      expect(view.player2.hand).toEqual([]);
+      expect(view.player1.handCount).toBe(1);
+    });
+  });
+
+  // --- Spectators ---
+
+  describe('spectators', () => {
+    const getClientCallback = (playerId) =>
+      mockEngine.registerClient.mock.calls.find(([id]) => id === playerId)[1];
+
+    beforeEach(() => {
+      mockP2P.spectators = new Set();
+      mockP2P.broadcastSpectatorState = vi.fn();
+      mockP2P.sendGameStartedToSpectator = vi.fn();
+    });
+
+    it('registers a spectator client in GameEngine', () => {
+      expect(mockEngine.registerClient).toHaveBeenCalledWith(SPECTATOR_VIEWER_ID, expect.any(Function));
+    });
+
+    it('broadcasts spectator state when spectators are watching', () => {
+      mockP2P.spectators.add('peer-s1');
+      const animations = { actionAnimations: [{ animationName: 'ATTACK' }], systemAnimations: [] };
+
+      getClientCallback(SPECTATOR_VIEWER_ID)({ state: mockState, animations });
+
+      expect(mockP2P.broadcastSpectatorState).toHaveBeenCalledWith(
+        mockState, [{ animationName: 'ATTACK' }], []
+      );
+    });
+
+    it('skips spectator broadcast when nobody is watching', () => {
+      getClientCallback(SPECTATOR_VIEWER_ID)({ state: mockState, animations: {} });
+      expect(mockP2P.broadcastSpectatorState).not.toHaveBeenCalled();
+    });
+
+    it('signals game start to a spectator joining mid-game', () => {
+      mockEngine.getState.mockReturnValue({ ...mockState, appState: 'inGame' });
+      hostServer.handleSpectatorJoined('peer-s1');
+      expect(mockP2P.sendGameStartedToSpectator).toHaveBeenCalledWith('peer-s1');
+    });
+
+    it('does not signal game start before the match begins', () => {
+      mockEngine.getState.mockReturnValue({ ...mockState, appState: 'lobby' });
+      hostServer.handleSpectatorJoined('peer-s1');
+      expect(mockP2P.sendGameStartedToSpectator).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import MatchRecorder, { MATCH_LOG_VERSION } from '../MatchRecorder.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({ debugLog: vi.fn() }));
+
+describe('MatchRecorder', () => {
+  let recorder;
+  const state = {
+    gameSeed: 12345,
+    roundNumber: 2,
+    currentPlayer: 'player1',
+    player1: { hand: [{ id: 'c1' }] },
+    player2: { hand: [] },
+  };
+
+  beforeEach(() => {
+    recorder = new MatchRecorder();
+  });
+
+  it('snapshots the pre-action state on first record only', () => {
+    recorder.record('attack', { playerId: 'player1' }, state);
+    recorder.record('move', { playerId: 'player1' }, { ...state, roundNumber: 3 });
+
+    const log = recorder.getLog();
+    expect(log.version).toBe(MATCH_LOG_VERSION);
+    expect(log.initialState.roundNumber).toBe(2);
+    expect(log.initialState).not.toBe(state);
+  });
+
+  it('records type, payload, acting player, seed and round per entry', () => {
+    recorder.record('cardPlay', { playerId: 'player2', cardId: 'c9' }, state);
+
+    expect(recorder.getLog().entries[0]).toEqual({
+      seq: 0,
+      type: 'cardPlay',
+      payload: { playerId: 'player2', cardId: 'c9' },
+      playerId: 'player2',
+      seed: 12345,
+      round: 2,
+    });
+  });
+
+  it('captures the AI-controlled seats with the initial snapshot', () => {
+    recorder.record('attack', {}, state, { aiPlayers: ['player2'] });
+    recorder.record('move', {}, state, { aiPlayers: [] });
+
+    expect(recorder.getLog().aiPlayers).toEqual(['player2']);
+  });
+
+  it('falls back to currentPlayer when payload has no playerId', () => {
+    recorder.record('draw', {}, state);
+    expect(recorder.getLog().entries[0].playerId).toBe('player1');
+  });
+
+  it('deep-copies payloads so later mutation does not alter the log', () => {
+    const payload = { playerId: 'player1', target: { id: 'd1', hull: 3 } };
+    recorder.record('attack', payload, state);
+    payload.target.hull = 0;
+
+    expect(recorder.getLog().entries[0].payload.target.hull).toBe(3);
+  });
+
+  it('reset clears entries and initial state', () => {
+    recorder.record('attack', {}, state);
+    recorder.reset();
+
+    expect(recorder.getEntryCount()).toBe(0);
+    expect(recorder.getLog().initialState).toBeNull();
+  });
+
+  it('discards an entry and renumbers the ones after it', () => {
+    recorder.record('attack', {}, state);
+    const rejected = recorder.record('move', {}, state);
+    recorder.record('playerPass', {}, state);
+
+    recorder.discard(rejected);
+
+    expect(recorder.getLog().entries.map(e => [e.seq, e.type])).toEqual([[0, 'attack'], [1, 'playerPass']]);
+  });
+
+  it('drops the initial snapshot when the only entry is discarded', () => {
+    recorder.discard(recorder.record('attack', {}, state));
+    recorder.record('move', {}, { ...state, roundNumber: 5 });
+
+    expect(recorder.getLog().initialState.roundNumber).toBe(5);
+  });
+
+  describe('parse', () => {
+    it('round-trips a serialized log', () => {
+      recorder.record('attack', { playerId: 'player1' }, state);
+      const parsed = MatchRecorder.parse(recorder.serialize());
+
+      expect(parsed.entries).toHaveLength(1);
+      expect(parsed.initialState.gameSeed).toBe(12345);
+    });
+
+    it('treats a log without aiPlayers as having no AI seats', () => {
+      const parsed = MatchRecorder.parse({ version: MATCH_LOG_VERSION, initialState: {}, entries: [] });
+      expect(parsed.aiPlayers).toEqual([]);
+    });
+
+    it('rejects unsupported versions', () => {
+      expect(() => MatchRecorder.parse({ version: 999, initialState: {}, entries: [] }))
+        .toThrow('Unsupported match log version');
+    });
+
+    it('rejects logs without an initial state', () => {
+      expect(() => MatchRecorder.parse({ version: MATCH_LOG_VERSION, entries: [] }))
+        .toThrow('missing initialState');
+    });
+
+    it('rejects entries without an action type', () => {
+      expect(() => MatchRecorder.parse({ version: MATCH_LOG_VERSION, initialState: {}, entries: [{}] }))
+        .toThrow('entry 0 has no action type');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import ReplayPlayer, { diffStates } from '../ReplayPlayer.js';
+import MatchRecorder from '../MatchRecorder.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({ debugLog: vi.fn() }));
+
+// Minimal deterministic engine: each action adds payload.amount to a counter
+function createCounterEngine(initialState) {
+  let state = initialState;
+  return {
+    processAction: vi.fn(async (type, payload) => {
+      if (type === 'add') state = { ...state, counter: state.counter + payload.amount };
+    }),
+    getState: () => state,
+  };
+}
+
+describe('ReplayPlayer', () => {
+  let log;
+  let createEngine;
+
+  beforeEach(() => {
+    const recorder = new MatchRecorder();
+    const base = { counter: 0, gameSeed: 1, roundNumber: 1 };
+    recorder.record('add', { amount: 1 }, base);
+    recorder.record('add', { amount: 10 }, base);
+    recorder.record('add', { amount: 100 }, base);
+    log = recorder.serialize();
+    createEngine = vi.fn(createCounterEngine);
+  });
+
+  it('requires an engine factory', () => {
+    expect(() => new ReplayPlayer(log, {})).toThrow('createEngine factory is required');
+  });
+
+  it('steps forward through recorded actions', async () => {
+    const player = new ReplayPlayer(log, { createEngine });
+
+    await player.stepForward();
+    expect(player.getState().counter).toBe(1);
+    await player.stepForward();
+    expect(player.getState().counter).toBe(11);
+    expect(player.cursor).toBe(2);
+  });
+
+  it('returns null when stepping past the end of the log', async () => {
+    const player = new ReplayPlayer(log, { createEngine });
+    await player.seek(3);
+
+    expect(await player.stepForward()).toBeNull();
+    expect(player.getState().counter).toBe(111);
+  });
+
+  it('steps backward by rebuilding from the initial state', async () => {
+    const player = new ReplayPlayer(log, { createEngine });
+    await player.seek(3);
+
+    const cursor = await player.stepBackward();
+
+    expect(cursor).toBe(2);
+    expect(player.getState().counter).toBe(11);
+    expect(createEngine).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not mutate the log initial state across rebuilds', async () => {
+    const player = new ReplayPlayer(log, { createEngine });
+    await player.seek(3);
+    await player.seek(0);
+
+    expect(player.getState().counter).toBe(0);
+    expect(player.log.initialState.counter).toBe(0);
+  });
+
+  it('clamps seek to the log bounds', async () => {
+    const player = new ReplayPlayer(log, { createEngine });
+    expect(await player.seek(99)).toBe(3);
+    expect(await player.seek(-5)).toBe(0);
+  });
+
+  it('diffs the replayed state against a live state', async () => {
+    const player = new ReplayPlayer(log, { createEngine });
+    await player.seek(2);
+
+    const diffs = player.diffAgainst({ counter: 12, gameSeed: 1, roundNumber: 1 });
+
+    expect(diffs).toEqual([{ path: 'counter', expected: 11, actual: 12 }]);
+  });
+});
+
+describe('diffStates', () => {
+  it('reports nested differences with dotted paths', () => {
+    const diffs = diffStates(
+      { player1: { energy: 3, hand: [{ id: 'a' }] } },
+      { player1: { energy: 4, hand: [{ id: 'b' }] } }
+    );
+    expect(diffs.map(d => d.path)).toEqual(['player1.energy', 'player1.hand.0.id']);
+  });
+
+  it('ignores volatile keys such as gameLog', () => {
+    expect(diffStates({ gameLog: [1] }, { gameLog: [1, 2] })).toEqual([]);
+  });
+
+  it('reports missing keys', () => {
+    expect(diffStates({ a: 1 }, {})).toEqual([{ path: 'a', expected: 1, actual: undefined }]);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import StateRedactor from '../StateRedactor.js';
+import StateRedactor, { SPECTATOR_VIEWER_ID } from '../StateRedactor.js';
 
 const makeCard = (id) => ({ instanceId: id, name: `Card_${id}`, cost: 1 });
 
@@ -112,5 +112,55 @@ describe('StateRedactor', () => {
       expect(redacted.player2.hand).toHaveLength(4);
       expect(redacted.player2.hand[0]).toHaveProperty('instanceId');
     });
+
+    it('ships the turn clock unchanged to both players and spectators', () => {
+      const turnClock = {
+        preset: 'blitz', bankMs: { player1: 120000, player2: 90000 }, activePlayer: 'player1', turnElapsedMs: 5000,
+      };
+      const state = { ...makeGameState(), turnClock };
+
+      expect(StateRedactor.redactForPlayer(state, 'player1').turnClock).toEqual(turnClock);
+      expect(StateRedactor.redactForPlayer(state, 'player2').turnClock).toEqual(turnClock);
+      expect(StateRedactor.redactForSpectator(state).turnClock).toEqual(turnClock);
+    });
+  });
+
+  describe('redactForSpectator', () => {
+    it('hides both players hands, decks and discard piles', () => {
+      const redacted = StateRedactor.redactForSpectator(makeGameState());
+
+      expect(redacted.player1.hand).toEqual([]);
+      expect(redacted.player2.hand).toEqual([]);
+      expect(redacted.player1.handCount).toBe(3);
+      expect(redacted.player2.handCount).toBe(4);
+      expect(redacted.player2.deckCount).toBe(6);
+    });
+
+    it('hides pending private selections for both players', () => {
+      const state = {
+        ...makeGameState(),
+        cardSelectionPending: { playerId: 'player1', cards: [makeCard('x')] },
+        mandatoryActionPending: { actingPlayerId: 'player2' },
+      };
+
+      const redacted = StateRedactor.redactForSpectator(state);
+
+      expect(redacted.cardSelectionPending).toBeNull();
+      expect(redacted.mandatoryActionPending).toBeNull();
+    });
+
+    it('handles partial snapshots containing only one player', () => {
+      const redacted = StateRedactor.redactForSpectator({ player1: makePlayerState(2) });
+
+      expect(redacted.player1.handCount).toBe(2);
+      expect(redacted.player2).toBeUndefined();
+    });
+
+    it('is used by redactForPlayer for the spectator viewer id', () => {
+      const redacted = StateRedactor.redactForPlayer(makeGameState(), SPECTATOR_VIEWER_ID);
+
+      expect(redacted.player1.hand).toEqual([]);
+      expect(redacted.player2.hand).toEqual([]);
+    });
   });
 });
@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import TurnClock from '../TurnClock.js';
+import { createTurnClockState, TIME_CONTROL_PRESETS } from '../../config/timeControls.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+}));
+
+const SECOND = 1000;
+
+describe('TurnClock', () => {
+  let state;
+  let engine;
+  let onExpire;
+  let clock;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    state = {
+      turnPhase: 'action',
+      currentPlayer: 'player1',
+      winner: null,
+      passInfo: { firstPasser: null, player1Passed: false, player2Passed: false },
+      player1: { name: 'Host Player' },
+      player2: { name: 'Guest Player' },
+      turnClock: createTurnClockState('blitz'),
+    };
+    engine = {
+      getState: () => state,
+      gameStateManager: { setState: vi.fn((updates) => { state = { ...state, ...updates }; }) },
+      broadcastState: vi.fn(),
+    };
+    onExpire = vi.fn().mockResolvedValue(undefined);
+    clock = new TurnClock(engine, { onExpire });
+  });
+
+  afterEach(() => {
+    clock.dispose();
+    vi.useRealTimers();
+  });
+
+  it('is inert for untimed matches', () => {
+    state.turnClock = null;
+    clock.update();
+    vi.advanceTimersByTime(60 * 60 * SECOND);
+
+    expect(engine.gameStateManager.setState).not.toHaveBeenCalled();
+    expect(onExpire).not.toHaveBeenCalled();
+  });
+
+  it('starts the current player\'s clock on update', () => {
+    clock.update();
+
+    expect(state.turnClock.activePlayer).toBe('player1');
+    expect(state.turnClock.turnStartedAt).toBe(Date.now());
+  });
+
+  it('charges elapsed time to the active player and adds the increment for their action', () => {
+    clock.update();
+    vi.advanceTimersByTime(20 * SECOND);
+    state.currentPlayer = 'player2';
+    clock.update({ actorId: 'player1' });
+
+    const { bankMs, incrementMs } = TIME_CONTROL_PRESETS.blitz;
+    expect(state.turnClock.bankMs.player1).toBe(bankMs - 20 * SECOND + incrementMs);
+    expect(state.turnClock.bankMs.player2).toBe(bankMs);
+    expect(state.turnClock.activePlayer).toBe('player2');
+    expect(state.turnClock.turnElapsedMs).toBe(0);
+  });
+
+  it('stops the clock outside sequential phases and once the match is won', () => {
+    clock.update();
+    state.turnPhase = 'allocateShields';
+    clock.update();
+    expect(state.turnClock.activePlayer).toBeNull();
+
+    state.turnPhase = 'action';
+    state.winner = 'player2';
+    clock.update();
+    expect(state.turnClock.activePlayer).toBeNull();
+
+    vi.advanceTimersByTime(60 * 60 * SECOND);
+    expect(onExpire).not.toHaveBeenCalled();
+  });
+
+  it('passes the player when the turn limit runs out', async () => {
+    clock.update();
+    await vi.advanceTimersByTimeAsync(TIME_CONTROL_PRESETS.blitz.turnLimitMs);
+
+    expect(onExpire).toHaveBeenCalledWith('playerPass', expect.objectContaining({
+      playerId: 'player1', playerName: 'Host Player', turnPhase: 'action', opponentPlayerId: 'player2',
+    }));
+  });
+
+  it('keeps counting the turn limit across actions by the same player', async () => {
+    clock.update();
+    await vi.advanceTimersByTimeAsync(30 * SECOND);
+    clock.suspend();
+    clock.update({ actorId: 'player1' });
+    await vi.advanceTimersByTimeAsync(14 * SECOND);
+    expect(onExpire).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1 * SECOND);
+    expect(onExpire).toHaveBeenCalledWith('playerPass', expect.objectContaining({ playerId: 'player1' }));
+  });
+
+  it('forfeits a player whose bank runs out under a forfeit preset', async () => {
+    state.turnClock = { ...state.turnClock, bankMs: { player1: 10 * SECOND, player2: 60 * SECOND } };
+    clock.update();
+    await vi.advanceTimersByTimeAsync(10 * SECOND);
+
+    expect(onExpire).toHaveBeenCalledWith('forceWin', { loserId: 'player1', reason: 'timeout' });
+  });
+
+  it('passes instead of forfeiting under a pass preset', async () => {
+    state.turnClock = { ...createTurnClockState('casual'), bankMs: { player1: 0, player2: 60 * SECOND } };
+    clock.update();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onExpire).toHaveBeenCalledWith('playerPass', expect.objectContaining({ playerId: 'player1' }));
+  });
+
+  it('does not award the increment for the pass it issued itself', async () => {
+    onExpire.mockImplementation(async () => {
+      state.currentPlayer = 'player2';
+      clock.update({ actorId: 'player1' });
+    });
+    clock.update();
+    await vi.advanceTimersByTimeAsync(TIME_CONTROL_PRESETS.blitz.turnLimitMs);
+
+    expect(state.turnClock.bankMs.player1).toBe(TIME_CONTROL_PRESETS.blitz.bankMs - TIME_CONTROL_PRESETS.blitz.turnLimitMs);
+    expect(state.turnClock.activePlayer).toBe('player2');
+  });
+
+  it('freezes both banks while paused and pushes the change to clients', async () => {
+    clock.update();
+    await vi.advanceTimersByTimeAsync(10 * SECOND);
+    clock.pause();
+    const frozen = state.turnClock.bankMs.player1;
+
+    await vi.advanceTimersByTimeAsync(10 * 60 * SECOND);
+    expect(onExpire).not.toHaveBeenCalled();
+    expect(state.turnClock.paused).toBe(true);
+    expect(frozen).toBe(TIME_CONTROL_PRESETS.blitz.bankMs - 10 * SECOND);
+    expect(engine.broadcastState).toHaveBeenCalledTimes(1);
+
+    clock.resume();
+    expect(state.turnClock.paused).toBe(false);
+    expect(engine.broadcastState).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(TIME_CONTROL_PRESETS.blitz.turnLimitMs - 10 * SECOND);
+    expect(onExpire).toHaveBeenCalledWith('playerPass', expect.objectContaining({ playerId: 'player1' }));
+  });
+
+  it('bills the defender while an interception decision is pending', async () => {
+    clock.update();
+    await vi.advanceTimersByTimeAsync(5 * SECOND);
+    const attackDetails = { attackingPlayer: 'player1', target: { id: 'section-bridge' } };
+    state.interceptionPending = { attackDetails, attackingPlayerId: 'player1', defendingPlayerId: 'player2' };
+    clock.update();
+    expect(state.turnClock.activePlayer).toBe('player2');
+
+    await vi.advanceTimersByTimeAsync(TIME_CONTROL_PRESETS.blitz.turnLimitMs);
+
+    expect(state.turnClock.bankMs.player1).toBe(TIME_CONTROL_PRESETS.blitz.bankMs - 5 * SECOND);
+    expect(onExpire).toHaveBeenCalledWith('attack', { attackDetails: { ...attackDetails, interceptor: null } });
+  });
+
+  it('bills the deciding player while a trigger order is pending and answers with the default order', async () => {
+    state.triggerOrderPending = {
+      stage: 'ORDER',
+      decidingPlayerId: 'player2',
+      window: { windowIndex: 0, triggers: [{ key: 'a' }, { key: 'b' }] },
+    };
+    clock.update();
+    expect(state.turnClock.activePlayer).toBe('player2');
+
+    await vi.advanceTimersByTimeAsync(TIME_CONTROL_PRESETS.blitz.turnLimitMs);
+
+    expect(onExpire).toHaveBeenCalledWith('triggerOrderDecision', { playerId: 'player2', order: ['a', 'b'] });
+  });
+
+  it('closes a timed-out response window without a reaction', async () => {
+    state.triggerOrderPending = { stage: 'RESPONSE', decidingPlayerId: 'player2', window: { triggers: [] } };
+    clock.update();
+    await vi.advanceTimersByTimeAsync(TIME_CONTROL_PRESETS.blitz.turnLimitMs);
+
+    expect(onExpire).toHaveBeenCalledWith('triggerResponse', { playerId: 'player2' });
+  });
+
+  it('does not fire while an action is being processed', () => {
+    clock.update();
+    clock.suspend();
+    vi.advanceTimersByTime(60 * 60 * SECOND);
+
+    expect(onExpire).not.toHaveBeenCalled();
+  });
+});
+
+describe('createTurnClockState', () => {
+  it('returns null for untimed or unknown presets', () => {
+    expect(createTurnClockState(null)).toBeNull();
+    expect(createTurnClockState('bullet')).toBeNull();
+    expect(createTurnClockState('toString')).toBeNull();
+  });
+
+  it('gives both players the preset bank', () => {
+    const turnClock = createTurnClockState('rapid');
+    expect(turnClock.bankMs).toEqual({ player1: TIME_CONTROL_PRESETS.rapid.bankMs, player2: TIME_CONTROL_PRESETS.rapid.bankMs });
+    expect(turnClock).toEqual(expect.objectContaining({ preset: 'rapid', activePlayer: null, paused: false }));
+  });
+});
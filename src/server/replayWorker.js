@@ -0,0 +1,56 @@
+// replayWorker — Runs ReplayPlayer in a Web Worker. The replay engine takes
+// over the GameStateManager / ActionProcessor singletons, and a worker gets its
+// own copies, so a match can be replayed while the live game stays untouched.
+//
+// Protocol (postMessage):
+//   in:  { id, command: 'load', matchLog } | { id, command: 'seek', index }
+//        | { id, command: 'diff', liveState }
+//   out: { id, cursor, length, entry, state, diffs? } | { id, error }
+
+import ReplayPlayer from './ReplayPlayer.js';
+import ReplayEngineFactory from './ReplayEngineFactory.js';
+import MatchRecorder from './MatchRecorder.js';
+
+let player = null;
+
+function snapshot() {
+  return {
+    cursor: player.cursor,
+    length: player.length,
+    entry: player.cursor > 0 ? player.log.entries[player.cursor - 1] : null,
+    state: player.getState(),
+  };
+}
+
+async function handleCommand({ command, matchLog, index, liveState }) {
+  if (command === 'load') {
+    const log = MatchRecorder.parse(matchLog);
+    player = new ReplayPlayer(log, {
+      createEngine: (initialState) => ReplayEngineFactory.create(initialState, { aiPlayers: log.aiPlayers }),
+    });
+    await player.load();
+    return snapshot();
+  }
+
+  if (!player) {
+    throw new Error('No match log loaded');
+  }
+  if (command === 'seek') {
+    await player.seek(index);
+    return snapshot();
+  }
+  if (command === 'diff') {
+    return { ...snapshot(), diffs: player.diffAgainst(liveState) };
+  }
+  throw new Error(`Unknown replay command: ${command}`);
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    // JSON round-trip: engine state can hold values postMessage cannot clone
+    const result = JSON.parse(JSON.stringify(await handleCommand(data)));
+    self.postMessage({ id: data.id, ...result });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message });
+  }
+};
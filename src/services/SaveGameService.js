@@ -19,7 +19,7 @@ class SaveGameService {
    * @param {Object} inventory - Card inventory (master quantities)
    * @param {Array} discoveredCards - Card discovery states
    * @param {Array} shipSlots - Ship slots (6 total)
-   * @param {Object|null} currentRunState - Current run state or null
+   * @param {Object|null} currentRunState - Current run state or null (includes fog of war reveal state)
    * @param {Array} quickDeployments - Quick deploy templates (max 5)
    * @returns {Object} Save data object
    */
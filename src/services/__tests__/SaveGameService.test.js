@@ -83,6 +83,24 @@ describe('SaveGameService - Quick Deployments', () => {
     });
   });
 
+  describe('run state', () => {
+    it('should save fog of war reveal state with the run', () => {
+      const runState = { shipSlotId: 1, revealedHexes: [{ q: 1, r: 0 }], revealedPOIs: [{ q: 2, r: 0 }] };
+
+      const serialized = SaveGameService.serialize(
+        mockPlayerProfile,
+        mockInventory,
+        mockDiscoveredCards,
+        mockShipSlots,
+        runState
+      );
+      runState.revealedHexes.push({ q: 3, r: 0 });
+
+      expect(serialized.currentRunState.revealedHexes).toEqual([{ q: 1, r: 0 }]);
+      expect(serialized.currentRunState.revealedPOIs).toEqual([{ q: 2, r: 0 }]);
+    });
+  });
+
   describe('deserialize', () => {
     it('should return quickDeployments from save data', () => {
       const saveData = {
@@ -0,0 +1,25 @@
+import { vi } from 'vitest';
+
+/**
+ * Fake Trystero room for P2PManager tests
+ * Records sends per action name and lets tests deliver messages and peer events.
+ */
+export const createFakeRoom = () => {
+  const room = {
+    sent: {},
+    receivers: {},
+    peerJoin: null,
+    peerLeave: null,
+    makeAction: vi.fn((name) => {
+      room.sent[name] = [];
+      const send = vi.fn((data, target) => room.sent[name].push({ data, target }));
+      const receive = (cb) => { room.receivers[name] = cb; };
+      return [send, receive];
+    }),
+    onPeerJoin: (cb) => { room.peerJoin = cb; },
+    onPeerLeave: (cb) => { room.peerLeave = cb; },
+    leave: vi.fn(),
+    deliver: (name, data, peerId) => room.receivers[name](data, peerId),
+  };
+  return room;
+};
@@ -1,5 +1,7 @@
 // P2PTransport — Transport for P2P guest mode.
 // Wraps P2PManager + MessageQueue for reliable ordered message delivery.
+// After a dropped connection is resumed, a full sync brings the client back
+// to the host's authoritative state.
 
 import Transport from './Transport.js';
 import MessageQueue from './MessageQueue.js';
@@ -27,6 +29,9 @@ class P2PTransport extends Transport {
         this.messageQueue.enqueue(event);
       } else if (event.type === 'action_ack_received') {
         this._ackCallback?.(event.data);
+      } else if (event.type === 'reconnected') {
+        debugLog('MP_SYNC_TRACE', 'P2PTransport reconnected, resyncing');
+        this.messageQueue.triggerResync();
       }
     });
 
@@ -0,0 +1,97 @@
+// WebSocketTransport — Transport for matches hosted on a dedicated server.
+// Wraps DedicatedServerConnection + MessageQueue. Both players use this
+// transport; the server runs GameEngine and pushes each seat its redacted
+// state, so neither client ever holds the opponent's hidden information.
+
+import Transport from './Transport.js';
+import MessageQueue from './MessageQueue.js';
+import { debugLog } from '../utils/debugLogger.js';
+
+class WebSocketTransport extends Transport {
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this._responseCallback = null;
+    this._ackCallback = null;
+    this._queueDrainedCallback = null;
+
+    this.messageQueue = new MessageQueue({
+      processMessage: (message) => this._processMessage(message),
+      onResyncNeeded: () => this._onResyncNeeded(),
+      onResyncResponse: (fullState) => this._onResyncResponse(fullState),
+      onQueueDrained: () => this._queueDrainedCallback?.(),
+    });
+
+    this._unsubscribe = this.connection.subscribe((event) => {
+      if (event.type === 'state_update_received') {
+        this.messageQueue.enqueue(event);
+      } else if (event.type === 'action_ack_received') {
+        this._ackCallback?.(event.data);
+      }
+    });
+
+    // The server starts streaming as soon as the match begins, which may be
+    // before this transport exists — catch up with a full sync
+    if (this.connection.isConnected) {
+      debugLog('MP_SYNC_TRACE', 'WebSocketTransport created while connected, requesting sync');
+      this._onResyncNeeded();
+    }
+  }
+
+  async sendAction(type, payload) {
+    this.connection.sendAction(type, payload);
+    return { success: true, pending: true };
+  }
+
+  onResponse(callback) {
+    this._responseCallback = callback;
+  }
+
+  onActionAck(callback) {
+    this._ackCallback = callback;
+  }
+
+  onQueueDrained(callback) {
+    this._queueDrainedCallback = callback;
+  }
+
+  // --- MessageQueue callbacks ---
+
+  async _processMessage(message) {
+    if (message.type === 'state_update_received' && this._responseCallback) {
+      const { state, actionAnimations, systemAnimations } = message.data;
+      await this._responseCallback({
+        state,
+        animations: {
+          actionAnimations: actionAnimations || [],
+          systemAnimations: systemAnimations || [],
+        },
+      });
+    }
+  }
+
+  _onResyncNeeded() {
+    debugLog('MP_SYNC_TRACE', 'WebSocketTransport requesting full sync', { resync: true, requesting: true });
+    this.connection.requestFullSync();
+  }
+
+  _onResyncResponse(fullState) {
+    debugLog('MP_SYNC_TRACE', 'WebSocketTransport resync response received', { resync: true, received: true });
+    if (fullState.state && this._responseCallback) {
+      this._responseCallback({
+        state: fullState.state,
+        animations: { actionAnimations: [], systemAnimations: [] },
+      });
+    }
+  }
+
+  dispose() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this._responseCallback = null;
+    this._ackCallback = null;
+    this._queueDrainedCallback = null;
+  }
+}
+
+export default WebSocketTransport;
@@ -251,6 +251,41 @@ describe('P2PTransport', () => {
     });
   });
 
+  // --- reconnect ---
+
+  describe('reconnect', () => {
+    it('requests a full sync when the connection is resumed', () => {
+      p2p._emit({ type: 'reconnected', data: { roomCode: '123456' } });
+      expect(p2p.requestFullSync).toHaveBeenCalledTimes(1);
+    });
+
+    it('resumes sequencing from the full sync after missed broadcasts', async () => {
+      const callback = vi.fn();
+      transport.onResponse(callback);
+
+      p2p._emit({
+        type: 'state_update_received',
+        data: { state: { round: 1 }, actionAnimations: [], systemAnimations: [], sequenceId: 1 },
+      });
+      p2p._emit({ type: 'reconnected', data: {} });
+
+      // Host broadcast seq 2-6 while the guest was away; full sync carries seq 6
+      p2p._emit({
+        type: 'state_update_received',
+        data: { state: { round: 4 }, sequenceId: 6, isFullSync: true },
+      });
+      p2p._emit({
+        type: 'state_update_received',
+        data: { state: { round: 4, turn: 2 }, actionAnimations: [], systemAnimations: [], sequenceId: 7 },
+      });
+
+      await vi.waitFor(() => expect(callback).toHaveBeenCalledTimes(3));
+      expect(callback.mock.calls[1][0].state).toEqual({ round: 4 });
+      expect(callback.mock.calls[2][0].state).toEqual({ round: 4, turn: 2 });
+      expect(transport.messageQueue.isResyncing).toBe(false);
+    });
+  });
+
   // --- dispose ---
 
   describe('dispose', () => {
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import WebSocketTransport from '../WebSocketTransport.js';
+
+vi.mock('../../utils/debugLogger.js', () => ({
+  debugLog: vi.fn(),
+}));
+
+// Minimal mock DedicatedServerConnection with subscribe/unsubscribe
+function makeConnection({ isConnected = false } = {}) {
+  let listener = null;
+  return {
+    isConnected,
+    sendAction: vi.fn(),
+    requestFullSync: vi.fn(),
+    subscribe(cb) {
+      listener = cb;
+      return () => { listener = null; };
+    },
+    _emit(event) { listener?.(event); },
+    _getListener() { return listener; },
+  };
+}
+
+describe('WebSocketTransport', () => {
+  let transport;
+  let connection;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    connection = makeConnection();
+    transport = new WebSocketTransport(connection);
+  });
+
+  it('sends actions to the server and reports them pending', async () => {
+    const result = await transport.sendAction('attack', { droneId: 'd1' });
+
+    expect(connection.sendAction).toHaveBeenCalledWith('attack', { droneId: 'd1' });
+    expect(result).toEqual({ success: true, pending: true });
+  });
+
+  it('delivers in-order state updates to the response callback', () => {
+    const callback = vi.fn();
+    transport.onResponse(callback);
+
+    connection._emit({
+      type: 'state_update_received',
+      data: { state: { turnPhase: 'action' }, actionAnimations: [{ animationName: 'ATTACK' }], sequenceId: 1 },
+    });
+
+    expect(callback).toHaveBeenCalledWith({
+      state: { turnPhase: 'action' },
+      animations: { actionAnimations: [{ animationName: 'ATTACK' }], systemAnimations: [] },
+    });
+  });
+
+  it('delivers a full sync without animations', () => {
+    const callback = vi.fn();
+    transport.onResponse(callback);
+
+    connection._emit({
+      type: 'state_update_received',
+      data: { state: { turnPhase: 'deployment' }, sequenceId: 7, isFullSync: true },
+    });
+
+    expect(callback).toHaveBeenCalledWith({
+      state: { turnPhase: 'deployment' },
+      animations: { actionAnimations: [], systemAnimations: [] },
+    });
+  });
+
+  it('forwards action acks', () => {
+    const ackCallback = vi.fn();
+    transport.onActionAck(ackCallback);
+
+    connection._emit({ type: 'action_ack_received', data: { actionType: 'attack', success: false, error: 'x' } });
+
+    expect(ackCallback).toHaveBeenCalledWith({ actionType: 'attack', success: false, error: 'x' });
+  });
+
+  it('requests a full sync when created after the match has started', () => {
+    const connected = makeConnection({ isConnected: true });
+    new WebSocketTransport(connected);
+    expect(connected.requestFullSync).toHaveBeenCalledTimes(1);
+    expect(connection.requestFullSync).not.toHaveBeenCalled();
+  });
+
+  it('unsubscribes on dispose', () => {
+    transport.dispose();
+    expect(connection._getListener()).toBeNull();
+  });
+});
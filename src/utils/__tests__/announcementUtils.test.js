@@ -224,6 +224,24 @@ describe('personalizeAnnouncements', () => {
 
     expect(animations.actionAnimations[0].payload.subtitleVariant).toBe('opponent');
   });
+
+  it('uses player names for spectators', () => {
+    const state = { ...baseState, player1: { name: 'Host Player' }, player2: { name: 'Guest Player' } };
+    const animations = {
+      actionAnimations: [
+        { animationName: 'PHASE_ANNOUNCEMENT', payload: { phase: 'deployment', text: 'DEPLOYMENT PHASE', subtitle: null } },
+        { animationName: 'PASS_ANNOUNCEMENT', payload: { passedPlayerId: 'player2' } },
+      ],
+      systemAnimations: [],
+    };
+
+    personalizeAnnouncements(animations, 'spectator', state);
+
+    expect(animations.actionAnimations[0].payload.subtitle).toBe('Host Player Goes First');
+    expect(animations.actionAnimations[0].payload.subtitleVariant).toBe('player');
+    expect(animations.actionAnimations[1].payload.text).toBe('GUEST PLAYER PASSED');
+    expect(animations.actionAnimations[1].payload.variant).toBe('opponent');
+  });
 });
 
 describe('extractAnnouncements', () => {
@@ -368,6 +368,20 @@ describe('convertToAIFormat', () => {
     });
   });
 
+  describe('factionCards', () => {
+    it('should count faction cards from the decklist, leaving out neutral cards', () => {
+      const deck = { 'CONVERGENCE_BEAM': 2, 'ISOLATION_STRIKE': 3 };
+      const result = convertToAIFormat(deck, {}, {}, { id: 'SHIP_001' }, {});
+      expect(result.factionCards).toEqual({ MARK: 2 });
+    });
+
+    it('should survive a round trip through the export code', () => {
+      const result = convertToAIFormat({ 'CONVERGENCE_BEAM': 2 }, {}, {}, { id: 'SHIP_001' }, {});
+      const parsed = parseJSObjectLiteral(generateJSObjectLiteral(result));
+      expect(parsed.data.factionCards).toEqual({ MARK: 2 });
+    });
+  });
+
   describe('shipId', () => {
     it('should include shipId from selectedShip', () => {
       const result = convertToAIFormat({}, {}, {}, { id: 'SHIP_002' }, {});
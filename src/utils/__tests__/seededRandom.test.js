@@ -223,6 +223,20 @@ describe('SeededRandom', () => {
       expect(rng1.random()).toBe(rng2.random());
     });
 
+    it('should produce the same seed for a redacted copy of the state', () => {
+      const gameState = {
+        roundNumber: 5,
+        player1: { energy: 3, deck: [1, 2], hand: [3], discardPile: [4] },
+        player2: { energy: 2, deck: [5], hand: [6, 7], discardPile: [] }
+      };
+      const redacted = {
+        ...gameState,
+        player1: { energy: 3, deck: [], hand: [], discardPile: [], deckCount: 2, handCount: 1, discardCount: 1 }
+      };
+
+      expect(SeededRandom.fromGameState(redacted).random()).toBe(SeededRandom.fromGameState(gameState).random());
+    });
+
     it('should handle empty/missing properties gracefully', () => {
       const gameState = {};
       const rng = SeededRandom.fromGameState(gameState);
@@ -231,6 +245,22 @@ describe('SeededRandom', () => {
     });
   });
 
+  describe('forRun()', () => {
+    it('should match fromGameState for unseeded runs', () => {
+      expect(SeededRandom.forRun({ roundNumber: 3 }, null).seed).toBe(SeededRandom.fromGameState({ roundNumber: 3 }).seed);
+    });
+
+    it('should give each run seed its own deterministic rolls', () => {
+      const a = SeededRandom.forRun({}, 111);
+      const b = SeededRandom.forRun({}, 111);
+      const c = SeededRandom.forRun({}, 222);
+
+      expect(a.seed).toBe(b.seed);
+      expect(a.seed).not.toBe(c.seed);
+      expect(a.seed).not.toBe(SeededRandom.fromGameState({}).seed);
+    });
+  });
+
   describe('forCardShuffle()', () => {
     it('should create RNG for card shuffling', () => {
       const gameState = {
@@ -269,4 +299,26 @@ describe('SeededRandom', () => {
       expect(() => rng.random()).not.toThrow();
     });
   });
+
+  describe('match roll counts', () => {
+    it('should count only rolls made for the given match', () => {
+      new SeededRandom(1, { gameSeed: 501 }).random();
+      new SeededRandom(1, { gameSeed: 502 }).shuffle([1, 2, 3]);
+      new SeededRandom(1).random();
+
+      expect(SeededRandom.getMatchRollCount(501)).toBe(1);
+      expect(SeededRandom.getMatchRollCount(502)).toBe(2);
+    });
+
+    it('should start a reset match from zero', () => {
+      const rng = new SeededRandom(1, { gameSeed: 503 });
+      rng.random();
+
+      SeededRandom.resetMatchRollCount(503);
+      expect(SeededRandom.getMatchRollCount(503)).toBe(0);
+
+      rng.random();
+      expect(SeededRandom.getMatchRollCount(503)).toBe(1);
+    });
+  });
 });
@@ -13,8 +13,14 @@
  *   and subtitleVariant -> 'player' / 'opponent'
  * - PASS_ANNOUNCEMENT: sets text -> "YOU PASSED" / "OPPONENT PASSED"
  *   and variant -> 'player' / 'opponent'
+ * Spectators (playerId 'spectator') see player names instead of You/Opponent;
+ * variants follow player1's side, which is the side spectators watch from.
  */
 export function personalizeAnnouncements(animations, playerId, state) {
+  const isSpectator = playerId === 'spectator';
+  const perspectiveId = isSpectator ? 'player1' : playerId;
+  const nameOf = (id) => state[id]?.name || id;
+
   const personalizeAnim = (anim) => {
     if (anim.animationName === 'PHASE_ANNOUNCEMENT') {
       const { phase } = anim.payload;
@@ -24,10 +30,15 @@ export function personalizeAnnouncements(animations, playerId, state) {
       } else if (phase === 'roundTransition') {
         anim.payload = { ...anim.payload, text: `TRANSITIONING TO ROUND ${state.roundNumber || 1}` };
       } else if (phase === 'deployment' || phase === 'action') {
-        const isFirst = state.firstPlayerOfRound === playerId;
-        const subtitle = state.firstPlayerOfRound
-          ? (isFirst ? 'You Go First' : 'Opponent Goes First')
-          : null;
+        const isFirst = state.firstPlayerOfRound === perspectiveId;
+        let subtitle = null;
+        if (state.firstPlayerOfRound) {
+          if (isSpectator) {
+            subtitle = `${nameOf(state.firstPlayerOfRound)} Goes First`;
+          } else {
+            subtitle = isFirst ? 'You Go First' : 'Opponent Goes First';
+          }
+        }
         const subtitleVariant = state.firstPlayerOfRound
           ? (isFirst ? 'player' : 'opponent')
           : null;
@@ -35,8 +46,11 @@ export function personalizeAnnouncements(animations, playerId, state) {
       }
     } else if (anim.animationName === 'PASS_ANNOUNCEMENT') {
       const { passedPlayerId } = anim.payload;
-      const isLocal = passedPlayerId === playerId;
-      const text = isLocal ? 'YOU PASSED' : 'OPPONENT PASSED';
+      const isLocal = passedPlayerId === perspectiveId;
+      let text = isLocal ? 'YOU PASSED' : 'OPPONENT PASSED';
+      if (isSpectator) {
+        text = `${nameOf(passedPlayerId).toUpperCase()} PASSED`;
+      }
       const variant = isLocal ? 'player' : 'opponent';
       anim.payload = { ...anim.payload, text, phase: 'playerPass', variant };
     }
@@ -47,12 +61,13 @@ export function personalizeAnnouncements(animations, playerId, state) {
 }
 
 /**
- * Extract PHASE_ANNOUNCEMENT and PASS_ANNOUNCEMENT from a flat animation array.
+ * Extract PHASE_ANNOUNCEMENT and PASS_ANNOUNCEMENT (plus interception and
+ * boss phase announcements) from a flat animation array.
  * Returns announcement queue items and remaining visual animations.
  * Mirrors GameClient._extractAndQueueAnnouncements but as a pure function.
  */
 export function extractAnnouncements(allAnimations) {
-  const announcementTypes = new Set(['PHASE_ANNOUNCEMENT', 'PASS_ANNOUNCEMENT', 'INTERCEPTION_ANNOUNCEMENT']);
+  const announcementTypes = new Set(['PHASE_ANNOUNCEMENT', 'PASS_ANNOUNCEMENT', 'INTERCEPTION_ANNOUNCEMENT', 'BOSS_PHASE_ANNOUNCEMENT']);
   const visualAnimations = [];
   const announcements = [];
 
@@ -153,6 +153,45 @@ export const convertFullHistoryToCsv = (decisionHistory) => {
   return csvRows.join('\n');
 };
 
+/** CSV column headers for batch simulation exports */
+const SIMULATION_CSV_HEADERS = [
+  'Category', 'Player', 'Competitor', 'Name', 'Value', 'Deployed', 'Destroyed', 'Kills'
+];
+
+/**
+ * Convert a BatchSimulator summary to CSV string.
+ * One row per match outcome, card and drone, so a single sheet can be pivoted.
+ * @param {Object} summary - Result of BatchSimulator.run()
+ * @returns {string} - CSV formatted string
+ */
+export const convertSimulationSummaryToCsv = (summary) => {
+  if (!summary || !summary.matches) {
+    return '';
+  }
+
+  const row = (values) => values.map(escapeCSVValue).join(',');
+  const csvRows = [SIMULATION_CSV_HEADERS.join(',')];
+
+  ['player1', 'player2', 'draw'].forEach((outcome) => {
+    const competitor = summary.competitors?.[outcome] || '';
+    csvRows.push(row(['result', outcome, competitor, 'wins', summary.wins[outcome], '', '', '']));
+    csvRows.push(row(['result', outcome, competitor, 'winRate', summary.winRates[outcome], '', '', '']));
+  });
+  csvRows.push(row(['result', '', '', 'averageRounds', summary.averageRounds, '', '', '']));
+
+  ['player1', 'player2'].forEach((playerId) => {
+    const competitor = summary.competitors?.[playerId] || '';
+    Object.entries(summary.cardPlays[playerId] || {}).forEach(([cardName, plays]) => {
+      csvRows.push(row(['card', playerId, competitor, cardName, plays, '', '', '']));
+    });
+    Object.entries(summary.drones[playerId] || {}).forEach(([droneName, stats]) => {
+      csvRows.push(row(['drone', playerId, competitor, droneName, '', stats.deployed, stats.destroyed, stats.kills]));
+    });
+  });
+
+  return csvRows.join('\n');
+};
+
 /**
  * Trigger browser download of CSV file
  * @param {string} csvContent - CSV formatted string
@@ -26,6 +26,7 @@ const DEBUG_CONFIG = {
     PHASE_TRANSITIONS: false,    // Game phase transitions and flow
     PHASE_MANAGER: false,        // Phase Manager state tracking and transitions
     AI_TURN_TRACE: true,         // Numbered step-by-step AI turn trace
+    AI_SEARCH: false,            // Expert lookahead search (iterations, pruned lines)
     ANIMATIONS: true,           // Animation system
     COMMITMENTS: false,           // Simultaneous phase commitments
     COMBAT: false,              // Combat resolution
@@ -110,6 +111,7 @@ const DEBUG_CONFIG = {
     TACTICAL_ITEMS: false,        // Tactical item panel clicks and usage
     MOVEMENT_EFFECT: false,        // Movement effect execution (DO_NOT_EXHAUST, drone state changes)
     TURN_TRANSITION_DEBUG: false,  // Turn transition investigation
+    UNDO: false,                   // Single-player undo history (snapshots, blockers, restores)
     AVAILABILITY: false,             // Drone availability system (dots, readyCount, inPlayCount)
     SINGLE_MOVE_FLOW: false,         // ✅ Comprehensive SINGLE_MOVE card flow logging (card selection → modal → resolution)
 
@@ -35,7 +35,7 @@ export const determineFirstPlayer = (gameState) => {
   // First round - seeded random selection (ensures host and remote client pick same player)
   if (roundNumber === 1) {
     const gameSeed = gameState.gameSeed || 12345; // Fallback for tests
-    const rng = new SeededRandom(gameSeed);  // Use base game seed directly for determinism
+    const rng = new SeededRandom(gameSeed, { gameSeed: gameState.gameSeed ?? null });  // Use base game seed directly for determinism
     const randomValue = rng.random();
     const randomFirstPlayer = randomValue < 0.5 ? 'player1' : 'player2';
     debugLog('FIRST_PLAYER', `🎲 Round 1: Seeded random first player determination`, {
@@ -14,13 +14,43 @@
  * For game state-based seeding:
  * const rng = SeededRandom.fromGameState(gameState);
  */
+
+// Numbers generated for each match, keyed by gameState.gameSeed. Only RNGs
+// derived from a match (the game state factories below, or a gameSeed option)
+// count, so tactical map, UI and menu rolls never touch a match's count.
+const matchRollCounts = new Map();
+
 export class SeededRandom {
   /**
    * Create a new seeded random number generator
    * @param {number} seed - Integer seed value
+   * @param {Object} [options]
+   * @param {number|null} [options.gameSeed] - Match this RNG belongs to (see getMatchRollCount)
    */
-  constructor(seed) {
+  constructor(seed, { gameSeed } = {}) {
     this.seed = seed >>> 0; // Convert to unsigned 32-bit integer
+    this.gameSeed = gameSeed;
+  }
+
+  /**
+   * Numbers generated so far by the match's RNGs. UndoManager compares it
+   * before and after an action to tell whether the action consumed any of the
+   * match's randomness.
+   * @param {number|null} gameSeed - gameState.gameSeed
+   * @returns {number}
+   */
+  static getMatchRollCount(gameSeed) {
+    return matchRollCounts.get(gameSeed ?? null) || 0;
+  }
+
+  /**
+   * Forget a match's roll count. GameStateManager calls this when a match
+   * starts and when it is torn down, so a reused seed (replays, simulations,
+   * seeded runs) starts from zero and finished matches do not pile up.
+   * @param {number|null} gameSeed - gameState.gameSeed
+   */
+  static resetMatchRollCount(gameSeed) {
+    matchRollCounts.delete(gameSeed ?? null);
   }
 
   /**
@@ -29,6 +59,10 @@ export class SeededRandom {
    * @returns {number} Random float between 0 (inclusive) and 1 (exclusive)
    */
   random() {
+    if (this.gameSeed !== undefined) {
+      const key = this.gameSeed ?? null;
+      matchRollCounts.set(key, (matchRollCounts.get(key) || 0) + 1);
+    }
     let t = (this.seed += 0x6d2b79f5);
     t = Math.imul(t ^ (t >>> 15), t | 1);
     t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
@@ -98,16 +132,17 @@ export class SeededRandom {
   static fromGameState(gameState) {
     // Use deterministic properties that are synchronized between host and remote client
     // Avoid using timestamps or local-only properties
+    // Redacted states (StateRedactor) carry counts in place of the card arrays
     const seedComponents = [
       gameState.roundNumber || 1,
       gameState.player1?.energy || 0,
       gameState.player2?.energy || 0,
-      gameState.player1?.deck?.length || 0,
-      gameState.player2?.deck?.length || 0,
-      gameState.player1?.hand?.length || 0,
-      gameState.player2?.hand?.length || 0,
-      gameState.player1?.discardPile?.length || 0,
-      gameState.player2?.discardPile?.length || 0
+      gameState.player1?.deck?.length || gameState.player1?.deckCount || 0,
+      gameState.player2?.deck?.length || gameState.player2?.deckCount || 0,
+      gameState.player1?.hand?.length || gameState.player1?.handCount || 0,
+      gameState.player2?.hand?.length || gameState.player2?.handCount || 0,
+      gameState.player1?.discardPile?.length || gameState.player1?.discardCount || 0,
+      gameState.player2?.discardPile?.length || gameState.player2?.discardCount || 0
     ];
 
     // Hash the components into a single seed
@@ -119,7 +154,21 @@ export class SeededRandom {
     // Ensure seed is positive
     seed = Math.abs(seed);
 
-    return new SeededRandom(seed);
+    return new SeededRandom(seed, { gameSeed: gameState.gameSeed ?? null });
+  }
+
+  /**
+   * Create SeededRandom for tactical map rolls (encounters, salvage, patrol rewards)
+   * Seeded runs mix their run seed in, so each run seed gets its own rolls
+   *
+   * @param {Object} gameState - Current game state
+   * @param {number|null} [runSeed=null] - runState.runSeed (null = fromGameState only)
+   * @returns {SeededRandom} New seeded RNG instance
+   */
+  static forRun(gameState, runSeed = null) {
+    const rng = SeededRandom.fromGameState(gameState);
+    if (runSeed == null) return rng;
+    return new SeededRandom(Math.imul(rng.seed ^ runSeed, 0x9e3779b1), { gameSeed: rng.gameSeed });
   }
 
   /**
@@ -133,7 +182,7 @@ export class SeededRandom {
   static forDroneSelection(gameState, playerId) {
     const gameSeed = gameState.gameSeed ?? 12345;
     const playerOffset = playerId === 'player1' ? 3000 : 4000;
-    return new SeededRandom(gameSeed + playerOffset);
+    return new SeededRandom(gameSeed + playerOffset, { gameSeed });
   }
 
   /**
@@ -147,7 +196,7 @@ export class SeededRandom {
   static forTargetSelection(gameState, discriminator = 0) {
     const gameSeed = gameState.gameSeed ?? 12345;
     const roundOffset = (gameState.roundNumber || 1) * 100;
-    return new SeededRandom(gameSeed + 9000 + roundOffset + discriminator);
+    return new SeededRandom(gameSeed + 9000 + roundOffset + discriminator, { gameSeed });
   }
 
   static forCardShuffle(gameState, playerId) {
@@ -161,7 +210,7 @@ export class SeededRandom {
     const deckLengthOffset = (playerState?.deck?.length || 0);
 
     const seed = gameSeed + playerOffset + roundOffset + deckLengthOffset;
-    return new SeededRandom(seed);
+    return new SeededRandom(seed, { gameSeed });
   }
 }
 
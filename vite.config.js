@@ -5,6 +5,10 @@ import { nodeResolve } from '@rollup/plugin-node-resolve'
 export default defineConfig({
   plugins: [react()],
   base: '/DroneWars/',
+  // Module workers (the match replay worker) load code-split engine modules
+  worker: {
+    format: 'es'
+  },
   build: {
     rollupOptions: {
       plugins: [